@@ -0,0 +1,107 @@
+/**
+ * Account data controller
+ * Data export and account deletion for the logged-in user
+ */
+
+import * as accountDataService from '../services/accountDataService.js';
+import { getDataRequestsByUser } from '../models/dataRequestModel.js';
+import { deleteAccountSchema } from '../validation/profileValidation.js';
+import { ValidationError } from '../../shared/utils/errors.js';
+import { sendLog } from '../../shared/utils/logger.js';
+import { appendClearedSessionCookies } from '../utils/cookies.js';
+
+/**
+ * Export account data handler (downloadable JSON archive)
+ */
+export async function exportAccountData(request, env, ctx) {
+  const archive = await accountDataService.exportAccountData(request.user.userId, env);
+
+  await sendLog(
+    env.log_worker || env.LOG_WORKER_URL,
+    'event',
+    'Security: account data exported',
+    {
+      worker: 'auth-worker',
+      securityEvent: 'account_export',
+      userId: request.user.userId,
+      requestId: archive.requestId,
+    },
+    env.INTER_WORKER_API_KEY,
+    ctx,
+    request
+  );
+
+  const date = archive.exportedAt.slice(0, 10);
+  return new Response(
+    JSON.stringify(archive, null, 2),
+    {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Disposition': `attachment; filename="account-data-${date}.json"`,
+        'Cache-Control': 'no-store',
+      },
+    }
+  );
+}
+
+/**
+ * Delete account handler
+ */
+export async function deleteAccount(request, env, ctx) {
+  const body = await request.json().catch(() => ({}));
+
+  const { error, value } = deleteAccountSchema.validate(body);
+  if (error) {
+    throw new ValidationError(error.details[0].message, error.details);
+  }
+
+  const result = await accountDataService.deleteAccount(
+    request.user.userId,
+    { password: value.password },
+    env
+  );
+
+  await sendLog(
+    env.log_worker || env.LOG_WORKER_URL,
+    'event',
+    'Security: account deleted',
+    {
+      worker: 'auth-worker',
+      securityEvent: 'account_deleted',
+      userId: request.user.userId,
+      requestId: result.requestId,
+    },
+    env.INTER_WORKER_API_KEY,
+    ctx,
+    request
+  );
+
+  const response = new Response(
+    JSON.stringify({ success: true, requestId: result.requestId }),
+    {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    }
+  );
+
+  // Sessions are gone; expire the cookies with the attributes login set them with
+  appendClearedSessionCookies(response, request);
+
+  return response;
+}
+
+/**
+ * List data requests handler (export/deletion history with step status)
+ */
+export async function listDataRequests(request, env) {
+  const requests = await getDataRequestsByUser(env.auth_db, request.user.userId);
+
+  return new Response(
+    JSON.stringify({ requests }),
+    {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    }
+  );
+}
@@ -0,0 +1,165 @@
+/**
+ * Tests for accountDataController
+ * Note: ES modules cannot be stubbed with Sinon, so we test with mock databases
+ */
+
+import { describe, it, beforeEach } from 'mocha';
+import { expect } from 'chai';
+import { createHash } from 'node:crypto';
+import * as accountDataController from './accountDataController.js';
+import { createMockRequest, createMockEnv, createMockD1WithSequence, createMockServiceBinding } from '../../test/setup.js';
+import { AuthenticationError, ValidationError } from '../../shared/utils/errors.js';
+import { encrypt } from '../../shared/utils/encryption.js';
+
+// D1 mock answering by query text; records every statement
+function createRoutedD1(routes) {
+  const statements = [];
+  return {
+    _statements: statements,
+    prepare: (query) => {
+      const route = routes.find(r => query.includes(r.match)) || {};
+      const statement = {
+        first: async () => route.first ?? null,
+        run: async () => route.run || { success: true, meta: { changes: 1 } },
+        all: async () => route.all || { results: [] },
+      };
+      return {
+        bind: (...args) => {
+          statements.push({ query, args });
+          return statement;
+        },
+        ...statement,
+      };
+    },
+  };
+}
+
+describe('accountDataController', () => {
+  let mockEnv;
+
+  beforeEach(() => {
+    mockEnv = createMockEnv({
+      orders_worker: createMockServiceBinding('orders-worker'),
+      payment_worker: createMockServiceBinding('payment-worker'),
+      rating_worker: createMockServiceBinding('rating-worker'),
+      cart_worker: createMockServiceBinding('cart-worker'),
+    });
+  });
+
+  function authedRequest(path, options = {}) {
+    const request = createMockRequest(`https://auth-worker.example.workers.dev${path}`, options);
+    request.user = { userId: 'user-123', sessionId: 'session-123' };
+    return request;
+  }
+
+  async function userRow(userData) {
+    return {
+      user_id: 'user-123',
+      data: await encrypt(JSON.stringify(userData), mockEnv.ENCRYPTION_KEY, 'user-123'),
+      created_at: '2024-01-01T00:00:00Z',
+      updated_at: '2024-01-01T00:00:00Z',
+    };
+  }
+
+  describe('exportAccountData', () => {
+    it('should return the archive as a download that is not cached', async () => {
+      mockEnv.auth_db = createRoutedD1([{ match: 'FROM users', first: await userRow({ email: 'user@example.com', password: 'hash' }) }]);
+      mockEnv.orders_worker._setResponse('GET', '/users/user-123/export', { orders: [] });
+      mockEnv.payment_worker._setResponse('POST', '/payments/export', { payments: [] });
+      mockEnv.rating_worker._setResponse('GET', '/users/user-123/export', { ratings: [] });
+      mockEnv.cart_worker._setResponse('GET', '/users/user-123/export', { carts: [] });
+
+      const response = await accountDataController.exportAccountData(authedRequest('/profile/export'), mockEnv, null);
+      const archive = await response.json();
+
+      expect(response.status).to.equal(200);
+      expect(response.headers.get('Content-Disposition')).to.match(/^attachment; filename="account-data-\d{4}-\d{2}-\d{2}\.json"$/);
+      expect(response.headers.get('Cache-Control')).to.equal('no-store');
+      expect(JSON.stringify(archive)).to.not.include('hash');
+    });
+  });
+
+  describe('deleteAccount', () => {
+    it('should throw ValidationError without the DELETE confirmation', async () => {
+      mockEnv.auth_db = createRoutedD1([]);
+
+      try {
+        await accountDataController.deleteAccount(authedRequest('/profile/delete', { method: 'POST', body: { password: 'Password123' } }), mockEnv, null);
+        expect.fail('Should have thrown ValidationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+      }
+      expect(mockEnv.auth_db._statements).to.have.length(0);
+    });
+
+    it('should throw AuthenticationError for a wrong password', async () => {
+      mockEnv.auth_db = createRoutedD1([
+        { match: 'FROM users', first: await userRow({ email: 'user@example.com', password: createHash('sha256').update('Password123').digest('hex') }) },
+      ]);
+
+      try {
+        await accountDataController.deleteAccount(
+          authedRequest('/profile/delete', { method: 'POST', body: { confirm: 'DELETE', password: 'wrong-password' } }),
+          mockEnv,
+          null
+        );
+        expect.fail('Should have thrown AuthenticationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AuthenticationError);
+      }
+      expect(mockEnv.auth_db._statements.some(s => s.query.includes('data_requests'))).to.be.false;
+    });
+
+    it('should delete the account and expire the session cookies', async () => {
+      mockEnv.auth_db = createRoutedD1([{ match: 'FROM users', first: await userRow({ email: 'user@example.com' }) }]);
+      mockEnv.orders_worker._setResponse('POST', '/users/user-123/erase', { ordersAnonymized: 0 });
+      mockEnv.rating_worker._setResponse('POST', '/users/user-123/erase', { ratingsAnonymized: 0 });
+      mockEnv.cart_worker._setResponse('POST', '/users/user-123/erase', { cartsDeleted: 0 });
+
+      const response = await accountDataController.deleteAccount(
+        authedRequest('/profile/delete', { method: 'POST', body: { confirm: 'DELETE' } }),
+        mockEnv,
+        null
+      );
+      const data = await response.json();
+
+      expect(response.status).to.equal(200);
+      expect(data.success).to.be.true;
+      expect(data.requestId).to.be.a('string');
+      const cookies = response.headers.getSetCookie();
+      expect(cookies).to.have.length(3);
+      for (const cookie of cookies) {
+        expect(cookie).to.include('Domain=.example.workers.dev;');
+        expect(cookie).to.include('Max-Age=0');
+      }
+    });
+  });
+
+  describe('listDataRequests', () => {
+    it('should list the user\'s own requests with parsed steps', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([
+        {
+          all: {
+            results: [
+              { request_id: 'request-1', type: 'delete', status: 'failed', steps: '[{"name":"orders","status":"failed"}]', error: 'Orders worker failed', created_at: '2024-01-02T00:00:00Z', completed_at: '2024-01-02T00:00:01Z' },
+            ],
+          },
+        },
+      ]);
+
+      const response = await accountDataController.listDataRequests(authedRequest('/profile/data-requests'), mockEnv);
+      const data = await response.json();
+
+      expect(response.status).to.equal(200);
+      expect(data.requests).to.deep.equal([{
+        requestId: 'request-1',
+        type: 'delete',
+        status: 'failed',
+        steps: [{ name: 'orders', status: 'failed' }],
+        error: 'Orders worker failed',
+        createdAt: '2024-01-02T00:00:00Z',
+        completedAt: '2024-01-02T00:00:01Z',
+      }]);
+    });
+  });
+});
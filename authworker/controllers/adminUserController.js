@@ -0,0 +1,148 @@
+/**
+ * Admin user controller
+ * Admin endpoints to search and inspect users and act on their accounts
+ */
+
+import * as adminUserService from '../services/adminUserService.js';
+import * as passwordResetService from '../services/passwordResetService.js';
+import { recordSecurityEvent, SECURITY_EVENTS } from '../services/securityEventService.js';
+import { searchUsersSchema, suspendUserSchema } from '../validation/adminUserValidation.js';
+import { ValidationError } from '../../shared/utils/errors.js';
+import { getBlindIndexKey } from '../../shared/utils/encryption.js';
+import { createMailTransport } from '../../shared/utils/mailer.js';
+import { sendLog } from '../../shared/utils/logger.js';
+
+/**
+ * Log an admin action on a user account and add it to the security audit trail
+ */
+async function logAdminUserEvent(message, type, request, env, ctx, { userId, ...details }) {
+  await recordSecurityEvent(env.auth_db, request, {
+    type,
+    userId,
+    actorId: request.user.userId,
+    metadata: details,
+  });
+
+  await sendLog(
+    env.log_worker || env.LOG_WORKER_URL,
+    'event',
+    message,
+    {
+      worker: 'auth-worker',
+      securityEvent: 'admin_user_action',
+      adminUserId: request.user.userId,
+      userId,
+      ...details,
+    },
+    env.INTER_WORKER_API_KEY,
+    ctx,
+    request
+  );
+}
+
+function jsonResponse(body) {
+  return new Response(
+    JSON.stringify(body),
+    {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    }
+  );
+}
+
+/**
+ * Search users handler (?email=&status=&page=&limit=)
+ */
+export async function searchUsers(request, env) {
+  const url = new URL(request.url);
+  const { error, value } = searchUsersSchema.validate(Object.fromEntries(url.searchParams));
+  if (error) {
+    throw new ValidationError(error.details[0].message, error.details);
+  }
+
+  const result = await adminUserService.searchUsers(value, env.auth_db, env.ENCRYPTION_KEY, getBlindIndexKey(env));
+  return jsonResponse(result);
+}
+
+/**
+ * Get user details handler (profile, addresses, sessions, roles)
+ */
+export async function getUser(request, env) {
+  const result = await adminUserService.getUserDetails(request.params.userId, env.auth_db, env.ENCRYPTION_KEY);
+  return jsonResponse(result);
+}
+
+/**
+ * Suspend user handler
+ */
+export async function suspendUser(request, env, ctx) {
+  const { userId } = request.params;
+  const body = await request.json().catch(() => ({}));
+
+  const { error, value } = suspendUserSchema.validate(body);
+  if (error) {
+    throw new ValidationError(error.details[0].message, error.details);
+  }
+
+  const result = await adminUserService.suspendUser(userId, value.reason, request.user.userId, env.auth_db);
+
+  await logAdminUserEvent('Security: user suspended', SECURITY_EVENTS.USER_SUSPENDED, request, env, ctx, {
+    userId,
+    reason: value.reason || null,
+    sessionsRevoked: result.sessionsRevoked,
+  });
+
+  return jsonResponse(result);
+}
+
+/**
+ * Unsuspend user handler
+ */
+export async function unsuspendUser(request, env, ctx) {
+  const { userId } = request.params;
+
+  const result = await adminUserService.unsuspendUser(userId, env.auth_db);
+
+  await logAdminUserEvent('Security: user unsuspended', SECURITY_EVENTS.USER_UNSUSPENDED, request, env, ctx, { userId });
+
+  return jsonResponse(result);
+}
+
+/**
+ * Force logout handler (ends every session of the user)
+ */
+export async function forceLogout(request, env, ctx) {
+  const { userId } = request.params;
+
+  const result = await adminUserService.forceLogout(userId, env.auth_db);
+
+  await logAdminUserEvent('Security: user logged out by admin', SECURITY_EVENTS.USER_FORCED_LOGOUT, request, env, ctx, {
+    userId,
+    sessionsRevoked: result.sessionsRevoked,
+  });
+
+  return jsonResponse(result);
+}
+
+/**
+ * Send password reset handler (emails the user a reset link; the admin never sees it)
+ */
+export async function sendPasswordReset(request, env, ctx) {
+  const { userId } = request.params;
+  const frontendUrl = env.FRONTEND_URL || 'https://week2ecom-frontend.pages.dev';
+
+  const result = await passwordResetService.sendPasswordResetForUser(
+    userId,
+    env.auth_db,
+    env.ENCRYPTION_KEY,
+    createMailTransport(env),
+    {
+      resetUrl: `${frontendUrl}/reset-password`,
+      ttlMinutes: parseInt(env.PASSWORD_RESET_TTL_MINUTES, 10) || undefined,
+    }
+  );
+
+  await logAdminUserEvent('Security: password reset sent by admin', SECURITY_EVENTS.USER_PASSWORD_RESET_SENT, request, env, ctx, { userId });
+
+  return jsonResponse(result);
+}
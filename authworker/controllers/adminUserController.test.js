@@ -0,0 +1,203 @@
+/**
+ * Tests for adminUserController
+ * Note: ES modules cannot be stubbed with Sinon, so we test with mock databases
+ */
+
+import { describe, it, beforeEach } from 'mocha';
+import { expect } from 'chai';
+import * as adminUserController from './adminUserController.js';
+import { createMockRequest, createMockEnv, createMockD1WithSequence, recordStatements } from '../../test/setup.js';
+import { ConflictError, NotFoundError, ValidationError } from '../../shared/utils/errors.js';
+import { encrypt } from '../../shared/utils/encryption.js';
+import { getOutbox, clearOutbox } from '../../shared/utils/mailer.js';
+
+describe('adminUserController', () => {
+  let mockEnv;
+  let user;
+
+  beforeEach(async () => {
+    mockEnv = createMockEnv({ FRONTEND_URL: 'https://shop.test' });
+    user = {
+      user_id: 'user-456',
+      data: await encrypt(JSON.stringify({ email: 'customer@example.com', name: 'Customer' }), mockEnv.ENCRYPTION_KEY, 'user-456'),
+      created_at: '2024-01-01T00:00:00Z',
+      updated_at: '2024-01-01T00:00:00Z',
+      suspended_at: null,
+      suspension_reason: null,
+    };
+  });
+
+  function adminRequest(path, options = {}) {
+    const request = createMockRequest(`https://auth-worker.test${path}`, options);
+    request.user = { userId: 'admin-123', sessionId: 'session-123', twoFactorVerified: true };
+    return request;
+  }
+
+  describe('searchUsers', () => {
+    it('should throw ValidationError for an invalid email filter', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([]);
+
+      try {
+        await adminUserController.searchUsers(adminRequest('/admin/users?email=not-an-email'), mockEnv);
+        expect.fail('Should have thrown ValidationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+      }
+    });
+
+    it('should throw ValidationError for a page size above the maximum', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([]);
+
+      try {
+        await adminUserController.searchUsers(adminRequest('/admin/users?limit=1000'), mockEnv);
+        expect.fail('Should have thrown ValidationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+      }
+    });
+  });
+
+  describe('getUser', () => {
+    it('should throw NotFoundError for an unknown user', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([{ first: null }]);
+      const request = adminRequest('/admin/users/missing');
+      request.params = { userId: 'missing' };
+
+      try {
+        await adminUserController.getUser(request, mockEnv);
+        expect.fail('Should have thrown NotFoundError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(NotFoundError);
+      }
+    });
+  });
+
+  describe('suspendUser', () => {
+    it('should suspend the user, end their sessions and record the admin action', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([
+        { first: user },
+        { all: { results: [] } },
+        { run: { success: true, meta: { changes: 1 } } },
+        { run: { success: true, meta: { changes: 2 } } },
+        { run: { success: true, meta: { changes: 1 } } },
+      ]);
+      const statements = recordStatements(mockEnv.auth_db);
+      const request = adminRequest('/admin/users/user-456/suspend', { method: 'POST', body: { reason: 'Chargeback fraud' } });
+      request.params = { userId: 'user-456' };
+
+      const response = await adminUserController.suspendUser(request, mockEnv, null);
+      const data = await response.json();
+
+      expect(response.status).to.equal(200);
+      expect(data).to.include({ userId: 'user-456', sessionsRevoked: 2 });
+      const suspension = statements.find(s => s.query.includes('SET suspended_at'));
+      expect(suspension.args[1]).to.equal('Chargeback fraud');
+      const audit = statements.find(s => s.query.includes('INSERT INTO security_events'));
+      expect(audit.args.slice(1, 5)).to.deep.equal(['user_suspended', 'success', 'user-456', 'admin-123']);
+      expect(JSON.parse(audit.args[7])).to.deep.equal({ reason: 'Chargeback fraud', sessionsRevoked: 2 });
+    });
+
+    it('should not let an admin suspend their own account', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([]);
+      const statements = recordStatements(mockEnv.auth_db);
+      const request = adminRequest('/admin/users/admin-123/suspend', { method: 'POST', body: {} });
+      request.params = { userId: 'admin-123' };
+
+      try {
+        await adminUserController.suspendUser(request, mockEnv, null);
+        expect.fail('Should have thrown ConflictError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ConflictError);
+      }
+      expect(statements).to.have.length(0);
+    });
+
+    it('should not suspend the last super admin', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([
+        { first: user },
+        { all: { results: [{ role: 'super_admin' }] } },
+        { first: { count: 1 } },
+      ]);
+      const statements = recordStatements(mockEnv.auth_db);
+      const request = adminRequest('/admin/users/user-456/suspend', { method: 'POST', body: {} });
+      request.params = { userId: 'user-456' };
+
+      try {
+        await adminUserController.suspendUser(request, mockEnv, null);
+        expect.fail('Should have thrown ConflictError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ConflictError);
+      }
+      expect(statements.some(s => s.query.includes('UPDATE'))).to.be.false;
+    });
+
+    it('should throw ValidationError for an overlong reason', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([]);
+      const request = adminRequest('/admin/users/user-456/suspend', { method: 'POST', body: { reason: 'x'.repeat(501) } });
+      request.params = { userId: 'user-456' };
+
+      try {
+        await adminUserController.suspendUser(request, mockEnv, null);
+        expect.fail('Should have thrown ValidationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+      }
+    });
+  });
+
+  describe('unsuspendUser', () => {
+    it('should throw ConflictError when the user is not suspended', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([{ first: user }]);
+      const request = adminRequest('/admin/users/user-456/unsuspend', { method: 'POST' });
+      request.params = { userId: 'user-456' };
+
+      try {
+        await adminUserController.unsuspendUser(request, mockEnv, null);
+        expect.fail('Should have thrown ConflictError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ConflictError);
+      }
+    });
+  });
+
+  describe('forceLogout', () => {
+    it('should throw NotFoundError for an unknown user', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([{ first: null }]);
+      const statements = recordStatements(mockEnv.auth_db);
+      const request = adminRequest('/admin/users/missing/logout', { method: 'POST' });
+      request.params = { userId: 'missing' };
+
+      try {
+        await adminUserController.forceLogout(request, mockEnv, null);
+        expect.fail('Should have thrown NotFoundError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(NotFoundError);
+      }
+      expect(statements.some(s => s.query.includes('UPDATE sessions') || s.query.includes('security_events'))).to.be.false;
+    });
+  });
+
+  describe('sendPasswordReset', () => {
+    beforeEach(() => {
+      clearOutbox();
+    });
+
+    it('should email the reset link to the user without returning it to the admin', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([
+        { first: user },
+        { run: { success: true, meta: { changes: 0 } } },
+        { run: { success: true, meta: { changes: 1 } } },
+        { run: { success: true, meta: { changes: 1 } } },
+      ]);
+      const request = adminRequest('/admin/users/user-456/password-reset', { method: 'POST' });
+      request.params = { userId: 'user-456' };
+
+      const response = await adminUserController.sendPasswordReset(request, mockEnv, null);
+      const data = await response.json();
+
+      expect(data).to.deep.equal({ sent: true, userId: 'user-456' });
+      const [message] = getOutbox('customer@example.com');
+      expect(message.text).to.include('https://shop.test/reset-password?token=');
+    });
+  });
+});
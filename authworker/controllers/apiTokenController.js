@@ -0,0 +1,114 @@
+/**
+ * API token controller
+ * Personal access tokens of the logged-in user, plus token verification for other workers
+ */
+
+import * as apiTokenService from '../services/apiTokenService.js';
+import { recordSecurityEvent, SECURITY_EVENTS } from '../services/securityEventService.js';
+import { createApiTokenSchema, verifyApiTokenSchema } from '../validation/apiTokenValidation.js';
+import { ValidationError } from '../../shared/utils/errors.js';
+import { sendLog } from '../../shared/utils/logger.js';
+
+function jsonResponse(body, status = 200) {
+  return new Response(
+    JSON.stringify(body),
+    {
+      status,
+      headers: { 'Content-Type': 'application/json' },
+    }
+  );
+}
+
+/**
+ * List API tokens handler
+ */
+export async function listApiTokens(request, env) {
+  const tokens = await apiTokenService.listTokens(request.user.userId, env.auth_db);
+  return jsonResponse({ tokens });
+}
+
+/**
+ * Create API token handler (the plain token is only in this response)
+ */
+export async function createApiToken(request, env, ctx) {
+  const body = await request.json().catch(() => ({}));
+
+  const { error, value } = createApiTokenSchema.validate(body);
+  if (error) {
+    throw new ValidationError(error.details[0].message, error.details);
+  }
+
+  const token = await apiTokenService.createToken(request.user.userId, value, env.auth_db);
+
+  await recordSecurityEvent(env.auth_db, request, {
+    type: SECURITY_EVENTS.API_TOKEN_CREATED,
+    userId: request.user.userId,
+    metadata: { tokenId: token.tokenId, scopes: token.scopes },
+  });
+
+  await sendLog(
+    env.log_worker || env.LOG_WORKER_URL,
+    'event',
+    'Security: API token created',
+    {
+      worker: 'auth-worker',
+      securityEvent: 'api_token_created',
+      userId: request.user.userId,
+      tokenId: token.tokenId,
+      scopes: token.scopes,
+      expiresAt: token.expiresAt,
+    },
+    env.INTER_WORKER_API_KEY,
+    ctx,
+    request
+  );
+
+  return jsonResponse(token, 201);
+}
+
+/**
+ * Revoke API token handler
+ */
+export async function revokeApiToken(request, env, ctx) {
+  const { tokenId } = request.params;
+
+  await apiTokenService.revokeToken(request.user.userId, tokenId, env.auth_db);
+
+  await recordSecurityEvent(env.auth_db, request, {
+    type: SECURITY_EVENTS.API_TOKEN_REVOKED,
+    userId: request.user.userId,
+    metadata: { tokenId },
+  });
+
+  await sendLog(
+    env.log_worker || env.LOG_WORKER_URL,
+    'event',
+    'Security: API token revoked',
+    {
+      worker: 'auth-worker',
+      securityEvent: 'api_token_revoked',
+      userId: request.user.userId,
+      tokenId,
+    },
+    env.INTER_WORKER_API_KEY,
+    ctx,
+    request
+  );
+
+  return jsonResponse({ success: true, tokenId });
+}
+
+/**
+ * Verify API token handler (inter-worker)
+ */
+export async function verifyApiToken(request, env) {
+  const body = await request.json().catch(() => ({}));
+
+  const { error, value } = verifyApiTokenSchema.validate(body);
+  if (error) {
+    throw new ValidationError(error.details[0].message, error.details);
+  }
+
+  const result = await apiTokenService.verifyToken(value.token, value.ipAddress || null, env.auth_db);
+  return jsonResponse(result);
+}
@@ -0,0 +1,204 @@
+/**
+ * Tests for apiTokenController
+ * Note: ES modules cannot be stubbed with Sinon, so we test with mock databases
+ */
+
+import { describe, it, beforeEach } from 'mocha';
+import { expect } from 'chai';
+import * as apiTokenController from './apiTokenController.js';
+import { createMockRequest, createMockEnv, createMockD1WithSequence, recordStatements } from '../../test/setup.js';
+import { AuthenticationError, ConflictError, NotFoundError, ValidationError } from '../../shared/utils/errors.js';
+import { hashToken } from '../utils/tokens.js';
+
+describe('apiTokenController', () => {
+  let mockEnv;
+
+  beforeEach(() => {
+    mockEnv = createMockEnv();
+  });
+
+  function authedRequest(path, options = {}) {
+    const request = createMockRequest(`https://auth-worker.test${path}`, options);
+    request.user = { userId: 'user-123', sessionId: 'session-123' };
+    return request;
+  }
+
+  describe('listApiTokens', () => {
+    it('should list the user\'s tokens with their status and without hashes', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([
+        {
+          all: {
+            results: [
+              { token_id: 'token-1', user_id: 'user-123', name: 'Reorders', token_hint: 'pat_abcdef', scopes: '["cart:write"]', expires_at: '2099-01-01T00:00:00Z', last_used_at: null, last_used_ip: null, created_at: '2024-01-02T00:00:00Z', revoked_at: null },
+              { token_id: 'token-2', user_id: 'user-123', name: 'Old', token_hint: 'pat_123456', scopes: '["orders:read"]', expires_at: '2024-02-01T00:00:00Z', last_used_at: null, last_used_ip: null, created_at: '2024-01-01T00:00:00Z', revoked_at: null },
+            ],
+          },
+        },
+      ]);
+      const statements = recordStatements(mockEnv.auth_db);
+
+      const response = await apiTokenController.listApiTokens(authedRequest('/api-tokens'), mockEnv);
+      const data = await response.json();
+
+      expect(statements[0].args).to.deep.equal(['user-123']);
+      expect(data.tokens.map(token => [token.tokenId, token.status])).to.deep.equal([['token-1', 'active'], ['token-2', 'expired']]);
+      expect(data.tokens[0].scopes).to.deep.equal(['cart:write']);
+      expect(data.tokens[0]).to.not.have.property('token');
+    });
+  });
+
+  describe('createApiToken', () => {
+    it('should return the plain token once and store only its hash', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([
+        { first: { count: 0 } },
+        { run: { success: true, meta: { changes: 1 } } },
+        { run: { success: true, meta: { changes: 1 } } },
+      ]);
+      const statements = recordStatements(mockEnv.auth_db);
+
+      const response = await apiTokenController.createApiToken(
+        authedRequest('/api-tokens', { method: 'POST', body: { name: 'Reorders', scopes: ['cart:read', 'cart:write'] } }),
+        mockEnv,
+        null
+      );
+      const data = await response.json();
+
+      expect(response.status).to.equal(201);
+      expect(data.token).to.match(/^pat_/);
+      expect(data.tokenHint).to.equal(data.token.substring(0, 10));
+      const insert = statements.find(s => s.query.includes('INSERT INTO api_tokens'));
+      expect(insert.args).to.include(await hashToken(data.token));
+      expect(insert.args).to.not.include(data.token);
+      const audit = statements.find(s => s.query.includes('INSERT INTO security_events'));
+      expect(audit.args.slice(1, 4)).to.deep.equal(['api_token_created', 'success', 'user-123']);
+      expect(JSON.parse(audit.args[7])).to.deep.equal({ tokenId: data.tokenId, scopes: ['cart:read', 'cart:write'] });
+    });
+
+    it('should throw ValidationError for an unknown scope', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([]);
+      const statements = recordStatements(mockEnv.auth_db);
+
+      try {
+        await apiTokenController.createApiToken(
+          authedRequest('/api-tokens', { method: 'POST', body: { name: 'Admin', scopes: ['users:manage'] } }),
+          mockEnv,
+          null
+        );
+        expect.fail('Should have thrown ValidationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+      }
+      expect(statements).to.have.length(0);
+    });
+
+    it('should throw ConflictError when the user has too many active tokens', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([{ first: { count: 20 } }]);
+      const statements = recordStatements(mockEnv.auth_db);
+
+      try {
+        await apiTokenController.createApiToken(
+          authedRequest('/api-tokens', { method: 'POST', body: { name: 'One more', scopes: ['orders:read'] } }),
+          mockEnv,
+          null
+        );
+        expect.fail('Should have thrown ConflictError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ConflictError);
+      }
+      expect(statements.some(s => s.query.includes('INSERT'))).to.be.false;
+    });
+  });
+
+  describe('revokeApiToken', () => {
+    it('should only revoke tokens of the user', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([{ run: { success: true, meta: { changes: 0 } } }]);
+      const statements = recordStatements(mockEnv.auth_db);
+      const request = authedRequest('/api-tokens/token-of-someone-else', { method: 'DELETE' });
+      request.params = { tokenId: 'token-of-someone-else' };
+
+      try {
+        await apiTokenController.revokeApiToken(request, mockEnv, null);
+        expect.fail('Should have thrown NotFoundError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(NotFoundError);
+      }
+      expect(statements[0].args.slice(1)).to.deep.equal(['token-of-someone-else', 'user-123']);
+      expect(statements.some(s => s.query.includes('security_events'))).to.be.false;
+    });
+
+    it('should record the revocation', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([
+        { run: { success: true, meta: { changes: 1 } } },
+        { run: { success: true, meta: { changes: 1 } } },
+      ]);
+      const statements = recordStatements(mockEnv.auth_db);
+      const request = authedRequest('/api-tokens/token-1', { method: 'DELETE' });
+      request.params = { tokenId: 'token-1' };
+
+      const response = await apiTokenController.revokeApiToken(request, mockEnv, null);
+
+      expect(await response.json()).to.deep.equal({ success: true, tokenId: 'token-1' });
+      const audit = statements.find(s => s.query.includes('INSERT INTO security_events'));
+      expect(audit.args.slice(1, 4)).to.deep.equal(['api_token_revoked', 'success', 'user-123']);
+    });
+  });
+
+  describe('verifyApiToken', () => {
+    function verifyRequest(body) {
+      return createMockRequest('https://auth-worker.test/api-tokens/verify', { method: 'POST', body });
+    }
+
+    it('should throw ValidationError without a token', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([]);
+
+      try {
+        await apiTokenController.verifyApiToken(verifyRequest({}), mockEnv);
+        expect.fail('Should have thrown ValidationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+      }
+    });
+
+    it('should reject a revoked token', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([
+        { first: { token_id: 'token-1', user_id: 'user-123', name: 'Reorders', scopes: '["cart:read"]', expires_at: '2099-01-01T00:00:00Z', revoked_at: '2024-01-01T00:00:00Z' } },
+      ]);
+
+      try {
+        await apiTokenController.verifyApiToken(verifyRequest({ token: 'pat_revoked' }), mockEnv);
+        expect.fail('Should have thrown AuthenticationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AuthenticationError);
+      }
+    });
+
+    it('should reject tokens of suspended users', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([
+        { first: { token_id: 'token-1', user_id: 'user-123', name: 'Reorders', scopes: '["cart:read"]', expires_at: '2099-01-01T00:00:00Z', revoked_at: null } },
+        { first: { user_id: 'user-123', data: 'encrypted', suspended_at: '2024-01-01T00:00:00Z' } },
+      ]);
+
+      try {
+        await apiTokenController.verifyApiToken(verifyRequest({ token: 'pat_valid' }), mockEnv);
+        expect.fail('Should have thrown AuthenticationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AuthenticationError);
+      }
+    });
+
+    it('should return the owner and scopes and record the use', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([
+        { first: { token_id: 'token-1', user_id: 'user-123', name: 'Reorders', scopes: '["cart:read"]', expires_at: '2099-01-01T00:00:00Z', revoked_at: null } },
+        { first: { user_id: 'user-123', data: 'encrypted', suspended_at: null } },
+        { run: { success: true, meta: { changes: 1 } } },
+      ]);
+      const statements = recordStatements(mockEnv.auth_db);
+
+      const response = await apiTokenController.verifyApiToken(verifyRequest({ token: 'pat_valid', ipAddress: '203.0.113.7' }), mockEnv);
+
+      expect(await response.json()).to.deep.equal({ userId: 'user-123', tokenId: 'token-1', scopes: ['cart:read'] });
+      expect(statements[0].args).to.deep.equal([await hashToken('pat_valid')]);
+      expect(statements[2].args.slice(1)).to.deep.equal(['203.0.113.7', 'token-1']);
+    });
+  });
+});
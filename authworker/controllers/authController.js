@@ -4,10 +4,64 @@
 
 import * as authService from '../services/authService.js';
 import * as profileService from '../services/profileService.js';
+import * as passwordResetService from '../services/passwordResetService.js';
+import * as emailVerificationService from '../services/emailVerificationService.js';
+import * as oauthService from '../services/oauthService.js';
+import * as guestService from '../services/guestService.js';
+import { recordSecurityEvent, SECURITY_EVENTS, SECURITY_EVENT_OUTCOMES } from '../services/securityEventService.js';
 import { validateApiKey } from '../../shared/utils/interWorker.js';
-import { AuthenticationError, ValidationError, ConflictError } from '../../shared/utils/errors.js';
-import { signupSchema, loginSchema } from '../validation/authValidation.js';
+import { AuthenticationError, ValidationError, ConflictError, RateLimitError } from '../../shared/utils/errors.js';
+import {
+  signupSchema,
+  loginSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  twoFactorLoginSchema,
+  oauthCompleteSchema,
+} from '../validation/authValidation.js';
 import { sendLog } from '../../shared/utils/logger.js';
+import { getBlindIndexKey } from '../../shared/utils/encryption.js';
+import { createMailTransport, getMailTransportName, getOutbox } from '../../shared/utils/mailer.js';
+import { getClientInfo, getClientIp } from '../../shared/utils/requestInfo.js';
+import { buildCookieOptions } from '../utils/cookies.js';
+import { GUEST_TOKEN_COOKIE, GUEST_TOKEN_TTL_DAYS, getRequestGuest } from '../../shared/utils/guestAuth.js';
+import {
+  LIMITER_POLICIES,
+  enforceLimits,
+  recordFailedAttempt,
+  resetAttempts,
+} from '../../shared/utils/bruteForceLimiter.js';
+
+/**
+ * Record a failed sign-in step in the security audit trail
+ * Only credential, rate-limit and suspension errors are recorded (not malformed requests).
+ * The services attach error.userId when the account is known.
+ */
+async function recordAuthFailure(env, request, type, error) {
+  const blocked = error instanceof RateLimitError || error.code === 'ACCOUNT_SUSPENDED';
+  if (!blocked && !(error instanceof AuthenticationError)) {
+    return;
+  }
+
+  await recordSecurityEvent(env.auth_db, request, {
+    type,
+    outcome: blocked ? SECURITY_EVENT_OUTCOMES.BLOCKED : SECURITY_EVENT_OUTCOMES.FAILURE,
+    userId: error.userId || null,
+    metadata: { reason: error.code, ...(error.refreshTokenReuse && { refreshTokenReuse: true }) },
+  });
+}
+
+/**
+ * Build email verification link options from env
+ */
+function getVerificationOptions(env) {
+  const frontendUrl = env.FRONTEND_URL || 'https://week2ecom-frontend.pages.dev';
+  return {
+    verifyUrl: `${frontendUrl}/verify-email`,
+    ttlHours: parseInt(env.EMAIL_VERIFICATION_TTL_HOURS, 10) || undefined,
+  };
+}
 
 /**
  * Health check
@@ -52,6 +106,16 @@ export function validateWorkerRequest(request, env) {
   }
 }
 
+/**
+ * Only expose the outbox route when the outbox mail transport is configured (local development and tests)
+ * Elsewhere the route answers like an unknown path
+ */
+export function requireOutboxTransport(request, env) {
+  if (getMailTransportName(env) !== 'outbox') {
+    return new Response('Not Found', { status: 404 });
+  }
+}
+
 /**
  * Authentication middleware
  */
@@ -168,6 +232,10 @@ export async function signup(request, env, ctx) {
       throw new ValidationError(error.details[0].message, error.details);
     }
 
+    // Failed signups count against the client IP (repeated conflicts probe which emails are registered)
+    const signupLimits = [{ policy: LIMITER_POLICIES.SIGNUP_IP, value: getClientIp(request) }];
+    await enforceLimits(env.brute_force_limiter_do, signupLimits);
+
     // Debug: Starting signup process
     await sendLog(
       logWorkerBindingOrUrl,
@@ -182,14 +250,56 @@ export async function signup(request, env, ctx) {
       request
     );
     
-    const result = await authService.signup(
-      value,
-      env.auth_db,
-      env.ENCRYPTION_KEY,
-      logWorkerBindingOrUrl,
-      apiKey,
-      ctx // Pass execution context for ctx.waitUntil
-    );
+    let result;
+    try {
+      result = await authService.signup(
+        value,
+        env.auth_db,
+        env.ENCRYPTION_KEY,
+        logWorkerBindingOrUrl,
+        apiKey,
+        ctx, // Pass execution context for ctx.waitUntil
+        getBlindIndexKey(env),
+        getClientInfo(request)
+      );
+    } catch (signupError) {
+      if (signupError instanceof ConflictError) {
+        await recordFailedAttempt(env.brute_force_limiter_do, signupLimits, {
+          logWorkerBindingOrUrl,
+          apiKey,
+          ctx,
+          request,
+          worker: 'auth-worker',
+        });
+      }
+      throw signupError;
+    }
+    
+    // Send verification email - signup still succeeds if delivery fails (user can resend)
+    try {
+      await emailVerificationService.sendVerificationEmail(
+        result.userId,
+        env.auth_db,
+        env.ENCRYPTION_KEY,
+        createMailTransport(env),
+        getVerificationOptions(env)
+      );
+    } catch (mailError) {
+      console.error('[auth-worker] Failed to send verification email:', mailError.message);
+      await sendLog(
+        logWorkerBindingOrUrl,
+        'error',
+        'Verification email failed',
+        {
+          worker: 'auth-worker',
+          userId: result.userId,
+          error: mailError.message,
+        },
+        apiKey,
+        ctx,
+        request
+      );
+    }
     
     // Event: Signup successful (service layer also logs, but controller logs with more context)
     await sendLog(
@@ -234,6 +344,7 @@ export async function signup(request, env, ctx) {
     JSON.stringify({
       userId: result.userId,
       sessionId: result.sessionId,
+      emailVerified: false,
       // Include tokens in response for localStorage fallback (if cookies don't work)
       accessToken: result.accessToken,
       refreshToken: result.refreshToken,
@@ -304,6 +415,25 @@ export async function signup(request, env, ctx) {
   }
 }
 
+/**
+ * Set session cookies (access token, refresh token, session ID) on a login response
+ */
+function appendSessionCookies(response, request, result) {
+  const cookieOptions = buildCookieOptions(request);
+  
+  // Set cookies explicitly - build full cookie strings
+  const accessTokenCookie = `accessToken=${result.accessToken}; ${cookieOptions}; Max-Age=900`;
+  const refreshTokenCookie = `refreshToken=${result.refreshToken}; ${cookieOptions}; Max-Age=604800`;
+  const sessionIdCookie = `sessionId=${result.sessionId}; ${cookieOptions}; Max-Age=604800`;
+  
+  console.log('[auth-worker] Access token cookie:', accessTokenCookie.substring(0, 100));
+  
+  // Set cookies explicitly - use append to ensure all cookies are set
+  response.headers.append('Set-Cookie', accessTokenCookie);
+  response.headers.append('Set-Cookie', refreshTokenCookie);
+  response.headers.append('Set-Cookie', sessionIdCookie);
+}
+
 /**
  * Login handler
  */
@@ -365,17 +495,73 @@ export async function login(request, env, ctx) {
       request
     );
     
-    const result = await authService.login(
-      value.email,
-      value.password,
-      env.auth_db,
-      env.ENCRYPTION_KEY,
-      logWorkerBindingOrUrl,
-      apiKey,
-      ctx // Pass execution context for ctx.waitUntil
-    );
+    // Brute-force protection: failures are counted per client IP and per account
+    const loginLimits = [
+      { policy: LIMITER_POLICIES.LOGIN_IP, value: getClientIp(request) },
+      { policy: LIMITER_POLICIES.LOGIN_EMAIL, value: value.email },
+    ];
+    await enforceLimits(env.brute_force_limiter_do, loginLimits);
+
+    let result;
+    try {
+      result = await authService.login(
+        value.email,
+        value.password,
+        env.auth_db,
+        env.ENCRYPTION_KEY,
+        logWorkerBindingOrUrl,
+        apiKey,
+        ctx, // Pass execution context for ctx.waitUntil
+        getBlindIndexKey(env),
+        getClientInfo(request)
+      );
+    } catch (loginError) {
+      if (loginError instanceof AuthenticationError) {
+        const { lockedOut, retryAfter } = await recordFailedAttempt(env.brute_force_limiter_do, loginLimits, {
+          logWorkerBindingOrUrl,
+          apiKey,
+          ctx,
+          request,
+          worker: 'auth-worker',
+        });
+        if (lockedOut) {
+          throw new RateLimitError(`Too many failed login attempts. Try again in ${retryAfter} seconds.`, retryAfter);
+        }
+      }
+      throw loginError;
+    }
+
+    // Password accepted but 2FA is enabled - client must call POST /login/2fa
+    // The account's failure count is kept until the second factor passes too
+    if (result.twoFactorRequired) {
+      console.log('[auth-worker] Two-factor required for user:', result.userId);
+      await recordSecurityEvent(env.auth_db, request, {
+        type: SECURITY_EVENTS.LOGIN,
+        userId: result.userId,
+        metadata: { twoFactorRequired: true },
+      });
+      return new Response(
+        JSON.stringify({
+          twoFactorRequired: true,
+          challengeToken: result.challengeToken,
+        }),
+        {
+          status: 200,
+          headers: { 'Content-Type': 'application/json' },
+        }
+      );
+    }
+
+    // Logged in: clear the account's failure count (the IP count only expires with time)
+    await resetAttempts(env.brute_force_limiter_do, [loginLimits[1]]);
 
     console.log('[auth-worker] Login successful for user:', result.userId);
+
+    await recordSecurityEvent(env.auth_db, request, {
+      type: SECURITY_EVENTS.LOGIN,
+      userId: result.userId,
+      metadata: { sessionId: result.sessionId },
+    });
     
     // Event: Login successful (service layer also logs, but controller logs with more context)
     await sendLog(
@@ -392,33 +578,6 @@ export async function login(request, env, ctx) {
       request
     );
 
-    // Determine cookie settings based on origin
-    const origin = request.headers.get('Origin') || '';
-    const isSecure = request.url.startsWith('https://');
-    const isLocalhost = origin.includes('localhost') || origin.includes('127.0.0.1');
-    
-    // For cross-origin requests (localhost HTTP -> HTTPS workers.dev), we need SameSite=None
-    // But SameSite=None requires Secure, which won't work from HTTP localhost
-    // Solution: Use SameSite=None with Secure for localhost too (browsers allow this for localhost)
-    // OR: Don't use HttpOnly for localhost so frontend can read and store in localStorage
-    let secureFlag = '';
-    let sameSite = 'SameSite=None';
-    
-    if (isLocalhost) {
-      // For localhost development with cross-origin: use None with Secure
-      // Modern browsers allow Secure cookies from HTTP localhost for development
-      sameSite = 'SameSite=None';
-      secureFlag = 'Secure;'; // Required for SameSite=None, but browsers allow this for localhost
-    } else if (isSecure) {
-      // Production HTTPS: use None with Secure for cross-origin
-      sameSite = 'SameSite=None';
-      secureFlag = 'Secure;';
-    } else {
-      // HTTP (shouldn't happen in production): use Lax
-      sameSite = 'SameSite=Lax';
-      secureFlag = '';
-    }
-    
     // Create response - include tokens in body for localStorage fallback
     const response = new Response(
       JSON.stringify({
@@ -436,52 +595,7 @@ export async function login(request, env, ctx) {
       }
     );
 
-    // Set cookies with proper flags
-    // For localhost: don't set Domain (browser will use request domain)
-    // For production: set Domain to share across worker subdomains
-    let domain = '';
-    if (!isLocalhost) {
-      try {
-        const url = new URL(request.url);
-        const hostname = url.hostname;
-        // Extract domain like .shyaamdps.workers.dev from auth-worker.shyaamdps.workers.dev
-        const parts = hostname.split('.');
-        if (parts.length >= 3) {
-          // Take last 3 parts: shyaamdps.workers.dev -> .shyaamdps.workers.dev
-          domain = `Domain=.${parts.slice(-3).join('.')}; `;
-        }
-      } catch (e) {
-        console.error('[auth-worker] Error extracting domain:', e.message);
-      }
-    }
-    
-    // Build cookie options string
-    // For localhost: HttpOnly; SameSite=Lax; Path=/
-    // For production: Domain=...; HttpOnly; Secure; SameSite=None; Path=/
-    let cookieOptions = '';
-    if (domain) {
-      cookieOptions += domain;
-    }
-    cookieOptions += 'HttpOnly; ';
-    if (secureFlag) {
-      cookieOptions += secureFlag;
-    }
-    cookieOptions += `${sameSite}; Path=/`;
-    
-    console.log('[auth-worker] Cookie options:', cookieOptions);
-    console.log('[auth-worker] Setting cookies with domain:', domain || 'none (localhost)');
-    
-    // Set cookies explicitly - build full cookie strings
-    const accessTokenCookie = `accessToken=${result.accessToken}; ${cookieOptions}; Max-Age=900`;
-    const refreshTokenCookie = `refreshToken=${result.refreshToken}; ${cookieOptions}; Max-Age=604800`;
-    const sessionIdCookie = `sessionId=${result.sessionId}; ${cookieOptions}; Max-Age=604800`;
-    
-    console.log('[auth-worker] Access token cookie:', accessTokenCookie.substring(0, 100));
-    
-    // Set cookies explicitly - use append to ensure all cookies are set
-    response.headers.append('Set-Cookie', accessTokenCookie);
-    response.headers.append('Set-Cookie', refreshTokenCookie);
-    response.headers.append('Set-Cookie', sessionIdCookie);
+    appendSessionCookies(response, request, result);
     
     console.log('[auth-worker] Cookies appended to response');
     console.log('[auth-worker] Response headers Set-Cookie count:', response.headers.get('Set-Cookie') ? 'present' : 'missing');
@@ -496,6 +610,8 @@ export async function login(request, env, ctx) {
     return response;
   } catch (error) {
     console.error('[auth-worker] Login error:', error.message);
+
+    await recordAuthFailure(env, request, SECURITY_EVENTS.LOGIN, error);
     
     // Error: Login failed
     await sendLog(
@@ -518,6 +634,213 @@ export async function login(request, env, ctx) {
   }
 }
 
+/**
+ * Two-factor login handler (second step after POST /login)
+ */
+export async function loginTwoFactor(request, env, ctx) {
+  const logWorkerBindingOrUrl = env.log_worker || env.LOG_WORKER_URL;
+  const apiKey = env.INTER_WORKER_API_KEY;
+
+  try {
+    const body = await request.json();
+    const { error, value } = twoFactorLoginSchema.validate(body);
+    if (error) {
+      throw new ValidationError(error.details[0].message, error.details);
+    }
+
+    // Code guessing is limited per challenge and per account (a new challenge only needs the password)
+    const { userId } = authService.verifyTwoFactorChallengeToken(value.challengeToken, env.ENCRYPTION_KEY);
+    const twoFactorLimits = [
+      { policy: LIMITER_POLICIES.TWO_FACTOR_CHALLENGE, value: value.challengeToken },
+      { policy: LIMITER_POLICIES.TWO_FACTOR_ACCOUNT, value: userId },
+    ];
+    await enforceLimits(env.brute_force_limiter_do, twoFactorLimits);
+
+    let result;
+    try {
+      result = await authService.completeTwoFactorLogin(
+        value.challengeToken,
+        { code: value.code, recoveryCode: value.recoveryCode },
+        env.auth_db,
+        env.ENCRYPTION_KEY,
+        logWorkerBindingOrUrl,
+        apiKey,
+        ctx,
+        getClientInfo(request)
+      );
+    } catch (twoFactorError) {
+      if (twoFactorError instanceof AuthenticationError) {
+        const { lockedOut, retryAfter } = await recordFailedAttempt(env.brute_force_limiter_do, twoFactorLimits, {
+          logWorkerBindingOrUrl,
+          apiKey,
+          ctx,
+          request,
+          worker: 'auth-worker',
+        });
+        if (lockedOut) {
+          throw new RateLimitError(`Too many failed two-factor attempts. Try again in ${retryAfter} seconds.`, retryAfter);
+        }
+      }
+      throw twoFactorError;
+    }
+
+    // Logged in: clear the account's two-factor and password failure counts
+    await resetAttempts(env.brute_force_limiter_do, [
+      twoFactorLimits[1],
+      ...(result.email ? [{ policy: LIMITER_POLICIES.LOGIN_EMAIL, value: result.email }] : []),
+    ]);
+
+    console.log('[auth-worker] Two-factor login successful for user:', result.userId);
+
+    await recordSecurityEvent(env.auth_db, request, {
+      type: SECURITY_EVENTS.LOGIN_TWO_FACTOR,
+      userId: result.userId,
+      metadata: { sessionId: result.sessionId },
+    });
+
+    const response = new Response(
+      JSON.stringify({
+        userId: result.userId,
+        sessionId: result.sessionId,
+        // Include tokens in response for localStorage fallback (if cookies don't work)
+        accessToken: result.accessToken,
+        refreshToken: result.refreshToken,
+        recoveryCodesRemaining: result.recoveryCodesRemaining,
+      }),
+      {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' },
+      }
+    );
+
+    appendSessionCookies(response, request, result);
+
+    return response;
+  } catch (error) {
+    console.error('[auth-worker] Two-factor login error:', error.message);
+
+    await recordAuthFailure(env, request, SECURITY_EVENTS.LOGIN_TWO_FACTOR, error);
+
+    await sendLog(
+      logWorkerBindingOrUrl,
+      'error',
+      'Two-factor login failed',
+      {
+        worker: 'auth-worker',
+        error: error.message,
+        errorType: error.name || 'UnknownError',
+      },
+      apiKey,
+      ctx,
+      request
+    );
+
+    throw error;
+  }
+}
+
+/**
+ * OAuth login completion handler - exchanges the one-time code from the provider callback redirect
+ */
+export async function completeOAuthLogin(request, env, ctx) {
+  const logWorkerBindingOrUrl = env.log_worker || env.LOG_WORKER_URL;
+  const apiKey = env.INTER_WORKER_API_KEY;
+
+  try {
+    const body = await request.json();
+    const { error, value } = oauthCompleteSchema.validate(body);
+    if (error) {
+      throw new ValidationError(error.details[0].message, error.details);
+    }
+
+    // Invalid login codes count against the client IP; a 2FA account continues with the limited POST /login/2fa
+    const oauthLimits = [{ policy: LIMITER_POLICIES.OAUTH_COMPLETE_IP, value: getClientIp(request) }];
+    await enforceLimits(env.brute_force_limiter_do, oauthLimits);
+
+    let result;
+    try {
+      result = await oauthService.completeLogin(
+        value.code,
+        env.auth_db,
+        env.ENCRYPTION_KEY,
+        logWorkerBindingOrUrl,
+        apiKey,
+        ctx,
+        getClientInfo(request)
+      );
+    } catch (oauthError) {
+      if (oauthError instanceof AuthenticationError) {
+        await recordFailedAttempt(env.brute_force_limiter_do, oauthLimits, {
+          logWorkerBindingOrUrl,
+          apiKey,
+          ctx,
+          request,
+          worker: 'auth-worker',
+        });
+      }
+      throw oauthError;
+    }
+
+    await recordSecurityEvent(env.auth_db, request, {
+      type: SECURITY_EVENTS.OAUTH_LOGIN,
+      userId: result.userId,
+      metadata: result.twoFactorRequired ? { twoFactorRequired: true } : { sessionId: result.sessionId },
+    });
+
+    // Same contract as POST /login: the client continues with POST /login/2fa
+    if (result.twoFactorRequired) {
+      return new Response(
+        JSON.stringify({
+          twoFactorRequired: true,
+          challengeToken: result.challengeToken,
+        }),
+        {
+          status: 200,
+          headers: { 'Content-Type': 'application/json' },
+        }
+      );
+    }
+
+    const response = new Response(
+      JSON.stringify({
+        userId: result.userId,
+        sessionId: result.sessionId,
+        // Include tokens in response for localStorage fallback (if cookies don't work)
+        accessToken: result.accessToken,
+        refreshToken: result.refreshToken,
+      }),
+      {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' },
+      }
+    );
+
+    appendSessionCookies(response, request, result);
+
+    return response;
+  } catch (error) {
+    console.error('[auth-worker] OAuth login error:', error.message);
+
+    await recordAuthFailure(env, request, SECURITY_EVENTS.OAUTH_LOGIN, error);
+
+    await sendLog(
+      logWorkerBindingOrUrl,
+      'error',
+      'OAuth login failed',
+      {
+        worker: 'auth-worker',
+        error: error.message,
+        errorType: error.name || 'UnknownError',
+      },
+      apiKey,
+      ctx,
+      request
+    );
+
+    throw error;
+  }
+}
+
 /**
  * Refresh token handler
  */
@@ -606,13 +929,30 @@ export async function refreshToken(request, env, ctx) {
       request
     );
 
-    const result = await authService.refreshAccessToken(
-      refreshToken,
-      env.auth_db,
-      env.ENCRYPTION_KEY
-    );
+    // Only presented tokens are audited (a missing cookie is just a logged-out visitor)
+    let result;
+    try {
+      result = await authService.refreshAccessToken(
+        refreshToken,
+        env.auth_db,
+        env.ENCRYPTION_KEY,
+        logWorkerBindingOrUrl,
+        apiKey,
+        ctx,
+        getClientInfo(request)
+      );
+    } catch (refreshError) {
+      await recordAuthFailure(env, request, SECURITY_EVENTS.TOKEN_REFRESH, refreshError);
+      throw refreshError;
+    }
 
     console.log('[auth-worker] Refresh successful, setting new cookies');
+
+    await recordSecurityEvent(env.auth_db, request, {
+      type: SECURITY_EVENTS.TOKEN_REFRESH,
+      userId: result.userId,
+      metadata: { sessionId: result.sessionId },
+    });
     
     // Event: Token refresh successful
     await sendLog(
@@ -760,7 +1100,8 @@ export async function setPassword(request, env) {
     const user = await authService.getUserByEmailForPasswordReset(
       normalizedEmail,
       env.auth_db,
-      env.ENCRYPTION_KEY
+      env.ENCRYPTION_KEY,
+      getBlindIndexKey(env)
     );
     
     if (!user) {
@@ -779,6 +1120,12 @@ export async function setPassword(request, env) {
       env.auth_db,
       env.ENCRYPTION_KEY
     );
+
+    await recordSecurityEvent(env.auth_db, request, {
+      type: SECURITY_EVENTS.PASSWORD_CHANGED,
+      userId: user.userId,
+      metadata: { firstPassword: true },
+    });
     
     return new Response(
       JSON.stringify({ 
@@ -796,6 +1143,224 @@ export async function setPassword(request, env) {
   }
 }
 
+/**
+ * Forgot password handler
+ * Responds identically whether or not the account exists
+ */
+export async function forgotPassword(request, env, ctx) {
+  const logWorkerBindingOrUrl = env.log_worker || env.LOG_WORKER_URL;
+  const apiKey = env.INTER_WORKER_API_KEY;
+  
+  const body = await request.json();
+  const { error, value } = forgotPasswordSchema.validate(body);
+  if (error) {
+    throw new ValidationError(error.details[0].message, error.details);
+  }
+  
+  const frontendUrl = env.FRONTEND_URL || 'https://week2ecom-frontend.pages.dev';
+  const result = await passwordResetService.requestPasswordReset(
+    value.email,
+    env.auth_db,
+    env.ENCRYPTION_KEY,
+    getBlindIndexKey(env),
+    createMailTransport(env),
+    {
+      resetUrl: `${frontendUrl}/reset-password`,
+      ttlMinutes: parseInt(env.PASSWORD_RESET_TTL_MINUTES, 10) || undefined,
+    }
+  );
+  
+  // Event: Password reset requested
+  await sendLog(
+    logWorkerBindingOrUrl,
+    'event',
+    'Password reset requested',
+    {
+      worker: 'auth-worker',
+      userId: result.userId,
+      emailSent: result.sent,
+      ...(result.error && { error: result.error }),
+    },
+    apiKey,
+    ctx,
+    request
+  );
+  
+  return new Response(
+    JSON.stringify({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent.',
+    }),
+    {
+      status: 202,
+      headers: { 'Content-Type': 'application/json' },
+    }
+  );
+}
+
+/**
+ * Reset password handler
+ * Consumes a reset token, sets the new password and revokes all sessions
+ */
+export async function resetPassword(request, env, ctx) {
+  const logWorkerBindingOrUrl = env.log_worker || env.LOG_WORKER_URL;
+  const apiKey = env.INTER_WORKER_API_KEY;
+  
+  const body = await request.json();
+  const { error, value } = resetPasswordSchema.validate(body);
+  if (error) {
+    throw new ValidationError(error.details[0].message, error.details);
+  }
+  
+  const result = await passwordResetService.resetPassword(
+    value.token,
+    value.password,
+    env.auth_db,
+    env.ENCRYPTION_KEY
+  );
+  
+  await recordSecurityEvent(env.auth_db, request, {
+    type: SECURITY_EVENTS.PASSWORD_RESET,
+    userId: result.userId,
+    metadata: { sessionsRevoked: result.sessionsRevoked },
+  });
+
+  // Event: Password reset completed
+  await sendLog(
+    logWorkerBindingOrUrl,
+    'event',
+    'Password reset completed',
+    {
+      worker: 'auth-worker',
+      userId: result.userId,
+      sessionsRevoked: result.sessionsRevoked,
+    },
+    apiKey,
+    ctx,
+    request
+  );
+  
+  return new Response(
+    JSON.stringify({ 
+      success: true, 
+      message: 'Password has been reset. Please log in with your new password.' 
+    }),
+    {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    }
+  );
+}
+
+/**
+ * Verify email handler
+ */
+export async function verifyEmail(request, env, ctx) {
+  const logWorkerBindingOrUrl = env.log_worker || env.LOG_WORKER_URL;
+  const apiKey = env.INTER_WORKER_API_KEY;
+  
+  const body = await request.json();
+  const { error, value } = verifyEmailSchema.validate(body);
+  if (error) {
+    throw new ValidationError(error.details[0].message, error.details);
+  }
+  
+  const { email, ...result } = await emailVerificationService.verifyEmail(
+    value.token,
+    env.auth_db,
+    env.ENCRYPTION_KEY
+  );
+  
+  // Orders placed at guest checkout with this email now belong to the account
+  const claim = await guestService.claimGuestOrders(result.userId, email, env);
+  
+  // Event: Email verified
+  await sendLog(
+    logWorkerBindingOrUrl,
+    claim.error ? 'error' : 'event',
+    claim.error ? 'Email verified, claiming guest orders failed' : 'Email verified',
+    {
+      worker: 'auth-worker',
+      userId: result.userId,
+      guestOrdersClaimed: claim.ordersClaimed,
+      ...(claim.error && { error: claim.error }),
+    },
+    apiKey,
+    ctx,
+    request
+  );
+  
+  return new Response(
+    JSON.stringify({ success: true, ...result, guestOrdersClaimed: claim.ordersClaimed }),
+    {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    }
+  );
+}
+
+/**
+ * Start a guest session (checkout without an account)
+ * Returns the guest token and sets it as a cookie shared with the cart and orders workers
+ */
+export async function createGuestSession(request, env) {
+  const existing = getRequestGuest(request, env.ENCRYPTION_KEY);
+  const guest = guestService.startGuestSession(existing?.token, env.ENCRYPTION_KEY);
+  
+  const response = new Response(
+    JSON.stringify({ guestId: guest.guestId, guestToken: guest.token, expiresAt: guest.expiresAt }),
+    {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    }
+  );
+  response.headers.append(
+    'Set-Cookie',
+    `${GUEST_TOKEN_COOKIE}=${guest.token}; ${buildCookieOptions(request)}; Max-Age=${GUEST_TOKEN_TTL_DAYS * 24 * 60 * 60}`
+  );
+  return response;
+}
+
+/**
+ * Resend verification email handler (requires authentication)
+ */
+export async function resendVerificationEmail(request, env) {
+  const result = await emailVerificationService.sendVerificationEmail(
+    request.user.userId,
+    env.auth_db,
+    env.ENCRYPTION_KEY,
+    createMailTransport(env),
+    getVerificationOptions(env)
+  );
+  
+  return new Response(
+    JSON.stringify({
+      success: true,
+      alreadyVerified: result.alreadyVerified,
+      message: result.alreadyVerified
+        ? 'Email is already verified.'
+        : 'Verification email sent.',
+    }),
+    {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    }
+  );
+}
+
+/**
+ * Get in-memory mail outbox (inter-worker, local development only - see requireOutboxTransport)
+ */
+export async function getMailOutbox(request) {
+  const url = new URL(request.url);
+  const messages = getOutbox(url.searchParams.get('to'));
+  
+  return new Response(
+    JSON.stringify({ messages }),
+    { status: 200, headers: { 'Content-Type': 'application/json' } }
+  );
+}
+
 /**
  * Logout handler
  */
@@ -842,7 +1407,7 @@ export async function logout(request, env, ctx) {
         const { getSessionById } = await import('../models/sessionModel.js');
         const session = await getSessionById(env.auth_db, sessionId);
         if (session) {
-          userId = session.userId;
+          userId = session.user_id;
         }
       } catch (e) {
         console.warn('[auth-worker] Could not get session for logging:', e.message);
@@ -851,6 +1416,14 @@ export async function logout(request, env, ctx) {
       await authService.logout(sessionId, env.auth_db);
     }
 
+    if (userId) {
+      await recordSecurityEvent(env.auth_db, request, {
+        type: SECURITY_EVENTS.LOGOUT,
+        userId,
+        metadata: { sessionId },
+      });
+    }
+
     // Event: Logout successful
     await sendLog(
       logWorkerBindingOrUrl,
@@ -0,0 +1,120 @@
+/**
+ * Key rotation controller
+ * Admin endpoints to start, advance and inspect encryption key rotation jobs
+ */
+
+import * as keyRotationService from '../services/keyRotationService.js';
+import { recordSecurityEvent, SECURITY_EVENTS, SECURITY_EVENT_OUTCOMES } from '../services/securityEventService.js';
+import { runRotationSchema } from '../validation/keyRotationValidation.js';
+import { ValidationError } from '../../shared/utils/errors.js';
+import { sendLog } from '../../shared/utils/logger.js';
+
+/**
+ * Log a key rotation event and add it to the security audit trail
+ */
+async function logRotationEvent(message, request, env, ctx, metadata, outcome = SECURITY_EVENT_OUTCOMES.SUCCESS) {
+  await recordSecurityEvent(env.auth_db, request, {
+    type: SECURITY_EVENTS.KEY_ROTATION,
+    outcome,
+    actorId: request.user.userId,
+    metadata: { message, ...metadata },
+  });
+
+  await sendLog(
+    env.log_worker || env.LOG_WORKER_URL,
+    'event',
+    message,
+    {
+      worker: 'auth-worker',
+      securityEvent: 'key_rotation',
+      adminUserId: request.user.userId,
+      ...metadata,
+    },
+    env.INTER_WORKER_API_KEY,
+    ctx,
+    request
+  );
+}
+
+/**
+ * Start (or resume) a rotation to the current key handler
+ */
+export async function startRotation(request, env, ctx) {
+  const { job, resumed } = await keyRotationService.startRotation(
+    request.user.userId,
+    env.auth_db,
+    env.ENCRYPTION_KEY
+  );
+
+  if (!resumed) {
+    await logRotationEvent('Security: encryption key rotation started', request, env, ctx, {
+      jobId: job.jobId,
+      targetKeyId: job.targetKeyId,
+    });
+  }
+
+  return new Response(
+    JSON.stringify({ ...job, resumed }),
+    {
+      status: resumed ? 200 : 201,
+      headers: { 'Content-Type': 'application/json' },
+    }
+  );
+}
+
+/**
+ * Run the next batch of a rotation job handler
+ */
+export async function runRotation(request, env, ctx) {
+  const body = await request.json().catch(() => ({}));
+
+  const { error, value } = runRotationSchema.validate(body);
+  if (error) {
+    throw new ValidationError(error.details[0].message, error.details);
+  }
+
+  const job = await keyRotationService.runRotationBatch(request.params.jobId, env, value.batchSize);
+
+  if (job.status === 'completed') {
+    await logRotationEvent('Security: encryption key rotation completed', request, env, ctx, {
+      jobId: job.jobId,
+      targetKeyId: job.targetKeyId,
+      usersRotated: job.users.rotated,
+      paymentsRotated: job.payments.rotated,
+      failed: job.failed,
+    });
+  } else if (job.status === 'completed_with_errors') {
+    // Old keys must stay loaded until the listed rows are fixed and a new rotation picks them up
+    await logRotationEvent('Security: encryption key rotation completed with errors', request, env, ctx, {
+      jobId: job.jobId,
+      targetKeyId: job.targetKeyId,
+      usersRotated: job.users.rotated,
+      paymentsRotated: job.payments.rotated,
+      failed: job.failed,
+      failedIds: job.failedIds,
+    }, SECURITY_EVENT_OUTCOMES.FAILURE);
+  }
+
+  return new Response(
+    JSON.stringify(job),
+    {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    }
+  );
+}
+
+/**
+ * Get rotation job status handler
+ */
+export async function getRotation(request, env) {
+  const job = await keyRotationService.getRotationStatus(request.params.jobId, env.auth_db);
+
+  return new Response(
+    JSON.stringify(job),
+    {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    }
+  );
+}
@@ -0,0 +1,184 @@
+/**
+ * Tests for keyRotationController
+ * Note: ES modules cannot be stubbed with Sinon, so we test with mock databases
+ */
+
+import { describe, it, beforeEach } from 'mocha';
+import { expect } from 'chai';
+import * as keyRotationController from './keyRotationController.js';
+import { createMockRequest, createMockEnv, createMockD1WithSequence, createMockServiceBinding, recordStatements } from '../../test/setup.js';
+import { NotFoundError, ValidationError } from '../../shared/utils/errors.js';
+import { resolveKeyring } from '../../shared/utils/encryption.js';
+
+describe('keyRotationController', () => {
+  let mockEnv;
+  let keyId;
+
+  beforeEach(() => {
+    mockEnv = createMockEnv({ payment_worker: createMockServiceBinding('payment-worker') });
+    keyId = resolveKeyring(mockEnv.ENCRYPTION_KEY).currentKeyId;
+  });
+
+  function adminRequest(path, options = {}) {
+    const request = createMockRequest(`https://auth-worker.test${path}`, { method: 'POST', ...options });
+    request.user = { userId: 'admin-123', sessionId: 'session-123', twoFactorVerified: true };
+    return request;
+  }
+
+  function jobRow(overrides = {}) {
+    return {
+      job_id: 'job-1',
+      target_key_id: keyId,
+      status: 'running',
+      users_cursor: 'user-9',
+      users_done: 1,
+      users_rotated: 10,
+      payments_cursor: null,
+      payments_done: 0,
+      payments_rotated: 0,
+      failed: 0,
+      started_by: 'admin-123',
+      created_at: '2024-01-01T00:00:00Z',
+      updated_at: '2024-01-01T00:00:00Z',
+      completed_at: null,
+      ...overrides,
+    };
+  }
+
+  describe('startRotation', () => {
+    it('should create a job and record who started it', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([
+        { first: null },
+        { run: { success: true, meta: { changes: 1 } } },
+        { run: { success: true, meta: { changes: 1 } } },
+      ]);
+      const statements = recordStatements(mockEnv.auth_db);
+
+      const response = await keyRotationController.startRotation(adminRequest('/admin/key-rotations'), mockEnv, null);
+      const data = await response.json();
+
+      expect(response.status).to.equal(201);
+      expect(data).to.include({ targetKeyId: keyId, status: 'running', startedBy: 'admin-123', resumed: false });
+      const insert = statements.find(s => s.query.includes('INSERT INTO key_rotation_jobs'));
+      expect(insert.args.slice(0, 3)).to.deep.equal([data.jobId, keyId, 'admin-123']);
+      const audit = statements.find(s => s.query.includes('INSERT INTO security_events'));
+      expect(audit.args.slice(1, 5)).to.deep.equal(['key_rotation', 'success', null, 'admin-123']);
+      expect(JSON.parse(audit.args[7])).to.include({ jobId: data.jobId, targetKeyId: keyId });
+    });
+
+    it('should resume a running job for the current key instead of creating one', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([{ first: jobRow() }]);
+      const statements = recordStatements(mockEnv.auth_db);
+
+      const response = await keyRotationController.startRotation(adminRequest('/admin/key-rotations'), mockEnv, null);
+      const data = await response.json();
+
+      expect(response.status).to.equal(200);
+      expect(data).to.include({ jobId: 'job-1', resumed: true });
+      expect(statements.some(s => s.query.includes('INSERT'))).to.be.false;
+    });
+  });
+
+  describe('runRotation', () => {
+    it('should throw ValidationError for a batch size above the maximum', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([]);
+      const request = adminRequest('/admin/key-rotations/job-1/run', { body: { batchSize: 100000 } });
+      request.params = { jobId: 'job-1' };
+
+      try {
+        await keyRotationController.runRotation(request, mockEnv, null);
+        expect.fail('Should have thrown ValidationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+      }
+    });
+
+    it('should throw NotFoundError for an unknown job', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([{ first: null }]);
+      const request = adminRequest('/admin/key-rotations/missing/run', { body: {} });
+      request.params = { jobId: 'missing' };
+
+      try {
+        await keyRotationController.runRotation(request, mockEnv, null);
+        expect.fail('Should have thrown NotFoundError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(NotFoundError);
+      }
+    });
+
+    it('should complete the job once the last payments are rotated and record it', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([
+        { first: jobRow() },
+        { run: { success: true, meta: { changes: 1 } } },
+        { run: { success: true, meta: { changes: 1 } } },
+      ]);
+      const statements = recordStatements(mockEnv.auth_db);
+      mockEnv.payment_worker._setResponse('POST', '/payments/rotate-encryption', {
+        keyId, rotated: 4, failed: 0, nextCursor: 'payment-4', done: true,
+      });
+      const request = adminRequest('/admin/key-rotations/job-1/run', { body: { batchSize: 50 } });
+      request.params = { jobId: 'job-1' };
+
+      const response = await keyRotationController.runRotation(request, mockEnv, null);
+      const data = await response.json();
+
+      expect(response.status).to.equal(200);
+      expect(data.status).to.equal('completed');
+      const save = statements.find(s => s.query.includes('UPDATE key_rotation_jobs'));
+      expect(save.args.slice(0, 8)).to.deep.equal(['completed', 'user-9', 1, 10, 'payment-4', 1, 4, 0]);
+      const audit = statements.find(s => s.query.includes('INSERT INTO security_events'));
+      expect(JSON.parse(audit.args[7])).to.include({ jobId: 'job-1', usersRotated: 10, paymentsRotated: 4, failed: 0 });
+    });
+
+    it('should record a failed rotation when rows could not be re-encrypted', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([
+        { first: jobRow() },
+        { run: { success: true, meta: { changes: 1 } } },
+        { run: { success: true, meta: { changes: 1 } } },
+      ]);
+      const statements = recordStatements(mockEnv.auth_db);
+      mockEnv.payment_worker._setResponse('POST', '/payments/rotate-encryption', {
+        keyId, rotated: 3, failed: 1, failedIds: ['payment-2'], nextCursor: 'payment-4', done: true,
+      });
+      const request = adminRequest('/admin/key-rotations/job-1/run', { body: { batchSize: 50 } });
+      request.params = { jobId: 'job-1' };
+
+      const response = await keyRotationController.runRotation(request, mockEnv, null);
+      const data = await response.json();
+
+      expect(data.status).to.equal('completed_with_errors');
+      const audit = statements.find(s => s.query.includes('INSERT INTO security_events'));
+      expect(audit.args.slice(1, 3)).to.deep.equal(['key_rotation', 'failure']);
+      expect(JSON.parse(audit.args[7]).failedIds).to.deep.equal({ users: [], payments: ['payment-2'] });
+    });
+  });
+
+  describe('getRotation', () => {
+    it('should throw NotFoundError for an unknown job', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([{ first: null }]);
+      const request = adminRequest('/admin/key-rotations/missing', { method: 'GET' });
+      request.params = { jobId: 'missing' };
+
+      try {
+        await keyRotationController.getRotation(request, mockEnv);
+        expect.fail('Should have thrown NotFoundError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(NotFoundError);
+      }
+    });
+
+    it('should include the number of users still on older keys', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([
+        { first: jobRow() },
+        { first: { count: 3 } },
+      ]);
+      const request = adminRequest('/admin/key-rotations/job-1', { method: 'GET' });
+      request.params = { jobId: 'job-1' };
+
+      const response = await keyRotationController.getRotation(request, mockEnv);
+      const data = await response.json();
+
+      expect(data).to.include({ jobId: 'job-1', remainingUsers: 3 });
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * OAuth controller
+ * Browser-facing OpenID Connect endpoints: list providers, start a login, handle the provider callback
+ * The callback redirects to the frontend login page with a one-time code (or an error message);
+ * the page exchanges the code via POST /oauth/complete (authController.completeOAuthLogin)
+ */
+
+import * as oauthService from '../services/oauthService.js';
+import * as guestService from '../services/guestService.js';
+import { getOidcProviders, getOidcProvider } from '../utils/oidc.js';
+import { AppError } from '../../shared/utils/errors.js';
+import { sendLog } from '../../shared/utils/logger.js';
+import { getBlindIndexKey } from '../../shared/utils/encryption.js';
+
+const STATE_COOKIE = 'oauth_state';
+
+function getFrontendLoginUrl(env) {
+  return `${env.FRONTEND_URL || 'https://week2ecom-frontend.pages.dev'}/login`;
+}
+
+function getRedirectUri(request, providerName) {
+  return `${new URL(request.url).origin}/oauth/${providerName}/callback`;
+}
+
+/**
+ * Cookie binding the state to the browser that started the login
+ * SameSite=Lax so it is sent on the top-level redirect back from the provider
+ */
+function buildStateCookie(request, value, maxAge) {
+  const secureFlag = request.url.startsWith('https://') ? ' Secure;' : '';
+  return `${STATE_COOKIE}=${value}; HttpOnly;${secureFlag} SameSite=Lax; Path=/oauth; Max-Age=${maxAge}`;
+}
+
+function getStateCookie(request) {
+  const cookies = request.headers.get('Cookie') || '';
+  const match = cookies.match(new RegExp(`(?:^|;\\s*)${STATE_COOKIE}=([^;]+)`));
+  return match ? match[1] : null;
+}
+
+function redirect(location, cookie = null) {
+  const headers = new Headers({ Location: location });
+  if (cookie) {
+    headers.append('Set-Cookie', cookie);
+  }
+  return new Response(null, { status: 302, headers });
+}
+
+/**
+ * List configured providers handler (public)
+ */
+export async function listProviders(request, env) {
+  const providers = Object.values(getOidcProviders(env)).map(provider => ({
+    name: provider.name,
+    displayName: provider.displayName,
+  }));
+
+  return new Response(
+    JSON.stringify({ providers }),
+    {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    }
+  );
+}
+
+/**
+ * Start login handler - redirects the browser to the provider
+ * Query: returnTo (optional frontend path to land on after login)
+ */
+export async function startLogin(request, env) {
+  const provider = getOidcProvider(env, request.params.provider);
+  const returnTo = new URL(request.url).searchParams.get('returnTo');
+
+  const { authorizationUrl, state } = await oauthService.startLogin(provider, env.auth_db, {
+    redirectUri: getRedirectUri(request, provider.name),
+    returnTo,
+  });
+
+  return redirect(
+    authorizationUrl,
+    buildStateCookie(request, state, oauthService.OAUTH_STATE_TTL_MINUTES * 60)
+  );
+}
+
+/**
+ * Provider callback handler - always redirects back to the frontend login page
+ */
+export async function handleCallback(request, env, ctx) {
+  const logWorkerBindingOrUrl = env.log_worker || env.LOG_WORKER_URL;
+  const apiKey = env.INTER_WORKER_API_KEY;
+  const url = new URL(request.url);
+  const loginUrl = new URL(getFrontendLoginUrl(env));
+  const clearStateCookie = buildStateCookie(request, '', 0);
+  const providerName = request.params.provider;
+
+  try {
+    const provider = getOidcProvider(env, providerName);
+
+    const providerError = url.searchParams.get('error');
+    if (providerError) {
+      throw new AppError(
+        providerError === 'access_denied' ? 'Login was cancelled' : 'Login with the provider failed',
+        400,
+        'OAUTH_PROVIDER_ERROR'
+      );
+    }
+
+    const code = url.searchParams.get('code');
+    const state = url.searchParams.get('state');
+    if (!code || !state || state !== getStateCookie(request)) {
+      throw new AppError('Login attempt expired or is invalid. Please try again.', 400, 'OAUTH_STATE_MISMATCH');
+    }
+
+    const result = await oauthService.handleCallback(
+      provider,
+      { code, state, redirectUri: getRedirectUri(request, provider.name) },
+      env.auth_db,
+      env.ENCRYPTION_KEY,
+      getBlindIndexKey(env)
+    );
+
+    await sendLog(
+      logWorkerBindingOrUrl,
+      'event',
+      result.outcome === 'linked' ? 'Security: external identity linked' : 'OAuth callback completed',
+      {
+        worker: 'auth-worker',
+        userId: result.userId,
+        provider: provider.name,
+        outcome: result.outcome,
+        ...(result.outcome === 'linked' && { securityEvent: 'identity_linked' }),
+      },
+      apiKey,
+      ctx,
+      request
+    );
+
+    // The provider verified the email, so guest orders placed with it can be claimed
+    if (result.verifiedEmail) {
+      const claim = await guestService.claimGuestOrders(result.userId, result.verifiedEmail, env);
+      if (claim.error) {
+        await sendLog(
+          logWorkerBindingOrUrl,
+          'error',
+          'Claiming guest orders failed',
+          { worker: 'auth-worker', userId: result.userId, error: claim.error },
+          apiKey,
+          ctx,
+          request
+        );
+      }
+    }
+
+    loginUrl.searchParams.set('oauthCode', result.loginCode);
+    if (result.returnTo) {
+      loginUrl.searchParams.set('returnTo', result.returnTo);
+    }
+    return redirect(loginUrl.toString(), clearStateCookie);
+  } catch (error) {
+    console.error('[auth-worker] OAuth callback error:', error.message);
+
+    await sendLog(
+      logWorkerBindingOrUrl,
+      'error',
+      'OAuth callback failed',
+      {
+        worker: 'auth-worker',
+        provider: providerName,
+        error: error.message,
+        errorType: error.name || 'UnknownError',
+      },
+      apiKey,
+      ctx,
+      request
+    );
+
+    loginUrl.searchParams.set(
+      'oauthError',
+      error instanceof AppError ? error.message : 'Login with the provider failed. Please try again.'
+    );
+    return redirect(loginUrl.toString(), clearStateCookie);
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * Tests for oauthController
+ * Note: ES modules cannot be stubbed with Sinon, so we test with mock databases and a mock OIDC issuer
+ */
+
+import { describe, it, before, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import * as oauthController from './oauthController.js';
+import { clearOidcCache } from '../utils/oidc.js';
+import { hashToken } from '../utils/tokens.js';
+import { createMockRequest, createMockEnv, createMockD1WithSequence, createMockOidcIssuer, recordStatements } from '../../test/setup.js';
+import { NotFoundError } from '../../shared/utils/errors.js';
+
+describe('oauthController', () => {
+  let issuer;
+  let mockEnv;
+  const originalFetch = global.fetch;
+
+  before(async () => {
+    issuer = await createMockOidcIssuer();
+  });
+
+  beforeEach(() => {
+    clearOidcCache();
+    global.fetch = issuer.fetch;
+    mockEnv = createMockEnv({
+      FRONTEND_URL: 'https://shop.test',
+      OIDC_PROVIDERS: JSON.stringify({ mock: { displayName: 'Mock ID', issuer: issuer.issuer, clientId: issuer.clientId } }),
+      OIDC_MOCK_CLIENT_SECRET: 'provider-secret',
+    });
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  function callbackRequest(query, cookie = 'oauth_state=state-1') {
+    const request = createMockRequest(`https://auth-worker.test/oauth/mock/callback?${query}`, {
+      headers: cookie ? { 'Cookie': cookie } : {},
+    });
+    request.params = { provider: 'mock' };
+    return request;
+  }
+
+  describe('listProviders', () => {
+    it('should list provider names without their configuration', async () => {
+      const response = await oauthController.listProviders(createMockRequest('https://auth-worker.test/oauth/providers'), mockEnv);
+      const data = await response.json();
+
+      expect(response.status).to.equal(200);
+      expect(data.providers).to.deep.equal([{ name: 'mock', displayName: 'Mock ID' }]);
+    });
+  });
+
+  describe('startLogin', () => {
+    it('should redirect to the provider and bind the state to a cookie', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([{ run: { success: true, meta: { changes: 1 } } }]);
+      const statements = recordStatements(mockEnv.auth_db);
+      const request = createMockRequest('https://auth-worker.test/oauth/mock/start?returnTo=/cart');
+      request.params = { provider: 'mock' };
+
+      const response = await oauthController.startLogin(request, mockEnv);
+
+      expect(response.status).to.equal(302);
+      const location = new URL(response.headers.get('Location'));
+      expect(location.origin).to.equal(new URL(issuer.issuer).origin);
+      expect(location.searchParams.get('redirect_uri')).to.equal('https://auth-worker.test/oauth/mock/callback');
+
+      const state = location.searchParams.get('state');
+      const cookie = response.headers.get('Set-Cookie');
+      expect(cookie).to.include(`oauth_state=${state};`);
+      expect(cookie).to.include('HttpOnly;');
+      expect(cookie).to.include('SameSite=Lax; Path=/oauth;');
+
+      // Only the hash of the state is stored
+      expect(statements[0].args).to.include(await hashToken(state));
+      expect(statements[0].args).to.not.include(state);
+    });
+
+    it('should throw NotFoundError for an unconfigured provider', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([]);
+      const request = createMockRequest('https://auth-worker.test/oauth/other/start');
+      request.params = { provider: 'other' };
+
+      try {
+        await oauthController.startLogin(request, mockEnv);
+        expect.fail('Should have thrown NotFoundError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(NotFoundError);
+      }
+    });
+  });
+
+  describe('handleCallback', () => {
+    it('should redirect to the login page with an error when the user cancelled', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([]);
+      const statements = recordStatements(mockEnv.auth_db);
+
+      const response = await oauthController.handleCallback(callbackRequest('error=access_denied&state=state-1'), mockEnv, null);
+
+      expect(response.status).to.equal(302);
+      const location = new URL(response.headers.get('Location'));
+      expect(`${location.origin}${location.pathname}`).to.equal('https://shop.test/login');
+      expect(location.searchParams.get('oauthError')).to.equal('Login was cancelled');
+      expect(location.searchParams.has('oauthCode')).to.be.false;
+      expect(response.headers.get('Set-Cookie')).to.include('oauth_state=;');
+      expect(response.headers.get('Set-Cookie')).to.include('Max-Age=0');
+      expect(statements).to.have.length(0);
+    });
+
+    it('should reject a state that does not match the browser cookie', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([]);
+      const statements = recordStatements(mockEnv.auth_db);
+
+      const response = await oauthController.handleCallback(
+        callbackRequest('code=provider-code&state=state-1', 'oauth_state=state-2'),
+        mockEnv,
+        null
+      );
+
+      const location = new URL(response.headers.get('Location'));
+      expect(location.searchParams.get('oauthError')).to.include('expired or is invalid');
+      expect(statements).to.have.length(0);
+    });
+
+    it('should reject a callback without the state cookie', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([]);
+
+      const response = await oauthController.handleCallback(callbackRequest('code=provider-code&state=state-1', null), mockEnv, null);
+
+      const location = new URL(response.headers.get('Location'));
+      expect(location.searchParams.get('oauthError')).to.include('expired or is invalid');
+    });
+
+    it('should not leak internal error messages', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([{ first: null }]);
+      mockEnv.auth_db.prepare = () => {
+        throw new Error('D1_ERROR: no such table: oauth_states');
+      };
+
+      const response = await oauthController.handleCallback(callbackRequest('code=provider-code&state=state-1'), mockEnv, null);
+
+      const location = new URL(response.headers.get('Location'));
+      expect(location.searchParams.get('oauthError')).to.equal('Login with the provider failed. Please try again.');
+    });
+  });
+});
@@ -3,8 +3,10 @@
  */
 
 import * as profileService from '../services/profileService.js';
+import { recordSecurityEvent, SECURITY_EVENTS } from '../services/securityEventService.js';
 import { updateProfileSchema, addressSchema } from '../validation/profileValidation.js';
 import { ValidationError } from '../../shared/utils/errors.js';
+import { getBlindIndexKey } from '../../shared/utils/encryption.js';
 
 /**
  * Get profile handler
@@ -17,7 +19,11 @@ export async function getProfile(request, env) {
   );
 
   return new Response(
-    JSON.stringify(profile),
+    JSON.stringify({
+      ...profile,
+      // Whether the current session passed the second factor (checked by authenticateAdmin)
+      twoFactorVerified: request.user.twoFactorVerified === true,
+    }),
     {
       status: 200,
       headers: { 'Content-Type': 'application/json' },
@@ -41,7 +47,8 @@ export async function updateProfile(request, env) {
     request.user.userId,
     value,
     env.auth_db,
-    env.ENCRYPTION_KEY
+    env.ENCRYPTION_KEY,
+    getBlindIndexKey(env)
   );
 
   return new Response(
@@ -70,6 +77,11 @@ export async function updatePassword(request, env) {
     env.auth_db,
     env.ENCRYPTION_KEY
   );
+
+  await recordSecurityEvent(env.auth_db, request, {
+    type: SECURITY_EVENTS.PASSWORD_CHANGED,
+    userId: request.user.userId,
+  });
   
   return new Response(
     JSON.stringify({ success: true, message: 'Password updated successfully' }),
@@ -97,9 +109,17 @@ export async function addSavedAddress(request, env) {
     request.user.userId,
     value,
     env.auth_db,
-    env.ENCRYPTION_KEY
+    env.ENCRYPTION_KEY,
+    env.fulfillment_worker,
+    env.INTER_WORKER_API_KEY
   );
 
+  await recordSecurityEvent(env.auth_db, request, {
+    type: SECURITY_EVENTS.ADDRESS_ADDED,
+    userId: request.user.userId,
+    metadata: { addressId: updated.savedAddresses?.[updated.savedAddresses.length - 1]?.addressId || null },
+  });
+
   return new Response(
     JSON.stringify(updated),
     {
@@ -128,9 +148,17 @@ export async function updateSavedAddress(request, env) {
     addressId,
     value,
     env.auth_db,
-    env.ENCRYPTION_KEY
+    env.ENCRYPTION_KEY,
+    env.fulfillment_worker,
+    env.INTER_WORKER_API_KEY
   );
 
+  await recordSecurityEvent(env.auth_db, request, {
+    type: SECURITY_EVENTS.ADDRESS_UPDATED,
+    userId: request.user.userId,
+    metadata: { addressId },
+  });
+
   return new Response(
     JSON.stringify(updated),
     {
@@ -153,6 +181,12 @@ export async function deleteSavedAddress(request, env) {
     env.ENCRYPTION_KEY
   );
 
+  await recordSecurityEvent(env.auth_db, request, {
+    type: SECURITY_EVENTS.ADDRESS_DELETED,
+    userId: request.user.userId,
+    metadata: { addressId },
+  });
+
   return new Response(
     JSON.stringify(updated),
     {
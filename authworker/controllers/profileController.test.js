@@ -23,7 +23,7 @@ describe('profileController', () => {
     it('should return 200 with profile data', async () => {
       const { encrypt } = await import('../../shared/utils/encryption.js');
       const userData = { email: 'user@example.com', name: 'Test User' };
-      const encryptedData = encrypt(JSON.stringify(userData), mockEnv.ENCRYPTION_KEY);
+      const encryptedData = await encrypt(JSON.stringify(userData), mockEnv.ENCRYPTION_KEY, 'user-123');
       const user = {
         user_id: 'user-123',
         data: encryptedData,
@@ -44,6 +44,65 @@ describe('profileController', () => {
       expect(response.status).to.equal(200);
       expect(data).to.have.property('userId');
     });
+
+    it('should hide two-factor secrets and expose session verification', async () => {
+      const { encrypt } = await import('../../shared/utils/encryption.js');
+      const userData = {
+        email: 'admin@example.com',
+        password: 'hash',
+        isAdmin: true,
+        twoFactor: { enabled: true, secret: 'SECRET', recoveryCodes: ['hash-1'] },
+      };
+      const user = {
+        user_id: 'user-123',
+        data: await encrypt(JSON.stringify(userData), mockEnv.ENCRYPTION_KEY, 'user-123'),
+        created_at: '2024-01-01T00:00:00Z',
+        updated_at: '2024-01-01T00:00:00Z'
+      };
+      mockEnv.auth_db = createMockD1WithSequence([{ first: user }]);
+
+      const request = createMockRequest('https://auth-worker.test/profile');
+      request.user = { userId: 'user-123', twoFactorVerified: true };
+
+      const response = await profileController.getProfile(request, mockEnv);
+      const data = await response.json();
+
+      expect(data).to.not.have.property('password');
+      expect(data).to.not.have.property('twoFactor');
+      expect(data.twoFactorEnabled).to.be.true;
+      expect(data.twoFactorVerified).to.be.true;
+    });
+
+    it('should not grant a role for a legacy isAdmin flag', async () => {
+      const { encrypt } = await import('../../shared/utils/encryption.js');
+      const user = {
+        user_id: 'user-123',
+        data: await encrypt(JSON.stringify({ email: 'admin@example.com', isAdmin: true }), mockEnv.ENCRYPTION_KEY, 'user-123'),
+        created_at: '2024-01-01T00:00:00Z',
+        updated_at: '2024-01-01T00:00:00Z'
+      };
+      const queries = [];
+      mockEnv.auth_db = createMockD1WithSequence([
+        { first: user },
+        { all: { results: [] } }, // getUserRoles
+      ]);
+      const prepare = mockEnv.auth_db.prepare;
+      mockEnv.auth_db.prepare = (query) => {
+        queries.push(query);
+        return prepare(query);
+      };
+
+      const request = createMockRequest('https://auth-worker.test/profile');
+      request.user = { userId: 'user-123' };
+
+      const response = await profileController.getProfile(request, mockEnv);
+      const data = await response.json();
+
+      expect(data.isAdmin).to.be.false;
+      expect(data.roles).to.deep.equal([]);
+      // Reading a profile never writes (legacy admins are migrated by scripts/migrate-legacy-admins.js)
+      expect(queries.some(query => /INSERT|UPDATE/.test(query))).to.be.false;
+    });
   });
 
   describe('updateProfile', () => {
@@ -55,7 +114,7 @@ describe('profileController', () => {
 
       const { encrypt } = await import('../../shared/utils/encryption.js');
       const userData = { email: 'user@example.com', name: 'Updated Name', contactNumber: '9876543210' };
-      const encryptedData = encrypt(JSON.stringify(userData), mockEnv.ENCRYPTION_KEY);
+      const encryptedData = await encrypt(JSON.stringify(userData), mockEnv.ENCRYPTION_KEY, 'user-123');
       const user = {
         user_id: 'user-123',
         data: encryptedData,
@@ -103,13 +162,29 @@ describe('profileController', () => {
         expect(error).to.be.instanceOf(ValidationError);
       }
     });
+
+    it('should not accept a password change through the profile', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([]);
+      const request = createMockRequest('https://auth-worker.test/profile', {
+        method: 'PUT',
+        body: { name: 'Updated Name', password: 'NewPassword123' }
+      });
+      request.user = { userId: 'user-123' };
+
+      try {
+        await profileController.updateProfile(request, mockEnv);
+        expect.fail('Should have thrown ValidationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+      }
+    });
   });
 
   describe('updatePassword', () => {
     it('should return 200 when password is updated', async () => {
       const { encrypt } = await import('../../shared/utils/encryption.js');
       const userData = { email: 'user@example.com', name: 'Test User' };
-      const encryptedData = encrypt(JSON.stringify(userData), mockEnv.ENCRYPTION_KEY);
+      const encryptedData = await encrypt(JSON.stringify(userData), mockEnv.ENCRYPTION_KEY, 'user-123');
       const user = {
         user_id: 'user-123',
         data: encryptedData
@@ -167,7 +242,7 @@ describe('profileController', () => {
 
       const { encrypt } = await import('../../shared/utils/encryption.js');
       const userData = { email: 'user@example.com', name: 'Test User', savedAddresses: [addressData] };
-      const encryptedData = encrypt(JSON.stringify(userData), mockEnv.ENCRYPTION_KEY);
+      const encryptedData = await encrypt(JSON.stringify(userData), mockEnv.ENCRYPTION_KEY, 'user-123');
       const user = {
         user_id: 'user-123',
         data: encryptedData,
@@ -243,7 +318,7 @@ describe('profileController', () => {
         contactNumber: '9876543210'
       };
       const userData = { email: 'user@example.com', name: 'Test User', savedAddresses: [existingAddress] };
-      const encryptedData = encrypt(JSON.stringify(userData), mockEnv.ENCRYPTION_KEY);
+      const encryptedData = await encrypt(JSON.stringify(userData), mockEnv.ENCRYPTION_KEY, 'user-123');
       const user = {
         user_id: 'user-123',
         data: encryptedData,
@@ -286,7 +361,7 @@ describe('profileController', () => {
         contactNumber: '9876543210'
       };
       const userData = { email: 'user@example.com', name: 'Test User', savedAddresses: [addressToDelete] };
-      const encryptedData = encrypt(JSON.stringify(userData), mockEnv.ENCRYPTION_KEY);
+      const encryptedData = await encrypt(JSON.stringify(userData), mockEnv.ENCRYPTION_KEY, 'user-123');
       const user = {
         user_id: 'user-123',
         data: encryptedData,
@@ -317,7 +392,7 @@ describe('profileController', () => {
     it('should return 200 with user profile', async () => {
       const { encrypt } = await import('../../shared/utils/encryption.js');
       const userData = { email: 'user@example.com', name: 'Test User' };
-      const encryptedData = encrypt(JSON.stringify(userData), mockEnv.ENCRYPTION_KEY);
+      const encryptedData = await encrypt(JSON.stringify(userData), mockEnv.ENCRYPTION_KEY, 'user-123');
       const user = {
         user_id: 'user-123',
         data: encryptedData,
@@ -0,0 +1,138 @@
+/**
+ * Role controller
+ * Admin endpoints to inspect, assign and revoke roles
+ */
+
+import * as roleService from '../services/roleService.js';
+import * as profileService from '../services/profileService.js';
+import { recordSecurityEvent, SECURITY_EVENTS, SECURITY_EVENT_OUTCOMES } from '../services/securityEventService.js';
+import { assignRoleSchema } from '../validation/roleValidation.js';
+import { authorizeAdmin } from '../../shared/utils/adminAuth.js';
+import { ValidationError } from '../../shared/utils/errors.js';
+import { sendLog } from '../../shared/utils/logger.js';
+
+/**
+ * Check the authenticated user holds a permission (same rules as authenticateAdmin in other workers)
+ * Must run after authController.authenticate
+ * @param {Request} request - Authenticated request
+ * @param {Object} env - Environment variables
+ * @param {string} permission - Required permission
+ */
+export async function requirePermission(request, env, permission) {
+  const profile = await profileService.getProfile(request.user.userId, env.auth_db, env.ENCRYPTION_KEY);
+  try {
+    authorizeAdmin(
+      { ...profile, twoFactorVerified: request.user.twoFactorVerified === true },
+      env,
+      { permission }
+    );
+  } catch (error) {
+    await recordSecurityEvent(env.auth_db, request, {
+      type: SECURITY_EVENTS.PERMISSION_DENIED,
+      outcome: SECURITY_EVENT_OUTCOMES.FAILURE,
+      userId: request.user.userId,
+      metadata: { permission, path: new URL(request.url).pathname, reason: error.code },
+    });
+    throw error;
+  }
+}
+
+/**
+ * Log a role change and add it to the security audit trail
+ */
+async function logRoleEvent(message, type, request, env, ctx, metadata) {
+  await recordSecurityEvent(env.auth_db, request, {
+    type,
+    userId: metadata.userId,
+    actorId: request.user.userId,
+    metadata: { role: metadata.role },
+  });
+
+  await sendLog(
+    env.log_worker || env.LOG_WORKER_URL,
+    'event',
+    message,
+    {
+      worker: 'auth-worker',
+      adminUserId: request.user.userId,
+      ...metadata,
+    },
+    env.INTER_WORKER_API_KEY,
+    ctx,
+    request
+  );
+}
+
+/**
+ * List role definitions handler
+ */
+export async function listRoles() {
+  return new Response(
+    JSON.stringify({ roles: roleService.listRoleDefinitions() }),
+    {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    }
+  );
+}
+
+/**
+ * Get a user's roles handler
+ */
+export async function getUserRoles(request, env) {
+  const { userId } = request.params;
+
+  const result = await roleService.getUserRoleDetails(userId, env.auth_db);
+
+  return new Response(
+    JSON.stringify(result),
+    {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    }
+  );
+}
+
+/**
+ * Assign role handler
+ */
+export async function assignRole(request, env, ctx) {
+  const { userId } = request.params;
+  const body = await request.json().catch(() => ({}));
+
+  const { error, value } = assignRoleSchema.validate(body);
+  if (error) {
+    throw new ValidationError(error.details[0].message, error.details);
+  }
+
+  const result = await roleService.assignRole(userId, value.role, request.user.userId, env.auth_db);
+
+  await logRoleEvent('Admin role assigned', SECURITY_EVENTS.ROLE_ASSIGNED, request, env, ctx, { userId, role: value.role });
+
+  return new Response(
+    JSON.stringify(result),
+    {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    }
+  );
+}
+
+/**
+ * Revoke role handler
+ */
+export async function revokeRole(request, env, ctx) {
+  const { userId, role } = request.params;
+
+  const result = await roleService.revokeRole(userId, role, env.auth_db);
+
+  await logRoleEvent('Admin role revoked', SECURITY_EVENTS.ROLE_REVOKED, request, env, ctx, { userId, role });
+
+  return new Response(
+    JSON.stringify(result),
+    {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    }
+  );
+}
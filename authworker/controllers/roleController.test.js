@@ -0,0 +1,203 @@
+/**
+ * Tests for roleController
+ * Note: ES modules cannot be stubbed with Sinon, so we test with mock databases
+ */
+
+import { describe, it, beforeEach } from 'mocha';
+import { expect } from 'chai';
+import * as roleController from './roleController.js';
+import { createMockRequest, createMockEnv, createMockD1WithSequence, recordStatements } from '../../test/setup.js';
+import { AuthorizationError, ConflictError, NotFoundError, ValidationError } from '../../shared/utils/errors.js';
+import { encrypt } from '../../shared/utils/encryption.js';
+import { PERMISSIONS, ROLES } from '../../shared/utils/permissions.js';
+
+describe('roleController', () => {
+  let mockEnv;
+  let user;
+  let adminUser;
+
+  beforeEach(async () => {
+    mockEnv = createMockEnv();
+    user = {
+      user_id: 'user-456',
+      data: await encrypt(JSON.stringify({ email: 'staff@example.com' }), mockEnv.ENCRYPTION_KEY, 'user-456'),
+      created_at: '2024-01-01T00:00:00Z',
+      updated_at: '2024-01-01T00:00:00Z',
+    };
+    adminUser = {
+      ...user,
+      user_id: 'admin-123',
+      data: await encrypt(JSON.stringify({ email: 'admin@example.com' }), mockEnv.ENCRYPTION_KEY, 'admin-123'),
+    };
+  });
+
+  function adminRequest(path, options = {}) {
+    const request = createMockRequest(`https://auth-worker.test${path}`, options);
+    request.user = { userId: 'admin-123', sessionId: 'session-123', twoFactorVerified: true };
+    return request;
+  }
+
+  describe('requirePermission', () => {
+    it('should allow a role that grants the permission', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([
+        { first: adminUser },
+        { all: { results: [{ role: 'super_admin' }] } },
+      ]);
+      const statements = recordStatements(mockEnv.auth_db);
+
+      await roleController.requirePermission(adminRequest('/admin/roles'), mockEnv, PERMISSIONS.ROLES_MANAGE);
+
+      expect(statements.some(s => s.query.includes('security_events'))).to.be.false;
+    });
+
+    it('should throw AuthorizationError and record the denial when the permission is missing', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([
+        { first: adminUser },
+        { all: { results: [{ role: 'support_agent' }] } },
+        { run: { success: true, meta: { changes: 1 } } },
+      ]);
+      const statements = recordStatements(mockEnv.auth_db);
+
+      try {
+        await roleController.requirePermission(adminRequest('/admin/users/user-456/roles'), mockEnv, PERMISSIONS.ROLES_MANAGE);
+        expect.fail('Should have thrown AuthorizationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AuthorizationError);
+      }
+
+      const audit = statements.find(s => s.query.includes('INSERT INTO security_events'));
+      expect(audit.args.slice(1, 4)).to.deep.equal(['permission_denied', 'failure', 'admin-123']);
+      expect(JSON.parse(audit.args[7])).to.include({ permission: 'roles:manage', path: '/admin/users/user-456/roles' });
+    });
+
+    it('should reject users without any role', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([
+        { first: adminUser },
+        { all: { results: [] } },
+      ]);
+
+      try {
+        await roleController.requirePermission(adminRequest('/admin/roles'), mockEnv, PERMISSIONS.ROLES_MANAGE);
+        expect.fail('Should have thrown AuthorizationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AuthorizationError);
+      }
+    });
+  });
+
+  describe('listRoles', () => {
+    it('should return every role definition', async () => {
+      const response = await roleController.listRoles();
+      const data = await response.json();
+
+      expect(response.status).to.equal(200);
+      expect(data.roles.map(role => role.role)).to.deep.equal(Object.keys(ROLES));
+    });
+  });
+
+  describe('getUserRoles', () => {
+    it('should throw NotFoundError for an unknown user', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([{ first: null }]);
+      const request = adminRequest('/admin/users/missing/roles');
+      request.params = { userId: 'missing' };
+
+      try {
+        await roleController.getUserRoles(request, mockEnv);
+        expect.fail('Should have thrown NotFoundError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(NotFoundError);
+      }
+    });
+  });
+
+  describe('assignRole', () => {
+    it('should assign the role and record who granted it', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([
+        { first: user },
+        { run: { success: true, meta: { changes: 1 } } },
+        { first: user },
+        { all: { results: [{ user_id: 'user-456', role: 'support_agent', granted_by: 'admin-123', granted_at: '2024-01-02T00:00:00Z' }] } },
+        { run: { success: true, meta: { changes: 1 } } },
+      ]);
+      const statements = recordStatements(mockEnv.auth_db);
+      const request = adminRequest('/admin/users/user-456/roles', { method: 'POST', body: { role: 'support_agent' } });
+      request.params = { userId: 'user-456' };
+
+      const response = await roleController.assignRole(request, mockEnv, null);
+      const data = await response.json();
+
+      expect(response.status).to.equal(200);
+      expect(data.roles).to.deep.equal([{ role: 'support_agent', grantedBy: 'admin-123', grantedAt: '2024-01-02T00:00:00Z' }]);
+      const insert = statements.find(s => s.query.includes('INSERT OR IGNORE INTO user_roles'));
+      expect(insert.args.slice(0, 3)).to.deep.equal(['user-456', 'support_agent', 'admin-123']);
+      const audit = statements.find(s => s.query.includes('INSERT INTO security_events'));
+      expect(audit.args.slice(1, 5)).to.deep.equal(['role_assigned', 'success', 'user-456', 'admin-123']);
+    });
+
+    it('should throw ValidationError for an unknown role', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([]);
+      const statements = recordStatements(mockEnv.auth_db);
+      const request = adminRequest('/admin/users/user-456/roles', { method: 'POST', body: { role: 'owner' } });
+      request.params = { userId: 'user-456' };
+
+      try {
+        await roleController.assignRole(request, mockEnv, null);
+        expect.fail('Should have thrown ValidationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+      }
+      expect(statements).to.have.length(0);
+    });
+
+    it('should throw ConflictError when the user already has the role', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([
+        { first: user },
+        { run: { success: true, meta: { changes: 0 } } },
+      ]);
+      const request = adminRequest('/admin/users/user-456/roles', { method: 'POST', body: { role: 'support_agent' } });
+      request.params = { userId: 'user-456' };
+
+      try {
+        await roleController.assignRole(request, mockEnv, null);
+        expect.fail('Should have thrown ConflictError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ConflictError);
+      }
+    });
+  });
+
+  describe('revokeRole', () => {
+    it('should refuse to revoke the last super admin', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([
+        { all: { results: [{ role: 'super_admin' }] } },
+        { first: { count: 1 } },
+      ]);
+      const statements = recordStatements(mockEnv.auth_db);
+      const request = adminRequest('/admin/users/admin-123/roles/super_admin', { method: 'DELETE' });
+      request.params = { userId: 'admin-123', role: 'super_admin' };
+
+      try {
+        await roleController.revokeRole(request, mockEnv, null);
+        expect.fail('Should have thrown ConflictError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ConflictError);
+      }
+      expect(statements.some(s => s.query.includes('DELETE FROM user_roles'))).to.be.false;
+    });
+
+    it('should throw NotFoundError when the user does not hold the role', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([
+        { all: { results: [{ role: 'support_agent' }] } },
+      ]);
+      const request = adminRequest('/admin/users/user-456/roles/catalog_manager', { method: 'DELETE' });
+      request.params = { userId: 'user-456', role: 'catalog_manager' };
+
+      try {
+        await roleController.revokeRole(request, mockEnv, null);
+        expect.fail('Should have thrown NotFoundError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(NotFoundError);
+      }
+    });
+  });
+});
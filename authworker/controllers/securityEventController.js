@@ -0,0 +1,40 @@
+/**
+ * Security event controller
+ * Admin search of the audit trail and the user's own recent account activity
+ */
+
+import * as securityEventService from '../services/securityEventService.js';
+import { searchSecurityEventsSchema } from '../validation/securityEventValidation.js';
+import { ValidationError } from '../../shared/utils/errors.js';
+
+function jsonResponse(body) {
+  return new Response(
+    JSON.stringify(body),
+    {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    }
+  );
+}
+
+/**
+ * Search security events handler (?userId=&actorId=&eventType=&outcome=&ipAddress=&from=&to=&page=&limit=)
+ */
+export async function searchSecurityEvents(request, env) {
+  const url = new URL(request.url);
+  const { error, value } = searchSecurityEventsSchema.validate(Object.fromEntries(url.searchParams));
+  if (error) {
+    throw new ValidationError(error.details[0].message, error.details);
+  }
+
+  const result = await securityEventService.searchEvents(value, env.auth_db);
+  return jsonResponse(result);
+}
+
+/**
+ * Recent account activity handler (logged-in user)
+ */
+export async function getAccountActivity(request, env) {
+  const activity = await securityEventService.getAccountActivity(request.user.userId, env.auth_db);
+  return jsonResponse({ activity });
+}
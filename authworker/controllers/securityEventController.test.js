@@ -0,0 +1,101 @@
+/**
+ * Tests for securityEventController
+ * Note: ES modules cannot be stubbed with Sinon, so we test with mock databases
+ */
+
+import { describe, it, beforeEach } from 'mocha';
+import { expect } from 'chai';
+import * as securityEventController from './securityEventController.js';
+import { createMockRequest, createMockEnv, createMockD1WithSequence, recordStatements } from '../../test/setup.js';
+import { ValidationError } from '../../shared/utils/errors.js';
+
+describe('securityEventController', () => {
+  let mockEnv;
+
+  beforeEach(() => {
+    mockEnv = createMockEnv();
+  });
+
+  function authedRequest(path) {
+    const request = createMockRequest(`https://auth-worker.test${path}`);
+    request.user = { userId: 'user-123', sessionId: 'session-123' };
+    return request;
+  }
+
+  describe('searchSecurityEvents', () => {
+    it('should filter and paginate the audit trail', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([
+        { first: { total: 3 } },
+        {
+          all: {
+            results: [
+              { event_id: 'event-1', event_type: 'login', outcome: 'failure', user_id: null, actor_id: null, ip_address: '203.0.113.9', user_agent: 'curl/8.0', metadata: '{"reason":"AUTHENTICATION_ERROR"}', created_at: '2024-01-02T00:00:00.000Z' },
+            ],
+          },
+        },
+      ]);
+      const statements = recordStatements(mockEnv.auth_db);
+
+      const response = await securityEventController.searchSecurityEvents(
+        authedRequest('/admin/security-events?eventType=login&outcome=failure&from=2024-01-01&page=2&limit=2'),
+        mockEnv
+      );
+      const data = await response.json();
+
+      expect(response.status).to.equal(200);
+      expect(statements[0].query).to.include('WHERE event_type = ? AND outcome = ? AND created_at >= ?');
+      expect(statements[0].args).to.deep.equal(['login', 'failure', '2024-01-01T00:00:00.000Z']);
+      expect(statements[1].args.slice(-2)).to.deep.equal([2, 2]);
+      expect(data.pagination).to.deep.equal({ page: 2, limit: 2, total: 3, totalPages: 2, hasNext: false, hasPrev: true });
+      expect(data.events).to.have.length(1);
+    });
+
+    it('should throw ValidationError for an unknown event type', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([]);
+
+      try {
+        await securityEventController.searchSecurityEvents(authedRequest('/admin/security-events?eventType=drop_table'), mockEnv);
+        expect.fail('Should have thrown ValidationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+      }
+    });
+
+    it('should throw ValidationError when the range ends before it starts', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([]);
+
+      try {
+        await securityEventController.searchSecurityEvents(
+          authedRequest('/admin/security-events?from=2024-02-01&to=2024-01-01'),
+          mockEnv
+        );
+        expect.fail('Should have thrown ValidationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+      }
+    });
+  });
+
+  describe('getAccountActivity', () => {
+    it('should return the user\'s own events without metadata and flag admin actions', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([
+        {
+          all: {
+            results: [
+              { event_id: 'event-2', event_type: 'user_suspended', outcome: 'success', user_id: 'user-123', actor_id: 'admin-123', ip_address: '198.51.100.1', user_agent: 'Firefox', metadata: '{"reason":"Fraud"}', created_at: '2024-01-02T00:00:00.000Z' },
+              { event_id: 'event-1', event_type: 'login', outcome: 'success', user_id: 'user-123', actor_id: 'user-123', ip_address: '203.0.113.9', user_agent: 'Safari', metadata: null, created_at: '2024-01-01T00:00:00.000Z' },
+            ],
+          },
+        },
+      ]);
+      const statements = recordStatements(mockEnv.auth_db);
+
+      const response = await securityEventController.getAccountActivity(authedRequest('/profile/activity'), mockEnv);
+      const data = await response.json();
+
+      expect(statements[0].args[0]).to.equal('user-123');
+      expect(data.activity.map(event => [event.eventType, event.byAdmin])).to.deep.equal([['user_suspended', true], ['login', false]]);
+      expect(data.activity[0]).to.not.have.property('metadata');
+    });
+  });
+});
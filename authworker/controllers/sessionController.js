@@ -0,0 +1,105 @@
+/**
+ * Session controller
+ * Active session listing and remote logout for the logged-in user
+ */
+
+import * as sessionService from '../services/sessionService.js';
+import { recordSecurityEvent, SECURITY_EVENTS } from '../services/securityEventService.js';
+import { sendLog } from '../../shared/utils/logger.js';
+
+/**
+ * List sessions handler
+ */
+export async function listSessions(request, env) {
+  const sessions = await sessionService.listSessions(
+    request.user.userId,
+    request.user.sessionId,
+    env.auth_db
+  );
+
+  return new Response(
+    JSON.stringify({ sessions }),
+    {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    }
+  );
+}
+
+/**
+ * Revoke session handler
+ */
+export async function revokeSession(request, env, ctx) {
+  const { sessionId } = request.params;
+
+  await sessionService.revokeSession(request.user.userId, sessionId, env.auth_db);
+
+  await recordSecurityEvent(env.auth_db, request, {
+    type: SECURITY_EVENTS.SESSION_REVOKED,
+    userId: request.user.userId,
+    metadata: { sessionId },
+  });
+
+  await sendLog(
+    env.log_worker || env.LOG_WORKER_URL,
+    'event',
+    'Session revoked by user',
+    {
+      worker: 'auth-worker',
+      userId: request.user.userId,
+      sessionId,
+      current: sessionId === request.user.sessionId,
+    },
+    env.INTER_WORKER_API_KEY,
+    ctx,
+    request
+  );
+
+  return new Response(
+    JSON.stringify({ success: true, sessionId }),
+    {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    }
+  );
+}
+
+/**
+ * Log out everywhere else handler
+ */
+export async function revokeOtherSessions(request, env, ctx) {
+  const revoked = await sessionService.revokeOtherSessions(
+    request.user.userId,
+    request.user.sessionId,
+    env.auth_db
+  );
+
+  await recordSecurityEvent(env.auth_db, request, {
+    type: SECURITY_EVENTS.SESSION_REVOKED,
+    userId: request.user.userId,
+    metadata: { otherSessions: true, revoked },
+  });
+
+  await sendLog(
+    env.log_worker || env.LOG_WORKER_URL,
+    'event',
+    'Other sessions revoked by user',
+    {
+      worker: 'auth-worker',
+      userId: request.user.userId,
+      sessionId: request.user.sessionId,
+      revoked,
+    },
+    env.INTER_WORKER_API_KEY,
+    ctx,
+    request
+  );
+
+  return new Response(
+    JSON.stringify({ success: true, revoked }),
+    {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    }
+  );
+}
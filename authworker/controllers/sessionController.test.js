@@ -0,0 +1,106 @@
+/**
+ * Tests for sessionController
+ * Note: ES modules cannot be stubbed with Sinon, so we test with mock databases
+ */
+
+import { describe, it, beforeEach } from 'mocha';
+import { expect } from 'chai';
+import * as sessionController from './sessionController.js';
+import { createMockRequest, createMockEnv, createMockD1WithSequence, recordStatements } from '../../test/setup.js';
+import { NotFoundError } from '../../shared/utils/errors.js';
+
+describe('sessionController', () => {
+  let mockEnv;
+  let request;
+
+  beforeEach(() => {
+    mockEnv = createMockEnv();
+    request = createMockRequest('https://auth-worker.test/sessions');
+    request.user = { userId: 'user-123', sessionId: 'session-current' };
+  });
+
+  describe('listSessions', () => {
+    it('should list only the user\'s sessions and flag the current one', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([
+        {
+          all: {
+            results: [
+              { session_id: 'session-current', user_agent: 'Firefox', ip_address: '203.0.113.1', two_factor_verified: 1, last_used_at: null, created_at: '2024-01-01T00:00:00.000Z', expires_at: '2099-01-01T00:00:00.000Z' },
+              { session_id: 'session-other', user_agent: 'Safari', ip_address: '203.0.113.2', two_factor_verified: 0, last_used_at: '2024-01-02T00:00:00.000Z', created_at: '2024-01-01T00:00:00.000Z', expires_at: '2099-01-01T00:00:00.000Z' },
+            ],
+          },
+        },
+      ]);
+      const statements = recordStatements(mockEnv.auth_db);
+
+      const response = await sessionController.listSessions(request, mockEnv);
+      const data = await response.json();
+
+      expect(response.status).to.equal(200);
+      expect(statements[0].args[0]).to.equal('user-123');
+      expect(data.sessions.map(session => [session.sessionId, session.current])).to.deep.equal([
+        ['session-current', true],
+        ['session-other', false],
+      ]);
+      expect(data.sessions[0].lastUsedAt).to.equal('2024-01-01T00:00:00.000Z');
+      expect(data.sessions[0]).to.not.have.property('refreshToken');
+    });
+  });
+
+  describe('revokeSession', () => {
+    it('should revoke the session scoped to the user and record a security event', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([
+        { run: { success: true, meta: { changes: 1 } } },
+        { run: { success: true, meta: { changes: 1 } } },
+      ]);
+      const statements = recordStatements(mockEnv.auth_db);
+      request.params = { sessionId: 'session-other' };
+
+      const response = await sessionController.revokeSession(request, mockEnv, null);
+      const data = await response.json();
+
+      expect(response.status).to.equal(200);
+      expect(data).to.deep.equal({ success: true, sessionId: 'session-other' });
+      expect(statements[0].query).to.include('user_id = ?');
+      expect(statements[0].args.slice(1)).to.deep.equal(['session-other', 'user-123']);
+      const audit = statements.find(s => s.query.includes('INSERT INTO security_events'));
+      expect(audit.args.slice(1, 4)).to.deep.equal(['session_revoked', 'success', 'user-123']);
+      expect(JSON.parse(audit.args[7])).to.deep.equal({ sessionId: 'session-other' });
+    });
+
+    it('should throw NotFoundError for a session of another user', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([
+        { run: { success: true, meta: { changes: 0 } } },
+      ]);
+      const statements = recordStatements(mockEnv.auth_db);
+      request.params = { sessionId: 'session-of-someone-else' };
+
+      try {
+        await sessionController.revokeSession(request, mockEnv, null);
+        expect.fail('Should have thrown NotFoundError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(NotFoundError);
+      }
+      expect(statements.some(s => s.query.includes('security_events'))).to.be.false;
+    });
+  });
+
+  describe('revokeOtherSessions', () => {
+    it('should keep the current session and report how many were revoked', async () => {
+      mockEnv.auth_db = createMockD1WithSequence([
+        { run: { success: true, meta: { changes: 2 } } },
+        { run: { success: true, meta: { changes: 1 } } },
+      ]);
+      const statements = recordStatements(mockEnv.auth_db);
+
+      const response = await sessionController.revokeOtherSessions(request, mockEnv, null);
+      const data = await response.json();
+
+      expect(data).to.deep.equal({ success: true, revoked: 2 });
+      expect(statements[0].query).to.include('session_id != ?');
+      expect(statements[0].args.slice(1)).to.deep.equal(['user-123', 'session-current']);
+      const audit = statements.find(s => s.query.includes('INSERT INTO security_events'));
+      expect(JSON.parse(audit.args[7])).to.deep.equal({ otherSessions: true, revoked: 2 });
+    });
+  });
+});
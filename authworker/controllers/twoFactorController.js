@@ -0,0 +1,144 @@
+/**
+ * Two-factor authentication controller
+ * TOTP enrollment and recovery code management for the logged-in user
+ */
+
+import * as twoFactorService from '../services/twoFactorService.js';
+import { markSessionTwoFactorVerified } from '../models/sessionModel.js';
+import { recordSecurityEvent, SECURITY_EVENTS } from '../services/securityEventService.js';
+import { twoFactorCodeSchema, twoFactorVerifySchema } from '../validation/authValidation.js';
+import { ValidationError } from '../../shared/utils/errors.js';
+import { sendLog } from '../../shared/utils/logger.js';
+
+/**
+ * Validate request body against a schema
+ */
+async function validateBody(request, schema) {
+  const body = await request.json().catch(() => ({}));
+  const { error, value } = schema.validate(body);
+  if (error) {
+    throw new ValidationError(error.details[0].message, error.details);
+  }
+  return value;
+}
+
+/**
+ * Log a two-factor settings change (and add it to the security audit trail when a type is given)
+ */
+async function logTwoFactorEvent(message, request, env, ctx, type = null) {
+  if (type) {
+    await recordSecurityEvent(env.auth_db, request, { type, userId: request.user.userId });
+  }
+
+  await sendLog(
+    env.log_worker || env.LOG_WORKER_URL,
+    'event',
+    message,
+    {
+      worker: 'auth-worker',
+      userId: request.user.userId,
+      sessionId: request.user.sessionId,
+    },
+    env.INTER_WORKER_API_KEY,
+    ctx,
+    request
+  );
+}
+
+/**
+ * Start TOTP enrollment handler
+ * Returns the secret and otpauth URI to show as a QR code
+ */
+export async function setupTwoFactor(request, env) {
+  const result = await twoFactorService.beginTwoFactorSetup(
+    request.user.userId,
+    env.auth_db,
+    env.ENCRYPTION_KEY,
+    env.TOTP_ISSUER || twoFactorService.DEFAULT_TOTP_ISSUER
+  );
+
+  return new Response(
+    JSON.stringify(result),
+    {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    }
+  );
+}
+
+/**
+ * Confirm TOTP enrollment handler
+ * The current session counts as 2FA-verified since the user just proved possession of the secret
+ */
+export async function enableTwoFactor(request, env, ctx) {
+  const { code } = await validateBody(request, twoFactorCodeSchema);
+
+  const { recoveryCodes } = await twoFactorService.confirmTwoFactorSetup(
+    request.user.userId,
+    code,
+    env.auth_db,
+    env.ENCRYPTION_KEY
+  );
+
+  await markSessionTwoFactorVerified(env.auth_db, request.user.sessionId);
+  await logTwoFactorEvent('Two-factor authentication enabled', request, env, ctx, SECURITY_EVENTS.TWO_FACTOR_ENABLED);
+
+  return new Response(
+    JSON.stringify({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; each can be used once.',
+      recoveryCodes,
+    }),
+    {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    }
+  );
+}
+
+/**
+ * Disable two-factor authentication handler
+ */
+export async function disableTwoFactor(request, env, ctx) {
+  const credentials = await validateBody(request, twoFactorVerifySchema);
+
+  await twoFactorService.disableTwoFactor(
+    request.user.userId,
+    credentials,
+    env.auth_db,
+    env.ENCRYPTION_KEY
+  );
+
+  await logTwoFactorEvent('Two-factor authentication disabled', request, env, ctx, SECURITY_EVENTS.TWO_FACTOR_DISABLED);
+
+  return new Response(
+    JSON.stringify({ message: 'Two-factor authentication disabled' }),
+    {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    }
+  );
+}
+
+/**
+ * Regenerate recovery codes handler
+ */
+export async function regenerateRecoveryCodes(request, env, ctx) {
+  const credentials = await validateBody(request, twoFactorVerifySchema);
+
+  const { recoveryCodes } = await twoFactorService.regenerateRecoveryCodes(
+    request.user.userId,
+    credentials,
+    env.auth_db,
+    env.ENCRYPTION_KEY
+  );
+
+  await logTwoFactorEvent('Two-factor recovery codes regenerated', request, env, ctx);
+
+  return new Response(
+    JSON.stringify({ recoveryCodes }),
+    {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    }
+  );
+}
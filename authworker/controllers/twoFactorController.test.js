@@ -0,0 +1,132 @@
+/**
+ * Tests for twoFactorController
+ * Note: ES modules cannot be stubbed with Sinon, so we test with mock databases
+ */
+
+import { describe, it, beforeEach } from 'mocha';
+import { expect } from 'chai';
+import * as twoFactorController from './twoFactorController.js';
+import { createMockRequest, createMockEnv } from '../../test/setup.js';
+import { AuthenticationError, ValidationError } from '../../shared/utils/errors.js';
+import { encrypt, decrypt } from '../../shared/utils/encryption.js';
+import { generateTotp, generateTotpSecret } from '../utils/totp.js';
+
+/**
+ * Mock D1 holding a single user row; records every write
+ */
+async function createUserDb(userData, encryptionKey) {
+  const user = {
+    user_id: 'user-123',
+    data: await encrypt(JSON.stringify(userData), encryptionKey, 'user-123'),
+  };
+  const writes = [];
+  return {
+    prepare: (query) => ({
+      bind: (...args) => ({
+        first: async () => (query.includes('FROM users') ? user : null),
+        all: async () => ({ results: [] }),
+        run: async () => {
+          writes.push({ query, args });
+          if (query.includes('UPDATE users')) {
+            user.data = args[0];
+          }
+          return { success: true, meta: { changes: 1 } };
+        },
+      }),
+    }),
+    writes,
+    read: async () => JSON.parse(await decrypt(user.data, encryptionKey, 'user-123')),
+  };
+}
+
+function authedRequest(path, body = null) {
+  const request = createMockRequest(`https://auth-worker.test${path}`, { method: 'POST', body });
+  request.user = { userId: 'user-123', sessionId: 'session-123' };
+  return request;
+}
+
+describe('twoFactorController', () => {
+  let mockEnv;
+
+  beforeEach(() => {
+    mockEnv = createMockEnv();
+  });
+
+  describe('setupTwoFactor', () => {
+    it('should return the secret and an otpauth URI with the configured issuer', async () => {
+      mockEnv.auth_db = await createUserDb({ email: 'user@example.com' }, mockEnv.ENCRYPTION_KEY);
+      mockEnv.TOTP_ISSUER = 'Test Shop';
+
+      const response = await twoFactorController.setupTwoFactor(authedRequest('/2fa/setup'), mockEnv);
+      const data = await response.json();
+
+      expect(response.status).to.equal(200);
+      expect(data.secret).to.match(/^[A-Z2-7]+$/);
+      expect(data.otpauthUri).to.match(/^otpauth:\/\/totp\/Test%20Shop%3A/);
+    });
+  });
+
+  describe('enableTwoFactor', () => {
+    it('should enable 2FA, mark the session verified and record a security event', async () => {
+      const secret = generateTotpSecret();
+      mockEnv.auth_db = await createUserDb({ email: 'user@example.com', twoFactor: { enabled: false, pendingSecret: secret } }, mockEnv.ENCRYPTION_KEY);
+
+      const response = await twoFactorController.enableTwoFactor(
+        authedRequest('/2fa/enable', { code: await generateTotp(secret) }),
+        mockEnv,
+        null
+      );
+      const data = await response.json();
+
+      expect(response.status).to.equal(200);
+      expect(data.recoveryCodes).to.be.an('array').that.is.not.empty;
+      expect((await mockEnv.auth_db.read()).twoFactor.enabled).to.be.true;
+      const sessionUpdate = mockEnv.auth_db.writes.find(write => write.query.includes('UPDATE sessions'));
+      expect(sessionUpdate.args).to.include('session-123');
+      const audit = mockEnv.auth_db.writes.find(write => write.query.includes('INSERT INTO security_events'));
+      expect(audit.args.slice(1, 4)).to.deep.equal(['two_factor_enabled', 'success', 'user-123']);
+    });
+
+    it('should throw ValidationError without a code', async () => {
+      mockEnv.auth_db = await createUserDb({ email: 'user@example.com' }, mockEnv.ENCRYPTION_KEY);
+
+      try {
+        await twoFactorController.enableTwoFactor(authedRequest('/2fa/enable', {}), mockEnv, null);
+        expect.fail('Should have thrown ValidationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+      }
+      expect(mockEnv.auth_db.writes).to.have.length(0);
+    });
+  });
+
+  describe('disableTwoFactor', () => {
+    it('should reject a wrong code without changing anything', async () => {
+      const secret = generateTotpSecret();
+      mockEnv.auth_db = await createUserDb({ email: 'user@example.com', twoFactor: { enabled: true, secret, recoveryCodes: [] } }, mockEnv.ENCRYPTION_KEY);
+      const wrongCode = await generateTotp(secret) === '000000' ? '111111' : '000000';
+
+      try {
+        await twoFactorController.disableTwoFactor(authedRequest('/2fa/disable', { code: wrongCode }), mockEnv, null);
+        expect.fail('Should have thrown AuthenticationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AuthenticationError);
+      }
+      expect((await mockEnv.auth_db.read()).twoFactor.enabled).to.be.true;
+      expect(mockEnv.auth_db.writes.some(write => write.query.includes('security_events'))).to.be.false;
+    });
+  });
+
+  describe('regenerateRecoveryCodes', () => {
+    it('should throw ValidationError without a code or recovery code', async () => {
+      mockEnv.auth_db = await createUserDb({ email: 'user@example.com' }, mockEnv.ENCRYPTION_KEY);
+
+      try {
+        await twoFactorController.regenerateRecoveryCodes(authedRequest('/2fa/recovery-codes', {}), mockEnv, null);
+        expect.fail('Should have thrown ValidationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+      }
+    });
+  });
+});
@@ -1,10 +1,22 @@
 import { Router } from 'itty-router';
 import { errorHandler } from '../shared/utils/errors.js';
+import { loadEncryptionKeyring } from '../shared/utils/encryption.js';
 import { addCorsHeaders, handleOptions } from '../shared/utils/cors.js';
 import { validateApiKey } from '../shared/utils/interWorker.js';
 import { instrumentHandler, initRequestTrace, addTraceHeaders, createOtelConfig } from '../shared/utils/tracing.js';
 import * as authController from './controllers/authController.js';
 import * as profileController from './controllers/profileController.js';
+import * as twoFactorController from './controllers/twoFactorController.js';
+import * as sessionController from './controllers/sessionController.js';
+import * as roleController from './controllers/roleController.js';
+import * as oauthController from './controllers/oauthController.js';
+import * as accountDataController from './controllers/accountDataController.js';
+import * as keyRotationController from './controllers/keyRotationController.js';
+import * as adminUserController from './controllers/adminUserController.js';
+import * as apiTokenController from './controllers/apiTokenController.js';
+import * as securityEventController from './controllers/securityEventController.js';
+import { BruteForceLimiterDO } from '../shared/durableObjects/BruteForceLimiterDO.js';
+import { PERMISSIONS } from '../shared/utils/permissions.js';
 
 const router = Router();
 
@@ -14,9 +26,20 @@ router.options('*', handleOptions);
 // Public routes
 router.post('/signup', (request, env, ctx) => authController.signup(request, env, ctx));
 router.post('/login', (request, env, ctx) => authController.login(request, env, ctx));
+router.post('/login/2fa', (request, env, ctx) => authController.loginTwoFactor(request, env, ctx));
 router.post('/refresh', (request, env, ctx) => authController.refreshToken(request, env, ctx));
 router.post('/logout', (request, env, ctx) => authController.logout(request, env, ctx));
 router.post('/set-password', authController.setPassword); // Special endpoint for users without passwords
+router.post('/password/forgot', (request, env, ctx) => authController.forgotPassword(request, env, ctx));
+router.post('/password/reset', (request, env, ctx) => authController.resetPassword(request, env, ctx));
+router.post('/verify-email', (request, env, ctx) => authController.verifyEmail(request, env, ctx));
+router.post('/guest', (request, env) => authController.createGuestSession(request, env)); // Guest checkout session
+
+// OpenID Connect login (browser redirects; the callback sends a one-time code to the frontend)
+router.get('/oauth/providers', (request, env) => oauthController.listProviders(request, env));
+router.get('/oauth/:provider/start', (request, env) => oauthController.startLogin(request, env));
+router.get('/oauth/:provider/callback', (request, env, ctx) => oauthController.handleCallback(request, env, ctx));
+router.post('/oauth/complete', (request, env, ctx) => authController.completeOAuthLogin(request, env, ctx));
 
 // Protected routes (require authentication)
 router.get('/profile', async (request, env) => {
@@ -43,6 +66,132 @@ router.put('/profile/password', async (request, env) => {
   return await profileController.updatePassword(request, env);
 });
 
+// Account data export and deletion
+router.post('/profile/export', async (request, env, ctx) => {
+  const authResult = await authController.authenticate(request, env);
+  if (authResult instanceof Response) {
+    return authResult; // Return error response if authentication failed
+  }
+  return await accountDataController.exportAccountData(request, env, ctx);
+});
+
+router.delete('/profile', async (request, env, ctx) => {
+  const authResult = await authController.authenticate(request, env);
+  if (authResult instanceof Response) {
+    return authResult; // Return error response if authentication failed
+  }
+  return await accountDataController.deleteAccount(request, env, ctx);
+});
+
+router.get('/profile/data-requests', async (request, env) => {
+  const authResult = await authController.authenticate(request, env);
+  if (authResult instanceof Response) {
+    return authResult; // Return error response if authentication failed
+  }
+  return await accountDataController.listDataRequests(request, env);
+});
+
+// Recent logins, password and address changes on the account
+router.get('/profile/activity', async (request, env) => {
+  const authResult = await authController.authenticate(request, env);
+  if (authResult instanceof Response) {
+    return authResult; // Return error response if authentication failed
+  }
+  return await securityEventController.getAccountActivity(request, env);
+});
+
+router.post('/verify-email/resend', async (request, env) => {
+  const authResult = await authController.authenticate(request, env);
+  if (authResult instanceof Response) {
+    return authResult; // Return error response if authentication failed
+  }
+  return await authController.resendVerificationEmail(request, env);
+});
+
+// Session management routes
+router.get('/sessions', async (request, env) => {
+  const authResult = await authController.authenticate(request, env);
+  if (authResult instanceof Response) {
+    return authResult; // Return error response if authentication failed
+  }
+  return await sessionController.listSessions(request, env);
+});
+
+// Log out everywhere else (keeps the current session)
+router.delete('/sessions', async (request, env, ctx) => {
+  const authResult = await authController.authenticate(request, env);
+  if (authResult instanceof Response) {
+    return authResult; // Return error response if authentication failed
+  }
+  return await sessionController.revokeOtherSessions(request, env, ctx);
+});
+
+router.delete('/sessions/:sessionId', async (request, env, ctx) => {
+  const authResult = await authController.authenticate(request, env);
+  if (authResult instanceof Response) {
+    return authResult; // Return error response if authentication failed
+  }
+  return await sessionController.revokeSession(request, env, ctx);
+});
+
+// Personal access tokens (B2B scripting of cart and orders); managed from a browser session only
+router.get('/api-tokens', async (request, env) => {
+  const authResult = await authController.authenticate(request, env);
+  if (authResult instanceof Response) {
+    return authResult; // Return error response if authentication failed
+  }
+  return await apiTokenController.listApiTokens(request, env);
+});
+
+router.post('/api-tokens', async (request, env, ctx) => {
+  const authResult = await authController.authenticate(request, env);
+  if (authResult instanceof Response) {
+    return authResult; // Return error response if authentication failed
+  }
+  return await apiTokenController.createApiToken(request, env, ctx);
+});
+
+router.delete('/api-tokens/:tokenId', async (request, env, ctx) => {
+  const authResult = await authController.authenticate(request, env);
+  if (authResult instanceof Response) {
+    return authResult; // Return error response if authentication failed
+  }
+  return await apiTokenController.revokeApiToken(request, env, ctx);
+});
+
+// Two-factor authentication routes
+router.post('/2fa/setup', async (request, env) => {
+  const authResult = await authController.authenticate(request, env);
+  if (authResult instanceof Response) {
+    return authResult; // Return error response if authentication failed
+  }
+  return await twoFactorController.setupTwoFactor(request, env);
+});
+
+router.post('/2fa/enable', async (request, env, ctx) => {
+  const authResult = await authController.authenticate(request, env);
+  if (authResult instanceof Response) {
+    return authResult; // Return error response if authentication failed
+  }
+  return await twoFactorController.enableTwoFactor(request, env, ctx);
+});
+
+router.post('/2fa/disable', async (request, env, ctx) => {
+  const authResult = await authController.authenticate(request, env);
+  if (authResult instanceof Response) {
+    return authResult; // Return error response if authentication failed
+  }
+  return await twoFactorController.disableTwoFactor(request, env, ctx);
+});
+
+router.post('/2fa/recovery-codes', async (request, env, ctx) => {
+  const authResult = await authController.authenticate(request, env);
+  if (authResult instanceof Response) {
+    return authResult; // Return error response if authentication failed
+  }
+  return await twoFactorController.regenerateRecoveryCodes(request, env, ctx);
+});
+
 // Address management routes
 router.post('/profile/addresses', async (request, env) => {
   const authResult = await authController.authenticate(request, env);
@@ -68,10 +217,142 @@ router.delete('/profile/addresses/:addressId', async (request, env) => {
   return await profileController.deleteSavedAddress(request, env);
 });
 
+// Admin user management routes (search by exact email; actions need users:manage)
+router.get('/admin/users', async (request, env) => {
+  const authResult = await authController.authenticate(request, env);
+  if (authResult instanceof Response) {
+    return authResult; // Return error response if authentication failed
+  }
+  await roleController.requirePermission(request, env, PERMISSIONS.USERS_READ);
+  return await adminUserController.searchUsers(request, env);
+});
+
+router.get('/admin/users/:userId', async (request, env) => {
+  const authResult = await authController.authenticate(request, env);
+  if (authResult instanceof Response) {
+    return authResult; // Return error response if authentication failed
+  }
+  await roleController.requirePermission(request, env, PERMISSIONS.USERS_READ);
+  return await adminUserController.getUser(request, env);
+});
+
+router.post('/admin/users/:userId/suspend', async (request, env, ctx) => {
+  const authResult = await authController.authenticate(request, env);
+  if (authResult instanceof Response) {
+    return authResult; // Return error response if authentication failed
+  }
+  await roleController.requirePermission(request, env, PERMISSIONS.USERS_MANAGE);
+  return await adminUserController.suspendUser(request, env, ctx);
+});
+
+router.post('/admin/users/:userId/unsuspend', async (request, env, ctx) => {
+  const authResult = await authController.authenticate(request, env);
+  if (authResult instanceof Response) {
+    return authResult; // Return error response if authentication failed
+  }
+  await roleController.requirePermission(request, env, PERMISSIONS.USERS_MANAGE);
+  return await adminUserController.unsuspendUser(request, env, ctx);
+});
+
+router.post('/admin/users/:userId/logout', async (request, env, ctx) => {
+  const authResult = await authController.authenticate(request, env);
+  if (authResult instanceof Response) {
+    return authResult; // Return error response if authentication failed
+  }
+  await roleController.requirePermission(request, env, PERMISSIONS.USERS_MANAGE);
+  return await adminUserController.forceLogout(request, env, ctx);
+});
+
+router.post('/admin/users/:userId/password-reset', async (request, env, ctx) => {
+  const authResult = await authController.authenticate(request, env);
+  if (authResult instanceof Response) {
+    return authResult; // Return error response if authentication failed
+  }
+  await roleController.requirePermission(request, env, PERMISSIONS.USERS_MANAGE);
+  return await adminUserController.sendPasswordReset(request, env, ctx);
+});
+
+// Admin role management routes
+router.get('/admin/roles', async (request, env) => {
+  const authResult = await authController.authenticate(request, env);
+  if (authResult instanceof Response) {
+    return authResult; // Return error response if authentication failed
+  }
+  await roleController.requirePermission(request, env, PERMISSIONS.USERS_READ);
+  return await roleController.listRoles(request, env);
+});
+
+router.get('/admin/users/:userId/roles', async (request, env) => {
+  const authResult = await authController.authenticate(request, env);
+  if (authResult instanceof Response) {
+    return authResult; // Return error response if authentication failed
+  }
+  await roleController.requirePermission(request, env, PERMISSIONS.USERS_READ);
+  return await roleController.getUserRoles(request, env);
+});
+
+router.post('/admin/users/:userId/roles', async (request, env, ctx) => {
+  const authResult = await authController.authenticate(request, env);
+  if (authResult instanceof Response) {
+    return authResult; // Return error response if authentication failed
+  }
+  await roleController.requirePermission(request, env, PERMISSIONS.ROLES_MANAGE);
+  return await roleController.assignRole(request, env, ctx);
+});
+
+router.delete('/admin/users/:userId/roles/:role', async (request, env, ctx) => {
+  const authResult = await authController.authenticate(request, env);
+  if (authResult instanceof Response) {
+    return authResult; // Return error response if authentication failed
+  }
+  await roleController.requirePermission(request, env, PERMISSIONS.ROLES_MANAGE);
+  return await roleController.revokeRole(request, env, ctx);
+});
+
+// Security audit trail (append-only; filter by user, actor, event type, outcome, IP and time)
+router.get('/admin/security-events', async (request, env) => {
+  const authResult = await authController.authenticate(request, env);
+  if (authResult instanceof Response) {
+    return authResult; // Return error response if authentication failed
+  }
+  await roleController.requirePermission(request, env, PERMISSIONS.AUDIT_READ);
+  return await securityEventController.searchSecurityEvents(request, env);
+});
+
+// Encryption key rotation (re-encrypts stored data with ENCRYPTION_KEY_ID; call run until completed)
+router.post('/admin/key-rotation', async (request, env, ctx) => {
+  const authResult = await authController.authenticate(request, env);
+  if (authResult instanceof Response) {
+    return authResult; // Return error response if authentication failed
+  }
+  await roleController.requirePermission(request, env, PERMISSIONS.KEYS_ROTATE);
+  return await keyRotationController.startRotation(request, env, ctx);
+});
+
+router.post('/admin/key-rotation/:jobId/run', async (request, env, ctx) => {
+  const authResult = await authController.authenticate(request, env);
+  if (authResult instanceof Response) {
+    return authResult; // Return error response if authentication failed
+  }
+  await roleController.requirePermission(request, env, PERMISSIONS.KEYS_ROTATE);
+  return await keyRotationController.runRotation(request, env, ctx);
+});
+
+router.get('/admin/key-rotation/:jobId', async (request, env) => {
+  const authResult = await authController.authenticate(request, env);
+  if (authResult instanceof Response) {
+    return authResult; // Return error response if authentication failed
+  }
+  await roleController.requirePermission(request, env, PERMISSIONS.KEYS_ROTATE);
+  return await keyRotationController.getRotation(request, env);
+});
+
 // Inter-worker routes (private)
 router.get('/session/:sessionId', authController.validateWorkerRequest, authController.getSession);
 router.get('/user/:userId', authController.validateWorkerRequest, profileController.getUserById);
 router.get('/users/batch', authController.validateWorkerRequest, profileController.getUsersBatch);
+router.get('/outbox', authController.requireOutboxTransport, authController.validateWorkerRequest, authController.getMailOutbox);
+router.post('/api-tokens/verify', authController.validateWorkerRequest, apiTokenController.verifyApiToken);
 
 // Health check
 router.get('/health', authController.healthCheck);
@@ -80,7 +361,7 @@ router.get('/health', authController.healthCheck);
 router.get('/', () => new Response(JSON.stringify({ 
   service: 'auth-worker', 
   status: 'running',
-  endpoints: ['/signup', '/login', '/refresh', '/logout', '/profile', '/health']
+  endpoints: ['/signup', '/login', '/login/2fa', '/refresh', '/logout', '/password/forgot', '/password/reset', '/verify-email', '/oauth', '/profile', '/sessions', '/api-tokens', '/2fa', '/admin/roles', '/admin/security-events', '/admin/key-rotation', '/health']
 }), { 
   status: 200, 
   headers: { 'Content-Type': 'application/json' } 
@@ -120,6 +401,10 @@ const handler = {
       }));
       
       try {
+        // Keyring for encrypt/decrypt (ENCRYPTION_KEY plus keys added for rotation);
+        // a bad ENCRYPTION_KEYS config surfaces as the standard error response
+        loadEncryptionKeyring(env);
+        
         let response = await router.handle(request, env, ctx);
         
         // If router returns null/undefined, create error response
@@ -172,6 +457,20 @@ const handler = {
       }
     });
   },
+
+  // Cron trigger: purge sessions and tokens, hard-delete users past their grace period
+  async scheduled(event, env, ctx) {
+    console.log('[auth-worker] Scheduled event triggered:', event.cron);
+    
+    try {
+      const maintenanceService = await import('./services/maintenanceService.js');
+      const counts = await maintenanceService.runMaintenance(env, ctx);
+      console.log('[auth-worker] Scheduled maintenance completed:', counts);
+    } catch (error) {
+      console.error('[auth-worker] Error in scheduled event:', error.message, error.stack);
+      // Don't throw - the next run picks up whatever is left
+    }
+  },
 };
 
 // OpenTelemetry configuration for Honeycomb
@@ -181,3 +480,6 @@ const otelConfig = (env) => createOtelConfig(env, 'ecommerce-platform');
 // Export instrumented handler
 export default instrumentHandler(handler, otelConfig);
 
+// Export Durable Object class
+export { BruteForceLimiterDO };
+
@@ -0,0 +1,172 @@
+/**
+ * Personal access token model for auth worker
+ * Tokens are stored hashed; revoked tokens keep their row (revoked_at) so they still show in the token list
+ */
+
+/**
+ * Create personal access token
+ * @param {D1Database} db - Database instance
+ * @param {Object} token - { userId, name, tokenHash, tokenHint, scopes, expiresAt }
+ * @returns {Promise<Object>} Created token record
+ */
+export async function createApiToken(db, { userId, name, tokenHash, tokenHint, scopes, expiresAt }) {
+  const tokenId = crypto.randomUUID();
+  const now = new Date().toISOString();
+
+  const result = await db
+    .prepare(
+      `INSERT INTO api_tokens (token_id, user_id, name, token_hash, token_hint, scopes, expires_at, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+    )
+    .bind(tokenId, userId, name, tokenHash, tokenHint, JSON.stringify(scopes), expiresAt, now)
+    .run();
+
+  if (!result.success) {
+    throw new Error('Failed to create API token');
+  }
+
+  return {
+    token_id: tokenId,
+    user_id: userId,
+    name,
+    token_hint: tokenHint,
+    scopes: JSON.stringify(scopes),
+    expires_at: expiresAt,
+    last_used_at: null,
+    last_used_ip: null,
+    created_at: now,
+    revoked_at: null,
+  };
+}
+
+/**
+ * Get token by hash (revoked and expired tokens included; callers check)
+ * @param {D1Database} db - Database instance
+ * @param {string} tokenHash - SHA-256 hash of the token
+ * @returns {Promise<Object|null>} Token record or null
+ */
+export async function getApiTokenByHash(db, tokenHash) {
+  const result = await db
+    .prepare(
+      `SELECT token_id, user_id, name, scopes, expires_at, revoked_at
+       FROM api_tokens
+       WHERE token_hash = ?`
+    )
+    .bind(tokenHash)
+    .first();
+
+  return result || null;
+}
+
+/**
+ * List a user's tokens (newest first)
+ * @param {D1Database} db - Database instance
+ * @param {string} userId - User ID
+ * @returns {Promise<Object[]>} Token records (without hashes)
+ */
+export async function getUserApiTokens(db, userId) {
+  const result = await db
+    .prepare(
+      `SELECT token_id, user_id, name, token_hint, scopes, expires_at, last_used_at, last_used_ip, created_at, revoked_at
+       FROM api_tokens
+       WHERE user_id = ?
+       ORDER BY created_at DESC`
+    )
+    .bind(userId)
+    .all();
+
+  return result.results || [];
+}
+
+/**
+ * Count a user's usable tokens (not revoked, not expired)
+ * @param {D1Database} db - Database instance
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of active tokens
+ */
+export async function countActiveUserApiTokens(db, userId) {
+  const result = await db
+    .prepare(
+      `SELECT COUNT(*) as count FROM api_tokens
+       WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?`
+    )
+    .bind(userId, new Date().toISOString())
+    .first();
+
+  return result?.count || 0;
+}
+
+/**
+ * Revoke one of a user's tokens
+ * @param {D1Database} db - Database instance
+ * @param {string} userId - User ID
+ * @param {string} tokenId - Token ID
+ * @returns {Promise<boolean>} True if a token was revoked
+ */
+export async function revokeApiToken(db, userId, tokenId) {
+  const result = await db
+    .prepare(
+      `UPDATE api_tokens
+       SET revoked_at = ?
+       WHERE token_id = ? AND user_id = ? AND revoked_at IS NULL`
+    )
+    .bind(new Date().toISOString(), tokenId, userId)
+    .run();
+
+  return result.meta.changes > 0;
+}
+
+/**
+ * Revoke all of a user's tokens (suspension, account deletion)
+ * @param {D1Database} db - Database instance
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of tokens revoked
+ */
+export async function revokeUserApiTokens(db, userId) {
+  const result = await db
+    .prepare(
+      `UPDATE api_tokens
+       SET revoked_at = ?
+       WHERE user_id = ? AND revoked_at IS NULL`
+    )
+    .bind(new Date().toISOString(), userId)
+    .run();
+
+  return result.meta.changes || 0;
+}
+
+/**
+ * Record token use
+ * @param {D1Database} db - Database instance
+ * @param {string} tokenId - Token ID
+ * @param {string|null} ipAddress - Client IP of the request made with the token
+ * @returns {Promise<void>}
+ */
+export async function touchApiToken(db, tokenId, ipAddress = null) {
+  await db
+    .prepare(
+      `UPDATE api_tokens
+       SET last_used_at = ?, last_used_ip = ?
+       WHERE token_id = ?`
+    )
+    .bind(new Date().toISOString(), ipAddress, tokenId)
+    .run();
+}
+
+/**
+ * Permanently delete a user's tokens (hard delete of the user)
+ * @param {D1Database} db - Database instance
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of tokens deleted
+ */
+export async function deleteUserApiTokens(db, userId) {
+  const result = await db
+    .prepare(
+      `DELETE FROM api_tokens
+       WHERE user_id = ?`
+    )
+    .bind(userId)
+    .run();
+
+  return result.meta.changes || 0;
+}
@@ -0,0 +1,87 @@
+/**
+ * Tests for apiTokenModel
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import {
+  createApiToken,
+  getApiTokenByHash,
+  countActiveUserApiTokens,
+  revokeApiToken,
+  revokeUserApiTokens,
+} from './apiTokenModel.js';
+import { createMockD1WithSequence, recordStatements } from '../../test/setup.js';
+
+describe('apiTokenModel', () => {
+  describe('createApiToken', () => {
+    it('should store the hash and scopes as JSON without returning the hash', async () => {
+      const mockDb = createMockD1WithSequence([{ run: { success: true, meta: { changes: 1 } } }]);
+      const statements = recordStatements(mockDb);
+
+      const record = await createApiToken(mockDb, {
+        userId: 'user-id',
+        name: 'Reorders',
+        tokenHash: 'hash',
+        tokenHint: 'pat_abcdef',
+        scopes: ['cart:read'],
+        expiresAt: '2099-01-01T00:00:00Z',
+      });
+
+      expect(statements[0].args.slice(1, 7)).to.deep.equal(['user-id', 'Reorders', 'hash', 'pat_abcdef', '["cart:read"]', '2099-01-01T00:00:00Z']);
+      expect(record).to.include({ user_id: 'user-id', scopes: '["cart:read"]', revoked_at: null });
+      expect(record).to.not.have.property('token_hash');
+    });
+
+    it('should throw when the insert fails', async () => {
+      const mockDb = createMockD1WithSequence([{ run: { success: false, meta: { changes: 0 } } }]);
+
+      try {
+        await createApiToken(mockDb, { userId: 'user-id', name: 'x', tokenHash: 'hash', tokenHint: 'pat_', scopes: [], expiresAt: null });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('Failed to create API token');
+      }
+    });
+  });
+
+  describe('getApiTokenByHash', () => {
+    it('should return null for an unknown hash', async () => {
+      const mockDb = createMockD1WithSequence([{ first: null }]);
+
+      expect(await getApiTokenByHash(mockDb, 'unknown')).to.be.null;
+    });
+  });
+
+  describe('countActiveUserApiTokens', () => {
+    it('should return the count, or 0 without a row', async () => {
+      const mockDb = createMockD1WithSequence([{ first: { count: 3 } }, { first: null }]);
+
+      expect(await countActiveUserApiTokens(mockDb, 'user-id')).to.equal(3);
+      expect(await countActiveUserApiTokens(mockDb, 'user-id')).to.equal(0);
+    });
+  });
+
+  describe('revokeApiToken', () => {
+    it('should only revoke an active token of the user', async () => {
+      const mockDb = createMockD1WithSequence([
+        { run: { success: true, meta: { changes: 1 } } },
+        { run: { success: true, meta: { changes: 0 } } },
+      ]);
+      const statements = recordStatements(mockDb);
+
+      expect(await revokeApiToken(mockDb, 'user-id', 'token-id')).to.be.true;
+      expect(await revokeApiToken(mockDb, 'user-id', 'token-id')).to.be.false;
+      expect(statements[0].query).to.include('user_id = ? AND revoked_at IS NULL');
+      expect(statements[0].args.slice(1)).to.deep.equal(['token-id', 'user-id']);
+    });
+  });
+
+  describe('revokeUserApiTokens', () => {
+    it('should return the number of tokens revoked', async () => {
+      const mockDb = createMockD1WithSequence([{ run: { success: true, meta: { changes: 4 } } }]);
+
+      expect(await revokeUserApiTokens(mockDb, 'user-id')).to.equal(4);
+    });
+  });
+});
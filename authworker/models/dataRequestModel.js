@@ -0,0 +1,97 @@
+/**
+ * Data request model
+ * Audit trail of account data exports and deletions (one row per run, steps as JSON)
+ */
+
+/**
+ * Create a data request
+ * @param {D1Database} db - Database instance
+ * @param {string} userId - User ID
+ * @param {string} type - 'export' or 'delete'
+ * @returns {Promise<Object>} Created request
+ */
+export async function createDataRequest(db, userId, type) {
+  const requestId = crypto.randomUUID();
+  const now = new Date().toISOString();
+
+  const result = await db
+    .prepare(
+      `INSERT INTO data_requests (request_id, user_id, type, status, steps, created_at, updated_at)
+       VALUES (?, ?, ?, 'running', '[]', ?, ?)`
+    )
+    .bind(requestId, userId, type, now, now)
+    .run();
+
+  if (!result.success) {
+    throw new Error('Failed to create data request');
+  }
+
+  return {
+    requestId,
+    userId,
+    type,
+    status: 'running',
+    steps: [],
+    createdAt: now,
+  };
+}
+
+/**
+ * Save progress of a data request
+ * @param {D1Database} db - Database instance
+ * @param {string} requestId - Request ID
+ * @param {Object} progress - { status, steps, error }
+ * @returns {Promise<boolean>} True if updated
+ */
+export async function updateDataRequest(db, requestId, progress) {
+  const now = new Date().toISOString();
+  const finished = progress.status === 'completed' || progress.status === 'failed';
+
+  const result = await db
+    .prepare(
+      `UPDATE data_requests
+       SET status = ?, steps = ?, error = ?, updated_at = ?, completed_at = ?
+       WHERE request_id = ?`
+    )
+    .bind(
+      progress.status,
+      JSON.stringify(progress.steps),
+      progress.error || null,
+      now,
+      finished ? now : null,
+      requestId
+    )
+    .run();
+
+  return result.success && result.meta.changes > 0;
+}
+
+/**
+ * List a user's data requests (newest first)
+ * @param {D1Database} db - Database instance
+ * @param {string} userId - User ID
+ * @param {number} limit - Maximum number of requests
+ * @returns {Promise<Object[]>} Requests with parsed steps
+ */
+export async function getDataRequestsByUser(db, userId, limit = 20) {
+  const result = await db
+    .prepare(
+      `SELECT request_id, type, status, steps, error, created_at, completed_at
+       FROM data_requests
+       WHERE user_id = ?
+       ORDER BY created_at DESC
+       LIMIT ?`
+    )
+    .bind(userId, limit)
+    .all();
+
+  return (result.results || []).map(row => ({
+    requestId: row.request_id,
+    type: row.type,
+    status: row.status,
+    steps: JSON.parse(row.steps || '[]'),
+    error: row.error || null,
+    createdAt: row.created_at,
+    completedAt: row.completed_at || null,
+  }));
+}
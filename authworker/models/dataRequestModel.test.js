@@ -0,0 +1,82 @@
+/**
+ * Tests for dataRequestModel
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { createDataRequest, updateDataRequest, getDataRequestsByUser } from './dataRequestModel.js';
+import { createMockD1WithSequence, recordStatements } from '../../test/setup.js';
+
+describe('dataRequestModel', () => {
+  describe('createDataRequest', () => {
+    it('should create a running request', async () => {
+      const mockDb = createMockD1WithSequence([{ run: { success: true, meta: { changes: 1 } } }]);
+
+      const request = await createDataRequest(mockDb, 'user-id', 'export');
+
+      expect(request).to.include({ userId: 'user-id', type: 'export', status: 'running' });
+      expect(request.requestId).to.be.a('string');
+      expect(request.steps).to.deep.equal([]);
+    });
+
+    it('should throw when the insert fails', async () => {
+      const mockDb = createMockD1WithSequence([{ run: { success: false, meta: { changes: 0 } } }]);
+
+      try {
+        await createDataRequest(mockDb, 'user-id', 'delete');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('Failed to create data request');
+      }
+    });
+  });
+
+  describe('updateDataRequest', () => {
+    it('should set completed_at only once the request finished', async () => {
+      const mockDb = createMockD1WithSequence([
+        { run: { success: true, meta: { changes: 1 } } },
+        { run: { success: true, meta: { changes: 1 } } },
+      ]);
+      const statements = recordStatements(mockDb);
+
+      await updateDataRequest(mockDb, 'request-id', { status: 'running', steps: [{ name: 'orders', status: 'completed' }] });
+      await updateDataRequest(mockDb, 'request-id', { status: 'failed', steps: [], error: 'Cart worker failed' });
+
+      const [running, failed] = statements.map(statement => statement.args);
+      expect(running[1]).to.equal('[{"name":"orders","status":"completed"}]');
+      expect(running[2]).to.be.null;
+      expect(running[4]).to.be.null;
+      expect(failed[2]).to.equal('Cart worker failed');
+      expect(failed[4]).to.equal(failed[3]);
+      expect(failed[5]).to.equal('request-id');
+    });
+
+    it('should return false for an unknown request', async () => {
+      const mockDb = createMockD1WithSequence([{ run: { success: true, meta: { changes: 0 } } }]);
+
+      expect(await updateDataRequest(mockDb, 'missing', { status: 'completed', steps: [] })).to.be.false;
+    });
+  });
+
+  describe('getDataRequestsByUser', () => {
+    it('should map rows and default missing steps', async () => {
+      const mockDb = createMockD1WithSequence([
+        { all: { results: [{ request_id: 'request-id', type: 'export', status: 'running', steps: null, error: null, created_at: '2024-01-01T00:00:00Z', completed_at: null }] } },
+      ]);
+      const statements = recordStatements(mockDb);
+
+      const requests = await getDataRequestsByUser(mockDb, 'user-id', 5);
+
+      expect(statements[0].args).to.deep.equal(['user-id', 5]);
+      expect(requests).to.deep.equal([{
+        requestId: 'request-id',
+        type: 'export',
+        status: 'running',
+        steps: [],
+        error: null,
+        createdAt: '2024-01-01T00:00:00Z',
+        completedAt: null,
+      }]);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Email verification token model for auth worker
+ * Tokens are stored hashed, expire and can only be used once
+ */
+
+/**
+ * Create email verification token
+ * @param {D1Database} db - Database instance
+ * @param {string} userId - User ID
+ * @param {string} tokenHash - SHA-256 hash of the token
+ * @param {string} expiresAt - Expiry timestamp (ISO)
+ * @returns {Promise<Object>} Created token record
+ */
+export async function createEmailVerificationToken(db, userId, tokenHash, expiresAt) {
+  const tokenId = crypto.randomUUID();
+  const now = new Date().toISOString();
+  
+  const result = await db
+    .prepare(
+      `INSERT INTO email_verification_tokens (token_id, user_id, token_hash, expires_at, created_at)
+       VALUES (?, ?, ?, ?, ?)`
+    )
+    .bind(tokenId, userId, tokenHash, expiresAt, now)
+    .run();
+  
+  if (!result.success) {
+    throw new Error('Failed to create email verification token');
+  }
+  
+  return {
+    tokenId,
+    userId,
+    expiresAt,
+    createdAt: now,
+  };
+}
+
+/**
+ * Consume email verification token (single-use)
+ * Marks the token used only if it is unused and not expired, in one statement
+ * @param {D1Database} db - Database instance
+ * @param {string} tokenHash - SHA-256 hash of the token
+ * @returns {Promise<Object|null>} Consumed token (token_id, user_id) or null if invalid
+ */
+export async function consumeEmailVerificationToken(db, tokenHash) {
+  const now = new Date().toISOString();
+  
+  const result = await db
+    .prepare(
+      `UPDATE email_verification_tokens 
+       SET used_at = ? 
+       WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?
+       RETURNING token_id, user_id`
+    )
+    .bind(now, tokenHash, now)
+    .first();
+  
+  return result || null;
+}
+
+/**
+ * Invalidate all outstanding verification tokens for a user
+ * @param {D1Database} db - Database instance
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of tokens invalidated
+ */
+export async function invalidateUserVerificationTokens(db, userId) {
+  const result = await db
+    .prepare(
+      `UPDATE email_verification_tokens 
+       SET used_at = ? 
+       WHERE user_id = ? AND used_at IS NULL`
+    )
+    .bind(new Date().toISOString(), userId)
+    .run();
+  
+  return result.meta.changes || 0;
+}
+
+/**
+ * Delete verification tokens that were used, invalidated or have expired
+ * @param {D1Database} db - Database instance
+ * @returns {Promise<number>} Number of tokens deleted
+ */
+export async function deleteStaleVerificationTokens(db) {
+  const result = await db
+    .prepare(
+      `DELETE FROM email_verification_tokens 
+       WHERE used_at IS NOT NULL OR expires_at < ?`
+    )
+    .bind(new Date().toISOString())
+    .run();
+  
+  return result.meta.changes || 0;
+}
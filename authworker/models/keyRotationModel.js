@@ -0,0 +1,144 @@
+/**
+ * Key rotation model
+ * Progress of encryption key rotation jobs (cursors per table, so a job can resume after any batch)
+ */
+
+// Statuses of a job that went through every row (completed_at is set)
+const FINISHED_STATUSES = ['completed', 'completed_with_errors'];
+
+/**
+ * Map a job row to an object
+ */
+function toJob(row) {
+  return {
+    jobId: row.job_id,
+    targetKeyId: row.target_key_id,
+    status: row.status,
+    users: {
+      cursor: row.users_cursor || null,
+      done: row.users_done === 1,
+      rotated: row.users_rotated,
+    },
+    payments: {
+      cursor: row.payments_cursor || null,
+      done: row.payments_done === 1,
+      rotated: row.payments_rotated,
+    },
+    failed: row.failed,
+    failedIds: row.failed_ids ? JSON.parse(row.failed_ids) : { users: [], payments: [] },
+    startedBy: row.started_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    completedAt: row.completed_at || null,
+  };
+}
+
+/**
+ * Create a rotation job
+ * @param {D1Database} db - Database instance
+ * @param {string} targetKeyId - Key to re-encrypt to
+ * @param {string} startedBy - Admin user ID
+ * @returns {Promise<Object>} Created job
+ */
+export async function createRotationJob(db, targetKeyId, startedBy) {
+  const jobId = crypto.randomUUID();
+  const now = new Date().toISOString();
+
+  const result = await db
+    .prepare(
+      `INSERT INTO key_rotation_jobs (job_id, target_key_id, status, started_by, created_at, updated_at)
+       VALUES (?, ?, 'running', ?, ?, ?)`
+    )
+    .bind(jobId, targetKeyId, startedBy, now, now)
+    .run();
+
+  if (!result.success) {
+    throw new Error('Failed to create key rotation job');
+  }
+
+  return toJob({
+    job_id: jobId,
+    target_key_id: targetKeyId,
+    status: 'running',
+    users_done: 0,
+    users_rotated: 0,
+    payments_done: 0,
+    payments_rotated: 0,
+    failed: 0,
+    started_by: startedBy,
+    created_at: now,
+    updated_at: now,
+  });
+}
+
+/**
+ * Get a rotation job
+ * @param {D1Database} db - Database instance
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Job or null
+ */
+export async function getRotationJob(db, jobId) {
+  const row = await db
+    .prepare(
+      `SELECT * FROM key_rotation_jobs
+       WHERE job_id = ?`
+    )
+    .bind(jobId)
+    .first();
+
+  return row ? toJob(row) : null;
+}
+
+/**
+ * Get the running rotation job, if any
+ * @param {D1Database} db - Database instance
+ * @returns {Promise<Object|null>} Job or null
+ */
+export async function getRunningRotationJob(db) {
+  const row = await db
+    .prepare(
+      `SELECT * FROM key_rotation_jobs
+       WHERE status = 'running'
+       ORDER BY created_at DESC
+       LIMIT 1`
+    )
+    .first();
+
+  return row ? toJob(row) : null;
+}
+
+/**
+ * Save a rotation job's progress
+ * @param {D1Database} db - Database instance
+ * @param {Object} job - Job (as returned by getRotationJob)
+ * @returns {Promise<boolean>} True if updated
+ */
+export async function saveRotationJob(db, job) {
+  const now = new Date().toISOString();
+
+  const result = await db
+    .prepare(
+      `UPDATE key_rotation_jobs
+       SET status = ?, users_cursor = ?, users_done = ?, users_rotated = ?,
+           payments_cursor = ?, payments_done = ?, payments_rotated = ?, failed = ?, failed_ids = ?,
+           updated_at = ?, completed_at = ?
+       WHERE job_id = ?`
+    )
+    .bind(
+      job.status,
+      job.users.cursor,
+      job.users.done ? 1 : 0,
+      job.users.rotated,
+      job.payments.cursor,
+      job.payments.done ? 1 : 0,
+      job.payments.rotated,
+      job.failed,
+      JSON.stringify(job.failedIds),
+      now,
+      FINISHED_STATUSES.includes(job.status) ? now : null,
+      job.jobId
+    )
+    .run();
+
+  return result.success && result.meta.changes > 0;
+}
@@ -0,0 +1,115 @@
+/**
+ * Tests for keyRotationModel
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import {
+  createRotationJob,
+  getRotationJob,
+  getRunningRotationJob,
+  saveRotationJob,
+} from './keyRotationModel.js';
+import { createMockD1WithSequence, recordStatements } from '../../test/setup.js';
+
+describe('keyRotationModel', () => {
+  describe('createRotationJob', () => {
+    it('should create a running job with empty progress', async () => {
+      const mockDb = createMockD1WithSequence([{ run: { success: true, meta: { changes: 1 } } }]);
+
+      const job = await createRotationJob(mockDb, 'k2', 'admin-id');
+
+      expect(job).to.include({ targetKeyId: 'k2', status: 'running', startedBy: 'admin-id', failed: 0, completedAt: null });
+      expect(job.users).to.deep.equal({ cursor: null, done: false, rotated: 0 });
+      expect(job.payments).to.deep.equal({ cursor: null, done: false, rotated: 0 });
+    });
+
+    it('should throw when the insert fails', async () => {
+      const mockDb = createMockD1WithSequence([{ run: { success: false, meta: { changes: 0 } } }]);
+
+      try {
+        await createRotationJob(mockDb, 'k2', 'admin-id');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('Failed to create key rotation job');
+      }
+    });
+  });
+
+  describe('getRotationJob', () => {
+    it('should map the row', async () => {
+      const mockDb = createMockD1WithSequence([{
+        first: {
+          job_id: 'job-id',
+          target_key_id: 'k2',
+          status: 'running',
+          users_cursor: 'user-5',
+          users_done: 1,
+          users_rotated: 5,
+          payments_cursor: null,
+          payments_done: 0,
+          payments_rotated: 0,
+          failed: 1,
+          failed_ids: '{"users":["user-3"],"payments":[]}',
+          started_by: 'admin-id',
+          created_at: '2024-01-01T00:00:00Z',
+          updated_at: '2024-01-01T00:01:00Z',
+          completed_at: null,
+        },
+      }]);
+
+      const job = await getRotationJob(mockDb, 'job-id');
+
+      expect(job.users).to.deep.equal({ cursor: 'user-5', done: true, rotated: 5 });
+      expect(job.payments).to.deep.equal({ cursor: null, done: false, rotated: 0 });
+      expect(job.failed).to.equal(1);
+      expect(job.failedIds).to.deep.equal({ users: ['user-3'], payments: [] });
+    });
+
+    it('should return null for an unknown job', async () => {
+      const mockDb = createMockD1WithSequence([{ first: null }]);
+
+      expect(await getRotationJob(mockDb, 'missing')).to.be.null;
+    });
+  });
+
+  describe('getRunningRotationJob', () => {
+    it('should return null when no job is running', async () => {
+      const mockDb = createMockD1WithSequence([{ first: null }]);
+
+      expect(await getRunningRotationJob(mockDb)).to.be.null;
+    });
+  });
+
+  describe('saveRotationJob', () => {
+    it('should store progress and set completed_at only for finished jobs', async () => {
+      const mockDb = createMockD1WithSequence([
+        { run: { success: true, meta: { changes: 1 } } },
+        { run: { success: true, meta: { changes: 1 } } },
+        { run: { success: true, meta: { changes: 1 } } },
+      ]);
+      const statements = recordStatements(mockDb);
+      const job = {
+        jobId: 'job-id',
+        status: 'running',
+        users: { cursor: 'user-5', done: true, rotated: 5 },
+        payments: { cursor: null, done: false, rotated: 0 },
+        failed: 0,
+        failedIds: { users: [], payments: [] },
+      };
+      const failedIds = { users: ['user-3'], payments: [] };
+
+      expect(await saveRotationJob(mockDb, job)).to.be.true;
+      expect(await saveRotationJob(mockDb, { ...job, status: 'completed' })).to.be.true;
+      expect(await saveRotationJob(mockDb, { ...job, status: 'completed_with_errors', failed: 1, failedIds })).to.be.true;
+
+      const [running, completed, withErrors] = statements.map(statement => statement.args);
+      expect(running.slice(0, 8)).to.deep.equal(['running', 'user-5', 1, 5, null, 0, 0, 0]);
+      expect(running[10]).to.be.null;
+      expect(completed[10]).to.equal(completed[9]);
+      expect(completed[11]).to.equal('job-id');
+      expect(JSON.parse(withErrors[8])).to.deep.equal(failedIds);
+      expect(withErrors[10]).to.equal(withErrors[9]);
+    });
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * OAuth/OIDC model for auth worker
+ * Linked provider identities, in-flight login state and one-time login codes
+ * State and codes are stored hashed, expire after a short TTL and can only be used once
+ */
+
+/**
+ * Store state for a login started at a provider
+ * @param {D1Database} db - Database instance
+ * @param {Object} state - { stateHash, provider, codeVerifier, nonce, returnTo, expiresAt }
+ */
+export async function createOAuthState(db, state) {
+  const result = await db
+    .prepare(
+      `INSERT INTO oauth_states (state_hash, provider, code_verifier, nonce, return_to, expires_at, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`
+    )
+    .bind(
+      state.stateHash,
+      state.provider,
+      state.codeVerifier,
+      state.nonce,
+      state.returnTo || null,
+      state.expiresAt,
+      new Date().toISOString()
+    )
+    .run();
+
+  if (!result.success) {
+    throw new Error('Failed to create OAuth state');
+  }
+}
+
+/**
+ * Consume login state (single-use)
+ * Deletes the row and returns it only if it has not expired, in one statement
+ * @param {D1Database} db - Database instance
+ * @param {string} stateHash - SHA-256 hash of the state parameter
+ * @returns {Promise<Object|null>} State row (provider, code_verifier, nonce, return_to) or null if invalid
+ */
+export async function consumeOAuthState(db, stateHash) {
+  const result = await db
+    .prepare(
+      `DELETE FROM oauth_states
+       WHERE state_hash = ? AND expires_at > ?
+       RETURNING provider, code_verifier, nonce, return_to`
+    )
+    .bind(stateHash, new Date().toISOString())
+    .first();
+
+  return result || null;
+}
+
+/**
+ * Get the local user linked to a provider identity
+ * @param {D1Database} db - Database instance
+ * @param {string} provider - Provider name
+ * @param {string} subject - Provider's subject identifier
+ * @returns {Promise<Object|null>} Identity row or null
+ */
+export async function getIdentity(db, provider, subject) {
+  const result = await db
+    .prepare(
+      `SELECT provider, subject, user_id, created_at, last_login_at FROM user_identities
+       WHERE provider = ? AND subject = ?`
+    )
+    .bind(provider, subject)
+    .first();
+
+  return result || null;
+}
+
+/**
+ * Link a provider identity to a user
+ * @param {D1Database} db - Database instance
+ * @param {string} provider - Provider name
+ * @param {string} subject - Provider's subject identifier
+ * @param {string} userId - User ID
+ */
+export async function createIdentity(db, provider, subject, userId) {
+  const now = new Date().toISOString();
+
+  const result = await db
+    .prepare(
+      `INSERT INTO user_identities (provider, subject, user_id, created_at, last_login_at)
+       VALUES (?, ?, ?, ?, ?)`
+    )
+    .bind(provider, subject, userId, now, now)
+    .run();
+
+  if (!result.success) {
+    throw new Error('Failed to link identity');
+  }
+}
+
+/**
+ * Record a login with a linked identity
+ * @param {D1Database} db - Database instance
+ * @param {string} provider - Provider name
+ * @param {string} subject - Provider's subject identifier
+ */
+export async function touchIdentity(db, provider, subject) {
+  await db
+    .prepare(
+      `UPDATE user_identities
+       SET last_login_at = ?
+       WHERE provider = ? AND subject = ?`
+    )
+    .bind(new Date().toISOString(), provider, subject)
+    .run();
+}
+
+/**
+ * Get identities linked to a user
+ * @param {D1Database} db - Database instance
+ * @param {string} userId - User ID
+ * @returns {Promise<Object[]>} Identity rows
+ */
+export async function getUserIdentities(db, userId) {
+  const result = await db
+    .prepare(
+      `SELECT provider, subject, created_at, last_login_at FROM user_identities
+       WHERE user_id = ?
+       ORDER BY created_at`
+    )
+    .bind(userId)
+    .all();
+
+  return result.results || [];
+}
+
+/**
+ * Unlink every identity of a user (account deletion)
+ * @param {D1Database} db - Database instance
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of identities removed
+ */
+export async function deleteUserIdentities(db, userId) {
+  const result = await db
+    .prepare(
+      `DELETE FROM user_identities
+       WHERE user_id = ?`
+    )
+    .bind(userId)
+    .run();
+
+  return result.meta?.changes || 0;
+}
+
+/**
+ * Create a one-time login code for a completed provider login
+ * @param {D1Database} db - Database instance
+ * @param {string} codeHash - SHA-256 hash of the code
+ * @param {string} userId - User ID
+ * @param {string} provider - Provider name
+ * @param {string} expiresAt - Expiry timestamp (ISO)
+ */
+export async function createLoginCode(db, codeHash, userId, provider, expiresAt) {
+  const result = await db
+    .prepare(
+      `INSERT INTO oauth_login_codes (code_hash, user_id, provider, expires_at, created_at)
+       VALUES (?, ?, ?, ?, ?)`
+    )
+    .bind(codeHash, userId, provider, expiresAt, new Date().toISOString())
+    .run();
+
+  if (!result.success) {
+    throw new Error('Failed to create login code');
+  }
+}
+
+/**
+ * Consume a login code (single-use)
+ * @param {D1Database} db - Database instance
+ * @param {string} codeHash - SHA-256 hash of the code
+ * @returns {Promise<Object|null>} Code row (user_id, provider) or null if invalid
+ */
+export async function consumeLoginCode(db, codeHash) {
+  const result = await db
+    .prepare(
+      `DELETE FROM oauth_login_codes
+       WHERE code_hash = ? AND expires_at > ?
+       RETURNING user_id, provider`
+    )
+    .bind(codeHash, new Date().toISOString())
+    .first();
+
+  return result || null;
+}
+
+/**
+ * Delete abandoned OIDC states and login codes that have expired
+ * @param {D1Database} db - Database instance
+ * @returns {Promise<number>} Number of rows deleted
+ */
+export async function deleteExpiredOAuthRecords(db) {
+  const now = new Date().toISOString();
+
+  const states = await db
+    .prepare('DELETE FROM oauth_states WHERE expires_at < ?')
+    .bind(now)
+    .run();
+  const codes = await db
+    .prepare('DELETE FROM oauth_login_codes WHERE expires_at < ?')
+    .bind(now)
+    .run();
+
+  return (states.meta.changes || 0) + (codes.meta.changes || 0);
+}
@@ -0,0 +1,70 @@
+/**
+ * Tests for oauthModel
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import {
+  createOAuthState,
+  consumeOAuthState,
+  getIdentity,
+  createLoginCode,
+  consumeLoginCode,
+} from './oauthModel.js';
+import { createMockD1WithSequence } from '../../test/setup.js';
+
+describe('oauthModel', () => {
+  describe('createOAuthState', () => {
+    it('should throw error if database operation fails', async () => {
+      const db = createMockD1WithSequence([{ run: { success: false } }]);
+
+      try {
+        await createOAuthState(db, {
+          stateHash: 'hash',
+          provider: 'mock',
+          codeVerifier: 'verifier',
+          nonce: 'nonce',
+          expiresAt: new Date().toISOString(),
+        });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Failed to create OAuth state');
+      }
+    });
+  });
+
+  describe('consumeOAuthState', () => {
+    it('should return the consumed state', async () => {
+      const row = { provider: 'mock', code_verifier: 'verifier', nonce: 'nonce', return_to: null };
+      const db = createMockD1WithSequence([{ first: row }]);
+
+      expect(await consumeOAuthState(db, 'hash')).to.deep.equal(row);
+    });
+
+    it('should return null for unknown, used or expired state', async () => {
+      const db = createMockD1WithSequence([{ first: null }]);
+
+      expect(await consumeOAuthState(db, 'hash')).to.be.null;
+    });
+  });
+
+  describe('getIdentity', () => {
+    it('should return null when the identity is not linked', async () => {
+      const db = createMockD1WithSequence([{ first: null }]);
+
+      expect(await getIdentity(db, 'mock', 'subject-1')).to.be.null;
+    });
+  });
+
+  describe('login codes', () => {
+    it('should create and consume a code', async () => {
+      const db = createMockD1WithSequence([
+        { run: { success: true, meta: { changes: 1 } } },
+        { first: { user_id: 'user-1', provider: 'mock' } },
+      ]);
+
+      await createLoginCode(db, 'hash', 'user-1', 'mock', new Date(Date.now() + 60000).toISOString());
+      expect(await consumeLoginCode(db, 'hash')).to.deep.equal({ user_id: 'user-1', provider: 'mock' });
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Password reset token model for auth worker
+ * Tokens are stored hashed, expire after a short TTL and can only be used once
+ */
+
+/**
+ * Create password reset token
+ * @param {D1Database} db - Database instance
+ * @param {string} userId - User ID
+ * @param {string} tokenHash - SHA-256 hash of the token
+ * @param {string} expiresAt - Expiry timestamp (ISO)
+ * @returns {Promise<Object>} Created token record
+ */
+export async function createPasswordResetToken(db, userId, tokenHash, expiresAt) {
+  const tokenId = crypto.randomUUID();
+  const now = new Date().toISOString();
+  
+  const result = await db
+    .prepare(
+      `INSERT INTO password_reset_tokens (token_id, user_id, token_hash, expires_at, created_at)
+       VALUES (?, ?, ?, ?, ?)`
+    )
+    .bind(tokenId, userId, tokenHash, expiresAt, now)
+    .run();
+  
+  if (!result.success) {
+    throw new Error('Failed to create password reset token');
+  }
+  
+  return {
+    tokenId,
+    userId,
+    expiresAt,
+    createdAt: now,
+  };
+}
+
+/**
+ * Consume password reset token (single-use)
+ * Marks the token used only if it is unused and not expired, in one statement
+ * @param {D1Database} db - Database instance
+ * @param {string} tokenHash - SHA-256 hash of the token
+ * @returns {Promise<Object|null>} Consumed token (token_id, user_id) or null if invalid
+ */
+export async function consumePasswordResetToken(db, tokenHash) {
+  const now = new Date().toISOString();
+  
+  const result = await db
+    .prepare(
+      `UPDATE password_reset_tokens 
+       SET used_at = ? 
+       WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?
+       RETURNING token_id, user_id`
+    )
+    .bind(now, tokenHash, now)
+    .first();
+  
+  return result || null;
+}
+
+/**
+ * Invalidate all outstanding reset tokens for a user
+ * @param {D1Database} db - Database instance
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of tokens invalidated
+ */
+export async function invalidateUserResetTokens(db, userId) {
+  const result = await db
+    .prepare(
+      `UPDATE password_reset_tokens 
+       SET used_at = ? 
+       WHERE user_id = ? AND used_at IS NULL`
+    )
+    .bind(new Date().toISOString(), userId)
+    .run();
+  
+  return result.meta.changes || 0;
+}
+
+/**
+ * Delete reset tokens that were used, invalidated or have expired
+ * @param {D1Database} db - Database instance
+ * @returns {Promise<number>} Number of tokens deleted
+ */
+export async function deleteStaleResetTokens(db) {
+  const result = await db
+    .prepare(
+      `DELETE FROM password_reset_tokens 
+       WHERE used_at IS NOT NULL OR expires_at < ?`
+    )
+    .bind(new Date().toISOString())
+    .run();
+  
+  return result.meta.changes || 0;
+}
@@ -0,0 +1,94 @@
+/**
+ * Tests for passwordResetModel
+ */
+
+import { describe, it, beforeEach } from 'mocha';
+import { expect } from 'chai';
+import {
+  createPasswordResetToken,
+  consumePasswordResetToken,
+  invalidateUserResetTokens,
+} from './passwordResetModel.js';
+import { createMockD1, createMockD1WithSequence } from '../../test/setup.js';
+
+describe('passwordResetModel', () => {
+  let mockDb;
+  
+  beforeEach(() => {
+    mockDb = createMockD1();
+  });
+  
+  describe('createPasswordResetToken', () => {
+    it('should create a token record', async () => {
+      const expiresAt = new Date(Date.now() + 30 * 60 * 1000).toISOString();
+      
+      const result = await createPasswordResetToken(mockDb, 'user-id', 'token-hash', expiresAt);
+      
+      expect(result).to.have.property('tokenId');
+      expect(result).to.have.property('userId', 'user-id');
+      expect(result).to.have.property('expiresAt', expiresAt);
+    });
+    
+    it('should throw error if database operation fails', async () => {
+      mockDb.prepare = () => ({
+        bind: () => ({
+          run: async () => ({ success: false }),
+        }),
+      });
+      
+      try {
+        await createPasswordResetToken(mockDb, 'user-id', 'token-hash', new Date().toISOString());
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Failed to create password reset token');
+      }
+    });
+  });
+  
+  describe('consumePasswordResetToken', () => {
+    it('should return consumed token when valid', async () => {
+      mockDb = createMockD1WithSequence([
+        { first: { token_id: 'token-id', user_id: 'user-id' } },
+      ]);
+      
+      const result = await consumePasswordResetToken(mockDb, 'token-hash');
+      
+      expect(result).to.deep.equal({ token_id: 'token-id', user_id: 'user-id' });
+    });
+    
+    it('should return null when token is used, expired or unknown', async () => {
+      mockDb = createMockD1WithSequence([
+        { first: null },
+      ]);
+      
+      const result = await consumePasswordResetToken(mockDb, 'token-hash');
+      
+      expect(result).to.be.null;
+    });
+    
+    it('should only match unused, unexpired tokens', async () => {
+      let preparedQuery;
+      mockDb.prepare = (query) => {
+        preparedQuery = query;
+        return { bind: () => ({ first: async () => null }) };
+      };
+      
+      await consumePasswordResetToken(mockDb, 'token-hash');
+      
+      expect(preparedQuery).to.include('used_at IS NULL');
+      expect(preparedQuery).to.include('expires_at > ?');
+    });
+  });
+  
+  describe('invalidateUserResetTokens', () => {
+    it('should return number of tokens invalidated', async () => {
+      mockDb = createMockD1WithSequence([
+        { run: { success: true, meta: { changes: 2 } } },
+      ]);
+      
+      const result = await invalidateUserResetTokens(mockDb, 'user-id');
+      
+      expect(result).to.equal(2);
+    });
+  });
+});
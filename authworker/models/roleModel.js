@@ -0,0 +1,117 @@
+/**
+ * Role model for auth worker
+ * Admin roles assigned to users (one row per user and role)
+ */
+
+/**
+ * Get role names assigned to a user
+ * @param {D1Database} db - Database instance
+ * @param {string} userId - User ID
+ * @returns {Promise<string[]>} Role names
+ */
+export async function getUserRoles(db, userId) {
+  const result = await db
+    .prepare(
+      `SELECT role FROM user_roles
+       WHERE user_id = ?
+       ORDER BY role`
+    )
+    .bind(userId)
+    .all();
+
+  return (result.results || []).map(row => row.role);
+}
+
+/**
+ * Get role assignments of a user with grant details
+ * @param {D1Database} db - Database instance
+ * @param {string} userId - User ID
+ * @returns {Promise<Object[]>} Role rows
+ */
+export async function getUserRoleAssignments(db, userId) {
+  const result = await db
+    .prepare(
+      `SELECT user_id, role, granted_by, granted_at FROM user_roles
+       WHERE user_id = ?
+       ORDER BY granted_at`
+    )
+    .bind(userId)
+    .all();
+
+  return result.results || [];
+}
+
+/**
+ * Assign role to a user (no-op if already assigned)
+ * @param {D1Database} db - Database instance
+ * @param {string} userId - User ID
+ * @param {string} role - Role name
+ * @param {string|null} grantedBy - Admin user ID
+ * @returns {Promise<boolean>} True if newly assigned
+ */
+export async function addUserRole(db, userId, role, grantedBy = null) {
+  const result = await db
+    .prepare(
+      `INSERT OR IGNORE INTO user_roles (user_id, role, granted_by, granted_at)
+       VALUES (?, ?, ?, ?)`
+    )
+    .bind(userId, role, grantedBy, new Date().toISOString())
+    .run();
+
+  return result.success && result.meta.changes > 0;
+}
+
+/**
+ * Remove role from a user
+ * @param {D1Database} db - Database instance
+ * @param {string} userId - User ID
+ * @param {string} role - Role name
+ * @returns {Promise<boolean>} True if removed
+ */
+export async function removeUserRole(db, userId, role) {
+  const result = await db
+    .prepare(
+      `DELETE FROM user_roles
+       WHERE user_id = ? AND role = ?`
+    )
+    .bind(userId, role)
+    .run();
+
+  return result.success && result.meta.changes > 0;
+}
+
+/**
+ * Count users holding a role
+ * @param {D1Database} db - Database instance
+ * @param {string} role - Role name
+ * @returns {Promise<number>} Number of users
+ */
+export async function countUsersWithRole(db, role) {
+  const result = await db
+    .prepare(
+      `SELECT COUNT(*) as count FROM user_roles
+       WHERE role = ?`
+    )
+    .bind(role)
+    .first();
+
+  return result?.count || 0;
+}
+
+/**
+ * Remove every role of a user (account deletion)
+ * @param {D1Database} db - Database instance
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of roles removed
+ */
+export async function removeAllUserRoles(db, userId) {
+  const result = await db
+    .prepare(
+      `DELETE FROM user_roles
+       WHERE user_id = ?`
+    )
+    .bind(userId)
+    .run();
+
+  return result.meta?.changes || 0;
+}
@@ -0,0 +1,67 @@
+/**
+ * Tests for roleModel
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import {
+  getUserRoles,
+  addUserRole,
+  removeUserRole,
+  countUsersWithRole,
+} from './roleModel.js';
+import { createMockD1WithSequence } from '../../test/setup.js';
+
+describe('roleModel', () => {
+  describe('getUserRoles', () => {
+    it('should return role names', async () => {
+      const mockDb = createMockD1WithSequence([
+        { all: { results: [{ role: 'catalog_manager' }, { role: 'support_agent' }] } },
+      ]);
+
+      const roles = await getUserRoles(mockDb, 'user-id');
+
+      expect(roles).to.deep.equal(['catalog_manager', 'support_agent']);
+    });
+
+    it('should return an empty array for users without roles', async () => {
+      const mockDb = createMockD1WithSequence([{ all: { results: [] } }]);
+
+      expect(await getUserRoles(mockDb, 'user-id')).to.deep.equal([]);
+    });
+  });
+
+  describe('addUserRole', () => {
+    it('should report whether the role was newly assigned', async () => {
+      const mockDb = createMockD1WithSequence([
+        { run: { success: true, meta: { changes: 1 } } },
+        { run: { success: true, meta: { changes: 0 } } },
+      ]);
+
+      expect(await addUserRole(mockDb, 'user-id', 'support_agent', 'admin-id')).to.be.true;
+      expect(await addUserRole(mockDb, 'user-id', 'support_agent', 'admin-id')).to.be.false;
+    });
+  });
+
+  describe('removeUserRole', () => {
+    it('should return true when a role was removed', async () => {
+      const mockDb = createMockD1WithSequence([
+        { run: { success: true, meta: { changes: 1 } } },
+      ]);
+
+      expect(await removeUserRole(mockDb, 'user-id', 'support_agent')).to.be.true;
+    });
+  });
+
+  describe('countUsersWithRole', () => {
+    it('should return the count, or 0 when missing', async () => {
+      const mockDb = createMockD1WithSequence([
+        { first: { count: 3 } },
+        { first: null },
+      ]);
+
+      expect(await countUsersWithRole(mockDb, 'super_admin')).to.equal(3);
+      expect(await countUsersWithRole(mockDb, 'super_admin')).to.equal(0);
+    });
+  });
+});
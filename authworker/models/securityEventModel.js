@@ -0,0 +1,157 @@
+/**
+ * Security event model for auth worker
+ * The security_events table is append-only (enforced by triggers in auth.sql); there is no update function
+ */
+
+/**
+ * Append a security event
+ * @param {D1Database} db - Database instance
+ * @param {Object} event - { eventType, outcome, userId, actorId, ipAddress, userAgent, metadata }
+ * @returns {Promise<Object>} Created event record
+ */
+export async function createSecurityEvent(db, { eventType, outcome, userId = null, actorId = null, ipAddress = null, userAgent = null, metadata = null }) {
+  const eventId = crypto.randomUUID();
+  const now = new Date().toISOString();
+  const metadataJson = metadata ? JSON.stringify(metadata) : null;
+
+  const result = await db
+    .prepare(
+      `INSERT INTO security_events (event_id, event_type, outcome, user_id, actor_id, ip_address, user_agent, metadata, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    )
+    .bind(eventId, eventType, outcome, userId, actorId, ipAddress, userAgent, metadataJson, now)
+    .run();
+
+  if (!result.success) {
+    throw new Error('Failed to record security event');
+  }
+
+  return {
+    event_id: eventId,
+    event_type: eventType,
+    outcome,
+    user_id: userId,
+    actor_id: actorId,
+    ip_address: ipAddress,
+    user_agent: userAgent,
+    metadata: metadataJson,
+    created_at: now,
+  };
+}
+
+/**
+ * Build the WHERE clause for an event search
+ */
+function buildEventFilters({ userId, actorId, eventType, outcome, ipAddress, from, to }) {
+  const conditions = [];
+  const params = [];
+
+  if (userId) {
+    conditions.push('user_id = ?');
+    params.push(userId);
+  }
+  if (actorId) {
+    conditions.push('actor_id = ?');
+    params.push(actorId);
+  }
+  if (eventType) {
+    conditions.push('event_type = ?');
+    params.push(eventType);
+  }
+  if (outcome) {
+    conditions.push('outcome = ?');
+    params.push(outcome);
+  }
+  if (ipAddress) {
+    conditions.push('ip_address = ?');
+    params.push(ipAddress);
+  }
+  if (from) {
+    conditions.push('created_at >= ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('created_at < ?');
+    params.push(to);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params,
+  };
+}
+
+/**
+ * Search security events (newest first)
+ * @param {D1Database} db - Database instance
+ * @param {Object} filters - { userId, actorId, eventType, outcome, ipAddress, from, to }
+ * @param {number} limit - Page size
+ * @param {number} offset - Rows to skip
+ * @returns {Promise<Object>} { events, total }
+ */
+export async function searchSecurityEvents(db, filters, limit, offset) {
+  const { where, params } = buildEventFilters(filters);
+
+  const countResult = await db
+    .prepare(`SELECT COUNT(*) as total FROM security_events ${where}`)
+    .bind(...params)
+    .first();
+
+  const result = await db
+    .prepare(
+      `SELECT event_id, event_type, outcome, user_id, actor_id, ip_address, user_agent, metadata, created_at
+       FROM security_events
+       ${where}
+       ORDER BY created_at DESC
+       LIMIT ? OFFSET ?`
+    )
+    .bind(...params, limit, offset)
+    .all();
+
+  return {
+    events: result.results || [],
+    total: countResult?.total || 0,
+  };
+}
+
+/**
+ * Get the latest events about a user
+ * @param {D1Database} db - Database instance
+ * @param {string} userId - User ID
+ * @param {number} limit - Maximum number of events
+ * @param {string[]} eventTypes - Only these event types
+ * @returns {Promise<Object[]>} Event records (newest first)
+ */
+export async function getUserSecurityEvents(db, userId, limit, eventTypes) {
+  const placeholders = eventTypes.map(() => '?').join(', ');
+  const result = await db
+    .prepare(
+      `SELECT event_id, event_type, outcome, user_id, actor_id, ip_address, user_agent, metadata, created_at
+       FROM security_events
+       WHERE user_id = ? AND event_type IN (${placeholders})
+       ORDER BY created_at DESC
+       LIMIT ?`
+    )
+    .bind(userId, ...eventTypes, limit)
+    .all();
+
+  return result.results || [];
+}
+
+/**
+ * Delete events older than the retention period
+ * @param {D1Database} db - Database instance
+ * @param {string} before - ISO timestamp; older events are deleted
+ * @returns {Promise<number>} Number of events deleted
+ */
+export async function deleteSecurityEventsBefore(db, before) {
+  const result = await db
+    .prepare(
+      `DELETE FROM security_events
+       WHERE created_at < ?`
+    )
+    .bind(before)
+    .run();
+
+  return result.meta.changes || 0;
+}
@@ -0,0 +1,92 @@
+/**
+ * Tests for securityEventModel
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import {
+  createSecurityEvent,
+  searchSecurityEvents,
+  getUserSecurityEvents,
+  deleteSecurityEventsBefore,
+} from './securityEventModel.js';
+import { createMockD1WithSequence, recordStatements } from '../../test/setup.js';
+
+describe('securityEventModel', () => {
+  describe('createSecurityEvent', () => {
+    it('should store metadata as JSON and default missing fields to null', async () => {
+      const mockDb = createMockD1WithSequence([{ run: { success: true, meta: { changes: 1 } } }]);
+      const statements = recordStatements(mockDb);
+
+      const event = await createSecurityEvent(mockDb, { eventType: 'login', outcome: 'success', userId: 'user-id', metadata: { method: 'password' } });
+
+      expect(statements[0].args.slice(1, 8)).to.deep.equal(['login', 'success', 'user-id', null, null, null, '{"method":"password"}']);
+      expect(event).to.include({ event_type: 'login', metadata: '{"method":"password"}' });
+    });
+
+    it('should throw when the insert fails', async () => {
+      const mockDb = createMockD1WithSequence([{ run: { success: false, meta: { changes: 0 } } }]);
+
+      try {
+        await createSecurityEvent(mockDb, { eventType: 'login', outcome: 'failure' });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.equal('Failed to record security event');
+      }
+    });
+  });
+
+  describe('searchSecurityEvents', () => {
+    it('should search without a WHERE clause when no filter is set', async () => {
+      const mockDb = createMockD1WithSequence([
+        { first: { total: 0 } },
+        { all: { results: [] } },
+      ]);
+      const statements = recordStatements(mockDb);
+
+      const result = await searchSecurityEvents(mockDb, {}, 50, 0);
+
+      expect(result).to.deep.equal({ events: [], total: 0 });
+      expect(statements[0].query).to.not.include('WHERE');
+      expect(statements[1].args).to.deep.equal([50, 0]);
+    });
+
+    it('should bind every filter as a parameter', async () => {
+      const mockDb = createMockD1WithSequence([
+        { first: { total: 1 } },
+        { all: { results: [{ event_id: 'event-id' }] } },
+      ]);
+      const statements = recordStatements(mockDb);
+
+      await searchSecurityEvents(mockDb, {
+        userId: 'user-id',
+        actorId: 'admin-id',
+        ipAddress: '203.0.113.1',
+        to: '2024-02-01T00:00:00.000Z',
+      }, 10, 20);
+
+      expect(statements[0].query).to.include('WHERE user_id = ? AND actor_id = ? AND ip_address = ? AND created_at < ?');
+      expect(statements[1].args).to.deep.equal(['user-id', 'admin-id', '203.0.113.1', '2024-02-01T00:00:00.000Z', 10, 20]);
+    });
+  });
+
+  describe('getUserSecurityEvents', () => {
+    it('should restrict the events to the given types', async () => {
+      const mockDb = createMockD1WithSequence([{ all: { results: [] } }]);
+      const statements = recordStatements(mockDb);
+
+      await getUserSecurityEvents(mockDb, 'user-id', 20, ['login', 'logout']);
+
+      expect(statements[0].query).to.include('event_type IN (?, ?)');
+      expect(statements[0].args).to.deep.equal(['user-id', 'login', 'logout', 20]);
+    });
+  });
+
+  describe('deleteSecurityEventsBefore', () => {
+    it('should return the number of events deleted', async () => {
+      const mockDb = createMockD1WithSequence([{ run: { success: true, meta: { changes: 12 } } }]);
+
+      expect(await deleteSecurityEventsBefore(mockDb, '2024-01-01T00:00:00.000Z')).to.equal(12);
+    });
+  });
+});
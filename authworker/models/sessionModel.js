@@ -1,6 +1,8 @@
 /**
  * Session model for auth worker
  * Hybrid Session ID + JWT approach
+ * A session is also a refresh token family: every token it rotated through is kept
+ * (hashed) in refresh_token_history so a replayed old token can be detected
  */
 
 /**
@@ -8,19 +10,31 @@
  * @param {D1Database} db - Database instance
  * @param {string} userId - User ID
  * @param {string} refreshToken - Refresh token
+ * @param {Object} options - { twoFactorVerified: session was opened with a second factor, userAgent, ipAddress }
  * @returns {Promise<Object>} Created session
  */
-export async function createSession(db, userId, refreshToken) {
+export async function createSession(db, userId, refreshToken, options = {}) {
   const sessionId = crypto.randomUUID();
   const now = new Date().toISOString();
   const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(); // 7 days
   
   const result = await db
     .prepare(
-      `INSERT INTO sessions (session_id, user_id, refresh_token, expires_at, created_at, updated_at)
-       VALUES (?, ?, ?, ?, ?, ?)`
+      `INSERT INTO sessions (session_id, user_id, refresh_token, two_factor_verified, user_agent, ip_address, last_used_at, expires_at, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    )
+    .bind(
+      sessionId,
+      userId,
+      refreshToken,
+      options.twoFactorVerified ? 1 : 0,
+      options.userAgent || null,
+      options.ipAddress || null,
+      now,
+      expiresAt,
+      now,
+      now
     )
-    .bind(sessionId, userId, refreshToken, expiresAt, now, now)
     .run();
   
   if (!result.success) {
@@ -30,6 +44,7 @@ export async function createSession(db, userId, refreshToken) {
   return {
     sessionId,
     userId,
+    twoFactorVerified: options.twoFactorVerified === true,
     expiresAt,
     createdAt: now,
   };
@@ -44,7 +59,7 @@ export async function createSession(db, userId, refreshToken) {
 export async function getSessionById(db, sessionId) {
   const result = await db
     .prepare(
-      `SELECT session_id, user_id, refresh_token, expires_at, created_at, updated_at
+      `SELECT session_id, user_id, refresh_token, two_factor_verified, expires_at, created_at, updated_at
        FROM sessions 
        WHERE session_id = ? AND deleted_at IS NULL`
     )
@@ -72,7 +87,7 @@ export async function getSessionById(db, sessionId) {
 export async function getSessionByRefreshToken(db, refreshToken) {
   const result = await db
     .prepare(
-      `SELECT session_id, user_id, refresh_token, expires_at, created_at, updated_at
+      `SELECT session_id, user_id, refresh_token, two_factor_verified, expires_at, created_at, updated_at
        FROM sessions 
        WHERE refresh_token = ? AND deleted_at IS NULL`
     )
@@ -93,21 +108,106 @@ export async function getSessionByRefreshToken(db, refreshToken) {
 
 /**
  * Update session refresh token
+ * Only rotates while currentRefreshToken is still the session's token, so of two concurrent
+ * refreshes with the same token exactly one succeeds
+ * Also records when and from where the session was last used
  * @param {D1Database} db - Database instance
  * @param {string} sessionId - Session ID
+ * @param {string} currentRefreshToken - Refresh token presented by the client
  * @param {string} newRefreshToken - New refresh token
- * @returns {Promise<boolean>} True if updated
+ * @param {Object} clientInfo - { userAgent, ipAddress } of the refreshing client (kept when missing)
+ * @returns {Promise<boolean>} True if updated (false if the token was already rotated)
  */
-export async function updateSessionRefreshToken(db, sessionId, newRefreshToken) {
+export async function updateSessionRefreshToken(db, sessionId, currentRefreshToken, newRefreshToken, clientInfo = {}) {
+  const now = new Date().toISOString();
   const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(); // 7 days
   
   const result = await db
     .prepare(
       `UPDATE sessions 
-       SET refresh_token = ?, expires_at = ?, updated_at = ? 
+       SET refresh_token = ?, expires_at = ?, updated_at = ?, last_used_at = ?,
+           user_agent = COALESCE(?, user_agent), ip_address = COALESCE(?, ip_address)
+       WHERE session_id = ? AND refresh_token = ? AND deleted_at IS NULL`
+    )
+    .bind(newRefreshToken, expiresAt, now, now, clientInfo.userAgent || null, clientInfo.ipAddress || null, sessionId, currentRefreshToken)
+    .run();
+  
+  return result.success && result.meta.changes > 0;
+}
+
+/**
+ * Mark session as verified with a second factor
+ * @param {D1Database} db - Database instance
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} True if updated
+ */
+export async function markSessionTwoFactorVerified(db, sessionId) {
+  const result = await db
+    .prepare(
+      `UPDATE sessions 
+       SET two_factor_verified = 1, updated_at = ? 
        WHERE session_id = ? AND deleted_at IS NULL`
     )
-    .bind(newRefreshToken, expiresAt, new Date().toISOString(), sessionId)
+    .bind(new Date().toISOString(), sessionId)
+    .run();
+  
+  return result.success && result.meta.changes > 0;
+}
+
+/**
+ * Record a refresh token that has just been rotated out of a session
+ * @param {D1Database} db - Database instance
+ * @param {string} sessionId - Session (token family) ID
+ * @param {string} userId - User ID
+ * @param {string} tokenHash - SHA-256 hash of the old refresh token
+ * @returns {Promise<boolean>} True if recorded
+ */
+export async function recordRotatedRefreshToken(db, sessionId, userId, tokenHash) {
+  const result = await db
+    .prepare(
+      `INSERT OR IGNORE INTO refresh_token_history (token_hash, session_id, user_id, rotated_at)
+       VALUES (?, ?, ?, ?)`
+    )
+    .bind(tokenHash, sessionId, userId, new Date().toISOString())
+    .run();
+  
+  return result.success;
+}
+
+/**
+ * Find a previously rotated refresh token
+ * @param {D1Database} db - Database instance
+ * @param {string} tokenHash - SHA-256 hash of the presented refresh token
+ * @returns {Promise<Object|null>} { session_id, user_id, rotated_at } or null
+ */
+export async function getRotatedRefreshToken(db, tokenHash) {
+  const result = await db
+    .prepare(
+      `SELECT session_id, user_id, rotated_at
+       FROM refresh_token_history 
+       WHERE token_hash = ?`
+    )
+    .bind(tokenHash)
+    .first();
+  
+  return result || null;
+}
+
+/**
+ * Revoke a whole refresh token family
+ * Deleting the session invalidates its current refresh token and every access token tied to it
+ * @param {D1Database} db - Database instance
+ * @param {string} sessionId - Session (token family) ID
+ * @returns {Promise<boolean>} True if a live session was revoked
+ */
+export async function revokeSessionFamily(db, sessionId) {
+  const result = await db
+    .prepare(
+      `UPDATE sessions 
+       SET deleted_at = ?, updated_at = ? 
+       WHERE session_id = ? AND deleted_at IS NULL`
+    )
+    .bind(new Date().toISOString(), new Date().toISOString(), sessionId)
     .run();
   
   return result.success && result.meta.changes > 0;
@@ -150,3 +250,114 @@ export async function cleanupExpiredSessions(db) {
   return result.meta.changes || 0;
 }
 
+/**
+ * Permanently remove sessions that were revoked or expired before a cutoff
+ * Rotated refresh tokens of those sessions go with them (reuse detection needs the session)
+ * @param {D1Database} db - Database instance
+ * @param {string} before - Cutoff timestamp (ISO)
+ * @returns {Promise<Object>} { sessions, refreshTokens } rows removed
+ */
+export async function purgeSessions(db, before) {
+  const history = await db
+    .prepare(
+      `DELETE FROM refresh_token_history 
+       WHERE session_id IN (
+         SELECT session_id FROM sessions 
+         WHERE (deleted_at IS NOT NULL AND deleted_at < ?) OR expires_at < ?
+       )`
+    )
+    .bind(before, before)
+    .run();
+  
+  const sessions = await db
+    .prepare(
+      `DELETE FROM sessions 
+       WHERE (deleted_at IS NOT NULL AND deleted_at < ?) OR expires_at < ?`
+    )
+    .bind(before, before)
+    .run();
+  
+  return {
+    sessions: sessions.meta.changes || 0,
+    refreshTokens: history.meta.changes || 0,
+  };
+}
+
+/**
+ * Delete all sessions for a user (revoke everywhere)
+ * @param {D1Database} db - Database instance
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of sessions deleted
+ */
+export async function deleteUserSessions(db, userId) {
+  const result = await db
+    .prepare(
+      `UPDATE sessions 
+       SET deleted_at = ? 
+       WHERE user_id = ? AND deleted_at IS NULL`
+    )
+    .bind(new Date().toISOString(), userId)
+    .run();
+  
+  return result.meta.changes || 0;
+}
+
+/**
+ * List active sessions for a user (most recently used first)
+ * @param {D1Database} db - Database instance
+ * @param {string} userId - User ID
+ * @returns {Promise<Object[]>} Sessions (without refresh tokens)
+ */
+export async function getUserSessions(db, userId) {
+  const result = await db
+    .prepare(
+      `SELECT session_id, user_agent, ip_address, two_factor_verified, last_used_at, expires_at, created_at
+       FROM sessions 
+       WHERE user_id = ? AND deleted_at IS NULL AND expires_at > ?
+       ORDER BY COALESCE(last_used_at, created_at) DESC`
+    )
+    .bind(userId, new Date().toISOString())
+    .all();
+  
+  return result.results || [];
+}
+
+/**
+ * Delete a session belonging to a user (remote logout)
+ * @param {D1Database} db - Database instance
+ * @param {string} userId - User ID (sessions of other users are never touched)
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function deleteUserSession(db, userId, sessionId) {
+  const result = await db
+    .prepare(
+      `UPDATE sessions 
+       SET deleted_at = ? 
+       WHERE session_id = ? AND user_id = ? AND deleted_at IS NULL`
+    )
+    .bind(new Date().toISOString(), sessionId, userId)
+    .run();
+  
+  return result.success && result.meta.changes > 0;
+}
+
+/**
+ * Delete all sessions of a user except one (log out everywhere else)
+ * @param {D1Database} db - Database instance
+ * @param {string} userId - User ID
+ * @param {string} keepSessionId - Session to keep (the current one)
+ * @returns {Promise<number>} Number of sessions deleted
+ */
+export async function deleteOtherUserSessions(db, userId, keepSessionId) {
+  const result = await db
+    .prepare(
+      `UPDATE sessions 
+       SET deleted_at = ? 
+       WHERE user_id = ? AND session_id != ? AND deleted_at IS NULL`
+    )
+    .bind(new Date().toISOString(), userId, keepSessionId)
+    .run();
+  
+  return result.meta.changes || 0;
+}
@@ -10,6 +10,14 @@ import {
   getSessionByRefreshToken,
   updateSessionRefreshToken,
   deleteSession,
+  deleteUserSessions,
+  markSessionTwoFactorVerified,
+  getUserSessions,
+  deleteUserSession,
+  deleteOtherUserSessions,
+  recordRotatedRefreshToken,
+  getRotatedRefreshToken,
+  revokeSessionFamily,
 } from './sessionModel.js';
 import { createMockD1, createMockD1WithSequence } from '../../test/setup.js';
 
@@ -41,6 +49,22 @@ describe('sessionModel', () => {
       expect(result).to.have.property('expiresAt');
       expect(result).to.have.property('createdAt');
       expect(result.sessionId).to.be.a('string');
+      expect(result.twoFactorVerified).to.be.false;
+    });
+    
+    it('should record two-factor verification when requested', async () => {
+      mockDb = createMockD1WithSequence([
+        {
+          run: {
+            success: true,
+            meta: { changes: 1 },
+          },
+        },
+      ]);
+      
+      const result = await createSession(mockDb, 'user-id', 'token', { twoFactorVerified: true });
+      
+      expect(result.twoFactorVerified).to.be.true;
     });
     
     it('should throw error if database operation fails', async () => {
@@ -165,9 +189,25 @@ describe('sessionModel', () => {
         },
       ]);
       
-      const result = await updateSessionRefreshToken(mockDb, sessionId, newRefreshToken);
+      const bindings = [];
+      const prepare = mockDb.prepare;
+      mockDb.prepare = (query) => {
+        const statement = prepare(query);
+        return {
+          ...statement,
+          bind: (...args) => {
+            bindings.push({ query, args });
+            return statement.bind(...args);
+          },
+        };
+      };
+      
+      const result = await updateSessionRefreshToken(mockDb, sessionId, 'current-refresh-token', newRefreshToken);
       
       expect(result).to.be.true;
+      // Only rotates while the presented token is still current
+      expect(bindings[0].query).to.include('refresh_token = ?');
+      expect(bindings[0].args.slice(-2)).to.deep.equal([sessionId, 'current-refresh-token']);
     });
     
     it('should return false if session not found', async () => {
@@ -180,7 +220,7 @@ describe('sessionModel', () => {
         },
       ]);
       
-      const result = await updateSessionRefreshToken(mockDb, 'non-existent', 'token');
+      const result = await updateSessionRefreshToken(mockDb, 'non-existent', 'token', 'new-token');
       
       expect(result).to.be.false;
     });
@@ -219,5 +259,142 @@ describe('sessionModel', () => {
       expect(result).to.be.false;
     });
   });
+  
+  describe('deleteUserSessions', () => {
+    it('should return number of sessions revoked', async () => {
+      mockDb = createMockD1WithSequence([
+        {
+          run: {
+            success: true,
+            meta: { changes: 3 },
+          },
+        },
+      ]);
+      
+      const result = await deleteUserSessions(mockDb, 'user-id');
+      
+      expect(result).to.equal(3);
+    });
+  });
+  
+  describe('markSessionTwoFactorVerified', () => {
+    it('should return true when session updated', async () => {
+      mockDb = createMockD1WithSequence([
+        {
+          run: {
+            success: true,
+            meta: { changes: 1 },
+          },
+        },
+      ]);
+      
+      const result = await markSessionTwoFactorVerified(mockDb, 'session-id');
+      
+      expect(result).to.be.true;
+    });
+    
+    it('should return false when session does not exist', async () => {
+      mockDb = createMockD1WithSequence([
+        {
+          run: {
+            success: true,
+            meta: { changes: 0 },
+          },
+        },
+      ]);
+      
+      const result = await markSessionTwoFactorVerified(mockDb, 'missing');
+      
+      expect(result).to.be.false;
+    });
+  });
+  
+  describe('getUserSessions', () => {
+    it('should return active sessions', async () => {
+      const sessions = [
+        { session_id: 'session-1', user_agent: 'Firefox', ip_address: '203.0.113.5' },
+        { session_id: 'session-2', user_agent: 'Safari', ip_address: null },
+      ];
+      mockDb = createMockD1WithSequence([
+        { all: { results: sessions, success: true } },
+      ]);
+      
+      const result = await getUserSessions(mockDb, 'user-id');
+      
+      expect(result).to.deep.equal(sessions);
+    });
+  });
+  
+  describe('deleteUserSession', () => {
+    it('should return true when the session belongs to the user', async () => {
+      mockDb = createMockD1WithSequence([
+        { run: { success: true, meta: { changes: 1 } } },
+      ]);
+      
+      expect(await deleteUserSession(mockDb, 'user-id', 'session-1')).to.be.true;
+    });
+    
+    it('should return false for unknown or foreign sessions', async () => {
+      mockDb = createMockD1WithSequence([
+        { run: { success: true, meta: { changes: 0 } } },
+      ]);
+      
+      expect(await deleteUserSession(mockDb, 'user-id', 'other-users-session')).to.be.false;
+    });
+  });
+  
+  describe('deleteOtherUserSessions', () => {
+    it('should return number of sessions revoked', async () => {
+      mockDb = createMockD1WithSequence([
+        { run: { success: true, meta: { changes: 2 } } },
+      ]);
+      
+      expect(await deleteOtherUserSessions(mockDb, 'user-id', 'current-session')).to.equal(2);
+    });
+  });
+  
+  describe('refresh token history', () => {
+    it('should record a rotated refresh token', async () => {
+      mockDb = createMockD1WithSequence([
+        { run: { success: true, meta: { changes: 1 } } },
+      ]);
+      
+      expect(await recordRotatedRefreshToken(mockDb, 'session-id', 'user-id', 'token-hash')).to.be.true;
+    });
+    
+    it('should find a rotated refresh token by hash', async () => {
+      const rotated = { session_id: 'session-id', user_id: 'user-id', rotated_at: '2024-01-01T00:00:00Z' };
+      mockDb = createMockD1WithSequence([
+        { first: rotated },
+      ]);
+      
+      expect(await getRotatedRefreshToken(mockDb, 'token-hash')).to.deep.equal(rotated);
+    });
+    
+    it('should return null for tokens that were never rotated', async () => {
+      mockDb = createMockD1WithSequence([
+        { first: null },
+      ]);
+      
+      expect(await getRotatedRefreshToken(mockDb, 'unknown-hash')).to.be.null;
+    });
+  });
+  
+  describe('revokeSessionFamily', () => {
+    it('should return true when the live session was revoked', async () => {
+      mockDb = createMockD1WithSequence([
+        { run: { success: true, meta: { changes: 1 } } },
+      ]);
+      
+      expect(await revokeSessionFamily(mockDb, 'session-id')).to.be.true;
+    });
+    
+    it('should return false when the family was already revoked', async () => {
+      mockDb = createMockD1WithSequence([
+        { run: { success: true, meta: { changes: 0 } } },
+      ]);
+      
+      expect(await revokeSessionFamily(mockDb, 'session-id')).to.be.false;
+    });
+  });
 });
-
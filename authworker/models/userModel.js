@@ -8,18 +8,19 @@
  * @param {D1Database} db - Database instance
  * @param {Object} userData - User data (email, name, address, etc.)
  * @param {string} encryptedData - Encrypted PII data
+ * @param {Object} indexes - Blind indexes ({ emailIndex, phoneIndex })
+ * @param {string} userId - User ID (generated up front when the data is encrypted bound to it)
  * @returns {Promise<Object>} Created user
  */
-export async function createUser(db, userData, encryptedData) {
-  const userId = crypto.randomUUID();
+export async function createUser(db, userData, encryptedData, indexes = {}, userId = crypto.randomUUID()) {
   const now = new Date().toISOString();
   
   const result = await db
     .prepare(
-      `INSERT INTO users (user_id, data, created_at, updated_at)
-       VALUES (?, ?, ?, ?)`
+      `INSERT INTO users (user_id, data, email_index, phone_index, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?)`
     )
-    .bind(userId, encryptedData, now, now)
+    .bind(userId, encryptedData, indexes.emailIndex || null, indexes.phoneIndex || null, now, now)
     .run();
   
   if (!result.success) {
@@ -42,7 +43,7 @@ export async function createUser(db, userData, encryptedData) {
 export async function getUserById(db, userId) {
   const result = await db
     .prepare(
-      `SELECT user_id, data, created_at, updated_at 
+      `SELECT user_id, data, created_at, updated_at, suspended_at, suspension_reason 
        FROM users 
        WHERE user_id = ? AND deleted_at IS NULL`
     )
@@ -78,58 +79,52 @@ export async function getUsersByIds(db, userIds) {
 
 /**
  * Get user by email
- * Since data is encrypted, we need to get all users and decrypt to find the email
- * In production, consider storing email hash separately for faster lookup
+ * Looks up the email blind index (HMAC of the normalized email), so no rows need decrypting
  * @param {D1Database} db - Database instance
  * @param {string} email - Email address
- * @param {string} encryptionKey - Encryption key for decrypting data
+ * @param {string} indexKey - Blind index key
  * @returns {Promise<Object|null>} User data or null
  */
-export async function getUserByEmail(db, email, encryptionKey) {
-  // Get all non-deleted users
-  const results = await db
+export async function getUserByEmail(db, email, indexKey) {
+  const { emailIndex } = await import('../../shared/utils/encryption.js');
+  
+  const result = await db
     .prepare(
-      `SELECT user_id, data, created_at, updated_at 
+      `SELECT user_id, data, created_at, updated_at, suspended_at, suspension_reason 
        FROM users 
-       WHERE deleted_at IS NULL`
+       WHERE email_index = ? AND deleted_at IS NULL`
     )
-    .all();
+    .bind(emailIndex(email, indexKey))
+    .first();
   
-  if (!results || !results.results || results.results.length === 0) {
-    return null;
-  }
+  return result || null;
+}
+
+/**
+ * Get user by phone number
+ * @param {D1Database} db - Database instance
+ * @param {string} phone - Phone number
+ * @param {string} indexKey - Blind index key
+ * @returns {Promise<Object|null>} User data or null
+ */
+export async function getUserByPhone(db, phone, indexKey) {
+  const { phoneIndex } = await import('../../shared/utils/encryption.js');
   
-  // Decrypt and find matching email (case-insensitive)
-  const { decrypt } = await import('../../shared/utils/encryption.js');
-  const normalizedSearchEmail = email.toLowerCase().trim();
-  
-  console.log('[user-model] Searching for email:', normalizedSearchEmail, '(normalized from:', email, ')');
-  console.log('[user-model] Total users to check:', results.results.length);
-  
-  for (const user of results.results) {
-    try {
-      const decryptedData = JSON.parse(decrypt(user.data, encryptionKey));
-      const storedEmail = decryptedData?.email;
-      
-      if (storedEmail) {
-        const normalizedStoredEmail = storedEmail.toLowerCase().trim();
-        console.log('[user-model] Checking stored email:', storedEmail, '(normalized:', normalizedStoredEmail, ')');
-        
-        if (normalizedStoredEmail === normalizedSearchEmail) {
-          console.log('[user-model] Email match found!');
-          return user;
-        }
-      }
-    } catch (error) {
-      // Skip corrupted data - log but continue searching
-      console.error(`[user-model] Error decrypting user ${user.user_id}:`, error.message);
-      continue;
-    }
+  const index = phoneIndex(phone, indexKey);
+  if (!index) {
+    return null;
   }
   
-  console.log('[user-model] No matching email found');
+  const result = await db
+    .prepare(
+      `SELECT user_id, data, created_at, updated_at 
+       FROM users 
+       WHERE phone_index = ? AND deleted_at IS NULL`
+    )
+    .bind(index)
+    .first();
   
-  return null;
+  return result || null;
 }
 
 /**
@@ -137,9 +132,23 @@ export async function getUserByEmail(db, email, encryptionKey) {
  * @param {D1Database} db - Database instance
  * @param {string} userId - User ID
  * @param {string} encryptedData - Updated encrypted PII data
+ * @param {Object|null} indexes - Blind indexes to refresh ({ emailIndex, phoneIndex }), or null to leave them
  * @returns {Promise<boolean>} True if updated
  */
-export async function updateUser(db, userId, encryptedData) {
+export async function updateUser(db, userId, encryptedData, indexes = null) {
+  if (indexes) {
+    const result = await db
+      .prepare(
+        `UPDATE users 
+         SET data = ?, email_index = ?, phone_index = ?, updated_at = ? 
+         WHERE user_id = ? AND deleted_at IS NULL`
+      )
+      .bind(encryptedData, indexes.emailIndex || null, indexes.phoneIndex || null, new Date().toISOString(), userId)
+      .run();
+    
+    return result.success && result.meta.changes > 0;
+  }
+  
   const result = await db
     .prepare(
       `UPDATE users 
@@ -152,6 +161,69 @@ export async function updateUser(db, userId, encryptedData) {
   return result.success && result.meta.changes > 0;
 }
 
+/**
+ * List users for the admin user search (newest first)
+ * @param {D1Database} db - Database instance
+ * @param {Object} filters - { emailIndex, status ('active'|'suspended'), page, limit }
+ * @returns {Promise<Object>} { users, total }
+ */
+export async function listUsers(db, { emailIndex = null, status = null, page = 1, limit = 20 } = {}) {
+  let whereClause = 'WHERE deleted_at IS NULL';
+  const params = [];
+
+  if (emailIndex) {
+    whereClause += ' AND email_index = ?';
+    params.push(emailIndex);
+  }
+  if (status === 'suspended') {
+    whereClause += ' AND suspended_at IS NOT NULL';
+  } else if (status === 'active') {
+    whereClause += ' AND suspended_at IS NULL';
+  }
+
+  const countResult = await db
+    .prepare(`SELECT COUNT(*) as total FROM users ${whereClause}`)
+    .bind(...params)
+    .first();
+
+  const result = await db
+    .prepare(
+      `SELECT user_id, data, created_at, updated_at, suspended_at, suspension_reason 
+       FROM users 
+       ${whereClause}
+       ORDER BY created_at DESC, user_id
+       LIMIT ? OFFSET ?`
+    )
+    .bind(...params, limit, (page - 1) * limit)
+    .all();
+
+  return {
+    users: result.results || [],
+    total: countResult?.total || 0,
+  };
+}
+
+/**
+ * Suspend a user, or lift the suspension
+ * @param {D1Database} db - Database instance
+ * @param {string} userId - User ID
+ * @param {string|null} suspendedAt - Suspension time (ISO), or null to unsuspend
+ * @param {string|null} reason - Reason shown to admins
+ * @returns {Promise<boolean>} True if updated
+ */
+export async function setUserSuspension(db, userId, suspendedAt, reason = null) {
+  const result = await db
+    .prepare(
+      `UPDATE users 
+       SET suspended_at = ?, suspension_reason = ?, updated_at = ? 
+       WHERE user_id = ? AND deleted_at IS NULL`
+    )
+    .bind(suspendedAt, suspendedAt ? reason : null, new Date().toISOString(), userId)
+    .run();
+  
+  return result.success && result.meta.changes > 0;
+}
+
 /**
  * Soft delete user
  * @param {D1Database} db - Database instance
@@ -171,3 +243,105 @@ export async function softDeleteUser(db, userId) {
   return result.success && result.meta.changes > 0;
 }
 
+/**
+ * Get users soft-deleted before a cutoff (due for permanent deletion)
+ * @param {D1Database} db - Database instance
+ * @param {string} before - Cutoff timestamp (ISO)
+ * @param {number} limit - Maximum number of users
+ * @returns {Promise<string[]>} User IDs
+ */
+export async function getUsersDeletedBefore(db, before, limit) {
+  const result = await db
+    .prepare(
+      `SELECT user_id FROM users 
+       WHERE deleted_at IS NOT NULL AND deleted_at < ?
+       ORDER BY deleted_at
+       LIMIT ?`
+    )
+    .bind(before, limit)
+    .all();
+  
+  return (result.results || []).map(row => row.user_id);
+}
+
+/**
+ * Permanently delete a soft-deleted user
+ * @param {D1Database} db - Database instance
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function hardDeleteUser(db, userId) {
+  const result = await db
+    .prepare(
+      `DELETE FROM users 
+       WHERE user_id = ? AND deleted_at IS NOT NULL`
+    )
+    .bind(userId)
+    .run();
+  
+  return result.success && result.meta.changes > 0;
+}
+
+/**
+ * Get users whose data is not encrypted with a key (key rotation batch)
+ * Includes soft-deleted users, their data is still encrypted PII
+ * @param {D1Database} db - Database instance
+ * @param {string} prefix - Ciphertext prefix of the target key
+ * @param {string|null} afterUserId - Cursor: last user ID of the previous batch
+ * @param {number} limit - Batch size
+ * @returns {Promise<Object[]>} Rows { user_id, data }
+ */
+export async function getUsersNotOnKey(db, prefix, afterUserId, limit) {
+  const result = await db
+    .prepare(
+      `SELECT user_id, data 
+       FROM users 
+       WHERE user_id > ? AND substr(data, 1, ?) != ?
+       ORDER BY user_id
+       LIMIT ?`
+    )
+    .bind(afterUserId || '', prefix.length, prefix, limit)
+    .all();
+  
+  return result.results || [];
+}
+
+/**
+ * Count users whose data is not encrypted with a key
+ * @param {D1Database} db - Database instance
+ * @param {string} prefix - Ciphertext prefix of the target key
+ * @returns {Promise<number>} Number of users
+ */
+export async function countUsersNotOnKey(db, prefix) {
+  const result = await db
+    .prepare(
+      `SELECT COUNT(*) as count FROM users 
+       WHERE substr(data, 1, ?) != ?`
+    )
+    .bind(prefix.length, prefix)
+    .first();
+  
+  return result?.count || 0;
+}
+
+/**
+ * Replace a user's ciphertext if it has not changed since it was read (key rotation)
+ * updated_at is left alone: the profile itself did not change
+ * @param {D1Database} db - Database instance
+ * @param {string} userId - User ID
+ * @param {string} previousData - Ciphertext that was re-encrypted
+ * @param {string} encryptedData - New ciphertext
+ * @returns {Promise<boolean>} True if replaced (false when a concurrent update won)
+ */
+export async function replaceUserCiphertext(db, userId, previousData, encryptedData) {
+  const result = await db
+    .prepare(
+      `UPDATE users 
+       SET data = ? 
+       WHERE user_id = ? AND data = ?`
+    )
+    .bind(encryptedData, userId, previousData)
+    .run();
+  
+  return result.success && result.meta.changes > 0;
+}
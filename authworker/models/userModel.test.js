@@ -8,6 +8,7 @@ import {
   createUser,
   getUserById,
   getUserByEmail,
+  getUserByPhone,
   updateUser,
 } from './userModel.js';
 import { createMockD1, createMockD1WithSequence } from '../../test/setup.js';
@@ -106,20 +107,17 @@ describe('userModel', () => {
   
   describe('getUserByEmail', () => {
     it('should return user when found by email', async () => {
-      const email = 'test@example.com';
-      const { encrypt } = await import('../../shared/utils/encryption.js');
-      const encryptedData = encrypt(JSON.stringify({ email: 'test@example.com' }), 'encryption-key');
       const mockUser = {
         user_id: 'user-id',
-        data: encryptedData,
+        data: 'encrypted-data',
         created_at: '2024-01-01T00:00:00Z',
       };
       
       mockDb = createMockD1WithSequence([
-        { all: { results: [mockUser], success: true } },
+        { first: mockUser },
       ]);
       
-      const result = await getUserByEmail(mockDb, email, 'encryption-key');
+      const result = await getUserByEmail(mockDb, 'test@example.com', 'index-key');
       
       expect(result).to.not.be.null;
       expect(result.user_id).to.equal('user-id');
@@ -127,7 +125,7 @@ describe('userModel', () => {
     
     it('should return null when user not found', async () => {
       mockDb = createMockD1WithSequence([
-        { all: { results: [], success: true } },
+        { first: null },
       ]);
       
       const result = await getUserByEmail(mockDb, 'notfound@example.com', 'key');
@@ -135,24 +133,44 @@ describe('userModel', () => {
       expect(result).to.be.null;
     });
     
-    it('should normalize email to lowercase', async () => {
-      const email = 'Test@Example.COM';
-      const { encrypt } = await import('../../shared/utils/encryption.js');
-      const encryptedData = encrypt(JSON.stringify({ email: 'test@example.com' }), 'key');
-      const mockUser = {
-        user_id: 'user-id',
-        data: encryptedData,
-        created_at: '2024-01-01T00:00:00Z',
+    it('should query by the blind index of the normalized email', async () => {
+      const { emailIndex } = await import('../../shared/utils/encryption.js');
+      let boundArgs;
+      let preparedQuery;
+      mockDb.prepare = (query) => {
+        preparedQuery = query;
+        return {
+          bind: (...args) => {
+            boundArgs = args;
+            return { first: async () => null };
+          },
+        };
       };
       
+      await getUserByEmail(mockDb, 'Test@Example.COM', 'key');
+      
+      expect(preparedQuery).to.include('email_index = ?');
+      expect(boundArgs).to.deep.equal([emailIndex('test@example.com', 'key')]);
+    });
+  });
+  
+  describe('getUserByPhone', () => {
+    it('should return user when found by phone', async () => {
       mockDb = createMockD1WithSequence([
-        { all: { results: [mockUser], success: true } },
+        { first: { user_id: 'user-id', data: 'encrypted-data' } },
       ]);
       
-      const result = await getUserByEmail(mockDb, email, 'key');
+      const result = await getUserByPhone(mockDb, '9876543210', 'key');
       
-      // Should find user even with different case
       expect(result).to.not.be.null;
+      expect(result.user_id).to.equal('user-id');
+    });
+    
+    it('should return null without querying when phone is empty', async () => {
+      const result = await getUserByPhone(mockDb, '', 'key');
+      
+      expect(result).to.be.null;
+      expect(mockDb._getQueries()).to.have.length(0);
     });
   });
   
@@ -191,6 +209,24 @@ describe('userModel', () => {
       
       expect(result).to.be.false;
     });
+    
+    it('should refresh blind indexes when provided', async () => {
+      let preparedQuery;
+      mockDb.prepare = (query) => {
+        preparedQuery = query;
+        return {
+          bind: () => ({
+            run: async () => ({ success: true, meta: { changes: 1 } }),
+          }),
+        };
+      };
+      
+      const result = await updateUser(mockDb, 'user-id', 'data', { emailIndex: 'e', phoneIndex: 'p' });
+      
+      expect(result).to.be.true;
+      expect(preparedQuery).to.include('email_index = ?');
+      expect(preparedQuery).to.include('phone_index = ?');
+    });
   });
 });
 
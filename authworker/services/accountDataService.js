@@ -0,0 +1,254 @@
+/**
+ * Account data service
+ * Export and deletion of everything stored about a user across workers
+ * (auth, orders, payments, ratings, cart). Each run is recorded in data_requests
+ * step by step, so a failed run shows which workers already completed.
+ * Every step is idempotent: retrying a failed deletion simply runs it again.
+ */
+
+import { callWorkerBinding } from '../../shared/utils/interWorker.js';
+import { getUserById, softDeleteUser } from '../models/userModel.js';
+import { getUserSessions, deleteUserSessions } from '../models/sessionModel.js';
+import { getUserIdentities, deleteUserIdentities } from '../models/oauthModel.js';
+import { getUserRoles, removeAllUserRoles, countUsersWithRole } from '../models/roleModel.js';
+import { invalidateUserResetTokens } from '../models/passwordResetModel.js';
+import { revokeUserApiTokens } from '../models/apiTokenModel.js';
+import { invalidateUserVerificationTokens } from '../models/emailVerificationModel.js';
+import { createDataRequest, updateDataRequest } from '../models/dataRequestModel.js';
+import { toPublicProfile } from './profileService.js';
+import { getUserRoleDetails } from './roleService.js';
+import { verifyPassword } from '../utils/password.js';
+import { SUPER_ADMIN_ROLE } from '../../shared/utils/permissions.js';
+import { decrypt } from '../../shared/utils/encryption.js';
+import { AppError, AuthenticationError, ConflictError, NotFoundError } from '../../shared/utils/errors.js';
+
+export const EXPORT_FORMAT = 'quick-gadgets-account-export';
+export const EXPORT_VERSION = 1;
+
+/**
+ * Call another worker and return its JSON body
+ * A 409 from the worker (e.g. orders still being delivered) is passed on as a ConflictError,
+ * anything else becomes a 502 so the client knows the request can be retried
+ */
+async function callDataWorker(binding, workerName, path, options, apiKey) {
+  if (!binding) {
+    throw new AppError(`${workerName} service binding not available`, 502, 'DATA_REQUEST_FAILED');
+  }
+
+  const response = await callWorkerBinding(binding, path, options, apiKey);
+  if (!response.ok) {
+    let message = `${workerName} returned ${response.status}`;
+    try {
+      const body = await response.json();
+      message = body.error?.message || body.error || message;
+    } catch (e) {
+      // Keep the status-based message
+    }
+
+    if (response.status === 409) {
+      throw new ConflictError(message);
+    }
+    throw new AppError(`${workerName} failed: ${message}`, 502, 'DATA_REQUEST_FAILED');
+  }
+
+  return await response.json();
+}
+
+/**
+ * Run workflow steps in order, saving each step's outcome to the data request
+ * @param {D1Database} db - Database instance
+ * @param {Object} dataRequest - Request created by createDataRequest
+ * @param {Array<{name: string, run: Function}>} steps - Steps; run() resolves to a small summary for the audit trail
+ * @returns {Promise<Object[]>} Completed steps
+ */
+async function runWorkflow(db, dataRequest, steps) {
+  const recorded = [];
+
+  for (const step of steps) {
+    const entry = { name: step.name, status: 'running', startedAt: new Date().toISOString() };
+    recorded.push(entry);
+
+    try {
+      entry.result = await step.run();
+      entry.status = 'completed';
+      entry.completedAt = new Date().toISOString();
+      await updateDataRequest(db, dataRequest.requestId, { status: 'running', steps: recorded });
+    } catch (error) {
+      entry.status = 'failed';
+      entry.error = error.message;
+      await updateDataRequest(db, dataRequest.requestId, { status: 'failed', steps: recorded, error: `${step.name}: ${error.message}` });
+      throw error;
+    }
+  }
+
+  await updateDataRequest(db, dataRequest.requestId, { status: 'completed', steps: recorded });
+  return recorded;
+}
+
+/**
+ * Load and decrypt a user
+ */
+async function loadUserData(userId, db, encryptionKey) {
+  const user = await getUserById(db, userId);
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+  return { user, userData: JSON.parse(await decrypt(user.data, encryptionKey, user.user_id)) };
+}
+
+/**
+ * Build the account data export archive
+ * @param {string} userId - User ID
+ * @param {Object} env - Worker env (auth_db, service bindings, keys)
+ * @returns {Promise<Object>} Archive (JSON-serializable)
+ */
+export async function exportAccountData(userId, env) {
+  const db = env.auth_db;
+  const apiKey = env.INTER_WORKER_API_KEY;
+  const { user, userData } = await loadUserData(userId, db, env.ENCRYPTION_KEY);
+
+  const dataRequest = await createDataRequest(db, userId, 'export');
+  const archive = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    requestId: dataRequest.requestId,
+    userId,
+    exportedAt: null,
+  };
+
+  await runWorkflow(db, dataRequest, [
+    {
+      name: 'auth',
+      run: async () => {
+        const sessions = await getUserSessions(db, userId);
+        const identities = await getUserIdentities(db, userId);
+        const { roles } = await getUserRoleDetails(userId, db);
+
+        archive.account = {
+          profile: toPublicProfile(userData),
+          createdAt: user.created_at,
+          updatedAt: user.updated_at,
+          roles,
+          linkedIdentities: identities.map(identity => ({
+            provider: identity.provider,
+            linkedAt: identity.created_at,
+            lastLoginAt: identity.last_login_at,
+          })),
+          sessions: sessions.map(session => ({
+            sessionId: session.session_id,
+            userAgent: session.user_agent,
+            ipAddress: session.ip_address,
+            lastUsedAt: session.last_used_at,
+            createdAt: session.created_at,
+            expiresAt: session.expires_at,
+          })),
+        };
+        return { sessions: sessions.length, identities: identities.length };
+      },
+    },
+    {
+      name: 'orders',
+      run: async () => {
+        const { orders } = await callDataWorker(env.orders_worker, 'Orders worker', `/users/${userId}/export`, { method: 'GET' }, apiKey);
+        archive.orders = orders;
+        return { orders: orders.length };
+      },
+    },
+    {
+      name: 'payments',
+      run: async () => {
+        const orderIds = archive.orders.map(order => order.orderId);
+        const { payments } = await callDataWorker(env.payment_worker, 'Payment worker', '/payments/export', { method: 'POST', body: { orderIds } }, apiKey);
+        archive.payments = payments;
+        return { payments: payments.length };
+      },
+    },
+    {
+      name: 'ratings',
+      run: async () => {
+        const { ratings } = await callDataWorker(env.rating_worker, 'Rating worker', `/users/${userId}/export`, { method: 'GET' }, apiKey);
+        archive.ratings = ratings;
+        return { ratings: ratings.length };
+      },
+    },
+    {
+      name: 'cart',
+      run: async () => {
+        const { carts } = await callDataWorker(env.cart_worker, 'Cart worker', `/users/${userId}/export`, { method: 'GET' }, apiKey);
+        archive.carts = carts;
+        return { carts: carts.length };
+      },
+    },
+  ]);
+
+  archive.exportedAt = new Date().toISOString();
+  return archive;
+}
+
+/**
+ * Confirm the account holder before deletion
+ * Accounts with a password must re-enter it; passwordless (provider-only) accounts rely on the session
+ */
+async function verifyDeletionCredentials(userData, credentials) {
+  if (!userData.password) {
+    return;
+  }
+  if (!credentials.password || !await verifyPassword(credentials.password, userData.password)) {
+    throw new AuthenticationError('Password is incorrect');
+  }
+}
+
+/**
+ * Delete an account
+ * Other workers go first (orders and ratings are anonymized, carts deleted) and the user
+ * is soft-deleted last, so a failed run leaves a working account that can retry.
+ * Payments are kept: they are financial records keyed by order and hold no direct PII.
+ * @param {string} userId - User ID
+ * @param {Object} credentials - { password }
+ * @param {Object} env - Worker env (auth_db, service bindings, keys)
+ * @returns {Promise<Object>} { requestId, steps }
+ */
+export async function deleteAccount(userId, credentials, env) {
+  const db = env.auth_db;
+  const apiKey = env.INTER_WORKER_API_KEY;
+  const { userData } = await loadUserData(userId, db, env.ENCRYPTION_KEY);
+
+  await verifyDeletionCredentials(userData, credentials);
+
+  const roles = await getUserRoles(db, userId);
+  if (roles.includes(SUPER_ADMIN_ROLE) && await countUsersWithRole(db, SUPER_ADMIN_ROLE) <= 1) {
+    throw new ConflictError('The last super admin cannot delete their account');
+  }
+
+  const dataRequest = await createDataRequest(db, userId, 'delete');
+
+  const steps = await runWorkflow(db, dataRequest, [
+    {
+      name: 'orders',
+      run: () => callDataWorker(env.orders_worker, 'Orders worker', `/users/${userId}/erase`, { method: 'POST' }, apiKey),
+    },
+    {
+      name: 'ratings',
+      run: () => callDataWorker(env.rating_worker, 'Rating worker', `/users/${userId}/erase`, { method: 'POST' }, apiKey),
+    },
+    {
+      name: 'cart',
+      run: () => callDataWorker(env.cart_worker, 'Cart worker', `/users/${userId}/erase`, { method: 'POST' }, apiKey),
+    },
+    {
+      name: 'auth',
+      run: async () => {
+        const sessionsRevoked = await deleteUserSessions(db, userId);
+        const identitiesUnlinked = await deleteUserIdentities(db, userId);
+        const rolesRemoved = await removeAllUserRoles(db, userId);
+        const apiTokensRevoked = await revokeUserApiTokens(db, userId);
+        await invalidateUserResetTokens(db, userId);
+        await invalidateUserVerificationTokens(db, userId);
+        await softDeleteUser(db, userId);
+        return { sessionsRevoked, identitiesUnlinked, rolesRemoved, apiTokensRevoked };
+      },
+    },
+  ]);
+
+  return { requestId: dataRequest.requestId, steps };
+}
@@ -0,0 +1,195 @@
+/**
+ * Tests for accountDataService
+ */
+
+import { describe, it, beforeEach } from 'mocha';
+import { expect } from 'chai';
+import { createHash } from 'node:crypto';
+import { exportAccountData, deleteAccount, EXPORT_FORMAT } from './accountDataService.js';
+import { encrypt } from '../../shared/utils/encryption.js';
+import { AppError, AuthenticationError, ConflictError } from '../../shared/utils/errors.js';
+import { createMockEnv, createMockServiceBinding } from '../../test/setup.js';
+
+const encryptionKey = 'test-encryption-key';
+const userId = 'user-1';
+
+// D1 mock answering by query text; records every statement with its bound arguments
+function createRoutedD1(routes) {
+  const statements = [];
+  return {
+    _statements: statements,
+    prepare: (query) => {
+      const route = routes.find(r => query.includes(r.match)) || {};
+      const record = { query, args: [] };
+      const statement = {
+        first: async () => route.first ?? null,
+        run: async () => route.run || { success: true, meta: { changes: 1 } },
+        all: async () => route.all || { results: [] },
+      };
+      return {
+        bind: (...args) => {
+          record.args = args;
+          statements.push(record);
+          return statement;
+        },
+        ...statement,
+      };
+    },
+  };
+}
+
+async function userRow(userData) {
+  return {
+    user_id: userId,
+    data: await encrypt(JSON.stringify(userData), encryptionKey, userId),
+    created_at: '2026-01-01T00:00:00Z',
+    updated_at: '2026-01-02T00:00:00Z',
+  };
+}
+
+// Last saved state of the data request
+function lastProgress(db) {
+  const updates = db._statements.filter(s => s.query.includes('UPDATE data_requests'));
+  const [status, steps, error] = updates[updates.length - 1].args;
+  return { status, steps: JSON.parse(steps), error };
+}
+
+describe('accountDataService', () => {
+  let env;
+
+  beforeEach(() => {
+    env = createMockEnv({
+      ENCRYPTION_KEY: encryptionKey,
+      orders_worker: createMockServiceBinding('orders-worker'),
+      payment_worker: createMockServiceBinding('payment-worker'),
+      rating_worker: createMockServiceBinding('rating-worker'),
+      cart_worker: createMockServiceBinding('cart-worker'),
+    });
+  });
+
+  describe('exportAccountData', () => {
+    beforeEach(() => {
+      env.orders_worker._setResponse('GET', `/users/${userId}/export`, { orders: [{ orderId: 'order-1' }, { orderId: 'order-2' }] });
+      env.payment_worker._setResponse('POST', '/payments/export', { payments: [{ paymentId: 'pay-1', orderId: 'order-1' }] });
+      env.rating_worker._setResponse('GET', `/users/${userId}/export`, { ratings: [{ ratingId: 'rating-1' }] });
+      env.cart_worker._setResponse('GET', `/users/${userId}/export`, { carts: [] });
+    });
+
+    it('should collect data from every worker without secrets', async () => {
+      env.auth_db = createRoutedD1([
+        { match: 'FROM users', first: await userRow({ email: 'user@example.com', name: 'User', password: 'hash', twoFactor: { enabled: true, secret: 'S' } }) },
+        { match: 'FROM sessions', all: { results: [{ session_id: 'session-1', ip_address: '203.0.113.5' }] } },
+        { match: 'FROM user_identities', all: { results: [{ provider: 'google', subject: 'sub-1', created_at: '2026-01-01T00:00:00Z' }] } },
+        { match: 'FROM user_roles', all: { results: [] } },
+      ]);
+
+      const archive = await exportAccountData(userId, env);
+
+      expect(archive).to.include({ format: EXPORT_FORMAT, userId });
+      expect(archive.account.profile).to.include({ email: 'user@example.com', twoFactorEnabled: true });
+      expect(archive.account.profile).to.not.have.property('password');
+      expect(archive.account.profile).to.not.have.property('twoFactor');
+      expect(archive.account.linkedIdentities[0]).to.not.have.property('subject');
+      expect(archive.account.sessions).to.have.length(1);
+      expect(archive.orders).to.have.length(2);
+      expect(archive.payments).to.have.length(1);
+      expect(archive.ratings).to.have.length(1);
+      expect(archive.carts).to.deep.equal([]);
+
+      const progress = lastProgress(env.auth_db);
+      expect(progress.status).to.equal('completed');
+      expect(progress.steps.map(s => s.name)).to.deep.equal(['auth', 'orders', 'payments', 'ratings', 'cart']);
+      expect(progress.steps[1].result).to.deep.equal({ orders: 2 });
+    });
+
+    it('should record the failed step when a worker is unavailable', async () => {
+      env.auth_db = createRoutedD1([{ match: 'FROM users', first: await userRow({ email: 'user@example.com' }) }]);
+      env.rating_worker._setResponse('GET', `/users/${userId}/export`, { error: 'boom' }, { status: 500 });
+
+      try {
+        await exportAccountData(userId, env);
+        expect.fail('Should have thrown AppError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AppError);
+        expect(error.statusCode).to.equal(502);
+      }
+
+      const progress = lastProgress(env.auth_db);
+      expect(progress.status).to.equal('failed');
+      expect(progress.steps.map(s => s.status)).to.deep.equal(['completed', 'completed', 'completed', 'failed']);
+      expect(progress.error).to.include('ratings');
+    });
+  });
+
+  describe('deleteAccount', () => {
+    const password = 'Password123';
+    const passwordHash = createHash('sha256').update(password).digest('hex');
+
+    it('should erase data in every worker and soft-delete the user last', async () => {
+      env.auth_db = createRoutedD1([{ match: 'FROM users', first: await userRow({ email: 'user@example.com', password: passwordHash }) }]);
+      env.orders_worker._setResponse('POST', `/users/${userId}/erase`, { ordersAnonymized: 3 });
+      env.rating_worker._setResponse('POST', `/users/${userId}/erase`, { ratingsAnonymized: 1 });
+      env.cart_worker._setResponse('POST', `/users/${userId}/erase`, { cartsDeleted: 1 });
+
+      const result = await deleteAccount(userId, { password }, env);
+
+      expect(result.steps.map(s => s.name)).to.deep.equal(['orders', 'ratings', 'cart', 'auth']);
+      expect(result.steps[0].result).to.deep.equal({ ordersAnonymized: 3 });
+
+      const queries = env.auth_db._statements.map(s => s.query);
+      const softDelete = queries.findIndex(q => q.includes('UPDATE users'));
+      expect(queries.some(q => q.includes('UPDATE sessions'))).to.be.true;
+      expect(queries.some(q => q.includes('DELETE FROM user_identities'))).to.be.true;
+      expect(queries.some(q => q.includes('DELETE FROM user_roles'))).to.be.true;
+      expect(queries.some(q => q.includes('UPDATE api_tokens'))).to.be.true;
+      expect(softDelete).to.be.greaterThan(queries.findIndex(q => q.includes('UPDATE sessions')));
+      expect(lastProgress(env.auth_db).status).to.equal('completed');
+    });
+
+    it('should reject a wrong password before touching anything', async () => {
+      env.auth_db = createRoutedD1([{ match: 'FROM users', first: await userRow({ email: 'user@example.com', password: passwordHash }) }]);
+
+      try {
+        await deleteAccount(userId, { password: 'wrong-password' }, env);
+        expect.fail('Should have thrown AuthenticationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AuthenticationError);
+      }
+
+      expect(env.auth_db._statements.some(s => s.query.includes('data_requests'))).to.be.false;
+    });
+
+    it('should not allow the last super admin to delete their account', async () => {
+      env.auth_db = createRoutedD1([
+        { match: 'FROM users', first: await userRow({ email: 'admin@example.com' }) },
+        { match: 'SELECT role FROM user_roles', all: { results: [{ role: 'super_admin' }] } },
+        { match: 'COUNT(*)', first: { count: 1 } },
+      ]);
+
+      try {
+        await deleteAccount(userId, {}, env);
+        expect.fail('Should have thrown ConflictError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ConflictError);
+      }
+    });
+
+    it('should keep the account when a worker refuses and pass on its conflict', async () => {
+      env.auth_db = createRoutedD1([{ match: 'FROM users', first: await userRow({ email: 'user@example.com' }) }]);
+      env.orders_worker._setResponse('POST', `/users/${userId}/erase`, {
+        error: { code: 'CONFLICT', message: 'Account has 1 order(s) still being delivered' },
+      }, { status: 409 });
+
+      try {
+        await deleteAccount(userId, {}, env);
+        expect.fail('Should have thrown ConflictError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ConflictError);
+        expect(error.message).to.include('still being delivered');
+      }
+
+      expect(env.auth_db._statements.some(s => s.query.includes('UPDATE users'))).to.be.false;
+      expect(lastProgress(env.auth_db).status).to.equal('failed');
+    });
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Admin user service
+ * Customer lookup and account actions for admins: search (by email blind index), view,
+ * suspend/unsuspend, force logout and password reset. Replaces ad-hoc SQL and scripts.
+ */
+
+import { getUserById, listUsers, setUserSuspension } from '../models/userModel.js';
+import { deleteUserSessions } from '../models/sessionModel.js';
+import { getUserRoles, countUsersWithRole } from '../models/roleModel.js';
+import { listSessions } from './sessionService.js';
+import { toPublicProfile } from './profileService.js';
+import { getUserRoleDetails } from './roleService.js';
+import { isEmailVerified } from './emailVerificationService.js';
+import { SUPER_ADMIN_ROLE } from '../../shared/utils/permissions.js';
+import { decrypt, normalizeEmail, emailIndex } from '../../shared/utils/encryption.js';
+import { ConflictError, NotFoundError } from '../../shared/utils/errors.js';
+
+/**
+ * Summary of a user row for the admin list
+ */
+async function toUserSummary(user, encryptionKey) {
+  const userData = JSON.parse(await decrypt(user.data, encryptionKey, user.user_id));
+  return {
+    userId: user.user_id,
+    email: userData.email,
+    name: userData.name || null,
+    emailVerified: isEmailVerified(userData),
+    suspended: !!user.suspended_at,
+    suspendedAt: user.suspended_at || null,
+    createdAt: user.created_at,
+  };
+}
+
+/**
+ * Search users
+ * Email is matched exactly through the blind index (PII is encrypted, so no partial matches)
+ * @param {Object} filters - { email, status, page, limit }
+ * @param {D1Database} db - Database instance
+ * @param {string} encryptionKey - Encryption key
+ * @param {string} blindIndexKey - Key for the email blind index
+ * @returns {Promise<Object>} { users, pagination }
+ */
+export async function searchUsers(filters, db, encryptionKey, blindIndexKey = encryptionKey) {
+  const { page, limit } = filters;
+  const { users, total } = await listUsers(db, {
+    emailIndex: filters.email ? emailIndex(normalizeEmail(filters.email), blindIndexKey) : null,
+    status: filters.status || null,
+    page,
+    limit,
+  });
+
+  const totalPages = Math.ceil(total / limit);
+  return {
+    users: await Promise.all(users.map(user => toUserSummary(user, encryptionKey))),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages,
+      hasNext: page < totalPages,
+      hasPrev: page > 1,
+    },
+  };
+}
+
+/**
+ * Get everything an admin needs about one user: profile, saved addresses, sessions and roles
+ * @param {string} userId - User ID
+ * @param {D1Database} db - Database instance
+ * @param {string} encryptionKey - Encryption key
+ * @returns {Promise<Object>} User details
+ */
+export async function getUserDetails(userId, db, encryptionKey) {
+  const user = await getUserById(db, userId);
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+
+  const { savedAddresses = [], ...profile } = toPublicProfile(JSON.parse(await decrypt(user.data, encryptionKey, user.user_id)));
+  const { roles } = await getUserRoleDetails(userId, db);
+
+  return {
+    userId,
+    profile,
+    savedAddresses,
+    sessions: await listSessions(userId, null, db),
+    roles,
+    suspension: user.suspended_at
+      ? { suspendedAt: user.suspended_at, reason: user.suspension_reason || null }
+      : null,
+    createdAt: user.created_at,
+    updatedAt: user.updated_at,
+  };
+}
+
+/**
+ * Suspend a user and end all their sessions
+ * Admins cannot suspend themselves, and the last super admin cannot be suspended
+ * @param {string} userId - User to suspend
+ * @param {string|null} reason - Reason (kept for other admins)
+ * @param {string} adminUserId - Admin making the change
+ * @param {D1Database} db - Database instance
+ * @returns {Promise<Object>} { userId, suspendedAt, sessionsRevoked }
+ */
+export async function suspendUser(userId, reason, adminUserId, db) {
+  if (userId === adminUserId) {
+    throw new ConflictError('You cannot suspend your own account');
+  }
+
+  const user = await getUserById(db, userId);
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+  if (user.suspended_at) {
+    throw new ConflictError('User is already suspended');
+  }
+
+  const roles = await getUserRoles(db, userId);
+  if (roles.includes(SUPER_ADMIN_ROLE) && await countUsersWithRole(db, SUPER_ADMIN_ROLE) <= 1) {
+    throw new ConflictError('The last super admin cannot be suspended');
+  }
+
+  const suspendedAt = new Date().toISOString();
+  await setUserSuspension(db, userId, suspendedAt, reason || null);
+  const sessionsRevoked = await deleteUserSessions(db, userId);
+
+  return { userId, suspendedAt, sessionsRevoked };
+}
+
+/**
+ * Lift a suspension
+ * @param {string} userId - User ID
+ * @param {D1Database} db - Database instance
+ * @returns {Promise<Object>} { userId, suspended: false }
+ */
+export async function unsuspendUser(userId, db) {
+  const user = await getUserById(db, userId);
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+  if (!user.suspended_at) {
+    throw new ConflictError('User is not suspended');
+  }
+
+  await setUserSuspension(db, userId, null);
+  return { userId, suspended: false };
+}
+
+/**
+ * End every session of a user (force logout)
+ * @param {string} userId - User ID
+ * @param {D1Database} db - Database instance
+ * @returns {Promise<Object>} { userId, sessionsRevoked }
+ */
+export async function forceLogout(userId, db) {
+  const user = await getUserById(db, userId);
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+
+  return { userId, sessionsRevoked: await deleteUserSessions(db, userId) };
+}
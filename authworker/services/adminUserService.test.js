@@ -0,0 +1,194 @@
+/**
+ * Tests for adminUserService
+ */
+
+import { describe, it, beforeEach } from 'mocha';
+import { expect } from 'chai';
+import { searchUsers, getUserDetails, suspendUser, unsuspendUser, forceLogout } from './adminUserService.js';
+import { createMockD1WithSequence, createMockEnv } from '../../test/setup.js';
+import { encrypt, emailIndex } from '../../shared/utils/encryption.js';
+import { ConflictError, NotFoundError } from '../../shared/utils/errors.js';
+
+const changed = (changes) => ({ run: { success: true, meta: { changes } } });
+
+// Record bound arguments of every statement
+function recordBindings(db) {
+  const bindings = [];
+  const prepare = db.prepare;
+  db.prepare = (query) => {
+    const statement = prepare(query);
+    return {
+      ...statement,
+      bind: (...args) => {
+        bindings.push({ query, args });
+        return statement.bind(...args);
+      },
+    };
+  };
+  db._bindings = bindings;
+  return db;
+}
+
+describe('adminUserService', () => {
+  let mockEnv;
+
+  beforeEach(() => {
+    mockEnv = createMockEnv();
+  });
+
+  const userRow = async (userId, data, extra = {}) => ({
+    user_id: userId,
+    data: await encrypt(JSON.stringify(data), mockEnv.ENCRYPTION_KEY, userId),
+    created_at: '2026-01-01T00:00:00Z',
+    updated_at: '2026-01-01T00:00:00Z',
+    ...extra,
+  });
+
+  describe('searchUsers', () => {
+    it('should look up the email through the blind index and decrypt the results', async () => {
+      const row = await userRow('user-1', { email: 'user@example.com', name: 'User', emailVerified: true, password: 'hash' });
+      const db = recordBindings(createMockD1WithSequence([
+        { first: { total: 1 } },
+        { all: { results: [row] } },
+      ]));
+
+      const result = await searchUsers({ email: ' User@Example.com', page: 1, limit: 20 }, db, mockEnv.ENCRYPTION_KEY);
+
+      expect(db._bindings[0].args).to.deep.equal([emailIndex('user@example.com', mockEnv.ENCRYPTION_KEY)]);
+      expect(result.users).to.deep.equal([{
+        userId: 'user-1',
+        email: 'user@example.com',
+        name: 'User',
+        emailVerified: true,
+        suspended: false,
+        suspendedAt: null,
+        createdAt: '2026-01-01T00:00:00Z',
+      }]);
+      expect(result.pagination).to.include({ page: 1, total: 1, totalPages: 1, hasNext: false });
+    });
+
+    it('should filter by status and paginate', async () => {
+      const db = recordBindings(createMockD1WithSequence([
+        { first: { total: 45 } },
+        { all: { results: [] } },
+      ]));
+
+      const result = await searchUsers({ status: 'suspended', page: 2, limit: 20 }, db, mockEnv.ENCRYPTION_KEY);
+
+      expect(db._bindings[1].query).to.include('suspended_at IS NOT NULL');
+      expect(db._bindings[1].args).to.deep.equal([20, 20]);
+      expect(result.pagination).to.include({ totalPages: 3, hasNext: true, hasPrev: true });
+    });
+  });
+
+  describe('getUserDetails', () => {
+    it('should return profile, addresses, sessions and suspension without secrets', async () => {
+      const row = await userRow('user-1', {
+        email: 'user@example.com',
+        password: 'hash',
+        savedAddresses: [{ addressId: 'addr-1', city: 'Chennai' }],
+      }, { suspended_at: '2026-02-01T00:00:00Z', suspension_reason: 'Chargebacks' });
+      const db = createMockD1WithSequence([
+        { first: row }, // getUserById
+        { first: row }, // getUserRoleDetails: getUserById
+        { all: { results: [] } }, // role assignments
+        { all: { results: [{ session_id: 'session-1', two_factor_verified: 0, created_at: '2026-01-02T00:00:00Z' }] } },
+      ]);
+
+      const result = await getUserDetails('user-1', db, mockEnv.ENCRYPTION_KEY);
+
+      expect(result.profile).to.not.have.property('password');
+      expect(result.profile).to.not.have.property('savedAddresses');
+      expect(result.savedAddresses).to.have.length(1);
+      expect(result.sessions[0]).to.include({ sessionId: 'session-1', current: false });
+      expect(result.suspension).to.deep.equal({ suspendedAt: '2026-02-01T00:00:00Z', reason: 'Chargebacks' });
+    });
+
+    it('should throw NotFoundError for an unknown user', async () => {
+      try {
+        await getUserDetails('missing', createMockD1WithSequence([{ first: null }]), mockEnv.ENCRYPTION_KEY);
+        expect.fail('Should have thrown NotFoundError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(NotFoundError);
+      }
+    });
+  });
+
+  describe('suspendUser', () => {
+    it('should suspend the user and end their sessions', async () => {
+      const db = recordBindings(createMockD1WithSequence([
+        { first: await userRow('user-1', { email: 'user@example.com' }) },
+        { all: { results: [] } }, // getUserRoles
+        changed(1), // setUserSuspension
+        changed(2), // deleteUserSessions
+      ]));
+
+      const result = await suspendUser('user-1', 'Fraud', 'admin-1', db);
+
+      expect(result).to.include({ userId: 'user-1', sessionsRevoked: 2 });
+      const update = db._bindings.find(b => b.query.includes('SET suspended_at'));
+      expect(update.args.slice(0, 2)).to.deep.equal([result.suspendedAt, 'Fraud']);
+    });
+
+    it('should not let admins suspend themselves', async () => {
+      try {
+        await suspendUser('admin-1', null, 'admin-1', createMockD1WithSequence([]));
+        expect.fail('Should have thrown ConflictError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ConflictError);
+      }
+    });
+
+    it('should protect the last super admin', async () => {
+      const db = createMockD1WithSequence([
+        { first: await userRow('user-1', { email: 'admin@example.com' }) },
+        { all: { results: [{ role: 'super_admin' }] } },
+        { first: { count: 1 } },
+      ]);
+
+      try {
+        await suspendUser('user-1', null, 'admin-1', db);
+        expect.fail('Should have thrown ConflictError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ConflictError);
+        expect(error.message).to.include('last super admin');
+      }
+    });
+  });
+
+  describe('unsuspendUser', () => {
+    it('should clear the suspension', async () => {
+      const db = recordBindings(createMockD1WithSequence([
+        { first: await userRow('user-1', {}, { suspended_at: '2026-02-01T00:00:00Z' }) },
+        changed(1),
+      ]));
+
+      const result = await unsuspendUser('user-1', db);
+
+      expect(result).to.deep.equal({ userId: 'user-1', suspended: false });
+      expect(db._bindings[1].args.slice(0, 2)).to.deep.equal([null, null]);
+    });
+
+    it('should refuse users that are not suspended', async () => {
+      const db = createMockD1WithSequence([{ first: await userRow('user-1', {}) }]);
+
+      try {
+        await unsuspendUser('user-1', db);
+        expect.fail('Should have thrown ConflictError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ConflictError);
+      }
+    });
+  });
+
+  describe('forceLogout', () => {
+    it('should end every session of the user', async () => {
+      const db = createMockD1WithSequence([
+        { first: await userRow('user-1', {}) },
+        changed(3),
+      ]);
+
+      expect(await forceLogout('user-1', db)).to.deep.equal({ userId: 'user-1', sessionsRevoked: 3 });
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Personal access token service
+ * Long-lived, scoped tokens for scripting the cart and orders APIs (B2B reorders, order history).
+ * The token is shown once at creation; only its SHA-256 hash is stored.
+ */
+
+import {
+  createApiToken,
+  getApiTokenByHash,
+  getUserApiTokens,
+  countActiveUserApiTokens,
+  revokeApiToken,
+  touchApiToken,
+} from '../models/apiTokenModel.js';
+import { getUserById } from '../models/userModel.js';
+import { generateSecureToken, hashToken } from '../utils/tokens.js';
+import { API_TOKEN_PREFIX } from '../../shared/utils/apiTokens.js';
+import { AuthenticationError, ConflictError, NotFoundError } from '../../shared/utils/errors.js';
+
+export const MAX_ACTIVE_API_TOKENS = 20;
+const TOKEN_HINT_LENGTH = API_TOKEN_PREFIX.length + 6;
+
+/**
+ * Token record as returned to its owner (never includes the hash)
+ */
+function toPublicToken(record, now = new Date().toISOString()) {
+  let status = 'active';
+  if (record.revoked_at) {
+    status = 'revoked';
+  } else if (record.expires_at <= now) {
+    status = 'expired';
+  }
+
+  return {
+    tokenId: record.token_id,
+    name: record.name,
+    tokenHint: record.token_hint,
+    scopes: JSON.parse(record.scopes),
+    status,
+    expiresAt: record.expires_at,
+    lastUsedAt: record.last_used_at,
+    lastUsedIp: record.last_used_ip,
+    createdAt: record.created_at,
+    revokedAt: record.revoked_at,
+  };
+}
+
+/**
+ * Create a personal access token
+ * @param {string} userId - Owner
+ * @param {Object} options - { name, scopes, expiresInDays }
+ * @param {D1Database} db - Database instance
+ * @returns {Promise<Object>} Token details including the plain token (shown only this once)
+ */
+export async function createToken(userId, { name, scopes, expiresInDays }, db) {
+  if (await countActiveUserApiTokens(db, userId) >= MAX_ACTIVE_API_TOKENS) {
+    throw new ConflictError(`You can have at most ${MAX_ACTIVE_API_TOKENS} active API tokens. Revoke one first.`);
+  }
+
+  const token = `${API_TOKEN_PREFIX}${generateSecureToken()}`;
+  const record = await createApiToken(db, {
+    userId,
+    name,
+    tokenHash: await hashToken(token),
+    tokenHint: token.substring(0, TOKEN_HINT_LENGTH),
+    scopes,
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString(),
+  });
+
+  return { ...toPublicToken(record), token };
+}
+
+/**
+ * List a user's tokens, including revoked and expired ones
+ * @param {string} userId - User ID
+ * @param {D1Database} db - Database instance
+ * @returns {Promise<Object[]>} Tokens
+ */
+export async function listTokens(userId, db) {
+  const now = new Date().toISOString();
+  return (await getUserApiTokens(db, userId)).map(record => toPublicToken(record, now));
+}
+
+/**
+ * Revoke one of a user's tokens
+ * @param {string} userId - User ID
+ * @param {string} tokenId - Token ID
+ * @param {D1Database} db - Database instance
+ * @returns {Promise<boolean>} True if revoked
+ */
+export async function revokeToken(userId, tokenId, db) {
+  if (!await revokeApiToken(db, userId, tokenId)) {
+    throw new NotFoundError('API token');
+  }
+  return true;
+}
+
+/**
+ * Verify a token presented to another worker and record its use
+ * Tokens of suspended or deleted accounts stop working without being revoked
+ * @param {string} token - Plain "pat_..." token
+ * @param {string|null} ipAddress - Client IP of the request made with the token
+ * @param {D1Database} db - Database instance
+ * @returns {Promise<Object>} { userId, tokenId, scopes }
+ */
+export async function verifyToken(token, ipAddress, db) {
+  const record = token.startsWith(API_TOKEN_PREFIX) ? await getApiTokenByHash(db, await hashToken(token)) : null;
+  if (!record || record.revoked_at || record.expires_at <= new Date().toISOString()) {
+    throw new AuthenticationError('Invalid, expired or revoked API token');
+  }
+
+  const user = await getUserById(db, record.user_id);
+  if (!user || user.suspended_at) {
+    throw new AuthenticationError('Invalid, expired or revoked API token');
+  }
+
+  await touchApiToken(db, record.token_id, ipAddress);
+
+  return {
+    userId: record.user_id,
+    tokenId: record.token_id,
+    scopes: JSON.parse(record.scopes),
+  };
+}
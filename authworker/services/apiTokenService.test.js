@@ -0,0 +1,154 @@
+/**
+ * Tests for apiTokenService
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { createToken, listTokens, revokeToken, verifyToken, MAX_ACTIVE_API_TOKENS } from './apiTokenService.js';
+import { createMockD1WithSequence } from '../../test/setup.js';
+import { hashToken } from '../utils/tokens.js';
+import { AuthenticationError, ConflictError, NotFoundError } from '../../shared/utils/errors.js';
+
+const changed = (changes) => ({ run: { success: true, meta: { changes } } });
+
+// Record bound arguments of every statement
+function recordBindings(db) {
+  const bindings = [];
+  const prepare = db.prepare;
+  db.prepare = (query) => {
+    const statement = prepare(query);
+    return {
+      ...statement,
+      bind: (...args) => {
+        bindings.push({ query, args });
+        return statement.bind(...args);
+      },
+    };
+  };
+  db._bindings = bindings;
+  return db;
+}
+
+const future = () => new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+const past = () => new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+
+const tokenRow = (extra = {}) => ({
+  token_id: 'token-1',
+  user_id: 'user-1',
+  name: 'ERP reorders',
+  token_hint: 'pat_abc123',
+  scopes: JSON.stringify(['cart:read', 'orders:write']),
+  expires_at: future(),
+  last_used_at: null,
+  last_used_ip: null,
+  created_at: '2026-01-01T00:00:00Z',
+  revoked_at: null,
+  ...extra,
+});
+
+describe('apiTokenService', () => {
+  describe('createToken', () => {
+    it('should return the plain token once and store only its hash', async () => {
+      const db = recordBindings(createMockD1WithSequence([
+        { first: { count: 0 } },
+        changed(1),
+      ]));
+
+      const result = await createToken('user-1', { name: 'ERP reorders', scopes: ['orders:read'], expiresInDays: 30 }, db);
+
+      expect(result.token).to.match(/^pat_[0-9a-f]+$/);
+      expect(result.tokenHint).to.equal(result.token.substring(0, 10));
+      expect(result.status).to.equal('active');
+      expect(result.scopes).to.deep.equal(['orders:read']);
+
+      const insert = db._bindings[1];
+      expect(insert.query).to.include('INSERT INTO api_tokens');
+      expect(insert.args).to.not.include(result.token);
+      expect(insert.args[3]).to.equal(await hashToken(result.token));
+    });
+
+    it('should reject users at the active token limit', async () => {
+      const db = createMockD1WithSequence([{ first: { count: MAX_ACTIVE_API_TOKENS } }]);
+
+      try {
+        await createToken('user-1', { name: 'One more', scopes: ['cart:read'], expiresInDays: 30 }, db);
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ConflictError);
+      }
+    });
+  });
+
+  describe('listTokens', () => {
+    it('should report active, expired and revoked tokens', async () => {
+      const db = createMockD1WithSequence([
+        {
+          all: {
+            results: [
+              tokenRow(),
+              tokenRow({ token_id: 'token-2', expires_at: past() }),
+              tokenRow({ token_id: 'token-3', revoked_at: '2026-02-01T00:00:00Z' }),
+            ],
+          },
+        },
+      ]);
+
+      const tokens = await listTokens('user-1', db);
+
+      expect(tokens.map(token => token.status)).to.deep.equal(['active', 'expired', 'revoked']);
+      expect(tokens[0]).to.not.have.property('token');
+      expect(tokens[0].scopes).to.deep.equal(['cart:read', 'orders:write']);
+    });
+  });
+
+  describe('revokeToken', () => {
+    it('should throw NotFoundError for unknown or already revoked tokens', async () => {
+      const db = createMockD1WithSequence([changed(0)]);
+
+      try {
+        await revokeToken('user-1', 'token-x', db);
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error).to.be.instanceOf(NotFoundError);
+      }
+    });
+  });
+
+  describe('verifyToken', () => {
+    it('should return the owner and scopes and record the use', async () => {
+      const db = recordBindings(createMockD1WithSequence([
+        { first: tokenRow() },
+        { first: { user_id: 'user-1', suspended_at: null } },
+        changed(1),
+      ]));
+
+      const result = await verifyToken('pat_abc123def', '203.0.113.7', db);
+
+      expect(result).to.deep.equal({ userId: 'user-1', tokenId: 'token-1', scopes: ['cart:read', 'orders:write'] });
+      expect(db._bindings[0].args).to.deep.equal([await hashToken('pat_abc123def')]);
+      expect(db._bindings[2].query).to.include('last_used_at');
+      expect(db._bindings[2].args.slice(1)).to.deep.equal(['203.0.113.7', 'token-1']);
+    });
+
+    const rejects = async (token, sequence) => {
+      try {
+        await verifyToken(token, null, createMockD1WithSequence(sequence));
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AuthenticationError);
+      }
+    };
+
+    it('should reject unknown, revoked and expired tokens', async () => {
+      await rejects('pat_unknown', [{ first: null }]);
+      await rejects('pat_abc123def', [{ first: tokenRow({ revoked_at: '2026-02-01T00:00:00Z' }) }]);
+      await rejects('pat_abc123def', [{ first: tokenRow({ expires_at: past() }) }]);
+      await rejects('not-a-pat', []);
+    });
+
+    it('should reject tokens of suspended or deleted users', async () => {
+      await rejects('pat_abc123def', [{ first: tokenRow() }, { first: { user_id: 'user-1', suspended_at: '2026-02-01T00:00:00Z' } }]);
+      await rejects('pat_abc123def', [{ first: tokenRow() }, { first: null }]);
+    });
+  });
+});
@@ -4,34 +4,34 @@
  */
 
 import jwt from 'jsonwebtoken';
-import { createSession, getSessionById, getSessionByRefreshToken, updateSessionRefreshToken, deleteSession } from '../models/sessionModel.js';
-import { createUser, getUserByEmail, getUserById } from '../models/userModel.js';
-import { encrypt, decrypt } from '../../shared/utils/encryption.js';
+import {
+  createSession,
+  getSessionById,
+  getSessionByRefreshToken,
+  updateSessionRefreshToken,
+  deleteSession,
+  recordRotatedRefreshToken,
+  getRotatedRefreshToken,
+  revokeSessionFamily,
+} from '../models/sessionModel.js';
+import { createUser, getUserByEmail, getUserById, updateUser } from '../models/userModel.js';
+import { encrypt, decrypt, normalizeEmail, emailIndex, phoneIndex } from '../../shared/utils/encryption.js';
 import { sendLog } from '../../shared/utils/logger.js';
-import { AuthenticationError, ConflictError, NotFoundError } from '../../shared/utils/errors.js';
+import { isTwoFactorEnabled, verifySecondFactor } from './twoFactorService.js';
+import { hashToken } from '../utils/tokens.js';
+import { hashPassword, verifyPassword, needsRehash } from '../utils/password.js';
+import { AppError, AuthenticationError, ConflictError, NotFoundError } from '../../shared/utils/errors.js';
 
 /**
- * Hash password (simple implementation - in production use bcrypt)
- * @param {string} password - Plain text password
- * @returns {Promise<string>} Hashed password
- */
-async function hashPassword(password) {
-  const encoder = new TextEncoder();
-  const data = encoder.encode(password);
-  const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-  const hashArray = Array.from(new Uint8Array(hashBuffer));
-  return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-}
-
-/**
- * Verify password
- * @param {string} password - Plain text password
- * @param {string} hashedPassword - Hashed password
- * @returns {Promise<boolean>} True if match
+ * Refuse suspended accounts (checked wherever a session is created or used)
+ * @param {Object} user - User row (with suspended_at)
  */
-async function verifyPassword(password, hashedPassword) {
-  const hashed = await hashPassword(password);
-  return hashed === hashedPassword;
+export function assertUserActive(user) {
+  if (user.suspended_at) {
+    const error = new AppError('This account has been suspended. Please contact support.', 403, 'ACCOUNT_SUSPENDED');
+    error.userId = user.user_id; // For the security audit trail; not part of the response
+    throw error;
+  }
 }
 
 /**
@@ -49,6 +49,40 @@ export function generateAccessToken(userId, sessionId, secret) {
   );
 }
 
+/**
+ * Generate two-factor login challenge token (5 minutes)
+ * Proves the password step succeeded; exchanged for a session once the second factor is verified
+ * @param {string} userId - User ID
+ * @param {string} secret - JWT secret
+ * @returns {string} JWT challenge token
+ */
+export function generateTwoFactorChallengeToken(userId, secret) {
+  return jwt.sign(
+    { userId, type: 'two_factor_challenge' },
+    secret,
+    { expiresIn: '5m' }
+  );
+}
+
+/**
+ * Verify two-factor login challenge token
+ * @param {string} token - JWT challenge token
+ * @param {string} secret - JWT secret
+ * @returns {Object} Decoded token payload
+ */
+export function verifyTwoFactorChallengeToken(token, secret) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, secret);
+  } catch (error) {
+    throw new AuthenticationError('Invalid or expired two-factor challenge. Please log in again.');
+  }
+  if (decoded.type !== 'two_factor_challenge') {
+    throw new AuthenticationError('Invalid or expired two-factor challenge. Please log in again.');
+  }
+  return decoded;
+}
+
 /**
  * Generate refresh token (7 days)
  * @returns {string} Refresh token
@@ -78,14 +112,17 @@ export function verifyAccessToken(token, secret) {
  * @param {string} encryptionKey - Encryption key
  * @param {string} logWorkerUrl - Log worker URL
  * @param {string} apiKey - API key for log worker
+ * @param {Object} ctx - Execution context
+ * @param {string} blindIndexKey - Key for email/phone blind indexes (defaults to encryption key)
+ * @param {Object} clientInfo - { userAgent, ipAddress } recorded on the session
  * @returns {Promise<Object>} Created user and session
  */
-export async function signup(userData, db, encryptionKey, logWorkerBindingOrUrl, apiKey, ctx = null) {
+export async function signup(userData, db, encryptionKey, logWorkerBindingOrUrl, apiKey, ctx = null, blindIndexKey = encryptionKey, clientInfo = {}) {
   // Normalize email (lowercase for case-insensitive matching)
-  const normalizedEmail = userData.email.toLowerCase().trim();
+  const normalizedEmail = normalizeEmail(userData.email);
   
-  // Check if user already exists (pass encryption key to decrypt and search)
-  const existingUser = await getUserByEmail(db, normalizedEmail, encryptionKey);
+  // Check if user already exists (indexed lookup on the email blind index)
+  const existingUser = await getUserByEmail(db, normalizedEmail, blindIndexKey);
   if (existingUser) {
     throw new ConflictError('User with this email already exists');
   }
@@ -100,7 +137,7 @@ export async function signup(userData, db, encryptionKey, logWorkerBindingOrUrl,
     contactNumber: userData.contactNumber || null,
     address: userData.address || null, // Keep for backward compatibility
     password: hashedPassword, // Store hashed password in encrypted data
-    isAdmin: userData.isAdmin === true, // Store admin flag
+    emailVerified: false, // Set to true once the verification link is used
     savedAddresses: [], // Initialize saved addresses array
   };
 
@@ -116,14 +153,19 @@ export async function signup(userData, db, encryptionKey, logWorkerBindingOrUrl,
     piiData.savedAddresses.push(savedAddress);
   }
 
-  const encryptedData = encrypt(JSON.stringify(piiData), encryptionKey);
+  // The ciphertext is bound to the user ID, so the ID is chosen before encrypting
+  const userId = crypto.randomUUID();
+  const encryptedData = await encrypt(JSON.stringify(piiData), encryptionKey, userId);
 
-  // Create user
-  const user = await createUser(db, userData, encryptedData);
+  // Create user with blind indexes for email/phone lookups
+  const user = await createUser(db, userData, encryptedData, {
+    emailIndex: emailIndex(normalizedEmail, blindIndexKey),
+    phoneIndex: phoneIndex(piiData.contactNumber, blindIndexKey),
+  }, userId);
 
   // Generate tokens
   const refreshToken = generateRefreshToken();
-  const session = await createSession(db, user.userId, refreshToken);
+  const session = await createSession(db, user.userId, refreshToken, clientInfo);
 
   // Generate access token
   const accessToken = generateAccessToken(user.userId, session.sessionId, encryptionKey);
@@ -138,6 +180,20 @@ export async function signup(userData, db, encryptionKey, logWorkerBindingOrUrl,
   };
 }
 
+/**
+ * Replace a legacy or outdated password hash after a successful login
+ * Failures are only logged: the user already proved the password and can log in again later
+ */
+async function rehashPassword(user, userData, password, db, encryptionKey) {
+  try {
+    const updatedData = { ...userData, password: await hashPassword(password) };
+    await updateUser(db, user.user_id, await encrypt(JSON.stringify(updatedData), encryptionKey, user.user_id));
+    console.log('[auth-service] Password hash upgraded for user', user.user_id);
+  } catch (error) {
+    console.error('[auth-service] Failed to upgrade password hash:', error.message);
+  }
+}
+
 /**
  * Login user
  * @param {string} email - Email address
@@ -146,26 +202,22 @@ export async function signup(userData, db, encryptionKey, logWorkerBindingOrUrl,
  * @param {string} encryptionKey - Encryption key
  * @param {string} logWorkerUrl - Log worker URL
  * @param {string} apiKey - API key for log worker
- * @returns {Promise<Object>} User session and tokens
+ * @param {Object} ctx - Execution context
+ * @param {string} blindIndexKey - Key for email/phone blind indexes (defaults to encryption key)
+ * @param {Object} clientInfo - { userAgent, ipAddress } recorded on the session
+ * @returns {Promise<Object>} User session and tokens, or { twoFactorRequired, challengeToken } when 2FA is enabled
  */
-export async function login(email, password, db, encryptionKey, logWorkerBindingOrUrl, apiKey, ctx = null) {
+export async function login(email, password, db, encryptionKey, logWorkerBindingOrUrl, apiKey, ctx = null, blindIndexKey = encryptionKey, clientInfo = {}) {
   // Normalize email (lowercase for case-insensitive matching)
-  const normalizedEmail = email.toLowerCase().trim();
+  const normalizedEmail = normalizeEmail(email);
   
   console.log('[auth-service] Login attempt for email:', normalizedEmail);
   
-  // Get user by email (pass encryption key to decrypt and search)
-  // Try both normalized and original email in case user was created before normalization
-  let user = await getUserByEmail(db, normalizedEmail, encryptionKey);
-  
-  // If not found with normalized email, try original email (for backwards compatibility)
-  if (!user && email !== normalizedEmail) {
-    console.log('[auth-service] User not found with normalized email, trying original:', email);
-    user = await getUserByEmail(db, email, encryptionKey);
-  }
+  // Get user by email (indexed lookup on the email blind index)
+  const user = await getUserByEmail(db, normalizedEmail, blindIndexKey);
   
   if (!user) {
-    console.log('[auth-service] User not found for email:', normalizedEmail, 'or', email);
+    console.log('[auth-service] User not found for email:', normalizedEmail);
     throw new AuthenticationError('Invalid email or password');
   }
 
@@ -173,7 +225,7 @@ export async function login(email, password, db, encryptionKey, logWorkerBinding
   // Decrypt user data
   let decryptedData;
   try {
-    decryptedData = JSON.parse(decrypt(user.data, encryptionKey));
+    decryptedData = JSON.parse(await decrypt(user.data, encryptionKey, user.user_id));
   } catch (decryptError) {
     console.error('[auth-service] Failed to decrypt user data:', decryptError.message);
     throw new AuthenticationError('Invalid email or password');
@@ -181,7 +233,6 @@ export async function login(email, password, db, encryptionKey, logWorkerBinding
   
   console.log('[auth-service] Decrypted email from DB:', decryptedData.email);
   console.log('[auth-service] Decrypted data keys:', Object.keys(decryptedData || {}));
-  console.log('[auth-service] Decrypted data (without password):', JSON.stringify({ ...decryptedData, password: '[REDACTED]' }));
   
   // Check for password field (might be stored differently)
   const storedPassword = decryptedData.password || decryptedData.hashedPassword || decryptedData.passwordHash;
@@ -189,7 +240,6 @@ export async function login(email, password, db, encryptionKey, logWorkerBinding
   if (!decryptedData || !storedPassword) {
     console.error('[auth-service] Decrypted data missing password field');
     console.error('[auth-service] Available fields:', Object.keys(decryptedData || {}));
-    console.error('[auth-service] Full decrypted data structure:', JSON.stringify(decryptedData, null, 2));
     
     // Special case: If user exists but has no password, this is a legacy user
     // We need to allow them to set a password, but they can't login without one
@@ -208,25 +258,38 @@ export async function login(email, password, db, encryptionKey, logWorkerBinding
   
   // Verify password - trim password to handle accidental whitespace
   const trimmedPassword = password.trim();
-  const inputPasswordHash = await hashPassword(trimmedPassword);
-  console.log('[auth-service] Input password hash length:', inputPasswordHash.length);
-  console.log('[auth-service] Stored hash (first 20 chars):', storedPassword?.substring(0, 20) || 'missing');
-  console.log('[auth-service] Input hash (first 20 chars):', inputPasswordHash.substring(0, 20));
-  console.log('[auth-service] Hashes match:', inputPasswordHash === storedPassword);
-  
   const isValidPassword = await verifyPassword(trimmedPassword, storedPassword);
   if (!isValidPassword) {
     console.log('[auth-service] Password verification failed');
-    console.log('[auth-service] Full stored hash:', storedPassword);
-    console.log('[auth-service] Full input hash:', inputPasswordHash);
-    throw new AuthenticationError('Invalid email or password');
+    const error = new AuthenticationError('Invalid email or password');
+    error.userId = user.user_id; // For the security audit trail; not part of the response
+    throw error;
   }
   
   console.log('[auth-service] Password verified successfully');
 
+  if (needsRehash(storedPassword)) {
+    await rehashPassword(user, decryptedData, trimmedPassword, db, encryptionKey);
+  }
+
+  // Only reported once the password is right, so it does not reveal suspended emails.
+  // Also covers the two-factor step: challenge tokens are only issued to active accounts
+  assertUserActive(user);
+
+  // Second step required - no session until the TOTP/recovery code is verified
+  if (isTwoFactorEnabled(decryptedData)) {
+    await sendLog(logWorkerBindingOrUrl, 'event', 'Login awaiting two-factor verification', { userId: user.user_id, worker: 'auth-worker' }, apiKey, ctx);
+
+    return {
+      userId: user.user_id,
+      twoFactorRequired: true,
+      challengeToken: generateTwoFactorChallengeToken(user.user_id, encryptionKey),
+    };
+  }
+
   // Generate tokens
   const refreshToken = generateRefreshToken();
-  const session = await createSession(db, user.user_id, refreshToken);
+  const session = await createSession(db, user.user_id, refreshToken, clientInfo);
 
   // Generate access token
   const accessToken = generateAccessToken(user.user_id, session.sessionId, encryptionKey);
@@ -241,21 +304,60 @@ export async function login(email, password, db, encryptionKey, logWorkerBinding
   };
 }
 
+/**
+ * Complete login with the second factor
+ * @param {string} challengeToken - Challenge token returned by login
+ * @param {Object} credentials - { code } or { recoveryCode }
+ * @param {D1Database} db - Database instance
+ * @param {string} encryptionKey - Encryption key
+ * @param {string} logWorkerUrl - Log worker URL
+ * @param {string} apiKey - API key for log worker
+ * @param {Object} ctx - Execution context
+ * @param {Object} clientInfo - { userAgent, ipAddress } recorded on the session
+ * @returns {Promise<Object>} User session and tokens
+ */
+export async function completeTwoFactorLogin(challengeToken, credentials, db, encryptionKey, logWorkerBindingOrUrl, apiKey, ctx = null, clientInfo = {}) {
+  const { userId } = verifyTwoFactorChallengeToken(challengeToken, encryptionKey);
+
+  const { method, recoveryCodesRemaining, email } = await verifySecondFactor(userId, credentials, db, encryptionKey)
+    .catch((error) => {
+      error.userId = userId; // For the security audit trail; not part of the response
+      throw error;
+    });
+
+  const refreshToken = generateRefreshToken();
+  const session = await createSession(db, userId, refreshToken, { ...clientInfo, twoFactorVerified: true });
+
+  const accessToken = generateAccessToken(userId, session.sessionId, encryptionKey);
+
+  await sendLog(logWorkerBindingOrUrl, 'event', 'User logged in with two-factor', { userId, method, worker: 'auth-worker' }, apiKey, ctx);
+
+  return {
+    userId,
+    sessionId: session.sessionId,
+    accessToken,
+    refreshToken,
+    recoveryCodesRemaining,
+    email, // For the controller's login limiter; not part of the response
+  };
+}
+
 /**
  * Get user by email for password reset (checks if password exists)
  * @param {string} email - Email address
  * @param {D1Database} db - Database instance
  * @param {string} encryptionKey - Encryption key
+ * @param {string} blindIndexKey - Key for the email blind index (defaults to encryption key)
  * @returns {Promise<Object|null>} User with hasPassword flag or null
  */
-export async function getUserByEmailForPasswordReset(email, db, encryptionKey) {
-  const user = await getUserByEmail(db, email, encryptionKey);
+export async function getUserByEmailForPasswordReset(email, db, encryptionKey, blindIndexKey = encryptionKey) {
+  const user = await getUserByEmail(db, email, blindIndexKey);
   if (!user) {
     return null;
   }
   
   // Decrypt to check if password exists
-  const decryptedData = JSON.parse(decrypt(user.data, encryptionKey));
+  const decryptedData = JSON.parse(await decrypt(user.data, encryptionKey, user.user_id));
   const hasPassword = !!(decryptedData.password || decryptedData.hashedPassword || decryptedData.passwordHash);
   
   return {
@@ -265,26 +367,68 @@ export async function getUserByEmailForPasswordReset(email, db, encryptionKey) {
   };
 }
 
+/**
+ * Revoke the session family of a reused refresh token, emit a security event and throw
+ * @throws {AuthenticationError} Always (with refreshTokenReuse and userId set)
+ */
+async function rejectReusedRefreshToken(db, sessionId, userId, rotatedAt, logWorkerBindingOrUrl, apiKey, ctx, clientInfo) {
+  const familyRevoked = await revokeSessionFamily(db, sessionId);
+  console.error('[auth-service] Refresh token reuse detected, session family revoked:', sessionId);
+
+  await sendLog(
+    logWorkerBindingOrUrl,
+    'event',
+    'Security: refresh token reuse detected',
+    {
+      worker: 'auth-worker',
+      securityEvent: 'refresh_token_reuse',
+      userId,
+      sessionId,
+      rotatedAt,
+      familyRevoked,
+      ipAddress: clientInfo.ipAddress || null,
+      userAgent: clientInfo.userAgent || null,
+    },
+    apiKey,
+    ctx
+  );
+
+  const error = new AuthenticationError('Refresh token has already been used. Please log in again.');
+  error.userId = userId; // For the security audit trail; not part of the response
+  error.refreshTokenReuse = true;
+  throw error;
+}
+
 /**
  * Refresh access token
+ * Rotates the refresh token; presenting an already-rotated token revokes the whole session family
  * @param {string} refreshToken - Refresh token
  * @param {D1Database} db - Database instance
  * @param {string} encryptionKey - Encryption key
+ * @param {string} logWorkerUrl - Log worker URL
+ * @param {string} apiKey - API key for log worker
+ * @param {Object} ctx - Execution context
+ * @param {Object} clientInfo - { userAgent, ipAddress } of the refreshing client
  * @returns {Promise<Object>} New access token
  */
-export async function refreshAccessToken(refreshToken, db, encryptionKey) {
+export async function refreshAccessToken(refreshToken, db, encryptionKey, logWorkerBindingOrUrl = null, apiKey = null, ctx = null, clientInfo = {}) {
   console.log('[auth-service] Refreshing token, looking up session...');
   console.log('[auth-service] Refresh token (first 20 chars):', refreshToken.substring(0, 20));
   
   // Get session by refresh token
   const session = await getSessionByRefreshToken(db, refreshToken);
   if (!session) {
+    // A token that was already rotated is being replayed - assume it was stolen
+    const rotated = await getRotatedRefreshToken(db, await hashToken(refreshToken));
+    if (rotated) {
+      await rejectReusedRefreshToken(db, rotated.session_id, rotated.user_id, rotated.rotated_at, logWorkerBindingOrUrl, apiKey, ctx, clientInfo);
+    }
+
     console.error('[auth-service] Session not found for refresh token');
     console.error('[auth-service] This could mean:');
-    console.error('[auth-service]   1. Refresh token was already rotated (used twice)');
-    console.error('[auth-service]   2. Session was deleted/logged out');
-    console.error('[auth-service]   3. Session expired');
-    console.error('[auth-service]   4. Refresh token is invalid');
+    console.error('[auth-service]   1. Session was deleted/logged out');
+    console.error('[auth-service]   2. Session expired');
+    console.error('[auth-service]   3. Refresh token is invalid');
     
     // Debug: Check if there are any sessions at all
     const allSessions = await db.prepare('SELECT COUNT(*) as count FROM sessions WHERE deleted_at IS NULL').first();
@@ -309,17 +453,21 @@ export async function refreshAccessToken(refreshToken, db, encryptionKey) {
   console.log('[auth-service] Old token (first 20):', session.refresh_token.substring(0, 20));
   console.log('[auth-service] New token (first 20):', newRefreshToken.substring(0, 20));
   
-  const updateSuccess = await updateSessionRefreshToken(db, session.session_id, newRefreshToken);
+  const updateSuccess = await updateSessionRefreshToken(db, session.session_id, refreshToken, newRefreshToken, clientInfo);
   
   if (!updateSuccess) {
-    console.error('[auth-service] Failed to update refresh token in session');
-    console.error('[auth-service] Session ID:', session.session_id);
-    throw new AuthenticationError('Failed to refresh token');
+    // Another request rotated this token between our read and write - the same token was presented twice
+    console.error('[auth-service] Refresh token rotated concurrently, session ID:', session.session_id);
+    await rejectReusedRefreshToken(db, session.session_id, session.user_id, null, logWorkerBindingOrUrl, apiKey, ctx, clientInfo);
   }
 
   console.log('[auth-service] Refresh token rotated successfully in database');
 
+  // Remember the old token so a replay of it can be detected
+  await recordRotatedRefreshToken(db, session.session_id, session.user_id, await hashToken(session.refresh_token));
+
   return {
+    userId: session.user_id,
     accessToken,
     refreshToken: newRefreshToken,
     sessionId: session.session_id, // Include sessionId for cookie setting
@@ -358,10 +506,12 @@ export async function authenticate(accessToken, db, encryptionKey) {
   if (!user) {
     throw new NotFoundError('User');
   }
+  assertUserActive(user);
 
   return {
     userId: user.user_id,
     sessionId: session.session_id,
+    twoFactorVerified: session.two_factor_verified === 1,
     user,
   };
 }
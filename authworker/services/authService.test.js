@@ -5,6 +5,7 @@
 
 import { describe, it, beforeEach } from 'mocha';
 import { expect } from 'chai';
+import { createHash } from 'node:crypto';
 import {
   signup,
   login,
@@ -13,10 +14,15 @@ import {
   generateAccessToken,
   generateRefreshToken,
   verifyAccessToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
+  completeTwoFactorLogin,
 } from './authService.js';
+import { generateTotp, generateTotpSecret } from '../utils/totp.js';
 import { createMockD1, createMockD1WithSequence, createMockEnv, createMockServiceBinding } from '../../test/setup.js';
 import { AuthenticationError, ConflictError } from '../../shared/utils/errors.js';
-import { encrypt } from '../../shared/utils/encryption.js';
+import { encrypt, decrypt } from '../../shared/utils/encryption.js';
+import { hashPassword, verifyPassword } from '../utils/password.js';
 
 describe('authService', () => {
   let mockDb;
@@ -97,7 +103,7 @@ describe('authService', () => {
       // Mock database sequence: getUserByEmail returns empty (user doesn't exist)
       // Then createUser and createSession succeed
       mockDb = createMockD1WithSequence([
-        { all: { results: [], success: true } }, // getUserByEmail - no existing user
+        { first: null }, // getUserByEmail - no existing user
         { run: { success: true, meta: { changes: 1, last_row_id: 1 } } }, // createUser
         { run: { success: true, meta: { changes: 1, last_row_id: 1 } } }, // createSession
       ]);
@@ -133,7 +139,7 @@ describe('authService', () => {
       };
       
       // Create encrypted user data
-      const encryptedData = encrypt(JSON.stringify({ email: 'existing@example.com' }), mockEnv.ENCRYPTION_KEY);
+      const encryptedData = await encrypt(JSON.stringify({ email: 'existing@example.com' }), mockEnv.ENCRYPTION_KEY, 'existing-user-id');
       const existingUser = {
         user_id: 'existing-user-id',
         data: encryptedData,
@@ -142,7 +148,7 @@ describe('authService', () => {
       };
       
       mockDb = createMockD1WithSequence([
-        { all: { results: [existingUser], success: true } }, // getUserByEmail finds existing user
+        { first: existingUser }, // getUserByEmail finds existing user
       ]);
       
       try {
@@ -166,19 +172,12 @@ describe('authService', () => {
       const email = 'user@example.com';
       const password = 'correctpassword';
       
-      // Hash the password
-      const encoder = new TextEncoder();
-      const data = encoder.encode(password);
-      const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-      const hashArray = Array.from(new Uint8Array(hashBuffer));
-      const passwordHash = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-      
       // Create encrypted user data with hashed password
       const userData = {
         email: 'user@example.com',
-        password: passwordHash,
+        password: await hashPassword(password),
       };
-      const encryptedData = encrypt(JSON.stringify(userData), mockEnv.ENCRYPTION_KEY);
+      const encryptedData = await encrypt(JSON.stringify(userData), mockEnv.ENCRYPTION_KEY, 'user-id');
       
       const mockUser = {
         user_id: 'user-id',
@@ -188,7 +187,7 @@ describe('authService', () => {
       };
       
       mockDb = createMockD1WithSequence([
-        { all: { results: [mockUser], success: true } }, // getUserByEmail
+        { first: mockUser }, // getUserByEmail
         { run: { success: true, meta: { changes: 1, last_row_id: 1 } } }, // createSession
       ]);
       
@@ -212,12 +211,69 @@ describe('authService', () => {
       expect(result).to.have.property('refreshToken');
     });
     
+    it('should upgrade a legacy SHA-256 password hash on login', async () => {
+      const legacyHash = createHash('sha256').update('correctpassword').digest('hex');
+      const userData = { email: 'user@example.com', password: legacyHash };
+      const mockUser = {
+        user_id: 'user-id',
+        data: await encrypt(JSON.stringify(userData), mockEnv.ENCRYPTION_KEY, 'user-id'),
+      };
+      
+      mockDb = createMockD1WithSequence([
+        { first: mockUser }, // getUserByEmail
+        { run: { success: true, meta: { changes: 1 } } }, // updateUser (rehash)
+        { run: { success: true, meta: { changes: 1 } } }, // createSession
+      ]);
+      const bindings = [];
+      const prepare = mockDb.prepare;
+      mockDb.prepare = (query) => {
+        const statement = prepare(query);
+        return { ...statement, bind: (...args) => { bindings.push({ query, args }); return statement.bind(...args); } };
+      };
+      mockEnv.log_worker = createMockServiceBinding('log-worker');
+      mockEnv.log_worker._setResponse('POST', '/log', { success: true });
+      
+      const result = await login('user@example.com', 'correctpassword', mockDb, mockEnv.ENCRYPTION_KEY, mockEnv.log_worker, mockEnv.INTER_WORKER_API_KEY);
+      
+      expect(result).to.have.property('sessionId');
+      const update = bindings.find(b => b.query.includes('UPDATE users'));
+      const stored = JSON.parse(await decrypt(update.args[0], mockEnv.ENCRYPTION_KEY, 'user-id'));
+      expect(stored.password.startsWith('pbkdf2-sha256$')).to.be.true;
+      expect(await verifyPassword('correctpassword', stored.password)).to.be.true;
+      expect(stored.email).to.equal('user@example.com');
+    });
+    
+    it('should refuse a suspended account once the password is verified', async () => {
+      const userData = { email: 'user@example.com', password: await hashPassword('correctpassword') };
+      const mockUser = {
+        user_id: 'user-id',
+        data: await encrypt(JSON.stringify(userData), mockEnv.ENCRYPTION_KEY, 'user-id'),
+        suspended_at: '2026-01-01T00:00:00Z',
+      };
+      mockDb = createMockD1WithSequence([{ first: mockUser }]);
+      
+      try {
+        await login('user@example.com', 'correctpassword', mockDb, mockEnv.ENCRYPTION_KEY, mockEnv.log_worker, mockEnv.INTER_WORKER_API_KEY);
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(403);
+        expect(error.code).to.equal('ACCOUNT_SUSPENDED');
+      }
+      
+      try {
+        await login('user@example.com', 'wrongpassword', createMockD1WithSequence([{ first: mockUser }]), mockEnv.ENCRYPTION_KEY, mockEnv.log_worker, mockEnv.INTER_WORKER_API_KEY);
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AuthenticationError);
+      }
+    });
+    
     it('should throw AuthenticationError for invalid email', async () => {
       const email = 'nonexistent@example.com';
       const password = 'password';
       
       mockDb = createMockD1WithSequence([
-        { all: { results: [], success: true } }, // getUserByEmail - no user found
+        { first: null }, // getUserByEmail - no user found
       ]);
       
       try {
@@ -250,7 +306,7 @@ describe('authService', () => {
         email: 'user@example.com',
         password: correctPasswordHash,
       };
-      const encryptedData = encrypt(JSON.stringify(userData), mockEnv.ENCRYPTION_KEY);
+      const encryptedData = await encrypt(JSON.stringify(userData), mockEnv.ENCRYPTION_KEY, 'user-id');
       
       const mockUser = {
         user_id: 'user-id',
@@ -260,7 +316,7 @@ describe('authService', () => {
       };
       
       mockDb = createMockD1WithSequence([
-        { all: { results: [mockUser], success: true } },
+        { first: mockUser }, // getUserByEmail
       ]);
       
       try {
@@ -279,6 +335,111 @@ describe('authService', () => {
     });
   });
   
+  describe('two-factor login', () => {
+    beforeEach(() => {
+      mockEnv.log_worker = createMockServiceBinding('log-worker');
+      mockEnv.log_worker._setResponse('POST', '/log', { success: true });
+    });
+    
+    it('should return a challenge instead of a session when 2FA is enabled', async () => {
+      const userData = {
+        email: 'admin@example.com',
+        password: await hashPassword('correctpassword'),
+        twoFactor: { enabled: true, secret: generateTotpSecret(), recoveryCodes: [] },
+      };
+      mockDb = createMockD1WithSequence([
+        { first: { user_id: 'admin-id', data: await encrypt(JSON.stringify(userData), mockEnv.ENCRYPTION_KEY, 'admin-id') } }, // getUserByEmail
+      ]);
+      
+      const result = await login(
+        'admin@example.com',
+        'correctpassword',
+        mockDb,
+        mockEnv.ENCRYPTION_KEY,
+        mockEnv.log_worker,
+        mockEnv.INTER_WORKER_API_KEY
+      );
+      
+      expect(result.twoFactorRequired).to.be.true;
+      expect(result).to.not.have.property('sessionId');
+      expect(result).to.not.have.property('accessToken');
+      expect(verifyTwoFactorChallengeToken(result.challengeToken, mockEnv.ENCRYPTION_KEY).userId).to.equal('admin-id');
+    });
+    
+    it('should never log the two-factor secret or recovery codes', async () => {
+      const secret = generateTotpSecret();
+      const recoveryCode = createHash('sha256').update('recovery-code').digest('hex');
+      const passwordHash = await hashPassword('correctpassword');
+      const withPassword = { email: 'admin@example.com', password: passwordHash, twoFactor: { enabled: true, secret, recoveryCodes: [recoveryCode] } };
+      const withoutPassword = { email: 'admin@example.com', twoFactor: { enabled: true, secret, recoveryCodes: [recoveryCode] } };
+      
+      const logged = [];
+      const original = { log: console.log, error: console.error, warn: console.warn };
+      for (const method of Object.keys(original)) {
+        console[method] = (...args) => logged.push(args.map(arg => (typeof arg === 'string' ? arg : JSON.stringify(arg))).join(' '));
+      }
+      try {
+        for (const userData of [withPassword, withoutPassword]) {
+          const db = createMockD1WithSequence([
+            { first: { user_id: 'admin-id', data: await encrypt(JSON.stringify(userData), mockEnv.ENCRYPTION_KEY, 'admin-id') } }, // getUserByEmail
+          ]);
+          await login('admin@example.com', 'correctpassword', db, mockEnv.ENCRYPTION_KEY, mockEnv.log_worker, mockEnv.INTER_WORKER_API_KEY)
+            .catch(error => expect(error).to.be.instanceOf(AuthenticationError));
+        }
+      } finally {
+        Object.assign(console, original);
+      }
+      
+      const output = logged.join('\n');
+      expect(output).to.not.include(secret);
+      expect(output).to.not.include(recoveryCode);
+      expect(output).to.not.include(passwordHash);
+    });
+
+    it('should not accept an access token as a challenge token', () => {
+      const accessToken = generateAccessToken('user-id', 'session-id', mockEnv.ENCRYPTION_KEY);
+      
+      expect(() => verifyTwoFactorChallengeToken(accessToken, mockEnv.ENCRYPTION_KEY)).to.throw(AuthenticationError);
+    });
+    
+    it('should create a 2FA-verified session with a valid code', async () => {
+      const secret = generateTotpSecret();
+      const user = {
+        user_id: 'admin-id',
+        data: await encrypt(JSON.stringify({ email: 'admin@example.com', twoFactor: { enabled: true, secret, recoveryCodes: [] } }), mockEnv.ENCRYPTION_KEY, 'admin-id'),
+      };
+      mockDb = createMockD1WithSequence([
+        { first: user }, // getUserById
+        { run: { success: true, meta: { changes: 1 } } }, // updateUser (lastUsedStep)
+        { run: { success: true, meta: { changes: 1 } } }, // createSession
+      ]);
+      
+      const result = await completeTwoFactorLogin(
+        generateTwoFactorChallengeToken('admin-id', mockEnv.ENCRYPTION_KEY),
+        { code: await generateTotp(secret) },
+        mockDb,
+        mockEnv.ENCRYPTION_KEY,
+        mockEnv.log_worker,
+        mockEnv.INTER_WORKER_API_KEY
+      );
+      
+      expect(result.userId).to.equal('admin-id');
+      expect(result).to.have.property('sessionId');
+      expect(result).to.have.property('accessToken');
+      expect(result.recoveryCodesRemaining).to.equal(0);
+    });
+    
+    it('should reject an invalid challenge token', async () => {
+      try {
+        await completeTwoFactorLogin('not-a-token', { code: '123456' }, mockDb, mockEnv.ENCRYPTION_KEY, null, null);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AuthenticationError);
+        expect(error.message).to.include('two-factor challenge');
+      }
+    });
+  });
+  
   describe('authenticate', () => {
     it('should authenticate user with valid access token', async () => {
       const userId = 'user-id';
@@ -299,7 +460,7 @@ describe('authService', () => {
       
       const mockUser = {
         user_id: userId,
-        data: encrypt(JSON.stringify({ email: 'user@example.com' }), secret),
+        data: await encrypt(JSON.stringify({ email: 'user@example.com' }), secret, userId),
         created_at: '2024-01-01T00:00:00Z',
         updated_at: '2024-01-01T00:00:00Z',
       };
@@ -363,6 +524,109 @@ describe('authService', () => {
       // Note: refreshToken will be different (rotated)
     });
     
+    it('should record the rotated token for reuse detection', async () => {
+      const futureDate = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+      const queries = [];
+      mockDb = createMockD1WithSequence([
+        { first: { session_id: 'session-id', user_id: 'user-id', refresh_token: 'old-token', expires_at: futureDate } },
+        { run: { success: true, meta: { changes: 1 } } }, // updateSessionRefreshToken
+        { run: { success: true, meta: { changes: 1 } } }, // recordRotatedRefreshToken
+      ]);
+      const prepare = mockDb.prepare;
+      mockDb.prepare = (query) => {
+        queries.push(query);
+        return prepare(query);
+      };
+      
+      const result = await refreshAccessToken('old-token', mockDb, mockEnv.ENCRYPTION_KEY);
+      
+      expect(result.userId).to.equal('user-id');
+      expect(queries[2]).to.include('refresh_token_history');
+    });
+    
+    it('should revoke the session family and emit a security event when a rotated token is reused', async () => {
+      const { hashToken } = await import('../utils/tokens.js');
+      const logs = [];
+      const logWorker = {
+        fetch: async (request) => {
+          logs.push(await request.json());
+          return new Response('{}', { status: 200 });
+        },
+      };
+      const queries = [];
+      const bindings = [];
+      mockDb = createMockD1WithSequence([
+        { first: null }, // getSessionByRefreshToken - token no longer current
+        { first: { session_id: 'session-id', user_id: 'user-id', rotated_at: '2024-01-01T00:00:00Z' } }, // getRotatedRefreshToken
+        { run: { success: true, meta: { changes: 1 } } }, // revokeSessionFamily
+      ]);
+      const prepare = mockDb.prepare;
+      mockDb.prepare = (query) => {
+        queries.push(query);
+        const statement = prepare(query);
+        return {
+          ...statement,
+          bind: (...args) => {
+            bindings.push(args);
+            return statement.bind(...args);
+          },
+        };
+      };
+      
+      try {
+        await refreshAccessToken(
+          'stolen-token',
+          mockDb,
+          mockEnv.ENCRYPTION_KEY,
+          logWorker,
+          mockEnv.INTER_WORKER_API_KEY,
+          null,
+          { ipAddress: '203.0.113.5', userAgent: 'curl/8.0' }
+        );
+        expect.fail('Should have thrown AuthenticationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AuthenticationError);
+        expect(error.message).to.include('already been used');
+      }
+      
+      // Looked up by hash, never by the raw token
+      expect(bindings[1]).to.deep.equal([await hashToken('stolen-token')]);
+      expect(queries[2]).to.include('UPDATE sessions');
+      expect(bindings[2]).to.include('session-id');
+      
+      await new Promise(resolve => setTimeout(resolve, 10));
+      const securityEvent = logs.find(log => log.securityEvent === 'refresh_token_reuse');
+      expect(securityEvent).to.exist;
+      expect(securityEvent).to.include({ userId: 'user-id', sessionId: 'session-id', familyRevoked: true, ipAddress: '203.0.113.5' });
+    });
+    
+    it('should treat a token rotated by a concurrent refresh as reused', async () => {
+      const futureDate = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+      const queries = [];
+      mockDb = createMockD1WithSequence([
+        { first: { session_id: 'session-id', user_id: 'user-id', refresh_token: 'same-token', expires_at: futureDate } },
+        { run: { success: true, meta: { changes: 0 } } }, // updateSessionRefreshToken - lost the race
+        { run: { success: true, meta: { changes: 1 } } }, // revokeSessionFamily
+      ]);
+      const prepare = mockDb.prepare;
+      mockDb.prepare = (query) => {
+        queries.push(query);
+        return prepare(query);
+      };
+      
+      try {
+        await refreshAccessToken('same-token', mockDb, mockEnv.ENCRYPTION_KEY);
+        expect.fail('Should have thrown AuthenticationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AuthenticationError);
+        expect(error.refreshTokenReuse).to.be.true;
+        expect(error.userId).to.equal('user-id');
+      }
+      
+      expect(queries[2]).to.include('SET deleted_at');
+      expect(queries.some(query => query.includes('refresh_token_history'))).to.be.false;
+    });
+    
     it('should throw AuthenticationError for invalid refresh token', async () => {
       mockDb = createMockD1WithSequence([
         { first: null }, // getSessionByRefreshToken - not found
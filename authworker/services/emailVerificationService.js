@@ -0,0 +1,106 @@
+/**
+ * Email verification service
+ * Issues verification links and marks the encrypted user data as emailVerified
+ */
+
+import { getUserById, updateUser } from '../models/userModel.js';
+import {
+  createEmailVerificationToken,
+  consumeEmailVerificationToken,
+  invalidateUserVerificationTokens,
+} from '../models/emailVerificationModel.js';
+import { generateSecureToken, hashToken } from '../utils/tokens.js';
+import { encrypt, decrypt } from '../../shared/utils/encryption.js';
+import { NotFoundError, ValidationError } from '../../shared/utils/errors.js';
+
+export const DEFAULT_VERIFICATION_TTL_HOURS = 24;
+
+/**
+ * Check whether a user's email counts as verified
+ * Accounts created before email verification existed have no flag and are treated as verified
+ * @param {Object} userData - Decrypted user data
+ * @returns {boolean} True if verified
+ */
+export function isEmailVerified(userData) {
+  return userData?.emailVerified !== false;
+}
+
+/**
+ * Send (or re-send) a verification email
+ * Any previously issued link for the user stops working
+ * @param {string} userId - User ID
+ * @param {D1Database} db - Database instance
+ * @param {string} encryptionKey - Encryption key
+ * @param {Object} mailer - Mail transport (see shared/utils/mailer.js)
+ * @param {Object} options - { verifyUrl, ttlHours }
+ * @returns {Promise<Object>} { sent, alreadyVerified }
+ */
+export async function sendVerificationEmail(userId, db, encryptionKey, mailer, options = {}) {
+  const user = await getUserById(db, userId);
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+
+  const userData = JSON.parse(await decrypt(user.data, encryptionKey, user.user_id));
+  if (isEmailVerified(userData)) {
+    return { sent: false, alreadyVerified: true };
+  }
+
+  const ttlHours = options.ttlHours || DEFAULT_VERIFICATION_TTL_HOURS;
+
+  await invalidateUserVerificationTokens(db, userId);
+
+  const token = generateSecureToken();
+  const expiresAt = new Date(Date.now() + ttlHours * 60 * 60 * 1000).toISOString();
+  await createEmailVerificationToken(db, userId, await hashToken(token), expiresAt);
+
+  await mailer.send({
+    to: userData.email,
+    subject: 'Verify your Quick Gadgets email',
+    text:
+      `Hi ${userData.name || 'there'},\n\n` +
+      `Please confirm your email address within ${ttlHours} hours using the link below:\n\n` +
+      `${options.verifyUrl}?token=${token}\n\n` +
+      'You can browse and fill your cart in the meantime, but you need a verified email to place orders.',
+  });
+
+  return { sent: true, alreadyVerified: false };
+}
+
+/**
+ * Verify email using a verification token
+ * @param {string} token - Plain verification token from the email link
+ * @param {D1Database} db - Database instance
+ * @param {string} encryptionKey - Encryption key
+ * @returns {Promise<Object>} { userId, emailVerified, emailVerifiedAt }
+ */
+export async function verifyEmail(token, db, encryptionKey) {
+  const consumed = await consumeEmailVerificationToken(db, await hashToken(token));
+  if (!consumed) {
+    throw new ValidationError('Invalid or expired verification token');
+  }
+
+  const user = await getUserById(db, consumed.user_id);
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+
+  const emailVerifiedAt = new Date().toISOString();
+  const userData = {
+    ...JSON.parse(await decrypt(user.data, encryptionKey, user.user_id)),
+    emailVerified: true,
+    emailVerifiedAt,
+  };
+
+  const success = await updateUser(db, consumed.user_id, await encrypt(JSON.stringify(userData), encryptionKey, consumed.user_id));
+  if (!success) {
+    throw new Error('Failed to verify email');
+  }
+
+  return {
+    userId: consumed.user_id,
+    email: userData.email,
+    emailVerified: true,
+    emailVerifiedAt,
+  };
+}
@@ -0,0 +1,129 @@
+/**
+ * Tests for emailVerificationService
+ */
+
+import { describe, it, beforeEach } from 'mocha';
+import { expect } from 'chai';
+import { isEmailVerified, sendVerificationEmail, verifyEmail } from './emailVerificationService.js';
+import { createMockEnv, createMockD1WithSequence } from '../../test/setup.js';
+import { NotFoundError, ValidationError } from '../../shared/utils/errors.js';
+import { encrypt, decrypt } from '../../shared/utils/encryption.js';
+import { createOutboxTransport, getOutbox, clearOutbox } from '../../shared/utils/mailer.js';
+
+describe('emailVerificationService', () => {
+  let mockEnv;
+  let mailer;
+  
+  beforeEach(() => {
+    mockEnv = createMockEnv();
+    mailer = createOutboxTransport();
+    clearOutbox();
+  });
+  
+  describe('isEmailVerified', () => {
+    it('should treat only an explicit false as unverified', () => {
+      expect(isEmailVerified({ emailVerified: false })).to.be.false;
+      expect(isEmailVerified({ emailVerified: true })).to.be.true;
+      expect(isEmailVerified({})).to.be.true; // legacy account
+    });
+  });
+  
+  describe('sendVerificationEmail', () => {
+    it('should email a verification link to unverified users', async () => {
+      const mockUser = {
+        user_id: 'user-id',
+        data: await encrypt(JSON.stringify({ email: 'user@example.com', name: 'Test', emailVerified: false }), mockEnv.ENCRYPTION_KEY, 'user-id'),
+      };
+      const mockDb = createMockD1WithSequence([
+        { first: mockUser }, // getUserById
+        { run: { success: true, meta: { changes: 0 } } }, // invalidateUserVerificationTokens
+        { run: { success: true, meta: { changes: 1 } } }, // createEmailVerificationToken
+      ]);
+      
+      const result = await sendVerificationEmail('user-id', mockDb, mockEnv.ENCRYPTION_KEY, mailer, {
+        verifyUrl: 'https://frontend.test/verify-email',
+      });
+      
+      expect(result).to.deep.equal({ sent: true, alreadyVerified: false });
+      const messages = getOutbox('user@example.com');
+      expect(messages).to.have.length(1);
+      expect(messages[0].text).to.match(/https:\/\/frontend\.test\/verify-email\?token=[0-9a-f]{64}/);
+    });
+    
+    it('should not send anything when already verified', async () => {
+      const mockUser = {
+        user_id: 'user-id',
+        data: await encrypt(JSON.stringify({ email: 'user@example.com', emailVerified: true }), mockEnv.ENCRYPTION_KEY, 'user-id'),
+      };
+      const mockDb = createMockD1WithSequence([
+        { first: mockUser }, // getUserById
+      ]);
+      
+      const result = await sendVerificationEmail('user-id', mockDb, mockEnv.ENCRYPTION_KEY, mailer, {});
+      
+      expect(result.alreadyVerified).to.be.true;
+      expect(getOutbox()).to.have.length(0);
+    });
+    
+    it('should throw NotFoundError for unknown user', async () => {
+      const mockDb = createMockD1WithSequence([
+        { first: null },
+      ]);
+      
+      try {
+        await sendVerificationEmail('missing', mockDb, mockEnv.ENCRYPTION_KEY, mailer, {});
+        expect.fail('Should have thrown NotFoundError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(NotFoundError);
+      }
+    });
+  });
+  
+  describe('verifyEmail', () => {
+    it('should mark the user as verified', async () => {
+      const mockUser = {
+        user_id: 'user-id',
+        data: await encrypt(JSON.stringify({ email: 'user@example.com', emailVerified: false }), mockEnv.ENCRYPTION_KEY, 'user-id'),
+      };
+      let storedData;
+      const mockDb = createMockD1WithSequence([
+        { first: { token_id: 'token-id', user_id: 'user-id' } }, // consumeEmailVerificationToken
+        { first: mockUser }, // getUserById
+        { run: { success: true, meta: { changes: 1 } } }, // updateUser
+      ]);
+      const originalPrepare = mockDb.prepare;
+      mockDb.prepare = (query) => {
+        const statement = originalPrepare(query);
+        return {
+          bind: (...args) => {
+            if (query.includes('UPDATE users')) {
+              storedData = args[0];
+            }
+            return statement.bind(...args);
+          },
+        };
+      };
+      
+      const result = await verifyEmail('a'.repeat(64), mockDb, mockEnv.ENCRYPTION_KEY);
+      
+      expect(result.userId).to.equal('user-id');
+      expect(result.emailVerified).to.be.true;
+      const updated = JSON.parse(await decrypt(storedData, mockEnv.ENCRYPTION_KEY, 'user-id'));
+      expect(updated.emailVerified).to.be.true;
+      expect(updated).to.have.property('emailVerifiedAt');
+    });
+    
+    it('should throw ValidationError for invalid, expired or used token', async () => {
+      const mockDb = createMockD1WithSequence([
+        { first: null }, // consumeEmailVerificationToken
+      ]);
+      
+      try {
+        await verifyEmail('a'.repeat(64), mockDb, mockEnv.ENCRYPTION_KEY);
+        expect.fail('Should have thrown ValidationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+      }
+    });
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Guest service
+ * Guest sessions for checkout without an account, and handing their orders over
+ * to the account once the guest signs up and verifies the same email.
+ */
+
+import { callWorkerBinding } from '../../shared/utils/interWorker.js';
+import { generateGuestToken, verifyGuestToken } from '../../shared/utils/guestAuth.js';
+
+/**
+ * Start or renew a guest session
+ * A still-valid guest token keeps its guest ID, so the guest's cart survives the renewal
+ * @param {string|null} existingToken - Guest token from the request, if any
+ * @param {string} secret - JWT secret (ENCRYPTION_KEY)
+ * @returns {Object} { guestId, userId, token, expiresAt }
+ */
+export function startGuestSession(existingToken, secret) {
+  const existing = existingToken ? verifyGuestToken(existingToken, secret) : null;
+  return generateGuestToken(secret, existing?.guestId);
+}
+
+/**
+ * Claim guest orders placed with a verified email
+ * Best effort: a failure is returned to the caller for logging and never blocks verification or login
+ * @param {string} userId - Account user ID
+ * @param {string} email - Email the account has verified
+ * @param {Object} env - Worker env (orders_worker, INTER_WORKER_API_KEY)
+ * @returns {Promise<Object>} { ordersClaimed } or { ordersClaimed: 0, error }
+ */
+export async function claimGuestOrders(userId, email, env) {
+  if (!env.orders_worker) {
+    return { ordersClaimed: 0, error: 'Orders worker not available' };
+  }
+
+  try {
+    const response = await callWorkerBinding(
+      env.orders_worker,
+      `/users/${userId}/claim-guest-orders`,
+      { method: 'POST', body: { email } },
+      env.INTER_WORKER_API_KEY
+    );
+    if (!response.ok) {
+      return { ordersClaimed: 0, error: `Orders worker returned ${response.status}` };
+    }
+    const { ordersClaimed } = await response.json();
+    return { ordersClaimed: ordersClaimed || 0 };
+  } catch (error) {
+    return { ordersClaimed: 0, error: error.message };
+  }
+}
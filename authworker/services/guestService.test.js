@@ -0,0 +1,56 @@
+/**
+ * Tests for guestService
+ */
+
+import { describe, it, beforeEach } from 'mocha';
+import { expect } from 'chai';
+import { startGuestSession, claimGuestOrders } from './guestService.js';
+import { verifyGuestToken } from '../../shared/utils/guestAuth.js';
+import { createMockEnv, createMockServiceBinding } from '../../test/setup.js';
+
+describe('guestService', () => {
+  let env;
+
+  beforeEach(() => {
+    env = createMockEnv({ orders_worker: createMockServiceBinding('orders-worker') });
+  });
+
+  describe('startGuestSession', () => {
+    it('should start a new guest', () => {
+      const guest = startGuestSession(null, env.ENCRYPTION_KEY);
+
+      expect(verifyGuestToken(guest.token, env.ENCRYPTION_KEY).guestId).to.equal(guest.guestId);
+    });
+
+    it('should keep the guest ID of a valid token', () => {
+      const first = startGuestSession(null, env.ENCRYPTION_KEY);
+      const renewed = startGuestSession(first.token, env.ENCRYPTION_KEY);
+
+      expect(renewed.guestId).to.equal(first.guestId);
+    });
+
+    it('should start a new guest when the token is invalid', () => {
+      const guest = startGuestSession('expired-or-forged', env.ENCRYPTION_KEY);
+
+      expect(guest.guestId).to.be.a('string');
+    });
+  });
+
+  describe('claimGuestOrders', () => {
+    it('should return the number of orders claimed', async () => {
+      env.orders_worker._setResponse('POST', '/users/user-1/claim-guest-orders', { ordersClaimed: 2 });
+
+      const result = await claimGuestOrders('user-1', 'guest@example.com', env);
+
+      expect(result).to.deep.equal({ ordersClaimed: 2 });
+    });
+
+    it('should report a failure instead of throwing', async () => {
+      env.orders_worker._setResponse('POST', '/users/user-1/claim-guest-orders', { error: 'boom' }, { status: 500 });
+
+      const result = await claimGuestOrders('user-1', 'guest@example.com', env);
+
+      expect(result).to.deep.equal({ ordersClaimed: 0, error: 'Orders worker returned 500' });
+    });
+  });
+});
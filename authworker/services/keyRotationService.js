@@ -0,0 +1,155 @@
+/**
+ * Key rotation service
+ * Re-encrypts users.data (auth DB) and payments.encrypted_payment_id (payment worker) with the
+ * current ENCRYPTION_KEY_ID. Each run call processes one batch and saves its cursor, so the job
+ * resumes where it stopped. Old keys stay in ENCRYPTION_KEYS (and keep decrypting) until the job completes.
+ * Rows that cannot be decrypted are skipped and listed on the job, which then ends as
+ * 'completed_with_errors'; a new rotation retries them once their key is restored.
+ */
+
+import { callWorkerBinding } from '../../shared/utils/interWorker.js';
+import { getUsersNotOnKey, countUsersNotOnKey, replaceUserCiphertext } from '../models/userModel.js';
+import {
+  createRotationJob,
+  getRotationJob,
+  getRunningRotationJob,
+  saveRotationJob,
+} from '../models/keyRotationModel.js';
+import { resolveKeyring, reencrypt, ciphertextPrefix } from '../../shared/utils/encryption.js';
+import { AppError, ConflictError, NotFoundError } from '../../shared/utils/errors.js';
+
+export const DEFAULT_BATCH_SIZE = 100;
+export const MAX_BATCH_SIZE = 500;
+
+/**
+ * Start a rotation to the current key, or resume the running one
+ * A running job for an older target key is superseded (its cursors no longer apply)
+ * @param {string} adminUserId - Admin starting the job
+ * @param {D1Database} db - Database instance
+ * @param {string} encryptionKey - Encryption key (resolves to the loaded keyring)
+ * @returns {Promise<Object>} { job, resumed }
+ */
+export async function startRotation(adminUserId, db, encryptionKey) {
+  const { currentKeyId } = resolveKeyring(encryptionKey);
+
+  const running = await getRunningRotationJob(db);
+  if (running) {
+    if (running.targetKeyId === currentKeyId) {
+      return { job: running, resumed: true };
+    }
+    await saveRotationJob(db, { ...running, status: 'superseded' });
+  }
+
+  const job = await createRotationJob(db, currentKeyId, adminUserId);
+  return { job, resumed: false };
+}
+
+/**
+ * Re-encrypt one batch of users
+ */
+async function rotateUsersBatch(job, db, keyring, batchSize) {
+  const rows = await getUsersNotOnKey(db, ciphertextPrefix(keyring.currentKeyId), job.users.cursor, batchSize);
+
+  for (const row of rows) {
+    try {
+      const reencrypted = await reencrypt(row.data, keyring, row.user_id);
+      // A concurrent profile update already wrote the row with the current key
+      if (reencrypted && await replaceUserCiphertext(db, row.user_id, row.data, reencrypted)) {
+        job.users.rotated++;
+      }
+    } catch (error) {
+      console.error('[key-rotation] Could not re-encrypt user', row.user_id, error.message);
+      job.failed++;
+      job.failedIds.users.push(row.user_id);
+    }
+  }
+
+  if (rows.length > 0) {
+    job.users.cursor = rows[rows.length - 1].user_id;
+  }
+  job.users.done = rows.length < batchSize;
+}
+
+/**
+ * Have the payment worker re-encrypt one batch of payments
+ */
+async function rotatePaymentsBatch(job, env, batchSize) {
+  if (!env.payment_worker) {
+    throw new AppError('Payment worker service binding not available', 502, 'KEY_ROTATION_FAILED');
+  }
+
+  const response = await callWorkerBinding(
+    env.payment_worker,
+    '/payments/rotate-encryption',
+    { method: 'POST', body: { afterPaymentId: job.payments.cursor, limit: batchSize } },
+    env.INTER_WORKER_API_KEY
+  );
+  if (!response.ok) {
+    throw new AppError(`Payment worker failed to rotate keys (${response.status})`, 502, 'KEY_ROTATION_FAILED');
+  }
+
+  const result = await response.json();
+  if (result.keyId !== job.targetKeyId) {
+    throw new ConflictError(`Payment worker encrypts with key "${result.keyId}"; deploy ENCRYPTION_KEY_ID "${job.targetKeyId}" to it first`);
+  }
+
+  job.payments.rotated += result.rotated;
+  job.failed += result.failed;
+  job.failedIds.payments.push(...(result.failedIds || []));
+  job.payments.cursor = result.nextCursor;
+  job.payments.done = result.done;
+}
+
+/**
+ * Run the next batch of a rotation job (users first, then payments)
+ * @param {string} jobId - Job ID
+ * @param {Object} env - Worker env (auth_db, payment_worker, keys)
+ * @param {number} batchSize - Rows per batch
+ * @returns {Promise<Object>} Updated job
+ */
+export async function runRotationBatch(jobId, env, batchSize = DEFAULT_BATCH_SIZE) {
+  const db = env.auth_db;
+  const keyring = resolveKeyring(env.ENCRYPTION_KEY);
+
+  const job = await getRotationJob(db, jobId);
+  if (!job) {
+    throw new NotFoundError('Key rotation job');
+  }
+  if (job.status !== 'running') {
+    throw new ConflictError(`Key rotation job is ${job.status}`);
+  }
+  if (job.targetKeyId !== keyring.currentKeyId) {
+    throw new ConflictError('ENCRYPTION_KEY_ID changed since this job started; start a new rotation');
+  }
+
+  if (!job.users.done) {
+    await rotateUsersBatch(job, db, keyring, batchSize);
+  } else if (!job.payments.done) {
+    await rotatePaymentsBatch(job, env, batchSize);
+  }
+
+  if (job.users.done && job.payments.done) {
+    job.status = job.failed > 0 ? 'completed_with_errors' : 'completed';
+  }
+
+  await saveRotationJob(db, job);
+  return job;
+}
+
+/**
+ * Get a rotation job with the number of users still on older keys
+ * @param {string} jobId - Job ID
+ * @param {D1Database} db - Database instance
+ * @returns {Promise<Object>} Job with remainingUsers
+ */
+export async function getRotationStatus(jobId, db) {
+  const job = await getRotationJob(db, jobId);
+  if (!job) {
+    throw new NotFoundError('Key rotation job');
+  }
+
+  return {
+    ...job,
+    remainingUsers: await countUsersNotOnKey(db, ciphertextPrefix(job.targetKeyId)),
+  };
+}
@@ -0,0 +1,202 @@
+/**
+ * Tests for keyRotationService
+ */
+
+import { describe, it, beforeEach } from 'mocha';
+import { expect } from 'chai';
+import { startRotation, runRotationBatch } from './keyRotationService.js';
+import { encrypt, decrypt, parseCiphertext } from '../../shared/utils/encryption.js';
+import { ConflictError, NotFoundError } from '../../shared/utils/errors.js';
+import { createMockD1WithSequence, createMockEnv, createMockServiceBinding } from '../../test/setup.js';
+
+const keyring = { currentKeyId: 'k1', keys: { k0: 'rotation-test-old-key', k1: 'rotation-test-new-key' } };
+const oldKeyring = { currentKeyId: 'k0', keys: { k0: 'rotation-test-old-key' } };
+
+function jobRow(overrides = {}) {
+  return {
+    job_id: 'job-1',
+    target_key_id: 'k1',
+    status: 'running',
+    users_cursor: null,
+    users_done: 0,
+    users_rotated: 0,
+    payments_cursor: null,
+    payments_done: 0,
+    payments_rotated: 0,
+    failed: 0,
+    started_by: 'admin-1',
+    created_at: '2026-01-01T00:00:00Z',
+    updated_at: '2026-01-01T00:00:00Z',
+    ...overrides,
+  };
+}
+
+// Record bound arguments of every statement
+function recordBindings(db) {
+  const bindings = [];
+  const prepare = db.prepare;
+  db.prepare = (query) => {
+    const statement = prepare(query);
+    return {
+      ...statement,
+      bind: (...args) => {
+        bindings.push({ query, args });
+        return statement.bind(...args);
+      },
+    };
+  };
+  db._bindings = bindings;
+  return db;
+}
+
+function savedJob(db) {
+  const save = db._bindings.filter(b => b.query.includes('UPDATE key_rotation_jobs')).pop();
+  const [status, usersCursor, usersDone, usersRotated, paymentsCursor, paymentsDone, paymentsRotated, failed] = save.args;
+  return { status, usersCursor, usersDone, usersRotated, paymentsCursor, paymentsDone, paymentsRotated, failed };
+}
+
+describe('keyRotationService', () => {
+  let env;
+
+  beforeEach(() => {
+    env = createMockEnv({
+      ENCRYPTION_KEY: keyring,
+      payment_worker: createMockServiceBinding('payment-worker'),
+    });
+  });
+
+  describe('startRotation', () => {
+    it('should resume the running job for the current key', async () => {
+      const db = createMockD1WithSequence([{ first: jobRow() }]);
+
+      const { job, resumed } = await startRotation('admin-1', db, keyring);
+
+      expect(resumed).to.be.true;
+      expect(job.jobId).to.equal('job-1');
+    });
+
+    it('should supersede a job for an older key and start a new one', async () => {
+      const db = recordBindings(createMockD1WithSequence([
+        { first: jobRow({ target_key_id: 'k0' }) },
+        { run: { success: true, meta: { changes: 1 } } },
+        { run: { success: true, meta: { changes: 1 } } },
+      ]));
+
+      const { job, resumed } = await startRotation('admin-1', db, keyring);
+
+      expect(resumed).to.be.false;
+      expect(job.targetKeyId).to.equal('k1');
+      expect(db._bindings[0].args[0]).to.equal('superseded');
+    });
+  });
+
+  describe('runRotationBatch', () => {
+    it('should re-encrypt a batch of users and save the cursor', async () => {
+      const users = [
+        { user_id: 'user-1', data: await encrypt('{"email":"a@example.com"}', oldKeyring, 'user-1') },
+        { user_id: 'user-2', data: await encrypt('{"email":"b@example.com"}', oldKeyring, 'user-2') },
+      ];
+      env.auth_db = recordBindings(createMockD1WithSequence([
+        { first: jobRow() },
+        { all: { results: users } },
+        { run: { success: true, meta: { changes: 1 } } },
+        { run: { success: true, meta: { changes: 1 } } },
+        { run: { success: true, meta: { changes: 1 } } },
+      ]));
+
+      const job = await runRotationBatch('job-1', env, 2);
+
+      expect(job.users).to.deep.equal({ cursor: 'user-2', done: false, rotated: 2 });
+      const replaced = env.auth_db._bindings.filter(b => b.query.includes('UPDATE users'));
+      expect(parseCiphertext(replaced[0].args[0]).keyId).to.equal('k1');
+      expect(await decrypt(replaced[0].args[0], keyring, replaced[0].args[1])).to.equal('{"email":"a@example.com"}');
+      expect(replaced[0].args[2]).to.equal(users[0].data);
+      expect(savedJob(env.auth_db)).to.include({ status: 'running', usersCursor: 'user-2', usersRotated: 2 });
+    });
+
+    it('should count rows that cannot be decrypted and move on', async () => {
+      env.auth_db = recordBindings(createMockD1WithSequence([
+        { first: jobRow() },
+        { all: { results: [{ user_id: 'user-1', data: await encrypt('x', { currentKeyId: 'k9', keys: { k9: 'lost' } }, 'user-1') }] } },
+        { run: { success: true, meta: { changes: 1 } } },
+      ]));
+
+      const job = await runRotationBatch('job-1', env, 10);
+
+      expect(job.failed).to.equal(1);
+      expect(job.failedIds.users).to.deep.equal(['user-1']);
+      expect(job.users.done).to.be.true;
+    });
+
+    it('should rotate payments through the payment worker and complete', async () => {
+      env.payment_worker._setResponse('POST', '/payments/rotate-encryption', {
+        keyId: 'k1', processed: 3, rotated: 3, failed: 0, nextCursor: 'pay-3', done: true,
+      });
+      env.auth_db = recordBindings(createMockD1WithSequence([
+        { first: jobRow({ users_done: 1, users_rotated: 5, users_cursor: 'user-5' }) },
+        { run: { success: true, meta: { changes: 1 } } },
+      ]));
+
+      const job = await runRotationBatch('job-1', env, 100);
+
+      expect(job.status).to.equal('completed');
+      expect(job.payments).to.deep.equal({ cursor: 'pay-3', done: true, rotated: 3 });
+      expect(savedJob(env.auth_db).status).to.equal('completed');
+    });
+
+    it('should not complete a job with rows that could not be re-encrypted', async () => {
+      env.payment_worker._setResponse('POST', '/payments/rotate-encryption', {
+        keyId: 'k1', processed: 3, rotated: 2, failed: 1, failedIds: ['pay-2'], nextCursor: 'pay-3', done: true,
+      });
+      env.auth_db = recordBindings(createMockD1WithSequence([
+        { first: jobRow({ users_done: 1, users_rotated: 4, users_cursor: 'user-5', failed: 1, failed_ids: '{"users":["user-3"],"payments":[]}' }) },
+        { run: { success: true, meta: { changes: 1 } } },
+      ]));
+
+      const job = await runRotationBatch('job-1', env, 100);
+
+      expect(job.status).to.equal('completed_with_errors');
+      expect(job.failed).to.equal(2);
+      expect(job.failedIds).to.deep.equal({ users: ['user-3'], payments: ['pay-2'] });
+      const save = env.auth_db._bindings.find(b => b.query.includes('UPDATE key_rotation_jobs'));
+      expect(savedJob(env.auth_db)).to.include({ status: 'completed_with_errors', failed: 2 });
+      expect(JSON.parse(save.args[8])).to.deep.equal(job.failedIds);
+    });
+
+    it('should refuse when the payment worker still uses another key', async () => {
+      env.payment_worker._setResponse('POST', '/payments/rotate-encryption', {
+        keyId: 'k0', processed: 0, rotated: 0, failed: 0, nextCursor: null, done: true,
+      });
+      env.auth_db = createMockD1WithSequence([{ first: jobRow({ users_done: 1 }) }]);
+
+      try {
+        await runRotationBatch('job-1', env, 100);
+        expect.fail('Should have thrown ConflictError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ConflictError);
+      }
+    });
+
+    it('should refuse a job whose target is no longer the current key', async () => {
+      env.auth_db = createMockD1WithSequence([{ first: jobRow({ target_key_id: 'k0' }) }]);
+
+      try {
+        await runRotationBatch('job-1', env, 100);
+        expect.fail('Should have thrown ConflictError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ConflictError);
+      }
+    });
+
+    it('should throw NotFoundError for an unknown job', async () => {
+      env.auth_db = createMockD1WithSequence([{ first: null }]);
+
+      try {
+        await runRotationBatch('missing', env, 100);
+        expect.fail('Should have thrown NotFoundError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(NotFoundError);
+      }
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Maintenance service
+ * Scheduled cleanup of the auth DB: expired and revoked sessions, spent tokens, users
+ * whose soft-delete grace period has passed, and security events past their retention period. Run by the cron trigger (see scheduled in index.js).
+ */
+
+import { cleanupExpiredSessions, deleteUserSessions, purgeSessions } from '../models/sessionModel.js';
+import { deleteStaleResetTokens } from '../models/passwordResetModel.js';
+import { deleteStaleVerificationTokens } from '../models/emailVerificationModel.js';
+import { deleteExpiredOAuthRecords, deleteUserIdentities } from '../models/oauthModel.js';
+import { removeAllUserRoles } from '../models/roleModel.js';
+import { deleteUserApiTokens } from '../models/apiTokenModel.js';
+import { deleteSecurityEventsBefore } from '../models/securityEventModel.js';
+import { getUsersDeletedBefore, hardDeleteUser } from '../models/userModel.js';
+import { sendLog } from '../../shared/utils/logger.js';
+
+export const DEFAULT_SESSION_RETENTION_DAYS = 7;
+export const DEFAULT_USER_DELETION_GRACE_DAYS = 30;
+export const USER_PURGE_BATCH_SIZE = 100;
+export const DEFAULT_SECURITY_EVENT_RETENTION_DAYS = 365;
+// security_events triggers refuse to delete younger rows (see auth.sql)
+export const MIN_SECURITY_EVENT_RETENTION_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysBefore(now, days) {
+  return new Date(now.getTime() - days * DAY_MS).toISOString();
+}
+
+/**
+ * Permanently delete users whose grace period has passed
+ * Account deletion already anonymized their data in other workers; this removes the encrypted PII row.
+ * data_requests rows are kept as the record that the deletion happened.
+ */
+async function purgeDeletedUsers(db, before) {
+  const userIds = await getUsersDeletedBefore(db, before, USER_PURGE_BATCH_SIZE);
+
+  let purged = 0;
+  for (const userId of userIds) {
+    // Usually already done by account deletion; repeated in case the user was soft-deleted another way
+    await deleteUserSessions(db, userId);
+    await deleteUserIdentities(db, userId);
+    await removeAllUserRoles(db, userId);
+    await deleteUserApiTokens(db, userId);
+    if (await hardDeleteUser(db, userId)) {
+      purged++;
+    }
+  }
+
+  return purged;
+}
+
+/**
+ * Run all maintenance tasks and report the counts to the log worker
+ * @param {Object} env - Worker env (auth_db, log_worker, retention settings)
+ * @param {Object} ctx - Execution context
+ * @param {Date} now - Current time (for tests)
+ * @returns {Promise<Object>} Number of rows affected per task
+ */
+export async function runMaintenance(env, ctx = null, now = new Date()) {
+  const db = env.auth_db;
+  const sessionRetentionDays = parseInt(env.SESSION_RETENTION_DAYS, 10) || DEFAULT_SESSION_RETENTION_DAYS;
+  const userGraceDays = parseInt(env.USER_DELETION_GRACE_DAYS, 10) || DEFAULT_USER_DELETION_GRACE_DAYS;
+  const securityEventRetentionDays = Math.max(
+    parseInt(env.SECURITY_EVENT_RETENTION_DAYS, 10) || DEFAULT_SECURITY_EVENT_RETENTION_DAYS,
+    MIN_SECURITY_EVENT_RETENTION_DAYS
+  );
+
+  const usersPurged = await purgeDeletedUsers(db, daysBefore(now, userGraceDays));
+  const sessionsExpired = await cleanupExpiredSessions(db);
+  const { sessions: sessionsPurged, refreshTokens: refreshTokensPurged } = await purgeSessions(db, daysBefore(now, sessionRetentionDays));
+  const resetTokensDeleted = await deleteStaleResetTokens(db);
+  const verificationTokensDeleted = await deleteStaleVerificationTokens(db);
+  const oauthRecordsDeleted = await deleteExpiredOAuthRecords(db);
+  const securityEventsPurged = await deleteSecurityEventsBefore(db, daysBefore(now, securityEventRetentionDays));
+
+  const counts = {
+    sessionsExpired,
+    sessionsPurged,
+    refreshTokensPurged,
+    resetTokensDeleted,
+    verificationTokensDeleted,
+    oauthRecordsDeleted,
+    securityEventsPurged,
+    usersPurged,
+  };
+
+  await sendLog(env.log_worker, 'event', 'Auth maintenance completed', { ...counts, worker: 'auth-worker' }, env.INTER_WORKER_API_KEY, ctx);
+
+  return counts;
+}
@@ -0,0 +1,106 @@
+/**
+ * Tests for maintenanceService
+ */
+
+import { describe, it, beforeEach } from 'mocha';
+import { expect } from 'chai';
+import { runMaintenance } from './maintenanceService.js';
+import { createMockD1WithSequence, createMockEnv, createMockServiceBinding } from '../../test/setup.js';
+
+const changed = (changes) => ({ run: { success: true, meta: { changes } } });
+
+// Record bound arguments of every statement
+function recordBindings(db) {
+  const bindings = [];
+  const prepare = db.prepare;
+  db.prepare = (query) => {
+    const statement = prepare(query);
+    return {
+      ...statement,
+      bind: (...args) => {
+        bindings.push({ query, args });
+        return statement.bind(...args);
+      },
+    };
+  };
+  db._bindings = bindings;
+  return db;
+}
+
+describe('maintenanceService', () => {
+  const now = new Date('2026-03-31T00:00:00Z');
+  let env;
+
+  beforeEach(() => {
+    env = createMockEnv({ log_worker: createMockServiceBinding('log-worker') });
+    env.log_worker._setResponse('POST', '/log', { success: true });
+  });
+
+  it('should purge data and report the counts', async () => {
+    env.auth_db = recordBindings(createMockD1WithSequence([
+      { all: { results: [{ user_id: 'user-1' }] } }, // getUsersDeletedBefore
+      changed(0), // deleteUserSessions
+      changed(0), // deleteUserIdentities
+      changed(0), // removeAllUserRoles
+      changed(0), // deleteUserApiTokens
+      changed(1), // hardDeleteUser
+      changed(2), // cleanupExpiredSessions
+      changed(4), // purgeSessions: refresh_token_history
+      changed(3), // purgeSessions: sessions
+      changed(5), // deleteStaleResetTokens
+      changed(6), // deleteStaleVerificationTokens
+      changed(1), // oauth_states
+      changed(1), // oauth_login_codes
+      changed(7), // deleteSecurityEventsBefore
+    ]));
+
+    const counts = await runMaintenance(env, null, now);
+
+    expect(counts).to.deep.equal({
+      sessionsExpired: 2,
+      sessionsPurged: 3,
+      refreshTokensPurged: 4,
+      resetTokensDeleted: 5,
+      verificationTokensDeleted: 6,
+      oauthRecordsDeleted: 2,
+      securityEventsPurged: 7,
+      usersPurged: 1,
+    });
+  });
+
+  it('should use the configured retention periods', async () => {
+    env.SESSION_RETENTION_DAYS = '1';
+    env.USER_DELETION_GRACE_DAYS = '10';
+    env.auth_db = recordBindings(createMockD1WithSequence([]));
+
+    await runMaintenance(env, null, now);
+
+    const userQuery = env.auth_db._bindings.find(b => b.query.includes('FROM users'));
+    const sessionPurge = env.auth_db._bindings.find(b => b.query.includes('DELETE FROM sessions'));
+    expect(userQuery.args[0]).to.equal('2026-03-21T00:00:00.000Z');
+    expect(sessionPurge.args[0]).to.equal('2026-03-30T00:00:00.000Z');
+  });
+
+  it('should keep security events for at least the minimum retention period', async () => {
+    env.SECURITY_EVENT_RETENTION_DAYS = '30';
+    env.auth_db = recordBindings(createMockD1WithSequence([]));
+
+    await runMaintenance(env, null, now);
+
+    const eventPurge = env.auth_db._bindings.find(b => b.query.includes('DELETE FROM security_events'));
+    expect(eventPurge.args[0]).to.equal('2025-12-31T00:00:00.000Z');
+  });
+
+  it('should only hard-delete users that are soft-deleted', async () => {
+    env.auth_db = recordBindings(createMockD1WithSequence([
+      { all: { results: [{ user_id: 'user-1' }] } },
+    ]));
+
+    const counts = await runMaintenance(env, null, now);
+
+    const hardDelete = env.auth_db._bindings.find(b => b.query.includes('DELETE FROM users'));
+    expect(hardDelete.query).to.include('deleted_at IS NOT NULL');
+    expect(hardDelete.args).to.deep.equal(['user-1']);
+    expect(counts.usersPurged).to.equal(0);
+  });
+});
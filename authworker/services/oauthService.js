@@ -0,0 +1,227 @@
+/**
+ * OAuth/OIDC login service
+ * Authorization code flow with PKCE: start -> provider -> callback -> one-time login code -> session
+ * The callback never returns tokens in a redirect URL; the frontend exchanges the short-lived
+ * login code for a session (POST /oauth/complete) exactly like a password login
+ */
+
+import {
+  discoverProvider,
+  generateCodeVerifier,
+  computeCodeChallenge,
+  buildAuthorizationUrl,
+  exchangeAuthorizationCode,
+  verifyIdToken,
+} from '../utils/oidc.js';
+import {
+  createOAuthState,
+  consumeOAuthState,
+  getIdentity,
+  createIdentity,
+  touchIdentity,
+  createLoginCode,
+  consumeLoginCode,
+} from '../models/oauthModel.js';
+import { createUser, getUserByEmail, getUserById, updateUser } from '../models/userModel.js';
+import { createSession, deleteUserSessions } from '../models/sessionModel.js';
+import { assertUserActive, generateAccessToken, generateRefreshToken, generateTwoFactorChallengeToken } from './authService.js';
+import { isEmailVerified } from './emailVerificationService.js';
+import { isTwoFactorEnabled } from './twoFactorService.js';
+import { generateSecureToken, hashToken } from '../utils/tokens.js';
+import { encrypt, decrypt, normalizeEmail, emailIndex } from '../../shared/utils/encryption.js';
+import { sendLog } from '../../shared/utils/logger.js';
+import { AuthenticationError, NotFoundError } from '../../shared/utils/errors.js';
+
+export const OAUTH_STATE_TTL_MINUTES = 10;
+export const LOGIN_CODE_TTL_SECONDS = 120;
+
+/**
+ * Keep only same-site relative paths so returnTo cannot become an open redirect
+ * @param {string} returnTo - Requested path
+ * @returns {string|null} Safe path or null
+ */
+export function sanitizeReturnTo(returnTo) {
+  if (typeof returnTo !== 'string' || !returnTo.startsWith('/') || returnTo.startsWith('//') || returnTo.includes('\\')) {
+    return null;
+  }
+  return returnTo.slice(0, 512);
+}
+
+/**
+ * Start a login at a provider
+ * @param {Object} provider - Provider config (see utils/oidc.js)
+ * @param {D1Database} db - Database instance
+ * @param {Object} options - { redirectUri, returnTo }
+ * @returns {Promise<Object>} { authorizationUrl, state }
+ */
+export async function startLogin(provider, db, options) {
+  const endpoints = await discoverProvider(provider);
+
+  const state = generateSecureToken();
+  const nonce = generateSecureToken(16);
+  const codeVerifier = generateCodeVerifier();
+
+  await createOAuthState(db, {
+    stateHash: await hashToken(state),
+    provider: provider.name,
+    codeVerifier,
+    nonce,
+    returnTo: sanitizeReturnTo(options.returnTo),
+    expiresAt: new Date(Date.now() + OAUTH_STATE_TTL_MINUTES * 60 * 1000).toISOString(),
+  });
+
+  const authorizationUrl = buildAuthorizationUrl(provider, endpoints, {
+    redirectUri: options.redirectUri,
+    state,
+    nonce,
+    codeChallenge: await computeCodeChallenge(codeVerifier),
+  });
+
+  return { authorizationUrl, state };
+}
+
+/**
+ * Find or create the local user for verified ID token claims
+ * - Known identity: its linked user
+ * - Otherwise the provider must assert a verified email:
+ *   an existing account with that email is linked, else a passwordless account is created
+ * Linking to an account whose email was never verified drops its password and sessions,
+ * since whoever registered it had not proven they own the address
+ */
+async function resolveUser(providerName, claims, db, encryptionKey, blindIndexKey) {
+  const identity = await getIdentity(db, providerName, claims.sub);
+  if (identity) {
+    const user = await getUserById(db, identity.user_id);
+    if (!user) {
+      throw new AuthenticationError('This account is no longer available');
+    }
+    await touchIdentity(db, providerName, claims.sub);
+    return { userId: identity.user_id, outcome: 'existing' };
+  }
+
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+  if (!claims.email || !emailVerified) {
+    throw new AuthenticationError('Your account with this provider has no verified email address');
+  }
+
+  const normalizedEmail = normalizeEmail(claims.email);
+  const existingUser = await getUserByEmail(db, normalizedEmail, blindIndexKey);
+
+  if (existingUser) {
+    const userData = JSON.parse(await decrypt(existingUser.data, encryptionKey, existingUser.user_id));
+    if (!isEmailVerified(userData)) {
+      const updatedData = { ...userData, emailVerified: true, emailVerifiedAt: new Date().toISOString() };
+      delete updatedData.password;
+      await updateUser(db, existingUser.user_id, await encrypt(JSON.stringify(updatedData), encryptionKey, existingUser.user_id));
+      await deleteUserSessions(db, existingUser.user_id);
+    }
+
+    await createIdentity(db, providerName, claims.sub, existingUser.user_id);
+    return { userId: existingUser.user_id, outcome: 'linked', verifiedEmail: normalizedEmail };
+  }
+
+  const piiData = {
+    email: normalizedEmail,
+    name: claims.name || normalizedEmail.split('@')[0],
+    contactNumber: null,
+    address: null,
+    emailVerified: true, // Asserted by the provider
+    emailVerifiedAt: new Date().toISOString(),
+    savedAddresses: [],
+  };
+
+  const userId = crypto.randomUUID();
+  const user = await createUser(db, piiData, await encrypt(JSON.stringify(piiData), encryptionKey, userId), {
+    emailIndex: emailIndex(normalizedEmail, blindIndexKey),
+  }, userId);
+  await createIdentity(db, providerName, claims.sub, user.userId);
+
+  return { userId: user.userId, outcome: 'created', verifiedEmail: normalizedEmail };
+}
+
+/**
+ * Handle the provider's redirect back to us
+ * @param {Object} provider - Provider config
+ * @param {Object} params - { code, state, redirectUri }
+ * @param {D1Database} db - Database instance
+ * @param {string} encryptionKey - Encryption key
+ * @param {string} blindIndexKey - Key for the email blind index (defaults to encryption key)
+ * @returns {Promise<Object>} { userId, outcome ('existing'|'linked'|'created'), verifiedEmail (linked/created only), loginCode, returnTo }
+ */
+export async function handleCallback(provider, params, db, encryptionKey, blindIndexKey = encryptionKey) {
+  const storedState = await consumeOAuthState(db, await hashToken(params.state));
+  if (!storedState || storedState.provider !== provider.name) {
+    throw new AuthenticationError('Login attempt expired or is invalid. Please try again.');
+  }
+
+  const endpoints = await discoverProvider(provider);
+  const tokens = await exchangeAuthorizationCode(provider, endpoints, {
+    code: params.code,
+    codeVerifier: storedState.code_verifier,
+    redirectUri: params.redirectUri,
+  });
+  const claims = await verifyIdToken(provider, endpoints, tokens.id_token, { nonce: storedState.nonce });
+
+  const { userId, outcome, verifiedEmail } = await resolveUser(provider.name, claims, db, encryptionKey, blindIndexKey);
+
+  const loginCode = generateSecureToken();
+  await createLoginCode(
+    db,
+    await hashToken(loginCode),
+    userId,
+    provider.name,
+    new Date(Date.now() + LOGIN_CODE_TTL_SECONDS * 1000).toISOString()
+  );
+
+  return { userId, outcome, verifiedEmail, loginCode, returnTo: storedState.return_to || null };
+}
+
+/**
+ * Exchange a one-time login code for a session
+ * @param {string} code - Login code from the callback redirect
+ * @param {D1Database} db - Database instance
+ * @param {string} encryptionKey - Encryption key
+ * @param {string} logWorkerUrl - Log worker URL
+ * @param {string} apiKey - API key for log worker
+ * @param {Object} ctx - Execution context
+ * @param {Object} clientInfo - { userAgent, ipAddress } recorded on the session
+ * @returns {Promise<Object>} User session and tokens, or { twoFactorRequired, challengeToken } when 2FA is enabled
+ */
+export async function completeLogin(code, db, encryptionKey, logWorkerBindingOrUrl, apiKey, ctx = null, clientInfo = {}) {
+  const loginCode = await consumeLoginCode(db, await hashToken(code));
+  if (!loginCode) {
+    throw new AuthenticationError('Login code expired or is invalid. Please try again.');
+  }
+
+  const user = await getUserById(db, loginCode.user_id);
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+  assertUserActive(user);
+
+  // The provider replaces the password, not the second factor
+  const userData = JSON.parse(await decrypt(user.data, encryptionKey, user.user_id));
+  if (isTwoFactorEnabled(userData)) {
+    await sendLog(logWorkerBindingOrUrl, 'event', 'Login awaiting two-factor verification', { userId: user.user_id, provider: loginCode.provider, worker: 'auth-worker' }, apiKey, ctx);
+
+    return {
+      userId: user.user_id,
+      twoFactorRequired: true,
+      challengeToken: generateTwoFactorChallengeToken(user.user_id, encryptionKey),
+    };
+  }
+
+  const refreshToken = generateRefreshToken();
+  const session = await createSession(db, user.user_id, refreshToken, clientInfo);
+
+  const accessToken = generateAccessToken(user.user_id, session.sessionId, encryptionKey);
+
+  await sendLog(logWorkerBindingOrUrl, 'event', 'User logged in with provider', { userId: user.user_id, provider: loginCode.provider, worker: 'auth-worker' }, apiKey, ctx);
+
+  return {
+    userId: user.user_id,
+    sessionId: session.sessionId,
+    accessToken,
+    refreshToken,
+  };
+}
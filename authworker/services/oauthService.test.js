@@ -0,0 +1,262 @@
+/**
+ * Tests for oauthService (end to end against a mock OIDC issuer)
+ */
+
+import { describe, it, before, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import { sanitizeReturnTo, startLogin, handleCallback, completeLogin } from './oauthService.js';
+import {
+  getOidcProvider,
+  discoverProvider,
+  buildAuthorizationUrl,
+  computeCodeChallenge,
+  generateCodeVerifier,
+  clearOidcCache,
+} from '../utils/oidc.js';
+import { encrypt, decrypt } from '../../shared/utils/encryption.js';
+import { AuthenticationError } from '../../shared/utils/errors.js';
+import { createMockD1WithSequence, createMockOidcIssuer } from '../../test/setup.js';
+
+const encryptionKey = 'test-encryption-key';
+const redirectUri = 'https://auth.test/oauth/mock/callback';
+
+// Record bound arguments of every statement
+function recordBindings(db) {
+  const bindings = [];
+  const prepare = db.prepare;
+  db.prepare = (query) => {
+    const statement = prepare(query);
+    return {
+      ...statement,
+      bind: (...args) => {
+        bindings.push({ query, args });
+        return statement.bind(...args);
+      },
+    };
+  };
+  db._bindings = bindings;
+  return db;
+}
+
+describe('oauthService', () => {
+  let issuer;
+  let provider;
+  const originalFetch = global.fetch;
+
+  before(async () => {
+    issuer = await createMockOidcIssuer();
+  });
+
+  beforeEach(() => {
+    clearOidcCache();
+    global.fetch = issuer.fetch;
+    provider = getOidcProvider({
+      OIDC_PROVIDERS: JSON.stringify({ mock: { issuer: issuer.issuer, clientId: issuer.clientId } }),
+    }, 'mock');
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  // Simulate start + provider login: returns the stored state row and the provider's code
+  async function loginAtProvider(claims) {
+    const codeVerifier = generateCodeVerifier();
+    const nonce = 'nonce-1';
+    const authorizationUrl = buildAuthorizationUrl(provider, await discoverProvider(provider), {
+      redirectUri,
+      state: 'state-1',
+      nonce,
+      codeChallenge: await computeCodeChallenge(codeVerifier),
+    });
+    return {
+      stateRow: { provider: 'mock', code_verifier: codeVerifier, nonce, return_to: '/cart' },
+      code: issuer.authorize(authorizationUrl, claims),
+    };
+  }
+
+  describe('sanitizeReturnTo', () => {
+    it('should only allow same-site paths', () => {
+      expect(sanitizeReturnTo('/orders?page=2')).to.equal('/orders?page=2');
+      expect(sanitizeReturnTo('//evil.test')).to.be.null;
+      expect(sanitizeReturnTo('https://evil.test')).to.be.null;
+      expect(sanitizeReturnTo('/\\evil.test')).to.be.null;
+      expect(sanitizeReturnTo(null)).to.be.null;
+    });
+  });
+
+  describe('startLogin', () => {
+    it('should store hashed state with the PKCE verifier and redirect with its challenge', async () => {
+      const db = recordBindings(createMockD1WithSequence([]));
+
+      const { authorizationUrl, state } = await startLogin(provider, db, { redirectUri, returnTo: '/cart' });
+
+      const params = new URL(authorizationUrl).searchParams;
+      expect(params.get('state')).to.equal(state);
+      expect(params.get('redirect_uri')).to.equal(redirectUri);
+
+      const [stateHash, providerName, codeVerifier, nonce, returnTo] = db._bindings[0].args;
+      expect(stateHash).to.match(/^[0-9a-f]{64}$/).and.not.equal(state);
+      expect(providerName).to.equal('mock');
+      expect(params.get('code_challenge')).to.equal(await computeCodeChallenge(codeVerifier));
+      expect(params.get('nonce')).to.equal(nonce);
+      expect(returnTo).to.equal('/cart');
+    });
+  });
+
+  describe('handleCallback', () => {
+    it('should log in a user with a linked identity', async () => {
+      const { stateRow, code } = await loginAtProvider({ sub: 'subject-1' });
+      const db = createMockD1WithSequence([
+        { first: stateRow },
+        { first: { provider: 'mock', subject: 'subject-1', user_id: 'user-1' } },
+        { first: { user_id: 'user-1', data: 'encrypted' } },
+      ]);
+
+      const result = await handleCallback(provider, { code, state: 'state-1', redirectUri }, db, encryptionKey);
+
+      expect(result).to.include({ userId: 'user-1', outcome: 'existing', returnTo: '/cart' });
+      expect(result.loginCode).to.match(/^[0-9a-f]{64}$/);
+    });
+
+    it('should link the identity to an existing user with the verified email', async () => {
+      const { stateRow, code } = await loginAtProvider({ sub: 'subject-1', email: 'User@Example.com', email_verified: true });
+      const userData = { email: 'user@example.com', name: 'User', password: 'hash', emailVerified: true };
+      const db = recordBindings(createMockD1WithSequence([
+        { first: stateRow },
+        { first: null },
+        { first: { user_id: 'user-1', data: await encrypt(JSON.stringify(userData), encryptionKey, 'user-1') } },
+      ]));
+
+      const result = await handleCallback(provider, { code, state: 'state-1', redirectUri }, db, encryptionKey);
+
+      expect(result).to.include({ userId: 'user-1', outcome: 'linked' });
+      const link = db._bindings.find(b => b.query.includes('INSERT INTO user_identities'));
+      expect(link.args.slice(0, 3)).to.deep.equal(['mock', 'subject-1', 'user-1']);
+      expect(db._bindings.some(b => b.query.includes('UPDATE users'))).to.be.false;
+    });
+
+    it('should drop the password and sessions of an unverified account it links to', async () => {
+      const { stateRow, code } = await loginAtProvider({ sub: 'subject-1', email: 'user@example.com', email_verified: true });
+      const userData = { email: 'user@example.com', name: 'Squatter', password: 'hash', emailVerified: false };
+      const db = recordBindings(createMockD1WithSequence([
+        { first: stateRow },
+        { first: null },
+        { first: { user_id: 'user-1', data: await encrypt(JSON.stringify(userData), encryptionKey, 'user-1') } },
+        { run: { success: true, meta: { changes: 1 } } },
+      ]));
+
+      await handleCallback(provider, { code, state: 'state-1', redirectUri }, db, encryptionKey);
+
+      const update = db._bindings.find(b => b.query.includes('UPDATE users'));
+      const updated = JSON.parse(await decrypt(update.args[0], encryptionKey, 'user-1'));
+      expect(updated).to.not.have.property('password');
+      expect(updated.emailVerified).to.be.true;
+      expect(db._bindings.some(b => b.query.includes('UPDATE sessions'))).to.be.true;
+    });
+
+    it('should create a passwordless user for a new verified email', async () => {
+      const { stateRow, code } = await loginAtProvider({
+        sub: 'subject-2', email: 'new@example.com', email_verified: true, name: 'New User',
+      });
+      const db = recordBindings(createMockD1WithSequence([
+        { first: stateRow },
+        { first: null },
+        { first: null },
+        { run: { success: true, meta: { changes: 1 } } },
+      ]));
+
+      const result = await handleCallback(provider, { code, state: 'state-1', redirectUri }, db, encryptionKey);
+
+      expect(result.outcome).to.equal('created');
+      const insert = db._bindings.find(b => b.query.includes('INSERT INTO users'));
+      const created = JSON.parse(await decrypt(insert.args[1], encryptionKey, insert.args[0]));
+      expect(created).to.include({ email: 'new@example.com', name: 'New User', emailVerified: true });
+      expect(created).to.not.have.property('password');
+    });
+
+    it('should reject an unknown identity without a verified email', async () => {
+      const { stateRow, code } = await loginAtProvider({ sub: 'subject-3', email: 'user@example.com', email_verified: false });
+      const db = createMockD1WithSequence([
+        { first: stateRow },
+        { first: null },
+      ]);
+
+      try {
+        await handleCallback(provider, { code, state: 'state-1', redirectUri }, db, encryptionKey);
+        expect.fail('Should have thrown AuthenticationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AuthenticationError);
+        expect(error.message).to.include('verified email');
+      }
+    });
+
+    it('should reject unknown, expired or reused state', async () => {
+      const { code } = await loginAtProvider({ sub: 'subject-1' });
+      const db = createMockD1WithSequence([{ first: null }]);
+
+      try {
+        await handleCallback(provider, { code, state: 'state-1', redirectUri }, db, encryptionKey);
+        expect.fail('Should have thrown AuthenticationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AuthenticationError);
+      }
+    });
+
+    it('should reject state issued for another provider', async () => {
+      const { stateRow, code } = await loginAtProvider({ sub: 'subject-1' });
+      const db = createMockD1WithSequence([{ first: { ...stateRow, provider: 'other' } }]);
+
+      try {
+        await handleCallback(provider, { code, state: 'state-1', redirectUri }, db, encryptionKey);
+        expect.fail('Should have thrown AuthenticationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AuthenticationError);
+      }
+    });
+  });
+
+  describe('completeLogin', () => {
+    it('should create a session for a valid login code', async () => {
+      const userData = { email: 'user@example.com', name: 'User' };
+      const db = recordBindings(createMockD1WithSequence([
+        { first: { user_id: 'user-1', provider: 'mock' } },
+        { first: { user_id: 'user-1', data: await encrypt(JSON.stringify(userData), encryptionKey, 'user-1') } },
+        { run: { success: true, meta: { changes: 1 } } },
+      ]));
+
+      const result = await completeLogin('a'.repeat(64), db, encryptionKey, null, null, null, { ipAddress: '203.0.113.5' });
+
+      expect(result).to.have.property('userId', 'user-1');
+      expect(result).to.have.property('sessionId');
+      expect(result).to.have.property('accessToken');
+      expect(result).to.have.property('refreshToken');
+      expect(db._bindings.some(b => b.query.includes('INSERT INTO sessions'))).to.be.true;
+    });
+
+    it('should require the second factor when 2FA is enabled', async () => {
+      const userData = { email: 'user@example.com', twoFactor: { enabled: true } };
+      const db = createMockD1WithSequence([
+        { first: { user_id: 'user-1', provider: 'mock' } },
+        { first: { user_id: 'user-1', data: await encrypt(JSON.stringify(userData), encryptionKey, 'user-1') } },
+      ]);
+
+      const result = await completeLogin('a'.repeat(64), db, encryptionKey, null, null);
+
+      expect(result.twoFactorRequired).to.be.true;
+      expect(result).to.have.property('challengeToken');
+      expect(result).to.not.have.property('accessToken');
+    });
+
+    it('should reject an invalid or used login code', async () => {
+      const db = createMockD1WithSequence([{ first: null }]);
+
+      try {
+        await completeLogin('a'.repeat(64), db, encryptionKey, null, null);
+        expect.fail('Should have thrown AuthenticationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AuthenticationError);
+      }
+    });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Password reset service
+ * Handles "forgot password" requests and token-based password resets
+ */
+
+import { getUserByEmail, getUserById } from '../models/userModel.js';
+import { createPasswordResetToken, consumePasswordResetToken, invalidateUserResetTokens } from '../models/passwordResetModel.js';
+import { deleteUserSessions } from '../models/sessionModel.js';
+import { updatePassword } from './profileService.js';
+import { generateSecureToken, hashToken } from '../utils/tokens.js';
+import { decrypt } from '../../shared/utils/encryption.js';
+import { NotFoundError, ValidationError } from '../../shared/utils/errors.js';
+
+export const DEFAULT_RESET_TTL_MINUTES = 30;
+
+/**
+ * Create a reset token for a user and email the link
+ * Earlier links stop working (only the latest link should work)
+ */
+async function sendResetLink(user, db, encryptionKey, mailer, options) {
+  const userData = JSON.parse(await decrypt(user.data, encryptionKey, user.user_id));
+  const ttlMinutes = options.ttlMinutes || DEFAULT_RESET_TTL_MINUTES;
+
+  await invalidateUserResetTokens(db, user.user_id);
+
+  const token = generateSecureToken();
+  const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000).toISOString();
+  await createPasswordResetToken(db, user.user_id, await hashToken(token), expiresAt);
+
+  const resetLink = `${options.resetUrl}?token=${token}`;
+  await mailer.send({
+    to: userData.email,
+    subject: 'Reset your Quick Gadgets password',
+    text:
+      `Hi ${userData.name || 'there'},\n\n` +
+      `We received a request to reset your password. Use the link below within ${ttlMinutes} minutes:\n\n` +
+      `${resetLink}\n\n` +
+      'If you did not request this, you can ignore this email.',
+  });
+}
+
+/**
+ * Request a password reset
+ * Always resolves the same way whether or not the email exists (no account enumeration)
+ * @param {string} email - Email address
+ * @param {D1Database} db - Database instance
+ * @param {string} encryptionKey - Encryption key
+ * @param {string} blindIndexKey - Key for the email blind index
+ * @param {Object} mailer - Mail transport (see shared/utils/mailer.js)
+ * @param {Object} options - { resetUrl, ttlMinutes }
+ * @returns {Promise<Object>} { sent, userId, error? } - for logging only, never returned to the client
+ */
+export async function requestPasswordReset(email, db, encryptionKey, blindIndexKey, mailer, options = {}) {
+  const user = await getUserByEmail(db, email, blindIndexKey);
+  if (!user) {
+    console.log('[password-reset] No account for reset request');
+    return { sent: false, userId: null };
+  }
+
+  // A failed send must look like any other request, or the response would reveal that the account exists
+  try {
+    await sendResetLink(user, db, encryptionKey, mailer, options);
+  } catch (error) {
+    console.error('[password-reset] Failed to send reset link:', error.message);
+    return { sent: false, userId: user.user_id, error: error.message };
+  }
+
+  return { sent: true, userId: user.user_id };
+}
+
+/**
+ * Send a password reset link to a user on an admin's request
+ * @param {string} userId - User ID
+ * @param {D1Database} db - Database instance
+ * @param {string} encryptionKey - Encryption key
+ * @param {Object} mailer - Mail transport
+ * @param {Object} options - { resetUrl, ttlMinutes }
+ * @returns {Promise<Object>} { sent, userId }
+ */
+export async function sendPasswordResetForUser(userId, db, encryptionKey, mailer, options = {}) {
+  const user = await getUserById(db, userId);
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+
+  await sendResetLink(user, db, encryptionKey, mailer, options);
+
+  return { sent: true, userId };
+}
+
+/**
+ * Reset password using a reset token
+ * Consumes the token, sets the new password and revokes every session of the user
+ * @param {string} token - Plain reset token from the email link
+ * @param {string} newPassword - New password (plain text)
+ * @param {D1Database} db - Database instance
+ * @param {string} encryptionKey - Encryption key
+ * @returns {Promise<Object>} { userId, sessionsRevoked }
+ */
+export async function resetPassword(token, newPassword, db, encryptionKey) {
+  const consumed = await consumePasswordResetToken(db, await hashToken(token));
+  if (!consumed) {
+    throw new ValidationError('Invalid or expired reset token');
+  }
+
+  await updatePassword(consumed.user_id, newPassword, db, encryptionKey);
+
+  const sessionsRevoked = await deleteUserSessions(db, consumed.user_id);
+
+  return {
+    userId: consumed.user_id,
+    sessionsRevoked,
+  };
+}
@@ -0,0 +1,176 @@
+/**
+ * Tests for passwordResetService
+ */
+
+import { describe, it, beforeEach } from 'mocha';
+import { expect } from 'chai';
+import { requestPasswordReset, resetPassword, sendPasswordResetForUser } from './passwordResetService.js';
+import { createMockEnv, createMockD1WithSequence } from '../../test/setup.js';
+import { NotFoundError, ValidationError } from '../../shared/utils/errors.js';
+import { encrypt } from '../../shared/utils/encryption.js';
+import { createOutboxTransport, getOutbox, clearOutbox } from '../../shared/utils/mailer.js';
+import { hashToken } from '../utils/tokens.js';
+
+describe('passwordResetService', () => {
+  let mockEnv;
+  let mailer;
+  
+  beforeEach(() => {
+    mockEnv = createMockEnv();
+    mailer = createOutboxTransport();
+    clearOutbox();
+  });
+  
+  describe('requestPasswordReset', () => {
+    it('should store a hashed token and email the reset link', async () => {
+      const mockUser = {
+        user_id: 'user-id',
+        data: await encrypt(JSON.stringify({ email: 'user@example.com', name: 'Test User' }), mockEnv.ENCRYPTION_KEY, 'user-id'),
+      };
+      
+      const boundArgs = [];
+      const mockDb = createMockD1WithSequence([
+        { first: mockUser }, // getUserByEmail
+        { run: { success: true, meta: { changes: 0 } } }, // invalidateUserResetTokens
+        { run: { success: true, meta: { changes: 1 } } }, // createPasswordResetToken
+      ]);
+      const originalPrepare = mockDb.prepare;
+      mockDb.prepare = (query) => {
+        const statement = originalPrepare(query);
+        return {
+          bind: (...args) => {
+            boundArgs.push({ query, args });
+            return statement.bind(...args);
+          },
+        };
+      };
+      
+      const result = await requestPasswordReset(
+        'User@Example.com',
+        mockDb,
+        mockEnv.ENCRYPTION_KEY,
+        mockEnv.ENCRYPTION_KEY,
+        mailer,
+        { resetUrl: 'https://frontend.test/reset-password', ttlMinutes: 15 }
+      );
+      
+      expect(result).to.deep.equal({ sent: true, userId: 'user-id' });
+      
+      const messages = getOutbox('user@example.com');
+      expect(messages).to.have.length(1);
+      const token = messages[0].text.match(/token=([0-9a-f]{64})/)[1];
+      expect(messages[0].text).to.include('15 minutes');
+      
+      // Only the hash of the token is persisted
+      const insert = boundArgs.find(call => call.query.includes('INSERT INTO password_reset_tokens'));
+      expect(insert.args).to.include(await hashToken(token));
+      expect(insert.args).to.not.include(token);
+    });
+    
+    it('should not send anything for unknown email', async () => {
+      const mockDb = createMockD1WithSequence([
+        { first: null }, // getUserByEmail
+      ]);
+      
+      const result = await requestPasswordReset(
+        'nobody@example.com',
+        mockDb,
+        mockEnv.ENCRYPTION_KEY,
+        mockEnv.ENCRYPTION_KEY,
+        mailer,
+        { resetUrl: 'https://frontend.test/reset-password' }
+      );
+      
+      expect(result.sent).to.be.false;
+      expect(getOutbox()).to.have.length(0);
+    });
+
+    it('should resolve without throwing when the email cannot be sent', async () => {
+      const mockUser = {
+        user_id: 'user-id',
+        data: await encrypt(JSON.stringify({ email: 'user@example.com' }), mockEnv.ENCRYPTION_KEY, 'user-id'),
+      };
+      const mockDb = createMockD1WithSequence([
+        { first: mockUser }, // getUserByEmail
+        { run: { success: true, meta: { changes: 0 } } }, // invalidateUserResetTokens
+        { run: { success: true, meta: { changes: 1 } } }, // createPasswordResetToken
+      ]);
+      const failingMailer = { name: 'http', send: async () => { throw new Error('Mail API error: 503'); } };
+
+      const result = await requestPasswordReset(
+        'user@example.com',
+        mockDb,
+        mockEnv.ENCRYPTION_KEY,
+        mockEnv.ENCRYPTION_KEY,
+        failingMailer,
+        { resetUrl: 'https://frontend.test/reset-password' }
+      );
+
+      expect(result).to.deep.equal({ sent: false, userId: 'user-id', error: 'Mail API error: 503' });
+    });
+  });
+  
+  describe('resetPassword', () => {
+    it('should update password and revoke all sessions', async () => {
+      const mockUser = {
+        user_id: 'user-id',
+        data: await encrypt(JSON.stringify({ email: 'user@example.com', password: 'old-hash' }), mockEnv.ENCRYPTION_KEY, 'user-id'),
+      };
+      
+      const mockDb = createMockD1WithSequence([
+        { first: { token_id: 'token-id', user_id: 'user-id' } }, // consumePasswordResetToken
+        { first: mockUser }, // getUserById (updatePassword)
+        { run: { success: true, meta: { changes: 1 } } }, // updateUser
+        { run: { success: true, meta: { changes: 2 } } }, // deleteUserSessions
+      ]);
+      
+      const result = await resetPassword('a'.repeat(64), 'newpassword123', mockDb, mockEnv.ENCRYPTION_KEY);
+      
+      expect(result).to.deep.equal({ userId: 'user-id', sessionsRevoked: 2 });
+    });
+    
+    it('should throw ValidationError for invalid, expired or used token', async () => {
+      const mockDb = createMockD1WithSequence([
+        { first: null }, // consumePasswordResetToken
+      ]);
+      
+      try {
+        await resetPassword('a'.repeat(64), 'newpassword123', mockDb, mockEnv.ENCRYPTION_KEY);
+        expect.fail('Should have thrown ValidationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+        expect(error.message).to.include('Invalid or expired reset token');
+      }
+    });
+  });
+  
+  describe('sendPasswordResetForUser', () => {
+    it('should email a reset link to the user', async () => {
+      const mockUser = {
+        user_id: 'user-id',
+        data: await encrypt(JSON.stringify({ email: 'user@example.com', name: 'Test User' }), mockEnv.ENCRYPTION_KEY, 'user-id'),
+      };
+      const mockDb = createMockD1WithSequence([
+        { first: mockUser }, // getUserById
+        { run: { success: true, meta: { changes: 0 } } }, // invalidateUserResetTokens
+        { run: { success: true, meta: { changes: 1 } } }, // createPasswordResetToken
+      ]);
+      
+      const result = await sendPasswordResetForUser('user-id', mockDb, mockEnv.ENCRYPTION_KEY, mailer, { resetUrl: 'https://frontend.test/reset-password' });
+      
+      expect(result).to.deep.equal({ sent: true, userId: 'user-id' });
+      expect(getOutbox('user@example.com')).to.have.length(1);
+    });
+    
+    it('should throw NotFoundError for an unknown user', async () => {
+      const mockDb = createMockD1WithSequence([{ first: null }]);
+      
+      try {
+        await sendPasswordResetForUser('missing', mockDb, mockEnv.ENCRYPTION_KEY, mailer, { resetUrl: 'https://frontend.test/reset-password' });
+        expect.fail('Should have thrown NotFoundError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(NotFoundError);
+      }
+    });
+  });
+});
@@ -4,9 +4,26 @@
  */
 
 import { getUserById, getUsersByIds, updateUser } from '../models/userModel.js';
-import { encrypt, decrypt } from '../../shared/utils/encryption.js';
+import { getUserAccess } from './roleService.js';
+import { encrypt, decrypt, emailIndex, phoneIndex } from '../../shared/utils/encryption.js';
+import { normalizeAddressPincode, checkPincodeServiceability } from '../../shared/utils/pincode.js';
+import { hashPassword } from '../utils/password.js';
 import { NotFoundError } from '../../shared/utils/errors.js';
 
+/**
+ * Remove secrets (password hash, 2FA secret and recovery codes) from decrypted user data
+ * The legacy isAdmin flag is dropped too; it grants nothing, admin access comes from roles (see getUserAccess)
+ * @param {Object} userData - Decrypted user data
+ * @returns {Object} Profile data safe to return to clients and other workers
+ */
+export function toPublicProfile(userData) {
+  const profileData = { ...userData, twoFactorEnabled: userData.twoFactor?.enabled === true };
+  delete profileData.password;
+  delete profileData.twoFactor;
+  delete profileData.isAdmin;
+  return profileData;
+}
+
 /**
  * Get user profile
  * @param {string} userId - User ID
@@ -21,24 +38,20 @@ export async function getProfile(userId, db, encryptionKey) {
   }
 
   // Decrypt user data
-  const decryptedData = JSON.parse(decrypt(user.data, encryptionKey));
+  const decryptedData = JSON.parse(await decrypt(user.data, encryptionKey, user.user_id));
 
   // Initialize savedAddresses array if it doesn't exist
   if (!decryptedData.savedAddresses) {
     decryptedData.savedAddresses = [];
   }
 
-  // Initialize isAdmin if not present (default to false for existing users)
-  if (decryptedData.isAdmin === undefined) {
-    decryptedData.isAdmin = false;
-  }
-
   // Remove sensitive data before returning
-  const { password, ...profileData } = decryptedData;
+  const profileData = toPublicProfile(decryptedData);
 
   return {
     userId: user.user_id,
     ...profileData,
+    ...await getUserAccess(userId, db),
     createdAt: user.created_at,
     updatedAt: user.updated_at,
   };
@@ -50,33 +63,42 @@ export async function getProfile(userId, db, encryptionKey) {
  * @param {Object} updates - Profile updates
  * @param {D1Database} db - Database instance
  * @param {string} encryptionKey - Encryption key
+ * @param {string} blindIndexKey - Key for email/phone blind indexes (defaults to encryption key)
  * @returns {Promise<Object>} Updated profile
  */
-export async function updateProfile(userId, updates, db, encryptionKey) {
+export async function updateProfile(userId, updates, db, encryptionKey, blindIndexKey = encryptionKey) {
   const user = await getUserById(db, userId);
   if (!user) {
     throw new NotFoundError('User');
   }
 
   // Decrypt existing data
-  const existingData = JSON.parse(decrypt(user.data, encryptionKey));
+  const existingData = JSON.parse(await decrypt(user.data, encryptionKey, user.user_id));
 
   // Initialize savedAddresses array if it doesn't exist
   if (!existingData.savedAddresses) {
     existingData.savedAddresses = [];
   }
 
-  // Merge updates (don't allow password updates through this endpoint)
-  const { password, ...updatedData } = {
+  // Merge updates (updateProfileSchema rejects password, so the stored hash is kept)
+  const updatedData = {
     ...existingData,
     ...updates,
   };
 
   // Re-encrypt
-  const encryptedData = encrypt(JSON.stringify(updatedData), encryptionKey);
+  const encryptedData = await encrypt(JSON.stringify(updatedData), encryptionKey, userId);
+
+  // Refresh blind indexes when the contact number changes
+  const indexes = updates.contactNumber !== undefined
+    ? {
+        emailIndex: updatedData.email ? emailIndex(updatedData.email, blindIndexKey) : null,
+        phoneIndex: phoneIndex(updatedData.contactNumber, blindIndexKey),
+      }
+    : null;
 
   // Update in database
-  const success = await updateUser(db, userId, encryptedData);
+  const success = await updateUser(db, userId, encryptedData, indexes);
   if (!success) {
     throw new Error('Failed to update profile');
   }
@@ -84,27 +106,49 @@ export async function updateProfile(userId, updates, db, encryptionKey) {
   // Return updated profile (without password)
   return {
     userId,
-    ...updatedData,
+    ...toPublicProfile(updatedData),
+    ...await getUserAccess(userId, db),
     updatedAt: new Date().toISOString(),
   };
 }
 
+/**
+ * Normalize a saved address against its pincode and record whether we deliver there
+ * serviceable is null when fulfillment-worker could not be asked; checkout checks again
+ * @param {Object} address - Address data
+ * @param {Fetcher} fulfillment - fulfillment_worker service binding
+ * @param {string} apiKey - Inter-worker API key
+ * @returns {Promise<Object>} Address with pincode flags and serviceability
+ */
+async function prepareSavedAddress(address, fulfillment, apiKey) {
+  const normalized = normalizeAddressPincode(address);
+  return {
+    ...normalized,
+    serviceable: await checkPincodeServiceability(fulfillment, normalized.pincode, apiKey),
+    serviceabilityCheckedAt: new Date().toISOString(),
+  };
+}
+
 /**
  * Add saved address to user profile
  * @param {string} userId - User ID
  * @param {Object} address - Address data
  * @param {D1Database} db - Database instance
  * @param {string} encryptionKey - Encryption key
+ * @param {Fetcher} fulfillment - fulfillment_worker service binding (serviceability check)
+ * @param {string} apiKey - Inter-worker API key
  * @returns {Promise<Object>} Updated profile
  */
-export async function addSavedAddress(userId, address, db, encryptionKey) {
+export async function addSavedAddress(userId, address, db, encryptionKey, fulfillment = null, apiKey = null) {
+  const preparedAddress = await prepareSavedAddress(address, fulfillment, apiKey);
+
   const user = await getUserById(db, userId);
   if (!user) {
     throw new NotFoundError('User');
   }
 
   // Decrypt existing data
-  const existingData = JSON.parse(decrypt(user.data, encryptionKey));
+  const existingData = JSON.parse(await decrypt(user.data, encryptionKey, user.user_id));
 
   // Initialize savedAddresses array if it doesn't exist
   if (!existingData.savedAddresses) {
@@ -115,13 +159,13 @@ export async function addSavedAddress(userId, address, db, encryptionKey) {
   const addressId = crypto.randomUUID();
   const newAddress = {
     addressId,
-    ...address,
+    ...preparedAddress,
     createdAt: new Date().toISOString(),
   };
   existingData.savedAddresses.push(newAddress);
 
   // Re-encrypt
-  const encryptedData = encrypt(JSON.stringify(existingData), encryptionKey);
+  const encryptedData = await encrypt(JSON.stringify(existingData), encryptionKey, userId);
 
   // Update in database
   const success = await updateUser(db, userId, encryptedData);
@@ -130,10 +174,11 @@ export async function addSavedAddress(userId, address, db, encryptionKey) {
   }
 
   // Return updated profile (without password)
-  const { password, ...profileData } = existingData;
+  const profileData = toPublicProfile(existingData);
   return {
     userId,
     ...profileData,
+    ...await getUserAccess(userId, db),
     updatedAt: new Date().toISOString(),
   };
 }
@@ -145,16 +190,18 @@ export async function addSavedAddress(userId, address, db, encryptionKey) {
  * @param {Object} updates - Address updates
  * @param {D1Database} db - Database instance
  * @param {string} encryptionKey - Encryption key
+ * @param {Fetcher} fulfillment - fulfillment_worker service binding (serviceability check)
+ * @param {string} apiKey - Inter-worker API key
  * @returns {Promise<Object>} Updated profile
  */
-export async function updateSavedAddress(userId, addressId, updates, db, encryptionKey) {
+export async function updateSavedAddress(userId, addressId, updates, db, encryptionKey, fulfillment = null, apiKey = null) {
   const user = await getUserById(db, userId);
   if (!user) {
     throw new NotFoundError('User');
   }
 
   // Decrypt existing data
-  const existingData = JSON.parse(decrypt(user.data, encryptionKey));
+  const existingData = JSON.parse(await decrypt(user.data, encryptionKey, user.user_id));
 
   // Initialize savedAddresses array if it doesn't exist
   if (!existingData.savedAddresses) {
@@ -168,13 +215,12 @@ export async function updateSavedAddress(userId, addressId, updates, db, encrypt
   }
 
   existingData.savedAddresses[addressIndex] = {
-    ...existingData.savedAddresses[addressIndex],
-    ...updates,
+    ...await prepareSavedAddress({ ...existingData.savedAddresses[addressIndex], ...updates }, fulfillment, apiKey),
     updatedAt: new Date().toISOString(),
   };
 
   // Re-encrypt
-  const encryptedData = encrypt(JSON.stringify(existingData), encryptionKey);
+  const encryptedData = await encrypt(JSON.stringify(existingData), encryptionKey, userId);
 
   // Update in database
   const success = await updateUser(db, userId, encryptedData);
@@ -183,10 +229,11 @@ export async function updateSavedAddress(userId, addressId, updates, db, encrypt
   }
 
   // Return updated profile (without password)
-  const { password, ...profileData } = existingData;
+  const profileData = toPublicProfile(existingData);
   return {
     userId,
     ...profileData,
+    ...await getUserAccess(userId, db),
     updatedAt: new Date().toISOString(),
   };
 }
@@ -206,7 +253,7 @@ export async function deleteSavedAddress(userId, addressId, db, encryptionKey) {
   }
 
   // Decrypt existing data
-  const existingData = JSON.parse(decrypt(user.data, encryptionKey));
+  const existingData = JSON.parse(await decrypt(user.data, encryptionKey, user.user_id));
 
   // Initialize savedAddresses array if it doesn't exist
   if (!existingData.savedAddresses) {
@@ -222,7 +269,7 @@ export async function deleteSavedAddress(userId, addressId, db, encryptionKey) {
   }
 
   // Re-encrypt
-  const encryptedData = encrypt(JSON.stringify(existingData), encryptionKey);
+  const encryptedData = await encrypt(JSON.stringify(existingData), encryptionKey, userId);
 
   // Update in database
   const success = await updateUser(db, userId, encryptedData);
@@ -231,10 +278,11 @@ export async function deleteSavedAddress(userId, addressId, db, encryptionKey) {
   }
 
   // Return updated profile (without password)
-  const { password, ...profileData } = existingData;
+  const profileData = toPublicProfile(existingData);
   return {
     userId,
     ...profileData,
+    ...await getUserAccess(userId, db),
     updatedAt: new Date().toISOString(),
   };
 }
@@ -249,25 +297,13 @@ export async function deleteSavedAddress(userId, addressId, db, encryptionKey) {
  * @returns {Promise<boolean>} True if updated
  */
 export async function updatePassword(userId, newPassword, db, encryptionKey) {
-  const { getUserById, updateUser } = await import('../models/userModel.js');
-  const { encrypt, decrypt } = await import('../../shared/utils/encryption.js');
-  
-  // Import hashPassword function
-  async function hashPassword(password) {
-    const encoder = new TextEncoder();
-    const data = encoder.encode(password);
-    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-  }
-  
   const user = await getUserById(db, userId);
   if (!user) {
     throw new NotFoundError('User');
   }
 
   // Decrypt existing data
-  const existingData = JSON.parse(decrypt(user.data, encryptionKey));
+  const existingData = JSON.parse(await decrypt(user.data, encryptionKey, user.user_id));
 
   // Hash the new password
   const hashedPassword = await hashPassword(newPassword);
@@ -279,7 +315,7 @@ export async function updatePassword(userId, newPassword, db, encryptionKey) {
   };
 
   // Re-encrypt
-  const encryptedData = encrypt(JSON.stringify(updatedData), encryptionKey);
+  const encryptedData = await encrypt(JSON.stringify(updatedData), encryptionKey, userId);
 
   // Update in database
   const success = await updateUser(db, userId, encryptedData);
@@ -308,10 +344,10 @@ export async function getProfilesBatch(userIds, db, encryptionKey) {
   for (const user of users) {
     try {
       // Decrypt user data
-      const decryptedData = JSON.parse(decrypt(user.data, encryptionKey));
+      const decryptedData = JSON.parse(await decrypt(user.data, encryptionKey, user.user_id));
 
       // Remove sensitive data before returning
-      const { password, ...profileData } = decryptedData;
+      const profileData = toPublicProfile(decryptedData);
 
       profiles.push({
         userId: user.user_id,
@@ -0,0 +1,122 @@
+/**
+ * Role service
+ * Assigns and revokes admin roles; the permissions each role grants live in shared/utils/permissions.js
+ */
+
+import { getUserById } from '../models/userModel.js';
+import {
+  getUserRoles,
+  getUserRoleAssignments,
+  addUserRole,
+  removeUserRole,
+  countUsersWithRole,
+} from '../models/roleModel.js';
+import { ROLES, SUPER_ADMIN_ROLE, isValidRole, getPermissionsForRoles } from '../../shared/utils/permissions.js';
+import { ConflictError, NotFoundError, ValidationError } from '../../shared/utils/errors.js';
+
+/**
+ * List every role with its description and permissions
+ * @returns {Object[]} Role definitions
+ */
+export function listRoleDefinitions() {
+  return Object.entries(ROLES).map(([role, definition]) => ({
+    role,
+    description: definition.description,
+    permissions: definition.permissions,
+  }));
+}
+
+/**
+ * Get the roles and resulting permissions of a user (added to profiles)
+ * @param {string} userId - User ID
+ * @param {D1Database} db - Database instance
+ * @returns {Promise<Object>} { isAdmin, roles, permissions }
+ */
+export async function getUserAccess(userId, db) {
+  const roles = await getUserRoles(db, userId);
+  return {
+    isAdmin: roles.length > 0,
+    roles,
+    permissions: getPermissionsForRoles(roles),
+  };
+}
+
+/**
+ * Get role assignments of a user
+ * @param {string} userId - User ID
+ * @param {D1Database} db - Database instance
+ * @returns {Promise<Object>} { userId, roles: [{ role, grantedBy, grantedAt }], permissions }
+ */
+export async function getUserRoleDetails(userId, db) {
+  const user = await getUserById(db, userId);
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+
+  const assignments = await getUserRoleAssignments(db, userId);
+  return {
+    userId,
+    roles: assignments.map(assignment => ({
+      role: assignment.role,
+      grantedBy: assignment.granted_by,
+      grantedAt: assignment.granted_at,
+    })),
+    permissions: getPermissionsForRoles(assignments.map(assignment => assignment.role)),
+  };
+}
+
+/**
+ * Assign a role to a user
+ * @param {string} userId - User receiving the role
+ * @param {string} role - Role name
+ * @param {string} grantedBy - Admin user ID
+ * @param {D1Database} db - Database instance
+ * @returns {Promise<Object>} Updated role details
+ */
+export async function assignRole(userId, role, grantedBy, db) {
+  if (!isValidRole(role)) {
+    throw new ValidationError(`Unknown role: ${role}`);
+  }
+
+  const user = await getUserById(db, userId);
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+
+  const added = await addUserRole(db, userId, role, grantedBy);
+  if (!added) {
+    throw new ConflictError('User already has this role');
+  }
+
+  return await getUserRoleDetails(userId, db);
+}
+
+/**
+ * Revoke a role from a user
+ * The last super admin cannot be removed, otherwise nobody could assign roles again
+ * @param {string} userId - User losing the role
+ * @param {string} role - Role name
+ * @param {D1Database} db - Database instance
+ * @returns {Promise<Object>} Updated role details
+ */
+export async function revokeRole(userId, role, db) {
+  if (!isValidRole(role)) {
+    throw new ValidationError(`Unknown role: ${role}`);
+  }
+
+  const roles = await getUserRoles(db, userId);
+  if (!roles.includes(role)) {
+    throw new NotFoundError('Role assignment');
+  }
+
+  if (role === SUPER_ADMIN_ROLE && await countUsersWithRole(db, SUPER_ADMIN_ROLE) <= 1) {
+    throw new ConflictError('Cannot revoke the last super admin');
+  }
+
+  const removed = await removeUserRole(db, userId, role);
+  if (!removed) {
+    throw new NotFoundError('Role assignment');
+  }
+
+  return await getUserRoleDetails(userId, db);
+}
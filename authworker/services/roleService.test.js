@@ -0,0 +1,147 @@
+/**
+ * Tests for roleService
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import {
+  listRoleDefinitions,
+  getUserAccess,
+  assignRole,
+  revokeRole,
+} from './roleService.js';
+import { createMockD1WithSequence } from '../../test/setup.js';
+import { ConflictError, NotFoundError, ValidationError } from '../../shared/utils/errors.js';
+import { PERMISSIONS } from '../../shared/utils/permissions.js';
+
+const user = { user_id: 'user-1', data: 'encrypted' };
+
+describe('roleService', () => {
+  describe('listRoleDefinitions', () => {
+    it('should describe every role', () => {
+      const roles = listRoleDefinitions();
+
+      expect(roles.map(r => r.role)).to.include.members([
+        'catalog_manager',
+        'pricing_manager',
+        'warehouse_operator',
+        'support_agent',
+        'super_admin',
+      ]);
+      expect(roles.every(r => r.description && r.permissions.length > 0)).to.be.true;
+    });
+  });
+
+  describe('getUserAccess', () => {
+    it('should resolve permissions from assigned roles', async () => {
+      const db = createMockD1WithSequence([
+        { all: { results: [{ role: 'pricing_manager' }] } },
+      ]);
+
+      const access = await getUserAccess('user-1', db);
+
+      expect(access.isAdmin).to.be.true;
+      expect(access.roles).to.deep.equal(['pricing_manager']);
+      expect(access.permissions).to.include(PERMISSIONS.PRICES_WRITE);
+    });
+
+    it('should report non-admin users without roles', async () => {
+      const db = createMockD1WithSequence([]);
+
+      const access = await getUserAccess('user-1', db);
+
+      expect(access).to.deep.equal({ isAdmin: false, roles: [], permissions: [] });
+    });
+  });
+
+  describe('assignRole', () => {
+    it('should assign a role and return the updated assignments', async () => {
+      const db = createMockD1WithSequence([
+        { first: user },
+        { run: { success: true, meta: { changes: 1 } } },
+        { first: user },
+        { all: { results: [{ user_id: 'user-1', role: 'catalog_manager', granted_by: 'admin-1', granted_at: '2024-01-01T00:00:00Z' }] } },
+      ]);
+
+      const result = await assignRole('user-1', 'catalog_manager', 'admin-1', db);
+
+      expect(result.roles).to.deep.equal([
+        { role: 'catalog_manager', grantedBy: 'admin-1', grantedAt: '2024-01-01T00:00:00Z' },
+      ]);
+      expect(result.permissions).to.include(PERMISSIONS.PRODUCTS_WRITE);
+    });
+
+    it('should reject unknown roles', async () => {
+      try {
+        await assignRole('user-1', 'owner', 'admin-1', createMockD1WithSequence([]));
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+      }
+    });
+
+    it('should throw NotFoundError for unknown users', async () => {
+      try {
+        await assignRole('missing', 'support_agent', 'admin-1', createMockD1WithSequence([{ first: null }]));
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(NotFoundError);
+      }
+    });
+
+    it('should throw ConflictError when the role is already assigned', async () => {
+      const db = createMockD1WithSequence([
+        { first: user },
+        { run: { success: true, meta: { changes: 0 } } },
+      ]);
+
+      try {
+        await assignRole('user-1', 'support_agent', 'admin-1', db);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ConflictError);
+      }
+    });
+  });
+
+  describe('revokeRole', () => {
+    it('should revoke an assigned role', async () => {
+      const db = createMockD1WithSequence([
+        { all: { results: [{ role: 'support_agent' }] } },
+        { run: { success: true, meta: { changes: 1 } } },
+        { first: user },
+        { all: { results: [] } },
+      ]);
+
+      const result = await revokeRole('user-1', 'support_agent', db);
+
+      expect(result.roles).to.deep.equal([]);
+    });
+
+    it('should throw NotFoundError when the user does not hold the role', async () => {
+      const db = createMockD1WithSequence([{ all: { results: [] } }]);
+
+      try {
+        await revokeRole('user-1', 'support_agent', db);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(NotFoundError);
+      }
+    });
+
+    it('should refuse to revoke the last super admin', async () => {
+      const db = createMockD1WithSequence([
+        { all: { results: [{ role: 'super_admin' }] } },
+        { first: { count: 1 } },
+      ]);
+
+      try {
+        await revokeRole('user-1', 'super_admin', db);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ConflictError);
+        expect(error.message).to.include('last super admin');
+      }
+    });
+  });
+});
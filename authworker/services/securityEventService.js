@@ -0,0 +1,151 @@
+/**
+ * Security event service
+ * Queryable audit trail of logins, token refreshes, password and address changes, role changes and
+ * admin actions. Controllers record events next to their sendLog calls; the log worker keeps the
+ * free-form messages, this table keeps who did what, from where, and whether it worked.
+ */
+
+import { createSecurityEvent, searchSecurityEvents, getUserSecurityEvents } from '../models/securityEventModel.js';
+import { getClientInfo } from '../../shared/utils/requestInfo.js';
+
+export const SECURITY_EVENTS = {
+  LOGIN: 'login',
+  LOGIN_TWO_FACTOR: 'login_2fa',
+  OAUTH_LOGIN: 'oauth_login',
+  LOGOUT: 'logout',
+  TOKEN_REFRESH: 'token_refresh',
+  PASSWORD_CHANGED: 'password_changed',
+  PASSWORD_RESET: 'password_reset',
+  ADDRESS_ADDED: 'address_added',
+  ADDRESS_UPDATED: 'address_updated',
+  ADDRESS_DELETED: 'address_deleted',
+  TWO_FACTOR_ENABLED: 'two_factor_enabled',
+  TWO_FACTOR_DISABLED: 'two_factor_disabled',
+  SESSION_REVOKED: 'session_revoked',
+  API_TOKEN_CREATED: 'api_token_created',
+  API_TOKEN_REVOKED: 'api_token_revoked',
+  ROLE_ASSIGNED: 'role_assigned',
+  ROLE_REVOKED: 'role_revoked',
+  PERMISSION_DENIED: 'permission_denied',
+  USER_SUSPENDED: 'user_suspended',
+  USER_UNSUSPENDED: 'user_unsuspended',
+  USER_FORCED_LOGOUT: 'user_forced_logout',
+  USER_PASSWORD_RESET_SENT: 'user_password_reset_sent',
+  KEY_ROTATION: 'key_rotation',
+};
+
+export const SECURITY_EVENT_OUTCOMES = {
+  SUCCESS: 'success',
+  FAILURE: 'failure',
+  BLOCKED: 'blocked', // Refused before credentials were checked (rate limit, suspension)
+};
+
+// Shown to users as their recent account activity (token refreshes are too noisy, admin internals are not theirs)
+const ACCOUNT_ACTIVITY_EVENTS = [
+  SECURITY_EVENTS.LOGIN,
+  SECURITY_EVENTS.LOGIN_TWO_FACTOR,
+  SECURITY_EVENTS.OAUTH_LOGIN,
+  SECURITY_EVENTS.LOGOUT,
+  SECURITY_EVENTS.PASSWORD_CHANGED,
+  SECURITY_EVENTS.PASSWORD_RESET,
+  SECURITY_EVENTS.ADDRESS_ADDED,
+  SECURITY_EVENTS.ADDRESS_UPDATED,
+  SECURITY_EVENTS.ADDRESS_DELETED,
+  SECURITY_EVENTS.TWO_FACTOR_ENABLED,
+  SECURITY_EVENTS.TWO_FACTOR_DISABLED,
+  SECURITY_EVENTS.SESSION_REVOKED,
+  SECURITY_EVENTS.API_TOKEN_CREATED,
+  SECURITY_EVENTS.API_TOKEN_REVOKED,
+  SECURITY_EVENTS.USER_SUSPENDED,
+  SECURITY_EVENTS.USER_UNSUSPENDED,
+  SECURITY_EVENTS.USER_FORCED_LOGOUT,
+];
+
+export const ACCOUNT_ACTIVITY_LIMIT = 20;
+
+/**
+ * Record a security event
+ * Never throws: a failed audit write is logged and must not fail the login or change it describes
+ * @param {D1Database} db - Database instance
+ * @param {Request} request - Request that caused the event (IP and user agent are taken from it)
+ * @param {Object} event - { type, outcome, userId, actorId, metadata }; actorId defaults to userId
+ * @returns {Promise<Object|null>} Created event record, or null if it could not be written
+ */
+export async function recordSecurityEvent(db, request, { type, outcome = SECURITY_EVENT_OUTCOMES.SUCCESS, userId = null, actorId = userId, metadata = null }) {
+  try {
+    const { ipAddress, userAgent } = request ? getClientInfo(request) : {};
+    return await createSecurityEvent(db, {
+      eventType: type,
+      outcome,
+      userId,
+      actorId,
+      ipAddress: ipAddress || null,
+      userAgent: userAgent || null,
+      metadata,
+    });
+  } catch (error) {
+    console.error('[auth-worker] Failed to record security event:', type, error.message);
+    return null;
+  }
+}
+
+function toEvent(record) {
+  return {
+    eventId: record.event_id,
+    eventType: record.event_type,
+    outcome: record.outcome,
+    userId: record.user_id,
+    actorId: record.actor_id,
+    ipAddress: record.ip_address,
+    userAgent: record.user_agent,
+    metadata: record.metadata ? JSON.parse(record.metadata) : null,
+    createdAt: record.created_at,
+  };
+}
+
+/**
+ * Search the audit trail (admin)
+ * @param {Object} filters - { userId, actorId, eventType, outcome, ipAddress, from, to, page, limit }
+ * @param {D1Database} db - Database instance
+ * @returns {Promise<Object>} { events, pagination }
+ */
+export async function searchEvents(filters, db) {
+  const { page, limit } = filters;
+  const { events, total } = await searchSecurityEvents(db, {
+    ...filters,
+    from: filters.from ? new Date(filters.from).toISOString() : null,
+    to: filters.to ? new Date(filters.to).toISOString() : null,
+  }, limit, (page - 1) * limit);
+
+  const totalPages = Math.ceil(total / limit);
+  return {
+    events: events.map(toEvent),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages,
+      hasNext: page < totalPages,
+      hasPrev: page > 1,
+    },
+  };
+}
+
+/**
+ * Recent account activity shown to the user
+ * Metadata is left out; byAdmin marks actions an admin took on the account
+ * @param {string} userId - User ID
+ * @param {D1Database} db - Database instance
+ * @returns {Promise<Object[]>} Activity entries (newest first)
+ */
+export async function getAccountActivity(userId, db) {
+  const events = await getUserSecurityEvents(db, userId, ACCOUNT_ACTIVITY_LIMIT, ACCOUNT_ACTIVITY_EVENTS);
+  return events.map(record => ({
+    eventType: record.event_type,
+    outcome: record.outcome,
+    ipAddress: record.ip_address,
+    userAgent: record.user_agent,
+    byAdmin: Boolean(record.actor_id) && record.actor_id !== record.user_id,
+    createdAt: record.created_at,
+  }));
+}
@@ -0,0 +1,155 @@
+/**
+ * Tests for securityEventService
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import {
+  recordSecurityEvent,
+  searchEvents,
+  getAccountActivity,
+  SECURITY_EVENTS,
+  SECURITY_EVENT_OUTCOMES,
+  ACCOUNT_ACTIVITY_LIMIT,
+} from './securityEventService.js';
+import { createMockD1WithSequence, createMockRequest } from '../../test/setup.js';
+
+// Record bound arguments of every statement
+function recordBindings(db) {
+  const bindings = [];
+  const prepare = db.prepare;
+  db.prepare = (query) => {
+    const statement = prepare(query);
+    return {
+      ...statement,
+      bind: (...args) => {
+        bindings.push({ query, args });
+        return statement.bind(...args);
+      },
+    };
+  };
+  db._bindings = bindings;
+  return db;
+}
+
+const eventRow = (extra = {}) => ({
+  event_id: 'event-1',
+  event_type: 'login',
+  outcome: 'success',
+  user_id: 'user-1',
+  actor_id: 'user-1',
+  ip_address: '203.0.113.7',
+  user_agent: 'Mozilla/5.0',
+  metadata: JSON.stringify({ sessionId: 'session-1' }),
+  created_at: '2026-03-01T10:00:00.000Z',
+  ...extra,
+});
+
+describe('securityEventService', () => {
+  describe('recordSecurityEvent', () => {
+    it('should store actor, IP, user agent and outcome from the request', async () => {
+      const db = recordBindings(createMockD1WithSequence([{ run: { success: true, meta: { changes: 1 } } }]));
+      const request = createMockRequest('https://auth-worker.test/login', {
+        headers: { 'CF-Connecting-IP': '203.0.113.7', 'User-Agent': 'Mozilla/5.0' },
+      });
+
+      const event = await recordSecurityEvent(db, request, {
+        type: SECURITY_EVENTS.LOGIN,
+        userId: 'user-1',
+        metadata: { sessionId: 'session-1' },
+      });
+
+      expect(db._bindings[0].query).to.include('INSERT INTO security_events');
+      expect(db._bindings[0].args.slice(1, 8)).to.deep.equal([
+        'login',
+        'success',
+        'user-1',
+        'user-1', // actor defaults to the user
+        '203.0.113.7',
+        'Mozilla/5.0',
+        JSON.stringify({ sessionId: 'session-1' }),
+      ]);
+      expect(event.event_type).to.equal('login');
+    });
+
+    it('should keep an explicit admin actor', async () => {
+      const db = recordBindings(createMockD1WithSequence([{ run: { success: true, meta: { changes: 1 } } }]));
+
+      await recordSecurityEvent(db, null, {
+        type: SECURITY_EVENTS.USER_SUSPENDED,
+        userId: 'user-1',
+        actorId: 'admin-1',
+      });
+
+      expect(db._bindings[0].args.slice(3, 7)).to.deep.equal(['user-1', 'admin-1', null, null]);
+    });
+
+    it('should not throw when the event cannot be written', async () => {
+      const db = createMockD1WithSequence([{ run: { success: false } }]);
+
+      const event = await recordSecurityEvent(db, null, {
+        type: SECURITY_EVENTS.LOGIN,
+        outcome: SECURITY_EVENT_OUTCOMES.FAILURE,
+      });
+
+      expect(event).to.be.null;
+    });
+  });
+
+  describe('searchEvents', () => {
+    it('should filter, paginate and parse metadata', async () => {
+      const db = recordBindings(createMockD1WithSequence([
+        { first: { total: 51 } },
+        { all: { results: [eventRow()] } },
+      ]));
+
+      const result = await searchEvents({
+        userId: 'user-1',
+        outcome: 'failure',
+        from: new Date('2026-03-01T00:00:00Z'),
+        page: 2,
+        limit: 50,
+      }, db);
+
+      expect(db._bindings[0].query).to.include('WHERE user_id = ? AND outcome = ? AND created_at >= ?');
+      expect(db._bindings[0].args).to.deep.equal(['user-1', 'failure', '2026-03-01T00:00:00.000Z']);
+      expect(db._bindings[1].args.slice(-2)).to.deep.equal([50, 50]);
+      expect(result.events[0]).to.include({ eventId: 'event-1', eventType: 'login', ipAddress: '203.0.113.7' });
+      expect(result.events[0].metadata).to.deep.equal({ sessionId: 'session-1' });
+      expect(result.pagination).to.deep.equal({ page: 2, limit: 50, total: 51, totalPages: 2, hasNext: false, hasPrev: true });
+    });
+  });
+
+  describe('getAccountActivity', () => {
+    it('should return user-facing events without metadata and flag admin actions', async () => {
+      const db = recordBindings(createMockD1WithSequence([
+        {
+          all: {
+            results: [
+              eventRow({ event_type: 'user_forced_logout', actor_id: 'admin-1', metadata: null }),
+              eventRow({ outcome: 'failure', actor_id: null }),
+            ],
+          },
+        },
+      ]));
+
+      const activity = await getAccountActivity('user-1', db);
+
+      const { args } = db._bindings[0];
+      expect(args[0]).to.equal('user-1');
+      expect(args[args.length - 1]).to.equal(ACCOUNT_ACTIVITY_LIMIT);
+      expect(args).to.include('password_changed');
+      expect(args).to.not.include('token_refresh');
+      expect(args).to.not.include('role_assigned');
+      expect(activity[0]).to.deep.equal({
+        eventType: 'user_forced_logout',
+        outcome: 'success',
+        ipAddress: '203.0.113.7',
+        userAgent: 'Mozilla/5.0',
+        byAdmin: true,
+        createdAt: '2026-03-01T10:00:00.000Z',
+      });
+      expect(activity[1].byAdmin).to.be.false;
+    });
+  });
+});
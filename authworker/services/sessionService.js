@@ -0,0 +1,55 @@
+/**
+ * Session service
+ * Lets users see where they are logged in and end sessions remotely
+ */
+
+import { getUserSessions, deleteUserSession, deleteOtherUserSessions } from '../models/sessionModel.js';
+import { NotFoundError } from '../../shared/utils/errors.js';
+
+/**
+ * List active sessions of a user
+ * @param {string} userId - User ID
+ * @param {string} currentSessionId - Session making the request (flagged as current)
+ * @param {D1Database} db - Database instance
+ * @returns {Promise<Object[]>} Sessions
+ */
+export async function listSessions(userId, currentSessionId, db) {
+  const sessions = await getUserSessions(db, userId);
+
+  return sessions.map(session => ({
+    sessionId: session.session_id,
+    userAgent: session.user_agent,
+    ipAddress: session.ip_address,
+    twoFactorVerified: session.two_factor_verified === 1,
+    current: session.session_id === currentSessionId,
+    lastUsedAt: session.last_used_at || session.created_at,
+    createdAt: session.created_at,
+    expiresAt: session.expires_at,
+  }));
+}
+
+/**
+ * Revoke one of the user's sessions
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session to revoke
+ * @param {D1Database} db - Database instance
+ * @returns {Promise<boolean>} True if revoked
+ */
+export async function revokeSession(userId, sessionId, db) {
+  const revoked = await deleteUserSession(db, userId, sessionId);
+  if (!revoked) {
+    throw new NotFoundError('Session');
+  }
+  return true;
+}
+
+/**
+ * Revoke every session of the user except the current one
+ * @param {string} userId - User ID
+ * @param {string} currentSessionId - Session to keep
+ * @param {D1Database} db - Database instance
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export async function revokeOtherSessions(userId, currentSessionId, db) {
+  return await deleteOtherUserSessions(db, userId, currentSessionId);
+}
@@ -0,0 +1,92 @@
+/**
+ * Tests for sessionService
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { listSessions, revokeSession, revokeOtherSessions } from './sessionService.js';
+import { createMockD1WithSequence } from '../../test/setup.js';
+import { NotFoundError } from '../../shared/utils/errors.js';
+
+describe('sessionService', () => {
+  describe('listSessions', () => {
+    it('should map sessions and flag the current one', async () => {
+      const mockDb = createMockD1WithSequence([
+        {
+          all: {
+            results: [
+              {
+                session_id: 'session-1',
+                user_agent: 'Mozilla/5.0 (Macintosh)',
+                ip_address: '203.0.113.5',
+                two_factor_verified: 0,
+                last_used_at: '2024-01-02T00:00:00Z',
+                created_at: '2024-01-01T00:00:00Z',
+                expires_at: '2024-01-08T00:00:00Z',
+              },
+              {
+                session_id: 'session-2',
+                user_agent: null,
+                ip_address: null,
+                two_factor_verified: 1,
+                last_used_at: null,
+                created_at: '2024-01-01T00:00:00Z',
+                expires_at: '2024-01-08T00:00:00Z',
+              },
+            ],
+            success: true,
+          },
+        },
+      ]);
+
+      const sessions = await listSessions('user-id', 'session-2', mockDb);
+
+      expect(sessions).to.have.length(2);
+      expect(sessions[0]).to.deep.include({
+        sessionId: 'session-1',
+        userAgent: 'Mozilla/5.0 (Macintosh)',
+        ipAddress: '203.0.113.5',
+        current: false,
+        lastUsedAt: '2024-01-02T00:00:00Z',
+      });
+      expect(sessions[0]).to.not.have.property('refreshToken');
+      expect(sessions[1].current).to.be.true;
+      expect(sessions[1].twoFactorVerified).to.be.true;
+      // Sessions created before last_used_at existed fall back to created_at
+      expect(sessions[1].lastUsedAt).to.equal('2024-01-01T00:00:00Z');
+    });
+  });
+
+  describe('revokeSession', () => {
+    it('should revoke a session of the user', async () => {
+      const mockDb = createMockD1WithSequence([
+        { run: { success: true, meta: { changes: 1 } } },
+      ]);
+
+      expect(await revokeSession('user-id', 'session-1', mockDb)).to.be.true;
+    });
+
+    it('should throw NotFoundError for unknown sessions', async () => {
+      const mockDb = createMockD1WithSequence([
+        { run: { success: true, meta: { changes: 0 } } },
+      ]);
+
+      try {
+        await revokeSession('user-id', 'missing', mockDb);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(NotFoundError);
+      }
+    });
+  });
+
+  describe('revokeOtherSessions', () => {
+    it('should return number of revoked sessions', async () => {
+      const mockDb = createMockD1WithSequence([
+        { run: { success: true, meta: { changes: 3 } } },
+      ]);
+
+      expect(await revokeOtherSessions('user-id', 'current', mockDb)).to.equal(3);
+    });
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * Two-factor authentication service
+ * TOTP enrollment, recovery codes and second-factor verification
+ * Secrets live in the encrypted user data under `twoFactor`:
+ *   { enabled, secret, recoveryCodes (SHA-256 hashes), lastUsedStep, enabledAt } once enabled
+ *   { enabled: false, pendingSecret, pendingCreatedAt } while enrollment awaits confirmation
+ */
+
+import { getUserById, updateUser } from '../models/userModel.js';
+import { generateTotpSecret, verifyTotp, buildOtpauthUri } from '../utils/totp.js';
+import { generateSecureToken, hashToken } from '../utils/tokens.js';
+import { encrypt, decrypt } from '../../shared/utils/encryption.js';
+import { AuthenticationError, ConflictError, NotFoundError, ValidationError } from '../../shared/utils/errors.js';
+
+export const RECOVERY_CODE_COUNT = 10;
+export const DEFAULT_TOTP_ISSUER = 'Quick Gadgets';
+
+/**
+ * Check whether two-factor authentication is enabled
+ * @param {Object} userData - Decrypted user data
+ * @returns {boolean} True if enabled
+ */
+export function isTwoFactorEnabled(userData) {
+  return userData?.twoFactor?.enabled === true;
+}
+
+/**
+ * Load and decrypt a user
+ */
+async function loadUserData(userId, db, encryptionKey) {
+  const user = await getUserById(db, userId);
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+  return JSON.parse(await decrypt(user.data, encryptionKey, user.user_id));
+}
+
+/**
+ * Encrypt and save user data
+ */
+async function saveUserData(userId, userData, db, encryptionKey) {
+  const success = await updateUser(db, userId, await encrypt(JSON.stringify(userData), encryptionKey, userId));
+  if (!success) {
+    throw new Error('Failed to update two-factor settings');
+  }
+}
+
+/**
+ * Normalize recovery code input (case, dashes and spaces are ignored)
+ */
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+}
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {Promise<Object>} { codes: plain codes to show once, hashes: values to store }
+ */
+async function generateRecoveryCodes() {
+  const codes = [];
+  const hashes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = generateSecureToken(5);
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    hashes.push(await hashToken(raw));
+  }
+  return { codes, hashes };
+}
+
+/**
+ * Check a TOTP code or recovery code against enabled 2FA settings
+ * Mutates twoFactor (lastUsedStep / remaining recovery codes); caller must persist it
+ * @returns {Promise<string|null>} 'totp' or 'recovery' on success, null otherwise
+ */
+async function checkSecondFactor(twoFactor, credentials) {
+  if (credentials.code) {
+    const step = await verifyTotp(twoFactor.secret, credentials.code);
+    // Each code may only be used once, even within its validity window
+    if (step === null || (twoFactor.lastUsedStep !== undefined && step <= twoFactor.lastUsedStep)) {
+      return null;
+    }
+    twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  if (credentials.recoveryCode) {
+    const hash = await hashToken(normalizeRecoveryCode(credentials.recoveryCode));
+    const index = (twoFactor.recoveryCodes || []).indexOf(hash);
+    if (index === -1) {
+      return null;
+    }
+    twoFactor.recoveryCodes.splice(index, 1);
+    return 'recovery';
+  }
+
+  return null;
+}
+
+/**
+ * Start TOTP enrollment
+ * Generates a new secret that only becomes active after confirmTwoFactorSetup
+ * @param {string} userId - User ID
+ * @param {D1Database} db - Database instance
+ * @param {string} encryptionKey - Encryption key
+ * @param {string} issuer - Issuer shown in authenticator apps
+ * @returns {Promise<Object>} { secret, otpauthUri }
+ */
+export async function beginTwoFactorSetup(userId, db, encryptionKey, issuer = DEFAULT_TOTP_ISSUER) {
+  const userData = await loadUserData(userId, db, encryptionKey);
+  if (isTwoFactorEnabled(userData)) {
+    throw new ConflictError('Two-factor authentication is already enabled');
+  }
+
+  const secret = generateTotpSecret();
+  userData.twoFactor = {
+    enabled: false,
+    pendingSecret: secret,
+    pendingCreatedAt: new Date().toISOString(),
+  };
+  await saveUserData(userId, userData, db, encryptionKey);
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri(secret, userData.email, issuer),
+  };
+}
+
+/**
+ * Confirm TOTP enrollment with a code from the authenticator app
+ * @param {string} userId - User ID
+ * @param {string} code - 6-digit TOTP code
+ * @param {D1Database} db - Database instance
+ * @param {string} encryptionKey - Encryption key
+ * @returns {Promise<Object>} { recoveryCodes } - plain codes, shown to the user once
+ */
+export async function confirmTwoFactorSetup(userId, code, db, encryptionKey) {
+  const userData = await loadUserData(userId, db, encryptionKey);
+  if (isTwoFactorEnabled(userData)) {
+    throw new ConflictError('Two-factor authentication is already enabled');
+  }
+
+  const pendingSecret = userData.twoFactor?.pendingSecret;
+  if (!pendingSecret) {
+    throw new ValidationError('Two-factor setup has not been started');
+  }
+
+  const step = await verifyTotp(pendingSecret, code);
+  if (step === null) {
+    throw new ValidationError('Invalid two-factor code');
+  }
+
+  const { codes, hashes } = await generateRecoveryCodes();
+  userData.twoFactor = {
+    enabled: true,
+    secret: pendingSecret,
+    recoveryCodes: hashes,
+    lastUsedStep: step,
+    enabledAt: new Date().toISOString(),
+  };
+  await saveUserData(userId, userData, db, encryptionKey);
+
+  return { recoveryCodes: codes };
+}
+
+/**
+ * Verify the second factor for a user (login step, sensitive actions)
+ * @param {string} userId - User ID
+ * @param {Object} credentials - { code } or { recoveryCode }
+ * @param {D1Database} db - Database instance
+ * @param {string} encryptionKey - Encryption key
+ * @returns {Promise<Object>} { method, recoveryCodesRemaining, email }
+ */
+export async function verifySecondFactor(userId, credentials, db, encryptionKey) {
+  const userData = await loadUserData(userId, db, encryptionKey);
+  if (!isTwoFactorEnabled(userData)) {
+    throw new ValidationError('Two-factor authentication is not enabled');
+  }
+
+  const method = await checkSecondFactor(userData.twoFactor, credentials);
+  if (!method) {
+    throw new AuthenticationError('Invalid two-factor code');
+  }
+
+  await saveUserData(userId, userData, db, encryptionKey);
+
+  return {
+    method,
+    recoveryCodesRemaining: userData.twoFactor.recoveryCodes.length,
+    email: userData.email,
+  };
+}
+
+/**
+ * Replace all recovery codes (requires a valid second factor)
+ * @param {string} userId - User ID
+ * @param {Object} credentials - { code } or { recoveryCode }
+ * @param {D1Database} db - Database instance
+ * @param {string} encryptionKey - Encryption key
+ * @returns {Promise<Object>} { recoveryCodes }
+ */
+export async function regenerateRecoveryCodes(userId, credentials, db, encryptionKey) {
+  const userData = await loadUserData(userId, db, encryptionKey);
+  if (!isTwoFactorEnabled(userData)) {
+    throw new ValidationError('Two-factor authentication is not enabled');
+  }
+
+  if (!await checkSecondFactor(userData.twoFactor, credentials)) {
+    throw new AuthenticationError('Invalid two-factor code');
+  }
+
+  const { codes, hashes } = await generateRecoveryCodes();
+  userData.twoFactor.recoveryCodes = hashes;
+  await saveUserData(userId, userData, db, encryptionKey);
+
+  return { recoveryCodes: codes };
+}
+
+/**
+ * Disable two-factor authentication (requires a valid second factor)
+ * @param {string} userId - User ID
+ * @param {Object} credentials - { code } or { recoveryCode }
+ * @param {D1Database} db - Database instance
+ * @param {string} encryptionKey - Encryption key
+ * @returns {Promise<boolean>} True if disabled
+ */
+export async function disableTwoFactor(userId, credentials, db, encryptionKey) {
+  const userData = await loadUserData(userId, db, encryptionKey);
+  if (!isTwoFactorEnabled(userData)) {
+    throw new ValidationError('Two-factor authentication is not enabled');
+  }
+
+  if (!await checkSecondFactor(userData.twoFactor, credentials)) {
+    throw new AuthenticationError('Invalid two-factor code');
+  }
+
+  delete userData.twoFactor;
+  await saveUserData(userId, userData, db, encryptionKey);
+
+  return true;
+}
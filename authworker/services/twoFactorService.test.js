@@ -0,0 +1,226 @@
+/**
+ * Tests for twoFactorService
+ */
+
+import { describe, it, beforeEach } from 'mocha';
+import { expect } from 'chai';
+import {
+  isTwoFactorEnabled,
+  beginTwoFactorSetup,
+  confirmTwoFactorSetup,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  RECOVERY_CODE_COUNT,
+} from './twoFactorService.js';
+import { generateTotp, generateTotpSecret, getTimeStep } from '../utils/totp.js';
+import { hashToken } from '../utils/tokens.js';
+import { createMockEnv } from '../../test/setup.js';
+import { AuthenticationError, ConflictError, ValidationError } from '../../shared/utils/errors.js';
+import { encrypt, decrypt } from '../../shared/utils/encryption.js';
+
+/**
+ * Mock D1 holding a single user row; UPDATE statements replace its data
+ */
+async function createUserDb(userData, encryptionKey) {
+  const user = {
+    user_id: 'user-id',
+    data: await encrypt(JSON.stringify(userData), encryptionKey, 'user-id'),
+  };
+  return {
+    prepare: () => ({
+      bind: (...args) => ({
+        first: async () => user,
+        run: async () => {
+          user.data = args[0];
+          return { success: true, meta: { changes: 1 } };
+        },
+      }),
+    }),
+    read: async () => JSON.parse(await decrypt(user.data, encryptionKey, 'user-id')),
+  };
+}
+
+describe('twoFactorService', () => {
+  let mockEnv;
+
+  beforeEach(() => {
+    mockEnv = createMockEnv();
+  });
+
+  describe('isTwoFactorEnabled', () => {
+    it('should only be true once enrollment is confirmed', () => {
+      expect(isTwoFactorEnabled({})).to.be.false;
+      expect(isTwoFactorEnabled({ twoFactor: { enabled: false, pendingSecret: 'ABC' } })).to.be.false;
+      expect(isTwoFactorEnabled({ twoFactor: { enabled: true, secret: 'ABC' } })).to.be.true;
+    });
+  });
+
+  describe('beginTwoFactorSetup', () => {
+    it('should store a pending secret and return an otpauth URI', async () => {
+      const db = await createUserDb({ email: 'admin@example.com' }, mockEnv.ENCRYPTION_KEY);
+
+      const result = await beginTwoFactorSetup('user-id', db, mockEnv.ENCRYPTION_KEY);
+
+      expect(result.secret).to.match(/^[A-Z2-7]{32}$/);
+      expect(result.otpauthUri).to.include('otpauth://totp/');
+      expect(result.otpauthUri).to.include(`secret=${result.secret}`);
+      const stored = await db.read();
+      expect(stored.twoFactor.enabled).to.be.false;
+      expect(stored.twoFactor.pendingSecret).to.equal(result.secret);
+    });
+
+    it('should throw ConflictError when already enabled', async () => {
+      const db = await createUserDb({ email: 'admin@example.com', twoFactor: { enabled: true, secret: 'ABC' } }, mockEnv.ENCRYPTION_KEY);
+
+      try {
+        await beginTwoFactorSetup('user-id', db, mockEnv.ENCRYPTION_KEY);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ConflictError);
+      }
+    });
+  });
+
+  describe('confirmTwoFactorSetup', () => {
+    it('should enable 2FA and return hashed-at-rest recovery codes', async () => {
+      const secret = generateTotpSecret();
+      const db = await createUserDb({ email: 'admin@example.com', twoFactor: { enabled: false, pendingSecret: secret } }, mockEnv.ENCRYPTION_KEY);
+
+      const result = await confirmTwoFactorSetup('user-id', await generateTotp(secret), db, mockEnv.ENCRYPTION_KEY);
+
+      expect(result.recoveryCodes).to.have.length(RECOVERY_CODE_COUNT);
+      expect(result.recoveryCodes[0]).to.match(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+      const stored = await db.read();
+      expect(stored.twoFactor.enabled).to.be.true;
+      expect(stored.twoFactor.secret).to.equal(secret);
+      expect(stored.twoFactor).to.not.have.property('pendingSecret');
+      expect(stored.twoFactor.recoveryCodes).to.not.include(result.recoveryCodes[0]);
+    });
+
+    it('should reject an invalid code', async () => {
+      const secret = generateTotpSecret();
+      const db = await createUserDb({ twoFactor: { enabled: false, pendingSecret: secret } }, mockEnv.ENCRYPTION_KEY);
+
+      const wrongCode = (await generateTotp(secret)) === '000000' ? '111111' : '000000';
+
+      try {
+        await confirmTwoFactorSetup('user-id', wrongCode, db, mockEnv.ENCRYPTION_KEY);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+        expect((await db.read()).twoFactor.enabled).to.be.false;
+      }
+    });
+
+    it('should require setup to have been started', async () => {
+      const db = await createUserDb({ email: 'admin@example.com' }, mockEnv.ENCRYPTION_KEY);
+
+      try {
+        await confirmTwoFactorSetup('user-id', '123456', db, mockEnv.ENCRYPTION_KEY);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+        expect(error.message).to.include('not been started');
+      }
+    });
+  });
+
+  describe('verifySecondFactor', () => {
+    let secret;
+    let db;
+
+    beforeEach(async () => {
+      secret = generateTotpSecret();
+      db = await createUserDb({
+        email: 'admin@example.com',
+        twoFactor: {
+          enabled: true,
+          secret,
+          recoveryCodes: [await hashToken('aaaaabbbbb'), await hashToken('cccccddddd')],
+          lastUsedStep: getTimeStep() - 5,
+        },
+      }, mockEnv.ENCRYPTION_KEY);
+    });
+
+    it('should accept a current TOTP code once', async () => {
+      const code = await generateTotp(secret);
+
+      const result = await verifySecondFactor('user-id', { code }, db, mockEnv.ENCRYPTION_KEY);
+      expect(result.method).to.equal('totp');
+
+      try {
+        await verifySecondFactor('user-id', { code }, db, mockEnv.ENCRYPTION_KEY);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AuthenticationError);
+      }
+    });
+
+    it('should consume a recovery code (ignoring case and dashes)', async () => {
+      const result = await verifySecondFactor('user-id', { recoveryCode: 'AAAAA-BBBBB' }, db, mockEnv.ENCRYPTION_KEY);
+
+      expect(result).to.deep.equal({ method: 'recovery', recoveryCodesRemaining: 1, email: 'admin@example.com' });
+
+      try {
+        await verifySecondFactor('user-id', { recoveryCode: 'aaaaa-bbbbb' }, db, mockEnv.ENCRYPTION_KEY);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AuthenticationError);
+      }
+    });
+
+    it('should throw ValidationError when 2FA is not enabled', async () => {
+      db = await createUserDb({ email: 'user@example.com' }, mockEnv.ENCRYPTION_KEY);
+
+      try {
+        await verifySecondFactor('user-id', { code: '123456' }, db, mockEnv.ENCRYPTION_KEY);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+      }
+    });
+  });
+
+  describe('regenerateRecoveryCodes', () => {
+    it('should replace recovery codes after verifying a code', async () => {
+      const secret = generateTotpSecret();
+      const db = await createUserDb({
+        twoFactor: { enabled: true, secret, recoveryCodes: [await hashToken('aaaaabbbbb')] },
+      }, mockEnv.ENCRYPTION_KEY);
+
+      const result = await regenerateRecoveryCodes('user-id', { code: await generateTotp(secret) }, db, mockEnv.ENCRYPTION_KEY);
+
+      expect(result.recoveryCodes).to.have.length(RECOVERY_CODE_COUNT);
+      expect((await db.read()).twoFactor.recoveryCodes).to.not.include(await hashToken('aaaaabbbbb'));
+    });
+  });
+
+  describe('disableTwoFactor', () => {
+    it('should remove 2FA settings with a recovery code', async () => {
+      const db = await createUserDb({
+        email: 'admin@example.com',
+        twoFactor: { enabled: true, secret: generateTotpSecret(), recoveryCodes: [await hashToken('aaaaabbbbb')] },
+      }, mockEnv.ENCRYPTION_KEY);
+
+      const result = await disableTwoFactor('user-id', { recoveryCode: 'aaaaa-bbbbb' }, db, mockEnv.ENCRYPTION_KEY);
+
+      expect(result).to.be.true;
+      expect(await db.read()).to.not.have.property('twoFactor');
+    });
+
+    it('should keep 2FA when the code is wrong', async () => {
+      const db = await createUserDb({
+        twoFactor: { enabled: true, secret: generateTotpSecret(), recoveryCodes: [] },
+      }, mockEnv.ENCRYPTION_KEY);
+
+      try {
+        await disableTwoFactor('user-id', { recoveryCode: 'fffff-fffff' }, db, mockEnv.ENCRYPTION_KEY);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AuthenticationError);
+        expect((await db.read()).twoFactor.enabled).to.be.true;
+      }
+    });
+  });
+});
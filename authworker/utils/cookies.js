@@ -0,0 +1,87 @@
+/**
+ * Cookie utilities
+ * Session cookies are set on the shared workers.dev parent domain, so they must be expired with the same attributes
+ */
+
+/**
+ * Cookie attributes for cookies shared with the other workers (session and guest cookies)
+ * @param {Request} request - Incoming request (its URL and Origin decide Domain, Secure and SameSite)
+ * @returns {string} Attribute string, e.g. "Domain=.example.workers.dev; HttpOnly; Secure;SameSite=None; Path=/"
+ */
+export function buildCookieOptions(request) {
+  // Determine cookie settings based on origin
+  const origin = request.headers.get('Origin') || '';
+  const isSecure = request.url.startsWith('https://');
+  const isLocalhost = origin.includes('localhost') || origin.includes('127.0.0.1');
+  
+  // For cross-origin requests (localhost HTTP -> HTTPS workers.dev), we need SameSite=None
+  // But SameSite=None requires Secure, which won't work from HTTP localhost
+  // Solution: Use SameSite=None with Secure for localhost too (browsers allow this for localhost)
+  // OR: Don't use HttpOnly for localhost so frontend can read and store in localStorage
+  let secureFlag = '';
+  let sameSite = 'SameSite=None';
+  
+  if (isLocalhost) {
+    // For localhost development with cross-origin: use None with Secure
+    // Modern browsers allow Secure cookies from HTTP localhost for development
+    sameSite = 'SameSite=None';
+    secureFlag = 'Secure;'; // Required for SameSite=None, but browsers allow this for localhost
+  } else if (isSecure) {
+    // Production HTTPS: use None with Secure for cross-origin
+    sameSite = 'SameSite=None';
+    secureFlag = 'Secure;';
+  } else {
+    // HTTP (shouldn't happen in production): use Lax
+    sameSite = 'SameSite=Lax';
+    secureFlag = '';
+  }
+  
+  // Set cookies with proper flags
+  // For localhost: don't set Domain (browser will use request domain)
+  // For production: set Domain to share across worker subdomains
+  let domain = '';
+  if (!isLocalhost) {
+    try {
+      const url = new URL(request.url);
+      const hostname = url.hostname;
+      // Extract domain like .shyaamdps.workers.dev from auth-worker.shyaamdps.workers.dev
+      const parts = hostname.split('.');
+      if (parts.length >= 3) {
+        // Take last 3 parts: shyaamdps.workers.dev -> .shyaamdps.workers.dev
+        domain = `Domain=.${parts.slice(-3).join('.')}; `;
+      }
+    } catch (e) {
+      console.error('[auth-worker] Error extracting domain:', e.message);
+    }
+  }
+  
+  // Build cookie options string
+  // For localhost: HttpOnly; SameSite=Lax; Path=/
+  // For production: Domain=...; HttpOnly; Secure; SameSite=None; Path=/
+  let cookieOptions = '';
+  if (domain) {
+    cookieOptions += domain;
+  }
+  cookieOptions += 'HttpOnly; ';
+  if (secureFlag) {
+    cookieOptions += secureFlag;
+  }
+  cookieOptions += `${sameSite}; Path=/`;
+  
+  console.log('[auth-worker] Cookie options:', cookieOptions);
+  console.log('[auth-worker] Setting cookies with domain:', domain || 'none (localhost)');
+  return cookieOptions;
+}
+
+/**
+ * Expire the session cookies (access token, refresh token, session ID)
+ * Uses the attributes they were set with - a browser keeps a Domain cookie that is cleared without Domain
+ * @param {Response} response - Response to add Set-Cookie headers to
+ * @param {Request} request - Incoming request
+ */
+export function appendClearedSessionCookies(response, request) {
+  const cookieOptions = `${buildCookieOptions(request)}; Max-Age=0`;
+  response.headers.append('Set-Cookie', `accessToken=; ${cookieOptions}`);
+  response.headers.append('Set-Cookie', `refreshToken=; ${cookieOptions}`);
+  response.headers.append('Set-Cookie', `sessionId=; ${cookieOptions}`);
+}
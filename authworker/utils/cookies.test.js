@@ -0,0 +1,48 @@
+/**
+ * Tests for cookie utilities
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { buildCookieOptions, appendClearedSessionCookies } from './cookies.js';
+import { createMockRequest } from '../../test/setup.js';
+
+describe('cookies', () => {
+  describe('buildCookieOptions', () => {
+    it('should share cookies across worker subdomains in production', () => {
+      const request = createMockRequest('https://auth-worker.example.workers.dev/login', {
+        headers: { 'Origin': 'https://shop.pages.dev' },
+      });
+
+      const options = buildCookieOptions(request);
+
+      expect(options).to.include('Domain=.example.workers.dev;');
+      expect(options).to.include('Secure;');
+      expect(options).to.include('SameSite=None');
+    });
+
+    it('should not set Domain for localhost', () => {
+      const request = createMockRequest('https://auth-worker.example.workers.dev/login', {
+        headers: { 'Origin': 'http://localhost:5173' },
+      });
+
+      expect(buildCookieOptions(request)).to.not.include('Domain=');
+    });
+  });
+
+  describe('appendClearedSessionCookies', () => {
+    it('should expire every session cookie with the attributes it was set with', () => {
+      const request = createMockRequest('https://auth-worker.example.workers.dev/profile/delete');
+      const response = new Response(null);
+
+      appendClearedSessionCookies(response, request);
+
+      const cookies = response.headers.getSetCookie();
+      expect(cookies.map(cookie => cookie.split('=')[0])).to.deep.equal(['accessToken', 'refreshToken', 'sessionId']);
+      for (const cookie of cookies) {
+        expect(cookie).to.include('Domain=.example.workers.dev;');
+        expect(cookie).to.include('Max-Age=0');
+      }
+    });
+  });
+});
@@ -0,0 +1,320 @@
+/**
+ * OpenID Connect helpers (authorization code flow with PKCE)
+ * Providers are configured generically through env so any compliant issuer works,
+ * including a local mock issuer during development:
+ *   OIDC_PROVIDERS = '{"google": {"displayName": "Google", "issuer": "https://accounts.google.com", "clientId": "..."}}'
+ *   OIDC_GOOGLE_CLIENT_SECRET (secret)
+ * Endpoints are read from the issuer's discovery document unless set explicitly
+ * (authorizationEndpoint, tokenEndpoint, jwksUri)
+ */
+
+import { AuthenticationError, NotFoundError } from '../../shared/utils/errors.js';
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000; // 1 hour
+const CLOCK_SKEW_SECONDS = 60;
+const DEFAULT_SCOPES = 'openid email profile';
+
+// Discovery documents and JWKS, per isolate
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Encode bytes as base64url (no padding)
+ * @param {ArrayBuffer|Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64url string
+ */
+export function base64UrlEncode(bytes) {
+  const binary = String.fromCharCode(...new Uint8Array(bytes));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode base64url string to bytes
+ * @param {string} input - Base64url string
+ * @returns {Uint8Array} Decoded bytes
+ */
+export function base64UrlDecode(input) {
+  const base64 = input.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  return Uint8Array.from(atob(padded), char => char.charCodeAt(0));
+}
+
+/**
+ * Read configured providers from env
+ * @param {Object} env - Environment variables
+ * @returns {Object} Map of provider name to { name, displayName, issuer, clientId, clientSecret, scopes, ... }
+ */
+export function getOidcProviders(env) {
+  let config = {};
+  try {
+    config = env.OIDC_PROVIDERS ? JSON.parse(env.OIDC_PROVIDERS) : {};
+  } catch (error) {
+    console.error('[oidc] Invalid OIDC_PROVIDERS JSON:', error.message);
+    return {};
+  }
+
+  const providers = {};
+  for (const [name, provider] of Object.entries(config)) {
+    if (!provider?.issuer || !provider?.clientId) {
+      console.warn(`[oidc] Provider "${name}" needs issuer and clientId, skipping`);
+      continue;
+    }
+    providers[name] = {
+      ...provider,
+      name,
+      displayName: provider.displayName || name,
+      issuer: provider.issuer.replace(/\/$/, ''),
+      clientSecret: env[`OIDC_${name.toUpperCase()}_CLIENT_SECRET`] || provider.clientSecret || null,
+      scopes: provider.scopes || DEFAULT_SCOPES,
+    };
+  }
+  return providers;
+}
+
+/**
+ * Get one configured provider
+ * @param {Object} env - Environment variables
+ * @param {string} name - Provider name from the URL
+ * @returns {Object} Provider config
+ */
+export function getOidcProvider(env, name) {
+  const provider = getOidcProviders(env)[name];
+  if (!provider) {
+    throw new NotFoundError('Login provider');
+  }
+  return provider;
+}
+
+/**
+ * Resolve provider endpoints (explicit config wins over the discovery document)
+ * @param {Object} provider - Provider config
+ * @returns {Promise<Object>} { authorizationEndpoint, tokenEndpoint, jwksUri }
+ */
+export async function discoverProvider(provider) {
+  if (provider.authorizationEndpoint && provider.tokenEndpoint && provider.jwksUri) {
+    return {
+      authorizationEndpoint: provider.authorizationEndpoint,
+      tokenEndpoint: provider.tokenEndpoint,
+      jwksUri: provider.jwksUri,
+    };
+  }
+
+  const cached = discoveryCache.get(provider.issuer);
+  let document = cached && cached.expiresAt > Date.now() ? cached.document : null;
+
+  if (!document) {
+    const response = await fetch(`${provider.issuer}/.well-known/openid-configuration`, {
+      headers: { Accept: 'application/json' },
+    });
+    if (!response.ok) {
+      throw new Error(`OIDC discovery failed for ${provider.name}: ${response.status}`);
+    }
+    document = await response.json();
+    discoveryCache.set(provider.issuer, { document, expiresAt: Date.now() + DISCOVERY_TTL_MS });
+  }
+
+  return {
+    authorizationEndpoint: provider.authorizationEndpoint || document.authorization_endpoint,
+    tokenEndpoint: provider.tokenEndpoint || document.token_endpoint,
+    jwksUri: provider.jwksUri || document.jwks_uri,
+  };
+}
+
+/**
+ * Generate a PKCE code verifier (RFC 7636, 43 characters)
+ * @returns {string} Code verifier
+ */
+export function generateCodeVerifier() {
+  const bytes = new Uint8Array(32);
+  crypto.getRandomValues(bytes);
+  return base64UrlEncode(bytes);
+}
+
+/**
+ * Compute the S256 code challenge for a verifier
+ * @param {string} verifier - Code verifier
+ * @returns {Promise<string>} Code challenge
+ */
+export async function computeCodeChallenge(verifier) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+  return base64UrlEncode(digest);
+}
+
+/**
+ * Build the URL the browser is sent to for login at the provider
+ * @param {Object} provider - Provider config
+ * @param {Object} endpoints - Result of discoverProvider
+ * @param {Object} params - { redirectUri, state, nonce, codeChallenge }
+ * @returns {string} Authorization URL
+ */
+export function buildAuthorizationUrl(provider, endpoints, params) {
+  const url = new URL(endpoints.authorizationEndpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', provider.clientId);
+  url.searchParams.set('redirect_uri', params.redirectUri);
+  url.searchParams.set('scope', provider.scopes);
+  url.searchParams.set('state', params.state);
+  url.searchParams.set('nonce', params.nonce);
+  url.searchParams.set('code_challenge', params.codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  return url.toString();
+}
+
+/**
+ * Exchange an authorization code for tokens
+ * @param {Object} provider - Provider config
+ * @param {Object} endpoints - Result of discoverProvider
+ * @param {Object} params - { code, codeVerifier, redirectUri }
+ * @returns {Promise<Object>} Token response (id_token, access_token, ...)
+ */
+export async function exchangeAuthorizationCode(provider, endpoints, params) {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code: params.code,
+    redirect_uri: params.redirectUri,
+    client_id: provider.clientId,
+    code_verifier: params.codeVerifier,
+  });
+  if (provider.clientSecret) {
+    body.set('client_secret', provider.clientSecret);
+  }
+
+  const response = await fetch(endpoints.tokenEndpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json',
+    },
+    body: body.toString(),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => '');
+    console.error(`[oidc] Token exchange with ${provider.name} failed:`, response.status, errorText);
+    throw new AuthenticationError('Login with the provider failed. Please try again.');
+  }
+
+  const tokens = await response.json();
+  if (!tokens.id_token) {
+    throw new AuthenticationError('Provider did not return an ID token');
+  }
+  return tokens;
+}
+
+/**
+ * Get the provider's signing keys, refetching when a key ID is unknown (key rotation)
+ */
+async function getSigningKey(jwksUri, kid) {
+  const findKey = keys => keys.find(key => (kid ? key.kid === kid : true) && (!key.use || key.use === 'sig'));
+
+  let keys = jwksCache.get(jwksUri);
+  let key = keys ? findKey(keys) : null;
+
+  if (!key) {
+    const response = await fetch(jwksUri, { headers: { Accept: 'application/json' } });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch JWKS: ${response.status}`);
+    }
+    keys = (await response.json()).keys || [];
+    jwksCache.set(jwksUri, keys);
+    key = findKey(keys);
+  }
+
+  return key || null;
+}
+
+/**
+ * Verify a JWS signature with a JWK (RS256 or ES256)
+ */
+async function verifySignature(alg, jwk, signingInput, signature) {
+  const algorithms = {
+    RS256: {
+      importParams: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+      verifyParams: { name: 'RSASSA-PKCS1-v1_5' },
+    },
+    ES256: {
+      importParams: { name: 'ECDSA', namedCurve: 'P-256' },
+      verifyParams: { name: 'ECDSA', hash: 'SHA-256' },
+    },
+  };
+  const algorithm = algorithms[alg];
+  if (!algorithm) {
+    return false;
+  }
+
+  const key = await crypto.subtle.importKey('jwk', jwk, algorithm.importParams, false, ['verify']);
+  return await crypto.subtle.verify(algorithm.verifyParams, key, signature, new TextEncoder().encode(signingInput));
+}
+
+/**
+ * Verify an ID token and return its claims
+ * Checks signature (provider JWKS), issuer, audience, expiry and nonce
+ * @param {Object} provider - Provider config
+ * @param {Object} endpoints - Result of discoverProvider
+ * @param {string} idToken - ID token (JWT)
+ * @param {Object} options - { nonce: expected nonce }
+ * @returns {Promise<Object>} Claims
+ */
+export async function verifyIdToken(provider, endpoints, idToken, options = {}) {
+  const invalid = (reason) => {
+    console.warn(`[oidc] Rejected ID token from ${provider.name}: ${reason}`);
+    return new AuthenticationError('Invalid ID token from login provider');
+  };
+
+  const parts = String(idToken).split('.');
+  if (parts.length !== 3) {
+    throw invalid('malformed');
+  }
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(new TextDecoder().decode(base64UrlDecode(parts[0])));
+    claims = JSON.parse(new TextDecoder().decode(base64UrlDecode(parts[1])));
+  } catch {
+    throw invalid('malformed');
+  }
+
+  const jwk = await getSigningKey(endpoints.jwksUri, header.kid);
+  if (!jwk) {
+    throw invalid('unknown signing key');
+  }
+  if (!await verifySignature(header.alg, jwk, `${parts[0]}.${parts[1]}`, base64UrlDecode(parts[2]))) {
+    throw invalid(`bad signature (alg ${header.alg})`);
+  }
+
+  if (claims.iss !== provider.issuer) {
+    throw invalid('issuer mismatch');
+  }
+
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!audiences.includes(provider.clientId) || (audiences.length > 1 && claims.azp !== provider.clientId)) {
+    throw invalid('audience mismatch');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) {
+    throw invalid('expired');
+  }
+  if (typeof claims.iat === 'number' && claims.iat - CLOCK_SKEW_SECONDS > now) {
+    throw invalid('issued in the future');
+  }
+
+  if (options.nonce !== undefined && claims.nonce !== options.nonce) {
+    throw invalid('nonce mismatch');
+  }
+
+  if (!claims.sub) {
+    throw invalid('missing subject');
+  }
+
+  return claims;
+}
+
+/**
+ * Forget cached discovery documents and keys
+ */
+export function clearOidcCache() {
+  discoveryCache.clear();
+  jwksCache.clear();
+}
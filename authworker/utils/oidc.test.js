@@ -0,0 +1,215 @@
+/**
+ * Tests for OpenID Connect helpers
+ */
+
+import { describe, it, before, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import {
+  getOidcProviders,
+  getOidcProvider,
+  discoverProvider,
+  computeCodeChallenge,
+  generateCodeVerifier,
+  buildAuthorizationUrl,
+  exchangeAuthorizationCode,
+  verifyIdToken,
+  clearOidcCache,
+} from './oidc.js';
+import { AuthenticationError, NotFoundError } from '../../shared/utils/errors.js';
+import { createMockOidcIssuer } from '../../test/setup.js';
+
+describe('oidc', () => {
+  let issuer;
+  let provider;
+  let endpoints;
+  const originalFetch = global.fetch;
+
+  before(async () => {
+    issuer = await createMockOidcIssuer();
+  });
+
+  beforeEach(async () => {
+    clearOidcCache();
+    global.fetch = issuer.fetch;
+    provider = getOidcProvider({
+      OIDC_PROVIDERS: JSON.stringify({ mock: { issuer: issuer.issuer, clientId: issuer.clientId } }),
+    }, 'mock');
+    endpoints = await discoverProvider(provider);
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  describe('getOidcProviders', () => {
+    it('should read providers with client secrets from env', () => {
+      const providers = getOidcProviders({
+        OIDC_PROVIDERS: JSON.stringify({
+          google: { displayName: 'Google', issuer: 'https://accounts.google.com/', clientId: 'abc' },
+          broken: { clientId: 'missing-issuer' },
+        }),
+        OIDC_GOOGLE_CLIENT_SECRET: 'shh',
+      });
+
+      expect(Object.keys(providers)).to.deep.equal(['google']);
+      expect(providers.google).to.include({
+        name: 'google',
+        displayName: 'Google',
+        issuer: 'https://accounts.google.com',
+        clientSecret: 'shh',
+        scopes: 'openid email profile',
+      });
+    });
+
+    it('should return no providers for missing or invalid config', () => {
+      expect(getOidcProviders({})).to.deep.equal({});
+      expect(getOidcProviders({ OIDC_PROVIDERS: 'not json' })).to.deep.equal({});
+    });
+
+    it('should throw NotFoundError for an unknown provider', () => {
+      expect(() => getOidcProvider({}, 'nope')).to.throw(NotFoundError);
+    });
+  });
+
+  describe('discoverProvider', () => {
+    it('should read endpoints from the discovery document once', async () => {
+      const discoveryCalls = () => issuer._getRequests()
+        .filter(r => r.url.endsWith('/.well-known/openid-configuration')).length;
+      const callsBefore = discoveryCalls();
+
+      const result = await discoverProvider(provider);
+
+      expect(result).to.deep.equal({
+        authorizationEndpoint: `${issuer.issuer}/authorize`,
+        tokenEndpoint: `${issuer.issuer}/token`,
+        jwksUri: `${issuer.issuer}/jwks`,
+      });
+      expect(discoveryCalls()).to.equal(callsBefore);
+    });
+
+    it('should prefer explicitly configured endpoints', async () => {
+      const result = await discoverProvider({
+        ...provider,
+        authorizationEndpoint: 'https://login.test/auth',
+        tokenEndpoint: 'https://login.test/token',
+        jwksUri: 'https://login.test/keys',
+      });
+
+      expect(result.tokenEndpoint).to.equal('https://login.test/token');
+    });
+  });
+
+  describe('PKCE', () => {
+    it('should compute the S256 challenge (RFC 7636 appendix B)', async () => {
+      expect(await computeCodeChallenge('dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk'))
+        .to.equal('E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM');
+    });
+
+    it('should generate URL-safe verifiers of 43 characters', () => {
+      const verifier = generateCodeVerifier();
+      expect(verifier).to.match(/^[A-Za-z0-9_-]{43}$/);
+      expect(generateCodeVerifier()).to.not.equal(verifier);
+    });
+  });
+
+  describe('authorization code flow', () => {
+    it('should build the authorization URL and exchange the code with the verifier', async () => {
+      const verifier = generateCodeVerifier();
+      const authorizationUrl = buildAuthorizationUrl(provider, endpoints, {
+        redirectUri: 'https://auth.test/oauth/mock/callback',
+        state: 'state-1',
+        nonce: 'nonce-1',
+        codeChallenge: await computeCodeChallenge(verifier),
+      });
+
+      const params = new URL(authorizationUrl).searchParams;
+      expect(params.get('response_type')).to.equal('code');
+      expect(params.get('code_challenge_method')).to.equal('S256');
+      expect(params.get('scope')).to.equal('openid email profile');
+
+      const code = issuer.authorize(authorizationUrl, { sub: 'subject-1' });
+      const tokens = await exchangeAuthorizationCode(provider, endpoints, {
+        code,
+        codeVerifier: verifier,
+        redirectUri: 'https://auth.test/oauth/mock/callback',
+      });
+
+      const claims = await verifyIdToken(provider, endpoints, tokens.id_token, { nonce: 'nonce-1' });
+      expect(claims.sub).to.equal('subject-1');
+    });
+
+    it('should fail the exchange with a wrong verifier', async () => {
+      const authorizationUrl = buildAuthorizationUrl(provider, endpoints, {
+        redirectUri: 'https://auth.test/oauth/mock/callback',
+        state: 'state-1',
+        nonce: 'nonce-1',
+        codeChallenge: await computeCodeChallenge(generateCodeVerifier()),
+      });
+      const code = issuer.authorize(authorizationUrl, { sub: 'subject-1' });
+
+      try {
+        await exchangeAuthorizationCode(provider, endpoints, {
+          code,
+          codeVerifier: generateCodeVerifier(),
+          redirectUri: 'https://auth.test/oauth/mock/callback',
+        });
+        expect.fail('Should have thrown AuthenticationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AuthenticationError);
+      }
+    });
+  });
+
+  describe('verifyIdToken', () => {
+    const expectRejected = async (idToken, options = { nonce: 'nonce-1' }) => {
+      try {
+        await verifyIdToken(provider, endpoints, idToken, options);
+        expect.fail('Should have thrown AuthenticationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(AuthenticationError);
+      }
+    };
+
+    it('should return claims of a valid token', async () => {
+      const idToken = await issuer.signIdToken({ sub: 'subject-1', nonce: 'nonce-1', email: 'a@example.com' });
+
+      const claims = await verifyIdToken(provider, endpoints, idToken, { nonce: 'nonce-1' });
+
+      expect(claims).to.include({ sub: 'subject-1', email: 'a@example.com' });
+    });
+
+    it('should reject a tampered payload', async () => {
+      const idToken = await issuer.signIdToken({ sub: 'subject-1', nonce: 'nonce-1' });
+      const [header, , signature] = idToken.split('.');
+      const forged = Buffer.from(JSON.stringify({
+        iss: issuer.issuer, aud: issuer.clientId, sub: 'admin', nonce: 'nonce-1', exp: Math.floor(Date.now() / 1000) + 300,
+      })).toString('base64url');
+
+      await expectRejected(`${header}.${forged}.${signature}`);
+    });
+
+    it('should reject unsigned tokens', async () => {
+      const idToken = await issuer.signIdToken({ sub: 'subject-1', nonce: 'nonce-1' }, { alg: 'none' });
+
+      await expectRejected(idToken);
+    });
+
+    it('should reject a wrong issuer, audience, nonce or an expired token', async () => {
+      await expectRejected(await issuer.signIdToken({ sub: 's', nonce: 'nonce-1', iss: 'https://evil.test' }));
+      await expectRejected(await issuer.signIdToken({ sub: 's', nonce: 'nonce-1', aud: 'other-client' }));
+      await expectRejected(await issuer.signIdToken({ sub: 's', nonce: 'other-nonce' }));
+      await expectRejected(await issuer.signIdToken({ sub: 's', nonce: 'nonce-1', exp: Math.floor(Date.now() / 1000) - 3600 }));
+    });
+
+    it('should reject tokens signed with an unknown key', async () => {
+      const otherIssuer = await createMockOidcIssuer({ issuer: issuer.issuer, clientId: issuer.clientId });
+      const idToken = await otherIssuer.signIdToken({ sub: 'subject-1', nonce: 'nonce-1' });
+
+      await expectRejected(idToken);
+    });
+
+    it('should reject malformed tokens', async () => {
+      await expectRejected('not-a-jwt');
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Password hashing with PBKDF2-SHA256 (WebCrypto)
+ * Hashes carry their own parameters: "pbkdf2-sha256$<iterations>$<salt>$<hash>" (base64url),
+ * so the iteration count can be raised later and old hashes still verify.
+ * Unsalted SHA-256 hex hashes from before this format still verify; login replaces them (see needsRehash).
+ */
+
+export const PASSWORD_ALGORITHM = 'pbkdf2-sha256';
+// Cloudflare Workers reject PBKDF2 above 100,000 iterations
+export const PBKDF2_ITERATIONS = 100000;
+const SALT_BYTES = 16;
+const HASH_BYTES = 32;
+const LEGACY_HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+function toBase64Url(bytes) {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(value) {
+  const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+async function pbkdf2(password, salt, iterations) {
+  const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, baseKey, HASH_BYTES * 8);
+  return new Uint8Array(bits);
+}
+
+async function sha256Hex(password) {
+  const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(password));
+  return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Compare without returning early on the first different byte
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
+
+/**
+ * Parse a stored password hash
+ * @param {string} storedHash - Stored hash
+ * @returns {Object|null} { algorithm, iterations, salt, hash } or null if the format is unknown
+ */
+export function parsePasswordHash(storedHash) {
+  if (typeof storedHash !== 'string') {
+    return null;
+  }
+  if (LEGACY_HASH_PATTERN.test(storedHash)) {
+    return { algorithm: 'sha256', hash: storedHash };
+  }
+
+  const [algorithm, iterations, salt, hash] = storedHash.split('$');
+  if (algorithm !== PASSWORD_ALGORITHM || !/^\d+$/.test(iterations || '') || !salt || !hash) {
+    return null;
+  }
+  return { algorithm, iterations: Number(iterations), salt: fromBase64Url(salt), hash: fromBase64Url(hash) };
+}
+
+/**
+ * Hash a password for storage
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} Hash string including algorithm, iterations and salt
+ */
+export async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const hash = await pbkdf2(password, salt, PBKDF2_ITERATIONS);
+  return `${PASSWORD_ALGORITHM}$${PBKDF2_ITERATIONS}$${toBase64Url(salt)}$${toBase64Url(hash)}`;
+}
+
+/**
+ * Verify a password against a stored hash (current or legacy format)
+ * @param {string} password - Plain text password
+ * @param {string} storedHash - Stored hash
+ * @returns {Promise<boolean>} True if match
+ */
+export async function verifyPassword(password, storedHash) {
+  const parsed = parsePasswordHash(storedHash);
+  if (!parsed || typeof password !== 'string') {
+    return false;
+  }
+
+  if (parsed.algorithm === 'sha256') {
+    const encoder = new TextEncoder();
+    return timingSafeEqual(encoder.encode(await sha256Hex(password)), encoder.encode(parsed.hash));
+  }
+
+  return timingSafeEqual(await pbkdf2(password, parsed.salt, parsed.iterations), parsed.hash);
+}
+
+/**
+ * Whether a stored hash should be replaced (legacy format or outdated parameters)
+ * @param {string} storedHash - Stored hash
+ * @returns {boolean} True if the password should be hashed again
+ */
+export function needsRehash(storedHash) {
+  const parsed = parsePasswordHash(storedHash);
+  return !parsed || parsed.algorithm !== PASSWORD_ALGORITHM || parsed.iterations !== PBKDF2_ITERATIONS;
+}
@@ -0,0 +1,62 @@
+/**
+ * Tests for password hashing
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { createHash } from 'node:crypto';
+import { hashPassword, verifyPassword, needsRehash, parsePasswordHash, PBKDF2_ITERATIONS } from './password.js';
+
+describe('password', () => {
+  describe('hashPassword', () => {
+    it('should store the algorithm, iterations and salt in the hash', async () => {
+      const hash = await hashPassword('Password123');
+      const parsed = parsePasswordHash(hash);
+
+      expect(hash.startsWith(`pbkdf2-sha256$${PBKDF2_ITERATIONS}$`)).to.be.true;
+      expect(parsed.salt).to.have.length(16);
+      expect(parsed.hash).to.have.length(32);
+    });
+
+    it('should salt every hash', async () => {
+      expect(await hashPassword('Password123')).to.not.equal(await hashPassword('Password123'));
+    });
+  });
+
+  describe('verifyPassword', () => {
+    it('should accept the right password only', async () => {
+      const hash = await hashPassword('Password123');
+
+      expect(await verifyPassword('Password123', hash)).to.be.true;
+      expect(await verifyPassword('Password124', hash)).to.be.false;
+    });
+
+    it('should use the iterations stored in the hash', async () => {
+      const hash = (await hashPassword('Password123')).replace(`$${PBKDF2_ITERATIONS}$`, '$1000$');
+
+      expect(await verifyPassword('Password123', hash)).to.be.false;
+    });
+
+    it('should verify legacy unsalted SHA-256 hashes', async () => {
+      const legacy = createHash('sha256').update('Password123').digest('hex');
+
+      expect(await verifyPassword('Password123', legacy)).to.be.true;
+      expect(await verifyPassword('wrong', legacy)).to.be.false;
+    });
+
+    it('should reject unknown formats', async () => {
+      expect(await verifyPassword('Password123', 'plaintext')).to.be.false;
+      expect(await verifyPassword('Password123', undefined)).to.be.false;
+    });
+  });
+
+  describe('needsRehash', () => {
+    it('should flag legacy hashes and outdated parameters', async () => {
+      const current = await hashPassword('Password123');
+
+      expect(needsRehash(current)).to.be.false;
+      expect(needsRehash(createHash('sha256').update('Password123').digest('hex'))).to.be.true;
+      expect(needsRehash(current.replace(`$${PBKDF2_ITERATIONS}$`, '$50000$'))).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,26 @@
+/**
+ * Helpers for secret tokens (password reset, email verification, rotated refresh tokens)
+ * Only the SHA-256 hash of a token is ever stored
+ */
+
+/**
+ * Generate a random URL-safe token
+ * @param {number} bytes - Number of random bytes (default: 32)
+ * @returns {string} Token as hex string
+ */
+export function generateSecureToken(bytes = 32) {
+  const buffer = new Uint8Array(bytes);
+  crypto.getRandomValues(buffer);
+  return Array.from(buffer).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hash a token for storage/lookup
+ * @param {string} token - Plain token
+ * @returns {Promise<string>} SHA-256 hash as hex string
+ */
+export async function hashToken(token) {
+  const data = new TextEncoder().encode(token);
+  const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,162 @@
+/**
+ * RFC 6238 TOTP helpers (HMAC-SHA1, 30 second steps, 6 digits)
+ * Compatible with Google Authenticator, Authy, 1Password, etc.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const TOTP_PERIOD_SECONDS = 30;
+export const TOTP_DIGITS = 6;
+
+/**
+ * Encode bytes as base32 (RFC 4648, no padding)
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base32 string
+ */
+export function base32Encode(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode base32 string (case-insensitive, ignores spaces and padding)
+ * @param {string} input - Base32 string
+ * @returns {Uint8Array} Decoded bytes
+ */
+export function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const output = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return new Uint8Array(output);
+}
+
+/**
+ * Generate a random TOTP secret
+ * @param {number} bytes - Secret length in bytes (default: 20, as recommended by RFC 4226)
+ * @returns {string} Base32 encoded secret
+ */
+export function generateTotpSecret(bytes = 20) {
+  const buffer = new Uint8Array(bytes);
+  crypto.getRandomValues(buffer);
+  return base32Encode(buffer);
+}
+
+/**
+ * Get the time step for a timestamp
+ * @param {number} timestamp - Unix time in milliseconds (default: now)
+ * @returns {number} Time step counter
+ */
+export function getTimeStep(timestamp = Date.now()) {
+  return Math.floor(timestamp / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * Generate the TOTP code for a time step
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} step - Time step counter
+ * @param {number} digits - Number of digits (default: 6)
+ * @returns {Promise<string>} Zero-padded code
+ */
+export async function generateTotp(secret, step = getTimeStep(), digits = TOTP_DIGITS) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    base32Decode(secret),
+    { name: 'HMAC', hash: 'SHA-1' },
+    false,
+    ['sign']
+  );
+
+  // 8-byte big-endian counter
+  const counter = new ArrayBuffer(8);
+  const view = new DataView(counter);
+  view.setUint32(0, Math.floor(step / 0x100000000));
+  view.setUint32(4, step >>> 0);
+
+  const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, counter));
+
+  // Dynamic truncation (RFC 4226 section 5.3)
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * Verify a TOTP code, allowing for clock drift
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { window: steps accepted either side (default: 1), timestamp }
+ * @returns {Promise<number|null>} Matching time step, or null if the code is invalid
+ */
+export async function verifyTotp(secret, code, options = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const window = options.window ?? 1;
+  const currentStep = getTimeStep(options.timestamp);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    if (await generateTotp(secret, step) === normalized) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build otpauth:// URI for authenticator apps (usually rendered as a QR code)
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} accountName - Account label (e.g. email)
+ * @param {string} issuer - Issuer name shown in the app
+ * @returns {string} otpauth URI
+ */
+export function buildOtpauthUri(secret, accountName, issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
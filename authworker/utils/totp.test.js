@@ -0,0 +1,107 @@
+/**
+ * Tests for TOTP helpers
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateTotp,
+  getTimeStep,
+  verifyTotp,
+  buildOtpauthUri,
+} from './totp.js';
+
+// RFC 6238 Appendix B test secret ("12345678901234567890" as ASCII)
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('totp', () => {
+  describe('base32', () => {
+    it('should round-trip bytes', () => {
+      const bytes = new TextEncoder().encode('12345678901234567890');
+      const encoded = base32Encode(bytes);
+
+      expect(encoded).to.equal(RFC_SECRET);
+      expect(Array.from(base32Decode(encoded))).to.deep.equal(Array.from(bytes));
+    });
+
+    it('should ignore case, spaces and padding when decoding', () => {
+      expect(Array.from(base32Decode('my======'))).to.deep.equal(Array.from(base32Decode('MY')));
+      expect(Array.from(base32Decode('gezd gnbv'))).to.deep.equal(Array.from(base32Decode('GEZDGNBV')));
+    });
+
+    it('should reject invalid characters', () => {
+      expect(() => base32Decode('ABC1')).to.throw('Invalid base32 character');
+    });
+  });
+
+  describe('generateTotpSecret', () => {
+    it('should generate a 160-bit base32 secret', () => {
+      const secret = generateTotpSecret();
+      expect(secret).to.match(/^[A-Z2-7]{32}$/);
+      expect(base32Decode(secret)).to.have.length(20);
+    });
+  });
+
+  describe('generateTotp', () => {
+    it('should match RFC 6238 SHA-1 test vectors', async () => {
+      const vectors = [
+        [59, '94287082'],
+        [1111111109, '07081804'],
+        [1111111111, '14050471'],
+        [1234567890, '89005924'],
+        [2000000000, '69279037'],
+      ];
+
+      for (const [seconds, expected] of vectors) {
+        const code = await generateTotp(RFC_SECRET, getTimeStep(seconds * 1000), 8);
+        expect(code).to.equal(expected);
+      }
+    });
+
+    it('should default to 6 digits', async () => {
+      const code = await generateTotp(RFC_SECRET, getTimeStep(59 * 1000));
+      expect(code).to.equal('287082');
+    });
+  });
+
+  describe('verifyTotp', () => {
+    const timestamp = 1111111111 * 1000;
+
+    it('should return the matching step for a valid code', async () => {
+      const step = getTimeStep(timestamp);
+      const code = await generateTotp(RFC_SECRET, step);
+
+      expect(await verifyTotp(RFC_SECRET, code, { timestamp })).to.equal(step);
+    });
+
+    it('should accept codes from adjacent steps within the window', async () => {
+      const step = getTimeStep(timestamp);
+      const previous = await generateTotp(RFC_SECRET, step - 1);
+
+      expect(await verifyTotp(RFC_SECRET, previous, { timestamp })).to.equal(step - 1);
+      expect(await verifyTotp(RFC_SECRET, previous, { timestamp, window: 0 })).to.be.null;
+    });
+
+    it('should reject wrong or malformed codes', async () => {
+      expect(await verifyTotp(RFC_SECRET, '000000', { timestamp, window: 0 })).to.be.null;
+      expect(await verifyTotp(RFC_SECRET, 'abc123', { timestamp })).to.be.null;
+      expect(await verifyTotp(RFC_SECRET, null, { timestamp })).to.be.null;
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    it('should build an otpauth URI with issuer and account label', () => {
+      const uri = buildOtpauthUri('ABCDEF', 'admin@example.com', 'Quick Gadgets');
+
+      expect(uri).to.match(/^otpauth:\/\/totp\/Quick%20Gadgets%3Aadmin%40example\.com\?/);
+      const params = new URL(uri).searchParams;
+      expect(params.get('secret')).to.equal('ABCDEF');
+      expect(params.get('issuer')).to.equal('Quick Gadgets');
+      expect(params.get('digits')).to.equal('6');
+      expect(params.get('period')).to.equal('30');
+    });
+  });
+});
@@ -0,0 +1,16 @@
+/**
+ * Admin user management validation schemas using JOI
+ */
+
+import Joi from 'joi';
+
+export const searchUsersSchema = Joi.object({
+  email: Joi.string().email().optional(), // Exact match (blind index)
+  status: Joi.string().valid('active', 'suspended').optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+export const suspendUserSchema = Joi.object({
+  reason: Joi.string().trim().max(500).allow('').optional(),
+});
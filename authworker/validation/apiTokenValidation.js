@@ -0,0 +1,24 @@
+/**
+ * Personal access token validation schemas using JOI
+ */
+
+import Joi from 'joi';
+import { ALL_API_TOKEN_SCOPES } from '../../shared/utils/apiTokens.js';
+
+export const createApiTokenSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required().messages({
+    'string.empty': 'Token name is required',
+    'any.required': 'Token name is required',
+  }),
+  scopes: Joi.array().items(Joi.string().valid(...ALL_API_TOKEN_SCOPES)).min(1).unique().required().messages({
+    'any.only': `Scopes must be from: ${ALL_API_TOKEN_SCOPES.join(', ')}`,
+    'array.min': 'At least one scope is required',
+  }),
+  expiresInDays: Joi.number().integer().min(1).max(365).default(90),
+});
+
+// Inter-worker: token presented to cart/orders worker
+export const verifyApiTokenSchema = Joi.object({
+  token: Joi.string().required(),
+  ipAddress: Joi.string().allow(null).optional(),
+});
@@ -23,7 +23,8 @@ export const signupSchema = Joi.object({
     city: Joi.string().min(1).required(),
     state: Joi.string().min(1).required(),
   }).optional(),
-  isAdmin: Joi.boolean().allow(true, false).default(false),
+  // Admin access is granted through roles, never at signup; accepted for old clients but dropped
+  isAdmin: Joi.any().strip(),
 });
 
 export const loginSchema = Joi.object({
@@ -31,3 +32,48 @@ export const loginSchema = Joi.object({
   password: Joi.string().required(),
 });
 
+
+export const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email({ tlds: { allow: false } }).required(),
+});
+
+export const resetPasswordSchema = Joi.object({
+  token: Joi.string().hex().length(64).required().messages({
+    'string.hex': 'Invalid reset token',
+    'string.length': 'Invalid reset token',
+  }),
+  password: Joi.string().min(8).required(),
+});
+
+export const verifyEmailSchema = Joi.object({
+  token: Joi.string().hex().length(64).required().messages({
+    'string.hex': 'Invalid verification token',
+    'string.length': 'Invalid verification token',
+  }),
+});
+
+const totpCode = Joi.string().pattern(/^\d{6}$/).messages({
+  'string.pattern.base': 'Two-factor code must be 6 digits',
+});
+
+export const twoFactorCodeSchema = Joi.object({
+  code: totpCode.required(),
+});
+
+// Either a TOTP code or a one-time recovery code
+export const twoFactorVerifySchema = Joi.object({
+  code: totpCode,
+  recoveryCode: Joi.string().trim().min(10).max(20),
+}).xor('code', 'recoveryCode');
+
+export const twoFactorLoginSchema = twoFactorVerifySchema.keys({
+  challengeToken: Joi.string().required(),
+});
+
+// One-time code from the OAuth callback redirect
+export const oauthCompleteSchema = Joi.object({
+  code: Joi.string().hex().length(64).required().messages({
+    'string.hex': 'Invalid login code',
+    'string.length': 'Invalid login code',
+  }),
+});
@@ -4,7 +4,7 @@
 
 import { describe, it } from 'mocha';
 import { expect } from 'chai';
-import { signupSchema, loginSchema } from './authValidation.js';
+import { signupSchema, loginSchema, forgotPasswordSchema, resetPasswordSchema, verifyEmailSchema, twoFactorVerifySchema, twoFactorLoginSchema } from './authValidation.js';
 
 describe('authValidation', () => {
   describe('signupSchema', () => {
@@ -110,15 +110,17 @@ describe('authValidation', () => {
       expect(error.details[0].path).to.include('pincode');
     });
     
-    it('should set default isAdmin to false', () => {
+    it('should drop isAdmin so users cannot make themselves admins', () => {
       const data = {
         email: 'test@example.com',
         password: 'password123',
         name: 'Test User',
+        isAdmin: true,
       };
       
-      const { value } = signupSchema.validate(data);
-      expect(value.isAdmin).to.be.false;
+      const { error, value } = signupSchema.validate(data);
+      expect(error).to.be.undefined;
+      expect(value).to.not.have.property('isAdmin');
     });
   });
   
@@ -164,5 +166,82 @@ describe('authValidation', () => {
       expect(error.details[0].path).to.include('password');
     });
   });
+  
+  describe('forgotPasswordSchema', () => {
+    it('should validate correct email', () => {
+      const { error } = forgotPasswordSchema.validate({ email: 'test@example.com' });
+      expect(error).to.be.undefined;
+    });
+    
+    it('should reject invalid email', () => {
+      const { error } = forgotPasswordSchema.validate({ email: 'invalid-email' });
+      expect(error).to.not.be.undefined;
+      expect(error.details[0].path).to.include('email');
+    });
+  });
+  
+  describe('resetPasswordSchema', () => {
+    const token = 'a'.repeat(64);
+    
+    it('should validate correct reset data', () => {
+      const { error } = resetPasswordSchema.validate({ token, password: 'newpassword123' });
+      expect(error).to.be.undefined;
+    });
+    
+    it('should reject malformed token', () => {
+      const { error } = resetPasswordSchema.validate({ token: 'not-a-token', password: 'newpassword123' });
+      expect(error).to.not.be.undefined;
+      expect(error.details[0].path).to.include('token');
+    });
+    
+    it('should reject short password', () => {
+      const { error } = resetPasswordSchema.validate({ token, password: 'short' });
+      expect(error).to.not.be.undefined;
+      expect(error.details[0].path).to.include('password');
+    });
+  });
+  
+  describe('verifyEmailSchema', () => {
+    it('should validate correct token', () => {
+      const { error } = verifyEmailSchema.validate({ token: 'b'.repeat(64) });
+      expect(error).to.be.undefined;
+    });
+    
+    it('should reject missing token', () => {
+      const { error } = verifyEmailSchema.validate({});
+      expect(error).to.not.be.undefined;
+      expect(error.details[0].path).to.include('token');
+    });
+  });
+  
+  describe('twoFactorVerifySchema', () => {
+    it('should accept a 6-digit code', () => {
+      const { error } = twoFactorVerifySchema.validate({ code: '123456' });
+      expect(error).to.be.undefined;
+    });
+    
+    it('should accept a recovery code', () => {
+      const { error } = twoFactorVerifySchema.validate({ recoveryCode: 'a1b2c-3d4e5' });
+      expect(error).to.be.undefined;
+    });
+    
+    it('should reject both or neither', () => {
+      expect(twoFactorVerifySchema.validate({}).error).to.not.be.undefined;
+      expect(twoFactorVerifySchema.validate({ code: '123456', recoveryCode: 'a1b2c-3d4e5' }).error).to.not.be.undefined;
+    });
+    
+    it('should reject malformed code', () => {
+      const { error } = twoFactorVerifySchema.validate({ code: '12345a' });
+      expect(error).to.not.be.undefined;
+      expect(error.message).to.include('6 digits');
+    });
+  });
+  
+  describe('twoFactorLoginSchema', () => {
+    it('should require challenge token', () => {
+      const { error } = twoFactorLoginSchema.validate({ code: '123456' });
+      expect(error).to.not.be.undefined;
+      expect(error.details[0].path).to.include('challengeToken');
+    });
+  });
 });
-
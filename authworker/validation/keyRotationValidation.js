@@ -0,0 +1,10 @@
+/**
+ * Key rotation validation schemas using JOI
+ */
+
+import Joi from 'joi';
+import { DEFAULT_BATCH_SIZE, MAX_BATCH_SIZE } from '../services/keyRotationService.js';
+
+export const runRotationSchema = Joi.object({
+  batchSize: Joi.number().integer().min(1).max(MAX_BATCH_SIZE).default(DEFAULT_BATCH_SIZE),
+});
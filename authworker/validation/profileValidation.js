@@ -51,18 +51,22 @@ export const addressSchema = Joi.object({
     'any.required': 'Street is required'
   }),
   area: Joi.string().allow('').optional(),
-  pincode: Joi.string().pattern(/^[1-9][0-9]{5}$/).required().messages({
+  pincode: Joi.string().replace(/[\s-]/g, '').pattern(/^[1-9][0-9]{5}$/).required().messages({
     'string.empty': 'Pincode is required',
     'string.pattern.base': 'Pincode must be a valid 6-digit Indian pincode',
     'any.required': 'Pincode is required'
   }),
-  city: Joi.string().min(1).required().messages({
-    'string.empty': 'City is required',
-    'any.required': 'City is required'
-  }),
-  state: Joi.string().min(1).required().messages({
-    'string.empty': 'State is required',
-    'any.required': 'State is required'
-  }),
+  // City and state may be left empty: they are filled in from the pincode (see normalizeAddressPincode)
+  city: Joi.string().trim().allow('').optional(),
+  state: Joi.string().trim().allow('').optional(),
 });
 
+
+// Account deletion: explicit confirmation plus the current password (accounts that have one)
+export const deleteAccountSchema = Joi.object({
+  confirm: Joi.string().valid('DELETE').required().messages({
+    'any.only': 'Type DELETE to confirm account deletion',
+    'any.required': 'Type DELETE to confirm account deletion'
+  }),
+  password: Joi.string().optional(),
+});
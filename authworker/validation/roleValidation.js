@@ -0,0 +1,12 @@
+/**
+ * Role validation schemas using JOI
+ */
+
+import Joi from 'joi';
+import { ROLES } from '../../shared/utils/permissions.js';
+
+export const assignRoleSchema = Joi.object({
+  role: Joi.string().valid(...Object.keys(ROLES)).required().messages({
+    'any.only': `Role must be one of: ${Object.keys(ROLES).join(', ')}`,
+  }),
+});
@@ -0,0 +1,18 @@
+/**
+ * Security event validation schemas using JOI
+ */
+
+import Joi from 'joi';
+import { SECURITY_EVENTS, SECURITY_EVENT_OUTCOMES } from '../services/securityEventService.js';
+
+export const searchSecurityEventsSchema = Joi.object({
+  userId: Joi.string().max(100).optional(),
+  actorId: Joi.string().max(100).optional(),
+  eventType: Joi.string().valid(...Object.values(SECURITY_EVENTS)).optional(),
+  outcome: Joi.string().valid(...Object.values(SECURITY_EVENT_OUTCOMES)).optional(),
+  ipAddress: Joi.string().max(45).optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().min(Joi.ref('from')).optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+});
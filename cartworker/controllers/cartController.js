@@ -5,14 +5,22 @@
 import * as cartService from '../services/cartService.js';
 import { validateApiKey, getWorkerBinding } from '../../shared/utils/interWorker.js';
 import { AuthenticationError, ValidationError } from '../../shared/utils/errors.js';
-import { addItemSchema, updateItemSchema } from '../validation/cartValidation.js';
+import { addItemSchema, updateItemSchema, mergeCartSchema } from '../validation/cartValidation.js';
 import { sendLog } from '../../shared/utils/logger.js';
+import { getCookieGuest, getRequestGuest, verifyGuestToken } from '../../shared/utils/guestAuth.js';
+import { isApiToken, authenticateApiToken } from '../../shared/utils/apiTokens.js';
 import jwt from 'jsonwebtoken';
 
 /**
  * Authentication middleware
+ * Accepts a browser session (access token) or a personal access token ("Bearer pat_...").
+ * requiredScopes only restrict personal access tokens; sessions have full access.
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment variables
+ * @param {string[]} requiredScopes - API token scopes the route needs (see shared/utils/apiTokens.js)
+ * @returns {Promise<Response|null>} Error response, or null to continue
  */
-export async function authenticate(request, env) {
+export async function authenticate(request, env, requiredScopes = []) {
   try {
     // Get access token from cookie or Authorization header (fallback)
     const cookies = request.headers.get('Cookie') || '';
@@ -47,6 +55,10 @@ export async function authenticate(request, env) {
       }
     }
 
+    if (isApiToken(accessToken)) {
+      return await authenticateApiToken(request, env, accessToken, requiredScopes);
+    }
+
     if (!accessToken) {
       console.log('[cart-worker] No access token found in cookies');
       console.log('[cart-worker] Cookie header:', cookies.substring(0, 100));
@@ -154,6 +166,19 @@ export async function authenticate(request, env) {
   }
 }
 
+/**
+ * Authentication middleware for routes open to guests
+ * Accepts a guest token (see shared/utils/guestAuth.js) or falls back to the user session check
+ */
+export async function authenticateCustomer(request, env, requiredScopes = []) {
+  const guest = getRequestGuest(request, env.ENCRYPTION_KEY);
+  if (guest) {
+    request.user = guest;
+    return null;
+  }
+  return await authenticate(request, env, requiredScopes);
+}
+
 /**
  * Health check
  */
@@ -240,6 +265,7 @@ export async function addItem(request, env, ctx = null) {
     await sendLog(logWorkerBindingOrUrl, 'debug', 'Adding item to cart', {
       userId: request.user.userId,
       productId: validatedValue.productId,
+      variantId: validatedValue.variantId || null,
       quantity: validatedValue.quantity,
       worker: 'cart-worker',
     }, apiKey, ctx);
@@ -449,6 +475,62 @@ export async function clearCart(request, env, ctx = null) {
   }
 }
 
+/**
+ * Merge the guest cart into the logged-in user's cart (called by the frontend right after login)
+ * The guest is taken from the body or the guest cookie; without one the user's cart is returned unchanged
+ */
+export async function mergeCart(request, env, ctx = null) {
+  const logWorkerBindingOrUrl = env.log_worker || env.LOG_WORKER_URL;
+  const apiKey = env.INTER_WORKER_API_KEY;
+  
+  const body = await request.json().catch(() => ({}));
+  const { error, value } = mergeCartSchema.validate(body || {});
+  if (error) {
+    throw new ValidationError(error.details[0].message, error.details);
+  }
+  
+  const guest = value.guestToken
+    ? verifyGuestToken(value.guestToken, env.ENCRYPTION_KEY)
+    : getCookieGuest(request, env.ENCRYPTION_KEY);
+  
+  if (!guest) {
+    const cart = await cartService.getOrCreateCart(request.user.userId, env.cart_db);
+    return new Response(
+      JSON.stringify({ cart, adjustments: [], merged: false }),
+      {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' },
+      }
+    );
+  }
+  
+  const result = await cartService.mergeGuestCart(
+    request.user.userId,
+    guest.userId,
+    env.cart_db,
+    env.catalog_worker, // Service binding for product details
+    env.pricing_worker, // Service binding
+    env.fulfillment_worker, // Service binding
+    apiKey
+  );
+  
+  await sendLog(logWorkerBindingOrUrl, 'event', 'Guest cart merged', {
+    userId: request.user.userId,
+    guestId: guest.guestId,
+    cartId: result.cart.cartId,
+    adjustments: result.adjustments.length,
+    worker: 'cart-worker',
+  }, apiKey, ctx);
+  
+  return new Response(
+    JSON.stringify({ ...result, merged: true }),
+    {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    }
+  );
+}
+
 /**
  * Clear cart by cart ID (inter-worker)
  */
@@ -511,3 +593,32 @@ export async function validateCart(request, env) {
   );
 }
 
+/**
+ * Export a user's carts (inter-worker, account data export)
+ */
+export async function exportUserData(request, env) {
+  const carts = await cartService.exportUserCarts(request.params.userId, env.cart_db);
+  
+  return new Response(
+    JSON.stringify({ carts }),
+    {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    }
+  );
+}
+
+/**
+ * Delete a user's carts (inter-worker, account deletion)
+ */
+export async function eraseUserData(request, env) {
+  const result = await cartService.eraseUserCarts(request.params.userId, env.cart_db);
+  
+  return new Response(
+    JSON.stringify(result),
+    {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    }
+  );
+}
@@ -54,6 +54,31 @@ describe('cartController', () => {
     });
   });
 
+  describe('authenticateCustomer', () => {
+    it('should accept a guest token', async () => {
+      const { generateGuestToken } = await import('../../shared/utils/guestAuth.js');
+      const guest = generateGuestToken(mockEnv.ENCRYPTION_KEY);
+      const request = createMockRequest('https://cart-worker.test/cart', {
+        headers: { Cookie: `guestToken=${guest.token}` }
+      });
+
+      const response = await cartController.authenticateCustomer(request, mockEnv);
+
+      expect(response).to.be.null;
+      expect(request.user).to.include({ userId: guest.userId, guest: true });
+    });
+
+    it('should fall back to the user session check', async () => {
+      const request = createMockRequest('https://cart-worker.test/cart', {
+        headers: {}
+      });
+
+      const response = await cartController.authenticateCustomer(request, mockEnv);
+
+      expect(response.status).to.equal(401);
+    });
+  });
+
   describe('healthCheck', () => {
     it('should return healthy status when database is accessible', async () => {
       const mockDb = createMockD1WithSequence([
@@ -299,6 +324,50 @@ describe('cartController', () => {
     });
   });
 
+  describe('mergeCart', () => {
+    const userCart = { cart_id: 'cart-123', user_id: 'user-123', items: JSON.stringify([]), total_price: 0 };
+
+    it('should return the user cart unchanged without a guest', async () => {
+      mockEnv.cart_db = createMockD1WithSequence([{ first: userCart }]);
+      const request = createMockRequest('https://cart-worker.test/cart/merge', { method: 'POST' });
+      request.user = { userId: 'user-123' };
+
+      const response = await cartController.mergeCart(request, mockEnv, null);
+      const data = await response.json();
+
+      expect(response.status).to.equal(200);
+      expect(data).to.include({ merged: false });
+      expect(data.cart.cartId).to.equal('cart-123');
+    });
+
+    it('should merge the cart of the guest cookie', async () => {
+      const { generateGuestToken } = await import('../../shared/utils/guestAuth.js');
+      const guest = generateGuestToken(mockEnv.ENCRYPTION_KEY);
+      const queries = [];
+      const mockDb = createMockD1WithSequence([
+        { first: null }, // guest cart
+        { first: userCart },
+      ]);
+      const prepare = mockDb.prepare;
+      mockDb.prepare = (query) => {
+        const statement = prepare(query);
+        return { ...statement, bind: (...args) => { queries.push(args); return statement.bind(...args); } };
+      };
+      mockEnv.cart_db = mockDb;
+      const request = createMockRequest('https://cart-worker.test/cart/merge', {
+        method: 'POST',
+        headers: { Cookie: `accessToken=abc; guestToken=${guest.token}` }
+      });
+      request.user = { userId: 'user-123' };
+
+      const response = await cartController.mergeCart(request, mockEnv, null);
+      const data = await response.json();
+
+      expect(data).to.include({ merged: true });
+      expect(queries[0]).to.deep.equal([guest.userId]);
+    });
+  });
+
   describe('clearCart', () => {
     it('should return 200 and clear cart', async () => {
       const cart = {
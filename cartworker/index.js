@@ -3,6 +3,7 @@ import { errorHandler } from '../shared/utils/errors.js';
 import { addCorsHeaders, handleOptions } from '../shared/utils/cors.js';
 import { validateApiKey } from '../shared/utils/interWorker.js';
 import { instrumentHandler, initRequestTrace, addTraceHeaders, createOtelConfig } from '../shared/utils/tracing.js';
+import { API_TOKEN_SCOPES } from '../shared/utils/apiTokens.js';
 import * as cartController from './controllers/cartController.js';
 
 const router = Router();
@@ -10,9 +11,9 @@ const router = Router();
 // Handle OPTIONS preflight
 router.options('*', handleOptions);
 
-// Protected routes (require authentication)
+// Cart routes (logged-in users or guests; personal access tokens need the listed scope)
 router.get('/cart', async (request, env) => {
-  const authResult = await cartController.authenticate(request, env);
+  const authResult = await cartController.authenticateCustomer(request, env, [API_TOKEN_SCOPES.CART_READ]);
   if (authResult instanceof Response) {
     return authResult; // Return error response if authentication failed
   }
@@ -20,7 +21,7 @@ router.get('/cart', async (request, env) => {
 });
 
 router.post('/cart/item', async (request, env, ctx) => {
-  const authResult = await cartController.authenticate(request, env);
+  const authResult = await cartController.authenticateCustomer(request, env, [API_TOKEN_SCOPES.CART_WRITE]);
   if (authResult instanceof Response) {
     return authResult;
   }
@@ -28,7 +29,7 @@ router.post('/cart/item', async (request, env, ctx) => {
 });
 
 router.put('/cart/item/:itemId', async (request, env, ctx) => {
-  const authResult = await cartController.authenticate(request, env);
+  const authResult = await cartController.authenticateCustomer(request, env, [API_TOKEN_SCOPES.CART_WRITE]);
   if (authResult instanceof Response) {
     return authResult;
   }
@@ -36,7 +37,7 @@ router.put('/cart/item/:itemId', async (request, env, ctx) => {
 });
 
 router.delete('/cart/item/:itemId', async (request, env, ctx) => {
-  const authResult = await cartController.authenticate(request, env);
+  const authResult = await cartController.authenticateCustomer(request, env, [API_TOKEN_SCOPES.CART_WRITE]);
   if (authResult instanceof Response) {
     return authResult;
   }
@@ -44,16 +45,27 @@ router.delete('/cart/item/:itemId', async (request, env, ctx) => {
 });
 
 router.delete('/cart', async (request, env, ctx) => {
-  const authResult = await cartController.authenticate(request, env);
+  const authResult = await cartController.authenticateCustomer(request, env, [API_TOKEN_SCOPES.CART_WRITE]);
   if (authResult instanceof Response) {
     return authResult;
   }
   return await cartController.clearCart(request, env, ctx);
 });
 
+// Guest cart merge (logged-in users only)
+router.post('/cart/merge', async (request, env, ctx) => {
+  const authResult = await cartController.authenticate(request, env, [API_TOKEN_SCOPES.CART_WRITE]);
+  if (authResult instanceof Response) {
+    return authResult;
+  }
+  return await cartController.mergeCart(request, env, ctx);
+});
+
 // Inter-worker routes (private)
 router.post('/cart/validate', cartController.validateWorkerRequest, cartController.validateCart);
 router.delete('/cart/:cartId', cartController.validateWorkerRequest, cartController.clearCartByCartId);
+router.get('/users/:userId/export', cartController.validateWorkerRequest, cartController.exportUserData);
+router.post('/users/:userId/erase', cartController.validateWorkerRequest, cartController.eraseUserData);
 
 // Health check
 router.get('/health', cartController.healthCheck);
@@ -149,3 +149,40 @@ export async function softDeleteCart(db, cartId) {
   return result.success && result.meta.changes > 0;
 }
 
+/**
+ * Get all carts of a user, including soft-deleted ones (account data export)
+ * @param {D1Database} db - Database instance
+ * @param {string} userId - User ID
+ * @returns {Promise<Object[]>} Cart rows
+ */
+export async function getCartsByUserId(db, userId) {
+  const result = await db
+    .prepare(
+      `SELECT cart_id, user_id, items, total_price, created_at, updated_at, deleted_at
+       FROM carts 
+       WHERE user_id = ?
+       ORDER BY created_at`
+    )
+    .bind(userId)
+    .all();
+  
+  return result.results || [];
+}
+
+/**
+ * Permanently delete all carts of a user (account deletion)
+ * @param {D1Database} db - Database instance
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of carts deleted
+ */
+export async function deleteCartsByUserId(db, userId) {
+  const result = await db
+    .prepare(
+      `DELETE FROM carts 
+       WHERE user_id = ?`
+    )
+    .bind(userId)
+    .run();
+  
+  return result.meta?.changes || 0;
+}
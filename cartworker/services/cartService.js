@@ -9,10 +9,14 @@ import {
   getCartById,
   createCart, 
   updateCart, 
-  clearCart 
+  clearCart,
+  getCartsByUserId,
+  deleteCartsByUserId,
+  softDeleteCart,
 } from '../models/cartModel.js';
 import { getWorkerBinding, postWorkerBinding } from '../../shared/utils/interWorker.js';
 import { NotFoundError, ConflictError, ValidationError } from '../../shared/utils/errors.js';
+import { getStockKeepingId, formatVariantLabel } from '../../shared/utils/variants.js';
 
 /**
  * Get or create cart for user
@@ -53,8 +57,36 @@ export async function getOrCreateCart(userId, db) {
   };
 }
 
+/**
+ * Find the variant a cart line is for
+ * @param {Object} productData - Product from catalog worker (variants are listed for products with variants)
+ * @param {string|null} variantId - Chosen variant
+ * @returns {Object|null} Variant, or null for products without variants
+ * @throws {ValidationError} If a product with variants has no variant chosen, or one without variants has
+ * @throws {NotFoundError} If the variant is not one of the product's variants
+ */
+function resolveVariant(productData, variantId) {
+  const variants = productData.variants || [];
+  if (variants.length === 0) {
+    if (variantId) {
+      throw new ValidationError('This product has no variants');
+    }
+    return null;
+  }
+  
+  if (!variantId) {
+    throw new ValidationError('variantId is required for products with variants');
+  }
+  const variant = variants.find(v => v.variantId === variantId);
+  if (!variant) {
+    throw new NotFoundError('Product variant');
+  }
+  return variant;
+}
+
 /**
  * Add item to cart (locks price and stock)
+ * Each variant of a product is its own cart line, priced and stocked by variant ID.
  */
 export async function addItemToCart(
   userId,
@@ -65,21 +97,26 @@ export async function addItemToCart(
   fulfillmentWorkerBinding,
   apiKey
 ) {
-  const { productId, quantity } = itemData;
+  const { productId, variantId = null, quantity } = itemData;
   
   if (!productId || !quantity || quantity <= 0) {
     throw new ValidationError('productId and positive quantity are required');
   }
   
+  // Prices and stock are kept under the variant ID for products with variants
+  const stockKeepingId = getStockKeepingId({ productId, variantId });
+  
   // Get or create cart
   const cart = await getOrCreateCart(userId, db);
   const items = cart.items || [];
   
-  // Check if item already exists in cart
-  const existingItemIndex = items.findIndex(item => item.productId === productId);
+  // Check if item (same product and variant) already exists in cart
+  const existingItemIndex = items.findIndex(
+    item => item.productId === productId && getStockKeepingId(item) === stockKeepingId
+  );
   
   try {
-    console.log(`[cart-service] Adding item to cart - userId: ${userId}, productId: ${productId}, quantity: ${quantity}`);
+    console.log(`[cart-service] Adding item to cart - userId: ${userId}, productId: ${productId}, variantId: ${variantId}, quantity: ${quantity}`);
     
     if (existingItemIndex >= 0) {
       // Item already exists - check stock considering what's already in cart
@@ -90,7 +127,7 @@ export async function addItemToCart(
       // Get current stock to validate
       const stockResponse = await getWorkerBinding(
         fulfillmentWorkerBinding,
-        `/stock/${productId}`,
+        `/stock/${stockKeepingId}`,
         {},
         apiKey
       );
@@ -128,8 +165,8 @@ export async function addItemToCart(
       // Get product details (name, image), price and stock from workers using Service Bindings
       const [productResponse, priceResponse, stockResponse] = await Promise.all([
         getWorkerBinding(catalogWorkerBinding, `/product/${productId}`, {}, apiKey),
-        getWorkerBinding(pricingWorkerBinding, `/product/${productId}`, {}, apiKey),
-        getWorkerBinding(fulfillmentWorkerBinding, `/stock/${productId}`, {}, apiKey),
+        getWorkerBinding(pricingWorkerBinding, `/product/${stockKeepingId}`, {}, apiKey),
+        getWorkerBinding(fulfillmentWorkerBinding, `/stock/${stockKeepingId}`, {}, apiKey),
       ]);
       
       // Check if responses are OK
@@ -140,6 +177,17 @@ export async function addItemToCart(
         throw new Error(`Failed to get product details: ${productResponse.status}`);
       }
       
+      let productData;
+      try {
+        productData = await productResponse.json();
+      } catch (parseError) {
+        console.error(`[cart-service] Error parsing JSON:`, parseError.message);
+        throw new Error(`Failed to parse response data: ${parseError.message}`);
+      }
+      
+      // Check the variant before its price and stock (an unknown variant has neither)
+      const variant = resolveVariant(productData, variantId);
+      
       if (!priceResponse.ok) {
         if (priceResponse.status === 404) {
           throw new NotFoundError('Product price');
@@ -154,9 +202,8 @@ export async function addItemToCart(
         throw new Error(`Failed to get product stock: ${stockResponse.status}`);
       }
       
-      let productData, priceData, stockData;
+      let priceData, stockData;
       try {
-        productData = await productResponse.json();
         priceData = await priceResponse.json();
         stockData = await stockResponse.json();
         console.log(`[cart-service] Product data keys:`, Object.keys(productData));
@@ -191,8 +238,9 @@ export async function addItemToCart(
         throw new ConflictError(`Insufficient stock. Available: ${stockData.available}, Requested: ${quantity}`);
       }
       
-      // Extract image from various possible field names
-      const productImage = productData.image || productData.imageUrl || productData.image_url || 
+      // Extract image from various possible field names (a variant's own image first)
+      const productImage = variant?.images?.[0] ||
+                           productData.image || productData.imageUrl || productData.image_url || 
                            (productData.images && Array.isArray(productData.images) && productData.images.length > 0 ? productData.images[0] : null) ||
                            null;
       
@@ -206,9 +254,18 @@ export async function addItemToCart(
       // Add item with product details, price (with discount applied, not locked - will validate at checkout)
       // DO NOT reserve stock here - reserve only during payment/checkout
       // Store all product data for future use, but keep existing fields for backward compatibility with frontend
+      // (the variant list is left out: the chosen variant is stored on the item and the rest would go stale)
+      const productDetails = { ...productData };
+      delete productDetails.variants;
       const newItem = {
         itemId: crypto.randomUUID(),
         productId,
+        ...(variant ? {
+          variantId: variant.variantId,
+          sku: variant.sku,
+          variantAttributes: variant.attributes,
+          variantLabel: formatVariantLabel(variant.attributes, productData.variantAxes),
+        } : {}),
         productName: productData.name || 'Product',
         productImage: productImage,
         quantity,
@@ -216,7 +273,7 @@ export async function addItemToCart(
         currency: priceData.currency || 'INR',
         addedAt: new Date().toISOString(),
         // Store full product data (all attributes from catalog worker)
-        productData: productData,
+        productData: productDetails,
       };
       console.log(`[cart-service] Adding item to cart:`, JSON.stringify(newItem));
       items.push(newItem);
@@ -296,7 +353,7 @@ export async function updateItemQuantity(
       console.log(`[cart-service] Increasing quantity, checking stock availability`);
       const stockResponse = await getWorkerBinding(
         fulfillmentWorkerBinding,
-        `/stock/${item.productId}`,
+        `/stock/${getStockKeepingId(item)}`,
         {},
         apiKey
       );
@@ -312,9 +369,9 @@ export async function updateItemQuantity(
         throw new Error(`Invalid stock data received. Expected number, got: ${typeof stockData?.available}`);
       }
       
-      // Calculate total quantity of this product in cart (should be just this item, but check all)
+      // Calculate total quantity of this product (or variant) in cart (should be just this item, but check all)
       const totalInCart = items
-        .filter(i => i.productId === item.productId)
+        .filter(i => getStockKeepingId(i) === getStockKeepingId(item))
         .reduce((sum, i) => sum + i.quantity, 0);
       
       // Calculate available stock after removing current cart quantity
@@ -451,10 +508,10 @@ export async function validateCart(
   
   // Validate each item
   for (const item of items) {
-    // Get current base price from pricing worker
+    // Get current base price from pricing worker (per variant for products with variants)
     const priceResponse = await getWorkerBinding(
       pricingWorkerBinding,
-      `/product/${item.productId}`,
+      `/product/${getStockKeepingId(item)}`,
       {},
       apiKey
     );
@@ -526,7 +583,7 @@ export async function validateCart(
     // Get current stock
     const stockResponse = await getWorkerBinding(
       fulfillmentWorkerBinding,
-      `/stock/${item.productId}`,
+      `/stock/${getStockKeepingId(item)}`,
       {},
       apiKey
     );
@@ -616,9 +673,148 @@ export async function clearUserCart(userId, db, fulfillmentWorkerBinding, apiKey
   };
 }
 
+/**
+ * Get current available stock for a product (or variant ID)
+ */
+async function getAvailableStock(stockKeepingId, fulfillmentWorkerBinding, apiKey) {
+  const stockResponse = await getWorkerBinding(
+    fulfillmentWorkerBinding,
+    `/stock/${stockKeepingId}`,
+    {},
+    apiKey
+  );
+  
+  if (!stockResponse.ok) {
+    if (stockResponse.status === 404) {
+      throw new NotFoundError('Product stock');
+    }
+    throw new Error(`Failed to get product stock: ${stockResponse.status}`);
+  }
+  
+  const stockData = await stockResponse.json();
+  if (!stockData || typeof stockData.available !== 'number') {
+    throw new Error(`Invalid stock data received. Expected number, got: ${typeof stockData?.available}`);
+  }
+  
+  return stockData.available;
+}
+
+/**
+ * Merge a guest cart into the user's cart (on login)
+ * Each guest item goes through addItemToCart, so new products get the current price and
+ * quantities already in the user's cart are added to. Quantities are capped at available stock.
+ * The guest cart is deleted afterwards, even when some items could not be merged.
+ * @returns {Promise<Object>} { cart, adjustments } - adjustments: one entry per item that was
+ *   reduced, dropped or repriced ({ productId, productName, variantId, variantLabel, reason, requestedQuantity,
+ *   addedQuantity, oldPrice, newPrice }; variant fields only for products with variants)
+ */
+export async function mergeGuestCart(
+  userId,
+  guestUserId,
+  db,
+  catalogWorkerBinding,
+  pricingWorkerBinding,
+  fulfillmentWorkerBinding,
+  apiKey
+) {
+  console.log(`[cart-service] Merging guest cart ${guestUserId} into cart for userId: ${userId}`);
+  
+  const guestCart = await getCartByUserId(db, guestUserId);
+  const guestItems = guestCart
+    ? (typeof guestCart.items === 'string' ? JSON.parse(guestCart.items) : (guestCart.items || []))
+    : [];
+  
+  const adjustments = [];
+  
+  for (const guestItem of guestItems) {
+    const { productId, variantId = null, productName, quantity } = guestItem;
+    const stockKeepingId = getStockKeepingId(guestItem);
+    const adjustment = {
+      productId,
+      productName,
+      ...(variantId ? { variantId, variantLabel: guestItem.variantLabel } : {}),
+      requestedQuantity: quantity,
+    };
+    
+    try {
+      const cart = await getOrCreateCart(userId, db);
+      const inCart = cart.items
+        .filter(item => getStockKeepingId(item) === stockKeepingId)
+        .reduce((sum, item) => sum + item.quantity, 0);
+      const available = await getAvailableStock(stockKeepingId, fulfillmentWorkerBinding, apiKey);
+      const addedQuantity = Math.min(quantity, Math.max(available - inCart, 0));
+      
+      if (addedQuantity === 0) {
+        adjustments.push({ ...adjustment, reason: 'out_of_stock', addedQuantity: 0 });
+        continue;
+      }
+      
+      const merged = await addItemToCart(
+        userId,
+        { productId, variantId, quantity: addedQuantity },
+        db,
+        catalogWorkerBinding,
+        pricingWorkerBinding,
+        fulfillmentWorkerBinding,
+        apiKey
+      );
+      
+      if (addedQuantity < quantity) {
+        adjustments.push({ ...adjustment, reason: 'quantity_reduced', addedQuantity });
+      }
+      
+      // Price is whatever the user's cart now holds (fresh for new items, unchanged for existing ones)
+      const mergedItem = merged.items.find(item => getStockKeepingId(item) === stockKeepingId);
+      const oldPrice = guestItem.price || guestItem.lockedPrice || 0;
+      const newPrice = mergedItem?.price || mergedItem?.lockedPrice || 0;
+      if (Math.abs(newPrice - oldPrice) > 0.01) {
+        adjustments.push({ ...adjustment, reason: 'price_changed', addedQuantity, oldPrice, newPrice });
+      }
+    } catch (error) {
+      if (!(error instanceof NotFoundError || error instanceof ConflictError)) {
+        throw error;
+      }
+      console.warn(`[cart-service] Could not merge guest item ${productId}:`, error.message);
+      adjustments.push({ ...adjustment, reason: 'unavailable', addedQuantity: 0 });
+    }
+  }
+  
+  if (guestCart) {
+    await softDeleteCart(db, guestCart.cart_id);
+  }
+  
+  return {
+    cart: await getOrCreateCart(userId, db),
+    adjustments,
+  };
+}
+
 /**
  * Clear cart by cart ID (inter-worker)
  */
 export async function clearCartById(cartId, db) {
   return await clearCart(db, cartId);
 }
+
+/**
+ * Get all of a user's carts for an account data export
+ */
+export async function exportUserCarts(userId, db) {
+  const carts = await getCartsByUserId(db, userId);
+  return carts.map(cart => ({
+    cartId: cart.cart_id,
+    items: typeof cart.items === 'string' ? JSON.parse(cart.items) : cart.items,
+    totalPrice: cart.total_price,
+    createdAt: cart.created_at,
+    updatedAt: cart.updated_at,
+    deletedAt: cart.deleted_at || null,
+  }));
+}
+
+/**
+ * Delete all of a user's carts for account deletion
+ * Nothing to release in fulfillment: stock is only reserved at checkout
+ */
+export async function eraseUserCarts(userId, db) {
+  return { cartsDeleted: await deleteCartsByUserId(db, userId) };
+}
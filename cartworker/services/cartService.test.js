@@ -9,6 +9,9 @@ import {
   addItemToCart,
   updateItemQuantity,
   removeItemFromCart,
+  exportUserCarts,
+  eraseUserCarts,
+  mergeGuestCart,
 } from './cartService.js';
 import { NotFoundError, ValidationError, ConflictError } from '../../shared/utils/errors.js';
 import { createMockD1, createMockD1WithSequence, createMockEnv } from '../../test/setup.js';
@@ -181,6 +184,86 @@ describe('cartService', () => {
         expect(error.message).to.include('stock');
       }
     });
+    
+    describe('with variants', () => {
+      const phone = {
+        productId: 'product-1',
+        name: 'Phone',
+        images: ['https://img/phone.jpg'],
+        discountPercentage: 10,
+        variantAxes: [{ name: 'colour', values: ['Black', 'Blue'] }, { name: 'storage', values: ['128GB'] }],
+        variants: [
+          { variantId: 'variant-1', sku: 'PHONE-BLK-128', attributes: { colour: 'Black', storage: '128GB' }, images: [], price: 700, stock: 5 },
+          { variantId: 'variant-2', sku: 'PHONE-BLU-128', attributes: { colour: 'Blue', storage: '128GB' }, images: ['https://img/blue.jpg'], price: 800, stock: 5 },
+        ],
+      };
+      const cartRow = items => ({ cart_id: 'cart-id', user_id: 'user-1', items: JSON.stringify(items), total_price: 0 });
+      const add = (itemData) => addItemToCart(
+        'user-1',
+        itemData,
+        mockDb,
+        mockCatalogWorker,
+        mockPricingWorker,
+        mockFulfillmentWorker,
+        mockEnv.INTER_WORKER_API_KEY
+      );
+      
+      beforeEach(() => {
+        mockCatalogWorker._setResponse('GET', '/product/product-1', phone);
+        mockPricingWorker._setResponse('GET', '/product/variant-2', { price: 800, currency: 'INR' });
+        mockFulfillmentWorker._setResponse('GET', '/stock/variant-2', { available: 5 });
+      });
+      
+      it('should add the chosen variant as its own line, priced and stocked by variant', async () => {
+        mockDb = createMockD1WithSequence([
+          { first: cartRow([{ itemId: 'item-1', productId: 'product-1', variantId: 'variant-1', quantity: 1, price: 630 }]) },
+          { run: { success: true, meta: { changes: 1 } } },
+        ]);
+        
+        const result = await add({ productId: 'product-1', variantId: 'variant-2', quantity: 2 });
+        
+        expect(result.items).to.have.length(2);
+        expect(result.items[1]).to.include({
+          productId: 'product-1',
+          variantId: 'variant-2',
+          sku: 'PHONE-BLU-128',
+          variantLabel: 'Blue / 128GB',
+          productImage: 'https://img/blue.jpg',
+          price: 720,
+          quantity: 2,
+        });
+        expect(result.items[1].variantAttributes).to.deep.equal({ colour: 'Blue', storage: '128GB' });
+        expect(result.items[1].productData).to.not.have.property('variants');
+        expect(result.totalPrice).to.equal(630 + 1440);
+      });
+      
+      it('should add to the existing line of the same variant', async () => {
+        mockDb = createMockD1WithSequence([
+          { first: cartRow([{ itemId: 'item-2', productId: 'product-1', variantId: 'variant-2', quantity: 1, price: 720 }]) },
+          { run: { success: true, meta: { changes: 1 } } },
+        ]);
+        
+        const result = await add({ productId: 'product-1', variantId: 'variant-2', quantity: 2 });
+        
+        expect(result.items).to.have.length(1);
+        expect(result.items[0].quantity).to.equal(3);
+      });
+      
+      it('should require a variant of the product', async () => {
+        for (const [itemData, errorClass] of [
+          [{ productId: 'product-1', quantity: 1 }, ValidationError],
+          [{ productId: 'product-1', variantId: 'variant-9', quantity: 1 }, NotFoundError],
+        ]) {
+          mockDb = createMockD1WithSequence([{ first: cartRow([]) }]);
+          try {
+            await add(itemData);
+            expect.fail(`Should have thrown ${errorClass.name}`);
+          } catch (error) {
+            expect(error).to.be.instanceOf(errorClass);
+          }
+        }
+      });
+    });
   });
   
   describe('updateItemQuantity', () => {
@@ -250,5 +333,146 @@ describe('cartService', () => {
       expect(result).to.have.property('cartId');
     });
   });
-});
 
+  describe('exportUserCarts', () => {
+    it('should return carts with parsed items', async () => {
+      mockDb = createMockD1WithSequence([
+        {
+          all: {
+            results: [{
+              cart_id: 'cart-1',
+              items: JSON.stringify([{ productId: 'prod-1', quantity: 2 }]),
+              total_price: 200,
+              deleted_at: null,
+            }],
+          },
+        },
+      ]);
+
+      const carts = await exportUserCarts('user-1', mockDb);
+
+      expect(carts).to.have.length(1);
+      expect(carts[0]).to.include({ cartId: 'cart-1', totalPrice: 200 });
+      expect(carts[0].items).to.deep.equal([{ productId: 'prod-1', quantity: 2 }]);
+    });
+  });
+
+  describe('eraseUserCarts', () => {
+    it('should delete all carts of the user', async () => {
+      mockDb = createMockD1WithSequence([{ run: { success: true, meta: { changes: 2 } } }]);
+
+      expect(await eraseUserCarts('user-1', mockDb)).to.deep.equal({ cartsDeleted: 2 });
+    });
+  });
+
+  describe('mergeGuestCart', () => {
+    const guestCart = (items) => ({ cart_id: 'guest-cart', user_id: 'guest_g1', items: JSON.stringify(items), total_price: 0 });
+    const userCart = (items) => ({ cart_id: 'user-cart', user_id: 'user-1', items: JSON.stringify(items), total_price: 0 });
+    const updated = { run: { success: true, meta: { changes: 1 } } };
+    
+    const merge = (db) => mergeGuestCart(
+      'user-1',
+      'guest_g1',
+      db,
+      mockCatalogWorker,
+      mockPricingWorker,
+      mockFulfillmentWorker,
+      mockEnv.INTER_WORKER_API_KEY
+    );
+    
+    it('should add guest items at the current price and report price changes', async () => {
+      mockCatalogWorker._setResponse('GET', '/product/product-1', { productId: 'product-1', name: 'Product 1' });
+      mockPricingWorker._setResponse('GET', '/product/product-1', { price: 1000 });
+      mockFulfillmentWorker._setResponse('GET', '/stock/product-1', { available: 50 });
+      
+      const queries = [];
+      mockDb = createMockD1WithSequence([
+        { first: guestCart([{ productId: 'product-1', productName: 'Product 1', quantity: 2, price: 900 }]) },
+        { first: userCart([]) }, // stock check
+        { first: userCart([]) }, // addItemToCart
+        updated, // updateCart
+        updated, // softDeleteCart (guest)
+        { first: userCart([]) }, // final cart
+      ]);
+      const prepare = mockDb.prepare;
+      mockDb.prepare = (query) => {
+        queries.push(query);
+        return prepare(query);
+      };
+      
+      const result = await merge(mockDb);
+      
+      expect(result.adjustments).to.deep.equal([{
+        productId: 'product-1',
+        productName: 'Product 1',
+        requestedQuantity: 2,
+        reason: 'price_changed',
+        addedQuantity: 2,
+        oldPrice: 900,
+        newPrice: 1000,
+      }]);
+      expect(queries.filter(q => q.includes('SET items = ?, total_price = ?'))).to.have.length(1);
+      expect(queries.some(q => q.includes('SET deleted_at = ?'))).to.be.true;
+    });
+    
+    it('should cap combined quantities at available stock', async () => {
+      const existing = { itemId: 'item-1', productId: 'product-1', quantity: 3, price: 1000 };
+      mockFulfillmentWorker._setResponse('GET', '/stock/product-1', { available: 6 });
+      
+      mockDb = createMockD1WithSequence([
+        { first: guestCart([{ productId: 'product-1', productName: 'Product 1', quantity: 5, price: 1000 }]) },
+        { first: userCart([existing]) },
+        { first: userCart([existing]) },
+        updated,
+        updated,
+        { first: userCart([{ ...existing, quantity: 6 }]) },
+      ]);
+      
+      const result = await merge(mockDb);
+      
+      expect(result.cart.items[0].quantity).to.equal(6);
+      expect(result.adjustments).to.deep.equal([{
+        productId: 'product-1',
+        productName: 'Product 1',
+        requestedQuantity: 5,
+        reason: 'quantity_reduced',
+        addedQuantity: 3,
+      }]);
+    });
+    
+    it('should skip items that are out of stock or no longer sold', async () => {
+      mockFulfillmentWorker._setResponse('GET', '/stock/product-1', { available: 0 });
+      mockFulfillmentWorker._setResponse('GET', '/stock/product-2', null, { status: 404 });
+      
+      mockDb = createMockD1WithSequence([
+        { first: guestCart([
+          { productId: 'product-1', productName: 'Product 1', quantity: 1, price: 1000 },
+          { productId: 'product-2', productName: 'Product 2', quantity: 1, price: 500 },
+        ]) },
+        { first: userCart([]) },
+        { first: userCart([]) },
+        updated,
+        { first: userCart([]) },
+      ]);
+      
+      const result = await merge(mockDb);
+      
+      expect(result.adjustments.map(a => [a.productId, a.reason, a.addedQuantity])).to.deep.equal([
+        ['product-1', 'out_of_stock', 0],
+        ['product-2', 'unavailable', 0],
+      ]);
+    });
+    
+    it('should return the user cart when there is no guest cart', async () => {
+      mockDb = createMockD1WithSequence([
+        { first: null },
+        { first: userCart([]) },
+      ]);
+      
+      const result = await merge(mockDb);
+      
+      expect(result.cart.cartId).to.equal('user-cart');
+      expect(result.adjustments).to.deep.equal([]);
+    });
+  });
+});
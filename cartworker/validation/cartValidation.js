@@ -6,6 +6,7 @@ import Joi from 'joi';
 
 export const addItemSchema = Joi.object({
   productId: Joi.string().required(),
+  variantId: Joi.string().allow(null).optional(), // Required by the cart service for products with variants
   quantity: Joi.number().integer().positive().required(),
 });
 
@@ -13,3 +14,6 @@ export const updateItemSchema = Joi.object({
   quantity: Joi.number().integer().positive().required(),
 });
 
+export const mergeCartSchema = Joi.object({
+  guestToken: Joi.string().optional(), // Defaults to the guest cookie
+});
@@ -21,6 +21,14 @@ describe('cartValidation', () => {
       expect(value.quantity).to.equal(2);
     });
 
+    it('should accept an optional variantId', () => {
+      const { error, value } = addItemSchema.validate({ productId: 'prod-123', variantId: 'variant-1', quantity: 1 });
+
+      expect(error).to.be.undefined;
+      expect(value.variantId).to.equal('variant-1');
+      expect(addItemSchema.validate({ productId: 'prod-123', variantId: null, quantity: 1 }).error).to.be.undefined;
+    });
+
     it('should reject when productId is missing', () => {
       const invalidData = {
         quantity: 2
@@ -4,7 +4,10 @@
  */
 
 import { authenticateAdmin } from '../../shared/utils/adminAuth.js';
+import { PERMISSIONS } from '../../shared/utils/permissions.js';
 import * as productModel from '../models/productModel.js';
+import * as searchProjectionModel from '../models/searchProjectionModel.js';
+import * as variantModel from '../models/variantModel.js';
 import * as catalogService from '../services/catalogService.js';
 import { ValidationError } from '../../shared/utils/errors.js';
 import { sendLog } from '../../shared/utils/logger.js';
@@ -16,7 +19,7 @@ import { getWorkerBinding } from '../../shared/utils/interWorker.js';
  */
 export async function getAllProducts(request, env) {
   // Authenticate admin
-  const authResult = await authenticateAdmin(request, env);
+  const authResult = await authenticateAdmin(request, env, { permission: PERMISSIONS.PRODUCTS_READ });
   if (authResult instanceof Response) {
     return authResult;
   }
@@ -81,8 +84,17 @@ export async function getAllProducts(request, env) {
   // Batch fetch stock and prices for all products at once
   let stockMap = {};
   let priceMap = {};
+  let variantsByProduct = {};
   if (parsedProducts.length > 0) {
-    const productIds = parsedProducts.map(p => p.productId);
+    // Products with variants are priced and stocked by variant ID
+    variantsByProduct = await variantModel.getVariantsByProductIds(
+      env.catalog_db,
+      parsedProducts.filter(p => p.productData.variantAxes?.length).map(p => p.productId)
+    );
+    const productIds = [
+      ...parsedProducts.map(p => p.productId),
+      ...Object.values(variantsByProduct).flat().map(variant => variant.variantId),
+    ];
     const productIdsString = productIds.join(',');
     const apiKey = env.INTER_WORKER_API_KEY;
     
@@ -198,10 +210,13 @@ export async function getAllProducts(request, env) {
     }
   }
   
+  // Products with variants show their lowest variant price and total variant stock
+  const rolledUp = catalogService.rollUpVariants(variantsByProduct, priceMap, stockMap);
+  
   // Combine product data with stock and price
   const products = parsedProducts.map(({ productId, productData, createdAt, updatedAt, deletedAt }) => {
-    const stockInfo = stockMap[productId] || null;
-    const priceInfo = priceMap[productId] || null;
+    const stockInfo = rolledUp.stocks[productId] || null;
+    const priceInfo = rolledUp.prices[productId] || null;
     let stock = 0;
     let price = null;
     
@@ -266,6 +281,13 @@ export async function getAllProducts(request, env) {
       reviews: reviews, // Ensure reviews is a number (can be 0)
       stock: stock || 0, // Override stock from productData with actual stock from fulfillment
       stockDetails: stockInfo || null,
+      ...(variantsByProduct[productId] ? {
+        variants: variantsByProduct[productId].map(variant => ({
+          ...variant,
+          price: priceMap[variant.variantId]?.price ?? null,
+          stock: stockMap[variant.variantId]?.available || 0,
+        })),
+      } : {}),
       createdAt,
       updatedAt,
       deletedAt,
@@ -301,7 +323,7 @@ export async function createProduct(request, env, ctx = null) {
   const apiKey = env.INTER_WORKER_API_KEY;
   
   // Authenticate admin
-  const authResult = await authenticateAdmin(request, env);
+  const authResult = await authenticateAdmin(request, env, { permission: PERMISSIONS.PRODUCTS_WRITE });
   if (authResult instanceof Response) {
     return authResult;
   }
@@ -319,6 +341,9 @@ export async function createProduct(request, env, ctx = null) {
     throw new ValidationError('Discount percentage must be between 0% and 90%');
   }
   
+  // Validate variants (colour/storage combinations sold as their own SKUs) before anything is written
+  const { variantAxes, variants } = catalogService.normalizeVariants(body.variantAxes || [], body.variants || []);
+  
   // Generate product ID
   const productId = randomUUID();
   
@@ -348,8 +373,12 @@ export async function createProduct(request, env, ctx = null) {
     availabilityStatus: (body.stock || 0) > 0 ? 'in stock' : 'out of stock',
     minimumOrderQuantity: body.minimumOrderQuantity || 1,
     ...body.customFields, // Include any custom fields
+    ...(variantAxes.length > 0 ? { variantAxes } : {}),
   };
   
+  // Variants first: a SKU conflict must fail the request before the product exists
+  const savedVariants = await catalogService.saveProductVariants(env.catalog_db, productId, variants);
+  
   // Create product
   const product = await productModel.createProduct(
     env.catalog_db,
@@ -357,6 +386,9 @@ export async function createProduct(request, env, ctx = null) {
     productData
   );
   
+  // Add to the faceted search projection (price and stock arrive with the next refresh)
+  await searchProjectionModel.upsertProductProjection(env.catalog_db, productId, productData);
+  
   // Invalidate cache for this product (in case it exists)
   if (env.product_cache) {
     try {
@@ -373,10 +405,11 @@ export async function createProduct(request, env, ctx = null) {
     productId,
     productName: body.name,
     category: body.category,
+    variantCount: savedVariants.length,
     worker: 'catalog-worker',
   }, apiKey, ctx);
   
-  // Also create price and stock if provided
+  // Also create price and stock if provided (for products with variants, per variant ID)
   // Note: These are handled via service bindings to other workers
   // The frontend can call these separately after product creation if needed
   
@@ -384,6 +417,7 @@ export async function createProduct(request, env, ctx = null) {
     JSON.stringify({
       productId: product.productId,
       ...productData,
+      ...(savedVariants.length > 0 ? { variants: savedVariants } : {}),
       createdAt: product.createdAt,
       updatedAt: product.updatedAt,
       // Return price and stock from body so frontend knows what to set
@@ -405,7 +439,7 @@ export async function updateProduct(request, env, ctx = null) {
   const apiKey = env.INTER_WORKER_API_KEY;
   
   // Authenticate admin
-  const authResult = await authenticateAdmin(request, env);
+  const authResult = await authenticateAdmin(request, env, { permission: PERMISSIONS.PRODUCTS_WRITE });
   if (authResult instanceof Response) {
     return authResult;
   }
@@ -451,10 +485,26 @@ export async function updateProduct(request, env, ctx = null) {
     imagesToSet = existingData.images; // Keep existing if not specified
   }
   
+  // Variants are replaced when either list is sent; the other one keeps its current value
+  const bodyData = { ...body };
+  delete bodyData.variants;
+  let savedVariants = null;
+  if (body.variantAxes !== undefined || body.variants !== undefined) {
+    const currentVariants = body.variants === undefined
+      ? await variantModel.getVariantsByProductId(env.catalog_db, productId)
+      : body.variants;
+    const { variantAxes, variants } = catalogService.normalizeVariants(
+      body.variantAxes === undefined ? (existingData.variantAxes || []) : (body.variantAxes || []),
+      currentVariants || []
+    );
+    savedVariants = await catalogService.saveProductVariants(env.catalog_db, productId, variants);
+    bodyData.variantAxes = variantAxes.length > 0 ? variantAxes : undefined;
+  }
+  
   // Merge updates
   const updatedData = {
     ...existingData,
-    ...body,
+    ...bodyData,
     // Override with processed images
     images: imagesToSet,
     productImage: imagesToSet && imagesToSet.length > 0 ? imagesToSet[0] : null,
@@ -474,6 +524,8 @@ export async function updateProduct(request, env, ctx = null) {
     throw new Error('Failed to update product');
   }
   
+  await searchProjectionModel.upsertProductProjection(env.catalog_db, productId, updatedData);
+  
   // Invalidate cache for this product
   if (env.product_cache) {
     try {
@@ -496,6 +548,7 @@ export async function updateProduct(request, env, ctx = null) {
     JSON.stringify({
       productId,
       ...updatedData,
+      ...(savedVariants ? { variants: savedVariants } : {}),
       updatedAt: new Date().toISOString(),
     }),
     {
@@ -513,7 +566,7 @@ export async function deleteProduct(request, env, ctx = null) {
   const apiKey = env.INTER_WORKER_API_KEY;
   
   // Authenticate admin
-  const authResult = await authenticateAdmin(request, env);
+  const authResult = await authenticateAdmin(request, env, { permission: PERMISSIONS.PRODUCTS_WRITE });
   if (authResult instanceof Response) {
     return authResult;
   }
@@ -534,6 +587,8 @@ export async function deleteProduct(request, env, ctx = null) {
     throw new Error('Product not found');
   }
   
+  await searchProjectionModel.deleteProductProjection(env.catalog_db, productId);
+  
   // Log successful product deletion
   await sendLog(logWorkerBindingOrUrl, 'event', 'Product deleted successfully (admin)', {
     adminUserId: request.userId || null,
@@ -558,27 +613,25 @@ export async function deleteProduct(request, env, ctx = null) {
  */
 export async function restoreProduct(request, env) {
   // Authenticate admin
-  const authResult = await authenticateAdmin(request, env);
+  const authResult = await authenticateAdmin(request, env, { permission: PERMISSIONS.PRODUCTS_WRITE });
   if (authResult instanceof Response) {
     return authResult;
   }
   
   const { productId } = request.params;
   
-  // Restore product (remove deleted_at)
-  const result = await env.catalog_db
-    .prepare(
-      `UPDATE products 
-       SET deleted_at = NULL, updated_at = ? 
-       WHERE product_id = ?`
-    )
-    .bind(new Date().toISOString(), productId)
-    .run();
-  
-  if (!result.success || result.meta.changes === 0) {
+  // Restore product (remove deleted_at) and put it back in the search index
+  const restored = await productModel.restoreProduct(env.catalog_db, productId);
+  
+  if (!restored) {
     throw new Error('Product not found');
   }
   
+  const product = await productModel.getProductById(env.catalog_db, productId);
+  if (product) {
+    await searchProjectionModel.upsertProductProjection(env.catalog_db, productId, JSON.parse(product.data));
+  }
+  
   return new Response(
     JSON.stringify({
       success: true,
@@ -591,3 +644,33 @@ export async function restoreProduct(request, env) {
   );
 }
 
+/**
+ * Refresh prices, stock and popularity in the search projection (admin only)
+ * Runs on a schedule too; use after bulk price or stock changes to update filters and sorting right away
+ */
+export async function refreshSearchProjection(request, env, ctx = null) {
+  const logWorkerBindingOrUrl = env.log_worker || env.LOG_WORKER_URL;
+  const apiKey = env.INTER_WORKER_API_KEY;
+  
+  const counts = await catalogService.refreshSearchProjection(
+    env.catalog_db,
+    env.pricing_worker,
+    env.fulfillment_worker,
+    env.orders_worker,
+    apiKey
+  );
+  
+  await sendLog(logWorkerBindingOrUrl, 'event', 'Search projection refreshed (admin)', {
+    adminUserId: request.userId || null,
+    ...counts,
+    worker: 'catalog-worker',
+  }, apiKey, ctx);
+  
+  return new Response(
+    JSON.stringify(counts),
+    {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    }
+  );
+}
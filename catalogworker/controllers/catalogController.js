@@ -3,8 +3,11 @@
  */
 
 import * as catalogService from '../services/catalogService.js';
+import { FACET_ATTRIBUTES, PRODUCT_SORTS } from '../models/searchProjectionModel.js';
 import { ValidationError } from '../../shared/utils/errors.js';
 
+const MAX_FILTER_VALUES = 20;
+
 /**
  * Health check
  */
@@ -43,8 +46,62 @@ export async function healthCheck(request, env) {
   }
 }
 
+// Comma-separated list parameter (?brand=Acme,Globex); repeated parameters are merged
+function parseList(searchParams, name) {
+  const values = searchParams.getAll(name)
+    .flatMap(value => value.split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+  if (values.length > MAX_FILTER_VALUES) {
+    throw new ValidationError(`At most ${MAX_FILTER_VALUES} values are allowed for ${name}`);
+  }
+  return values;
+}
+
+function parseNumber(searchParams, name, min, max) {
+  const raw = searchParams.get(name);
+  if (raw === null || raw.trim() === '') {
+    return null;
+  }
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < min || value > max) {
+    throw new ValidationError(`${name} must be a number between ${min} and ${max}`);
+  }
+  return value;
+}
+
+/**
+ * Parse facet filters from the query string
+ * ?brand=&minPrice=&maxPrice=&minRating=&minDiscount=&inStock=true and one list per spec attribute (?ram=8GB,16GB)
+ */
+function parseProductFilters(searchParams) {
+  const filters = {
+    brands: parseList(searchParams, 'brand'),
+    minPrice: parseNumber(searchParams, 'minPrice', 0, Number.MAX_SAFE_INTEGER),
+    maxPrice: parseNumber(searchParams, 'maxPrice', 0, Number.MAX_SAFE_INTEGER),
+    minRating: parseNumber(searchParams, 'minRating', 0, 5),
+    minDiscount: parseNumber(searchParams, 'minDiscount', 0, 100),
+    inStock: searchParams.get('inStock') === 'true',
+    attributes: {},
+  };
+  
+  if (filters.minPrice !== null && filters.maxPrice !== null && filters.minPrice > filters.maxPrice) {
+    throw new ValidationError('minPrice cannot be greater than maxPrice');
+  }
+  
+  for (const name of Object.keys(FACET_ATTRIBUTES)) {
+    filters.attributes[name] = parseList(searchParams, name).map(value => value.toUpperCase());
+  }
+  
+  return filters;
+}
+
 /**
  * Get products with pagination
+ * Optional facet filters: see parseProductFilters. The response includes facet counts.
+ * Optional sort: price_asc, price_desc, rating, newest, popularity, discount or relevance
+ * (defaults to relevance when searching, newest otherwise).
+ * Without search, filters or another sort, ?cursor= (pagination.nextCursor/prevCursor) can replace ?page=.
  */
 export async function getProducts(request, env) {
   const url = new URL(request.url);
@@ -52,6 +109,8 @@ export async function getProducts(request, env) {
   const limit = parseInt(url.searchParams.get('limit') || '20', 10);
   const category = url.searchParams.get('category') || null;
   const search = url.searchParams.get('search') || null;
+  const sort = url.searchParams.get('sort') || null;
+  const cursor = url.searchParams.get('cursor') || null;
   
   if (page < 1) {
     throw new ValidationError('Page must be greater than 0');
@@ -61,6 +120,12 @@ export async function getProducts(request, env) {
     throw new ValidationError('Limit must be between 1 and 100');
   }
   
+  if (sort && !PRODUCT_SORTS.includes(sort)) {
+    throw new ValidationError(`sort must be one of: ${PRODUCT_SORTS.join(', ')}`);
+  }
+  
+  const filters = parseProductFilters(url.searchParams);
+  
   const result = await catalogService.getProductsWithDetails(
     page,
     limit,
@@ -69,7 +134,11 @@ export async function getProducts(request, env) {
     env.catalog_db,
     env.pricing_worker, // Service binding instead of URL
     env.fulfillment_worker, // Service binding instead of URL
-    env.INTER_WORKER_API_KEY
+    env.INTER_WORKER_API_KEY,
+    filters,
+    sort,
+    cursor,
+    env.CURSOR_SECRET
   );
   
   return new Response(
@@ -139,6 +139,68 @@ describe('catalogController', () => {
         expect(error.message).to.include('Limit must be between 1 and 100');
       }
     });
+
+    it('should throw ValidationError when minPrice is greater than maxPrice', async () => {
+      const request = createMockRequest('https://example.com/products?minPrice=500&maxPrice=100');
+      
+      try {
+        await catalogController.getProducts(request, mockEnv);
+        expect.fail('Should have thrown ValidationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+        expect(error.message).to.include('minPrice cannot be greater than maxPrice');
+      }
+    });
+
+    it('should throw ValidationError for an out of range rating filter', async () => {
+      const request = createMockRequest('https://example.com/products?minRating=6');
+      
+      try {
+        await catalogController.getProducts(request, mockEnv);
+        expect.fail('Should have thrown ValidationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+        expect(error.message).to.include('minRating must be a number between 0 and 5');
+      }
+    });
+
+    it('should throw ValidationError for an unknown sort', async () => {
+      const request = createMockRequest('https://example.com/products?sort=cheapest');
+      
+      try {
+        await catalogController.getProducts(request, mockEnv);
+        expect.fail('Should have thrown ValidationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+        expect(error.message).to.include('sort must be one of: relevance, newest, price_asc');
+      }
+    });
+
+    it('should filter through the search projection and return facets', async () => {
+      const queries = [];
+      mockEnv.catalog_db = createMockD1WithSequence([
+        { all: { results: [{ product_id: 'prod-1', data: JSON.stringify({ name: 'Phone', brand: 'Acme' }) }], success: true } },
+        { first: { total: 1 } }
+      ]);
+      const prepare = mockEnv.catalog_db.prepare;
+      mockEnv.catalog_db.prepare = (query) => {
+        queries.push(query);
+        return prepare(query);
+      };
+      mockEnv.pricing_worker._setResponse('GET', '/products', { 'prod-1': { price: 100 } });
+      mockEnv.fulfillment_worker._setResponse('GET', '/stocks', { 'prod-1': { available: 3 } });
+      const request = createMockRequest('https://example.com/products?brand=Acme,Globex&inStock=true&ram=8gb');
+      
+      const response = await catalogController.getProducts(request, mockEnv);
+      const body = await response.json();
+      
+      expect(response.status).to.equal(200);
+      expect(queries[0]).to.include('FROM product_search ps');
+      expect(queries[0]).to.include('ps.brand IN (?, ?)');
+      expect(queries[0]).to.include('ps.stock > 0');
+      expect(body.products[0]).to.include({ productId: 'prod-1', price: 100, stock: 3 });
+      expect(body.facets).to.have.all.keys('category', 'brand', 'price', 'rating', 'discount', 'inStock', 'ram', 'storage');
+    });
   });
 
   describe('getProduct', () => {
@@ -3,6 +3,7 @@
  */
 
 import { authenticateAdmin } from '../../shared/utils/adminAuth.js';
+import { PERMISSIONS } from '../../shared/utils/permissions.js';
 import { ValidationError } from '../../shared/utils/errors.js';
 import { randomUUID } from 'crypto';
 
@@ -11,7 +12,7 @@ import { randomUUID } from 'crypto';
  */
 export async function uploadImage(request, env) {
   // Authenticate admin
-  const authResult = await authenticateAdmin(request, env);
+  const authResult = await authenticateAdmin(request, env, { permission: PERMISSIONS.PRODUCTS_WRITE });
   if (authResult instanceof Response) {
     return authResult;
   }
@@ -122,7 +123,7 @@ export async function serveImage(request, env) {
  */
 export async function deleteImage(request, env) {
   // Authenticate admin
-  const authResult = await authenticateAdmin(request, env);
+  const authResult = await authenticateAdmin(request, env, { permission: PERMISSIONS.PRODUCTS_WRITE });
   if (authResult instanceof Response) {
     return authResult;
   }
@@ -31,7 +31,7 @@ describe('imageController', () => {
       // Mock auth to pass - adminAuth calls /profile endpoint via service binding
       // adminAuth uses: authWorker.fetch('https://workers.dev/profile', ...)
       // The service binding mock extracts pathname from URL, so '/profile' is the key
-      mockEnv.auth_worker._setResponse('GET', '/profile', { userId: 'admin-1', isAdmin: true });
+      mockEnv.auth_worker._setResponse('GET', '/profile', { userId: 'admin-1', roles: ['super_admin'] });
       
       try {
         await imageController.uploadImage(request, mockEnv);
@@ -58,7 +58,7 @@ describe('imageController', () => {
       // Mock auth to pass - adminAuth calls /profile endpoint via service binding
       // adminAuth uses: authWorker.fetch('https://workers.dev/profile', ...)
       // The service binding mock extracts pathname from URL, so '/profile' is the key
-      mockEnv.auth_worker._setResponse('GET', '/profile', { userId: 'admin-1', isAdmin: true });
+      mockEnv.auth_worker._setResponse('GET', '/profile', { userId: 'admin-1', roles: ['super_admin'] });
       
       try {
         await imageController.uploadImage(request, mockEnv);
@@ -86,7 +86,7 @@ describe('imageController', () => {
       // Mock auth to pass - adminAuth calls /profile endpoint via service binding
       // adminAuth uses: authWorker.fetch('https://workers.dev/profile', ...)
       // The service binding mock extracts pathname from URL, so '/profile' is the key
-      mockEnv.auth_worker._setResponse('GET', '/profile', { userId: 'admin-1', isAdmin: true });
+      mockEnv.auth_worker._setResponse('GET', '/profile', { userId: 'admin-1', roles: ['super_admin'] });
       
       try {
         await imageController.uploadImage(request, mockEnv);
@@ -175,7 +175,7 @@ describe('imageController', () => {
       // Mock auth to pass - adminAuth calls /profile endpoint via service binding
       // adminAuth uses: authWorker.fetch('https://workers.dev/profile', ...)
       // The service binding mock extracts pathname from URL, so '/profile' is the key
-      mockEnv.auth_worker._setResponse('GET', '/profile', { userId: 'admin-1', isAdmin: true });
+      mockEnv.auth_worker._setResponse('GET', '/profile', { userId: 'admin-1', roles: ['super_admin'] });
       
       try {
         await imageController.deleteImage(request, mockEnv);
@@ -196,7 +196,7 @@ describe('imageController', () => {
       // Mock auth to pass - adminAuth calls /profile endpoint via service binding
       // adminAuth uses: authWorker.fetch('https://workers.dev/profile', ...)
       // The service binding mock extracts pathname from URL, so '/profile' is the key
-      mockEnv.auth_worker._setResponse('GET', '/profile', { userId: 'admin-1', isAdmin: true });
+      mockEnv.auth_worker._setResponse('GET', '/profile', { userId: 'admin-1', roles: ['super_admin'] });
       
       try {
         await imageController.deleteImage(request, mockEnv);
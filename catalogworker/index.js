@@ -19,11 +19,12 @@ router.get('/images/*', imageController.serveImage);
 
 // Admin routes (protected)
 import { authenticateAdmin } from '../shared/utils/adminAuth.js';
+import { PERMISSIONS } from '../shared/utils/permissions.js';
 import * as adminController from './controllers/adminController.js';
 
 router.get('/admin/products', async (request, env) => {
   try {
-    const authResult = await authenticateAdmin(request, env);
+    const authResult = await authenticateAdmin(request, env, { permission: PERMISSIONS.PRODUCTS_READ });
     if (authResult instanceof Response) {
       return authResult;
     }
@@ -38,7 +39,7 @@ router.get('/admin/products', async (request, env) => {
 });
 
 router.post('/admin/products', async (request, env, ctx) => {
-  const authResult = await authenticateAdmin(request, env);
+  const authResult = await authenticateAdmin(request, env, { permission: PERMISSIONS.PRODUCTS_WRITE });
   if (authResult instanceof Response) {
     return authResult;
   }
@@ -48,7 +49,7 @@ router.post('/admin/products', async (request, env, ctx) => {
 });
 
 router.put('/admin/products/:productId', async (request, env, ctx) => {
-  const authResult = await authenticateAdmin(request, env);
+  const authResult = await authenticateAdmin(request, env, { permission: PERMISSIONS.PRODUCTS_WRITE });
   if (authResult instanceof Response) {
     return authResult;
   }
@@ -58,7 +59,7 @@ router.put('/admin/products/:productId', async (request, env, ctx) => {
 });
 
 router.delete('/admin/products/:productId', async (request, env, ctx) => {
-  const authResult = await authenticateAdmin(request, env);
+  const authResult = await authenticateAdmin(request, env, { permission: PERMISSIONS.PRODUCTS_WRITE });
   if (authResult instanceof Response) {
     return authResult;
   }
@@ -68,7 +69,7 @@ router.delete('/admin/products/:productId', async (request, env, ctx) => {
 });
 
 router.post('/admin/products/:productId/restore', async (request, env) => {
-  const authResult = await authenticateAdmin(request, env);
+  const authResult = await authenticateAdmin(request, env, { permission: PERMISSIONS.PRODUCTS_WRITE });
   if (authResult instanceof Response) {
     return authResult;
   }
@@ -77,9 +78,19 @@ router.post('/admin/products/:productId/restore', async (request, env) => {
   return await adminController.restoreProduct(request, env);
 });
 
+router.post('/admin/search-projection/refresh', async (request, env, ctx) => {
+  const authResult = await authenticateAdmin(request, env, { permission: PERMISSIONS.PRODUCTS_WRITE });
+  if (authResult instanceof Response) {
+    return authResult;
+  }
+  request.user = authResult.user;
+  request.userId = authResult.userId;
+  return await adminController.refreshSearchProjection(request, env, ctx);
+});
+
 // Image upload route (admin only)
 router.post('/admin/images/upload', async (request, env) => {
-  const authResult = await authenticateAdmin(request, env);
+  const authResult = await authenticateAdmin(request, env, { permission: PERMISSIONS.PRODUCTS_WRITE });
   if (authResult instanceof Response) {
     return authResult;
   }
@@ -90,7 +101,7 @@ router.post('/admin/images/upload', async (request, env) => {
 
 // Image delete route (admin only)
 router.delete('/admin/images/*', async (request, env) => {
-  const authResult = await authenticateAdmin(request, env);
+  const authResult = await authenticateAdmin(request, env, { permission: PERMISSIONS.PRODUCTS_WRITE });
   if (authResult instanceof Response) {
     return authResult;
   }
@@ -271,6 +282,25 @@ const handler = {
       }
     });
   },
+  
+  async scheduled(event, env) {
+    console.log('[catalog-worker] Scheduled event triggered:', event.cron);
+    
+    try {
+      const catalogService = await import('./services/catalogService.js');
+      const counts = await catalogService.refreshSearchProjection(
+        env.catalog_db,
+        env.pricing_worker,
+        env.fulfillment_worker,
+        env.orders_worker,
+        env.INTER_WORKER_API_KEY
+      );
+      console.log('[catalog-worker] Search projection refreshed:', counts);
+    } catch (error) {
+      console.error('[catalog-worker] Error in scheduled event:', error.message, error.stack);
+      // Don't throw - the next run refreshes everything again
+    }
+  },
 };
 
 // OpenTelemetry configuration for Honeycomb
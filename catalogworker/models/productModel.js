@@ -3,6 +3,8 @@
  * Stores product data in JSONB format (excluding price and stock)
  */
 
+import { keysetQuery, keysetPage } from '../../shared/utils/cursor.js';
+
 /**
  * Get product by ID
  * @param {D1Database} db - Database instance
@@ -23,37 +25,58 @@ export async function getProductById(db, productId) {
 }
 
 /**
- * Get products with pagination
+ * Get products with pagination, newest first
+ * With a cursor position the page is read by keyset (no OFFSET, no count) and pagination has no page or total.
  * @param {D1Database} db - Database instance
- * @param {number} page - Page number (1-based)
+ * @param {number} page - Page number (1-based, ignored with a position)
  * @param {number} limit - Items per page
  * @param {string} category - Optional category filter
+ * @param {Object|null} position - Decoded cursor (see shared/utils/cursor.js)
  * @returns {Promise<Object>} Products and pagination info
  */
-export async function getProducts(db, page = 1, limit = 20, category = null) {
-  const offset = (page - 1) * limit;
-  
-  let query = `SELECT product_id, data, created_at, updated_at
-               FROM products 
-               WHERE deleted_at IS NULL`;
-  let countQuery = `SELECT COUNT(*) as total
-                    FROM products 
-                    WHERE deleted_at IS NULL`;
-  
+export async function getProducts(db, page = 1, limit = 20, category = null, position = null) {
+  const conditions = ['deleted_at IS NULL'];
   const params = [];
   
   if (category) {
-    query += ` AND json_extract(data, '$.category') = ?`;
-    countQuery += ` AND json_extract(data, '$.category') = ?`;
+    conditions.push(`json_extract(data, '$.category') = ?`);
     params.push(category);
   }
   
-  query += ` ORDER BY created_at DESC LIMIT ? OFFSET ?`;
-  params.push(limit, offset);
+  if (position) {
+    const keyset = keysetQuery(position, 'created_at', 'product_id');
+    const productsResult = await db
+      .prepare(
+        `SELECT product_id, data, created_at, updated_at
+         FROM products
+         WHERE ${[...conditions, keyset.condition].join(' AND ')}
+         ORDER BY ${keyset.orderBy}
+         LIMIT ?`
+      )
+      .bind(...params, ...keyset.params, limit + 1)
+      .all();
+    
+    const { rows, hasNext, hasPrev } = keysetPage(productsResult.results || [], limit, position);
+    return {
+      products: rows,
+      pagination: { limit, hasNext, hasPrev },
+    };
+  }
+  
+  const offset = (page - 1) * limit;
+  const whereClause = conditions.join(' AND ');
   
   const [productsResult, countResult] = await Promise.all([
-    db.prepare(query).bind(...params).all(),
-    db.prepare(countQuery).bind(...(category ? [category] : [])).first(),
+    db
+      .prepare(
+        `SELECT product_id, data, created_at, updated_at
+         FROM products 
+         WHERE ${whereClause}
+         ORDER BY created_at DESC, product_id DESC LIMIT ? OFFSET ?`
+      )
+      .bind(...params, limit, offset)
+      .all(),
+    db.prepare(`SELECT COUNT(*) as total FROM products WHERE ${whereClause}`).bind(...params).first(),
   ]);
   
   const total = countResult.total || 0;
@@ -72,78 +95,193 @@ export async function getProducts(db, page = 1, limit = 20, category = null) {
   };
 }
 
+// Top-level fields with their own search column, or not worth searching (URLs, status)
+const SPEC_EXCLUDED_FIELDS = new Set([
+  'name',
+  'brand',
+  'category',
+  'description',
+  'images',
+  'thumbnail',
+  'productImage',
+  'availabilityStatus',
+]);
+const MAX_SPECS_LENGTH = 8000;
+const MAX_SEARCH_TERMS = 8;
+
+// Highlight markers returned by highlight()/snippet(); the service escapes the text and turns them into <mark>
+export const HIGHLIGHT_START = '\u0002';
+export const HIGHLIGHT_END = '\u0003';
+
+// BM25 column weights: product_id (unindexed), name, brand, category, description, specs
+const BM25_WEIGHTS = '0.0, 10.0, 5.0, 3.0, 1.0, 0.5';
+
+// Relevance and highlight columns for queries that MATCH against products_fts
+export const SEARCH_RESULT_COLUMNS = `bm25(products_fts, ${BM25_WEIGHTS}) AS rank,
+              highlight(products_fts, 1, char(2), char(3)) AS name_highlight,
+              snippet(products_fts, -1, char(2), char(3), '…', 16) AS snippet`;
+
+function collectSpecText(value, parts) {
+  if (typeof value === 'string') {
+    if (value && !value.startsWith('http')) {
+      parts.push(value);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectSpecText(item, parts));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectSpecText(item, parts));
+  }
+}
+
+/**
+ * Build the full-text search document for a product
+ * specs holds every other text attribute (model, colors, tags, nested display/camera specs, ...)
+ * @param {Object} productData - Product data (JSONB)
+ * @returns {Object} { name, brand, category, description, specs }
+ */
+export function buildSearchDocument(productData) {
+  const parts = [];
+  for (const [key, value] of Object.entries(productData || {})) {
+    if (!SPEC_EXCLUDED_FIELDS.has(key)) {
+      collectSpecText(value, parts);
+    }
+  }
+
+  return {
+    name: productData?.name || '',
+    brand: productData?.brand || '',
+    category: productData?.category || '',
+    description: productData?.description || '',
+    specs: parts.join(' ').substring(0, MAX_SPECS_LENGTH),
+  };
+}
+
+/**
+ * Turn user input into an FTS5 query: every word is a quoted prefix term, so input cannot inject
+ * FTS5 syntax and "sams gal" matches "Samsung Galaxy"
+ * @param {string} searchTerm - Raw search input
+ * @param {string} operator - 'AND' (every word must match) or 'OR' (any word)
+ * @returns {string|null} MATCH expression, or null when the input has no searchable words
+ */
+export function buildMatchQuery(searchTerm, operator = 'AND') {
+  const terms = String(searchTerm || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .slice(0, MAX_SEARCH_TERMS);
+
+  if (terms.length === 0) {
+    return null;
+  }
+
+  return terms.map(term => `"${term}"*`).join(` ${operator} `);
+}
+
+/**
+ * Add or replace a product in the search index
+ * @param {D1Database} db - Database instance
+ * @param {string} productId - Product ID
+ * @param {Object} productData - Product data (JSONB)
+ */
+export async function indexProductForSearch(db, productId, productData) {
+  const document = buildSearchDocument(productData);
+
+  await removeProductFromSearch(db, productId);
+  await db
+    .prepare(
+      `INSERT INTO products_fts (product_id, name, brand, category, description, specs)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    )
+    .bind(productId, document.name, document.brand, document.category, document.description, document.specs)
+    .run();
+}
+
+/**
+ * Remove a product from the search index
+ * @param {D1Database} db - Database instance
+ * @param {string} productId - Product ID
+ */
+export async function removeProductFromSearch(db, productId) {
+  await db
+    .prepare('DELETE FROM products_fts WHERE product_id = ?')
+    .bind(productId)
+    .run();
+}
+
+async function runSearch(db, matchQuery, limit, offset, category) {
+  const categoryFilter = category ? ` AND json_extract(p.data, '$.category') = ?` : '';
+  const filterParams = category ? [matchQuery, category] : [matchQuery];
+
+  const productsResult = await db
+    .prepare(
+      `SELECT p.product_id, p.data, p.created_at, p.updated_at,
+              ${SEARCH_RESULT_COLUMNS}
+       FROM products_fts
+       JOIN products p ON p.product_id = products_fts.product_id
+       WHERE products_fts MATCH ?
+         AND p.deleted_at IS NULL${categoryFilter}
+       ORDER BY rank, p.product_id
+       LIMIT ? OFFSET ?`
+    )
+    .bind(...filterParams, limit, offset)
+    .all();
+
+  const countResult = await db
+    .prepare(
+      `SELECT COUNT(*) as total
+       FROM products_fts
+       JOIN products p ON p.product_id = products_fts.product_id
+       WHERE products_fts MATCH ?
+         AND p.deleted_at IS NULL${categoryFilter}`
+    )
+    .bind(...filterParams)
+    .first();
+
+  return {
+    products: productsResult.results || [],
+    total: countResult?.total || 0,
+  };
+}
+
 /**
- * Search products by name or description
+ * Full-text search over name, brand, category, description and specs, best matches first (BM25)
+ * Every word must match (as a prefix); if nothing does, any word may match.
+ * Rows include name_highlight and snippet with HIGHLIGHT_START/HIGHLIGHT_END around matches.
  * @param {D1Database} db - Database instance
  * @param {string} searchTerm - Search term
  * @param {number} page - Page number
  * @param {number} limit - Items per page
  * @param {string|null} category - Optional category filter
- * @returns {Promise<Object>} Products and pagination info
+ * @returns {Promise<Object>} Products, pagination info and the MATCH expression that produced them
  */
 export async function searchProducts(db, searchTerm, page = 1, limit = 20, category = null) {
   const offset = (page - 1) * limit;
-  
-  // Search in name and description fields using json_extract
-  let query = `SELECT product_id, data, created_at, updated_at
-               FROM products 
-               WHERE deleted_at IS NULL
-                 AND (
-                   json_extract(data, '$.name') LIKE ? 
-                   OR json_extract(data, '$.description') LIKE ?
-                 )`;
-  
-  let countQuery = `SELECT COUNT(*) as total
-                    FROM products 
-                    WHERE deleted_at IS NULL
-                      AND (
-                        json_extract(data, '$.name') LIKE ? 
-                        OR json_extract(data, '$.description') LIKE ?
-                      )`;
-  
-  const params = [];
-  const searchPattern = `%${searchTerm}%`;
-  params.push(searchPattern, searchPattern);
-  
-  // Add category filter if provided
-  if (category) {
-    query += ` AND json_extract(data, '$.category') = ?`;
-    countQuery += ` AND json_extract(data, '$.category') = ?`;
-    params.push(category);
-  }
-  
-  query += ` ORDER BY created_at DESC LIMIT ? OFFSET ?`;
-  params.push(limit, offset);
-  
-  const productsResult = await db
-    .prepare(query)
-    .bind(...params)
-    .all();
-  
-  // Get total count (without LIMIT/OFFSET)
-  const countParams = [searchPattern, searchPattern];
-  if (category) {
-    countParams.push(category);
+
+  let result = { products: [], total: 0 };
+  let matchQuery = buildMatchQuery(searchTerm);
+  if (matchQuery) {
+    result = await runSearch(db, matchQuery, limit, offset, category);
+
+    const anyTermQuery = buildMatchQuery(searchTerm, 'OR');
+    if (result.total === 0 && anyTermQuery !== matchQuery) {
+      matchQuery = anyTermQuery;
+      result = await runSearch(db, matchQuery, limit, offset, category);
+    }
   }
-  
-  const countResult = await db
-    .prepare(countQuery)
-    .bind(...countParams)
-    .first();
-  
-  const total = countResult.total || 0;
-  const totalPages = Math.ceil(total / limit);
-  
+
+  const totalPages = Math.ceil(result.total / limit);
+
   return {
-    products: productsResult.results || [],
+    products: result.products,
     pagination: {
       page,
       limit,
-      total,
+      total: result.total,
       totalPages,
       hasNext: page < totalPages,
       hasPrev: page > 1,
     },
+    matchQuery,
   };
 }
 
@@ -168,6 +306,8 @@ export async function createProduct(db, productId, productData) {
   if (!result.success) {
     throw new Error('Failed to create product');
   }
+
+  await indexProductForSearch(db, productId, productData);
   
   return {
     productId,
@@ -193,8 +333,12 @@ export async function updateProduct(db, productId, productData) {
     )
     .bind(JSON.stringify(productData), new Date().toISOString(), productId)
     .run();
-  
-  return result.success && result.meta.changes > 0;
+
+  const updated = result.success && result.meta.changes > 0;
+  if (updated) {
+    await indexProductForSearch(db, productId, productData);
+  }
+  return updated;
 }
 
 /**
@@ -212,7 +356,38 @@ export async function softDeleteProduct(db, productId) {
     )
     .bind(new Date().toISOString(), productId)
     .run();
-  
-  return result.success && result.meta.changes > 0;
+
+  const deleted = result.success && result.meta.changes > 0;
+  if (deleted) {
+    await removeProductFromSearch(db, productId);
+  }
+  return deleted;
+}
+
+/**
+ * Restore soft-deleted product
+ * @param {D1Database} db - Database instance
+ * @param {string} productId - Product ID
+ * @returns {Promise<boolean>} True if restored
+ */
+export async function restoreProduct(db, productId) {
+  const result = await db
+    .prepare(
+      `UPDATE products 
+       SET deleted_at = NULL, updated_at = ? 
+       WHERE product_id = ?`
+    )
+    .bind(new Date().toISOString(), productId)
+    .run();
+
+  if (!result.success || result.meta.changes === 0) {
+    return false;
+  }
+
+  const product = await getProductById(db, productId);
+  if (product) {
+    await indexProductForSearch(db, productId, JSON.parse(product.data));
+  }
+  return true;
 }
 
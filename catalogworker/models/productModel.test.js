@@ -7,6 +7,24 @@ import { expect } from 'chai';
 import * as productModel from './productModel.js';
 import { createMockD1WithSequence } from '../../test/setup.js';
 
+// Record bound arguments of every statement
+function recordBindings(db) {
+  const bindings = [];
+  const prepare = db.prepare;
+  db.prepare = (query) => {
+    const statement = prepare(query);
+    return {
+      ...statement,
+      bind: (...args) => {
+        bindings.push({ query, args });
+        return statement.bind(...args);
+      },
+    };
+  };
+  db._bindings = bindings;
+  return db;
+}
+
 describe('productModel', () => {
   describe('getProductById', () => {
     it('should return product when it exists', async () => {
@@ -71,6 +89,31 @@ describe('productModel', () => {
 
       expect(result.products).to.have.length(1);
     });
+
+    it('should read the page after a cursor position by keyset without counting', async () => {
+      const mockDb = recordBindings(createMockD1WithSequence([
+        {
+          all: {
+            results: [
+              { product_id: 'prod-2', created_at: '2026-01-02T00:00:00.000Z' },
+              { product_id: 'prod-1', created_at: '2026-01-01T00:00:00.000Z' },
+            ],
+            success: true,
+          },
+        }
+      ]));
+
+      const result = await productModel.getProducts(mockDb, 1, 1, 'electronics', {
+        key: ['2026-01-03T00:00:00.000Z', 'prod-3'],
+        direction: 'next',
+      });
+
+      expect(mockDb._bindings).to.have.length(1);
+      expect(mockDb._bindings[0].query).to.include('AND (created_at, product_id) < (?, ?)');
+      expect(mockDb._bindings[0].args).to.deep.equal(['electronics', '2026-01-03T00:00:00.000Z', 'prod-3', 2]);
+      expect(result.products.map(product => product.product_id)).to.deep.equal(['prod-2']);
+      expect(result.pagination).to.deep.equal({ limit: 1, hasNext: true, hasPrev: true });
+    });
   });
 
   describe('searchProducts', () => {
@@ -103,6 +146,83 @@ describe('productModel', () => {
 
       expect(result.products).to.have.length(1);
     });
+
+    it('should match every word as a prefix and rank by relevance', async () => {
+      const mockDb = recordBindings(createMockD1WithSequence([
+        { all: { results: [{ product_id: 'prod-1', data: '{}' }], success: true } },
+        { first: { total: 21 } }
+      ]));
+
+      const result = await productModel.searchProducts(mockDb, 'Sams Gal', 2, 20, 'smartphones');
+
+      const [search, count] = mockDb._bindings;
+      expect(search.query).to.include('products_fts MATCH ?');
+      expect(search.query).to.include('ORDER BY rank');
+      expect(search.query).to.include('snippet(products_fts');
+      expect(search.args).to.deep.equal(['"sams"* AND "gal"*', 'smartphones', 20, 20]);
+      expect(count.args).to.deep.equal(['"sams"* AND "gal"*', 'smartphones']);
+      expect(result.pagination).to.include({ page: 2, total: 21, totalPages: 2, hasPrev: true });
+    });
+
+    it('should fall back to any word when no product matches all of them', async () => {
+      const mockDb = recordBindings(createMockD1WithSequence([
+        { all: { results: [], success: true } },
+        { first: { total: 0 } },
+        { all: { results: [{ product_id: 'prod-1', data: '{}' }], success: true } },
+        { first: { total: 1 } }
+      ]));
+
+      const result = await productModel.searchProducts(mockDb, 'galaxy toaster', 1, 20);
+
+      expect(mockDb._bindings[2].args[0]).to.equal('"galaxy"* OR "toaster"*');
+      expect(result.products).to.have.length(1);
+      expect(result.pagination.total).to.equal(1);
+    });
+
+    it('should not query when the input has no searchable words', async () => {
+      const mockDb = recordBindings(createMockD1WithSequence([]));
+
+      const result = await productModel.searchProducts(mockDb, ' "*- ', 1, 20);
+
+      expect(mockDb._bindings).to.have.length(0);
+      expect(result.products).to.deep.equal([]);
+      expect(result.pagination.total).to.equal(0);
+    });
+  });
+
+  describe('buildMatchQuery', () => {
+    it('should quote words so FTS5 syntax in the input is ignored', () => {
+      expect(productModel.buildMatchQuery('name:"phone" NEAR(x')).to.equal('"name"* AND "phone"* AND "near"* AND "x"*');
+    });
+
+    it('should keep non-latin letters and digits', () => {
+      expect(productModel.buildMatchQuery('Crème 128GB', 'OR')).to.equal('"crème"* OR "128gb"*');
+    });
+  });
+
+  describe('buildSearchDocument', () => {
+    it('should flatten other text attributes into specs', () => {
+      const document = productModel.buildSearchDocument({
+        name: 'Galaxy S24',
+        brand: 'Samsung',
+        category: 'smartphones',
+        description: 'Flagship phone',
+        specs: { display: { type: 'AMOLED' } },
+        tags: ['android', '5g'],
+        rating: 4.5,
+        thumbnail: 'https://cdn.example.com/s24.png',
+        images: ['https://cdn.example.com/s24-1.png'],
+        availabilityStatus: 'In Stock',
+      });
+
+      expect(document).to.deep.equal({
+        name: 'Galaxy S24',
+        brand: 'Samsung',
+        category: 'smartphones',
+        description: 'Flagship phone',
+        specs: 'AMOLED android 5g',
+      });
+    });
   });
 
   describe('createProduct', () => {
@@ -164,6 +284,18 @@ describe('productModel', () => {
       expect(result).to.be.true;
     });
 
+    it('should re-index the updated product for search', async () => {
+      const mockDb = recordBindings(createMockD1WithSequence([
+        { run: { success: true, meta: { changes: 1 } } }
+      ]));
+
+      await productModel.updateProduct(mockDb, 'prod-123', { name: 'Updated Product', brand: 'Acme' });
+
+      expect(mockDb._bindings[1].query).to.include('DELETE FROM products_fts');
+      expect(mockDb._bindings[2].query).to.include('INSERT INTO products_fts');
+      expect(mockDb._bindings[2].args).to.deep.equal(['prod-123', 'Updated Product', 'Acme', '', '', '']);
+    });
+
     it('should return false when product does not exist', async () => {
       const mockDb = createMockD1WithSequence([
         {
@@ -196,6 +328,17 @@ describe('productModel', () => {
       expect(result).to.be.true;
     });
 
+    it('should remove the product from the search index', async () => {
+      const mockDb = recordBindings(createMockD1WithSequence([
+        { run: { success: true, meta: { changes: 1 } } }
+      ]));
+
+      await productModel.softDeleteProduct(mockDb, 'prod-123');
+
+      expect(mockDb._bindings[1].query).to.include('DELETE FROM products_fts');
+      expect(mockDb._bindings[1].args).to.deep.equal(['prod-123']);
+    });
+
     it('should return false when product does not exist', async () => {
       const mockDb = createMockD1WithSequence([
         {
@@ -211,5 +354,31 @@ describe('productModel', () => {
       expect(result).to.be.false;
     });
   });
-});
 
+  describe('restoreProduct', () => {
+    it('should restore the product and add it back to the search index', async () => {
+      const mockDb = recordBindings(createMockD1WithSequence([
+        { run: { success: true, meta: { changes: 1 } } },
+        { first: { product_id: 'prod-123', data: JSON.stringify({ name: 'Restored Product' }) } }
+      ]));
+
+      const result = await productModel.restoreProduct(mockDb, 'prod-123');
+
+      expect(result).to.be.true;
+      expect(mockDb._bindings[0].query).to.include('SET deleted_at = NULL');
+      expect(mockDb._bindings[3].query).to.include('INSERT INTO products_fts');
+      expect(mockDb._bindings[3].args[1]).to.equal('Restored Product');
+    });
+
+    it('should return false when product does not exist', async () => {
+      const mockDb = recordBindings(createMockD1WithSequence([
+        { run: { success: true, meta: { changes: 0 } } }
+      ]));
+
+      const result = await productModel.restoreProduct(mockDb, 'invalid-prod');
+
+      expect(result).to.be.false;
+      expect(mockDb._bindings).to.have.length(1);
+    });
+  });
+});
@@ -0,0 +1,466 @@
+/**
+ * Search projection model for catalog worker
+ * Denormalized copy of the filterable product fields (catalog data plus price from pricing-worker, stock from
+ * fulfillment-worker and order volume from orders-worker) so GET /products can filter, sort and count facets
+ * in one database pass
+ */
+
+import { buildMatchQuery, SEARCH_RESULT_COLUMNS } from './productModel.js';
+
+// Spec attributes offered as facets, with the product data paths they are read from (first match wins)
+export const FACET_ATTRIBUTES = {
+  ram: ['memory.ram', 'specs.ram', 'ram'],
+  storage: ['memory.storage', 'specs.storage', 'storage'],
+};
+
+export const RATING_FACET_STEPS = [4, 3, 2, 1];
+export const DISCOUNT_FACET_STEPS = [50, 25, 10];
+const MAX_FACET_VALUES = 50;
+
+// Price the shopper pays (the cart applies the same discount)
+const EFFECTIVE_PRICE = 'ROUND(ps.price * (100 - ps.discount_percentage) / 100.0, 2)';
+
+// ORDER BY per sort mode; product_id breaks ties so pages never overlap or skip products.
+// Products without a price or rating go last. relevance needs a search term (rank comes from products_fts).
+const SORT_ORDERS = {
+  relevance: 'rank, p.product_id',
+  newest: 'p.created_at DESC, p.product_id DESC',
+  price_asc: `ps.price IS NULL, ${EFFECTIVE_PRICE} ASC, p.product_id`,
+  price_desc: `ps.price IS NULL, ${EFFECTIVE_PRICE} DESC, p.product_id`,
+  rating: 'ps.rating IS NULL, ps.rating DESC, p.product_id',
+  popularity: 'ps.popularity DESC, p.product_id',
+  discount: 'ps.discount_percentage DESC, p.product_id',
+};
+
+export const PRODUCT_SORTS = Object.keys(SORT_ORDERS);
+
+function getPath(data, path) {
+  return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), data);
+}
+
+/**
+ * Normalize a capacity spec ("16GB LPDDR5X", "512 gb") to its size ("16GB", "512GB")
+ * @param {*} value - Raw attribute value
+ * @returns {string|null} Normalized value, or null if it is not a capacity
+ */
+export function normalizeCapacity(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return null;
+  }
+  const match = /(\d+(?:\.\d+)?)\s*(TB|GB|MB)\b/i.exec(String(value));
+  return match ? `${match[1]}${match[2].toUpperCase()}` : null;
+}
+
+/**
+ * Read the facet attributes of a product
+ * @param {Object} productData - Product data (JSONB)
+ * @returns {Object} Attribute name to normalized value, for the attributes the product has
+ */
+export function extractFacetAttributes(productData) {
+  const attributes = {};
+  for (const [name, paths] of Object.entries(FACET_ATTRIBUTES)) {
+    const raw = paths.map(path => getPath(productData, path)).find(value => value !== undefined && value !== null);
+    const value = normalizeCapacity(raw);
+    if (value) {
+      attributes[name] = value;
+    }
+  }
+  return attributes;
+}
+
+function toDiscount(productData) {
+  const discount = Number(productData.discountPercentage) || 0;
+  return discount > 0 && discount <= 90 ? discount : 0;
+}
+
+/**
+ * Write the catalog fields of a product to the projection (price, stock and popularity are kept)
+ * @param {D1Database} db - Database instance
+ * @param {string} productId - Product ID
+ * @param {Object} productData - Product data (JSONB)
+ */
+export async function upsertProductProjection(db, productId, productData) {
+  const rating = Number(productData.rating);
+
+  await db
+    .prepare(
+      `INSERT INTO product_search (product_id, category, brand, rating, discount_percentage, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(product_id) DO UPDATE SET
+         category = excluded.category,
+         brand = excluded.brand,
+         rating = excluded.rating,
+         discount_percentage = excluded.discount_percentage,
+         updated_at = excluded.updated_at`
+    )
+    .bind(
+      productId,
+      productData.category || null,
+      productData.brand || null,
+      Number.isFinite(rating) ? rating : null,
+      toDiscount(productData),
+      new Date().toISOString()
+    )
+    .run();
+
+  await db
+    .prepare('DELETE FROM product_search_attributes WHERE product_id = ?')
+    .bind(productId)
+    .run();
+
+  for (const [name, value] of Object.entries(extractFacetAttributes(productData))) {
+    await db
+      .prepare('INSERT INTO product_search_attributes (product_id, name, value) VALUES (?, ?, ?)')
+      .bind(productId, name, value)
+      .run();
+  }
+}
+
+/**
+ * Remove a product from the projection
+ * @param {D1Database} db - Database instance
+ * @param {string} productId - Product ID
+ */
+export async function deleteProductProjection(db, productId) {
+  await db
+    .prepare('DELETE FROM product_search_attributes WHERE product_id = ?')
+    .bind(productId)
+    .run();
+  await db
+    .prepare('DELETE FROM product_search WHERE product_id = ?')
+    .bind(productId)
+    .run();
+}
+
+/**
+ * Get the next batch of projected product IDs (keyset by product_id)
+ * @param {D1Database} db - Database instance
+ * @param {string} afterId - Last product ID of the previous batch ('' for the first)
+ * @param {number} limit - Batch size
+ * @returns {Promise<string[]>} Product IDs
+ */
+export async function getProjectionProductIds(db, afterId, limit) {
+  const result = await db
+    .prepare(
+      `SELECT product_id FROM product_search
+       WHERE product_id > ?
+       ORDER BY product_id
+       LIMIT ?`
+    )
+    .bind(afterId, limit)
+    .all();
+
+  return (result.results || []).map(row => row.product_id);
+}
+
+/**
+ * Copy prices from pricing-worker into the projection
+ * @param {D1Database} db - Database instance
+ * @param {string[]} productIds - Products in this batch (those missing from prices become unpriced)
+ * @param {Object} prices - Map of productId to { price } (GET /products on pricing-worker)
+ * @param {string} syncedAt - ISO timestamp of the refresh
+ */
+export async function updateProjectionPrices(db, productIds, prices, syncedAt) {
+  await db
+    .prepare(
+      `UPDATE product_search
+       SET price = (SELECT json_extract(value, '$.price') FROM json_each(?) WHERE key = product_search.product_id),
+           synced_at = ?
+       WHERE product_id IN (SELECT value FROM json_each(?))`
+    )
+    .bind(JSON.stringify(prices), syncedAt, JSON.stringify(productIds))
+    .run();
+}
+
+/**
+ * Copy available stock from fulfillment-worker into the projection
+ * @param {D1Database} db - Database instance
+ * @param {string[]} productIds - Products in this batch (those missing from stocks become out of stock)
+ * @param {Object} stocks - Map of productId to { available } (GET /stocks on fulfillment-worker)
+ * @param {string} syncedAt - ISO timestamp of the refresh
+ */
+export async function updateProjectionStock(db, productIds, stocks, syncedAt) {
+  await db
+    .prepare(
+      `UPDATE product_search
+       SET stock = COALESCE((SELECT json_extract(value, '$.available') FROM json_each(?) WHERE key = product_search.product_id), 0),
+           synced_at = ?
+       WHERE product_id IN (SELECT value FROM json_each(?))`
+    )
+    .bind(JSON.stringify(stocks), syncedAt, JSON.stringify(productIds))
+    .run();
+}
+
+/**
+ * Copy recent order volume from orders-worker into the projection (used to sort by popularity)
+ * @param {D1Database} db - Database instance
+ * @param {string[]} productIds - Products in this batch (those missing from volumes were not ordered)
+ * @param {Object} volumes - Map of productId to { units } (GET /products/order-volume on orders-worker)
+ * @param {string} syncedAt - ISO timestamp of the refresh
+ */
+export async function updateProjectionPopularity(db, productIds, volumes, syncedAt) {
+  await db
+    .prepare(
+      `UPDATE product_search
+       SET popularity = COALESCE((SELECT json_extract(value, '$.units') FROM json_each(?) WHERE key = product_search.product_id), 0),
+           synced_at = ?
+       WHERE product_id IN (SELECT value FROM json_each(?))`
+    )
+    .bind(JSON.stringify(volumes), syncedAt, JSON.stringify(productIds))
+    .run();
+}
+
+/**
+ * Build the WHERE conditions for a set of filters
+ * @param {Object} filters - Parsed filters (see filterProducts)
+ * @param {string|null} matchQuery - FTS5 MATCH expression, or null
+ * @param {string|null} exclude - Facet whose own filter is left out (so its counts show the alternatives)
+ * @returns {Object} { conditions, params }
+ */
+function buildConditions(filters, matchQuery, exclude = null) {
+  const conditions = [];
+  const params = [];
+
+  if (matchQuery) {
+    conditions.push('ps.product_id IN (SELECT product_id FROM products_fts WHERE products_fts MATCH ?)');
+    params.push(matchQuery);
+  }
+  if (filters.category && exclude !== 'category') {
+    conditions.push('ps.category = ?');
+    params.push(filters.category);
+  }
+  if (filters.brands?.length && exclude !== 'brand') {
+    conditions.push(`ps.brand IN (${filters.brands.map(() => '?').join(', ')})`);
+    params.push(...filters.brands);
+  }
+  if (exclude !== 'price') {
+    if (filters.minPrice !== undefined && filters.minPrice !== null) {
+      conditions.push(`${EFFECTIVE_PRICE} >= ?`);
+      params.push(filters.minPrice);
+    }
+    if (filters.maxPrice !== undefined && filters.maxPrice !== null) {
+      conditions.push(`${EFFECTIVE_PRICE} <= ?`);
+      params.push(filters.maxPrice);
+    }
+  }
+  if (filters.minRating && exclude !== 'rating') {
+    conditions.push('ps.rating >= ?');
+    params.push(filters.minRating);
+  }
+  if (filters.minDiscount && exclude !== 'discount') {
+    conditions.push('ps.discount_percentage >= ?');
+    params.push(filters.minDiscount);
+  }
+  if (filters.inStock && exclude !== 'inStock') {
+    conditions.push('ps.stock > 0');
+  }
+  for (const [name, values] of Object.entries(filters.attributes || {})) {
+    if (values?.length && exclude !== name) {
+      conditions.push(
+        `ps.product_id IN (SELECT product_id FROM product_search_attributes WHERE name = ? AND value IN (${values.map(() => '?').join(', ')}))`
+      );
+      params.push(name, ...values);
+    }
+  }
+
+  return { conditions, params };
+}
+
+function whereClause(conditions) {
+  return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+async function runFilter(db, filters, matchQuery, sort, limit, offset) {
+  const listed = buildConditions(filters, null);
+  const orderBy = SORT_ORDERS[sort === 'relevance' && !matchQuery ? 'newest' : sort] || SORT_ORDERS.newest;
+  const productsResult = await db
+    .prepare(
+      matchQuery
+        ? `SELECT p.product_id, p.data, p.created_at, p.updated_at,
+                  ${SEARCH_RESULT_COLUMNS}
+           FROM products_fts
+           JOIN product_search ps ON ps.product_id = products_fts.product_id
+           JOIN products p ON p.product_id = ps.product_id
+           WHERE products_fts MATCH ? AND p.deleted_at IS NULL${listed.conditions.map(condition => ` AND ${condition}`).join('')}
+           ORDER BY ${orderBy}
+           LIMIT ? OFFSET ?`
+        : `SELECT p.product_id, p.data, p.created_at, p.updated_at
+           FROM product_search ps
+           JOIN products p ON p.product_id = ps.product_id
+           WHERE p.deleted_at IS NULL${listed.conditions.map(condition => ` AND ${condition}`).join('')}
+           ORDER BY ${orderBy}
+           LIMIT ? OFFSET ?`
+    )
+    .bind(...(matchQuery ? [matchQuery] : []), ...listed.params, limit, offset)
+    .all();
+
+  const counted = buildConditions(filters, matchQuery);
+  const countResult = await db
+    .prepare(`SELECT COUNT(*) as total FROM product_search ps ${whereClause(counted.conditions)}`)
+    .bind(...counted.params)
+    .first();
+
+  return {
+    products: productsResult.results || [],
+    total: countResult?.total || 0,
+  };
+}
+
+/**
+ * Filter and sort products through the search projection
+ * With a search term, results carry highlights like searchProducts.
+ * @param {D1Database} db - Database instance
+ * @param {Object} filters - { category, search, brands, minPrice, maxPrice, minRating, minDiscount, inStock, attributes }
+ *   (minPrice/maxPrice apply to the discounted price; attributes maps a FACET_ATTRIBUTES name to accepted values)
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @param {string|null} sort - One of PRODUCT_SORTS; defaults to relevance when searching, newest otherwise
+ *   (relevance without a search term lists newest first)
+ * @returns {Promise<Object>} Products, pagination info and the MATCH expression used (null without search)
+ */
+export async function filterProducts(db, filters, page = 1, limit = 20, sort = null) {
+  const offset = (page - 1) * limit;
+  const appliedSort = sort || (filters.search ? 'relevance' : 'newest');
+
+  let matchQuery = null;
+  let result = { products: [], total: 0 };
+  if (!filters.search) {
+    result = await runFilter(db, filters, null, appliedSort, limit, offset);
+  } else {
+    matchQuery = buildMatchQuery(filters.search);
+    if (matchQuery) {
+      result = await runFilter(db, filters, matchQuery, appliedSort, limit, offset);
+
+      const anyTermQuery = buildMatchQuery(filters.search, 'OR');
+      if (result.total === 0 && anyTermQuery !== matchQuery) {
+        matchQuery = anyTermQuery;
+        result = await runFilter(db, filters, matchQuery, appliedSort, limit, offset);
+      }
+    }
+  }
+
+  const totalPages = Math.ceil(result.total / limit);
+
+  return {
+    products: result.products,
+    pagination: {
+      page,
+      limit,
+      total: result.total,
+      totalPages,
+      hasNext: page < totalPages,
+      hasPrev: page > 1,
+    },
+    matchQuery,
+  };
+}
+
+async function getValueCounts(db, filters, matchQuery, facet, column) {
+  const { conditions, params } = buildConditions(filters, matchQuery, facet);
+  const result = await db
+    .prepare(
+      `SELECT ${column} AS value, COUNT(*) AS count
+       FROM product_search ps
+       ${whereClause([`${column} IS NOT NULL`, ...conditions])}
+       GROUP BY ${column}
+       ORDER BY count DESC, value
+       LIMIT ${MAX_FACET_VALUES}`
+    )
+    .bind(...params)
+    .all();
+
+  return result.results || [];
+}
+
+async function getAttributeCounts(db, filters, matchQuery, name) {
+  const { conditions, params } = buildConditions(filters, matchQuery, name);
+  const result = await db
+    .prepare(
+      `SELECT a.value, COUNT(*) AS count
+       FROM product_search_attributes a
+       JOIN product_search ps ON ps.product_id = a.product_id
+       ${whereClause(['a.name = ?', ...conditions])}
+       GROUP BY a.value
+       ORDER BY count DESC, a.value
+       LIMIT ${MAX_FACET_VALUES}`
+    )
+    .bind(name, ...params)
+    .all();
+
+  return result.results || [];
+}
+
+async function getStepCounts(db, filters, matchQuery, facet, column, steps) {
+  const { conditions, params } = buildConditions(filters, matchQuery, facet);
+  const result = await db
+    .prepare(
+      `SELECT ${steps.map((step, index) => `SUM(CASE WHEN ${column} >= ${Number(step)} THEN 1 ELSE 0 END) AS step_${index}`).join(', ')}
+       FROM product_search ps
+       ${whereClause(conditions)}`
+    )
+    .bind(...params)
+    .first();
+
+  return steps.map((step, index) => ({ min: step, count: result?.[`step_${index}`] || 0 }));
+}
+
+async function getPriceRange(db, filters, matchQuery) {
+  const { conditions, params } = buildConditions(filters, matchQuery, 'price');
+  const result = await db
+    .prepare(
+      `SELECT MIN(${EFFECTIVE_PRICE}) AS min, MAX(${EFFECTIVE_PRICE}) AS max
+       FROM product_search ps
+       ${whereClause(['ps.price IS NOT NULL', ...conditions])}`
+    )
+    .bind(...params)
+    .first();
+
+  return { min: result?.min ?? null, max: result?.max ?? null };
+}
+
+async function getInStockCount(db, filters, matchQuery) {
+  const { conditions, params } = buildConditions(filters, matchQuery, 'inStock');
+  const result = await db
+    .prepare(
+      `SELECT COUNT(*) AS count
+       FROM product_search ps
+       ${whereClause(['ps.stock > 0', ...conditions])}`
+    )
+    .bind(...params)
+    .first();
+
+  return { count: result?.count || 0 };
+}
+
+/**
+ * Count the options of every facet
+ * Each facet is counted with all the other filters applied but not its own, so selecting a brand
+ * still shows how many products the other brands would add.
+ * @param {D1Database} db - Database instance
+ * @param {Object} filters - Parsed filters (see filterProducts)
+ * @param {string|null} matchQuery - MATCH expression the results were found with (null without search)
+ * @returns {Promise<Object>} { category, brand, price, rating, discount, inStock, ...attribute facets }
+ */
+export async function getFacetCounts(db, filters, matchQuery = null) {
+  const attributeNames = Object.keys(FACET_ATTRIBUTES);
+
+  const [category, brand, price, rating, discount, inStock, ...attributes] = await Promise.all([
+    getValueCounts(db, filters, matchQuery, 'category', 'ps.category'),
+    getValueCounts(db, filters, matchQuery, 'brand', 'ps.brand'),
+    getPriceRange(db, filters, matchQuery),
+    getStepCounts(db, filters, matchQuery, 'rating', 'ps.rating', RATING_FACET_STEPS),
+    getStepCounts(db, filters, matchQuery, 'discount', 'ps.discount_percentage', DISCOUNT_FACET_STEPS),
+    getInStockCount(db, filters, matchQuery),
+    ...attributeNames.map(name => getAttributeCounts(db, filters, matchQuery, name)),
+  ]);
+
+  return {
+    category,
+    brand,
+    price,
+    rating,
+    discount,
+    inStock,
+    ...Object.fromEntries(attributeNames.map((name, index) => [name, attributes[index]])),
+  };
+}
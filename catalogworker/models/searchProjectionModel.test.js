@@ -0,0 +1,196 @@
+/**
+ * Tests for searchProjectionModel
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import * as searchProjectionModel from './searchProjectionModel.js';
+import { createMockD1WithSequence } from '../../test/setup.js';
+
+// Record bound arguments of every statement
+function recordBindings(db) {
+  const bindings = [];
+  const prepare = db.prepare;
+  db.prepare = (query) => {
+    const statement = prepare(query);
+    return {
+      ...statement,
+      bind: (...args) => {
+        bindings.push({ query, args });
+        return statement.bind(...args);
+      },
+    };
+  };
+  db._bindings = bindings;
+  return db;
+}
+
+describe('searchProjectionModel', () => {
+  describe('extractFacetAttributes', () => {
+    it('should normalize capacity specs', () => {
+      const attributes = searchProjectionModel.extractFacetAttributes({
+        memory: { ram: '16GB LPDDR5X', storage: '1 tb NVMe SSD' },
+      });
+
+      expect(attributes).to.deep.equal({ ram: '16GB', storage: '1TB' });
+    });
+
+    it('should skip attributes that are missing or not capacities', () => {
+      const attributes = searchProjectionModel.extractFacetAttributes({
+        ram: 'unified memory',
+      });
+
+      expect(attributes).to.deep.equal({});
+    });
+  });
+
+  describe('upsertProductProjection', () => {
+    it('should write catalog fields and replace spec attributes', async () => {
+      const db = recordBindings(createMockD1WithSequence([]));
+
+      await searchProjectionModel.upsertProductProjection(db, 'prod-1', {
+        category: 'smartphones',
+        brand: 'Acme',
+        rating: 4.5,
+        discountPercentage: 95, // Outside 0-90: not applied, like the cart
+        memory: { ram: '8GB' },
+      });
+
+      expect(db._bindings[0].query).to.include('ON CONFLICT(product_id) DO UPDATE');
+      expect(db._bindings[0].query).to.not.include('price');
+      expect(db._bindings[0].args.slice(0, 5)).to.deep.equal(['prod-1', 'smartphones', 'Acme', 4.5, 0]);
+      expect(db._bindings[1].query).to.include('DELETE FROM product_search_attributes');
+      expect(db._bindings[2].args).to.deep.equal(['prod-1', 'ram', '8GB']);
+      expect(db._bindings).to.have.length(3);
+    });
+  });
+
+  describe('updateProjectionPrices', () => {
+    it('should copy the batch of prices in one statement', async () => {
+      const db = recordBindings(createMockD1WithSequence([]));
+
+      await searchProjectionModel.updateProjectionPrices(db, ['prod-1', 'prod-2'], { 'prod-1': { price: 100 } }, '2026-01-01T00:00:00.000Z');
+
+      expect(db._bindings).to.have.length(1);
+      expect(db._bindings[0].args).to.deep.equal([
+        JSON.stringify({ 'prod-1': { price: 100 } }),
+        '2026-01-01T00:00:00.000Z',
+        JSON.stringify(['prod-1', 'prod-2']),
+      ]);
+    });
+  });
+
+  describe('updateProjectionPopularity', () => {
+    it('should copy units ordered and reset products without orders', async () => {
+      const db = recordBindings(createMockD1WithSequence([]));
+
+      await searchProjectionModel.updateProjectionPopularity(db, ['prod-1', 'prod-2'], { 'prod-1': { units: 7, orders: 5 } }, '2026-01-01T00:00:00.000Z');
+
+      expect(db._bindings[0].query).to.include("COALESCE((SELECT json_extract(value, '$.units')");
+      expect(db._bindings[0].args[2]).to.equal(JSON.stringify(['prod-1', 'prod-2']));
+    });
+  });
+
+  describe('filterProducts', () => {
+    it('should apply every filter and paginate', async () => {
+      const db = recordBindings(createMockD1WithSequence([
+        { all: { results: [{ product_id: 'prod-1', data: '{}' }], success: true } },
+        { first: { total: 21 } }
+      ]));
+
+      const result = await searchProjectionModel.filterProducts(db, {
+        category: 'smartphones',
+        brands: ['Acme', 'Globex'],
+        minPrice: 100,
+        maxPrice: 500,
+        minRating: 4,
+        minDiscount: 10,
+        inStock: true,
+        attributes: { ram: ['8GB', '16GB'], storage: [] },
+      }, 2, 20);
+
+      const [list, count] = db._bindings;
+      expect(list.query).to.include('ORDER BY p.created_at DESC');
+      expect(list.args).to.deep.equal(['smartphones', 'Acme', 'Globex', 100, 500, 4, 10, 'ram', '8GB', '16GB', 20, 20]);
+      expect(count.query).to.include('ps.stock > 0');
+      expect(count.args).to.deep.equal(['smartphones', 'Acme', 'Globex', 100, 500, 4, 10, 'ram', '8GB', '16GB']);
+      expect(result.pagination).to.include({ page: 2, total: 21, totalPages: 2, hasPrev: true });
+      expect(result.matchQuery).to.be.null;
+    });
+
+    it('should rank by relevance when searching and fall back to any word', async () => {
+      const db = recordBindings(createMockD1WithSequence([
+        { all: { results: [], success: true } },
+        { first: { total: 0 } },
+        { all: { results: [{ product_id: 'prod-1', data: '{}' }], success: true } },
+        { first: { total: 1 } }
+      ]));
+
+      const result = await searchProjectionModel.filterProducts(db, {
+        search: 'galaxy toaster',
+        brands: ['Acme'],
+      }, 1, 20);
+
+      expect(db._bindings[0].query).to.include('ORDER BY rank');
+      expect(db._bindings[0].args).to.deep.equal(['"galaxy"* AND "toaster"*', 'Acme', 20, 0]);
+      expect(db._bindings[2].args[0]).to.equal('"galaxy"* OR "toaster"*');
+      expect(result.matchQuery).to.equal('"galaxy"* OR "toaster"*');
+      expect(result.products).to.have.length(1);
+    });
+
+    it('should sort by effective price with unpriced products last and a stable tie-breaker', async () => {
+      const db = recordBindings(createMockD1WithSequence([]));
+
+      await searchProjectionModel.filterProducts(db, { search: 'galaxy' }, 1, 20, 'price_desc');
+
+      expect(db._bindings[0].query).to.include(
+        'ORDER BY ps.price IS NULL, ROUND(ps.price * (100 - ps.discount_percentage) / 100.0, 2) DESC, p.product_id'
+      );
+    });
+
+    it('should sort by newest when relevance is requested without a search', async () => {
+      const db = recordBindings(createMockD1WithSequence([]));
+
+      await searchProjectionModel.filterProducts(db, { brands: ['Acme'] }, 1, 20, 'relevance');
+
+      expect(db._bindings[0].query).to.include('ORDER BY p.created_at DESC, p.product_id DESC');
+    });
+  });
+
+  describe('getFacetCounts', () => {
+    it('should count each facet without its own filter', async () => {
+      const db = recordBindings(createMockD1WithSequence([
+        { all: { results: [{ value: 'smartphones', count: 3 }] } },
+        { all: { results: [{ value: 'Acme', count: 2 }, { value: 'Globex', count: 1 }] } },
+        { first: { min: 99.5, max: 450 } },
+        { first: { step_0: 2, step_1: 3, step_2: 3, step_3: 3 } },
+        { first: { step_0: 0, step_1: 1, step_2: 2 } },
+        { first: { count: 3 } },
+        { all: { results: [{ value: '8GB', count: 2 }] } },
+        { all: { results: [] } }
+      ]));
+
+      const facets = await searchProjectionModel.getFacetCounts(db, {
+        category: 'smartphones',
+        brands: ['Acme'],
+        inStock: true,
+      });
+
+      const [categoryQuery, brandQuery] = db._bindings;
+      expect(categoryQuery.args).to.deep.equal(['Acme']);
+      expect(brandQuery.args).to.deep.equal(['smartphones']);
+      expect(db._bindings[5].query).to.include('ps.stock > 0');
+      expect(db._bindings[5].args).to.deep.equal(['smartphones', 'Acme']);
+      expect(facets).to.deep.equal({
+        category: [{ value: 'smartphones', count: 3 }],
+        brand: [{ value: 'Acme', count: 2 }, { value: 'Globex', count: 1 }],
+        price: { min: 99.5, max: 450 },
+        rating: [{ min: 4, count: 2 }, { min: 3, count: 3 }, { min: 2, count: 3 }, { min: 1, count: 3 }],
+        discount: [{ min: 50, count: 0 }, { min: 25, count: 1 }, { min: 10, count: 2 }],
+        inStock: { count: 3 },
+        ram: [{ value: '8GB', count: 2 }],
+        storage: [],
+      });
+    });
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Variant model for catalog worker
+ * Child SKUs of a product (one per combination of the product's variant axes); price and stock are kept
+ * by pricing- and fulfillment-worker under the variant ID
+ */
+
+function toVariant(row) {
+  return {
+    variantId: row.variant_id,
+    productId: row.product_id,
+    sku: row.sku,
+    attributes: typeof row.attributes === 'string' ? JSON.parse(row.attributes) : (row.attributes || {}),
+    images: typeof row.images === 'string' ? JSON.parse(row.images) : (row.images || []),
+    position: row.position,
+  };
+}
+
+/**
+ * Get the live variants of a product, in picker order
+ * @param {D1Database} db - Database instance
+ * @param {string} productId - Product ID
+ * @returns {Promise<Object[]>} Variants ({ variantId, productId, sku, attributes, images, position })
+ */
+export async function getVariantsByProductId(db, productId) {
+  const result = await db
+    .prepare(
+      `SELECT variant_id, product_id, sku, attributes, images, position
+       FROM product_variants
+       WHERE product_id = ? AND deleted_at IS NULL
+       ORDER BY position, variant_id`
+    )
+    .bind(productId)
+    .all();
+
+  return (result.results || []).map(toVariant);
+}
+
+/**
+ * Get the live variants of several products
+ * @param {D1Database} db - Database instance
+ * @param {string[]} productIds - Product IDs
+ * @returns {Promise<Object>} Map of productId to variants (products without variants are left out)
+ */
+export async function getVariantsByProductIds(db, productIds) {
+  if (productIds.length === 0) {
+    return {};
+  }
+
+  const result = await db
+    .prepare(
+      `SELECT variant_id, product_id, sku, attributes, images, position
+       FROM product_variants
+       WHERE product_id IN (SELECT value FROM json_each(?)) AND deleted_at IS NULL
+       ORDER BY product_id, position, variant_id`
+    )
+    .bind(JSON.stringify(productIds))
+    .all();
+
+  const variantsByProduct = {};
+  for (const variant of (result.results || []).map(toVariant)) {
+    if (!variantsByProduct[variant.productId]) {
+      variantsByProduct[variant.productId] = [];
+    }
+    variantsByProduct[variant.productId].push(variant);
+  }
+  return variantsByProduct;
+}
+
+/**
+ * Get live variants by SKU (any product)
+ * @param {D1Database} db - Database instance
+ * @param {string[]} skus - SKUs
+ * @returns {Promise<Object[]>} Variants using those SKUs
+ */
+export async function getVariantsBySkus(db, skus) {
+  if (skus.length === 0) {
+    return [];
+  }
+
+  const result = await db
+    .prepare(
+      `SELECT variant_id, product_id, sku, attributes, images, position
+       FROM product_variants
+       WHERE sku IN (SELECT value FROM json_each(?)) AND deleted_at IS NULL`
+    )
+    .bind(JSON.stringify(skus))
+    .all();
+
+  return (result.results || []).map(toVariant);
+}
+
+/**
+ * Create or update a variant
+ * @param {D1Database} db - Database instance
+ * @param {string} productId - Product ID
+ * @param {Object} variant - { variantId, sku, attributes, images, position }
+ */
+export async function upsertVariant(db, productId, variant) {
+  const now = new Date().toISOString();
+
+  const result = await db
+    .prepare(
+      `INSERT INTO product_variants (variant_id, product_id, sku, attributes, images, position, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(variant_id) DO UPDATE SET
+         sku = excluded.sku,
+         attributes = excluded.attributes,
+         images = excluded.images,
+         position = excluded.position,
+         updated_at = excluded.updated_at,
+         deleted_at = NULL`
+    )
+    .bind(
+      variant.variantId,
+      productId,
+      variant.sku,
+      JSON.stringify(variant.attributes),
+      JSON.stringify(variant.images || []),
+      variant.position,
+      now,
+      now
+    )
+    .run();
+
+  if (!result.success) {
+    throw new Error('Failed to save product variant');
+  }
+}
+
+/**
+ * Soft delete the variants of a product that are not in keepIds
+ * @param {D1Database} db - Database instance
+ * @param {string} productId - Product ID
+ * @param {string[]} keepIds - Variant IDs to keep
+ * @returns {Promise<number>} Number of variants removed
+ */
+export async function softDeleteVariantsExcept(db, productId, keepIds) {
+  const result = await db
+    .prepare(
+      `UPDATE product_variants
+       SET deleted_at = ?
+       WHERE product_id = ? AND deleted_at IS NULL
+         AND variant_id NOT IN (SELECT value FROM json_each(?))`
+    )
+    .bind(new Date().toISOString(), productId, JSON.stringify(keepIds))
+    .run();
+
+  return result.meta?.changes || 0;
+}
@@ -0,0 +1,125 @@
+/**
+ * Tests for variantModel
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import {
+  getVariantsByProductId,
+  getVariantsByProductIds,
+  getVariantsBySkus,
+  upsertVariant,
+  softDeleteVariantsExcept,
+} from './variantModel.js';
+import { createMockD1WithSequence } from '../../test/setup.js';
+
+// Record bound arguments of every statement
+function recordBindings(db) {
+  const bindings = [];
+  const prepare = db.prepare;
+  db.prepare = (query) => {
+    const statement = prepare(query);
+    return {
+      ...statement,
+      bind: (...args) => {
+        bindings.push({ query, args });
+        return statement.bind(...args);
+      },
+    };
+  };
+  db._bindings = bindings;
+  return db;
+}
+
+const variantRow = (variantId, productId, extra = {}) => ({
+  variant_id: variantId,
+  product_id: productId,
+  sku: `SKU-${variantId}`,
+  attributes: JSON.stringify({ colour: 'Black' }),
+  images: JSON.stringify(['https://img/black.jpg']),
+  position: 0,
+  ...extra,
+});
+
+describe('variantModel', () => {
+  describe('getVariantsByProductId', () => {
+    it('should return live variants with parsed attributes and images', async () => {
+      const db = recordBindings(createMockD1WithSequence([{ all: { results: [variantRow('variant-1', 'product-1')] } }]));
+
+      const variants = await getVariantsByProductId(db, 'product-1');
+
+      expect(db._bindings[0].query).to.include('deleted_at IS NULL');
+      expect(variants).to.deep.equal([{
+        variantId: 'variant-1',
+        productId: 'product-1',
+        sku: 'SKU-variant-1',
+        attributes: { colour: 'Black' },
+        images: ['https://img/black.jpg'],
+        position: 0,
+      }]);
+    });
+  });
+
+  describe('getVariantsByProductIds', () => {
+    it('should group variants by product', async () => {
+      const db = recordBindings(createMockD1WithSequence([{
+        all: {
+          results: [
+            variantRow('variant-1', 'product-1'),
+            variantRow('variant-2', 'product-1', { position: 1 }),
+            variantRow('variant-3', 'product-2'),
+          ],
+        },
+      }]));
+
+      const variantsByProduct = await getVariantsByProductIds(db, ['product-1', 'product-2', 'product-3']);
+
+      expect(db._bindings[0].args).to.deep.equal([JSON.stringify(['product-1', 'product-2', 'product-3'])]);
+      expect(Object.keys(variantsByProduct)).to.deep.equal(['product-1', 'product-2']);
+      expect(variantsByProduct['product-1'].map(variant => variant.variantId)).to.deep.equal(['variant-1', 'variant-2']);
+    });
+
+    it('should not query without product IDs', async () => {
+      const db = recordBindings(createMockD1WithSequence([]));
+
+      expect(await getVariantsByProductIds(db, [])).to.deep.equal({});
+      expect(await getVariantsBySkus(db, [])).to.deep.equal([]);
+      expect(db._bindings).to.have.length(0);
+    });
+  });
+
+  describe('upsertVariant', () => {
+    it('should store attributes and images as JSON and revive a removed variant', async () => {
+      const db = recordBindings(createMockD1WithSequence([{ run: { success: true, meta: { changes: 1 } } }]));
+
+      await upsertVariant(db, 'product-1', {
+        variantId: 'variant-1',
+        sku: 'PHONE-BLK-128',
+        attributes: { colour: 'Black', storage: '128GB' },
+        images: [],
+        position: 2,
+      });
+
+      expect(db._bindings[0].query).to.include('deleted_at = NULL');
+      expect(db._bindings[0].args.slice(0, 6)).to.deep.equal([
+        'variant-1',
+        'product-1',
+        'PHONE-BLK-128',
+        JSON.stringify({ colour: 'Black', storage: '128GB' }),
+        '[]',
+        2,
+      ]);
+    });
+  });
+
+  describe('softDeleteVariantsExcept', () => {
+    it('should remove the variants of the product that are not kept', async () => {
+      const db = recordBindings(createMockD1WithSequence([{ run: { success: true, meta: { changes: 2 } } }]));
+
+      const removed = await softDeleteVariantsExcept(db, 'product-1', ['variant-1']);
+
+      expect(removed).to.equal(2);
+      expect(db._bindings[0].args.slice(1)).to.deep.equal(['product-1', JSON.stringify(['variant-1'])]);
+    });
+  });
+});
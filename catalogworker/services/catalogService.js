@@ -4,10 +4,44 @@
  * Uses Service Bindings for inter-worker communication
  */
 
-import { getProductById, getProducts, searchProducts } from '../models/productModel.js';
-import { NotFoundError } from '../../shared/utils/errors.js';
+import {
+  getProductById,
+  getProducts,
+  searchProducts,
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
+} from '../models/productModel.js';
+import {
+  filterProducts,
+  getFacetCounts,
+  getProjectionProductIds,
+  updateProjectionPrices,
+  updateProjectionStock,
+  updateProjectionPopularity,
+} from '../models/searchProjectionModel.js';
+import {
+  getVariantsByProductId,
+  getVariantsByProductIds,
+  getVariantsBySkus,
+  upsertVariant,
+  softDeleteVariantsExcept,
+} from '../models/variantModel.js';
+import { NotFoundError, ValidationError, ConflictError } from '../../shared/utils/errors.js';
 import { getWorkerBinding } from '../../shared/utils/interWorker.js';
+import { cursorScope, decodeCursor, withCursors } from '../../shared/utils/cursor.js';
 import { traceKvOperation } from '../../shared/utils/otel.js';
+import { formatVariantLabel } from '../../shared/utils/variants.js';
+import { randomUUID } from 'crypto';
+
+// Products per pricing/fulfillment/orders batch call when refreshing the search projection
+const PROJECTION_REFRESH_BATCH_SIZE = 100;
+
+// Popularity counts units ordered within this window
+const POPULARITY_WINDOW_DAYS = 90;
+
+// Limits for variant definitions
+const MAX_VARIANT_AXES = 3;
+const MAX_VARIANTS = 100;
 
 /**
  * Get product with price and stock from fulfillment worker
@@ -32,18 +66,20 @@ export async function getProductWithDetails(
   
   if (cached) {
     // Still fetch price and stock (not cached) - always fetch fresh stock
-    const [price, stock] = await Promise.all([
-      getPriceFromWorker(productId, pricingWorkerBinding, apiKey),
-      getStockFromWorker(productId, fulfillmentWorkerBinding, apiKey),
-    ]);
+    const priceAndStock = await getPriceAndStock(
+      productId,
+      cached.variants || [],
+      pricingWorkerBinding,
+      fulfillmentWorkerBinding,
+      apiKey
+    );
     
     // Remove stock and price from cached data if they exist (safety measure)
     const { stock: _cachedStock, price: _cachedPrice, ...cachedWithoutStock } = cached;
     
     return {
       ...cachedWithoutStock,
-      price: price?.price || null,
-      stock: stock?.available || 0, // Always use fresh stock, never cached
+      ...priceAndStock, // Always use fresh price and stock, never cached
     };
   }
   
@@ -62,18 +98,30 @@ export async function getProductWithDetails(
   // Stock and price should never be stored in the product data JSONB field
   const { price: _priceFromData, stock: _stockFromData, ...productDataClean } = productData;
   
+  // Variant definitions are cached with the product; their prices and stock are not
+  const variants = productDataClean.variantAxes?.length
+    ? (await getVariantsByProductId(db, productId)).map(({ variantId, sku, attributes, images }) => ({
+      variantId,
+      sku,
+      attributes,
+      images,
+    }))
+    : [];
+  
   // Get price and stock from workers (always fetch fresh, never from cache or product data)
-  const [price, stock] = await Promise.all([
-    getPriceFromWorker(productId, pricingWorkerBinding, apiKey),
-    getStockFromWorker(productId, fulfillmentWorkerBinding, apiKey),
-  ]);
+  const priceAndStock = await getPriceAndStock(
+    productId,
+    variants,
+    pricingWorkerBinding,
+    fulfillmentWorkerBinding,
+    apiKey
+  );
   
   // Prepare product response (explicitly set price/stock from workers, not from productData)
   const productResponse = {
     productId: product.product_id,
     ...productDataClean, // Use cleaned productData (without stock/price)
-    price: price?.price || null, // Always from worker
-    stock: stock?.available || 0, // Always from worker, never cached
+    ...priceAndStock, // Always from workers, never cached
     createdAt: product.created_at,
     updatedAt: product.updated_at,
   };
@@ -83,6 +131,7 @@ export async function getProductWithDetails(
   const cacheData = {
     productId: product.product_id,
     ...productDataClean, // Already cleaned of stock/price
+    ...(variants.length > 0 ? { variants } : {}),
     createdAt: product.created_at,
     updatedAt: product.updated_at,
   };
@@ -131,9 +180,55 @@ function extractCatalogFields(productData) {
   };
 }
 
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Turn FTS5 highlight markers into <mark> tags
+ * Product text is HTML-escaped first, so the result is safe to render as HTML
+ * @param {string|null} text - Text with HIGHLIGHT_START/HIGHLIGHT_END markers
+ * @returns {string|null} HTML with matches wrapped in <mark>
+ */
+export function formatHighlight(text) {
+  if (!text) {
+    return null;
+  }
+  return escapeHtml(text)
+    .split(HIGHLIGHT_START).join('<mark>')
+    .split(HIGHLIGHT_END).join('</mark>');
+}
+
+/**
+ * Check whether any facet filter (beyond category and search) is set
+ */
+function hasFacetFilters(filters) {
+  if (!filters) {
+    return false;
+  }
+  return Boolean(
+    filters.brands?.length ||
+    (filters.minPrice !== undefined && filters.minPrice !== null) ||
+    (filters.maxPrice !== undefined && filters.maxPrice !== null) ||
+    filters.minRating ||
+    filters.minDiscount ||
+    filters.inStock ||
+    Object.values(filters.attributes || {}).some(values => values?.length)
+  );
+}
+
 /**
  * Get products with pagination
  * Returns only minimal fields for catalog listing: name, description, category, discountPercentage, first image, price, stock
+ * Facet filters (brand, price, rating, discount, stock, spec attributes) and sorts other than the default
+ * (relevance when searching, newest otherwise) go through the search projection;
+ * facet counts for the current filters are returned with every listing.
+ * The plain newest-first listing can also page by cursor (pagination carries nextCursor/prevCursor).
  */
 export async function getProductsWithDetails(
   page,
@@ -143,40 +238,82 @@ export async function getProductsWithDetails(
   db,
   pricingWorkerBinding,
   fulfillmentWorkerBinding,
-  apiKey
+  apiKey,
+  filters = null,
+  sort = null,
+  cursor = null,
+  cursorSecret = null
 ) {
+  const defaultSort = search ? 'relevance' : 'newest';
+  const appliedSort = !sort || (sort === 'relevance' && !search) ? defaultSort : sort;
+  const plainListing = !search && !hasFacetFilters(filters) && appliedSort === 'newest';
+  const scope = cursorScope('products', category);
+  
+  if (cursor && !plainListing) {
+    throw new ValidationError('cursor is only supported for the newest-first listing without search or filters; use page');
+  }
+  
   // Get products from database
   // If both search and category are provided, search with category filter in SQL
   let result;
-  if (search) {
+  const allFilters = { ...filters, category, search };
+  if (hasFacetFilters(filters) || appliedSort !== defaultSort) {
+    result = await filterProducts(db, allFilters, page, limit, appliedSort);
+  } else if (search) {
     // Pass category to searchProducts so it can filter in SQL (not after pagination)
     result = await searchProducts(db, search, page, limit, category);
   } else {
-    result = await getProducts(db, page, limit, category);
+    const position = cursor ? decodeCursor(cursor, cursorSecret, scope) : null;
+    result = await getProducts(db, page, limit, category, position);
+    result.pagination = withCursors(
+      result.pagination,
+      result.products,
+      product => [product.created_at, product.product_id],
+      cursorSecret,
+      scope
+    );
   }
   
+  // Without a searchable word there is nothing to count
+  const facets = search && !result.matchQuery
+    ? null
+    : await getFacetCounts(db, allFilters, result.matchQuery || null);
+  
   if (result.products.length === 0) {
     return {
       products: [],
       pagination: result.pagination,
+      sort: appliedSort,
+      facets,
     };
   }
   
-  // Get product IDs
-  const productIds = result.products.map(p => p.product_id);
+  const parsedProducts = result.products.map(product => ({
+    ...product,
+    data: typeof product.data === 'string' ? JSON.parse(product.data) : product.data,
+  }));
+  
+  // Products with variants are priced and stocked by their variants
+  const variantsByProduct = await getVariantsByProductIds(
+    db,
+    parsedProducts.filter(product => product.data.variantAxes?.length).map(product => product.product_id)
+  );
+  const stockKeepingIds = [
+    ...parsedProducts.map(p => p.product_id),
+    ...Object.values(variantsByProduct).flat().map(variant => variant.variantId),
+  ];
   
   // Fetch prices and stocks in parallel using Service Bindings
-  const [prices, stocks] = await Promise.all([
-    getPricesFromWorker(productIds, pricingWorkerBinding, apiKey),
-    getStocksFromWorker(productIds, fulfillmentWorkerBinding, apiKey),
+  const [variantPrices, variantStocks] = await Promise.all([
+    getPricesFromWorker(stockKeepingIds, pricingWorkerBinding, apiKey),
+    getStocksFromWorker(stockKeepingIds, fulfillmentWorkerBinding, apiKey),
   ]);
+  const { prices, stocks } = rollUpVariants(variantsByProduct, variantPrices, variantStocks);
   
   // Combine product data with price and stock
   // Only include minimal fields needed for catalog listing
-  const products = result.products.map(product => {
-    const productData = typeof product.data === 'string' 
-      ? JSON.parse(product.data) 
-      : product.data;
+  const products = parsedProducts.map(product => {
+    const productData = product.data;
     
     const priceData = prices[product.product_id];
     const stockData = stocks[product.product_id];
@@ -188,17 +325,219 @@ export async function getProductsWithDetails(
     return {
       productId: product.product_id,
       ...catalogFields, // Only name, description, category, discountPercentage, first image
-      price: priceData?.price || null, // Always from pricing worker
-      stock: stockData?.available || 0, // Always from fulfillment worker, never cached
+      price: priceData?.price || null, // Always from pricing worker (lowest variant price for products with variants)
+      stock: stockData?.available || 0, // Always from fulfillment worker, never cached (summed over variants)
+      // Variants are chosen on the product page, so listings cannot add these to the cart directly
+      ...(variantsByProduct[product.product_id] ? { hasVariants: true } : {}),
+      // Search results only: matched words in the name and best-matching passage, as HTML with <mark>
+      ...(search ? {
+        highlights: {
+          name: formatHighlight(product.name_highlight),
+          snippet: formatHighlight(product.snippet),
+        },
+      } : {}),
     };
   });
   
   return {
     products,
     pagination: result.pagination,
+    sort: appliedSort,
+    facets,
   };
 }
 
+/**
+ * Get price and stock for a product page
+ * Products with variants get each variant's price and stock, and the lowest price and total stock as their own.
+ */
+async function getPriceAndStock(productId, variants, pricingWorkerBinding, fulfillmentWorkerBinding, apiKey) {
+  if (variants.length === 0) {
+    const [price, stock] = await Promise.all([
+      getPriceFromWorker(productId, pricingWorkerBinding, apiKey),
+      getStockFromWorker(productId, fulfillmentWorkerBinding, apiKey),
+    ]);
+    return {
+      price: price?.price || null,
+      stock: stock?.available || 0,
+    };
+  }
+  
+  const variantIds = variants.map(variant => variant.variantId);
+  const [variantPrices, variantStocks] = await Promise.all([
+    getPricesFromWorker(variantIds, pricingWorkerBinding, apiKey),
+    getStocksFromWorker(variantIds, fulfillmentWorkerBinding, apiKey),
+  ]);
+  const { prices, stocks } = rollUpVariants({ [productId]: variants }, variantPrices, variantStocks);
+  
+  return {
+    price: prices[productId]?.price ?? null,
+    stock: stocks[productId].available,
+    variants: variants.map(variant => ({
+      ...variant,
+      price: variantPrices[variant.variantId]?.price ?? null,
+      stock: variantStocks[variant.variantId]?.available || 0,
+    })),
+  };
+}
+
+/**
+ * Roll variant prices and stock up to their products: the lowest variant price and the total variant stock
+ * @param {Object} variantsByProduct - Map of productId to variants
+ * @param {Object|null} prices - Map of product or variant ID to { price, currency } (null if pricing-worker did not answer)
+ * @param {Object|null} stocks - Map of product or variant ID to { available } (null if fulfillment-worker did not answer)
+ * @returns {Object} { prices, stocks } keyed by product ID (a map that was null stays null)
+ */
+export function rollUpVariants(variantsByProduct, prices, stocks) {
+  const productPrices = prices && { ...prices };
+  const productStocks = stocks && { ...stocks };
+  
+  for (const [productId, variants] of Object.entries(variantsByProduct)) {
+    if (productPrices) {
+      const variantPrices = variants
+        .map(variant => prices[variant.variantId])
+        .filter(price => typeof price?.price === 'number');
+      delete productPrices[productId];
+      if (variantPrices.length > 0) {
+        productPrices[productId] = variantPrices.reduce((lowest, price) => (price.price < lowest.price ? price : lowest));
+      }
+    }
+    if (productStocks) {
+      productStocks[productId] = {
+        available: variants.reduce((sum, variant) => sum + (stocks[variant.variantId]?.available || 0), 0),
+      };
+    }
+  }
+  
+  return { prices: productPrices, stocks: productStocks };
+}
+
+function toText(value) {
+  return typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '';
+}
+
+/**
+ * Validate and normalize variant axes and variants from an admin request
+ * Every variant picks one value of each axis; no two variants may share a combination or a SKU.
+ * Both lists empty means the product has no variants.
+ * @param {Array} variantAxes - [{ name, values }] (e.g. { name: 'colour', values: ['Black', 'Silver'] })
+ * @param {Array} variants - [{ variantId?, sku, attributes, images? }]
+ * @returns {Object} { variantAxes, variants } with trimmed names, values and SKUs, and variants in picker order
+ * @throws {ValidationError} If the definitions are incomplete or inconsistent
+ */
+export function normalizeVariants(variantAxes, variants) {
+  if (!Array.isArray(variantAxes) || !Array.isArray(variants)) {
+    throw new ValidationError('variantAxes and variants must be arrays');
+  }
+  if (variantAxes.length === 0 && variants.length === 0) {
+    return { variantAxes: [], variants: [] };
+  }
+  if (variantAxes.length === 0 || variantAxes.length > MAX_VARIANT_AXES) {
+    throw new ValidationError(`Products with variants need 1 to ${MAX_VARIANT_AXES} variant axes`);
+  }
+  if (variants.length === 0 || variants.length > MAX_VARIANTS) {
+    throw new ValidationError(`Products with variant axes need 1 to ${MAX_VARIANTS} variants`);
+  }
+  
+  const axes = variantAxes.map(axis => {
+    const name = toText(axis?.name);
+    const values = Array.isArray(axis?.values) ? axis.values.map(toText) : [];
+    if (!name || values.length === 0 || values.some(value => !value)) {
+      throw new ValidationError('Each variant axis needs a name and at least one value');
+    }
+    if (new Set(values).size !== values.length) {
+      throw new ValidationError(`Variant axis ${name} has duplicate values`);
+    }
+    return { name, values };
+  });
+  if (new Set(axes.map(axis => axis.name)).size !== axes.length) {
+    throw new ValidationError('Variant axis names must be unique');
+  }
+  
+  const skus = new Set();
+  const combinations = new Set();
+  const normalizedVariants = variants.map((variant, index) => {
+    const sku = toText(variant?.sku);
+    if (!sku) {
+      throw new ValidationError(`Variant ${index + 1} needs a SKU`);
+    }
+    if (skus.has(sku)) {
+      throw new ValidationError(`Duplicate variant SKU: ${sku}`);
+    }
+    skus.add(sku);
+    
+    const given = variant.attributes && typeof variant.attributes === 'object' ? variant.attributes : {};
+    if (Object.keys(given).some(name => !axes.some(axis => axis.name === name))) {
+      throw new ValidationError(`Variant ${sku} has attributes that are not variant axes`);
+    }
+    const attributes = {};
+    for (const axis of axes) {
+      const value = toText(given[axis.name]);
+      if (!axis.values.includes(value)) {
+        throw new ValidationError(`Variant ${sku} needs a ${axis.name} from: ${axis.values.join(', ')}`);
+      }
+      attributes[axis.name] = value;
+    }
+    
+    const combination = JSON.stringify(axes.map(axis => attributes[axis.name]));
+    if (combinations.has(combination)) {
+      throw new ValidationError(`More than one variant is ${formatVariantLabel(attributes, axes)}`);
+    }
+    combinations.add(combination);
+    
+    return {
+      variantId: typeof variant.variantId === 'string' ? variant.variantId : null,
+      sku,
+      attributes,
+      images: Array.isArray(variant.images) ? variant.images.filter(Boolean) : (variant.images ? [variant.images] : []),
+      position: index,
+    };
+  });
+  
+  return { variantAxes: axes, variants: normalizedVariants };
+}
+
+/**
+ * Replace the variants of a product (normalized by normalizeVariants)
+ * A variant keeps its ID, and so its price and stock, when matched by variantId or SKU; variants left out are removed.
+ * @param {D1Database} db - Database instance
+ * @param {string} productId - Product ID
+ * @param {Object[]} variants - Normalized variants (empty removes all variants)
+ * @returns {Promise<Object[]>} Saved variants with their IDs
+ * @throws {ConflictError} If a SKU belongs to a variant of another product
+ */
+export async function saveProductVariants(db, productId, variants) {
+  const [existing, skuOwners] = await Promise.all([
+    getVariantsByProductId(db, productId),
+    getVariantsBySkus(db, variants.map(variant => variant.sku)),
+  ]);
+  
+  const taken = skuOwners.find(owner => owner.productId !== productId);
+  if (taken) {
+    throw new ConflictError(`SKU ${taken.sku} is already used by another product`);
+  }
+  
+  const existingIds = new Set(existing.map(variant => variant.variantId));
+  const existingBySku = new Map(existing.map(variant => [variant.sku, variant.variantId]));
+  const usedIds = new Set();
+  const saved = variants.map(variant => {
+    let variantId = existingIds.has(variant.variantId) ? variant.variantId : existingBySku.get(variant.sku);
+    if (!variantId || usedIds.has(variantId)) {
+      variantId = randomUUID();
+    }
+    usedIds.add(variantId);
+    return { ...variant, variantId };
+  });
+  
+  // Remove first so SKUs of removed variants can be reused
+  await softDeleteVariantsExcept(db, productId, saved.map(variant => variant.variantId));
+  for (const variant of saved) {
+    await upsertVariant(db, productId, variant);
+  }
+  
+  return saved;
+}
+
 /**
  * Get price from pricing worker using Service Binding
  */
@@ -256,33 +595,41 @@ async function getStockFromWorker(productId, fulfillmentWorkerBinding, apiKey) {
 }
 
 /**
- * Get prices for multiple products using Service Binding
+ * Fetch a batch endpoint (map of productId to data) using Service Binding
+ * Returns null when the worker could not answer, so callers can tell "no data" from "unknown"
  */
-async function getPricesFromWorker(productIds, pricingWorkerBinding, apiKey) {
-  if (productIds.length === 0) {
-    return {};
-  }
-  
+async function getBatchFromWorker(workerBinding, path, productIds, apiKey, label, params = {}) {
   try {
     const response = await getWorkerBinding(
-      pricingWorkerBinding,
-      '/products',
-      { productIds: productIds.join(',') },
+      workerBinding,
+      path,
+      { ...params, productIds: productIds.join(',') },
       apiKey
     );
     
     if (!response.ok) {
       const errorText = await response.text().catch(() => 'Unknown error');
-      console.error(`Failed to get prices: ${response.status} - ${errorText.substring(0, 200)}`);
-      return {};
+      console.error(`Failed to get ${label}: ${response.status} - ${errorText.substring(0, 200)}`);
+      return null;
     }
     
     const data = await response.json();
     return data || {};
   } catch (error) {
-    console.error('Error getting prices:', error.message);
+    console.error(`Error getting ${label}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Get prices for multiple products using Service Binding
+ */
+async function getPricesFromWorker(productIds, pricingWorkerBinding, apiKey) {
+  if (productIds.length === 0) {
     return {};
   }
+  
+  return await getBatchFromWorker(pricingWorkerBinding, '/products', productIds, apiKey, 'prices') || {};
 }
 
 /**
@@ -293,26 +640,66 @@ async function getStocksFromWorker(productIds, fulfillmentWorkerBinding, apiKey)
     return {};
   }
   
-  try {
-    const response = await getWorkerBinding(
-      fulfillmentWorkerBinding,
-      '/stocks',
-      { productIds: productIds.join(',') },
-      apiKey
-    );
+  return await getBatchFromWorker(fulfillmentWorkerBinding, '/stocks', productIds, apiKey, 'stocks') || {};
+}
+
+/**
+ * Copy current prices, stock and order volume into the search projection used for filtering and sorting
+ * Walks every projected product in batches; a batch whose worker call fails keeps its previous values.
+ * @param {D1Database} db - Database instance
+ * @param {Fetcher} pricingWorkerBinding - Pricing worker binding
+ * @param {Fetcher} fulfillmentWorkerBinding - Fulfillment worker binding
+ * @param {Fetcher} ordersWorkerBinding - Orders worker binding
+ * @param {string} apiKey - Inter-worker API key
+ * @returns {Promise<Object>} { products, pricesUpdated, stockUpdated, popularityUpdated } counts
+ */
+export async function refreshSearchProjection(db, pricingWorkerBinding, fulfillmentWorkerBinding, ordersWorkerBinding, apiKey) {
+  const counts = { products: 0, pricesUpdated: 0, stockUpdated: 0, popularityUpdated: 0 };
+  const syncedAt = new Date().toISOString();
+  const popularitySince = new Date(Date.now() - POPULARITY_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  
+  let afterId = '';
+  for (;;) {
+    const productIds = await getProjectionProductIds(db, afterId, PROJECTION_REFRESH_BATCH_SIZE);
+    if (productIds.length === 0) {
+      break;
+    }
     
-    if (!response.ok) {
-      const errorText = await response.text().catch(() => 'Unknown error');
-      console.error(`Failed to get stocks: ${response.status} - ${errorText.substring(0, 200)}`);
-      return {};
+    // Order volume is counted per product; prices and stock of products with variants come from their variants
+    const variantsByProduct = await getVariantsByProductIds(db, productIds);
+    const stockKeepingIds = [
+      ...productIds,
+      ...Object.values(variantsByProduct).flat().map(variant => variant.variantId),
+    ];
+    
+    const [variantPrices, variantStocks, volumes] = await Promise.all([
+      getBatchFromWorker(pricingWorkerBinding, '/products', stockKeepingIds, apiKey, 'prices'),
+      getBatchFromWorker(fulfillmentWorkerBinding, '/stocks', stockKeepingIds, apiKey, 'stocks'),
+      getBatchFromWorker(ordersWorkerBinding, '/products/order-volume', productIds, apiKey, 'order volumes', { since: popularitySince }),
+    ]);
+    const { prices, stocks } = rollUpVariants(variantsByProduct, variantPrices, variantStocks);
+    
+    if (prices) {
+      await updateProjectionPrices(db, productIds, prices, syncedAt);
+      counts.pricesUpdated += productIds.length;
+    }
+    if (stocks) {
+      await updateProjectionStock(db, productIds, stocks, syncedAt);
+      counts.stockUpdated += productIds.length;
+    }
+    if (volumes) {
+      await updateProjectionPopularity(db, productIds, volumes, syncedAt);
+      counts.popularityUpdated += productIds.length;
     }
     
-    const data = await response.json();
-    return data || {};
-  } catch (error) {
-    console.error('Error getting stocks:', error.message);
-    return {};
+    counts.products += productIds.length;
+    if (productIds.length < PROJECTION_REFRESH_BATCH_SIZE) {
+      break;
+    }
+    afterId = productIds[productIds.length - 1];
   }
+  
+  return counts;
 }
 
 /**
@@ -9,17 +9,31 @@ import {
   getProductWithDetails,
   getProductsWithDetails,
   invalidateProductCache,
+  formatHighlight,
+  refreshSearchProjection,
+  normalizeVariants,
+  saveProductVariants,
 } from './catalogService.js';
-import { NotFoundError } from '../../shared/utils/errors.js';
+import { NotFoundError, ValidationError, ConflictError } from '../../shared/utils/errors.js';
 import { createMockD1, createMockD1WithSequence, createMockKV, createMockEnv } from '../../test/setup.js';
 import * as productModel from '../models/productModel.js';
 
+const variantRow = (variantId, sku, attributes = { colour: 'Black', storage: '128GB' }) => ({
+  variant_id: variantId,
+  product_id: 'product-1',
+  sku,
+  attributes: JSON.stringify(attributes),
+  images: JSON.stringify([]),
+  position: 0,
+});
+
 describe('catalogService', () => {
   let mockDb;
   let mockKv;
   let mockEnv;
   let mockPricingWorker;
   let mockFulfillmentWorker;
+  let mockOrdersWorker;
   
   beforeEach(() => {
     mockDb = createMockD1();
@@ -27,6 +41,7 @@ describe('catalogService', () => {
     mockEnv = createMockEnv();
     mockPricingWorker = mockEnv.pricing_worker;
     mockFulfillmentWorker = mockEnv.fulfillment_worker;
+    mockOrdersWorker = mockEnv.orders_worker;
   });
   
   describe('getProductWithDetails', () => {
@@ -168,6 +183,55 @@ describe('catalogService', () => {
       expect(result.price).to.equal(1000);
       expect(result.name).to.equal('Test Product');
     });
+    
+    it('should price and stock each variant and cache only the variant definitions', async () => {
+      const productId = 'product-1';
+      const variantAxes = [{ name: 'colour', values: ['Black'] }, { name: 'storage', values: ['128GB', '256GB'] }];
+      mockDb = createMockD1WithSequence([
+        {
+          first: {
+            product_id: productId,
+            data: JSON.stringify({ name: 'Phone', variantAxes }),
+            created_at: '2024-01-01T00:00:00Z',
+            updated_at: '2024-01-01T00:00:00Z',
+          },
+        },
+        {
+          all: {
+            results: [
+              variantRow('variant-1', 'PHONE-BLK-128'),
+              variantRow('variant-2', 'PHONE-BLK-256', { colour: 'Black', storage: '256GB' }),
+            ],
+          },
+        },
+      ]);
+      mockPricingWorker._setResponse('GET', '/products', { 'variant-1': { price: 700 }, 'variant-2': { price: 800 } });
+      mockFulfillmentWorker._setResponse('GET', '/stocks', { 'variant-2': { available: 3 } });
+      
+      const result = await getProductWithDetails(
+        productId,
+        mockDb,
+        mockKv,
+        mockPricingWorker,
+        mockFulfillmentWorker,
+        mockEnv.INTER_WORKER_API_KEY
+      );
+      
+      expect(result).to.include({ price: 700, stock: 3 });
+      expect(result.variantAxes).to.deep.equal(variantAxes);
+      expect(result.variants).to.deep.equal([
+        { variantId: 'variant-1', sku: 'PHONE-BLK-128', attributes: { colour: 'Black', storage: '128GB' }, images: [], price: 700, stock: 0 },
+        { variantId: 'variant-2', sku: 'PHONE-BLK-256', attributes: { colour: 'Black', storage: '256GB' }, images: [], price: 800, stock: 3 },
+      ]);
+      
+      const cached = await mockKv.get(`product:${productId}`, { type: 'json' });
+      expect(cached.variants[0]).to.deep.equal({
+        variantId: 'variant-1',
+        sku: 'PHONE-BLK-128',
+        attributes: { colour: 'Black', storage: '128GB' },
+        images: [],
+      });
+    });
   });
   
   describe('getProductsWithDetails', () => {
@@ -288,6 +352,466 @@ describe('catalogService', () => {
       expect(result.products[0]).to.have.property('price', null);
       expect(result.products[0]).to.have.property('stock', 0);
     });
+
+    it('should show products with variants at their lowest price and total stock', async () => {
+      const testDb = createMockD1WithSequence([
+        {
+          all: {
+            results: [
+              {
+                product_id: 'product-1',
+                data: JSON.stringify({ name: 'Phone', variantAxes: [{ name: 'colour', values: ['Black', 'Blue'] }] }),
+                created_at: '2024-01-02T00:00:00Z',
+                updated_at: '2024-01-02T00:00:00Z',
+              },
+              {
+                product_id: 'product-2',
+                data: JSON.stringify({ name: 'Cable' }),
+                created_at: '2024-01-01T00:00:00Z',
+                updated_at: '2024-01-01T00:00:00Z',
+              },
+            ],
+          },
+        },
+        { first: { total: 2 } },
+      ]);
+      const prepare = testDb.prepare;
+      const variants = [
+        variantRow('variant-1', 'PHONE-BLK', { colour: 'Black' }),
+        variantRow('variant-2', 'PHONE-BLU', { colour: 'Blue' }),
+      ];
+      testDb.prepare = (query) => (query.includes('FROM product_variants')
+        ? { bind: () => ({ all: async () => ({ results: variants }) }) }
+        : prepare(query));
+      mockPricingWorker._setResponse('GET', '/products', {
+        'product-2': { price: 100 },
+        'variant-1': { price: 900 },
+        'variant-2': { price: 850 },
+      });
+      mockFulfillmentWorker._setResponse('GET', '/stocks', {
+        'product-2': { available: 10 },
+        'variant-1': { available: 1 },
+        'variant-2': { available: 2 },
+      });
+      
+      const result = await getProductsWithDetails(
+        1,
+        10,
+        null,
+        null,
+        testDb,
+        mockPricingWorker,
+        mockFulfillmentWorker,
+        mockEnv.INTER_WORKER_API_KEY
+      );
+      
+      expect(result.products[0]).to.include({ productId: 'product-1', price: 850, stock: 3, hasVariants: true });
+      expect(result.products[1]).to.include({ productId: 'product-2', price: 100, stock: 10 });
+      expect(result.products[1]).to.not.have.property('hasVariants');
+    });
+
+    it('should return highlighted matches for search results', async () => {
+      const testDb = createMockD1WithSequence([
+        {
+          all: {
+            results: [{
+              product_id: 'product-1',
+              data: JSON.stringify({ name: 'Galaxy S24' }),
+              name_highlight: '\u0002Galaxy\u0003 S24',
+              snippet: '…the \u0002Galaxy\u0003 <b>phone</b>…',
+            }],
+            success: true,
+          },
+        },
+        { first: { total: 1 } }
+      ]);
+      mockPricingWorker._setResponse('GET', '/products', {});
+      mockFulfillmentWorker._setResponse('GET', '/stocks', {});
+
+      const result = await getProductsWithDetails(
+        1,
+        10,
+        null, // category
+        'galaxy',
+        testDb,
+        mockPricingWorker,
+        mockFulfillmentWorker,
+        mockEnv.INTER_WORKER_API_KEY
+      );
+
+      expect(result.products[0].highlights).to.deep.equal({
+        name: '<mark>Galaxy</mark> S24',
+        snippet: '…the <mark>Galaxy</mark> &lt;b&gt;phone&lt;/b&gt;…',
+      });
+    });
+
+    it('should not add highlights when listing without search', async () => {
+      const testDb = createMockD1WithSequence([
+        { all: { results: [{ product_id: 'product-1', data: JSON.stringify({ name: 'Product 1' }) }], success: true } },
+        { first: { total: 1 } }
+      ]);
+      mockPricingWorker._setResponse('GET', '/products', {});
+      mockFulfillmentWorker._setResponse('GET', '/stocks', {});
+
+      const result = await getProductsWithDetails(
+        1,
+        10,
+        null, // category
+        null, // search
+        testDb,
+        mockPricingWorker,
+        mockFulfillmentWorker,
+        mockEnv.INTER_WORKER_API_KEY
+      );
+
+      expect(result.products[0]).to.not.have.property('highlights');
+    });
+
+    it('should return facet counts with the listing', async () => {
+      const testDb = createMockD1WithSequence([
+        { all: { results: [], success: true } },
+        { first: { total: 0 } },
+        { all: { results: [{ value: 'smartphones', count: 4 }] } }
+      ]);
+
+      const result = await getProductsWithDetails(
+        1,
+        10,
+        null, // category
+        null, // search
+        testDb,
+        mockPricingWorker,
+        mockFulfillmentWorker,
+        mockEnv.INTER_WORKER_API_KEY
+      );
+
+      expect(result.facets.category).to.deep.equal([{ value: 'smartphones', count: 4 }]);
+      expect(result.facets.inStock).to.deep.equal({ count: 0 });
+      expect(result.sort).to.equal('newest');
+    });
+
+    it('should sort through the search projection when a non-default sort is requested', async () => {
+      const queries = [];
+      const testDb = createMockD1WithSequence([
+        { all: { results: [{ product_id: 'product-1', data: JSON.stringify({ name: 'Product 1' }) }], success: true } },
+        { first: { total: 1 } }
+      ]);
+      const prepare = testDb.prepare;
+      testDb.prepare = (query) => {
+        queries.push(query);
+        return prepare(query);
+      };
+      mockPricingWorker._setResponse('GET', '/products', {});
+      mockFulfillmentWorker._setResponse('GET', '/stocks', {});
+
+      const result = await getProductsWithDetails(
+        1,
+        10,
+        null, // category
+        null, // search
+        testDb,
+        mockPricingWorker,
+        mockFulfillmentWorker,
+        mockEnv.INTER_WORKER_API_KEY,
+        null, // filters
+        'price_asc'
+      );
+
+      expect(queries[0]).to.include('FROM product_search ps');
+      expect(queries[0]).to.include('ORDER BY ps.price IS NULL');
+      expect(result.sort).to.equal('price_asc');
+    });
+
+    it('should issue cursors for the newest-first listing and reject them with a search', async () => {
+      const testDb = createMockD1WithSequence([
+        {
+          all: {
+            results: [{ product_id: 'product-2', data: JSON.stringify({ name: 'Product 2' }), created_at: '2026-01-02T00:00:00.000Z' }],
+            success: true,
+          },
+        },
+        { first: { total: 2 } }
+      ]);
+      mockPricingWorker._setResponse('GET', '/products', {});
+      mockFulfillmentWorker._setResponse('GET', '/stocks', {});
+
+      const result = await getProductsWithDetails(
+        1,
+        1,
+        null, // category
+        null, // search
+        testDb,
+        mockPricingWorker,
+        mockFulfillmentWorker,
+        mockEnv.INTER_WORKER_API_KEY,
+        null, // filters
+        null, // sort
+        null, // cursor
+        mockEnv.CURSOR_SECRET
+      );
+
+      expect(result.pagination).to.include({ page: 1, hasNext: true, prevCursor: null });
+      expect(result.pagination.nextCursor).to.be.a('string');
+
+      try {
+        await getProductsWithDetails(
+          1,
+          1,
+          null, // category
+          'galaxy',
+          createMockD1(),
+          mockPricingWorker,
+          mockFulfillmentWorker,
+          mockEnv.INTER_WORKER_API_KEY,
+          null, // filters
+          null, // sort
+          result.pagination.nextCursor,
+          mockEnv.CURSOR_SECRET
+        );
+        expect.fail('Should have thrown ValidationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+        expect(error.message).to.include('cursor is only supported for the newest-first listing');
+      }
+    });
+
+    it('should fall back to newest when relevance is requested without a search', async () => {
+      const queries = [];
+      const testDb = createMockD1WithSequence([
+        { all: { results: [], success: true } },
+        { first: { total: 0 } }
+      ]);
+      const prepare = testDb.prepare;
+      testDb.prepare = (query) => {
+        queries.push(query);
+        return prepare(query);
+      };
+
+      const result = await getProductsWithDetails(
+        1,
+        10,
+        null, // category
+        null, // search
+        testDb,
+        mockPricingWorker,
+        mockFulfillmentWorker,
+        mockEnv.INTER_WORKER_API_KEY,
+        null, // filters
+        'relevance'
+      );
+
+      expect(queries[0]).to.not.include('product_search');
+      expect(result.sort).to.equal('newest');
+    });
+  });
+
+  describe('refreshSearchProjection', () => {
+    it('should copy prices, stock and order volume batch by batch', async () => {
+      const queries = [];
+      const testDb = createMockD1WithSequence([
+        { all: { results: [{ product_id: 'product-1' }, { product_id: 'product-2' }] } }
+      ]);
+      const prepare = testDb.prepare;
+      testDb.prepare = (query) => {
+        queries.push(query);
+        return prepare(query);
+      };
+      mockPricingWorker._setResponse('GET', '/products', { 'product-1': { price: 1000 } });
+      mockFulfillmentWorker._setResponse('GET', '/stocks', { 'product-2': { available: 4 } });
+      mockOrdersWorker._setResponse('GET', '/products/order-volume', { 'product-1': { units: 7, orders: 5 } });
+
+      const counts = await refreshSearchProjection(
+        testDb,
+        mockPricingWorker,
+        mockFulfillmentWorker,
+        mockOrdersWorker,
+        mockEnv.INTER_WORKER_API_KEY
+      );
+
+      expect(counts).to.deep.equal({ products: 2, pricesUpdated: 2, stockUpdated: 2, popularityUpdated: 2 });
+      expect(queries[1]).to.include('FROM product_variants');
+      expect(queries[2]).to.include('SET price');
+      expect(queries[3]).to.include('SET stock');
+      expect(queries[4]).to.include('SET popularity');
+      expect(queries).to.have.length(5); // Last batch was short, no further page
+    });
+
+    it('should roll variant prices and stock up to their products', async () => {
+      const bindings = [];
+      const testDb = createMockD1WithSequence([
+        { all: { results: [{ product_id: 'product-1' }] } },
+        { all: { results: [variantRow('variant-1', 'PHONE-BLK-128'), variantRow('variant-2', 'PHONE-BLK-256')] } },
+      ]);
+      const prepare = testDb.prepare;
+      testDb.prepare = (query) => {
+        const statement = prepare(query);
+        return { bind: (...args) => { bindings.push({ query, args }); return statement.bind(...args); } };
+      };
+      mockPricingWorker._setResponse('GET', '/products', {
+        'product-1': { price: 999 }, // Left over from before the product had variants
+        'variant-1': { price: 700 },
+        'variant-2': { price: 800 },
+      });
+      mockFulfillmentWorker._setResponse('GET', '/stocks', { 'variant-1': { available: 2 }, 'variant-2': { available: 5 } });
+      mockOrdersWorker._setResponse('GET', '/products/order-volume', {});
+
+      await refreshSearchProjection(
+        testDb,
+        mockPricingWorker,
+        mockFulfillmentWorker,
+        mockOrdersWorker,
+        mockEnv.INTER_WORKER_API_KEY
+      );
+
+      const priceUpdate = bindings.find(binding => binding.query.includes('SET price'));
+      const stockUpdate = bindings.find(binding => binding.query.includes('SET stock'));
+      expect(JSON.parse(priceUpdate.args[0])['product-1']).to.deep.equal({ price: 700 });
+      expect(JSON.parse(stockUpdate.args[0])['product-1']).to.deep.equal({ available: 7 });
+      expect(JSON.parse(priceUpdate.args[2])).to.deep.equal(['product-1']);
+    });
+
+    it('should keep previous values when a worker is unavailable', async () => {
+      const queries = [];
+      const testDb = createMockD1WithSequence([
+        { all: { results: [{ product_id: 'product-1' }] } }
+      ]);
+      const prepare = testDb.prepare;
+      testDb.prepare = (query) => {
+        queries.push(query);
+        return prepare(query);
+      };
+      mockPricingWorker._setResponse('GET', '/products', null, { status: 500 });
+      mockFulfillmentWorker._setResponse('GET', '/stocks', { 'product-1': { available: 4 } });
+      mockOrdersWorker._setResponse('GET', '/products/order-volume', null, { status: 503 });
+
+      const counts = await refreshSearchProjection(
+        testDb,
+        mockPricingWorker,
+        mockFulfillmentWorker,
+        mockOrdersWorker,
+        mockEnv.INTER_WORKER_API_KEY
+      );
+
+      expect(counts).to.deep.equal({ products: 1, pricesUpdated: 0, stockUpdated: 1, popularityUpdated: 0 });
+      expect(queries.some(query => query.includes('SET price'))).to.be.false;
+      expect(queries.some(query => query.includes('SET popularity'))).to.be.false;
+    });
+  });
+
+  describe('normalizeVariants', () => {
+    const axes = [{ name: 'colour', values: ['Black', 'Silver'] }, { name: 'storage', values: ['128GB', '256GB'] }];
+
+    it('should trim definitions and keep variants in picker order', () => {
+      const result = normalizeVariants(
+        [{ name: ' colour ', values: ['Black ', 'Silver'] }, { name: 'storage', values: ['128GB', '256GB'] }],
+        [
+          { sku: ' PHONE-SLV-256 ', attributes: { colour: 'Silver', storage: '256GB' }, images: ['https://img/silver.jpg'] },
+          { variantId: 'variant-1', sku: 'PHONE-BLK-128', attributes: { colour: 'Black', storage: '128GB' } },
+        ]
+      );
+
+      expect(result.variantAxes).to.deep.equal(axes);
+      expect(result.variants).to.deep.equal([
+        {
+          variantId: null,
+          sku: 'PHONE-SLV-256',
+          attributes: { colour: 'Silver', storage: '256GB' },
+          images: ['https://img/silver.jpg'],
+          position: 0,
+        },
+        {
+          variantId: 'variant-1',
+          sku: 'PHONE-BLK-128',
+          attributes: { colour: 'Black', storage: '128GB' },
+          images: [],
+          position: 1,
+        },
+      ]);
+    });
+
+    it('should treat empty axes and variants as no variants', () => {
+      expect(normalizeVariants([], [])).to.deep.equal({ variantAxes: [], variants: [] });
+    });
+
+    it('should reject incomplete or inconsistent variants', () => {
+      const variant = (sku, colour, storage) => ({ sku, attributes: { colour, storage } });
+
+      expect(() => normalizeVariants(axes, [])).to.throw(ValidationError, 'need 1 to');
+      expect(() => normalizeVariants([], [variant('A', 'Black', '128GB')])).to.throw(ValidationError);
+      expect(() => normalizeVariants(axes, [variant('A', 'Gold', '128GB')])).to.throw(ValidationError, 'needs a colour from: Black, Silver');
+      expect(() => normalizeVariants(axes, [{ sku: 'A', attributes: { colour: 'Black' } }])).to.throw(ValidationError, 'storage');
+      expect(() => normalizeVariants(axes, [{ sku: 'A', attributes: { colour: 'Black', storage: '128GB', ram: '8GB' } }]))
+        .to.throw(ValidationError, 'not variant axes');
+      expect(() => normalizeVariants(axes, [variant('A', 'Black', '128GB'), variant('A', 'Black', '256GB')]))
+        .to.throw(ValidationError, 'Duplicate variant SKU: A');
+      expect(() => normalizeVariants(axes, [variant('A', 'Black', '128GB'), variant('B', 'Black', '128GB')]))
+        .to.throw(ValidationError, 'More than one variant is Black / 128GB');
+      expect(() => normalizeVariants([{ name: 'colour', values: ['Black', 'Black'] }], [variant('A', 'Black')]))
+        .to.throw(ValidationError, 'duplicate values');
+    });
+  });
+
+  describe('saveProductVariants', () => {
+    it('should keep variant IDs matched by ID or SKU and remove the rest', async () => {
+      const bindings = [];
+      const testDb = createMockD1WithSequence([
+        {
+          all: {
+            results: [
+              variantRow('variant-1', 'PHONE-BLK-128'),
+              variantRow('variant-2', 'PHONE-BLK-256', { colour: 'Black', storage: '256GB' }),
+              variantRow('variant-3', 'PHONE-SLV-128', { colour: 'Silver', storage: '128GB' }),
+            ],
+          },
+        },
+        { all: { results: [variantRow('variant-2', 'PHONE-BLK-256')] } },
+      ]);
+      const prepare = testDb.prepare;
+      testDb.prepare = (query) => {
+        const statement = prepare(query);
+        return { bind: (...args) => { bindings.push({ query, args }); return statement.bind(...args); } };
+      };
+
+      const saved = await saveProductVariants(testDb, 'product-1', [
+        { variantId: 'variant-1', sku: 'PHONE-BLK-128-V2', attributes: { colour: 'Black', storage: '128GB' }, images: [], position: 0 },
+        { variantId: null, sku: 'PHONE-BLK-256', attributes: { colour: 'Black', storage: '256GB' }, images: [], position: 1 },
+        { variantId: 'variant-9', sku: 'PHONE-SLV-256', attributes: { colour: 'Silver', storage: '256GB' }, images: [], position: 2 },
+      ]);
+
+      expect(saved[0].variantId).to.equal('variant-1');
+      expect(saved[1].variantId).to.equal('variant-2');
+      expect(saved[2].variantId).to.match(/^[0-9a-f-]{36}$/); // Unknown IDs are not taken over
+      const removal = bindings.find(binding => binding.query.includes('SET deleted_at'));
+      expect(JSON.parse(removal.args[2])).to.deep.equal(saved.map(variant => variant.variantId));
+      expect(bindings.filter(binding => binding.query.includes('INSERT INTO product_variants'))).to.have.length(3);
+    });
+
+    it('should reject a SKU used by another product', async () => {
+      const testDb = createMockD1WithSequence([
+        { all: { results: [] } },
+        { all: { results: [{ ...variantRow('variant-7', 'PHONE-BLK-128'), product_id: 'product-2' }] } },
+      ]);
+
+      try {
+        await saveProductVariants(testDb, 'product-1', [
+          { variantId: null, sku: 'PHONE-BLK-128', attributes: { colour: 'Black' }, images: [], position: 0 },
+        ]);
+        expect.fail('Should have thrown ConflictError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ConflictError);
+        expect(error.message).to.include('PHONE-BLK-128');
+      }
+    });
+  });
+
+  describe('formatHighlight', () => {
+    it('should escape product text before adding mark tags', () => {
+      expect(formatHighlight('\u0002Tom\u0003 & "Jerry"')).to.equal('<mark>Tom</mark> &amp; &quot;Jerry&quot;');
+    });
+
+    it('should return null for missing text', () => {
+      expect(formatHighlight(null)).to.be.null;
+    });
   });
 
   describe('invalidateProductCache', () => {
@@ -0,0 +1,18 @@
+-- Migration to add personal access tokens table
+-- Run this if api_tokens table doesn't exist
+
+CREATE TABLE IF NOT EXISTS api_tokens (
+  token_id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE, -- SHA-256 of the full token ("pat_...")
+  token_hint TEXT NOT NULL, -- first characters of the token, shown in token lists
+  scopes TEXT NOT NULL, -- JSON array, e.g. ["orders:read"]
+  expires_at TEXT NOT NULL,
+  last_used_at TEXT,
+  last_used_ip TEXT,
+  created_at TEXT NOT NULL,
+  revoked_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id);
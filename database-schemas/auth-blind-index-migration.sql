@@ -0,0 +1,9 @@
+-- Migration to add email/phone blind index columns to users table
+-- Run this if email_index column doesn't exist, then backfill existing rows with:
+--   node scripts/backfill-user-blind-index.js [--remote]
+
+ALTER TABLE users ADD COLUMN email_index TEXT;
+ALTER TABLE users ADD COLUMN phone_index TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email_index ON users(email_index) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_users_phone_index ON users(phone_index);
@@ -0,0 +1,17 @@
+-- Migration to add account data export / deletion request tracking
+-- Run this if data_requests table doesn't exist
+
+-- Account data export / deletion requests, one row per run with a per-step audit trail
+CREATE TABLE IF NOT EXISTS data_requests (
+  request_id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  type TEXT NOT NULL, -- 'export' or 'delete'
+  status TEXT NOT NULL, -- 'running', 'completed' or 'failed'
+  steps TEXT NOT NULL, -- JSON array of { name, status, startedAt, completedAt, result, error }
+  error TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  completed_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_requests_user_id ON data_requests(user_id);
@@ -0,0 +1,14 @@
+-- Migration to add email verification tokens table
+-- Run this if email_verification_tokens table doesn't exist
+-- Existing users have no emailVerified flag and are treated as verified
+
+CREATE TABLE IF NOT EXISTS email_verification_tokens (
+  token_id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE, -- SHA-256 of the token sent by email
+  expires_at TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  used_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user_id ON email_verification_tokens(user_id);
@@ -0,0 +1,23 @@
+-- Migration to add encryption key rotation jobs
+-- Run this if key_rotation_jobs table doesn't exist
+
+-- Encryption key rotation jobs (re-encrypt users.data and payments.encrypted_payment_id in batches)
+CREATE TABLE IF NOT EXISTS key_rotation_jobs (
+  job_id TEXT PRIMARY KEY,
+  target_key_id TEXT NOT NULL, -- ENCRYPTION_KEY_ID the job re-encrypts to
+  status TEXT NOT NULL, -- 'running', 'completed', 'completed_with_errors' or 'superseded'
+  users_cursor TEXT, -- last user_id processed
+  users_done INTEGER NOT NULL DEFAULT 0,
+  users_rotated INTEGER NOT NULL DEFAULT 0,
+  payments_cursor TEXT, -- last payment_id processed
+  payments_done INTEGER NOT NULL DEFAULT 0,
+  payments_rotated INTEGER NOT NULL DEFAULT 0,
+  failed INTEGER NOT NULL DEFAULT 0, -- rows that could not be decrypted
+  failed_ids TEXT, -- JSON { users: [user_id], payments: [payment_id] } of those rows
+  started_by TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  completed_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_key_rotation_jobs_status ON key_rotation_jobs(status);
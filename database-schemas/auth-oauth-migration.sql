@@ -0,0 +1,31 @@
+-- Migration to add OpenID Connect login (user identities, login state and one-time codes)
+-- Run this if user_identities table doesn't exist
+
+CREATE TABLE IF NOT EXISTS user_identities (
+  provider TEXT NOT NULL, -- provider name from OIDC_PROVIDERS
+  subject TEXT NOT NULL, -- "sub" claim of the provider's ID token
+  user_id TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  last_login_at TEXT,
+  PRIMARY KEY (provider, subject)
+);
+
+CREATE TABLE IF NOT EXISTS oauth_states (
+  state_hash TEXT PRIMARY KEY, -- SHA-256 of the state parameter
+  provider TEXT NOT NULL,
+  code_verifier TEXT NOT NULL,
+  nonce TEXT NOT NULL,
+  return_to TEXT,
+  expires_at TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS oauth_login_codes (
+  code_hash TEXT PRIMARY KEY, -- SHA-256 of the code
+  user_id TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_identities_user_id ON user_identities(user_id);
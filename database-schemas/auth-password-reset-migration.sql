@@ -0,0 +1,13 @@
+-- Migration to add password reset tokens table
+-- Run this if password_reset_tokens table doesn't exist
+
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  token_id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE, -- SHA-256 of the token sent by email
+  expires_at TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  used_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id ON password_reset_tokens(user_id);
@@ -0,0 +1,12 @@
+-- Migration to add refresh token history table (refresh token reuse detection)
+-- Run this if refresh_token_history table doesn't exist
+-- Tokens rotated before this migration are not tracked, so their reuse is not detected
+
+CREATE TABLE IF NOT EXISTS refresh_token_history (
+  token_hash TEXT PRIMARY KEY, -- SHA-256 of the old refresh token
+  session_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  rotated_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_token_history_session_id ON refresh_token_history(session_id);
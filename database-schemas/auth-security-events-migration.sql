@@ -0,0 +1,33 @@
+-- Migration to add security events audit table
+-- Run this if security_events table doesn't exist
+
+CREATE TABLE IF NOT EXISTS security_events (
+  event_id TEXT PRIMARY KEY,
+  event_type TEXT NOT NULL, -- e.g. 'login', 'password_changed', 'role_assigned'
+  outcome TEXT NOT NULL, -- 'success', 'failure' or 'blocked'
+  user_id TEXT,
+  actor_id TEXT,
+  ip_address TEXT,
+  user_agent TEXT,
+  metadata TEXT, -- JSON object with event details (never secrets)
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_security_events_user_id ON security_events(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_security_events_type ON security_events(event_type, created_at);
+CREATE INDEX IF NOT EXISTS idx_security_events_created_at ON security_events(created_at);
+
+-- security_events is append-only: rows are never changed, and only deleted by the retention purge
+-- once older than the minimum retention period (90 days, see maintenanceService.js)
+CREATE TRIGGER IF NOT EXISTS trg_security_events_no_update
+BEFORE UPDATE ON security_events
+BEGIN
+  SELECT RAISE(ABORT, 'security_events is append-only');
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_security_events_no_early_delete
+BEFORE DELETE ON security_events
+WHEN OLD.created_at > strftime('%Y-%m-%dT%H:%M:%fZ', 'now', '-90 days')
+BEGIN
+  SELECT RAISE(ABORT, 'security_events rows are kept for at least 90 days');
+END;
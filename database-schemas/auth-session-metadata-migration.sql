@@ -0,0 +1,6 @@
+-- Migration to add device metadata to sessions (for session listing and remote logout)
+-- Run this if sessions table doesn't have user_agent, ip_address and last_used_at columns
+
+ALTER TABLE sessions ADD COLUMN user_agent TEXT;
+ALTER TABLE sessions ADD COLUMN ip_address TEXT;
+ALTER TABLE sessions ADD COLUMN last_used_at TEXT;
@@ -0,0 +1,5 @@
+-- Migration to add two-factor verification flag to sessions
+-- Run this if sessions table doesn't have two_factor_verified column
+-- TOTP secrets and recovery code hashes live in the encrypted users.data blob, so users needs no change
+
+ALTER TABLE sessions ADD COLUMN two_factor_verified INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,13 @@
+-- Migration to add admin roles table (role-based access control)
+-- Run this if user_roles table doesn't exist
+-- The old isAdmin flag grants nothing; run scripts/migrate-legacy-admins.js to promote the reviewed admins and clear it
+
+CREATE TABLE IF NOT EXISTS user_roles (
+  user_id TEXT NOT NULL,
+  role TEXT NOT NULL,
+  granted_by TEXT, -- user ID of the admin who assigned the role (NULL for legacy isAdmin users)
+  granted_at TEXT NOT NULL,
+  PRIMARY KEY (user_id, role)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_roles_role ON user_roles(role);
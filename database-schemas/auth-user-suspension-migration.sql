@@ -0,0 +1,8 @@
+-- Migration to add account suspension (admin user management)
+-- Run this if suspended_at column doesn't exist
+
+ALTER TABLE users ADD COLUMN suspended_at TEXT;
+ALTER TABLE users ADD COLUMN suspension_reason TEXT;
+
+-- Admin user list is ordered newest first
+CREATE INDEX IF NOT EXISTS idx_users_created_at ON users(created_at);
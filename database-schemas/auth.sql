@@ -4,9 +4,13 @@
 CREATE TABLE IF NOT EXISTS users (
   user_id TEXT PRIMARY KEY,
   data TEXT NOT NULL, -- JSONB with encrypted PII (email, name, address, phone, password)
+  email_index TEXT, -- HMAC-SHA256 blind index of normalized email
+  phone_index TEXT, -- HMAC-SHA256 blind index of normalized phone number
   created_at TEXT NOT NULL,
   updated_at TEXT NOT NULL,
-  deleted_at TEXT
+  deleted_at TEXT,
+  suspended_at TEXT, -- Set by an admin; suspended users cannot log in
+  suspension_reason TEXT
 );
 
 -- Sessions table (Hybrid Session ID + JWT)
@@ -14,14 +18,175 @@ CREATE TABLE IF NOT EXISTS sessions (
   session_id TEXT PRIMARY KEY,
   user_id TEXT NOT NULL,
   refresh_token TEXT NOT NULL,
+  two_factor_verified INTEGER NOT NULL DEFAULT 0, -- 1 once the login passed the TOTP/recovery code step
+  user_agent TEXT, -- Client that opened/last refreshed the session
+  ip_address TEXT,
+  last_used_at TEXT, -- Login or last token refresh
   expires_at TEXT NOT NULL,
   created_at TEXT NOT NULL,
   updated_at TEXT NOT NULL,
   deleted_at TEXT
 );
 
+-- Refresh tokens rotated out of a session (a session is one token family)
+-- Presenting one of these again means the token was copied: the whole family gets revoked
+CREATE TABLE IF NOT EXISTS refresh_token_history (
+  token_hash TEXT PRIMARY KEY, -- SHA-256 of the old refresh token
+  session_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  rotated_at TEXT NOT NULL
+);
+
+-- Admin roles (see shared/utils/permissions.js for the permissions each role grants)
+CREATE TABLE IF NOT EXISTS user_roles (
+  user_id TEXT NOT NULL,
+  role TEXT NOT NULL,
+  granted_by TEXT, -- user ID of the admin who assigned the role (NULL for legacy isAdmin users)
+  granted_at TEXT NOT NULL,
+  PRIMARY KEY (user_id, role)
+);
+
+-- Password reset tokens (hashed, single-use, short TTL)
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  token_id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE, -- SHA-256 of the token sent by email
+  expires_at TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  used_at TEXT
+);
+
+-- Email verification tokens (hashed, single-use)
+CREATE TABLE IF NOT EXISTS email_verification_tokens (
+  token_id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE, -- SHA-256 of the token sent by email
+  expires_at TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  used_at TEXT
+);
+
+-- External login identities (OIDC provider + subject), linked to a local user
+CREATE TABLE IF NOT EXISTS user_identities (
+  provider TEXT NOT NULL, -- provider name from OIDC_PROVIDERS
+  subject TEXT NOT NULL, -- "sub" claim of the provider's ID token
+  user_id TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  last_login_at TEXT,
+  PRIMARY KEY (provider, subject)
+);
+
+-- In-flight OIDC logins (state, PKCE verifier and nonce; single-use, short TTL)
+CREATE TABLE IF NOT EXISTS oauth_states (
+  state_hash TEXT PRIMARY KEY, -- SHA-256 of the state parameter
+  provider TEXT NOT NULL,
+  code_verifier TEXT NOT NULL,
+  nonce TEXT NOT NULL,
+  return_to TEXT,
+  expires_at TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+
+-- One-time codes handed to the frontend after an OIDC callback (hashed, single-use)
+CREATE TABLE IF NOT EXISTS oauth_login_codes (
+  code_hash TEXT PRIMARY KEY, -- SHA-256 of the code
+  user_id TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+
+-- Account data export / deletion requests, one row per run with a per-step audit trail
+CREATE TABLE IF NOT EXISTS data_requests (
+  request_id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  type TEXT NOT NULL, -- 'export' or 'delete'
+  status TEXT NOT NULL, -- 'running', 'completed' or 'failed'
+  steps TEXT NOT NULL, -- JSON array of { name, status, startedAt, completedAt, result, error }
+  error TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  completed_at TEXT
+);
+
+-- Encryption key rotation jobs (re-encrypt users.data and payments.encrypted_payment_id in batches)
+CREATE TABLE IF NOT EXISTS key_rotation_jobs (
+  job_id TEXT PRIMARY KEY,
+  target_key_id TEXT NOT NULL, -- ENCRYPTION_KEY_ID the job re-encrypts to
+  status TEXT NOT NULL, -- 'running', 'completed', 'completed_with_errors' or 'superseded'
+  users_cursor TEXT, -- last user_id processed
+  users_done INTEGER NOT NULL DEFAULT 0,
+  users_rotated INTEGER NOT NULL DEFAULT 0,
+  payments_cursor TEXT, -- last payment_id processed
+  payments_done INTEGER NOT NULL DEFAULT 0,
+  payments_rotated INTEGER NOT NULL DEFAULT 0,
+  failed INTEGER NOT NULL DEFAULT 0, -- rows that could not be decrypted
+  failed_ids TEXT, -- JSON { users: [user_id], payments: [payment_id] } of those rows
+  started_by TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  completed_at TEXT
+);
+
+-- Personal access tokens for scripted API access (cart and orders), scoped per token
+CREATE TABLE IF NOT EXISTS api_tokens (
+  token_id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE, -- SHA-256 of the full token ("pat_...")
+  token_hint TEXT NOT NULL, -- first characters of the token, shown in token lists
+  scopes TEXT NOT NULL, -- JSON array, e.g. ["orders:read"]
+  expires_at TEXT NOT NULL,
+  last_used_at TEXT,
+  last_used_ip TEXT,
+  created_at TEXT NOT NULL,
+  revoked_at TEXT
+);
+
+-- Append-only audit trail of authentication and account security events
+-- user_id is the account the event is about; actor_id is who caused it (the user, an admin, or NULL if anonymous)
+CREATE TABLE IF NOT EXISTS security_events (
+  event_id TEXT PRIMARY KEY,
+  event_type TEXT NOT NULL, -- e.g. 'login', 'password_changed', 'role_assigned'
+  outcome TEXT NOT NULL, -- 'success', 'failure' or 'blocked'
+  user_id TEXT,
+  actor_id TEXT,
+  ip_address TEXT,
+  user_agent TEXT,
+  metadata TEXT, -- JSON object with event details (never secrets)
+  created_at TEXT NOT NULL
+);
+
 -- Indexes
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email_index ON users(email_index) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_users_phone_index ON users(phone_index);
+CREATE INDEX IF NOT EXISTS idx_users_created_at ON users(created_at);
 CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
 CREATE INDEX IF NOT EXISTS idx_sessions_refresh_token ON sessions(refresh_token);
 CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions(expires_at);
+CREATE INDEX IF NOT EXISTS idx_refresh_token_history_session_id ON refresh_token_history(session_id);
+CREATE INDEX IF NOT EXISTS idx_user_roles_role ON user_roles(role);
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id ON password_reset_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user_id ON email_verification_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_identities_user_id ON user_identities(user_id);
+CREATE INDEX IF NOT EXISTS idx_data_requests_user_id ON data_requests(user_id);
+CREATE INDEX IF NOT EXISTS idx_key_rotation_jobs_status ON key_rotation_jobs(status);
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_security_events_user_id ON security_events(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_security_events_type ON security_events(event_type, created_at);
+CREATE INDEX IF NOT EXISTS idx_security_events_created_at ON security_events(created_at);
+
+-- security_events is append-only: rows are never changed, and only deleted by the retention purge
+-- once older than the minimum retention period (90 days, see maintenanceService.js)
+CREATE TRIGGER IF NOT EXISTS trg_security_events_no_update
+BEFORE UPDATE ON security_events
+BEGIN
+  SELECT RAISE(ABORT, 'security_events is append-only');
+END;
 
+CREATE TRIGGER IF NOT EXISTS trg_security_events_no_early_delete
+BEFORE DELETE ON security_events
+WHEN OLD.created_at > strftime('%Y-%m-%dT%H:%M:%fZ', 'now', '-90 days')
+BEGIN
+  SELECT RAISE(ABORT, 'security_events rows are kept for at least 90 days');
+END;
@@ -0,0 +1,86 @@
+-- Migration to add the product search projection used for faceted filtering
+-- Run this if product_search doesn't exist. Backfills catalog fields and spec attributes from existing products;
+-- price and stock are filled by the catalog worker's scheduled refresh (or POST /admin/search-projection/refresh)
+-- (the attribute values here approximate extractFacetAttributes in catalogworker/models/searchProjectionModel.js)
+
+CREATE TABLE IF NOT EXISTS product_search (
+  product_id TEXT PRIMARY KEY,
+  category TEXT,
+  brand TEXT,
+  rating REAL,
+  discount_percentage REAL NOT NULL DEFAULT 0,
+  price REAL,
+  stock INTEGER NOT NULL DEFAULT 0,
+  updated_at TEXT NOT NULL,
+  synced_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS product_search_attributes (
+  product_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  value TEXT NOT NULL,
+  PRIMARY KEY (product_id, name, value)
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_search_category ON product_search(category);
+CREATE INDEX IF NOT EXISTS idx_product_search_brand ON product_search(brand);
+CREATE INDEX IF NOT EXISTS idx_product_search_price ON product_search(price);
+CREATE INDEX IF NOT EXISTS idx_product_search_attributes_name ON product_search_attributes(name, value);
+
+INSERT INTO product_search (product_id, category, brand, rating, discount_percentage, updated_at)
+SELECT
+  p.product_id,
+  json_extract(p.data, '$.category'),
+  json_extract(p.data, '$.brand'),
+  json_extract(p.data, '$.rating'),
+  CASE
+    WHEN json_extract(p.data, '$.discountPercentage') > 0 AND json_extract(p.data, '$.discountPercentage') <= 90
+      THEN json_extract(p.data, '$.discountPercentage')
+    ELSE 0
+  END,
+  strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+FROM products p
+WHERE p.deleted_at IS NULL
+ON CONFLICT(product_id) DO UPDATE SET
+  category = excluded.category,
+  brand = excluded.brand,
+  rating = excluded.rating,
+  discount_percentage = excluded.discount_percentage,
+  updated_at = excluded.updated_at;
+
+DELETE FROM product_search_attributes;
+
+-- "16GB LPDDR5X" / "512 GB UFS 4.0" -> "16GB" / "512GB"
+INSERT OR IGNORE INTO product_search_attributes (product_id, name, value)
+SELECT product_id, name, value
+FROM (
+  SELECT
+    a.product_id,
+    a.name,
+    substr(a.raw || ' ', 1, instr(a.raw || ' ', ' ') - 1) AS value
+  FROM (
+    SELECT
+      p.product_id,
+      'ram' AS name,
+      replace(replace(replace(upper(trim(COALESCE(
+        json_extract(p.data, '$.memory.ram'),
+        json_extract(p.data, '$.specs.ram'),
+        json_extract(p.data, '$.ram')
+      ))), ' TB', 'TB'), ' GB', 'GB'), ' MB', 'MB') AS raw
+    FROM products p
+    WHERE p.deleted_at IS NULL
+    UNION ALL
+    SELECT
+      p.product_id,
+      'storage',
+      replace(replace(replace(upper(trim(COALESCE(
+        json_extract(p.data, '$.memory.storage'),
+        json_extract(p.data, '$.specs.storage'),
+        json_extract(p.data, '$.storage')
+      ))), ' TB', 'TB'), ' GB', 'GB'), ' MB', 'MB')
+    FROM products p
+    WHERE p.deleted_at IS NULL
+  ) a
+  WHERE a.raw IS NOT NULL
+)
+WHERE value GLOB '[0-9]*[TGM]B';
@@ -0,0 +1,4 @@
+-- Migration to add the index behind cursor (keyset) pagination of the catalog listing
+-- Safe to run more than once
+
+CREATE INDEX IF NOT EXISTS idx_products_created_at_id ON products(created_at, product_id);
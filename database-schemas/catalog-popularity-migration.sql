@@ -0,0 +1,8 @@
+-- Migration to add popularity (recent order volume) to the product search projection
+-- Run this after catalog-facets-migration.sql if product_search has no popularity column.
+-- Values are filled by the catalog worker's scheduled refresh (or POST /admin/search-projection/refresh)
+
+ALTER TABLE product_search ADD COLUMN popularity INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_product_search_rating ON product_search(rating);
+CREATE INDEX IF NOT EXISTS idx_product_search_popularity ON product_search(popularity);
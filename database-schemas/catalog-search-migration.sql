@@ -0,0 +1,34 @@
+-- Migration to add the products full-text search index
+-- Run this if products_fts doesn't exist. Backfills existing products; saving a product re-indexes it
+-- (the specs column here approximates buildSearchDocument in catalogworker/models/productModel.js)
+
+CREATE VIRTUAL TABLE IF NOT EXISTS products_fts USING fts5(
+  product_id UNINDEXED,
+  name,
+  brand,
+  category,
+  description,
+  specs,
+  tokenize = 'unicode61 remove_diacritics 2',
+  prefix = '2 3'
+);
+
+DELETE FROM products_fts;
+
+INSERT INTO products_fts (product_id, name, brand, category, description, specs)
+SELECT
+  p.product_id,
+  json_extract(p.data, '$.name'),
+  json_extract(p.data, '$.brand'),
+  json_extract(p.data, '$.category'),
+  json_extract(p.data, '$.description'),
+  (
+    SELECT group_concat(t.value, ' ')
+    FROM json_tree(p.data) t
+    WHERE t.type = 'text'
+      AND t.value NOT LIKE 'http%'
+      AND t.fullkey NOT IN ('$.name', '$.brand', '$.category', '$.description', '$.thumbnail', '$.productImage', '$.availabilityStatus')
+      AND t.fullkey NOT LIKE '$.images%'
+  )
+FROM products p
+WHERE p.deleted_at IS NULL;
@@ -0,0 +1,18 @@
+-- Migration to add product variants (child SKUs with their own price, stock and images)
+-- Existing products keep working unchanged: a product without variants is priced and stocked by product_id.
+-- Prices (pricing-worker) and inventory (fulfillment-worker) for a variant are stored under its variant_id.
+
+CREATE TABLE IF NOT EXISTS product_variants (
+  variant_id TEXT PRIMARY KEY,
+  product_id TEXT NOT NULL,
+  sku TEXT NOT NULL,
+  attributes TEXT NOT NULL,
+  images TEXT NOT NULL DEFAULT '[]',
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  deleted_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_variants_product ON product_variants(product_id, position);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_variants_sku ON product_variants(sku) WHERE deleted_at IS NULL;
@@ -9,7 +9,72 @@ CREATE TABLE IF NOT EXISTS products (
   deleted_at TEXT
 );
 
+-- Product variants (child SKUs of a product, e.g. one per colour and storage combination)
+-- The parent's data holds the variant axes ({ variantAxes: [{ name, values }] }); each variant picks one value per axis.
+-- Variants are sold on their own: pricing-worker prices and fulfillment-worker inventory are keyed by variant_id.
+CREATE TABLE IF NOT EXISTS product_variants (
+  variant_id TEXT PRIMARY KEY,
+  product_id TEXT NOT NULL,
+  sku TEXT NOT NULL,
+  attributes TEXT NOT NULL, -- JSON object of axis name to value (e.g. {"colour": "Black", "storage": "256GB"})
+  images TEXT NOT NULL DEFAULT '[]', -- JSON array of image URLs (empty falls back to the product images)
+  position INTEGER NOT NULL DEFAULT 0, -- Display order in the picker
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  deleted_at TEXT
+);
+
+-- Full-text search index over products (kept in sync by models/productModel.js; soft-deleted products are removed)
+-- Columns: name, brand, category, description and specs (the other text attributes, flattened)
+CREATE VIRTUAL TABLE IF NOT EXISTS products_fts USING fts5(
+  product_id UNINDEXED,
+  name,
+  brand,
+  category,
+  description,
+  specs,
+  tokenize = 'unicode61 remove_diacritics 2',
+  prefix = '2 3'
+);
+
+-- Search projection for faceted filtering on GET /products (one row per live product)
+-- Catalog fields are written with the product (models/searchProjectionModel.js); price, stock and popularity are
+-- copied from pricing-, fulfillment- and orders-worker by the scheduled refresh, so they can lag by one run
+CREATE TABLE IF NOT EXISTS product_search (
+  product_id TEXT PRIMARY KEY,
+  category TEXT,
+  brand TEXT,
+  rating REAL,
+  discount_percentage REAL NOT NULL DEFAULT 0, -- Applied discount (0 when outside 0-90, like the cart)
+  price REAL, -- List price from pricing-worker (NULL until refreshed or when unpriced)
+  stock INTEGER NOT NULL DEFAULT 0, -- Available stock from fulfillment-worker
+  popularity INTEGER NOT NULL DEFAULT 0, -- Units ordered in the last 90 days, from orders-worker
+  updated_at TEXT NOT NULL,
+  synced_at TEXT -- Last price/stock/popularity refresh
+);
+
+-- Spec attributes offered as facets (e.g. ram = '16GB', storage = '512GB')
+CREATE TABLE IF NOT EXISTS product_search_attributes (
+  product_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  value TEXT NOT NULL,
+  PRIMARY KEY (product_id, name, value)
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_search_category ON product_search(category);
+CREATE INDEX IF NOT EXISTS idx_product_search_brand ON product_search(brand);
+CREATE INDEX IF NOT EXISTS idx_product_search_price ON product_search(price);
+CREATE INDEX IF NOT EXISTS idx_product_search_rating ON product_search(rating);
+CREATE INDEX IF NOT EXISTS idx_product_search_popularity ON product_search(popularity);
+CREATE INDEX IF NOT EXISTS idx_product_search_attributes_name ON product_search_attributes(name, value);
+
+CREATE INDEX IF NOT EXISTS idx_product_variants_product ON product_variants(product_id, position);
+-- SKUs stay unique among live variants (a removed variant frees its SKU)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_variants_sku ON product_variants(sku) WHERE deleted_at IS NULL;
+
 -- Indexes for JSONB queries
 CREATE INDEX IF NOT EXISTS idx_products_category ON products(JSON_EXTRACT(data, '$.category'));
 CREATE INDEX IF NOT EXISTS idx_products_created_at ON products(created_at);
+-- Keyset pagination of the newest-first listing
+CREATE INDEX IF NOT EXISTS idx_products_created_at_id ON products(created_at, product_id);
 
@@ -15,6 +15,7 @@ CREATE TABLE IF NOT EXISTS warehouses (
 );
 
 -- Inventory table (per warehouse)
+-- product_id is the sellable item: the product ID, or the variant ID for products with variants
 CREATE TABLE IF NOT EXISTS inventory (
   inventory_id TEXT PRIMARY KEY,
   product_id TEXT NOT NULL,
@@ -0,0 +1,7 @@
+-- Migration to add guest checkout
+-- Run this if the orders table has no guest_email column
+
+-- Contact email of orders placed by guests (user_id guest_<guestId>), used to claim them on signup
+ALTER TABLE orders ADD COLUMN guest_email TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_orders_guest_email ON orders(guest_email);
@@ -0,0 +1,4 @@
+-- Migration to add the index behind cursor (keyset) pagination of the orders listing
+-- Safe to run more than once
+
+CREATE INDEX IF NOT EXISTS idx_orders_user_created_at ON orders(user_id, created_at, order_id);
@@ -3,7 +3,8 @@
 -- Orders table (user, address, product data in JSONB)
 CREATE TABLE IF NOT EXISTS orders (
   order_id TEXT PRIMARY KEY,
-  user_id TEXT NOT NULL,
+  user_id TEXT NOT NULL, -- Account user ID, or guest_<guestId> for guest checkout
+  guest_email TEXT, -- Contact email of a guest order (lowercase), matched when the guest later signs up; cleared on anonymization
   user_data TEXT NOT NULL, -- JSONB with user data
   address_data TEXT NOT NULL, -- JSONB with shipping address
   product_data TEXT NOT NULL, -- JSONB with product items and shipping info
@@ -18,4 +19,7 @@ CREATE TABLE IF NOT EXISTS orders (
 CREATE INDEX IF NOT EXISTS idx_orders_user_id ON orders(user_id);
 CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status);
 CREATE INDEX IF NOT EXISTS idx_orders_created_at ON orders(created_at);
+CREATE INDEX IF NOT EXISTS idx_orders_guest_email ON orders(guest_email);
+-- Keyset pagination of a user's orders
+CREATE INDEX IF NOT EXISTS idx_orders_user_created_at ON orders(user_id, created_at, order_id);
 
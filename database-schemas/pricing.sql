@@ -1,6 +1,7 @@
 -- Pricing Worker Database Schema
 
 -- Prices table
+-- product_id is the sellable item: the product ID, or the variant ID for products with variants
 CREATE TABLE IF NOT EXISTS prices (
   product_id TEXT PRIMARY KEY,
   price REAL NOT NULL,
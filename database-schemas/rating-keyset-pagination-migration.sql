@@ -0,0 +1,4 @@
+-- Migration to add the index behind cursor (keyset) pagination of the ratings listing
+-- Safe to run more than once
+
+CREATE INDEX IF NOT EXISTS idx_ratings_product_created_at ON ratings(product_id, created_at, rating_id);
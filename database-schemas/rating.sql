@@ -18,4 +18,6 @@ CREATE TABLE IF NOT EXISTS ratings (
 CREATE INDEX IF NOT EXISTS idx_ratings_product_id ON ratings(product_id);
 CREATE INDEX IF NOT EXISTS idx_ratings_order_id ON ratings(order_id);
 CREATE INDEX IF NOT EXISTS idx_ratings_user_id ON ratings(user_id);
+-- Keyset pagination of a product's ratings
+CREATE INDEX IF NOT EXISTS idx_ratings_product_created_at ON ratings(product_id, created_at, rating_id);
 
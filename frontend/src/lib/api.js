@@ -12,7 +12,8 @@ const WORKER_URLS = {
 	orders: 'https://orders-worker.shyaamdps.workers.dev',
 	payment: 'https://payment-worker.shyaamdps.workers.dev',
 	rating: 'https://rating-worker.shyaamdps.workers.dev',
-	fulfillment: 'https://fulfillment-worker.shyaamdps.workers.dev'
+	fulfillment: 'https://fulfillment-worker.shyaamdps.workers.dev',
+	pricing: 'https://pricing-worker.shyaamdps.workers.dev'
 };
 
 /**
@@ -167,6 +168,30 @@ export const authApi = {
 		});
 	},
 
+	async loginTwoFactor(challengeToken, credentials) {
+		return apiRequest(`${WORKER_URLS.auth}/login/2fa`, {
+			method: 'POST',
+			body: JSON.stringify({ challengeToken, ...credentials })
+		});
+	},
+
+	async getOAuthProviders() {
+		return apiRequest(`${WORKER_URLS.auth}/oauth/providers`);
+	},
+
+	// Full-page navigation target (the worker redirects to the provider)
+	getOAuthStartUrl(provider, returnTo = '/') {
+		return `${WORKER_URLS.auth}/oauth/${encodeURIComponent(provider)}/start?returnTo=${encodeURIComponent(returnTo)}`;
+	},
+
+	// Exchange the one-time code the callback redirected back with
+	async completeOAuthLogin(code) {
+		return apiRequest(`${WORKER_URLS.auth}/oauth/complete`, {
+			method: 'POST',
+			body: JSON.stringify({ code })
+		});
+	},
+
 	async logout() {
 		return apiRequest(`${WORKER_URLS.auth}/logout`, {
 			method: 'POST'
@@ -179,6 +204,87 @@ export const authApi = {
 		});
 	},
 
+	async forgotPassword(email) {
+		return apiRequest(`${WORKER_URLS.auth}/password/forgot`, {
+			method: 'POST',
+			body: JSON.stringify({ email })
+		});
+	},
+
+	async resetPassword(token, password) {
+		return apiRequest(`${WORKER_URLS.auth}/password/reset`, {
+			method: 'POST',
+			body: JSON.stringify({ token, password })
+		});
+	},
+
+	async verifyEmail(token) {
+		return apiRequest(`${WORKER_URLS.auth}/verify-email`, {
+			method: 'POST',
+			body: JSON.stringify({ token })
+		});
+	},
+
+	// Guest checkout: sets the guest cookie used by the cart and orders workers
+	async startGuestSession() {
+		return apiRequest(`${WORKER_URLS.auth}/guest`, {
+			method: 'POST'
+		});
+	},
+
+	async resendVerificationEmail() {
+		return apiRequest(`${WORKER_URLS.auth}/verify-email/resend`, {
+			method: 'POST'
+		});
+	},
+
+	async getSessions() {
+		return apiRequest(`${WORKER_URLS.auth}/sessions`);
+	},
+
+	async revokeSession(sessionId) {
+		return apiRequest(`${WORKER_URLS.auth}/sessions/${sessionId}`, {
+			method: 'DELETE'
+		});
+	},
+
+	async revokeOtherSessions() {
+		return apiRequest(`${WORKER_URLS.auth}/sessions`, {
+			method: 'DELETE'
+		});
+	},
+
+	async getAccountActivity() {
+		return apiRequest(`${WORKER_URLS.auth}/profile/activity`);
+	},
+
+	async setupTwoFactor() {
+		return apiRequest(`${WORKER_URLS.auth}/2fa/setup`, {
+			method: 'POST'
+		});
+	},
+
+	async enableTwoFactor(code) {
+		return apiRequest(`${WORKER_URLS.auth}/2fa/enable`, {
+			method: 'POST',
+			body: JSON.stringify({ code })
+		});
+	},
+
+	async disableTwoFactor(credentials) {
+		return apiRequest(`${WORKER_URLS.auth}/2fa/disable`, {
+			method: 'POST',
+			body: JSON.stringify(credentials)
+		});
+	},
+
+	async regenerateRecoveryCodes(credentials) {
+		return apiRequest(`${WORKER_URLS.auth}/2fa/recovery-codes`, {
+			method: 'POST',
+			body: JSON.stringify(credentials)
+		});
+	},
+
 	async getProfile() {
 		try {
 			return await apiRequest(`${WORKER_URLS.auth}/profile`);
@@ -200,6 +306,23 @@ export const authApi = {
 		});
 	},
 
+	async exportAccountData() {
+		return apiRequest(`${WORKER_URLS.auth}/profile/export`, {
+			method: 'POST'
+		});
+	},
+
+	async deleteAccount(password) {
+		return apiRequest(`${WORKER_URLS.auth}/profile`, {
+			method: 'DELETE',
+			body: JSON.stringify({ confirm: 'DELETE', ...(password && { password }) })
+		});
+	},
+
+	async getDataRequests() {
+		return apiRequest(`${WORKER_URLS.auth}/profile/data-requests`);
+	},
+
 	async addSavedAddress(address) {
 		return apiRequest(`${WORKER_URLS.auth}/profile/addresses`, {
 			method: 'POST',
@@ -218,6 +341,24 @@ export const authApi = {
 		return apiRequest(`${WORKER_URLS.auth}/profile/addresses/${addressId}`, {
 			method: 'DELETE'
 		});
+	},
+
+	// Personal access tokens (the plain token is only returned by createApiToken)
+	async listApiTokens() {
+		return apiRequest(`${WORKER_URLS.auth}/api-tokens`);
+	},
+
+	async createApiToken(data) {
+		return apiRequest(`${WORKER_URLS.auth}/api-tokens`, {
+			method: 'POST',
+			body: JSON.stringify(data)
+		});
+	},
+
+	async revokeApiToken(tokenId) {
+		return apiRequest(`${WORKER_URLS.auth}/api-tokens/${tokenId}`, {
+			method: 'DELETE'
+		});
 	}
 };
 
@@ -258,6 +399,14 @@ export const adminApi = {
 		});
 	},
 
+	// Price management
+	async setPrice(productId, price, currency = 'INR') {
+		return apiRequest(`${WORKER_URLS.pricing}/admin/prices/${productId}`, {
+			method: 'PUT',
+			body: JSON.stringify({ price, currency })
+		});
+	},
+
 	// Stock management
 	async getAllStocks(page = 1, limit = 50) {
 		const params = new URLSearchParams({ page: String(page), limit: String(limit) });
@@ -283,6 +432,55 @@ export const adminApi = {
 		return apiRequest(`${WORKER_URLS.fulfillment}/admin/shipping-rules${queryString ? '?' + queryString : ''}`);
 	},
 
+	// User management
+	async searchUsers(filters = {}) {
+		const params = new URLSearchParams();
+		if (filters.email) params.append('email', filters.email);
+		if (filters.status) params.append('status', filters.status);
+		if (filters.page) params.append('page', String(filters.page));
+		if (filters.limit) params.append('limit', String(filters.limit));
+		if (filters.cursor) params.append('cursor', filters.cursor);
+		const queryString = params.toString();
+		return apiRequest(`${WORKER_URLS.auth}/admin/users${queryString ? '?' + queryString : ''}`);
+	},
+
+	async getUser(userId) {
+		return apiRequest(`${WORKER_URLS.auth}/admin/users/${userId}`);
+	},
+
+	async suspendUser(userId, reason = null) {
+		return apiRequest(`${WORKER_URLS.auth}/admin/users/${userId}/suspend`, {
+			method: 'POST',
+			body: JSON.stringify(reason ? { reason } : {})
+		});
+	},
+
+	async unsuspendUser(userId) {
+		return apiRequest(`${WORKER_URLS.auth}/admin/users/${userId}/unsuspend`, {
+			method: 'POST'
+		});
+	},
+
+	async forceLogoutUser(userId) {
+		return apiRequest(`${WORKER_URLS.auth}/admin/users/${userId}/logout`, {
+			method: 'POST'
+		});
+	},
+
+	async sendUserPasswordReset(userId) {
+		return apiRequest(`${WORKER_URLS.auth}/admin/users/${userId}/password-reset`, {
+			method: 'POST'
+		});
+	},
+
+	// Security audit trail (filters: userId, actorId, eventType, outcome, ipAddress, from, to, page, limit)
+	async searchSecurityEvents(filters = {}) {
+		const params = new URLSearchParams(
+			Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+		);
+		return apiRequest(`${WORKER_URLS.auth}/admin/security-events?${params}`);
+	},
+
 	// Image management
 	async uploadImage(file) {
 		const formData = new FormData();
@@ -339,10 +537,14 @@ export const adminApi = {
  * Catalog API
  */
 export const catalogApi = {
-	async getProducts(page = 1, limit = 20, category = null, search = null) {
+	// filters: { brand, minPrice, maxPrice, minRating, minDiscount, inStock, ram, storage } (lists comma-separated)
+	async getProducts(page = 1, limit = 20, category = null, search = null, filters = {}) {
 		const params = new URLSearchParams({ page: String(page), limit: String(limit) });
 		if (category) params.append('category', category);
 		if (search) params.append('search', search);
+		for (const [name, value] of Object.entries(filters)) {
+			if (value !== null && value !== undefined && value !== '') params.append(name, String(value));
+		}
 		
 		return apiRequest(`${WORKER_URLS.catalog}/products?${params}`);
 	},
@@ -373,11 +575,13 @@ export const cartApi = {
 		return apiRequest(`${WORKER_URLS.cart}/cart`);
 	},
 
-	async addItem(productId, quantity) {
+	// variantId is required for products with variants
+	async addItem(productId, quantity, variantId = null) {
 		return apiRequest(`${WORKER_URLS.cart}/cart/item`, {
 			method: 'POST',
 			body: JSON.stringify({
 				productId,
+				...(variantId ? { variantId } : {}),
 				quantity
 			})
 		});
@@ -400,6 +604,13 @@ export const cartApi = {
 		return apiRequest(`${WORKER_URLS.cart}/cart`, {
 			method: 'DELETE'
 		});
+	},
+
+	// Merge the guest cart (guest cookie) into the logged-in user's cart
+	async mergeGuestCart() {
+		return apiRequest(`${WORKER_URLS.cart}/cart/merge`, {
+			method: 'POST'
+		});
 	}
 };
 
@@ -486,8 +697,9 @@ export const paymentApi = {
  * Rating API
  */
 export const ratingApi = {
-	async getRatings(productId) {
-		return apiRequest(`${WORKER_URLS.rating}/ratings/${productId}`);
+	async getRatings(productId, cursor = null) {
+		const query = cursor ? `?${new URLSearchParams({ cursor })}` : '';
+		return apiRequest(`${WORKER_URLS.rating}/ratings/${productId}${query}`);
 	},
 
 	async getOrderRatings(orderId) {
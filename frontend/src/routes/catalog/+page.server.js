@@ -1,14 +1,25 @@
+// Facet filters passed through to the catalog worker
+const FILTER_PARAMS = ['brand', 'minPrice', 'maxPrice', 'minRating', 'minDiscount', 'inStock', 'ram', 'storage'];
+
 export async function load({ url, fetch }) {
 	const page = parseInt(url.searchParams.get('page') || '1', 10);
 	const limit = parseInt(url.searchParams.get('limit') || '10', 10);
 	const category = url.searchParams.get('category') || null;
 	const search = url.searchParams.get('search') || null;
+	const sort = url.searchParams.get('sort') || null;
+	const cursor = url.searchParams.get('cursor') || null;
 
 	try {
 		// Use the fetch function provided by SvelteKit for SSR
 		const params = new URLSearchParams({ page: String(page), limit: String(limit) });
 		if (category) params.append('category', category);
 		if (search) params.append('search', search);
+		if (sort) params.append('sort', sort);
+		if (cursor) params.append('cursor', cursor);
+		for (const name of FILTER_PARAMS) {
+			const value = url.searchParams.get(name);
+			if (value) params.append(name, value);
+		}
 		
 		const response = await fetch(`https://catalog-worker.shyaamdps.workers.dev/products?${params}`, {
 			credentials: 'include'
@@ -46,16 +57,25 @@ export async function load({ url, fetch }) {
 		const currentPage = data.pagination?.page || data.page || page;
 		const totalPages = data.pagination?.totalPages || data.totalPages || 1;
 		
-		return {
-			products: data.products || [],
-			pagination: {
+		// Pages reached by cursor have no page number or total; pass them through as they are
+		const pagination = cursor && data.pagination
+			? data.pagination
+			: {
 				page: currentPage,
 				limit: data.pagination?.limit || data.limit || limit,
 				total: data.pagination?.total || data.total || 0,
 				totalPages: totalPages,
 				hasNext: data.pagination?.hasNext ?? (currentPage < totalPages),
-				hasPrev: data.pagination?.hasPrev ?? (currentPage > 1)
-			},
+				hasPrev: data.pagination?.hasPrev ?? (currentPage > 1),
+				nextCursor: data.pagination?.nextCursor || null,
+				prevCursor: data.pagination?.prevCursor || null
+			};
+		
+		return {
+			products: data.products || [],
+			pagination,
+			facets: data.facets || null,
+			sort: data.sort || sort,
 			category,
 			search
 		};
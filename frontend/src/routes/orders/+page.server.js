@@ -9,6 +9,7 @@ export async function load({ cookies, fetch, request, url }) {
 	const dateTo = url.searchParams.get('dateTo');
 	const page = parseInt(url.searchParams.get('page') || '1', 10);
 	const limit = parseInt(url.searchParams.get('limit') || '10', 10);
+	const cursor = url.searchParams.get('cursor');
 	
 	// Build query string for filters
 	const filterParams = new URLSearchParams();
@@ -17,6 +18,7 @@ export async function load({ cookies, fetch, request, url }) {
 	if (dateTo) filterParams.append('dateTo', dateTo);
 	filterParams.append('page', String(page));
 	filterParams.append('limit', String(limit));
+	if (cursor) filterParams.append('cursor', cursor);
 	const queryString = filterParams.toString();
 	const ordersUrl = `https://orders-worker.shyaamdps.workers.dev/orders?${queryString}`;
 	
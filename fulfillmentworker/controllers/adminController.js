@@ -4,6 +4,7 @@
  */
 
 import { authenticateAdmin } from '../../shared/utils/adminAuth.js';
+import { PERMISSIONS } from '../../shared/utils/permissions.js';
 import * as inventoryModel from '../models/inventoryModel.js';
 import { invalidateShippingCache } from '../services/fulfillmentService.js';
 import { ValidationError } from '../../shared/utils/errors.js';
@@ -13,7 +14,7 @@ import { ValidationError } from '../../shared/utils/errors.js';
  */
 export async function updateStock(request, env) {
   // Authenticate admin
-  const authResult = await authenticateAdmin(request, env);
+  const authResult = await authenticateAdmin(request, env, { permission: PERMISSIONS.INVENTORY_WRITE });
   if (authResult instanceof Response) {
     return authResult;
   }
@@ -87,7 +88,7 @@ export async function updateStock(request, env) {
  */
 export async function getAllStocks(request, env) {
   // Authenticate admin
-  const authResult = await authenticateAdmin(request, env);
+  const authResult = await authenticateAdmin(request, env, { permission: PERMISSIONS.INVENTORY_READ });
   if (authResult instanceof Response) {
     return authResult;
   }
@@ -151,7 +152,7 @@ export async function getAllStocks(request, env) {
  */
 export async function getAllWarehouses(request, env) {
   // Authenticate admin
-  const authResult = await authenticateAdmin(request, env);
+  const authResult = await authenticateAdmin(request, env, { permission: PERMISSIONS.INVENTORY_READ });
   if (authResult instanceof Response) {
     return authResult;
   }
@@ -190,7 +191,7 @@ export async function getAllWarehouses(request, env) {
  */
 export async function getAllShippingRules(request, env) {
   // Authenticate admin
-  const authResult = await authenticateAdmin(request, env);
+  const authResult = await authenticateAdmin(request, env, { permission: PERMISSIONS.SHIPPING_READ });
   if (authResult instanceof Response) {
     return authResult;
   }
@@ -258,7 +259,7 @@ export async function getAllShippingRules(request, env) {
  */
 export async function getReservations(request, env) {
   // Authenticate admin
-  const authResult = await authenticateAdmin(request, env);
+  const authResult = await authenticateAdmin(request, env, { permission: PERMISSIONS.INVENTORY_READ });
   if (authResult instanceof Response) {
     return authResult;
   }
@@ -292,7 +293,7 @@ export async function getReservations(request, env) {
  */
 export async function cleanupReservations(request, env) {
   // Authenticate admin
-  const authResult = await authenticateAdmin(request, env);
+  const authResult = await authenticateAdmin(request, env, { permission: PERMISSIONS.INVENTORY_WRITE });
   if (authResult instanceof Response) {
     return authResult;
   }
@@ -15,7 +15,7 @@ describe('fulfillmentworker adminController', () => {
     mockEnv = createMockEnv();
     mockEnv.INTER_WORKER_API_KEY = 'test-api-key';
     // Mock auth worker for admin authentication
-    mockEnv.auth_worker._setResponse('GET', '/profile', { userId: 'admin-1', isAdmin: true });
+    mockEnv.auth_worker._setResponse('GET', '/profile', { userId: 'admin-1', roles: ['super_admin'] });
   });
 
   describe('updateStock', () => {
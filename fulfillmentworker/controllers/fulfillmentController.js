@@ -271,6 +271,27 @@ export async function getShippingOptions(request, env) {
   );
 }
 
+/**
+ * Pincode serviceability (inter-worker: address book and checkout)
+ */
+export async function getServiceability(request, env) {
+  const { pincode } = request.params;
+
+  if (!/^[1-9][0-9]{5}$/.test(pincode)) {
+    throw new ValidationError('Pincode must be a valid 6-digit Indian pincode');
+  }
+
+  const result = await fulfillmentService.getPincodeServiceability(pincode, env.fulfillment_db);
+
+  return new Response(
+    JSON.stringify(result),
+    {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    }
+  );
+}
+
 /**
  * Calculate shipping cost
  */
@@ -243,5 +243,29 @@ describe('fulfillmentController', () => {
       }
     });
   });
-});
 
+  describe('getServiceability', () => {
+    it('should throw ValidationError for a malformed pincode', async () => {
+      const request = createMockRequest('https://example.com/serviceability/012345');
+      request.params = { pincode: '012345' };
+
+      try {
+        await fulfillmentController.getServiceability(request, mockEnv);
+        expect.fail('Should have thrown ValidationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+      }
+    });
+
+    it('should report an uncovered pincode as not serviceable', async () => {
+      const request = createMockRequest('https://example.com/serviceability/600001');
+      request.params = { pincode: '600001' };
+
+      const response = await fulfillmentController.getServiceability(request, mockEnv);
+      const data = await response.json();
+
+      expect(response.status).to.equal(200);
+      expect(data).to.deep.equal({ pincode: '600001', serviceable: false, standardAvailable: false, expressAvailable: false });
+    });
+  });
+});
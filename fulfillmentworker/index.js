@@ -55,10 +55,11 @@ router.put('/stock/:productId', async (request, env, ctx) => {
 
 // Admin routes for stock management
 import { authenticateAdmin } from '../shared/utils/adminAuth.js';
+import { PERMISSIONS } from '../shared/utils/permissions.js';
 import * as adminController from './controllers/adminController.js';
 
 router.get('/admin/stocks', async (request, env) => {
-  const authResult = await authenticateAdmin(request, env);
+  const authResult = await authenticateAdmin(request, env, { permission: PERMISSIONS.INVENTORY_READ });
   if (authResult instanceof Response) {
     return authResult;
   }
@@ -68,7 +69,7 @@ router.get('/admin/stocks', async (request, env) => {
 });
 
 router.put('/admin/stock/:productId', async (request, env) => {
-  const authResult = await authenticateAdmin(request, env);
+  const authResult = await authenticateAdmin(request, env, { permission: PERMISSIONS.INVENTORY_WRITE });
   if (authResult instanceof Response) {
     return authResult;
   }
@@ -78,7 +79,7 @@ router.put('/admin/stock/:productId', async (request, env) => {
 });
 
 router.get('/admin/warehouses', async (request, env) => {
-  const authResult = await authenticateAdmin(request, env);
+  const authResult = await authenticateAdmin(request, env, { permission: PERMISSIONS.INVENTORY_READ });
   if (authResult instanceof Response) {
     return authResult;
   }
@@ -88,7 +89,7 @@ router.get('/admin/warehouses', async (request, env) => {
 });
 
 router.get('/admin/shipping-rules', async (request, env) => {
-  const authResult = await authenticateAdmin(request, env);
+  const authResult = await authenticateAdmin(request, env, { permission: PERMISSIONS.SHIPPING_READ });
   if (authResult instanceof Response) {
     return authResult;
   }
@@ -98,7 +99,7 @@ router.get('/admin/shipping-rules', async (request, env) => {
 });
 
 router.get('/admin/stock/:productId/reservations', async (request, env) => {
-  const authResult = await authenticateAdmin(request, env);
+  const authResult = await authenticateAdmin(request, env, { permission: PERMISSIONS.INVENTORY_READ });
   if (authResult instanceof Response) {
     return authResult;
   }
@@ -108,7 +109,7 @@ router.get('/admin/stock/:productId/reservations', async (request, env) => {
 });
 
 router.post('/admin/stock/:productId/reservations/cleanup', async (request, env) => {
-  const authResult = await authenticateAdmin(request, env);
+  const authResult = await authenticateAdmin(request, env, { permission: PERMISSIONS.INVENTORY_WRITE });
   if (authResult instanceof Response) {
     return authResult;
   }
@@ -153,6 +154,12 @@ router.post('/stock/:productId/reservations/cleanup', async (request, env) => {
   return await fulfillmentController.cleanupReservations(request, env);
 });
 
+router.get('/serviceability/:pincode', async (request, env) => {
+  const authError = requireApiKey(request, env);
+  if (authError) return authError;
+  return await fulfillmentController.getServiceability(request, env);
+});
+
 // Public shipping endpoints (called from frontend)
 router.get('/shipping/:productId', async (request, env) => {
   return await fulfillmentController.getShippingOptions(request, env);
@@ -16,6 +16,7 @@ import {
   getShippingOptionsForProduct, 
   calculateShippingCost 
 } from '../models/shippingModel.js';
+import { getWarehousesByPincode } from '../models/warehouseModel.js';
 import { NotFoundError, ConflictError } from '../../shared/utils/errors.js';
 import { executeTransaction } from '../../shared/utils/database.js';
 
@@ -381,6 +382,26 @@ export async function getShippingOptions(productId, category, db, userAddress =
   return options;
 }
 
+/**
+ * Check whether we deliver to a pincode
+ * A pincode is serviceable when an active warehouse covers it in pincode_coverage
+ * @param {string} pincode - 6-digit pincode
+ * @param {D1Database} db - Database instance
+ * @returns {Promise<Object>} { pincode, serviceable, standardAvailable, expressAvailable }
+ */
+export async function getPincodeServiceability(pincode, db) {
+  const warehouses = await getWarehousesByPincode(db, pincode);
+  const standardAvailable = warehouses.some(warehouse => !!warehouse.standard_available);
+  const expressAvailable = warehouses.some(warehouse => !!warehouse.express_available);
+
+  return {
+    pincode,
+    serviceable: standardAvailable || expressAvailable,
+    standardAvailable,
+    expressAvailable,
+  };
+}
+
 /**
  * Calculate shipping cost
  * @param {Object} params - Calculation parameters
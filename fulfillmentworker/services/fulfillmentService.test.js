@@ -11,6 +11,7 @@ import {
   reserveProductStock,
   releaseProductStock,
   reduceProductStock,
+  getPincodeServiceability,
 } from './fulfillmentService.js';
 import { NotFoundError, ConflictError } from '../../shared/utils/errors.js';
 import { createMockD1, createMockD1WithSequence } from '../../test/setup.js';
@@ -341,5 +342,27 @@ describe('fulfillmentService', () => {
       expect(result).to.be.true;
     });
   });
-});
 
+  describe('getPincodeServiceability', () => {
+    it('should be serviceable when an active warehouse covers the pincode', async () => {
+      mockDb = createMockD1WithSequence([
+        { all: { results: [
+          { warehouse_id: 'WH-MUM-001', standard_available: 1, express_available: 0 },
+          { warehouse_id: 'WH-PUN-001', standard_available: 1, express_available: 0 },
+        ] } },
+      ]);
+
+      const result = await getPincodeServiceability('400001', mockDb);
+
+      expect(result).to.deep.equal({ pincode: '400001', serviceable: true, standardAvailable: true, expressAvailable: false });
+    });
+
+    it('should not be serviceable without coverage', async () => {
+      mockDb = createMockD1WithSequence([{ all: { results: [] } }]);
+
+      const result = await getPincodeServiceability('799001', mockDb);
+
+      expect(result.serviceable).to.be.false;
+    });
+  });
+});
@@ -4,12 +4,20 @@
 
 import { getWorkerBinding } from '../../shared/utils/interWorker.js';
 import { AuthenticationError } from '../../shared/utils/errors.js';
+import { getRequestGuest } from '../../shared/utils/guestAuth.js';
+import { isApiToken, authenticateApiToken } from '../../shared/utils/apiTokens.js';
 import jwt from 'jsonwebtoken';
 
 /**
  * Authentication middleware
+ * Accepts a browser session (access token) or a personal access token ("Bearer pat_...").
+ * requiredScopes only restrict personal access tokens; sessions have full access.
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment variables
+ * @param {string[]} requiredScopes - API token scopes the route needs (see shared/utils/apiTokens.js)
+ * @returns {Promise<Response|null>} Error response, or null to continue
  */
-export async function authenticate(request, env) {
+export async function authenticate(request, env, requiredScopes = []) {
   try {
     // Get access token from cookie or Authorization header (fallback)
     const cookies = request.headers.get('Cookie') || '';
@@ -44,6 +52,10 @@ export async function authenticate(request, env) {
       }
     }
 
+    if (isApiToken(accessToken)) {
+      return await authenticateApiToken(request, env, accessToken, requiredScopes);
+    }
+
     if (!accessToken) {
       console.log('[orders-worker] No access token found in cookies');
       console.log('[orders-worker] Cookie header:', cookies.substring(0, 100));
@@ -151,3 +163,87 @@ export async function authenticate(request, env) {
   }
 }
 
+/**
+ * Authentication middleware for routes open to guests (guest checkout)
+ * Accepts a guest token (see shared/utils/guestAuth.js) or falls back to the user session check
+ */
+export async function authenticateCustomer(request, env, requiredScopes = []) {
+  const guest = getRequestGuest(request, env.ENCRYPTION_KEY);
+  if (guest) {
+    request.user = guest;
+    return null;
+  }
+  return await authenticate(request, env, requiredScopes);
+}
+
+/**
+ * Email verification policy middleware (run after authenticate)
+ * Unverified users can browse and build a cart but cannot place orders.
+ * Controlled by REQUIRE_VERIFIED_EMAIL (enabled unless set to "false")
+ */
+export async function requireVerifiedEmail(request, env) {
+  // Guests have no account to verify; their email is checked when they sign up and claim the order
+  if (env.REQUIRE_VERIFIED_EMAIL === 'false' || request.user.guest) {
+    return null;
+  }
+
+  try {
+    const userResponse = await getWorkerBinding(
+      env.auth_worker,
+      `/user/${request.user.userId}`,
+      {},
+      env.INTER_WORKER_API_KEY
+    );
+
+    if (!userResponse.ok) {
+      console.error('[orders-worker] Failed to load user for email verification check:', userResponse.status);
+      return new Response(
+        JSON.stringify({
+          error: {
+            code: 'SERVICE_UNAVAILABLE',
+            message: 'Unable to verify account status. Please try again.',
+          },
+        }),
+        {
+          status: 503,
+          headers: { 'Content-Type': 'application/json' },
+        }
+      );
+    }
+
+    const profile = await userResponse.json();
+
+    // Accounts created before verification existed have no flag and are allowed
+    if (profile.emailVerified === false) {
+      console.log('[orders-worker] Order blocked - email not verified for user:', request.user.userId);
+      return new Response(
+        JSON.stringify({
+          error: {
+            code: 'EMAIL_NOT_VERIFIED',
+            message: 'Please verify your email address before placing an order.',
+          },
+        }),
+        {
+          status: 403,
+          headers: { 'Content-Type': 'application/json' },
+        }
+      );
+    }
+
+    return null;
+  } catch (error) {
+    console.error('[orders-worker] Email verification check error:', error.message);
+    return new Response(
+      JSON.stringify({
+        error: {
+          code: 'SERVICE_UNAVAILABLE',
+          message: 'Unable to verify account status. Please try again.',
+        },
+      }),
+      {
+        status: 503,
+        headers: { 'Content-Type': 'application/json' },
+      }
+    );
+  }
+}
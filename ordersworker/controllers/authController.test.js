@@ -110,5 +110,65 @@ describe('ordersworker authController', () => {
       expect(request.user).to.have.property('userId', 'user-123');
     });
   });
-});
 
+  describe('requireVerifiedEmail', () => {
+    let request;
+
+    beforeEach(() => {
+      request = createMockRequest('https://example.com/order', { method: 'POST' });
+      request.user = { userId: 'user-123', sessionId: 'session-123' };
+    });
+
+    it('should block users whose email is not verified', async () => {
+      mockEnv.auth_worker._setResponse('GET', '/user/user-123', { userId: 'user-123', emailVerified: false });
+
+      const response = await authController.requireVerifiedEmail(request, mockEnv);
+
+      expect(response).to.be.instanceOf(Response);
+      expect(response.status).to.equal(403);
+      const data = await response.json();
+      expect(data.error.code).to.equal('EMAIL_NOT_VERIFIED');
+    });
+
+    it('should allow verified users', async () => {
+      mockEnv.auth_worker._setResponse('GET', '/user/user-123', { userId: 'user-123', emailVerified: true });
+
+      const response = await authController.requireVerifiedEmail(request, mockEnv);
+
+      expect(response).to.be.null;
+    });
+
+    it('should allow legacy users without a verification flag', async () => {
+      mockEnv.auth_worker._setResponse('GET', '/user/user-123', { userId: 'user-123' });
+
+      const response = await authController.requireVerifiedEmail(request, mockEnv);
+
+      expect(response).to.be.null;
+    });
+
+    it('should not require verification from guests', async () => {
+      request.user = { userId: 'guest_guest-1', guestId: 'guest-1', guest: true };
+
+      const response = await authController.requireVerifiedEmail(request, mockEnv);
+
+      expect(response).to.be.null;
+    });
+
+    it('should skip the check when the policy is disabled', async () => {
+      mockEnv.REQUIRE_VERIFIED_EMAIL = 'false';
+      mockEnv.auth_worker._setResponse('GET', '/user/user-123', { userId: 'user-123', emailVerified: false });
+
+      const response = await authController.requireVerifiedEmail(request, mockEnv);
+
+      expect(response).to.be.null;
+    });
+
+    it('should return 503 when the user lookup fails', async () => {
+      mockEnv.auth_worker._setResponse('GET', '/user/user-123', { error: 'boom' }, { status: 500 });
+
+      const response = await authController.requireVerifiedEmail(request, mockEnv);
+
+      expect(response.status).to.equal(503);
+    });
+  });
+});
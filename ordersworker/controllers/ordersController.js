@@ -3,8 +3,9 @@
  */
 
 import * as orderService from '../services/orderService.js';
-import { ValidationError } from '../../shared/utils/errors.js';
+import { AuthenticationError, ValidationError } from '../../shared/utils/errors.js';
 import { createOrderSchema } from '../validation/orderValidation.js';
+import { validateApiKey } from '../../shared/utils/interWorker.js';
 
 /**
  * Health check
@@ -42,12 +43,13 @@ export async function healthCheck(request, env) {
 }
 
 /**
- * Get orders for user
+ * Get orders for user (?page= or ?cursor= from pagination.nextCursor/prevCursor)
  */
 export async function getOrders(request, env) {
   const url = new URL(request.url);
   const page = parseInt(url.searchParams.get('page') || '1', 10);
   const limit = parseInt(url.searchParams.get('limit') || '10', 10);
+  const cursor = url.searchParams.get('cursor') || null;
   
   // Get filter parameters
   const status = url.searchParams.get('status') || null;
@@ -64,7 +66,9 @@ export async function getOrders(request, env) {
     env.orders_db,
     status,
     dateFrom,
-    dateTo
+    dateTo,
+    cursor,
+    env.CURSOR_SECRET
   );
   
   console.log('[orders-controller] Found orders:', orders.orders.length, 'with filters:', { status, dateFrom, dateTo });
@@ -198,6 +202,23 @@ export async function getOrder(request, env) {
   );
 }
 
+/**
+ * Customer data stored on the order
+ * Guests must give a contact email; it is what links the order to an account they create later
+ */
+function getCustomerData(request, value) {
+  if (!request.user.guest) {
+    return { userData: request.user, guestEmail: null };
+  }
+  if (!value.email) {
+    throw new ValidationError('Email is required for guest checkout');
+  }
+  return {
+    userData: { userId: request.user.userId, guest: true, email: value.email },
+    guestEmail: value.email,
+  };
+}
+
 /**
  * Capture payment (called after PayPal approval)
  */
@@ -248,19 +269,26 @@ export async function createCODOrder(request, env, ctx = null) {
     }
   }
   
+  // Guests without an Authorization header use their guest cookie for the cart worker
+  if (!accessToken && request.user.guest) {
+    accessToken = request.user.token;
+  }
+  
   // If still no token, log error (shouldn't happen if authenticate middleware worked)
   if (!accessToken) {
     console.error('[orders-controller] No access token found for cart worker call');
     throw new Error('Access token required for cart operations');
   }
   
+  await orderService.assertAddressServiceable(value.address, env);
+  
   const { createCODOrderSaga } = await import('../services/orderSagaService.js');
   const result = await createCODOrderSaga(
     request.user.userId,
     {
       ...value,
       accessToken,
-      userData: request.user,
+      ...getCustomerData(request, value),
     },
     env,
     ctx,
@@ -329,6 +357,10 @@ export async function capturePayment(request, env, ctx = null) {
     }
   }
   
+  if (!accessToken && request.user.guest) {
+    accessToken = request.user.token;
+  }
+  
   // Capture payment and complete order
   const result = await orderService.capturePayment(
     orderId,
@@ -409,6 +441,11 @@ export async function createOrder(request, env, ctx = null) {
     }
   }
 
+  // Guests without an Authorization header use their guest cookie for the cart worker
+  if (!accessToken && request.user.guest) {
+    accessToken = request.user.token;
+  }
+
   // If still no token, log error (shouldn't happen if authenticate middleware worked)
   if (!accessToken) {
     console.error('[orders-controller] No access token found for cart worker call');
@@ -419,13 +456,15 @@ export async function createOrder(request, env, ctx = null) {
   
   console.log('[orders-controller] Using access token for cart worker (length:', accessToken.length, ')');
   
+  await orderService.assertAddressServiceable(value.address, env);
+  
   // Create order using Saga pattern (pass frontend origin for PayPal return URLs)
   const result = await orderService.createOrder(
     request.user.userId,
     {
       ...value,
       accessToken,
-      userData: request.user,
+      ...getCustomerData(request, value),
     },
     env,
     frontendOrigin,
@@ -487,3 +526,75 @@ export async function rateProduct(request, env) {
   );
 }
 
+/**
+ * Validate worker request (for inter-worker calls)
+ */
+export function validateWorkerRequest(request, env) {
+  if (!validateApiKey(request, env.INTER_WORKER_API_KEY)) {
+    throw new AuthenticationError('Invalid API key for inter-worker request');
+  }
+}
+
+/**
+ * Export a user's orders (inter-worker, account data export)
+ */
+export async function exportUserData(request, env) {
+  const orders = await orderService.exportUserOrders(request.params.userId, env.orders_db);
+
+  return new Response(
+    JSON.stringify({ orders }),
+    { status: 200, headers: { 'Content-Type': 'application/json' } }
+  );
+}
+
+/**
+ * Anonymize a user's orders (inter-worker, account deletion)
+ */
+export async function eraseUserData(request, env) {
+  const result = await orderService.eraseUserOrders(request.params.userId, env.orders_db);
+
+  return new Response(
+    JSON.stringify(result),
+    { status: 200, headers: { 'Content-Type': 'application/json' } }
+  );
+}
+
+/**
+ * Claim guest orders for an account (inter-worker, called by auth worker after email verification)
+ */
+export async function claimGuestOrders(request, env) {
+  const body = await request.json().catch(() => ({}));
+  if (!body.email || typeof body.email !== 'string') {
+    throw new ValidationError('email is required');
+  }
+
+  const result = await orderService.claimGuestOrders(request.params.userId, body.email, env.orders_db);
+
+  return new Response(
+    JSON.stringify(result),
+    { status: 200, headers: { 'Content-Type': 'application/json' } }
+  );
+}
+
+/**
+ * Units ordered per product (inter-worker, ?productIds=a,b&since=ISO date)
+ */
+export async function getProductOrderVolumes(request, env) {
+  const url = new URL(request.url);
+  const productIds = (url.searchParams.get('productIds') || '').split(',').filter(id => id.trim());
+  if (productIds.length === 0) {
+    throw new ValidationError('productIds query parameter is required');
+  }
+
+  const since = new Date(url.searchParams.get('since') || 0);
+  if (isNaN(since.getTime())) {
+    throw new ValidationError('since must be a valid date');
+  }
+
+  const volumes = await orderService.getProductOrderVolumes(productIds, since.toISOString(), env.orders_db);
+
+  return new Response(
+    JSON.stringify(volumes),
+    { status: 200, headers: { 'Content-Type': 'application/json' } }
+  );
+}
@@ -125,6 +125,19 @@ describe('ordersController', () => {
       
       expect(response.status).to.equal(200);
     });
+
+    it('should throw ValidationError for a forged cursor', async () => {
+      const request = createMockRequest('https://example.com/orders?cursor=eyJrIjpbXX0.forged');
+      request.user = { userId: 'user-123' };
+      
+      try {
+        await ordersController.getOrders(request, mockEnv);
+        expect.fail('Should have thrown ValidationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+        expect(error.message).to.equal('Invalid cursor');
+      }
+    });
   });
 
   describe('getOrder', () => {
@@ -359,6 +372,30 @@ describe('ordersController', () => {
         expect(error.message).to.include('Invalid shipping mode');
       }
     });
+
+    it('should require an email for guest checkout', async () => {
+      const request = createMockRequest('https://example.com/orders/cod', {
+        method: 'POST',
+        body: JSON.stringify({
+          address: {
+            street: '123 Main St',
+            city: 'Mumbai',
+            state: 'Maharashtra',
+            zipCode: '400001',
+            country: 'India'
+          }
+        })
+      });
+      request.user = { userId: 'guest_guest-1', guestId: 'guest-1', guest: true, token: 'guest-token' };
+      
+      try {
+        await ordersController.createCODOrder(request, mockEnv);
+        expect.fail('Should have thrown ValidationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+        expect(error.message).to.equal('Email is required for guest checkout');
+      }
+    });
   });
 
   describe('cancelOrder', () => {
@@ -2,6 +2,7 @@ import { Router } from 'itty-router';
 import { errorHandler } from '../shared/utils/errors.js';
 import { addCorsHeaders, handleOptions } from '../shared/utils/cors.js';
 import { instrumentHandler, initRequestTrace, addTraceHeaders, createOtelConfig } from '../shared/utils/tracing.js';
+import { API_TOKEN_SCOPES } from '../shared/utils/apiTokens.js';
 import * as ordersController from './controllers/ordersController.js';
 import * as authController from './controllers/authController.js';
 
@@ -10,9 +11,10 @@ const router = Router();
 // Handle OPTIONS preflight
 router.options('*', handleOptions);
 
-// Protected routes (require authentication)
+// Protected routes (require authentication; orders and checkout are also open to guests)
+// Personal access tokens need the listed scopes; placing an order also reads the cart
 router.get('/orders', async (request, env) => {
-  const authResult = await authController.authenticate(request, env);
+  const authResult = await authController.authenticateCustomer(request, env, [API_TOKEN_SCOPES.ORDERS_READ]);
   if (authResult instanceof Response) {
     return authResult; // Return error response if authentication failed
   }
@@ -20,7 +22,7 @@ router.get('/orders', async (request, env) => {
 });
 
 router.get('/order/:orderId', async (request, env) => {
-  const authResult = await authController.authenticate(request, env);
+  const authResult = await authController.authenticateCustomer(request, env, [API_TOKEN_SCOPES.ORDERS_READ]);
   if (authResult instanceof Response) {
     return authResult;
   }
@@ -28,23 +30,31 @@ router.get('/order/:orderId', async (request, env) => {
 });
 
 router.post('/order', async (request, env, ctx) => {
-  const authResult = await authController.authenticate(request, env);
+  const authResult = await authController.authenticateCustomer(request, env, [API_TOKEN_SCOPES.ORDERS_WRITE, API_TOKEN_SCOPES.CART_READ]);
   if (authResult instanceof Response) {
     return authResult;
   }
+  const verifiedResult = await authController.requireVerifiedEmail(request, env);
+  if (verifiedResult instanceof Response) {
+    return verifiedResult; // Unverified email - ordering blocked by policy
+  }
   return await ordersController.createOrder(request, env, ctx);
 });
 
 router.post('/order/cod', async (request, env, ctx) => {
-  const authResult = await authController.authenticate(request, env);
+  const authResult = await authController.authenticateCustomer(request, env, [API_TOKEN_SCOPES.ORDERS_WRITE, API_TOKEN_SCOPES.CART_READ]);
   if (authResult instanceof Response) {
     return authResult;
   }
+  const verifiedResult = await authController.requireVerifiedEmail(request, env);
+  if (verifiedResult instanceof Response) {
+    return verifiedResult; // Unverified email - ordering blocked by policy
+  }
   return await ordersController.createCODOrder(request, env, ctx);
 });
 
 router.post('/orders/capture', async (request, env, ctx) => {
-  const authResult = await authController.authenticate(request, env);
+  const authResult = await authController.authenticateCustomer(request, env, [API_TOKEN_SCOPES.ORDERS_WRITE]);
   if (authResult instanceof Response) {
     return authResult;
   }
@@ -52,7 +62,7 @@ router.post('/orders/capture', async (request, env, ctx) => {
 });
 
 router.post('/order/:orderId/cancel', async (request, env, ctx) => {
-  const authResult = await authController.authenticate(request, env);
+  const authResult = await authController.authenticate(request, env, [API_TOKEN_SCOPES.ORDERS_WRITE]);
   if (authResult instanceof Response) {
     return authResult;
   }
@@ -60,13 +70,21 @@ router.post('/order/:orderId/cancel', async (request, env, ctx) => {
 });
 
 router.post('/order/:orderId/rate', async (request, env) => {
-  const authResult = await authController.authenticate(request, env);
+  const authResult = await authController.authenticate(request, env, [API_TOKEN_SCOPES.ORDERS_WRITE]);
   if (authResult instanceof Response) {
     return authResult;
   }
   return await ordersController.rateProduct(request, env);
 });
 
+// Inter-worker routes (private) - account data export and deletion (called by auth worker)
+router.get('/users/:userId/export', ordersController.validateWorkerRequest, ordersController.exportUserData);
+router.post('/users/:userId/erase', ordersController.validateWorkerRequest, ordersController.eraseUserData);
+// Guest orders placed with a now-verified email (called by auth worker)
+router.post('/users/:userId/claim-guest-orders', ordersController.validateWorkerRequest, ordersController.claimGuestOrders);
+// Order volume per product for popularity ranking (called by catalog worker)
+router.get('/products/order-volume', ordersController.validateWorkerRequest, ordersController.getProductOrderVolumes);
+
 // Health check
 router.get('/health', ordersController.healthCheck);
 
@@ -3,6 +3,8 @@
  * Stores order data with user, address, and product data in JSONB format
  */
 
+import { keysetQuery, keysetPage } from '../../shared/utils/cursor.js';
+
 /**
  * Create order
  * @param {D1Database} db - Database instance
@@ -21,12 +23,13 @@ export async function createOrder(db, orderData) {
   
   const result = await db
     .prepare(
-      `INSERT INTO orders (order_id, user_id, user_data, address_data, product_data, shipping_data, total_amount, status, created_at, updated_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, 'processing', ?, ?)`
+      `INSERT INTO orders (order_id, user_id, guest_email, user_data, address_data, product_data, shipping_data, total_amount, status, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'processing', ?, ?)`
     )
     .bind(
       orderId,
       orderData.userId,
+      orderData.guestEmail || null,
       JSON.stringify(orderData.userData),
       JSON.stringify(addressDataWithPayment),
       JSON.stringify(orderData.productData),
@@ -87,17 +90,19 @@ export async function getOrderById(db, orderId) {
 }
 
 /**
- * Get orders by user ID with optional filters
+ * Get orders by user ID with optional filters, newest first
+ * With a cursor position the page is read by keyset (no OFFSET, no count) and pagination has no page or total.
  * @param {D1Database} db - Database instance
  * @param {string} userId - User ID
- * @param {number} page - Page number
+ * @param {number} page - Page number (ignored with a position)
  * @param {number} limit - Items per page
  * @param {string} status - Optional status filter (completed, processing, cancelled, pending, failed)
  * @param {string} dateFrom - Optional date filter (YYYY-MM-DD) - filter orders created on or after this date
  * @param {string} dateTo - Optional date filter (YYYY-MM-DD) - filter orders created on or before this date
+ * @param {Object|null} position - Decoded cursor (see shared/utils/cursor.js)
  * @returns {Promise<Object>} Orders and pagination info
  */
-export async function getOrdersByUserId(db, userId, page = 1, limit = 10, status = null, dateFrom = null, dateTo = null) {
+export async function getOrdersByUserId(db, userId, page = 1, limit = 10, status = null, dateFrom = null, dateTo = null, position = null) {
   const offset = (page - 1) * limit;
   
   // Build WHERE clause with filters
@@ -119,42 +124,56 @@ export async function getOrdersByUserId(db, userId, page = 1, limit = 10, status
     bindParams.push(dateTo);
   }
   
+  const keyset = keysetQuery(position, 'created_at', 'order_id');
+  
   // Build query with filters
   const query = `SELECT order_id, user_id, user_data, address_data, product_data, shipping_data, total_amount, status, created_at, updated_at
        FROM orders 
-       ${whereClause}
-       ORDER BY created_at DESC
-       LIMIT ? OFFSET ?`;
+       ${whereClause}${keyset.condition ? ` AND ${keyset.condition}` : ''}
+       ORDER BY ${keyset.orderBy}
+       LIMIT ?${position ? '' : ' OFFSET ?'}`;
   
   console.log('[order-model] Query:', query);
   console.log('[order-model] Bind params:', bindParams);
   
-  bindParams.push(limit, offset);
-  
   const ordersResult = await db
     .prepare(query)
-    .bind(...bindParams)
+    .bind(...bindParams, ...keyset.params, ...(position ? [limit + 1] : [limit, offset]))
     .all();
   
   console.log('[order-model] Query result count:', ordersResult.results?.length || 0);
   
-  // Build count query with same filters
-  const countQuery = `SELECT COUNT(*) as total
+  let rows = ordersResult.results || [];
+  let pagination;
+  if (position) {
+    const keysetResult = keysetPage(rows, limit, position);
+    rows = keysetResult.rows;
+    pagination = { limit, hasNext: keysetResult.hasNext, hasPrev: keysetResult.hasPrev };
+  } else {
+    // Build count query with same filters
+    const countQuery = `SELECT COUNT(*) as total
        FROM orders 
        ${whereClause}`;
-  
-  const countBindParams = bindParams.slice(0, -2); // Remove limit and offset
-  
-  const countResult = await db
-    .prepare(countQuery)
-    .bind(...countBindParams)
-    .first();
-  
-  const total = countResult.total || 0;
-  const totalPages = Math.ceil(total / limit);
+    
+    const countResult = await db
+      .prepare(countQuery)
+      .bind(...bindParams)
+      .first();
+    
+    const total = countResult.total || 0;
+    const totalPages = Math.ceil(total / limit);
+    pagination = {
+      page,
+      limit,
+      total,
+      totalPages,
+      hasNext: page < totalPages,
+      hasPrev: page > 1,
+    };
+  }
   
   // Parse JSONB fields
-  const orders = (ordersResult.results || []).map(order => ({
+  const orders = rows.map(order => ({
     orderId: order.order_id,
     userId: order.user_id,
     userData: typeof order.user_data === 'string' ? JSON.parse(order.user_data) : order.user_data,
@@ -169,14 +188,7 @@ export async function getOrdersByUserId(db, userId, page = 1, limit = 10, status
   
   return {
     orders,
-    pagination: {
-      page,
-      limit,
-      total,
-      totalPages,
-      hasNext: page < totalPages,
-      hasPrev: page > 1,
-    },
+    pagination,
   };
 }
 
@@ -230,3 +242,135 @@ export async function updateBillingAddress(db, orderId, billingAddress) {
   return result.success && result.meta.changes > 0;
 }
 
+/**
+ * Parse JSONB fields of an order row
+ */
+function parseOrderRow(row) {
+  return {
+    orderId: row.order_id,
+    userId: row.user_id,
+    userData: typeof row.user_data === 'string' ? JSON.parse(row.user_data) : row.user_data,
+    addressData: typeof row.address_data === 'string' ? JSON.parse(row.address_data) : row.address_data,
+    productData: typeof row.product_data === 'string' ? JSON.parse(row.product_data) : row.product_data,
+    shippingData: typeof row.shipping_data === 'string' ? JSON.parse(row.shipping_data) : row.shipping_data,
+    totalAmount: row.total_amount,
+    status: row.status,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Get every order of a user (unpaginated, for account data export)
+ * @param {D1Database} db - Database instance
+ * @param {string} userId - User ID
+ * @returns {Promise<Object[]>} Orders, oldest first
+ */
+export async function getAllOrdersByUserId(db, userId) {
+  const result = await db
+    .prepare(
+      `SELECT order_id, user_id, user_data, address_data, product_data, shipping_data, total_amount, status, created_at, updated_at
+       FROM orders
+       WHERE user_id = ?
+       ORDER BY created_at`
+    )
+    .bind(userId)
+    .all();
+
+  return (result.results || []).map(parseOrderRow);
+}
+
+/**
+ * Count a user's orders that are still being fulfilled
+ * @param {D1Database} db - Database instance
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of processing/shipped orders
+ */
+export async function countOpenOrdersByUserId(db, userId) {
+  const result = await db
+    .prepare(
+      `SELECT COUNT(*) as total FROM orders
+       WHERE user_id = ? AND status IN ('processing', 'shipped')`
+    )
+    .bind(userId)
+    .first();
+
+  return result?.total || 0;
+}
+
+/**
+ * Remove personal data from a user's orders (account deletion)
+ * Orders are kept for accounting: user data is dropped and the shipping address is reduced
+ * to city/state/zipCode; already anonymized orders are skipped, so this can be re-run
+ * @param {D1Database} db - Database instance
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of orders anonymized
+ */
+export async function anonymizeOrdersByUserId(db, userId) {
+  const result = await db
+    .prepare(
+      `UPDATE orders
+       SET user_data = ?,
+           guest_email = NULL,
+           address_data = json_object(
+             'city', json_extract(address_data, '$.city'),
+             'state', json_extract(address_data, '$.state'),
+             'zipCode', json_extract(address_data, '$.zipCode'),
+             'paymentMethod', json_extract(address_data, '$.paymentMethod')
+           ),
+           updated_at = ?
+       WHERE user_id = ? AND json_extract(user_data, '$.anonymized') IS NULL`
+    )
+    .bind(JSON.stringify({ anonymized: true }), new Date().toISOString(), userId)
+    .run();
+
+  return result.meta?.changes || 0;
+}
+
+/**
+ * Move guest orders placed with an email to the account that verified it
+ * Only orders still owned by a guest are moved, so this can be re-run
+ * @param {D1Database} db - Database instance
+ * @param {string} email - Verified email (normalized)
+ * @param {string} userId - Account user ID
+ * @returns {Promise<number>} Number of orders claimed
+ */
+export async function claimGuestOrders(db, email, userId) {
+  const result = await db
+    .prepare(
+      `UPDATE orders
+       SET user_id = ?,
+           user_data = json_set(user_data, '$.userId', ?, '$.guest', json('false'), '$.claimedAt', ?),
+           updated_at = ?
+       WHERE guest_email = ? AND user_id LIKE 'guest\\_%' ESCAPE '\\'`
+    )
+    .bind(userId, userId, new Date().toISOString(), new Date().toISOString(), email)
+    .run();
+
+  return result.meta?.changes || 0;
+}
+
+/**
+ * Units ordered per product since a date (cancelled and failed orders are not counted)
+ * @param {D1Database} db - Database instance
+ * @param {string[]} productIds - Product IDs
+ * @param {string} since - ISO timestamp; orders created before it are ignored
+ * @returns {Promise<Object[]>} Rows of { product_id, units, orders } for products that were ordered
+ */
+export async function getProductOrderVolumes(db, productIds, since) {
+  const result = await db
+    .prepare(
+      `SELECT json_extract(item.value, '$.productId') AS product_id,
+              SUM(COALESCE(json_extract(item.value, '$.quantity'), 1)) AS units,
+              COUNT(DISTINCT o.order_id) AS orders
+       FROM orders o, json_each(o.product_data, '$.items') item
+       WHERE o.created_at >= ?
+         AND o.status NOT IN ('cancelled', 'failed')
+         AND json_extract(item.value, '$.productId') IN (SELECT value FROM json_each(?))
+       GROUP BY product_id`
+    )
+    .bind(since, JSON.stringify(productIds))
+    .all();
+
+  return result.results || [];
+}
@@ -5,7 +5,7 @@
 import { describe, it } from 'mocha';
 import { expect } from 'chai';
 import * as orderModel from './orderModel.js';
-import { createMockD1WithSequence } from '../../test/setup.js';
+import { createMockD1WithSequence, recordStatements } from '../../test/setup.js';
 
 describe('orderModel', () => {
   describe('createOrder', () => {
@@ -203,6 +203,41 @@ describe('orderModel', () => {
 
       expect(result.orders).to.be.an('array');
     });
+
+    it('should walk back to newer orders before a prev cursor position', async () => {
+      const queries = [];
+      const row = (orderId, createdAt) => ({
+        order_id: orderId,
+        user_id: 'user-123',
+        user_data: '{}',
+        address_data: '{}',
+        product_data: '{}',
+        shipping_data: '{}',
+        total_amount: 100,
+        status: 'completed',
+        created_at: createdAt,
+        updated_at: createdAt,
+      });
+      const mockDb = createMockD1WithSequence([
+        { all: { results: [row('order-2', '2024-01-02T00:00:00Z'), row('order-3', '2024-01-03T00:00:00Z')], success: true } }
+      ]);
+      const prepare = mockDb.prepare;
+      mockDb.prepare = (query) => {
+        queries.push(query);
+        return prepare(query);
+      };
+
+      const result = await orderModel.getOrdersByUserId(mockDb, 'user-123', 1, 10, 'completed', null, null, {
+        key: ['2024-01-01T00:00:00Z', 'order-1'],
+        direction: 'prev',
+      });
+
+      expect(queries).to.have.length(1); // No count query
+      expect(queries[0]).to.include('AND (created_at, order_id) > (?, ?)');
+      expect(queries[0]).to.include('ORDER BY created_at ASC, order_id ASC');
+      expect(result.orders.map(order => order.orderId)).to.deep.equal(['order-3', 'order-2']);
+      expect(result.pagination).to.deep.equal({ limit: 10, hasNext: true, hasPrev: false });
+    });
   });
 
   describe('updateOrderStatus', () => {
@@ -285,5 +320,21 @@ describe('orderModel', () => {
       expect(result).to.be.false;
     });
   });
+
+  describe('anonymizeOrdersByUserId', () => {
+    it('should keep the zipCode of the shipping address', async () => {
+      const mockDb = createMockD1WithSequence([
+        { run: { success: true, meta: { changes: 2 } } }
+      ]);
+      const statements = recordStatements(mockDb);
+
+      const result = await orderModel.anonymizeOrdersByUserId(mockDb, 'user-123');
+
+      expect(result).to.equal(2);
+      expect(statements[0].query).to.include("'zipCode', json_extract(address_data, '$.zipCode')");
+      expect(statements[0].query).to.not.include('pincode');
+      expect(statements[0].args[2]).to.equal('user-123');
+    });
+  });
 });
 
@@ -8,6 +8,7 @@ import { callWorker, callWorkerBinding } from '../../shared/utils/interWorker.js
 import { executeTransaction } from '../../shared/utils/database.js';
 import { createOrder, updateOrderStatus } from '../models/orderModel.js';
 import { ConflictError } from '../../shared/utils/errors.js';
+import { getStockKeepingId } from '../../shared/utils/variants.js';
 import { sendLog } from '../../shared/utils/logger.js';
 import { 
   traceExternalCall, 
@@ -316,7 +317,7 @@ export async function createOrderSaga(
                 city: orderData.address.city || '',
                 state: orderData.address.state,
               },
-              productId: item.productId, // Pass productId for stock-aware warehouse selection
+              productId: getStockKeepingId(item), // Product or variant ID, for stock-aware warehouse selection
             }),
           });
           
@@ -489,7 +490,7 @@ export async function createOrderSaga(
         const estimatedDays = shippingInfo.estimatedDays || 5;
         
         return {
-          ...item,
+          ...item, // Cart line as priced, including the chosen variant (variantId, sku, variantAttributes, variantLabel)
           shipping: {
             cost: shippingInfo.cost || 0,
             estimatedDays: estimatedDays,
@@ -502,6 +503,7 @@ export async function createOrderSaga(
       order = await createOrder(env.orders_db, {
         userId,
         userData: orderData.userData || {},
+        guestEmail: orderData.guestEmail || null,
         addressData: orderData.address,
         productData: {
           items: itemsWithShipping,
@@ -563,7 +565,7 @@ export async function createOrderSaga(
       const { injectTraceContext } = await import('../../shared/utils/otel.js');
       injectTraceContext(stockHeaders);
       
-      const reserveRequest = new Request('https://workers.dev/stock/' + item.productId + '/reserve', {
+      const reserveRequest = new Request('https://workers.dev/stock/' + getStockKeepingId(item) + '/reserve', {
         method: 'POST',
         headers: stockHeaders,
         body: JSON.stringify({ 
@@ -592,6 +594,7 @@ export async function createOrderSaga(
       
       sagaState.stockReserved.push({
         productId: item.productId,
+        variantId: item.variantId || null,
         quantity: item.quantity,
         orderId: order.orderId,
       });
@@ -619,7 +622,7 @@ export async function createOrderSaga(
             const { injectTraceContext: injectTraceContextRelease } = await import('../../shared/utils/otel.js');
             injectTraceContextRelease(releaseHeaders);
             
-            const releaseRequest = new Request('https://workers.dev/stock/' + reservation.productId + '/release', {
+            const releaseRequest = new Request('https://workers.dev/stock/' + getStockKeepingId(reservation) + '/release', {
               method: 'POST',
               headers: releaseHeaders,
               body: JSON.stringify({ orderId: reservation.orderId }),
@@ -966,7 +969,7 @@ export async function capturePaymentSaga(
       injectTraceContext(stockHeaders);
       
       // Use orderId to reduce reserved stock (more efficient and accurate)
-      const stockRequest = new Request('https://workers.dev/stock/' + item.productId + '/reduce', {
+      const stockRequest = new Request('https://workers.dev/stock/' + getStockKeepingId(item) + '/reduce', {
         method: 'POST',
         headers: stockHeaders,
         body: JSON.stringify({ 
@@ -994,6 +997,7 @@ export async function capturePaymentSaga(
       
       sagaState.stockReduced.push({
         productId: item.productId,
+        variantId: item.variantId || null,
         quantity: item.quantity,
       });
     });
@@ -1022,7 +1026,7 @@ export async function capturePaymentSaga(
             const { injectTraceContext: injectTraceContextRestore } = await import('../../shared/utils/otel.js');
             injectTraceContextRestore(restoreHeaders);
             
-            const restoreRequest = new Request('https://workers.dev/stock/' + stock.productId, {
+            const restoreRequest = new Request('https://workers.dev/stock/' + getStockKeepingId(stock), {
               method: 'PUT',
               headers: restoreHeaders,
               body: JSON.stringify({ quantity: stock.quantity }),
@@ -1168,7 +1172,7 @@ export async function capturePaymentSaga(
           const { injectTraceContext } = await import('../../shared/utils/otel.js');
           injectTraceContext(releaseHeaders);
           
-          const releaseRequest = new Request('https://workers.dev/stock/' + item.productId + '/release', {
+          const releaseRequest = new Request('https://workers.dev/stock/' + getStockKeepingId(item) + '/release', {
             method: 'POST',
             headers: releaseHeaders,
             body: JSON.stringify({ orderId }),
@@ -1251,7 +1255,7 @@ export async function cancelOrderSaga(orderId, env, ctx = null) {
         const releaseBody = { orderId };
         console.log(`[cancel-order-saga] Releasing stock for product ${item.productId}, orderId: ${orderId}, body:`, JSON.stringify(releaseBody));
         
-        const releaseRequest = new Request('https://workers.dev/stock/' + item.productId + '/release', {
+        const releaseRequest = new Request('https://workers.dev/stock/' + getStockKeepingId(item) + '/release', {
           method: 'POST',
           headers: releaseHeaders,
           body: JSON.stringify(releaseBody),
@@ -1569,7 +1573,7 @@ export async function createCODOrderSaga(
                 city: orderData.address.city || '',
                 state: orderData.address.state,
               },
-              productId: item.productId, // Pass productId for stock-aware warehouse selection
+              productId: getStockKeepingId(item), // Product or variant ID, for stock-aware warehouse selection
             }),
           });
           
@@ -1627,7 +1631,7 @@ export async function createCODOrderSaga(
         const estimatedDays = shippingInfo.estimatedDays || 5;
         
         return {
-          ...item,
+          ...item, // Cart line as priced, including the chosen variant (variantId, sku, variantAttributes, variantLabel)
           shipping: {
             cost: shippingInfo.cost || 0,
             estimatedDays: estimatedDays,
@@ -1639,6 +1643,7 @@ export async function createCODOrderSaga(
       order = await createOrder(env.orders_db, {
         userId,
         userData: orderData.userData || {},
+        guestEmail: orderData.guestEmail || null,
         addressData: orderData.address,
         productData: {
           items: itemsWithShipping,
@@ -1684,7 +1689,7 @@ export async function createCODOrderSaga(
       const { injectTraceContext } = await import('../../shared/utils/otel.js');
       injectTraceContext(stockHeaders);
       
-      const reserveRequest = new Request('https://workers.dev/stock/' + item.productId + '/reserve', {
+      const reserveRequest = new Request('https://workers.dev/stock/' + getStockKeepingId(item) + '/reserve', {
         method: 'POST',
         headers: stockHeaders,
         body: JSON.stringify({ 
@@ -1709,6 +1714,7 @@ export async function createCODOrderSaga(
       
       sagaState.stockReserved.push({
         productId: item.productId,
+        variantId: item.variantId || null,
         quantity: item.quantity,
       });
     });
@@ -1735,7 +1741,7 @@ export async function createCODOrderSaga(
             const { injectTraceContext } = await import('../../shared/utils/otel.js');
             injectTraceContext(releaseHeaders);
             
-            const releaseRequest = new Request('https://workers.dev/stock/' + stock.productId + '/release', {
+            const releaseRequest = new Request('https://workers.dev/stock/' + getStockKeepingId(stock) + '/release', {
               method: 'POST',
               headers: releaseHeaders,
               body: JSON.stringify({ orderId: order.orderId }),
@@ -1761,7 +1767,7 @@ export async function createCODOrderSaga(
       const { injectTraceContext } = await import('../../shared/utils/otel.js');
       injectTraceContext(stockHeaders);
       
-      const stockRequest = new Request('https://workers.dev/stock/' + item.productId + '/reduce', {
+      const stockRequest = new Request('https://workers.dev/stock/' + getStockKeepingId(item) + '/reduce', {
         method: 'POST',
         headers: stockHeaders,
         body: JSON.stringify({ 
@@ -1785,6 +1791,7 @@ export async function createCODOrderSaga(
       
       sagaState.stockReduced.push({
         productId: item.productId,
+        variantId: item.variantId || null,
         quantity: item.quantity,
       });
     });
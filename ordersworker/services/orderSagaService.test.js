@@ -122,6 +122,35 @@ describe('orderSagaService', () => {
       
       expect(result).to.have.property('success', true);
     });
+
+    it('should release stock per variant for items with a variant', async () => {
+      mockEnv.orders_db = createMockD1WithSequence([
+        {
+          first: {
+            order_id: 'order-123',
+            status: 'pending',
+            user_id: 'user-123',
+            product_data: JSON.stringify({
+              items: [
+                { productId: 'product-1', variantId: 'variant-1', sku: 'PHONE-BLK-128', quantity: 1 },
+                { productId: 'product-2', quantity: 2 },
+              ],
+            }),
+          },
+        },
+        { run: { success: true, meta: { changes: 1 } } }
+      ]);
+      const released = [];
+      const fetch = mockEnv.fulfillment_worker.fetch;
+      mockEnv.fulfillment_worker.fetch = (request, options) => {
+        released.push(new URL(request.url).pathname);
+        return fetch(request, options);
+      };
+
+      await orderSagaService.cancelOrderSaga('order-123', mockEnv);
+
+      expect(released).to.deep.equal(['/stock/variant-1/release', '/stock/product-2/release']);
+    });
   });
 
   describe('createCODOrderSaga', () => {
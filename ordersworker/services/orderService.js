@@ -2,10 +2,21 @@
  * Order service
  */
 
-import { getOrderById as getOrderByIdModel, getOrdersByUserId as getOrdersByUserIdModel, updateOrderStatus } from '../models/orderModel.js';
+import {
+  getOrderById as getOrderByIdModel,
+  getOrdersByUserId as getOrdersByUserIdModel,
+  updateOrderStatus,
+  getAllOrdersByUserId,
+  countOpenOrdersByUserId,
+  anonymizeOrdersByUserId,
+  claimGuestOrders as claimGuestOrdersModel,
+  getProductOrderVolumes as getProductOrderVolumesModel,
+} from '../models/orderModel.js';
 import { createOrderSaga, capturePaymentSaga } from './orderSagaService.js';
 import { callWorker } from '../../shared/utils/interWorker.js';
-import { NotFoundError } from '../../shared/utils/errors.js';
+import { checkPincodeServiceability } from '../../shared/utils/pincode.js';
+import { ConflictError, NotFoundError, ValidationError } from '../../shared/utils/errors.js';
+import { cursorScope, decodeCursor, withCursors } from '../../shared/utils/cursor.js';
 
 /**
  * Get order by ID
@@ -23,17 +34,107 @@ export async function getOrderById(orderId, db) {
 
 /**
  * Get orders by user ID with optional filters
+ * Pages by number, or by a cursor from a previous page; pagination carries nextCursor/prevCursor either way.
  * @param {string} userId - User ID
- * @param {number} page - Page number
+ * @param {number} page - Page number (ignored with a cursor)
  * @param {number} limit - Items per page
  * @param {D1Database} db - Database instance
  * @param {string} status - Optional status filter
  * @param {string} dateFrom - Optional date filter (YYYY-MM-DD)
  * @param {string} dateTo - Optional date filter (YYYY-MM-DD)
+ * @param {string|null} cursor - Cursor from a previous page (only valid for the same user and filters)
+ * @param {string|null} cursorSecret - Cursor signing secret (CURSOR_SECRET)
  * @returns {Promise<Object>} Orders and pagination
  */
-export async function getOrdersByUserId(userId, page, limit, db, status = null, dateFrom = null, dateTo = null) {
-  return await getOrdersByUserIdModel(db, userId, page, limit, status, dateFrom, dateTo);
+export async function getOrdersByUserId(
+  userId,
+  page,
+  limit,
+  db,
+  status = null,
+  dateFrom = null,
+  dateTo = null,
+  cursor = null,
+  cursorSecret = null
+) {
+  const scope = cursorScope('orders', userId, status, dateFrom, dateTo);
+  const position = cursor ? decodeCursor(cursor, cursorSecret, scope) : null;
+  
+  const result = await getOrdersByUserIdModel(db, userId, page, limit, status, dateFrom, dateTo, position);
+  return {
+    ...result,
+    pagination: withCursors(result.pagination, result.orders, order => [order.createdAt, order.orderId], cursorSecret, scope),
+  };
+}
+
+/**
+ * Get all of a user's orders for an account data export
+ * @param {string} userId - User ID
+ * @param {D1Database} db - Database instance
+ * @returns {Promise<Object[]>} Orders
+ */
+export async function exportUserOrders(userId, db) {
+  return await getAllOrdersByUserId(db, userId);
+}
+
+/**
+ * Anonymize a user's orders for account deletion
+ * Refused while orders are still being fulfilled (the address is needed for delivery)
+ * @param {string} userId - User ID
+ * @param {D1Database} db - Database instance
+ * @returns {Promise<Object>} { ordersAnonymized }
+ */
+export async function eraseUserOrders(userId, db) {
+  const openOrders = await countOpenOrdersByUserId(db, userId);
+  if (openOrders > 0) {
+    throw new ConflictError(`Account has ${openOrders} order(s) still being delivered. Try again once they are completed or cancelled.`);
+  }
+
+  return { ordersAnonymized: await anonymizeOrdersByUserId(db, userId) };
+}
+
+/**
+ * Attach orders placed at guest checkout to an account
+ * Called once the account has verified the email the guest orders were placed with
+ * @param {string} userId - Account user ID
+ * @param {string} email - Verified email
+ * @param {D1Database} db - Database instance
+ * @returns {Promise<Object>} { ordersClaimed }
+ */
+export async function claimGuestOrders(userId, email, db) {
+  return { ordersClaimed: await claimGuestOrdersModel(db, email.trim().toLowerCase(), userId) };
+}
+
+/**
+ * Order volume per product (inter-worker, used by catalog-worker to rank by popularity)
+ * @param {string[]} productIds - Product IDs
+ * @param {string} since - ISO timestamp where the counting window starts
+ * @param {D1Database} db - Database instance
+ * @returns {Promise<Object>} Map of productId to { units, orders }; products never ordered are left out
+ */
+export async function getProductOrderVolumes(productIds, since, db) {
+  const rows = await getProductOrderVolumesModel(db, productIds, since);
+
+  const volumes = {};
+  rows.forEach(row => {
+    volumes[row.product_id] = { units: row.units, orders: row.orders };
+  });
+  return volumes;
+}
+
+/**
+ * Refuse checkout to a pincode we do not deliver to
+ * Only an explicit "not serviceable" blocks the order; if fulfillment-worker cannot answer,
+ * the shipping step of the saga fails on its own for undeliverable addresses
+ * @param {Object} address - Order address (zipCode is the pincode)
+ * @param {Object} env - Environment variables
+ * @returns {Promise<void>}
+ */
+export async function assertAddressServiceable(address, env) {
+  const serviceable = await checkPincodeServiceability(env.fulfillment_worker, address.zipCode, env.INTER_WORKER_API_KEY);
+  if (serviceable === false) {
+    throw new ValidationError(`We do not deliver to pincode ${address.zipCode} yet`);
+  }
 }
 
 /**
@@ -8,9 +8,14 @@ import {
   getOrderById,
   getOrdersByUserId,
   groupOrdersByDeliveryDate,
+  exportUserOrders,
+  eraseUserOrders,
+  claimGuestOrders,
+  getProductOrderVolumes,
+  assertAddressServiceable,
 } from './orderService.js';
-import { NotFoundError } from '../../shared/utils/errors.js';
-import { createMockD1, createMockD1WithSequence, createMockEnv } from '../../test/setup.js';
+import { ConflictError, NotFoundError, ValidationError } from '../../shared/utils/errors.js';
+import { createMockD1, createMockD1WithSequence, createMockEnv, createMockServiceBinding } from '../../test/setup.js';
 
 describe('orderService', () => {
   let mockDb;
@@ -193,5 +198,118 @@ describe('orderService', () => {
       expect(firstGroup[0]).to.have.property('deliveryDate');
     });
   });
-});
 
+  describe('exportUserOrders', () => {
+    it('should return all orders with parsed data', async () => {
+      mockDb = createMockD1WithSequence([
+        {
+          all: {
+            results: [{
+              order_id: 'order-1',
+              user_id: 'user-1',
+              user_data: JSON.stringify({ name: 'Test User' }),
+              address_data: JSON.stringify({ pincode: '600001' }),
+              product_data: JSON.stringify([]),
+              shipping_data: JSON.stringify({}),
+              total_amount: 1000,
+              status: 'completed',
+            }],
+          },
+        },
+      ]);
+
+      const orders = await exportUserOrders('user-1', mockDb);
+
+      expect(orders).to.have.length(1);
+      expect(orders[0]).to.include({ orderId: 'order-1', status: 'completed' });
+      expect(orders[0].userData).to.deep.equal({ name: 'Test User' });
+    });
+  });
+
+  describe('eraseUserOrders', () => {
+    it('should anonymize orders when none are in transit', async () => {
+      mockDb = createMockD1WithSequence([
+        { first: { total: 0 } },
+        { run: { success: true, meta: { changes: 2 } } },
+      ]);
+
+      const result = await eraseUserOrders('user-1', mockDb);
+
+      expect(result).to.deep.equal({ ordersAnonymized: 2 });
+    });
+
+    it('should throw ConflictError while orders are being delivered', async () => {
+      mockDb = createMockD1WithSequence([{ first: { total: 1 } }]);
+
+      try {
+        await eraseUserOrders('user-1', mockDb);
+        expect.fail('Should have thrown ConflictError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ConflictError);
+      }
+    });
+  });
+
+  describe('claimGuestOrders', () => {
+    it('should move guest orders with the email to the account', async () => {
+      const bindings = [];
+      mockDb = createMockD1WithSequence([{ run: { success: true, meta: { changes: 2 } } }]);
+      const prepare = mockDb.prepare;
+      mockDb.prepare = (query) => {
+        const statement = prepare(query);
+        return { ...statement, bind: (...args) => { bindings.push({ query, args }); return statement.bind(...args); } };
+      };
+
+      const result = await claimGuestOrders('user-1', ' Guest@Example.com', mockDb);
+
+      expect(result).to.deep.equal({ ordersClaimed: 2 });
+      expect(bindings[0].query).to.include("user_id LIKE 'guest\\_%'");
+      expect(bindings[0].args[0]).to.equal('user-1');
+      expect(bindings[0].args).to.include('guest@example.com');
+    });
+  });
+
+  describe('getProductOrderVolumes', () => {
+    it('should count units from live orders since the given date, keyed by product', async () => {
+      const bindings = [];
+      mockDb = createMockD1WithSequence([{ all: { results: [{ product_id: 'prod-1', units: 7, orders: 5 }] } }]);
+      const prepare = mockDb.prepare;
+      mockDb.prepare = (query) => {
+        const statement = prepare(query);
+        return { ...statement, bind: (...args) => { bindings.push({ query, args }); return statement.bind(...args); } };
+      };
+
+      const volumes = await getProductOrderVolumes(['prod-1', 'prod-2'], '2026-01-01T00:00:00.000Z', mockDb);
+
+      expect(volumes).to.deep.equal({ 'prod-1': { units: 7, orders: 5 } });
+      expect(bindings[0].query).to.include("o.status NOT IN ('cancelled', 'failed')");
+      expect(bindings[0].args).to.deep.equal(['2026-01-01T00:00:00.000Z', JSON.stringify(['prod-1', 'prod-2'])]);
+    });
+  });
+
+  describe('assertAddressServiceable', () => {
+    const address = { street: '1 Main St', city: 'Agartala', state: 'Tripura', zipCode: '799001', country: 'India' };
+
+    it('should refuse pincodes fulfillment does not deliver to', async () => {
+      mockEnv.fulfillment_worker = createMockServiceBinding('fulfillment-worker');
+      mockEnv.fulfillment_worker._setResponse('GET', '/serviceability/799001', { pincode: '799001', serviceable: false });
+
+      try {
+        await assertAddressServiceable(address, mockEnv);
+        expect.fail('Should have thrown ValidationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+        expect(error.message).to.include('799001');
+      }
+    });
+
+    it('should let the order through when serviceable or when fulfillment cannot answer', async () => {
+      mockEnv.fulfillment_worker = createMockServiceBinding('fulfillment-worker');
+      mockEnv.fulfillment_worker._setResponse('GET', '/serviceability/799001', { pincode: '799001', serviceable: true });
+      await assertAddressServiceable(address, mockEnv);
+
+      mockEnv.fulfillment_worker._setResponse('GET', '/serviceability/799001', { error: 'unavailable' }, { status: 503 });
+      await assertAddressServiceable(address, mockEnv);
+    });
+  });
+});
@@ -3,15 +3,19 @@
  */
 
 import Joi from 'joi';
+import { PINCODE_PATTERN } from '../../shared/utils/pincode.js';
 
 export const createOrderSchema = Joi.object({
   address: Joi.object({
     street: Joi.string().required(),
     city: Joi.string().required(),
     state: Joi.string().required(),
-    zipCode: Joi.string().required(),
+    zipCode: Joi.string().replace(/[\s-]/g, '').pattern(PINCODE_PATTERN).required().messages({
+      'string.pattern.base': 'Pincode must be a valid 6-digit Indian pincode'
+    }),
     country: Joi.string().required(),
   }).required(),
+  email: Joi.string().email().lowercase().trim().optional(), // Contact email, required for guest checkout
   shippingMode: Joi.string().valid('standard', 'express').optional(), // Deprecated: use itemShippingModes instead
   itemShippingModes: Joi.object().unknown(true).optional().default({}), // Per-item shipping modes: { productId: 'standard' | 'express' }
 }).unknown(false);
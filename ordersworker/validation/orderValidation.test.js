@@ -25,6 +25,37 @@ describe('orderValidation', () => {
       expect(value.address.street).to.equal('123 Main St');
     });
 
+    it('should normalize the contact email and reject invalid ones', () => {
+      const address = {
+        street: '123 Main St',
+        city: 'Mumbai',
+        state: 'Maharashtra',
+        zipCode: '400001',
+        country: 'India'
+      };
+
+      const { value } = createOrderSchema.validate({ address, email: ' Guest@Example.com ' });
+      const { error } = createOrderSchema.validate({ address, email: 'not-an-email' });
+
+      expect(value.email).to.equal('guest@example.com');
+      expect(error).to.exist;
+    });
+
+    it('should normalize the pincode and reject malformed ones', () => {
+      const address = {
+        street: '123 Main St',
+        city: 'Mumbai',
+        state: 'Maharashtra',
+        country: 'India'
+      };
+
+      const { value } = createOrderSchema.validate({ address: { ...address, zipCode: '400 001' } });
+      const { error } = createOrderSchema.validate({ address: { ...address, zipCode: '12345' } });
+
+      expect(value.address.zipCode).to.equal('400001');
+      expect(error.message).to.equal('Pincode must be a valid 6-digit Indian pincode');
+    });
+
     it('should validate with shippingMode', () => {
       const validData = {
         address: {
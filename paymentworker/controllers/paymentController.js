@@ -3,7 +3,8 @@
  */
 
 import * as paymentService from '../services/paymentService.js';
-import { ValidationError } from '../../shared/utils/errors.js';
+import { ValidationError, AuthenticationError } from '../../shared/utils/errors.js';
+import { validateApiKey } from '../../shared/utils/interWorker.js';
 import { createOrderSchema, captureOrderSchema } from '../validation/paymentValidation.js';
 import { sendLog } from '../../shared/utils/logger.js';
 
@@ -302,3 +303,61 @@ export async function storePayment(request, env, ctx = null) {
   }
 }
 
+/**
+ * Validate inter-worker request
+ */
+export function validateWorkerRequest(request, env) {
+  if (!validateApiKey(request, env.INTER_WORKER_API_KEY)) {
+    throw new AuthenticationError('Invalid API key for inter-worker request');
+  }
+}
+
+/**
+ * Export payment records for a user's orders (inter-worker, account data export)
+ * Payments are financial records without direct PII, so account deletion keeps them
+ */
+export async function exportPayments(request, env) {
+  const body = await request.json();
+  const { orderIds } = body;
+  
+  if (!Array.isArray(orderIds) || orderIds.some(id => typeof id !== 'string')) {
+    throw new ValidationError('orderIds must be an array of order IDs');
+  }
+  
+  const payments = await paymentService.exportPaymentsForOrders(orderIds, env.payment_db);
+  
+  return new Response(
+    JSON.stringify({ payments }),
+    {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    }
+  );
+}
+
+/**
+ * Re-encrypt a batch of payments with the current key (inter-worker, key rotation job)
+ */
+export async function rotateEncryption(request, env) {
+  const body = await request.json().catch(() => ({}));
+  const limit = Number.isInteger(body.limit) ? Math.min(Math.max(body.limit, 1), 500) : 100;
+  
+  if (body.afterPaymentId !== undefined && body.afterPaymentId !== null && typeof body.afterPaymentId !== 'string') {
+    throw new ValidationError('afterPaymentId must be a payment ID');
+  }
+  
+  const result = await paymentService.rotatePaymentEncryption(
+    body.afterPaymentId || null,
+    limit,
+    env.payment_db,
+    env.ENCRYPTION_KEY
+  );
+  
+  return new Response(
+    JSON.stringify(result),
+    {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' },
+    }
+  );
+}
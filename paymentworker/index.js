@@ -1,5 +1,6 @@
 import { Router } from 'itty-router';
 import { errorHandler } from '../shared/utils/errors.js';
+import { loadEncryptionKeyring } from '../shared/utils/encryption.js';
 import { addCorsHeaders, handleOptions } from '../shared/utils/cors.js';
 import { instrumentHandler, initRequestTrace, addTraceHeaders, createOtelConfig } from '../shared/utils/tracing.js';
 import * as paymentController from './controllers/paymentController.js';
@@ -14,6 +15,10 @@ router.post('/paypal/create', (request, env, ctx) => paymentController.createPay
 router.post('/paypal/capture', (request, env, ctx) => paymentController.capturePayPalOrder(request, env, ctx));
 router.post('/paypal/store', (request, env, ctx) => paymentController.storePayment(request, env, ctx));
 
+// Inter-worker routes
+router.post('/payments/export', paymentController.validateWorkerRequest, paymentController.exportPayments);
+router.post('/payments/rotate-encryption', paymentController.validateWorkerRequest, paymentController.rotateEncryption);
+
 // Health check
 router.get('/health', paymentController.healthCheck);
 
@@ -61,6 +66,10 @@ const handler = {
       }));
       
       try {
+        // Keyring for encrypt/decrypt (ENCRYPTION_KEY plus keys added for rotation);
+        // a bad ENCRYPTION_KEYS config surfaces as the standard error response
+        loadEncryptionKeyring(env);
+        
         let response = await router.handle(request, env, ctx).catch((error) => {
           return errorHandler(error, request);
         });
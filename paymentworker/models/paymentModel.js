@@ -74,6 +74,31 @@ export async function getPaymentByOrderId(db, orderId) {
   return result || null;
 }
 
+/**
+ * Get payments for a set of orders
+ * @param {D1Database} db - Database instance
+ * @param {string[]} orderIds - Order IDs
+ * @returns {Promise<Object[]>} Payment rows
+ */
+export async function getPaymentsByOrderIds(db, orderIds) {
+  if (!orderIds || orderIds.length === 0) {
+    return [];
+  }
+  
+  const placeholders = orderIds.map(() => '?').join(', ');
+  const result = await db
+    .prepare(
+      `SELECT payment_id, order_id, payment_data, status, created_at, updated_at
+       FROM payments 
+       WHERE order_id IN (${placeholders}) AND deleted_at IS NULL
+       ORDER BY created_at`
+    )
+    .bind(...orderIds)
+    .all();
+  
+  return result.results || [];
+}
+
 /**
  * Update payment status
  * @param {D1Database} db - Database instance
@@ -100,3 +125,47 @@ export async function updatePayment(db, paymentId, status, paymentData = null) {
   return result.success && result.meta.changes > 0;
 }
 
+
+/**
+ * Get payments whose PayPal ID is not encrypted with a key (key rotation batch)
+ * @param {D1Database} db - Database instance
+ * @param {string} prefix - Ciphertext prefix of the target key
+ * @param {string|null} afterPaymentId - Cursor: last payment ID of the previous batch
+ * @param {number} limit - Batch size
+ * @returns {Promise<Object[]>} Rows { payment_id, encrypted_payment_id }
+ */
+export async function getPaymentsNotOnKey(db, prefix, afterPaymentId, limit) {
+  const result = await db
+    .prepare(
+      `SELECT payment_id, order_id, encrypted_payment_id 
+       FROM payments 
+       WHERE payment_id > ? AND substr(encrypted_payment_id, 1, ?) != ?
+       ORDER BY payment_id
+       LIMIT ?`
+    )
+    .bind(afterPaymentId || '', prefix.length, prefix, limit)
+    .all();
+  
+  return result.results || [];
+}
+
+/**
+ * Replace an encrypted PayPal ID if it has not changed since it was read (key rotation)
+ * @param {D1Database} db - Database instance
+ * @param {string} paymentId - Payment ID
+ * @param {string} previousValue - Ciphertext that was re-encrypted
+ * @param {string} encryptedPaymentId - New ciphertext
+ * @returns {Promise<boolean>} True if replaced
+ */
+export async function replaceEncryptedPaymentId(db, paymentId, previousValue, encryptedPaymentId) {
+  const result = await db
+    .prepare(
+      `UPDATE payments 
+       SET encrypted_payment_id = ? 
+       WHERE payment_id = ? AND encrypted_payment_id = ?`
+    )
+    .bind(encryptedPaymentId, paymentId, previousValue)
+    .run();
+  
+  return result.success && result.meta.changes > 0;
+}
@@ -4,8 +4,8 @@
  * Enhanced with OpenTelemetry tracing
  */
 
-import { createPayment, updatePayment, getPaymentByOrderId as getPaymentByOrderIdModel } from '../models/paymentModel.js';
-import { encrypt } from '../../shared/utils/encryption.js';
+import { createPayment, updatePayment, getPaymentByOrderId as getPaymentByOrderIdModel, getPaymentsByOrderIds, getPaymentsNotOnKey, replaceEncryptedPaymentId } from '../models/paymentModel.js';
+import { encrypt, reencrypt, resolveKeyring, ciphertextPrefix } from '../../shared/utils/encryption.js';
 import { NotFoundError } from '../../shared/utils/errors.js';
 import { tracePaymentOperation, traceExternalCall } from '../../shared/utils/otel.js';
 
@@ -319,7 +319,7 @@ export async function capturePayPalOrder(orderId, paypalClientId, paypalClientSe
  */
 export async function storePayment(orderId, paypalOrderId, paymentData, db, encryptionKey) {
   // Encrypt PayPal order ID
-  const encryptedPaymentId = encrypt(paypalOrderId, encryptionKey);
+  const encryptedPaymentId = await encrypt(paypalOrderId, encryptionKey, orderId);
   
   // Store payment
   return await createPayment(db, orderId, encryptedPaymentId, paymentData);
@@ -347,3 +347,59 @@ export async function getPaymentByOrderId(orderId, db) {
   return await getPaymentByOrderIdModel(db, orderId);
 }
 
+/**
+ * Get the payment records of a user's orders for an account data export
+ * The encrypted PayPal ID is left out; payment_data already holds the provider's response
+ * @param {string[]} orderIds - Order IDs of the user
+ * @param {D1Database} db - Database instance
+ * @returns {Promise<Object[]>} Payments
+ */
+export async function exportPaymentsForOrders(orderIds, db) {
+  const payments = await getPaymentsByOrderIds(db, orderIds);
+  return payments.map(payment => ({
+    paymentId: payment.payment_id,
+    orderId: payment.order_id,
+    status: payment.status,
+    paymentData: typeof payment.payment_data === 'string' ? JSON.parse(payment.payment_data) : payment.payment_data,
+    createdAt: payment.created_at,
+    updatedAt: payment.updated_at,
+  }));
+}
+
+/**
+ * Re-encrypt one batch of PayPal IDs with the current encryption key (key rotation job)
+ * Rows that cannot be decrypted are counted and skipped so one bad row does not stall the job
+ * @param {string|null} afterPaymentId - Cursor from the previous batch
+ * @param {number} limit - Batch size
+ * @param {D1Database} db - Database instance
+ * @param {string} encryptionKey - Encryption key (resolves to the loaded keyring)
+ * @returns {Promise<Object>} { keyId, processed, rotated, failed, failedIds, nextCursor, done }
+ */
+export async function rotatePaymentEncryption(afterPaymentId, limit, db, encryptionKey) {
+  const keyring = resolveKeyring(encryptionKey);
+  const rows = await getPaymentsNotOnKey(db, ciphertextPrefix(keyring.currentKeyId), afterPaymentId, limit);
+  
+  let rotated = 0;
+  const failedIds = [];
+  for (const row of rows) {
+    try {
+      const reencrypted = await reencrypt(row.encrypted_payment_id, keyring, row.order_id);
+      if (reencrypted && await replaceEncryptedPaymentId(db, row.payment_id, row.encrypted_payment_id, reencrypted)) {
+        rotated++;
+      }
+    } catch (error) {
+      console.error('[payment-service] Could not re-encrypt payment', row.payment_id, error.message);
+      failedIds.push(row.payment_id);
+    }
+  }
+  
+  return {
+    keyId: keyring.currentKeyId,
+    processed: rows.length,
+    rotated,
+    failed: failedIds.length,
+    failedIds,
+    nextCursor: rows.length > 0 ? rows[rows.length - 1].payment_id : afterPaymentId,
+    done: rows.length < limit,
+  };
+}
@@ -7,7 +7,10 @@ import { expect } from 'chai';
 import {
   createPayPalOrder,
   capturePayPalOrder,
+  exportPaymentsForOrders,
+  rotatePaymentEncryption,
 } from './paymentService.js';
+import { encrypt, decrypt, parseCiphertext } from '../../shared/utils/encryption.js';
 import { NotFoundError } from '../../shared/utils/errors.js';
 import { createMockD1, createMockD1WithSequence, createMockEnv } from '../../test/setup.js';
 
@@ -207,5 +210,60 @@ describe('paymentService', () => {
       }
     });
   });
-});
 
+  describe('exportPaymentsForOrders', () => {
+    it('should return payments without the encrypted PayPal ID', async () => {
+      mockDb = createMockD1WithSequence([
+        {
+          all: {
+            results: [{
+              payment_id: 'pay-1',
+              order_id: 'order-1',
+              payment_data: JSON.stringify({ id: 'PAYPAL-1' }),
+              status: 'completed',
+            }],
+          },
+        },
+      ]);
+
+      const payments = await exportPaymentsForOrders(['order-1'], mockDb);
+
+      expect(payments).to.have.length(1);
+      expect(payments[0]).to.include({ paymentId: 'pay-1', orderId: 'order-1', status: 'completed' });
+      expect(payments[0]).to.not.have.property('encryptedPaymentId');
+    });
+
+    it('should not query without order IDs', async () => {
+      mockDb = createMockD1WithSequence([]);
+
+      expect(await exportPaymentsForOrders([], mockDb)).to.deep.equal([]);
+    });
+  });
+
+  describe('rotatePaymentEncryption', () => {
+    const keyring = { currentKeyId: 'k1', keys: { k0: 'payment-test-old-key', k1: 'payment-test-new-key' } };
+
+    it('should re-encrypt PayPal IDs with the current key', async () => {
+      const bindings = [];
+      const rows = [{ payment_id: 'pay-1', order_id: 'order-1', encrypted_payment_id: await encrypt('PAYPAL-1', { currentKeyId: 'k0', keys: keyring.keys }, 'order-1') }];
+      mockDb = {
+        prepare: (query) => ({
+          bind: (...args) => {
+            bindings.push({ query, args });
+            return {
+              all: async () => ({ results: rows }),
+              run: async () => ({ success: true, meta: { changes: 1 } }),
+            };
+          },
+        }),
+      };
+
+      const result = await rotatePaymentEncryption(null, 10, mockDb, keyring);
+
+      expect(result).to.deep.equal({ keyId: 'k1', processed: 1, rotated: 1, failed: 0, failedIds: [], nextCursor: 'pay-1', done: true });
+      const update = bindings.find(b => b.query.includes('UPDATE payments'));
+      expect(parseCiphertext(update.args[0]).keyId).to.equal('k1');
+      expect(await decrypt(update.args[0], keyring, 'order-1')).to.equal('PAYPAL-1');
+    });
+  });
+});
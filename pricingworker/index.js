@@ -58,6 +58,21 @@ router.post('/product/:productId', async (request, env) => {
   return await pricingController.setPrice(request, env);
 });
 
+// Admin routes (protected)
+import { authenticateAdmin } from '../shared/utils/adminAuth.js';
+import { PERMISSIONS } from '../shared/utils/permissions.js';
+
+// Create or change a product price (pricing managers)
+router.put('/admin/prices/:productId', async (request, env) => {
+  const authResult = await authenticateAdmin(request, env, { permission: PERMISSIONS.PRICES_WRITE });
+  if (authResult instanceof Response) {
+    return authResult;
+  }
+  request.user = authResult.user;
+  request.userId = authResult.userId;
+  return await pricingController.setPrice(request, env);
+});
+
 // Simple test endpoint (no auth required)
 router.get('/test', () => {
   console.log('[pricing-worker] /test endpoint called');
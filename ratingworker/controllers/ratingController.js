@@ -65,15 +65,16 @@ export async function createRating(request, env) {
 }
 
 /**
- * Get ratings for a product
+ * Get ratings for a product (?page= or ?cursor= from pagination.nextCursor/prevCursor)
  */
 export async function getRatings(request, env) {
   const { productId } = request.params;
   const url = new URL(request.url);
   const page = parseInt(url.searchParams.get('page') || '1', 10);
   const limit = parseInt(url.searchParams.get('limit') || '20', 10);
+  const cursor = url.searchParams.get('cursor') || null;
   
-  const result = await ratingService.getProductRatings(productId, page, limit, env.rating_db);
+  const result = await ratingService.getProductRatings(productId, page, limit, env.rating_db, cursor, env.CURSOR_SECRET);
   
   // Fetch user names for ratings (batch call)
   if (result.ratings && result.ratings.length > 0) {
@@ -561,3 +562,26 @@ export async function getOrderRatingsUser(request, env) {
   }
 }
 
+/**
+ * Export a user's ratings (inter-worker, account data export)
+ */
+export async function exportUserData(request, env) {
+  const ratings = await ratingService.exportUserRatings(request.params.userId, env.rating_db);
+
+  return new Response(
+    JSON.stringify({ ratings }),
+    { status: 200, headers: { 'Content-Type': 'application/json' } }
+  );
+}
+
+/**
+ * Anonymize a user's ratings (inter-worker, account deletion)
+ */
+export async function eraseUserData(request, env) {
+  const result = await ratingService.eraseUserRatings(request.params.userId, env.rating_db);
+
+  return new Response(
+    JSON.stringify(result),
+    { status: 200, headers: { 'Content-Type': 'application/json' } }
+  );
+}
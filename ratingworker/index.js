@@ -15,6 +15,8 @@ router.options('*', handleOptions);
 router.post('/rating', ratingController.validateWorkerRequest, ratingController.createRating);
 router.get('/ratings/:productId', ratingController.getRatings);
 router.get('/rating/:orderId/:productId', ratingController.getRating);
+router.get('/users/:userId/export', ratingController.validateWorkerRequest, ratingController.exportUserData);
+router.post('/users/:userId/erase', ratingController.validateWorkerRequest, ratingController.eraseUserData);
 
 // User-facing routes (authenticated)
 router.post('/order/:orderId/rate', async (request, env, ctx) => {
@@ -2,6 +2,8 @@
  * Rating model for rating worker
  */
 
+import { keysetQuery, keysetPage } from '../../shared/utils/cursor.js';
+
 /**
  * Create rating
  * @param {D1Database} db - Database instance
@@ -97,25 +99,29 @@ export async function getRatingsByOrder(db, orderId) {
 }
 
 /**
- * Get ratings for a product
+ * Get ratings for a product, newest first
+ * With a cursor position the page is read by keyset (no OFFSET) and pagination has no page or total;
+ * the product's rating count and average are returned either way.
  * @param {D1Database} db - Database instance
  * @param {string} productId - Product ID
- * @param {number} page - Page number
+ * @param {number} page - Page number (ignored with a position)
  * @param {number} limit - Items per page
+ * @param {Object|null} position - Decoded cursor (see shared/utils/cursor.js)
  * @returns {Promise<Object>} Ratings and pagination
  */
-export async function getRatingsByProduct(db, productId, page = 1, limit = 20) {
+export async function getRatingsByProduct(db, productId, page = 1, limit = 20, position = null) {
   const offset = (page - 1) * limit;
+  const keyset = keysetQuery(position, 'created_at', 'rating_id');
   
   const ratingsResult = await db
     .prepare(
       `SELECT rating_id, order_id, product_id, user_id, rating, title, comment, created_at, updated_at
        FROM ratings 
-       WHERE product_id = ?
-       ORDER BY created_at DESC
-       LIMIT ? OFFSET ?`
+       WHERE product_id = ?${keyset.condition ? ` AND ${keyset.condition}` : ''}
+       ORDER BY ${keyset.orderBy}
+       LIMIT ?${position ? '' : ' OFFSET ?'}`
     )
-    .bind(productId, limit, offset)
+    .bind(productId, ...keyset.params, ...(position ? [limit + 1] : [limit, offset]))
     .all();
   
   const countResult = await db
@@ -128,6 +134,17 @@ export async function getRatingsByProduct(db, productId, page = 1, limit = 20) {
     .first();
   
   const total = countResult.total || 0;
+  
+  if (position) {
+    const { rows, hasNext, hasPrev } = keysetPage(ratingsResult.results || [], limit, position);
+    return {
+      ratings: rows,
+      average: countResult.average || 0,
+      total,
+      pagination: { limit, hasNext, hasPrev },
+    };
+  }
+  
   const totalPages = Math.ceil(total / limit);
   
   return {
@@ -145,3 +162,43 @@ export async function getRatingsByProduct(db, productId, page = 1, limit = 20) {
   };
 }
 
+/**
+ * Get all ratings written by a user (account data export)
+ * @param {D1Database} db - Database instance
+ * @param {string} userId - User ID
+ * @returns {Promise<Object[]>} Array of ratings, oldest first
+ */
+export async function getRatingsByUser(db, userId) {
+  const result = await db
+    .prepare(
+      `SELECT rating_id, order_id, product_id, user_id, rating, title, comment, created_at, updated_at
+       FROM ratings 
+       WHERE user_id = ?
+       ORDER BY created_at`
+    )
+    .bind(userId)
+    .all();
+  
+  return result.results || [];
+}
+
+/**
+ * Detach a user's ratings from their account (account deletion)
+ * Ratings stay visible on products and are shown as written by "Anonymous"
+ * @param {D1Database} db - Database instance
+ * @param {string} userId - User ID
+ * @param {string} anonymousUserId - Placeholder user ID to assign
+ * @returns {Promise<number>} Number of ratings anonymized
+ */
+export async function anonymizeRatingsByUser(db, userId, anonymousUserId) {
+  const result = await db
+    .prepare(
+      `UPDATE ratings 
+       SET user_id = ?, updated_at = ? 
+       WHERE user_id = ?`
+    )
+    .bind(anonymousUserId, new Date().toISOString(), userId)
+    .run();
+  
+  return result.meta?.changes || 0;
+}
@@ -2,9 +2,20 @@
  * Rating service
  */
 
-import { createRating, getRatingByOrderAndProduct, getRatingsByProduct, getRatingsByOrder } from '../models/ratingModel.js';
+import {
+  createRating,
+  getRatingByOrderAndProduct,
+  getRatingsByProduct,
+  getRatingsByOrder,
+  getRatingsByUser,
+  anonymizeRatingsByUser,
+} from '../models/ratingModel.js';
 import { ConflictError } from '../../shared/utils/errors.js';
 import { executeTransaction } from '../../shared/utils/database.js';
+import { cursorScope, decodeCursor, withCursors } from '../../shared/utils/cursor.js';
+
+// Owner of ratings whose author deleted their account
+export const ANONYMOUS_USER_ID = 'deleted-user';
 
 /**
  * Create rating (one per completed order per product)
@@ -28,14 +39,24 @@ export async function submitRating(ratingData, db) {
 
 /**
  * Get ratings for a product
+ * Pages by number, or by a cursor from a previous page; pagination carries nextCursor/prevCursor either way.
  * @param {string} productId - Product ID
- * @param {number} page - Page number
+ * @param {number} page - Page number (ignored with a cursor)
  * @param {number} limit - Items per page
  * @param {D1Database} db - Database instance
+ * @param {string|null} cursor - Cursor from a previous page
+ * @param {string|null} cursorSecret - Cursor signing secret (CURSOR_SECRET)
  * @returns {Promise<Object>} Ratings and pagination
  */
-export async function getProductRatings(productId, page, limit, db) {
-  return await getRatingsByProduct(db, productId, page, limit);
+export async function getProductRatings(productId, page, limit, db, cursor = null, cursorSecret = null) {
+  const scope = cursorScope('ratings', productId);
+  const position = cursor ? decodeCursor(cursor, cursorSecret, scope) : null;
+  
+  const result = await getRatingsByProduct(db, productId, page, limit, position);
+  return {
+    ...result,
+    pagination: withCursors(result.pagination, result.ratings, rating => [rating.created_at, rating.rating_id], cursorSecret, scope),
+  };
 }
 
 /**
@@ -59,3 +80,22 @@ export async function getOrderRatings(orderId, db) {
   return await getRatingsByOrder(db, orderId);
 }
 
+/**
+ * Get all ratings written by a user for an account data export
+ * @param {string} userId - User ID
+ * @param {D1Database} db - Database instance
+ * @returns {Promise<Object[]>} Array of ratings
+ */
+export async function exportUserRatings(userId, db) {
+  return await getRatingsByUser(db, userId);
+}
+
+/**
+ * Anonymize a user's ratings for account deletion
+ * @param {string} userId - User ID
+ * @param {D1Database} db - Database instance
+ * @returns {Promise<Object>} { ratingsAnonymized }
+ */
+export async function eraseUserRatings(userId, db) {
+  return { ratingsAnonymized: await anonymizeRatingsByUser(db, userId, ANONYMOUS_USER_ID) };
+}
@@ -9,10 +9,14 @@ import {
   getProductRatings,
   getRating,
   getOrderRatings,
+  eraseUserRatings,
+  ANONYMOUS_USER_ID,
 } from './ratingService.js';
-import { ConflictError, NotFoundError } from '../../shared/utils/errors.js';
+import { ConflictError, NotFoundError, ValidationError } from '../../shared/utils/errors.js';
 import { createMockD1, createMockD1WithSequence } from '../../test/setup.js';
 
+const SECRET = 'test-cursor-secret';
+
 describe('ratingService', () => {
   let mockDb;
   
@@ -106,6 +110,47 @@ describe('ratingService', () => {
       expect(result).to.have.property('pagination');
       expect(result.ratings).to.be.an('array');
     });
+
+    it('should issue a cursor that pages the same product by keyset', async () => {
+      const rating = (ratingId, createdAt) => ({ rating_id: ratingId, product_id: 'product-1', rating: 5, created_at: createdAt });
+      mockDb = createMockD1WithSequence([
+        { all: { results: [rating('rating-3', '2024-01-03T00:00:00Z'), rating('rating-2', '2024-01-02T00:00:00Z')], success: true } },
+        { first: { total: 3, average: 4.5 } },
+        { all: { results: [rating('rating-1', '2024-01-01T00:00:00Z')], success: true } },
+        { first: { total: 3, average: 4.5 } },
+      ]);
+      const bindings = [];
+      const prepare = mockDb.prepare;
+      mockDb.prepare = (query) => {
+        const statement = prepare(query);
+        return { ...statement, bind: (...args) => { bindings.push({ query, args }); return statement.bind(...args); } };
+      };
+
+      const first = await getProductRatings('product-1', 1, 2, mockDb, null, SECRET);
+      const second = await getProductRatings('product-1', 1, 2, mockDb, first.pagination.nextCursor, SECRET);
+
+      expect(first.pagination).to.include({ page: 1, total: 3, hasNext: true, prevCursor: null });
+      expect(bindings[2].args).to.deep.equal(['product-1', '2024-01-02T00:00:00Z', 'rating-2', 3]);
+      expect(second.ratings).to.have.length(1);
+      expect(second).to.include({ total: 3, average: 4.5 });
+      expect(second.pagination).to.deep.include({ limit: 2, hasNext: false, hasPrev: true, nextCursor: null });
+      expect(second.pagination.prevCursor).to.be.a('string');
+    });
+
+    it('should reject a cursor from another product', async () => {
+      mockDb = createMockD1WithSequence([
+        { all: { results: [{ rating_id: 'rating-2', created_at: '2024-01-02T00:00:00Z' }], success: true } },
+        { first: { total: 2, average: 4 } },
+      ]);
+      const first = await getProductRatings('product-1', 1, 1, mockDb, null, SECRET);
+
+      try {
+        await getProductRatings('product-2', 1, 1, mockDb, first.pagination.nextCursor, SECRET);
+        expect.fail('Should have thrown ValidationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+      }
+    });
   });
   
   describe('getRating', () => {
@@ -172,5 +217,24 @@ describe('ratingService', () => {
       expect(result.length).to.equal(2);
     });
   });
-});
 
+  describe('eraseUserRatings', () => {
+    it('should reassign ratings to the anonymous user', async () => {
+      const bindings = [];
+      mockDb = {
+        prepare: () => ({
+          bind: (...args) => {
+            bindings.push(args);
+            return { run: async () => ({ success: true, meta: { changes: 3 } }) };
+          },
+        }),
+      };
+
+      const result = await eraseUserRatings('user-1', mockDb);
+
+      expect(result).to.deep.equal({ ratingsAnonymized: 3 });
+      expect(bindings[0][0]).to.equal(ANONYMOUS_USER_ID);
+      expect(bindings[0][2]).to.equal('user-1');
+    });
+  });
+});
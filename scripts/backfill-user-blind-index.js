@@ -0,0 +1,136 @@
+/**
+ * Script to backfill email/phone blind indexes for existing users
+ *
+ * Usage:
+ *   ENCRYPTION_KEY=... [ENCRYPTION_KEYS=...] [BLIND_INDEX_KEY=...] node scripts/backfill-user-blind-index.js [--remote]
+ *
+ * This script:
+ * - Applies database-schemas/auth-blind-index-migration.sql first if the columns are missing
+ * - Reads users that have no email_index yet
+ * - Decrypts each user's PII locally and computes the HMAC blind indexes
+ * - Writes the indexes back in a single batch
+ *
+ * BLIND_INDEX_KEY must match the value configured on auth-worker (falls back to ENCRYPTION_KEY).
+ */
+
+import { execSync } from 'child_process';
+import { writeFileSync, unlinkSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { decrypt, emailIndex, phoneIndex, loadEncryptionKeyring } from '../shared/utils/encryption.js';
+
+const REMOTE_FLAG = process.argv.includes('--remote') ? '--remote' : '';
+const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY;
+const BLIND_INDEX_KEY = process.env.BLIND_INDEX_KEY || ENCRYPTION_KEY;
+
+// Get database name from wrangler config
+function getDatabaseName() {
+  try {
+    const wranglerConfig = execSync('grep "database_name" wrangler.authworker.toml | head -1', { encoding: 'utf-8' });
+    const match = wranglerConfig.match(/database_name\s*=\s*"([^"]+)"/);
+    if (match) {
+      return match[1];
+    }
+  } catch (error) {
+    console.error('Error reading wrangler config:', error.message);
+  }
+  return null;
+}
+
+function query(dbName, sql) {
+  const result = execSync(
+    `wrangler d1 execute ${dbName} ${REMOTE_FLAG} --command "${sql.replace(/"/g, '\\"')}" --json`,
+    { encoding: 'utf-8' }
+  );
+  const data = JSON.parse(result);
+  return (data && data[0] && data[0].results) || [];
+}
+
+function sqlString(value) {
+  return value === null ? 'NULL' : `'${String(value).replace(/'/g, "''")}'`;
+}
+
+async function main() {
+  if (!ENCRYPTION_KEY) {
+    console.error('ENCRYPTION_KEY environment variable is required');
+    process.exit(1);
+  }
+
+  // Users may be encrypted with rotated keys (ENCRYPTION_KEYS, same JSON as on auth-worker)
+  loadEncryptionKeyring(process.env);
+
+  const dbName = getDatabaseName();
+  if (!dbName) {
+    throw new Error('Could not find auth database name');
+  }
+
+  console.log(`Backfilling blind indexes on ${dbName} (${REMOTE_FLAG ? 'REMOTE' : 'LOCAL'})...`);
+
+  // Apply the schema migration if the columns don't exist yet
+  const columns = query(dbName, 'PRAGMA table_info(users)').map(col => col.name);
+  if (!columns.includes('email_index')) {
+    console.log('Adding blind index columns to users table...');
+    execSync(
+      `wrangler d1 execute ${dbName} ${REMOTE_FLAG} --file=./database-schemas/auth-blind-index-migration.sql`,
+      { stdio: 'inherit' }
+    );
+  }
+
+  const users = query(dbName, 'SELECT user_id, data, deleted_at FROM users WHERE email_index IS NULL');
+  console.log(`Found ${users.length} user(s) without a blind index`);
+
+  const seen = new Map();
+  const statements = [];
+  let skipped = 0;
+
+  for (const user of users) {
+    try {
+      const data = JSON.parse(await decrypt(user.data, ENCRYPTION_KEY, user.user_id));
+      if (!data.email) {
+        console.warn(`  Skipping ${user.user_id}: no email in profile`);
+        skipped++;
+        continue;
+      }
+
+      const emailIdx = emailIndex(data.email, BLIND_INDEX_KEY);
+      const phoneIdx = phoneIndex(data.contactNumber, BLIND_INDEX_KEY);
+
+      // The unique index only covers active users, so duplicates among them need manual cleanup
+      if (!user.deleted_at) {
+        if (seen.has(emailIdx)) {
+          console.warn(`  Skipping ${user.user_id}: same email as active user ${seen.get(emailIdx)}`);
+          skipped++;
+          continue;
+        }
+        seen.set(emailIdx, user.user_id);
+      }
+
+      statements.push(
+        `UPDATE users SET email_index = ${sqlString(emailIdx)}, phone_index = ${sqlString(phoneIdx)} WHERE user_id = ${sqlString(user.user_id)};`
+      );
+    } catch (error) {
+      console.warn(`  Skipping ${user.user_id}: ${error.message}`);
+      skipped++;
+    }
+  }
+
+  if (statements.length === 0) {
+    console.log('Nothing to backfill.');
+    return;
+  }
+
+  const file = join(tmpdir(), `backfill-user-blind-index-${Date.now()}.sql`);
+  writeFileSync(file, statements.join('\n') + '\n');
+  try {
+    execSync(`wrangler d1 execute ${dbName} ${REMOTE_FLAG} --file=${file}`, { stdio: 'inherit' });
+  } finally {
+    unlinkSync(file);
+  }
+
+  console.log(`✅ Backfilled ${statements.length} user(s), skipped ${skipped}`);
+}
+
+main().catch((error) => {
+  console.error('❌ Backfill failed:', error.message);
+  process.exit(1);
+});
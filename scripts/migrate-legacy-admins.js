@@ -0,0 +1,141 @@
+/**
+ * Script to retire the legacy isAdmin flag stored in user data
+ *
+ * Usage:
+ *   ENCRYPTION_KEY=... [ENCRYPTION_KEYS=...] ADMIN_EMAILS=alice@example.com,bob@example.com \
+ *     node scripts/migrate-legacy-admins.js [--remote] [--dry-run]
+ *
+ * This script:
+ * - Reads every user and decrypts their data locally
+ * - Removes the isAdmin flag from every user that has it (signup used to accept it from any caller)
+ * - Grants super_admin only to flagged users whose email is in ADMIN_EMAILS (the reviewed list of known admins)
+ * - Lists flagged users that were not promoted, so they can be reviewed
+ *
+ * Run it once after deploying role-based admin access. Roles for other admins are assigned via /admin/roles.
+ */
+
+import { execSync } from 'child_process';
+import { writeFileSync, unlinkSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { encrypt, decrypt, normalizeEmail, loadEncryptionKeyring } from '../shared/utils/encryption.js';
+import { SUPER_ADMIN_ROLE } from '../shared/utils/permissions.js';
+
+const REMOTE_FLAG = process.argv.includes('--remote') ? '--remote' : '';
+const DRY_RUN = process.argv.includes('--dry-run');
+const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY;
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim())
+  .filter(Boolean)
+  .map(normalizeEmail);
+
+// Get database name from wrangler config
+function getDatabaseName() {
+  try {
+    const wranglerConfig = execSync('grep "database_name" wrangler.authworker.toml | head -1', { encoding: 'utf-8' });
+    const match = wranglerConfig.match(/database_name\s*=\s*"([^"]+)"/);
+    if (match) {
+      return match[1];
+    }
+  } catch (error) {
+    console.error('Error reading wrangler config:', error.message);
+  }
+  return null;
+}
+
+function query(dbName, sql) {
+  const result = execSync(
+    `wrangler d1 execute ${dbName} ${REMOTE_FLAG} --command "${sql.replace(/"/g, '\\"')}" --json`,
+    { encoding: 'utf-8' }
+  );
+  const data = JSON.parse(result);
+  return (data && data[0] && data[0].results) || [];
+}
+
+function sqlString(value) {
+  return value === null ? 'NULL' : `'${String(value).replace(/'/g, "''")}'`;
+}
+
+async function main() {
+  if (!ENCRYPTION_KEY) {
+    console.error('ENCRYPTION_KEY environment variable is required');
+    process.exit(1);
+  }
+
+  // Users may be encrypted with rotated keys (ENCRYPTION_KEYS, same JSON as on auth-worker)
+  loadEncryptionKeyring(process.env);
+
+  const dbName = getDatabaseName();
+  if (!dbName) {
+    throw new Error('Could not find auth database name');
+  }
+
+  console.log(`Migrating legacy admin flags on ${dbName} (${REMOTE_FLAG ? 'REMOTE' : 'LOCAL'})${DRY_RUN ? ' - dry run' : ''}...`);
+  console.log(`Allowlisted admins: ${ADMIN_EMAILS.length ? ADMIN_EMAILS.join(', ') : '(none)'}`);
+
+  const users = query(dbName, 'SELECT user_id, data FROM users');
+  const now = new Date().toISOString();
+  const statements = [];
+  const notPromoted = [];
+  let promoted = 0;
+  let skipped = 0;
+
+  for (const user of users) {
+    try {
+      const data = JSON.parse(await decrypt(user.data, ENCRYPTION_KEY, user.user_id));
+      if (!Object.prototype.hasOwnProperty.call(data, 'isAdmin')) {
+        continue;
+      }
+
+      const email = data.email ? normalizeEmail(data.email) : null;
+      if (data.isAdmin === true && email && ADMIN_EMAILS.includes(email)) {
+        statements.push(
+          `INSERT OR IGNORE INTO user_roles (user_id, role, granted_by, granted_at) VALUES (${sqlString(user.user_id)}, ${sqlString(SUPER_ADMIN_ROLE)}, NULL, ${sqlString(now)});`
+        );
+        promoted++;
+      } else if (data.isAdmin === true) {
+        notPromoted.push(`${user.user_id} (${email || 'no email'})`);
+      }
+
+      // The flag grants nothing any more; drop it for everyone
+      delete data.isAdmin;
+      const encrypted = await encrypt(JSON.stringify(data), ENCRYPTION_KEY, user.user_id);
+      statements.push(
+        `UPDATE users SET data = ${sqlString(encrypted)}, updated_at = ${sqlString(now)} WHERE user_id = ${sqlString(user.user_id)};`
+      );
+    } catch (error) {
+      console.warn(`  Skipping ${user.user_id}: ${error.message}`);
+      skipped++;
+    }
+  }
+
+  if (notPromoted.length > 0) {
+    console.warn(`Flagged users NOT promoted (not in ADMIN_EMAILS):\n  ${notPromoted.join('\n  ')}`);
+  }
+
+  if (statements.length === 0) {
+    console.log('No users carry the isAdmin flag.');
+    return;
+  }
+
+  if (DRY_RUN) {
+    console.log(`Dry run: would promote ${promoted} user(s) and write ${statements.length} statement(s), skipped ${skipped}`);
+    return;
+  }
+
+  const file = join(tmpdir(), `migrate-legacy-admins-${Date.now()}.sql`);
+  writeFileSync(file, statements.join('\n') + '\n');
+  try {
+    execSync(`wrangler d1 execute ${dbName} ${REMOTE_FLAG} --file=${file}`, { stdio: 'inherit' });
+  } finally {
+    unlinkSync(file);
+  }
+
+  console.log(`✅ Promoted ${promoted} allowlisted admin(s), cleared the flag on ${statements.length - promoted} user(s), skipped ${skipped}`);
+}
+
+main().catch((error) => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,182 @@
+/**
+ * Durable Object that counts failed attempts for one limiter key (e.g. an IP or an email)
+ * One instance per key, so concurrent attempts are serialized and counted exactly
+ *
+ * Progressive delay: after `delayAfter` failures each further attempt must wait
+ * baseDelaySeconds * 2^(extra failures), capped at maxDelaySeconds
+ * Lockout: `maxFailures` failures within `windowSeconds` lock the key for lockoutSeconds;
+ * every repeated lockout doubles that, capped at maxLockoutSeconds
+ *
+ * The policy is sent with every request so any worker can reuse the class with its own limits
+ * (see shared/utils/bruteForceLimiter.js for the client helpers)
+ *
+ * Stored state is deleted by a storage alarm once neither the failure window nor the lockout
+ * history matters any more, so keys that are never seen again do not stay in storage
+ */
+
+const STATE_KEY = 'state';
+
+export class BruteForceLimiterDO {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    // Stored value: { failures, firstFailureAt, lastFailureAt, lockedUntil, lockouts, expiresAt }
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+    const method = request.method;
+
+    try {
+      if (method === 'POST' && url.pathname === '/check') {
+        return await this.handleCheck(request);
+      } else if (method === 'POST' && url.pathname === '/fail') {
+        return await this.handleFailure(request);
+      } else if (method === 'POST' && url.pathname === '/reset') {
+        return await this.handleReset();
+      }
+      return this.json({ error: 'Not Found' }, 404);
+    } catch (error) {
+      console.error('[BruteForceLimiterDO] Error:', error);
+      return this.json({ error: error.message || 'Internal server error' }, 500);
+    }
+  }
+
+  json(body, status = 200) {
+    return new Response(JSON.stringify(body), {
+      status,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  /**
+   * Load state, forgetting failures that fell out of the window
+   * Lockout history (lockouts) is kept for one lockout period after the last lock expired
+   */
+  async loadState(policy, now) {
+    const stored = await this.state.storage.get(STATE_KEY);
+    const state = stored || { failures: 0, firstFailureAt: null, lastFailureAt: null, lockedUntil: null, lockouts: 0 };
+
+    if (state.firstFailureAt && now - state.firstFailureAt > policy.windowSeconds * 1000) {
+      state.failures = 0;
+      state.firstFailureAt = null;
+      state.lastFailureAt = null;
+    }
+
+    if (state.lockedUntil && now - state.lockedUntil > policy.maxLockoutSeconds * 1000) {
+      state.lockouts = 0;
+      state.lockedUntil = null;
+    }
+
+    return state;
+  }
+
+  /**
+   * Seconds the caller has to wait before the next attempt (0 if allowed now)
+   */
+  getRetryAfter(state, policy, now) {
+    if (state.lockedUntil && state.lockedUntil > now) {
+      return Math.ceil((state.lockedUntil - now) / 1000);
+    }
+
+    const extraFailures = state.failures - policy.delayAfter;
+    if (extraFailures > 0 && state.lastFailureAt) {
+      const delaySeconds = Math.min(policy.baseDelaySeconds * 2 ** (extraFailures - 1), policy.maxDelaySeconds);
+      const nextAllowedAt = state.lastFailureAt + delaySeconds * 1000;
+      if (nextAllowedAt > now) {
+        return Math.ceil((nextAllowedAt - now) / 1000);
+      }
+    }
+
+    return 0;
+  }
+
+  /**
+   * Check whether an attempt may be made
+   * POST /check
+   * Body: { policy }
+   * Returns: { allowed, retryAfter, lockedOut, failures }
+   */
+  async handleCheck(request) {
+    const { policy } = await request.json();
+    const now = Date.now();
+    const state = await this.loadState(policy, now);
+    const retryAfter = this.getRetryAfter(state, policy, now);
+
+    return this.json({
+      allowed: retryAfter === 0,
+      retryAfter,
+      lockedOut: Boolean(state.lockedUntil && state.lockedUntil > now),
+      failures: state.failures,
+    });
+  }
+
+  /**
+   * Record a failed attempt
+   * POST /fail
+   * Body: { policy }
+   * Returns: { failures, lockedOut, lockedNow, retryAfter }
+   */
+  async handleFailure(request) {
+    const { policy } = await request.json();
+    const now = Date.now();
+    const state = await this.loadState(policy, now);
+
+    state.failures += 1;
+    state.firstFailureAt = state.firstFailureAt || now;
+    state.lastFailureAt = now;
+
+    let lockedNow = false;
+    if (state.failures >= policy.maxFailures) {
+      const lockoutSeconds = Math.min(policy.lockoutSeconds * 2 ** state.lockouts, policy.maxLockoutSeconds);
+      state.lockedUntil = now + lockoutSeconds * 1000;
+      state.lockouts += 1;
+      state.failures = 0;
+      state.firstFailureAt = null;
+      state.lastFailureAt = null;
+      lockedNow = true;
+    }
+
+    // Nothing in the state matters after the window and the lockout history have both run out
+    state.expiresAt = Math.max(
+      state.firstFailureAt ? state.firstFailureAt + policy.windowSeconds * 1000 : now,
+      state.lockedUntil ? state.lockedUntil + policy.maxLockoutSeconds * 1000 : now
+    );
+    await this.state.storage.put(STATE_KEY, state);
+    await this.state.storage.setAlarm(state.expiresAt);
+
+    const retryAfter = this.getRetryAfter(state, policy, now);
+    return this.json({
+      failures: state.failures,
+      lockedOut: Boolean(state.lockedUntil && state.lockedUntil > now),
+      lockedNow,
+      retryAfter,
+    });
+  }
+
+  /**
+   * Forget failures after a successful attempt
+   * POST /reset
+   */
+  async handleReset() {
+    await this.state.storage.delete(STATE_KEY);
+    await this.state.storage.deleteAlarm();
+    return this.json({ success: true });
+  }
+
+  /**
+   * Delete expired state (storage alarm set by handleFailure)
+   */
+  async alarm() {
+    const state = await this.state.storage.get(STATE_KEY);
+    if (!state) {
+      return;
+    }
+
+    if (!state.expiresAt || state.expiresAt <= Date.now()) {
+      await this.state.storage.delete(STATE_KEY);
+    } else {
+      await this.state.storage.setAlarm(state.expiresAt);
+    }
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * Tests for BruteForceLimiterDO
+ */
+
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import { BruteForceLimiterDO } from './BruteForceLimiterDO.js';
+import { createMockDurableObjectState } from '../../test/setup.js';
+
+const policy = {
+  scope: 'test',
+  maxFailures: 4,
+  windowSeconds: 60,
+  delayAfter: 2,
+  baseDelaySeconds: 5,
+  maxDelaySeconds: 8,
+  lockoutSeconds: 100,
+  maxLockoutSeconds: 300,
+};
+
+describe('BruteForceLimiterDO', () => {
+  let limiter;
+  let state;
+  let now;
+  const realNow = Date.now;
+
+  const call = async (path) => {
+    const response = await limiter.fetch(new Request(`https://workers.dev${path}`, {
+      method: 'POST',
+      body: JSON.stringify({ policy }),
+    }));
+    return response.json();
+  };
+
+  beforeEach(() => {
+    state = createMockDurableObjectState();
+    limiter = new BruteForceLimiterDO(state, {});
+    now = 1_700_000_000_000;
+    Date.now = () => now;
+  });
+
+  afterEach(() => {
+    Date.now = realNow;
+  });
+
+  it('should allow attempts without failures', async () => {
+    expect(await call('/check')).to.deep.equal({ allowed: true, retryAfter: 0, lockedOut: false, failures: 0 });
+  });
+
+  it('should add a growing delay after delayAfter failures', async () => {
+    await call('/fail');
+    await call('/fail');
+    expect((await call('/check')).allowed).to.be.true;
+
+    await call('/fail');
+    let check = await call('/check');
+    expect(check.allowed).to.be.false;
+    expect(check.retryAfter).to.equal(5);
+
+    now += 5000;
+    expect((await call('/check')).allowed).to.be.true;
+
+    // The fourth failure reaches maxFailures and locks the key
+    const failure = await call('/fail');
+    expect(failure.lockedNow).to.be.true;
+    check = await call('/check');
+    expect(check.lockedOut).to.be.true;
+    expect(check.retryAfter).to.equal(100);
+  });
+
+  it('should double the lockout for repeated lockouts up to the maximum', async () => {
+    for (let i = 0; i < policy.maxFailures; i++) await call('/fail');
+    now += 100 * 1000;
+
+    for (let i = 0; i < policy.maxFailures; i++) await call('/fail');
+    expect((await call('/check')).retryAfter).to.equal(200);
+    now += 200 * 1000;
+
+    for (let i = 0; i < policy.maxFailures; i++) await call('/fail');
+    expect((await call('/check')).retryAfter).to.equal(300);
+  });
+
+  it('should forget failures outside the window', async () => {
+    await call('/fail');
+    await call('/fail');
+    await call('/fail');
+    now += 61 * 1000;
+
+    const check = await call('/check');
+    expect(check.allowed).to.be.true;
+    expect(check.failures).to.equal(0);
+  });
+
+  it('should clear state on reset', async () => {
+    for (let i = 0; i < policy.maxFailures; i++) await call('/fail');
+
+    await call('/reset');
+
+    expect((await call('/check')).allowed).to.be.true;
+  });
+
+  it('should schedule cleanup and delete state once the lockout history expires', async () => {
+    for (let i = 0; i < policy.maxFailures; i++) await call('/fail');
+    const lockedUntil = now + policy.lockoutSeconds * 1000;
+    expect(await state.storage.getAlarm()).to.equal(lockedUntil + policy.maxLockoutSeconds * 1000);
+
+    // An early alarm keeps the state and reschedules
+    now = lockedUntil;
+    await limiter.alarm();
+    expect(await state.storage.get('state')).to.exist;
+
+    now = await state.storage.getAlarm();
+    await limiter.alarm();
+    expect(await state.storage.get('state')).to.be.undefined;
+  });
+
+  it('should drop the cleanup alarm on reset', async () => {
+    await call('/fail');
+    expect(await state.storage.getAlarm()).to.equal(now + policy.windowSeconds * 1000);
+
+    await call('/reset');
+
+    expect(await state.storage.getAlarm()).to.be.null;
+  });
+
+  it('should return 404 for unknown paths', async () => {
+    const response = await limiter.fetch(new Request('https://workers.dev/unknown', { method: 'POST' }));
+    expect(response.status).to.equal(404);
+  });
+});
@@ -1,18 +1,54 @@
 /**
  * Admin authorization utilities
- * Used across workers to check if a user is an admin
+ * Used across workers to check a user's admin roles and permissions
  */
 
 import { AuthenticationError, AuthorizationError } from './errors.js';
+import { getPermissionsForRoles, isValidRole } from './permissions.js';
 
 /**
- * Authenticate request and check if user is admin
- * This function fetches user profile from auth worker to check admin status
+ * Check that a user may use an admin route
+ * Users need at least one known role; routes that declare a permission also need a role granting it
+ * @param {Object} user - Profile from the auth worker ({ roles, twoFactorEnabled, twoFactorVerified })
+ * @param {Object} env - Environment variables
+ * @param {Object} options - { permission, requireTwoFactor: session must have passed 2FA (default: env.ADMIN_REQUIRE_2FA === 'true') }
+ * @returns {string[]} Permissions granted to the user
+ */
+export function authorizeAdmin(user, env, options = {}) {
+  // Role names that are not defined grant nothing, so they don't count as admin access either
+  const roles = Array.isArray(user.roles) ? user.roles.filter(isValidRole) : [];
+  const permissions = getPermissionsForRoles(roles);
+
+  if (roles.length === 0) {
+    throw new AuthorizationError('Admin access required');
+  }
+
+  if (options.permission && !permissions.includes(options.permission)) {
+    throw new AuthorizationError(`Missing permission: ${options.permission}`);
+  }
+
+  // Check the session passed the second factor (auth worker reports this on /profile)
+  const requireTwoFactor = options.requireTwoFactor ?? env.ADMIN_REQUIRE_2FA === 'true';
+  if (requireTwoFactor && user.twoFactorVerified !== true) {
+    throw new AuthorizationError(
+      user.twoFactorEnabled
+        ? 'Two-factor verification required for admin access. Please log in again.'
+        : 'Two-factor authentication must be enabled for admin access'
+    );
+  }
+
+  return permissions;
+}
+
+/**
+ * Authenticate request and check the user's admin permissions
+ * This function fetches user profile (including roles) from auth worker
  * @param {Request} request - Incoming request
  * @param {Object} env - Environment variables (must have auth worker binding)
- * @returns {Promise<Object>} User data with admin status
+ * @param {Object} options - { permission: required permission (see permissions.js), requireTwoFactor }
+ * @returns {Promise<Object>} { user, userId, permissions }
  */
-export async function authenticateAdmin(request, env) {
+export async function authenticateAdmin(request, env, options = {}) {
   // First authenticate the user
   const authResult = await authenticateUser(request, env);
   
@@ -20,14 +56,12 @@ export async function authenticateAdmin(request, env) {
     throw new AuthenticationError('Authentication required');
   }
   
-  // Check if user is admin
-  if (!authResult.user.isAdmin) {
-    throw new AuthorizationError('Admin access required');
-  }
+  const permissions = authorizeAdmin(authResult.user, env, options);
   
   return {
     user: authResult.user,
     userId: authResult.user.userId || authResult.userId,
+    permissions,
   };
 }
 
@@ -146,20 +180,23 @@ async function authenticateUser(request, env) {
  * Authenticate user and check admin status (returns admin flag without throwing)
  * @param {Request} request - Incoming request
  * @param {Object} env - Environment variables
- * @returns {Promise<Object>} User data with admin status (may not be admin)
+ * @returns {Promise<Object>} User data with admin status and permissions (may not be admin)
  */
 export async function authenticateUserForAdminCheck(request, env) {
   try {
     const result = await authenticateUser(request, env);
+    const roles = Array.isArray(result.user?.roles) ? result.user.roles.filter(isValidRole) : [];
     return {
       ...result,
-      isAdmin: result.user?.isAdmin === true,
+      isAdmin: roles.length > 0,
+      permissions: getPermissionsForRoles(roles),
     };
   } catch (error) {
     return {
       user: null,
       userId: null,
       isAdmin: false,
+      permissions: [],
     };
   }
 }
@@ -6,6 +6,7 @@ import { describe, it, beforeEach } from 'mocha';
 import { expect } from 'chai';
 import * as adminAuth from './adminAuth.js';
 import { AuthenticationError, AuthorizationError } from './errors.js';
+import { PERMISSIONS } from './permissions.js';
 import { createMockEnv, createMockRequest } from '../../test/setup.js';
 
 describe('adminAuth', () => {
@@ -20,7 +21,7 @@ describe('adminAuth', () => {
       const regularUser = {
         userId: 'user-1',
         email: 'user@test.com',
-        isAdmin: false
+        roles: []
       };
       
       const request = createMockRequest('https://example.com/admin', {
@@ -54,6 +55,119 @@ describe('adminAuth', () => {
         expect(error).to.be.instanceOf(AuthenticationError);
       }
     });
+
+    describe('permissions', () => {
+      const request = () => createMockRequest('https://example.com/admin', {
+        headers: {
+          'Authorization': 'Bearer valid-token'
+        }
+      });
+
+      it('should allow a role that grants the declared permission', async () => {
+        mockEnv.auth_worker._setResponse('GET', '/profile', { userId: 'staff-1', roles: ['warehouse_operator'] });
+
+        const result = await adminAuth.authenticateAdmin(request(), mockEnv, { permission: PERMISSIONS.INVENTORY_WRITE });
+
+        expect(result.userId).to.equal('staff-1');
+        expect(result.permissions).to.include(PERMISSIONS.INVENTORY_WRITE);
+      });
+
+      it('should reject a role that lacks the declared permission', async () => {
+        mockEnv.auth_worker._setResponse('GET', '/profile', { userId: 'staff-1', roles: ['support_agent'] });
+
+        try {
+          await adminAuth.authenticateAdmin(request(), mockEnv, { permission: PERMISSIONS.PRODUCTS_WRITE });
+          expect.fail('Should have thrown AuthorizationError');
+        } catch (error) {
+          expect(error).to.be.instanceOf(AuthorizationError);
+          expect(error.message).to.include(PERMISSIONS.PRODUCTS_WRITE);
+        }
+      });
+
+      it('should not treat a legacy isAdmin flag as a role', async () => {
+        mockEnv.auth_worker._setResponse('GET', '/profile', { userId: 'user-1', isAdmin: true });
+
+        try {
+          await adminAuth.authenticateAdmin(request(), mockEnv);
+          expect.fail('Should have thrown AuthorizationError');
+        } catch (error) {
+          expect(error).to.be.instanceOf(AuthorizationError);
+          expect(error.message).to.include('Admin access required');
+        }
+      });
+
+      it('should not treat unknown role names as admin access', async () => {
+        mockEnv.auth_worker._setResponse('GET', '/profile', { userId: 'user-1', roles: ['customer', 'owner'] });
+
+        try {
+          await adminAuth.authenticateAdmin(request(), mockEnv);
+          expect.fail('Should have thrown AuthorizationError');
+        } catch (error) {
+          expect(error).to.be.instanceOf(AuthorizationError);
+          expect(error.message).to.include('Admin access required');
+        }
+      });
+    });
+
+    describe('two-factor requirement', () => {
+      const request = () => createMockRequest('https://example.com/admin', {
+        headers: {
+          'Authorization': 'Bearer valid-token'
+        }
+      });
+
+      it('should allow admin without 2FA when not required', async () => {
+        mockEnv.auth_worker._setResponse('GET', '/profile', { userId: 'admin-1', roles: ['super_admin'] });
+
+        const result = await adminAuth.authenticateAdmin(request(), mockEnv);
+
+        expect(result.userId).to.equal('admin-1');
+      });
+
+      it('should reject admin session that did not pass 2FA when required by env', async () => {
+        mockEnv.ADMIN_REQUIRE_2FA = 'true';
+        mockEnv.auth_worker._setResponse('GET', '/profile', {
+          userId: 'admin-1',
+          roles: ['super_admin'],
+          twoFactorEnabled: true,
+          twoFactorVerified: false,
+        });
+
+        try {
+          await adminAuth.authenticateAdmin(request(), mockEnv);
+          expect.fail('Should have thrown AuthorizationError');
+        } catch (error) {
+          expect(error).to.be.instanceOf(AuthorizationError);
+          expect(error.message).to.include('Two-factor verification required');
+        }
+      });
+
+      it('should ask admin without 2FA to enable it when required by option', async () => {
+        mockEnv.auth_worker._setResponse('GET', '/profile', { userId: 'admin-1', roles: ['super_admin'] });
+
+        try {
+          await adminAuth.authenticateAdmin(request(), mockEnv, { requireTwoFactor: true });
+          expect.fail('Should have thrown AuthorizationError');
+        } catch (error) {
+          expect(error).to.be.instanceOf(AuthorizationError);
+          expect(error.message).to.include('must be enabled');
+        }
+      });
+
+      it('should allow 2FA-verified admin session when required', async () => {
+        mockEnv.ADMIN_REQUIRE_2FA = 'true';
+        mockEnv.auth_worker._setResponse('GET', '/profile', {
+          userId: 'admin-1',
+          roles: ['super_admin'],
+          twoFactorEnabled: true,
+          twoFactorVerified: true,
+        });
+
+        const result = await adminAuth.authenticateAdmin(request(), mockEnv);
+
+        expect(result.user.twoFactorVerified).to.be.true;
+      });
+    });
   });
 });
 
@@ -0,0 +1,95 @@
+/**
+ * Personal access token utilities
+ * The auth worker issues and stores the tokens ("pat_..."); cart and orders workers accept them
+ * as "Authorization: Bearer pat_..." and check the route's scopes after asking the auth worker.
+ * Browser sessions are not scoped: the scope checks only apply to requests made with a token.
+ */
+
+import { postWorkerBinding } from './interWorker.js';
+import { getClientIp } from './requestInfo.js';
+
+export const API_TOKEN_PREFIX = 'pat_';
+
+export const API_TOKEN_SCOPES = {
+  CART_READ: 'cart:read',
+  CART_WRITE: 'cart:write',
+  ORDERS_READ: 'orders:read',
+  ORDERS_WRITE: 'orders:write',
+};
+
+export const ALL_API_TOKEN_SCOPES = Object.values(API_TOKEN_SCOPES);
+
+/**
+ * Whether a bearer token is a personal access token
+ * @param {string} token - Bearer token
+ * @returns {boolean} True for "pat_..." tokens
+ */
+export function isApiToken(token) {
+  return typeof token === 'string' && token.startsWith(API_TOKEN_PREFIX);
+}
+
+/**
+ * Scopes from the list that a token does not have
+ * @param {string[]} grantedScopes - Token scopes
+ * @param {string[]} requiredScopes - Scopes the route needs
+ * @returns {string[]} Missing scopes (empty when allowed)
+ */
+export function getMissingScopes(grantedScopes = [], requiredScopes = []) {
+  return requiredScopes.filter(scope => !grantedScopes.includes(scope));
+}
+
+function errorResponse(status, code, message) {
+  return new Response(
+    JSON.stringify({ error: { code, message } }),
+    {
+      status,
+      headers: { 'Content-Type': 'application/json' },
+    }
+  );
+}
+
+/**
+ * Authenticate a request made with a personal access token
+ * On success sets request.user = { userId, tokenId, scopes, apiToken: true }
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment variables (auth_worker binding, INTER_WORKER_API_KEY)
+ * @param {string} token - The "pat_..." token
+ * @param {string[]} requiredScopes - Scopes the route needs
+ * @returns {Promise<Response|null>} Error response, or null to continue
+ */
+export async function authenticateApiToken(request, env, token, requiredScopes = []) {
+  let verified;
+  try {
+    const response = await postWorkerBinding(
+      env.auth_worker,
+      '/api-tokens/verify',
+      { token, ipAddress: getClientIp(request) },
+      env.INTER_WORKER_API_KEY
+    );
+
+    if (response.status === 401) {
+      return errorResponse(401, 'AUTHENTICATION_ERROR', 'Invalid, expired or revoked API token');
+    }
+    if (!response.ok) {
+      console.error('[api-tokens] Token verification failed with status:', response.status);
+      return errorResponse(503, 'SERVICE_UNAVAILABLE', 'Unable to verify API token. Please try again.');
+    }
+    verified = await response.json();
+  } catch (error) {
+    console.error('[api-tokens] Token verification error:', error.message);
+    return errorResponse(503, 'SERVICE_UNAVAILABLE', 'Unable to verify API token. Please try again.');
+  }
+
+  const missingScopes = getMissingScopes(verified.scopes, requiredScopes);
+  if (missingScopes.length > 0) {
+    return errorResponse(403, 'INSUFFICIENT_SCOPE', `API token is missing scope: ${missingScopes.join(', ')}`);
+  }
+
+  request.user = {
+    userId: verified.userId,
+    tokenId: verified.tokenId,
+    scopes: verified.scopes,
+    apiToken: true,
+  };
+  return null;
+}
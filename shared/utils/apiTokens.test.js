@@ -0,0 +1,81 @@
+/**
+ * Tests for personal access token utilities
+ */
+
+import { describe, it, beforeEach } from 'mocha';
+import { expect } from 'chai';
+import { isApiToken, getMissingScopes, authenticateApiToken, API_TOKEN_SCOPES } from './apiTokens.js';
+import { createMockEnv, createMockRequest } from '../../test/setup.js';
+
+describe('apiTokens', () => {
+  describe('isApiToken', () => {
+    it('should only match "pat_" tokens', () => {
+      expect(isApiToken('pat_abc')).to.be.true;
+      expect(isApiToken('eyJhbGciOiJIUzI1NiJ9.x.y')).to.be.false;
+      expect(isApiToken(null)).to.be.false;
+    });
+  });
+
+  describe('getMissingScopes', () => {
+    it('should list required scopes the token lacks', () => {
+      expect(getMissingScopes(['cart:read'], ['cart:read'])).to.deep.equal([]);
+      expect(getMissingScopes(['cart:read'], ['orders:write', 'cart:read'])).to.deep.equal(['orders:write']);
+      expect(getMissingScopes(undefined, ['cart:read'])).to.deep.equal(['cart:read']);
+    });
+  });
+
+  describe('authenticateApiToken', () => {
+    let env;
+    let request;
+
+    beforeEach(() => {
+      env = createMockEnv();
+      request = createMockRequest('https://cart.example.com/cart', {
+        headers: { Authorization: 'Bearer pat_abc', 'CF-Connecting-IP': '203.0.113.7' },
+      });
+    });
+
+    it('should set request.user when the token has the scopes', async () => {
+      env.auth_worker._setResponse('POST', '/api-tokens/verify', {
+        userId: 'user-1',
+        tokenId: 'token-1',
+        scopes: [API_TOKEN_SCOPES.CART_READ],
+      });
+
+      const result = await authenticateApiToken(request, env, 'pat_abc', [API_TOKEN_SCOPES.CART_READ]);
+
+      expect(result).to.be.null;
+      expect(request.user).to.deep.equal({ userId: 'user-1', tokenId: 'token-1', scopes: ['cart:read'], apiToken: true });
+    });
+
+    it('should return 403 when a scope is missing', async () => {
+      env.auth_worker._setResponse('POST', '/api-tokens/verify', {
+        userId: 'user-1',
+        tokenId: 'token-1',
+        scopes: [API_TOKEN_SCOPES.CART_READ],
+      });
+
+      const result = await authenticateApiToken(request, env, 'pat_abc', [API_TOKEN_SCOPES.CART_WRITE]);
+
+      expect(result.status).to.equal(403);
+      expect((await result.json()).error.code).to.equal('INSUFFICIENT_SCOPE');
+      expect(request.user).to.be.undefined;
+    });
+
+    it('should return 401 for tokens the auth worker rejects', async () => {
+      env.auth_worker._setResponse('POST', '/api-tokens/verify', { error: { code: 'AUTHENTICATION_ERROR' } }, { status: 401 });
+
+      const result = await authenticateApiToken(request, env, 'pat_abc');
+
+      expect(result.status).to.equal(401);
+    });
+
+    it('should return 503 when the auth worker fails', async () => {
+      env.auth_worker._setResponse('POST', '/api-tokens/verify', { error: 'boom' }, { status: 500 });
+
+      const result = await authenticateApiToken(request, env, 'pat_abc');
+
+      expect(result.status).to.equal(503);
+    });
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Brute-force protection helpers backed by BruteForceLimiterDO
+ * Each limit is a policy plus the value it is keyed by (client IP, normalized email, ...);
+ * values are hashed before being used as Durable Object names so no PII reaches DO storage
+ *
+ * Usage from any worker with the DO bound (see wrangler.authworker.toml):
+ *   const limits = [{ policy: LIMITER_POLICIES.LOGIN_IP, value: ip }];
+ *   await enforceLimits(env.brute_force_limiter_do, limits);      // throws RateLimitError (429)
+ *   ... on failure: await recordFailedAttempt(env.brute_force_limiter_do, limits, logOptions);
+ *   ... on success: await resetAttempts(env.brute_force_limiter_do, limits);
+ *
+ * The limiter fails open: if the binding is missing or the DO errors, attempts are allowed
+ */
+
+import { RateLimitError } from './errors.js';
+import { sendLog } from './logger.js';
+
+export const LIMITER_POLICIES = {
+  // Per account: slows down password guessing against one email from many IPs
+  LOGIN_EMAIL: {
+    scope: 'login:email',
+    maxFailures: 5,
+    windowSeconds: 15 * 60,
+    delayAfter: 3,
+    baseDelaySeconds: 2,
+    maxDelaySeconds: 30,
+    lockoutSeconds: 15 * 60,
+    maxLockoutSeconds: 24 * 60 * 60,
+  },
+  // Per client: credential stuffing across many emails from one IP
+  LOGIN_IP: {
+    scope: 'login:ip',
+    maxFailures: 20,
+    windowSeconds: 15 * 60,
+    delayAfter: 10,
+    baseDelaySeconds: 1,
+    maxDelaySeconds: 30,
+    lockoutSeconds: 15 * 60,
+    maxLockoutSeconds: 24 * 60 * 60,
+  },
+  // Per client: failed signups (mostly probing which emails are registered)
+  SIGNUP_IP: {
+    scope: 'signup:ip',
+    maxFailures: 10,
+    windowSeconds: 60 * 60,
+    delayAfter: 5,
+    baseDelaySeconds: 2,
+    maxDelaySeconds: 60,
+    lockoutSeconds: 60 * 60,
+    maxLockoutSeconds: 24 * 60 * 60,
+  },
+  // Per two-factor challenge: a challenge token allows a handful of codes before it is locked for its lifetime
+  TWO_FACTOR_CHALLENGE: {
+    scope: 'two_factor:challenge',
+    maxFailures: 5,
+    windowSeconds: 5 * 60,
+    delayAfter: 2,
+    baseDelaySeconds: 1,
+    maxDelaySeconds: 10,
+    lockoutSeconds: 5 * 60,
+    maxLockoutSeconds: 5 * 60,
+  },
+  // Per account: TOTP guessing across many challenges (the password step alone issues a new one)
+  TWO_FACTOR_ACCOUNT: {
+    scope: 'two_factor:account',
+    maxFailures: 10,
+    windowSeconds: 15 * 60,
+    delayAfter: 3,
+    baseDelaySeconds: 2,
+    maxDelaySeconds: 30,
+    lockoutSeconds: 15 * 60,
+    maxLockoutSeconds: 24 * 60 * 60,
+  },
+  // Per client: invalid or expired OAuth login codes
+  OAUTH_COMPLETE_IP: {
+    scope: 'oauth_complete:ip',
+    maxFailures: 10,
+    windowSeconds: 15 * 60,
+    delayAfter: 5,
+    baseDelaySeconds: 1,
+    maxDelaySeconds: 30,
+    lockoutSeconds: 15 * 60,
+    maxLockoutSeconds: 24 * 60 * 60,
+  },
+};
+
+/**
+ * Build the Durable Object name for a policy and value
+ * @param {Object} policy - Limiter policy
+ * @param {string} value - Value the limit is keyed by (trimmed, lowercased before hashing)
+ * @returns {Promise<string>} `${scope}:${sha256(value)}`
+ */
+export async function getLimiterKey(policy, value) {
+  const normalized = String(value).trim().toLowerCase();
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalized));
+  const hash = Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+  return `${policy.scope}:${hash}`;
+}
+
+/**
+ * Send a request to the limiter DO for one limit
+ * @returns {Promise<Object|null>} DO response body, or null when the limiter is unavailable
+ */
+async function callLimiter(doBinding, limit, path) {
+  try {
+    const key = await getLimiterKey(limit.policy, limit.value);
+    const stub = doBinding.get(doBinding.idFromName(key));
+    const response = await stub.fetch(`https://workers.dev${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ policy: limit.policy }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Limiter responded with ${response.status}`);
+    }
+    return await response.json();
+  } catch (error) {
+    console.warn(`[bruteForceLimiter] ${limit.policy.scope} ${path} failed, allowing attempt:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Only limits with a DO binding and a value are applied (e.g. the IP may be unknown)
+ */
+function activeLimits(doBinding, limits) {
+  return doBinding ? limits.filter(limit => limit.value) : [];
+}
+
+/**
+ * Reject the attempt if any limit is locked out or still in its progressive delay
+ * @param {DurableObjectNamespace} doBinding - BruteForceLimiterDO binding
+ * @param {Object[]} limits - [{ policy, value }]
+ * @throws {RateLimitError} With the longest retryAfter of the blocking limits
+ */
+export async function enforceLimits(doBinding, limits) {
+  const results = await Promise.all(
+    activeLimits(doBinding, limits).map(limit => callLimiter(doBinding, limit, '/check'))
+  );
+
+  const retryAfter = Math.max(0, ...results.filter(Boolean).map(result => result.retryAfter || 0));
+  if (retryAfter > 0) {
+    throw new RateLimitError(`Too many attempts. Try again in ${retryAfter} seconds.`, retryAfter);
+  }
+}
+
+/**
+ * Count a failed attempt against every limit; logs a security event for each new lockout
+ * @param {DurableObjectNamespace} doBinding - BruteForceLimiterDO binding
+ * @param {Object[]} limits - [{ policy, value }]
+ * @param {Object} logOptions - { logWorkerBindingOrUrl, apiKey, ctx, request, worker }
+ * @returns {Promise<Object>} { lockedOut, retryAfter } - longest wait now required
+ */
+export async function recordFailedAttempt(doBinding, limits, logOptions = {}) {
+  const active = activeLimits(doBinding, limits);
+  const results = await Promise.all(active.map(limit => callLimiter(doBinding, limit, '/fail')));
+
+  let lockedOut = false;
+  let retryAfter = 0;
+  for (let i = 0; i < active.length; i++) {
+    const result = results[i];
+    if (!result) {
+      continue;
+    }
+
+    lockedOut = lockedOut || result.lockedOut;
+    retryAfter = Math.max(retryAfter, result.retryAfter || 0);
+
+    if (result.lockedNow) {
+      await sendLog(
+        logOptions.logWorkerBindingOrUrl,
+        'event',
+        'Security: brute-force lockout',
+        {
+          worker: logOptions.worker,
+          securityEvent: 'brute_force_lockout',
+          scope: active[i].policy.scope,
+          limiterKey: await getLimiterKey(active[i].policy, active[i].value),
+          retryAfter: result.retryAfter,
+        },
+        logOptions.apiKey,
+        logOptions.ctx,
+        logOptions.request
+      );
+    }
+  }
+
+  return { lockedOut, retryAfter };
+}
+
+/**
+ * Forget failed attempts after a success
+ * @param {DurableObjectNamespace} doBinding - BruteForceLimiterDO binding
+ * @param {Object[]} limits - [{ policy, value }]
+ */
+export async function resetAttempts(doBinding, limits) {
+  await Promise.all(activeLimits(doBinding, limits).map(limit => callLimiter(doBinding, limit, '/reset')));
+}
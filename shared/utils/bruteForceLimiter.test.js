@@ -0,0 +1,123 @@
+/**
+ * Tests for brute-force limiter helpers
+ */
+
+import { describe, it, beforeEach } from 'mocha';
+import { expect } from 'chai';
+import {
+  getLimiterKey,
+  enforceLimits,
+  recordFailedAttempt,
+  resetAttempts,
+} from './bruteForceLimiter.js';
+import { RateLimitError } from './errors.js';
+import { BruteForceLimiterDO } from '../durableObjects/BruteForceLimiterDO.js';
+import { createMockDurableObjectNamespace } from '../../test/setup.js';
+
+const policy = {
+  scope: 'test:email',
+  maxFailures: 3,
+  windowSeconds: 60,
+  delayAfter: 10,
+  baseDelaySeconds: 1,
+  maxDelaySeconds: 1,
+  lockoutSeconds: 90,
+  maxLockoutSeconds: 600,
+};
+
+describe('bruteForceLimiter', () => {
+  let namespace;
+  let logs;
+  let logWorker;
+
+  beforeEach(() => {
+    namespace = createMockDurableObjectNamespace(BruteForceLimiterDO);
+    logs = [];
+    logWorker = {
+      fetch: async (request) => {
+        logs.push(await request.json());
+        return new Response(JSON.stringify({ success: true }));
+      },
+    };
+  });
+
+  describe('getLimiterKey', () => {
+    it('should hash the normalized value under the policy scope', async () => {
+      const key = await getLimiterKey(policy, ' User@Example.com ');
+
+      expect(key).to.match(/^test:email:[0-9a-f]{64}$/);
+      expect(key).to.not.include('example');
+      expect(await getLimiterKey(policy, 'user@example.com')).to.equal(key);
+    });
+  });
+
+  describe('enforceLimits / recordFailedAttempt', () => {
+    const limits = [{ policy, value: 'user@example.com' }];
+    const logOptions = () => ({ logWorkerBindingOrUrl: logWorker, apiKey: 'test-key', worker: 'test-worker' });
+
+    it('should lock out after maxFailures and log a lockout event', async () => {
+      await enforceLimits(namespace, limits);
+
+      await recordFailedAttempt(namespace, limits, logOptions());
+      await recordFailedAttempt(namespace, limits, logOptions());
+      expect(logs).to.have.length(0);
+
+      const result = await recordFailedAttempt(namespace, limits, logOptions());
+      expect(result).to.deep.equal({ lockedOut: true, retryAfter: 90 });
+      expect(logs).to.have.length(1);
+      expect(logs[0]).to.include({ securityEvent: 'brute_force_lockout', scope: 'test:email', retryAfter: 90 });
+
+      try {
+        await enforceLimits(namespace, limits);
+        expect.fail('Should have thrown RateLimitError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(RateLimitError);
+        expect(error.retryAfter).to.equal(90);
+      }
+    });
+
+    it('should keep limits for different values separate', async () => {
+      for (let i = 0; i < policy.maxFailures; i++) {
+        await recordFailedAttempt(namespace, limits);
+      }
+
+      await enforceLimits(namespace, [{ policy, value: 'other@example.com' }]);
+    });
+
+    it('should skip limits without a value', async () => {
+      await recordFailedAttempt(namespace, [{ policy, value: null }]);
+
+      expect(namespace._getInstanceNames()).to.have.length(0);
+    });
+  });
+
+  describe('resetAttempts', () => {
+    it('should clear failures', async () => {
+      const limits = [{ policy, value: '203.0.113.5' }];
+      for (let i = 0; i < policy.maxFailures; i++) {
+        await recordFailedAttempt(namespace, limits);
+      }
+
+      await resetAttempts(namespace, limits);
+
+      await enforceLimits(namespace, limits);
+    });
+  });
+
+  describe('fail open', () => {
+    it('should allow attempts when the binding is missing', async () => {
+      await enforceLimits(undefined, [{ policy, value: 'user@example.com' }]);
+      expect(await recordFailedAttempt(undefined, [{ policy, value: 'user@example.com' }]))
+        .to.deep.equal({ lockedOut: false, retryAfter: 0 });
+    });
+
+    it('should allow attempts when the limiter errors', async () => {
+      const broken = {
+        idFromName: (name) => name,
+        get: () => ({ fetch: async () => new Response('boom', { status: 500 }) }),
+      };
+
+      await enforceLimits(broken, [{ policy, value: 'user@example.com' }]);
+    });
+  });
+});
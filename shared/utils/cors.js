@@ -23,7 +23,7 @@ export function addCorsHeaders(response, request) {
   headers.set('Access-Control-Allow-Credentials', 'true');
   headers.set('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS, PATCH');
   headers.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Worker-Request, Accept, Origin');
-  headers.set('Access-Control-Expose-Headers', 'Set-Cookie');
+  headers.set('Access-Control-Expose-Headers', 'Set-Cookie, Retry-After');
   headers.set('Access-Control-Max-Age', '86400');
   
   return new Response(response.body, {
@@ -52,7 +52,7 @@ export function handleOptions(request) {
   headers.set('Access-Control-Allow-Credentials', 'true');
   headers.set('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS, PATCH');
   headers.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Worker-Request, Accept, Origin');
-  headers.set('Access-Control-Expose-Headers', 'Set-Cookie');
+  headers.set('Access-Control-Expose-Headers', 'Set-Cookie, Retry-After');
   headers.set('Access-Control-Max-Age', '86400');
   
   return new Response(null, { status: 204, headers });
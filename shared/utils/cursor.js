@@ -0,0 +1,147 @@
+/**
+ * Keyset (cursor) pagination utilities
+ * Newest-first listings page from the first or last row already seen instead of using OFFSET,
+ * so deep pages stay fast and rows are not skipped or repeated when data changes between requests.
+ * Cursors are opaque to clients: base64url JSON with an HMAC-SHA256 signature that also covers the
+ * listing scope (e.g. user and filters), so they cannot be forged or replayed against another listing.
+ */
+
+import CryptoJS from 'crypto-js';
+import { ValidationError } from './errors.js';
+
+export const CURSOR_DIRECTIONS = {
+  NEXT: 'next', // Rows after the key (older)
+  PREV: 'prev', // Rows before the key (newer)
+};
+
+function sign(body, secret, scope) {
+  return CryptoJS.HmacSHA256(`${scope}.${body}`, secret).toString(CryptoJS.enc.Base64url);
+}
+
+// Compare without returning early on the first different character
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Scope string for a listing (cursors only decode against the scope that issued them)
+ * @param {string} listing - Listing name (e.g. "orders")
+ * @param {...*} params - Values that change the listing (user, filters); null and undefined are equivalent
+ * @returns {string} Scope
+ */
+export function cursorScope(listing, ...params) {
+  return JSON.stringify([listing, ...params.map(param => param ?? null)]);
+}
+
+/**
+ * Encode a signed cursor
+ * @param {Array} key - Sort key of the boundary row: [createdAt, id]
+ * @param {string} direction - CURSOR_DIRECTIONS.NEXT or CURSOR_DIRECTIONS.PREV
+ * @param {string} secret - Signing secret (CURSOR_SECRET)
+ * @param {string} scope - Listing scope (see cursorScope)
+ * @returns {string} Opaque cursor
+ */
+export function encodeCursor(key, direction, secret, scope) {
+  if (!secret) {
+    throw new Error('Secret is required to sign cursors');
+  }
+
+  const body = CryptoJS.enc.Utf8.parse(JSON.stringify({ k: key, d: direction })).toString(CryptoJS.enc.Base64url);
+  return `${body}.${sign(body, secret, scope)}`;
+}
+
+/**
+ * Verify and decode a cursor
+ * @param {string} cursor - Cursor from a previous response
+ * @param {string} secret - Signing secret (CURSOR_SECRET)
+ * @param {string} scope - Listing scope (see cursorScope)
+ * @returns {Object} { key, direction }
+ * @throws {ValidationError} If the cursor is malformed, tampered with or belongs to another listing
+ */
+export function decodeCursor(cursor, secret, scope) {
+  const [body, signature, ...rest] = String(cursor).split('.');
+  if (!secret || !body || !signature || rest.length > 0 || !timingSafeEqual(signature, sign(body, secret, scope))) {
+    throw new ValidationError('Invalid cursor');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(CryptoJS.enc.Base64url.parse(body).toString(CryptoJS.enc.Utf8));
+  } catch (error) {
+    throw new ValidationError('Invalid cursor');
+  }
+  if (!Array.isArray(payload?.k) || payload.k.length !== 2 || !Object.values(CURSOR_DIRECTIONS).includes(payload.d)) {
+    throw new ValidationError('Invalid cursor');
+  }
+  return { key: payload.k, direction: payload.d };
+}
+
+/**
+ * SQL pieces for one keyset page of a newest-first listing
+ * Fetch LIMIT limit + 1 and pass the rows to keysetPage.
+ * @param {Object|null} position - Decoded cursor, or null for the first page
+ * @param {string} createdColumn - Timestamp column (e.g. "created_at")
+ * @param {string} idColumn - Unique tie-breaker column (e.g. "order_id")
+ * @returns {Object} { condition, params, orderBy } (condition is null for the first page)
+ */
+export function keysetQuery(position, createdColumn, idColumn) {
+  if (!position) {
+    return { condition: null, params: [], orderBy: `${createdColumn} DESC, ${idColumn} DESC` };
+  }
+
+  // Walking back towards newer rows reads in ascending order; keysetPage flips the page back
+  const prev = position.direction === CURSOR_DIRECTIONS.PREV;
+  return {
+    condition: `(${createdColumn}, ${idColumn}) ${prev ? '>' : '<'} (?, ?)`,
+    params: position.key,
+    orderBy: prev ? `${createdColumn} ASC, ${idColumn} ASC` : `${createdColumn} DESC, ${idColumn} DESC`,
+  };
+}
+
+/**
+ * Trim a keyset page fetched with LIMIT limit + 1 and return it newest first
+ * @param {Object[]} rows - Rows in keysetQuery order
+ * @param {number} limit - Page size
+ * @param {Object|null} position - Decoded cursor, or null for the first page
+ * @returns {Object} { rows, hasNext, hasPrev }
+ */
+export function keysetPage(rows, limit, position) {
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+
+  if (position?.direction === CURSOR_DIRECTIONS.PREV) {
+    return { rows: page.reverse(), hasNext: true, hasPrev: hasMore };
+  }
+  return { rows: page, hasNext: hasMore, hasPrev: Boolean(position) };
+}
+
+/**
+ * Add next/prev cursors for the last and first rows of a page to its pagination info
+ * Works for page-number pages too, so clients can switch to cursors from any page.
+ * No cursors are issued without a secret.
+ * @param {Object} pagination - Pagination info with hasNext and hasPrev
+ * @param {Object[]} rows - Rows of the page, newest first
+ * @param {Function} getKey - Row => [createdAt, id]
+ * @param {string} secret - Signing secret (CURSOR_SECRET)
+ * @param {string} scope - Listing scope (see cursorScope)
+ * @returns {Object} Pagination with nextCursor and prevCursor (null when there is no such page)
+ */
+export function withCursors(pagination, rows, getKey, secret, scope) {
+  const canSign = Boolean(secret) && rows.length > 0;
+  return {
+    ...pagination,
+    nextCursor: canSign && pagination.hasNext
+      ? encodeCursor(getKey(rows[rows.length - 1]), CURSOR_DIRECTIONS.NEXT, secret, scope)
+      : null,
+    prevCursor: canSign && pagination.hasPrev
+      ? encodeCursor(getKey(rows[0]), CURSOR_DIRECTIONS.PREV, secret, scope)
+      : null,
+  };
+}
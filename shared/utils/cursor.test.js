@@ -0,0 +1,105 @@
+/**
+ * Tests for keyset pagination cursor utilities
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import {
+  CURSOR_DIRECTIONS,
+  cursorScope,
+  encodeCursor,
+  decodeCursor,
+  keysetQuery,
+  keysetPage,
+  withCursors,
+} from './cursor.js';
+import { ValidationError } from './errors.js';
+
+const SECRET = 'test-cursor-secret';
+const SCOPE = cursorScope('orders', 'user-1', 'completed');
+
+describe('cursor', () => {
+  describe('encodeCursor / decodeCursor', () => {
+    it('should round-trip the key and direction', () => {
+      const cursor = encodeCursor(['2026-03-01T10:00:00.000Z', 'order-1'], CURSOR_DIRECTIONS.NEXT, SECRET, SCOPE);
+
+      expect(cursor).to.match(/^[\w-]+\.[\w-]+$/);
+      expect(decodeCursor(cursor, SECRET, SCOPE)).to.deep.equal({
+        key: ['2026-03-01T10:00:00.000Z', 'order-1'],
+        direction: 'next',
+      });
+    });
+
+    it('should reject tampered cursors, other secrets and other listings', () => {
+      const cursor = encodeCursor(['2026-03-01T10:00:00.000Z', 'order-1'], CURSOR_DIRECTIONS.NEXT, SECRET, SCOPE);
+      const [, signature] = cursor.split('.');
+      const forgedBody = encodeCursor(['2099-01-01T00:00:00.000Z', 'order-9'], CURSOR_DIRECTIONS.NEXT, SECRET, SCOPE).split('.')[0];
+
+      expect(() => decodeCursor(`${forgedBody}.${signature}`, SECRET, SCOPE)).to.throw(ValidationError, 'Invalid cursor');
+      expect(() => decodeCursor(cursor, 'other-secret', SCOPE)).to.throw(ValidationError);
+      expect(() => decodeCursor(cursor, SECRET, cursorScope('orders', 'user-2', 'completed'))).to.throw(ValidationError);
+      expect(() => decodeCursor(cursor, null, SCOPE)).to.throw(ValidationError);
+      expect(() => decodeCursor('not-a-cursor', SECRET, SCOPE)).to.throw(ValidationError);
+    });
+
+    it('should treat missing and null scope values alike', () => {
+      expect(cursorScope('ratings', 'product-1', undefined)).to.equal(cursorScope('ratings', 'product-1', null));
+    });
+  });
+
+  describe('keysetQuery', () => {
+    it('should read newest first without a position', () => {
+      expect(keysetQuery(null, 'created_at', 'order_id')).to.deep.equal({
+        condition: null,
+        params: [],
+        orderBy: 'created_at DESC, order_id DESC',
+      });
+    });
+
+    it('should read older rows after a next cursor and newer rows, ascending, before a prev cursor', () => {
+      const key = ['2026-03-01T10:00:00.000Z', 'order-1'];
+
+      expect(keysetQuery({ key, direction: 'next' }, 'created_at', 'order_id')).to.deep.equal({
+        condition: '(created_at, order_id) < (?, ?)',
+        params: key,
+        orderBy: 'created_at DESC, order_id DESC',
+      });
+      expect(keysetQuery({ key, direction: 'prev' }, 'created_at', 'order_id')).to.include({
+        condition: '(created_at, order_id) > (?, ?)',
+        orderBy: 'created_at ASC, order_id ASC',
+      });
+    });
+  });
+
+  describe('keysetPage', () => {
+    it('should use the extra row to tell whether there is another page', () => {
+      expect(keysetPage([1, 2, 3], 2, null)).to.deep.equal({ rows: [1, 2], hasNext: true, hasPrev: false });
+      expect(keysetPage([3], 2, { direction: 'next' })).to.deep.equal({ rows: [3], hasNext: false, hasPrev: true });
+    });
+
+    it('should put prev pages back in newest-first order', () => {
+      expect(keysetPage([4, 5, 6], 2, { direction: 'prev' })).to.deep.equal({ rows: [5, 4], hasNext: true, hasPrev: true });
+    });
+  });
+
+  describe('withCursors', () => {
+    const rows = [
+      { created_at: '2026-03-02T00:00:00.000Z', id: 'b' },
+      { created_at: '2026-03-01T00:00:00.000Z', id: 'a' },
+    ];
+    const getKey = row => [row.created_at, row.id];
+
+    it('should point next at the last row and prev at the first row', () => {
+      const pagination = withCursors({ page: 2, hasNext: true, hasPrev: true }, rows, getKey, SECRET, SCOPE);
+
+      expect(pagination.page).to.equal(2);
+      expect(decodeCursor(pagination.nextCursor, SECRET, SCOPE)).to.deep.equal({ key: getKey(rows[1]), direction: 'next' });
+      expect(decodeCursor(pagination.prevCursor, SECRET, SCOPE)).to.deep.equal({ key: getKey(rows[0]), direction: 'prev' });
+    });
+
+    it('should not issue cursors past either end or without a secret', () => {
+      expect(withCursors({ hasNext: false, hasPrev: false }, rows, getKey, SECRET, SCOPE)).to.include({ nextCursor: null, prevCursor: null });
+      expect(withCursors({ hasNext: true, hasPrev: true }, rows, getKey, undefined, SCOPE)).to.include({ nextCursor: null, prevCursor: null });
+    });
+  });
+});
@@ -1,42 +1,211 @@
 /**
- * Encryption utilities using AES-256-GCM
+ * Encryption utilities using AES-256-GCM (WebCrypto)
  * Keys should be stored in Cloudflare Workers Secrets
+ *
+ * Envelope: "v2.<keyId>.<iv>.<ciphertext+tag>" (base64url). The AES key is derived from the
+ * secret with HKDF-SHA256; optional associated data (e.g. the user ID) is authenticated, not stored.
+ * Older formats stay readable and are replaced by v2 whenever the data is written again:
+ * - "v1.<keyId>.<ciphertext>": CryptoJS passphrase mode (AES-CBC, no authentication)
+ * - no prefix: CryptoJS with ENCRYPTION_KEY
  */
 
 import CryptoJS from 'crypto-js';
 
+export const ENVELOPE_VERSION = 'v2';
+const CRYPTOJS_ENVELOPE_VERSION = 'v1';
+export const LEGACY_KEY_ID = 'k0';
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const IV_BYTES = 12;
+const KDF_SALT = new TextEncoder().encode('quick-gadgets/aes-256-gcm');
+// CryptoJS passphrase ciphertexts always start with base64 "Salted__"
+const CRYPTOJS_SALTED_PREFIX = 'U2FsdGVkX1';
+
+// AES keys derived from secrets (derivation is async and costs a little, so it is done once per secret)
+const derivedKeys = new Map();
+
+// Keyrings loaded from env, by ENCRYPTION_KEY (see loadEncryptionKeyring)
+const keyrings = new Map();
+
+/**
+ * Load the encryption keyring from env and make it the one used for ENCRYPTION_KEY
+ * - ENCRYPTION_KEY is always available as key "k0" (it encrypted everything written before key IDs)
+ * - ENCRYPTION_KEYS (secret, JSON): { "<keyId>": "<key>" } for additional keys
+ * - ENCRYPTION_KEY_ID: key used for new ciphertexts (default "k0")
+ * Callers keep passing env.ENCRYPTION_KEY to encrypt/decrypt; once loaded, that resolves to the keyring.
+ * Old keys must stay in ENCRYPTION_KEYS until a rotation job has re-encrypted everything.
+ * @param {Object} env - Environment variables
+ * @returns {Object} Keyring { currentKeyId, keys }
+ */
+export function loadEncryptionKeyring(env) {
+  const keys = {};
+  if (env.ENCRYPTION_KEY) {
+    keys[LEGACY_KEY_ID] = env.ENCRYPTION_KEY;
+  }
+
+  if (env.ENCRYPTION_KEYS) {
+    let configured;
+    try {
+      configured = JSON.parse(env.ENCRYPTION_KEYS);
+    } catch (error) {
+      throw new Error('ENCRYPTION_KEYS must be a JSON object of key IDs to keys');
+    }
+    for (const [keyId, key] of Object.entries(configured || {})) {
+      if (!KEY_ID_PATTERN.test(keyId) || typeof key !== 'string' || !key) {
+        throw new Error(`Invalid encryption key "${keyId}" in ENCRYPTION_KEYS`);
+      }
+      keys[keyId] = key;
+    }
+  }
+
+  const currentKeyId = env.ENCRYPTION_KEY_ID || LEGACY_KEY_ID;
+  if (!keys[currentKeyId]) {
+    throw new Error(`ENCRYPTION_KEY_ID "${currentKeyId}" is not in the keyring`);
+  }
+
+  const keyring = { currentKeyId, keys };
+  if (env.ENCRYPTION_KEY) {
+    keyrings.set(env.ENCRYPTION_KEY, keyring);
+  }
+  return keyring;
+}
+
+/**
+ * Resolve a key argument to a keyring
+ * A string is looked up among loaded keyrings, otherwise it is the only key (as "k0")
+ * @param {string|Object} secretKey - Encryption key or keyring
+ * @returns {Object} Keyring { currentKeyId, keys }
+ */
+export function resolveKeyring(secretKey) {
+  if (typeof secretKey === 'object') {
+    return secretKey;
+  }
+  return keyrings.get(secretKey) || { currentKeyId: LEGACY_KEY_ID, keys: { [LEGACY_KEY_ID]: secretKey } };
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(value) {
+  const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Derive the AES-256-GCM key for a secret
+ * @param {string} secret - Key from the keyring
+ * @returns {Promise<CryptoKey>} AES-GCM key
+ */
+function deriveAesKey(secret) {
+  if (!derivedKeys.has(secret)) {
+    derivedKeys.set(secret, (async () => {
+      const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), 'HKDF', false, ['deriveKey']);
+      return crypto.subtle.deriveKey(
+        { name: 'HKDF', hash: 'SHA-256', salt: KDF_SALT, info: new Uint8Array(0) },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+      );
+    })());
+  }
+  return derivedKeys.get(secret);
+}
+
+/**
+ * Split a ciphertext into its envelope parts
+ * @param {string} encryptedData - Encrypted data
+ * @returns {Object} { version, keyId, iv, payload } (version "v0" for untagged CryptoJS data)
+ */
+export function parseCiphertext(encryptedData) {
+  const parts = String(encryptedData).split('.');
+  if (parts.length === 4 && parts[0] === ENVELOPE_VERSION) {
+    return { version: ENVELOPE_VERSION, keyId: parts[1], iv: parts[2], payload: parts[3] };
+  }
+  if (parts.length === 3 && parts[0] === CRYPTOJS_ENVELOPE_VERSION) {
+    return { version: CRYPTOJS_ENVELOPE_VERSION, keyId: parts[1], payload: parts[2] };
+  }
+  return { version: 'v0', keyId: LEGACY_KEY_ID, payload: String(encryptedData) };
+}
+
+/**
+ * Prefix of current-format ciphertexts written with a key (used to find data still to rotate or upgrade)
+ * @param {string} keyId - Key ID
+ * @returns {string} Ciphertext prefix
+ */
+export function ciphertextPrefix(keyId) {
+  return `${ENVELOPE_VERSION}.${keyId}.`;
+}
+
 /**
  * Encrypt data using AES-256-GCM
  * @param {string} data - Data to encrypt
- * @param {string} secretKey - Encryption key from secrets
- * @returns {string} Encrypted data as hex string
+ * @param {string|Object} secretKey - Encryption key from secrets, or a keyring
+ * @param {string} associatedData - Context the ciphertext is bound to (e.g. user ID); decrypt needs the same value
+ * @returns {Promise<string>} Encrypted data in the v2 envelope
  */
-export function encrypt(data, secretKey) {
+export async function encrypt(data, secretKey, associatedData = '') {
   if (data === null || data === undefined || !secretKey) {
     throw new Error('Data and secret key are required for encryption');
   }
   
+  const keyring = resolveKeyring(secretKey);
+  
   try {
-    const encrypted = CryptoJS.AES.encrypt(data, secretKey).toString();
-    return encrypted;
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const encrypted = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(associatedData) },
+      await deriveAesKey(keyring.keys[keyring.currentKeyId]),
+      new TextEncoder().encode(String(data))
+    );
+    return `${ciphertextPrefix(keyring.currentKeyId)}${toBase64Url(iv)}.${toBase64Url(new Uint8Array(encrypted))}`;
   } catch (error) {
     throw new Error(`Encryption failed: ${error.message}`);
   }
 }
 
 /**
- * Decrypt data using AES-256-GCM
- * @param {string} encryptedData - Encrypted data as hex string
- * @param {string} secretKey - Decryption key from secrets
- * @returns {string} Decrypted data
+ * Decrypt data using AES-256-GCM (or the legacy CryptoJS formats)
+ * @param {string} encryptedData - Encrypted data
+ * @param {string|Object} secretKey - Decryption key from secrets, or a keyring
+ * @param {string} associatedData - Context used when encrypting (ignored for legacy formats)
+ * @returns {Promise<string>} Decrypted data
  */
-export function decrypt(encryptedData, secretKey) {
+export async function decrypt(encryptedData, secretKey, associatedData = '') {
   if (encryptedData === null || encryptedData === undefined || !secretKey) {
     throw new Error('Encrypted data and secret key are required for decryption');
   }
   
+  const { version, keyId, iv, payload } = parseCiphertext(encryptedData);
+  const key = resolveKeyring(secretKey).keys[keyId];
+  if (!key) {
+    throw new Error(`Decryption failed: Unknown encryption key "${keyId}"`);
+  }
+  
+  if (version === ENVELOPE_VERSION) {
+    try {
+      const decrypted = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64Url(iv), additionalData: new TextEncoder().encode(associatedData) },
+        await deriveAesKey(key),
+        fromBase64Url(payload)
+      );
+      return new TextDecoder().decode(decrypted);
+    } catch (error) {
+      // Wrong key, tampered ciphertext or different associated data
+      throw new Error('Decryption failed: Invalid encrypted data or key');
+    }
+  }
+  
+  if (!payload.startsWith(CRYPTOJS_SALTED_PREFIX)) {
+    throw new Error('Decryption failed: Invalid encrypted data or key');
+  }
+  
   try {
-    const decrypted = CryptoJS.AES.decrypt(encryptedData, secretKey);
+    const decrypted = CryptoJS.AES.decrypt(payload, key);
     const decryptedString = decrypted.toString(CryptoJS.enc.Utf8);
     
     if (!decryptedString) {
@@ -49,3 +218,84 @@ export function decrypt(encryptedData, secretKey) {
   }
 }
 
+/**
+ * Re-encrypt data with the keyring's current key in the current envelope
+ * @param {string} encryptedData - Encrypted data (any known key or format)
+ * @param {string|Object} secretKey - Encryption key or keyring
+ * @param {string} associatedData - Context the data is bound to
+ * @returns {Promise<string|null>} New ciphertext, or null if it is already current
+ */
+export async function reencrypt(encryptedData, secretKey, associatedData = '') {
+  const keyring = resolveKeyring(secretKey);
+  if (String(encryptedData).startsWith(ciphertextPrefix(keyring.currentKeyId))) {
+    return null;
+  }
+  return encrypt(await decrypt(encryptedData, keyring, associatedData), keyring, associatedData);
+}
+
+/**
+ * Get the key used for blind indexes
+ * Prefers a dedicated BLIND_INDEX_KEY secret so rotating ENCRYPTION_KEY does not invalidate lookups
+ * @param {Object} env - Environment variables
+ * @returns {string} Blind index key
+ */
+export function getBlindIndexKey(env) {
+  return env.BLIND_INDEX_KEY || env.ENCRYPTION_KEY;
+}
+
+/**
+ * Normalize an email address for lookups (lowercase, trimmed)
+ * @param {string} email - Email address
+ * @returns {string} Normalized email
+ */
+export function normalizeEmail(email) {
+  return String(email).toLowerCase().trim();
+}
+
+/**
+ * Normalize a phone number for lookups (digits only, without +91/0 prefix)
+ * @param {string} phone - Phone number
+ * @returns {string} Normalized 10-digit phone number
+ */
+export function normalizePhone(phone) {
+  const digits = String(phone).replace(/\D/g, '');
+  return digits.length > 10 ? digits.slice(-10) : digits;
+}
+
+/**
+ * Compute a blind index (keyed HMAC-SHA256) for an already-normalized value
+ * Lets us look up encrypted PII with an equality query without decrypting rows
+ * @param {string} value - Normalized value (e.g. normalized email)
+ * @param {string} secretKey - Blind index key from secrets
+ * @returns {string} Blind index as hex string
+ */
+export function blindIndex(value, secretKey) {
+  if (value === null || value === undefined || value === '' || !secretKey) {
+    throw new Error('Value and secret key are required for blind index');
+  }
+  
+  return CryptoJS.HmacSHA256(String(value), secretKey).toString(CryptoJS.enc.Hex);
+}
+
+/**
+ * Blind index for an email address (normalized before hashing)
+ * @param {string} email - Email address
+ * @param {string} secretKey - Blind index key from secrets
+ * @returns {string} Blind index as hex string
+ */
+export function emailIndex(email, secretKey) {
+  return blindIndex(normalizeEmail(email), secretKey);
+}
+
+/**
+ * Blind index for a phone number (normalized before hashing)
+ * @param {string|null} phone - Phone number
+ * @param {string} secretKey - Blind index key from secrets
+ * @returns {string|null} Blind index as hex string, or null when no phone is set
+ */
+export function phoneIndex(phone, secretKey) {
+  if (!phone) {
+    return null;
+  }
+  return blindIndex(normalizePhone(phone), secretKey);
+}
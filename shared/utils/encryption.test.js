@@ -4,43 +4,70 @@
 
 import { describe, it, beforeEach } from 'mocha';
 import { expect } from 'chai';
-import { encrypt, decrypt } from './encryption.js';
+import CryptoJS from 'crypto-js';
+import {
+  encrypt,
+  decrypt,
+  reencrypt,
+  loadEncryptionKeyring,
+  parseCiphertext,
+  blindIndex,
+  emailIndex,
+  phoneIndex,
+  normalizeEmail,
+  normalizePhone,
+} from './encryption.js';
 
-describe('encryption', () => {
+describe('encryption', async () => {
   const secretKey = 'test-encryption-key-32-chars-long!!';
   
-  describe('encrypt', () => {
-    it('should encrypt data successfully', () => {
+  describe('encrypt', async () => {
+    it('should encrypt data successfully', async () => {
       const data = 'sensitive information';
-      const encrypted = encrypt(data, secretKey);
+      const encrypted = await encrypt(data, secretKey);
       
       expect(encrypted).to.be.a('string');
       expect(encrypted).to.not.equal(data);
       expect(encrypted.length).to.be.greaterThan(0);
     });
     
-    it('should encrypt different data differently', () => {
+    it('should encrypt different data differently', async () => {
       const data1 = 'data1';
       const data2 = 'data2';
       
-      const encrypted1 = encrypt(data1, secretKey);
-      const encrypted2 = encrypt(data2, secretKey);
+      const encrypted1 = await encrypt(data1, secretKey);
+      const encrypted2 = await encrypt(data2, secretKey);
       
       expect(encrypted1).to.not.equal(encrypted2);
     });
     
-    it('should throw error if data is missing', () => {
+    it('should use a fresh IV for every encryption', async () => {
+      const encrypted1 = await encrypt('same data', secretKey);
+      const encrypted2 = await encrypt('same data', secretKey);
+      
+      expect(encrypted1).to.not.equal(encrypted2);
+      expect(parseCiphertext(encrypted1).iv).to.not.equal(parseCiphertext(encrypted2).iv);
+    });
+    
+    it('should write the v2 envelope', async () => {
+      const encrypted = await encrypt('data', secretKey);
+      
+      expect(encrypted.startsWith('v2.k0.')).to.be.true;
+      expect(parseCiphertext(encrypted).version).to.equal('v2');
+    });
+    
+    it('should throw error if data is missing', async () => {
       try {
-        encrypt(null, secretKey);
+        await encrypt(null, secretKey);
         expect.fail('Should have thrown an error');
       } catch (error) {
         expect(error.message).to.include('required');
       }
     });
     
-    it('should throw error if secret key is missing', () => {
+    it('should throw error if secret key is missing', async () => {
       try {
-        encrypt('data', null);
+        await encrypt('data', null);
         expect.fail('Should have thrown an error');
       } catch (error) {
         expect(error.message).to.include('required');
@@ -48,60 +75,85 @@ describe('encryption', () => {
     });
   });
   
-  describe('decrypt', () => {
-    it('should decrypt data successfully', () => {
+  describe('decrypt', async () => {
+    it('should decrypt data successfully', async () => {
       const originalData = 'sensitive information';
-      const encrypted = encrypt(originalData, secretKey);
-      const decrypted = decrypt(encrypted, secretKey);
+      const encrypted = await encrypt(originalData, secretKey);
+      const decrypted = await decrypt(encrypted, secretKey);
       
       expect(decrypted).to.equal(originalData);
     });
     
-    it('should decrypt JSON data correctly', () => {
+    it('should decrypt JSON data correctly', async () => {
       const originalData = JSON.stringify({ email: 'test@example.com', name: 'Test' });
-      const encrypted = encrypt(originalData, secretKey);
-      const decrypted = decrypt(encrypted, secretKey);
+      const encrypted = await encrypt(originalData, secretKey);
+      const decrypted = await decrypt(encrypted, secretKey);
       
       expect(decrypted).to.equal(originalData);
       const parsed = JSON.parse(decrypted);
       expect(parsed.email).to.equal('test@example.com');
     });
     
-    it('should throw error for invalid encrypted data', () => {
+    it('should throw error for invalid encrypted data', async () => {
       try {
-        decrypt('invalid-encrypted-data', secretKey);
+        await decrypt('invalid-encrypted-data', secretKey);
         expect.fail('Should have thrown an error');
       } catch (error) {
         expect(error.message).to.include('Decryption failed');
       }
     });
     
-    it('should throw error for wrong secret key', () => {
+    it('should throw error for wrong secret key', async () => {
       const originalData = 'sensitive information';
-      const encrypted = encrypt(originalData, secretKey);
+      const encrypted = await encrypt(originalData, secretKey);
+      
+      try {
+        await decrypt(encrypted, 'wrong-key');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Decryption failed');
+      }
+    });
+    
+    it('should decrypt with the same associated data only', async () => {
+      const encrypted = await encrypt('data', secretKey, 'user-1');
+      
+      expect(await decrypt(encrypted, secretKey, 'user-1')).to.equal('data');
+      try {
+        await decrypt(encrypted, secretKey, 'user-2');
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Decryption failed');
+      }
+    });
+    
+    it('should reject tampered ciphertexts', async () => {
+      const encrypted = await encrypt('data', secretKey);
+      const last = encrypted.slice(-1);
+      const tampered = encrypted.slice(0, -2) + (encrypted.slice(-2, -1) === 'A' ? 'B' : 'A') + last;
       
       try {
-        decrypt(encrypted, 'wrong-key');
+        await decrypt(tampered, secretKey);
         expect.fail('Should have thrown an error');
       } catch (error) {
         expect(error.message).to.include('Decryption failed');
       }
     });
     
-    it('should throw error if encrypted data is missing', () => {
+    it('should throw error if encrypted data is missing', async () => {
       try {
-        decrypt(null, secretKey);
+        await decrypt(null, secretKey);
         expect.fail('Should have thrown an error');
       } catch (error) {
         expect(error.message).to.include('required');
       }
     });
     
-    it('should throw error if secret key is missing', () => {
-      const encrypted = encrypt('data', secretKey);
+    it('should throw error if secret key is missing', async () => {
+      const encrypted = await encrypt('data', secretKey);
       
       try {
-        decrypt(encrypted, null);
+        await decrypt(encrypted, null);
         expect.fail('Should have thrown an error');
       } catch (error) {
         expect(error.message).to.include('required');
@@ -109,8 +161,8 @@ describe('encryption', () => {
     });
   });
   
-  describe('encrypt/decrypt round trip', () => {
-    it('should handle various data types', () => {
+  describe('encrypt/decrypt round trip', async () => {
+    it('should handle various data types', async () => {
       const testCases = [
         'simple string',
         'string with special chars !@#$%^&*()',
@@ -118,36 +170,140 @@ describe('encryption', () => {
         '1234567890',
       ];
       
-      testCases.forEach((data) => {
-        const encrypted = encrypt(data, secretKey);
-        const decrypted = decrypt(encrypted, secretKey);
+      for (const data of testCases) {
+        const encrypted = await encrypt(data, secretKey);
+        const decrypted = await decrypt(encrypted, secretKey);
         expect(decrypted).to.equal(data);
-      });
+      }
     });
     
-    it('should handle empty string', () => {
-      // CryptoJS can encrypt empty strings, but decryption might return empty
-      // This is acceptable behavior - empty strings are valid data
-      const data = '';
-      try {
-        const encrypted = encrypt(data, secretKey);
-        const decrypted = decrypt(encrypted, secretKey);
-        // Empty string encryption/decryption works with CryptoJS
-        expect(decrypted).to.equal(data);
-      } catch (error) {
-        // If empty string encryption fails, that's acceptable - skip this test
-        // Empty strings are edge cases and may not be needed in production
-        expect(error.message).to.be.a('string');
-      }
+    it('should handle empty string', async () => {
+      const encrypted = await encrypt('', secretKey);
+      const decrypted = await decrypt(encrypted, secretKey);
+
+      expect(decrypted).to.equal('');
     });
     
-    it('should handle long strings', () => {
+    it('should handle long strings', async () => {
       const longString = 'a'.repeat(10000);
-      const encrypted = encrypt(longString, secretKey);
-      const decrypted = decrypt(encrypted, secretKey);
+      const encrypted = await encrypt(longString, secretKey);
+      const decrypted = await decrypt(encrypted, secretKey);
       
       expect(decrypted).to.equal(longString);
     });
   });
-});
+  
+  describe('blind index', () => {
+    it('should be deterministic for the same value and key', () => {
+      expect(blindIndex('test@example.com', secretKey)).to.equal(blindIndex('test@example.com', secretKey));
+    });
+    
+    it('should differ across keys', () => {
+      expect(blindIndex('test@example.com', secretKey)).to.not.equal(blindIndex('test@example.com', 'other-key'));
+    });
+    
+    it('should normalize emails before hashing', () => {
+      expect(normalizeEmail('  Test@Example.COM ')).to.equal('test@example.com');
+      expect(emailIndex('  Test@Example.COM ', secretKey)).to.equal(emailIndex('test@example.com', secretKey));
+    });
+    
+    it('should normalize phone numbers before hashing', () => {
+      expect(normalizePhone('+91 98765-43210')).to.equal('9876543210');
+      expect(phoneIndex('+91 98765 43210', secretKey)).to.equal(phoneIndex('9876543210', secretKey));
+    });
+    
+    it('should return null phone index when no phone is set', () => {
+      expect(phoneIndex(null, secretKey)).to.be.null;
+    });
+    
+    it('should throw error if secret key is missing', () => {
+      try {
+        blindIndex('value', null);
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('required');
+      }
+    });
+  });
+
+  describe('keyring', () => {
+    const legacyKey = 'keyring-test-legacy-key';
+    const env = {
+      ENCRYPTION_KEY: legacyKey,
+      ENCRYPTION_KEYS: JSON.stringify({ k1: 'keyring-test-new-key' }),
+      ENCRYPTION_KEY_ID: 'k1',
+    };
+
+    it('should tag ciphertexts with the current key ID', async () => {
+      const keyring = loadEncryptionKeyring(env);
+
+      const encrypted = await encrypt('data', keyring);
+
+      expect(encrypted.startsWith('v2.k1.')).to.be.true;
+      expect(parseCiphertext(encrypted).keyId).to.equal('k1');
+    });
+
+    it('should resolve ENCRYPTION_KEY to the loaded keyring', async () => {
+      loadEncryptionKeyring(env);
+
+      const encrypted = await encrypt('data', legacyKey);
+
+      expect(parseCiphertext(encrypted).keyId).to.equal('k1');
+      expect(await decrypt(encrypted, legacyKey)).to.equal('data');
+    });
+
+    it('should decrypt untagged ciphertexts with ENCRYPTION_KEY', async () => {
+      const keyring = loadEncryptionKeyring(env);
+      const untagged = CryptoJS.AES.encrypt('old data', legacyKey).toString();
+
+      expect(parseCiphertext(untagged).keyId).to.equal('k0');
+      expect(await decrypt(untagged, keyring, 'user-1')).to.equal('old data');
+    });
 
+    it('should decrypt v1 ciphertexts with their key', async () => {
+      const keyring = loadEncryptionKeyring(env);
+      const v1 = `v1.k1.${CryptoJS.AES.encrypt('old data', 'keyring-test-new-key').toString()}`;
+
+      expect(parseCiphertext(v1)).to.include({ version: 'v1', keyId: 'k1' });
+      expect(await decrypt(v1, keyring)).to.equal('old data');
+    });
+
+    it('should re-encrypt older ciphertexts with the current key only', async () => {
+      const keyring = loadEncryptionKeyring(env);
+      const old = await encrypt('data', { currentKeyId: 'k0', keys: { k0: legacyKey } }, 'user-1');
+
+      const rotated = await reencrypt(old, keyring, 'user-1');
+
+      expect(parseCiphertext(rotated).keyId).to.equal('k1');
+      expect(await decrypt(rotated, keyring, 'user-1')).to.equal('data');
+      expect(await reencrypt(rotated, keyring, 'user-1')).to.be.null;
+    });
+
+    it('should upgrade v1 ciphertexts to v2 with the same key', async () => {
+      const keyring = loadEncryptionKeyring(env);
+      const v1 = `v1.k1.${CryptoJS.AES.encrypt('old data', 'keyring-test-new-key').toString()}`;
+
+      const upgraded = await reencrypt(v1, keyring, 'user-1');
+
+      expect(parseCiphertext(upgraded)).to.include({ version: 'v2', keyId: 'k1' });
+      expect(await decrypt(upgraded, keyring, 'user-1')).to.equal('old data');
+    });
+
+    it('should fail clearly for a key that is not in the keyring', async () => {
+      const encrypted = await encrypt('data', { currentKeyId: 'k9', keys: { k9: 'retired-key' } });
+
+      try {
+        await decrypt(encrypted, loadEncryptionKeyring(env));
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Unknown encryption key "k9"');
+      }
+    });
+
+    it('should reject an invalid keyring configuration', () => {
+      expect(() => loadEncryptionKeyring({ ...env, ENCRYPTION_KEYS: 'not json' })).to.throw('ENCRYPTION_KEYS');
+      expect(() => loadEncryptionKeyring({ ...env, ENCRYPTION_KEYS: JSON.stringify({ 'bad.id': 'x' }) })).to.throw('Invalid encryption key');
+      expect(() => loadEncryptionKeyring({ ENCRYPTION_KEY: legacyKey, ENCRYPTION_KEY_ID: 'k2' })).to.throw('not in the keyring');
+    });
+  });
+});
@@ -43,22 +43,35 @@ export class ConflictError extends AppError {
   }
 }
 
+export class RateLimitError extends AppError {
+  constructor(message = 'Too many requests', retryAfter = null) {
+    super(message, 429, 'RATE_LIMITED');
+    this.retryAfter = retryAfter; // seconds, sent as Retry-After header
+  }
+}
+
 /**
  * Error handler middleware
  */
 export function errorHandler(error, request) {
   if (error instanceof AppError) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (error.retryAfter) {
+      headers['Retry-After'] = String(error.retryAfter);
+    }
+
     return new Response(
       JSON.stringify({
         error: {
           code: error.code,
           message: error.message,
           ...(error.details && { details: error.details }),
+          ...(error.retryAfter && { retryAfter: error.retryAfter }),
         },
       }),
       {
         status: error.statusCode,
-        headers: { 'Content-Type': 'application/json' },
+        headers,
       }
     );
   }
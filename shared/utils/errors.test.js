@@ -11,6 +11,7 @@ import {
   AuthorizationError,
   NotFoundError,
   ConflictError,
+  RateLimitError,
   errorHandler,
 } from './errors.js';
 import { createMockRequest } from '../../test/setup.js';
@@ -111,6 +112,17 @@ describe('errors', () => {
     });
   });
   
+  describe('RateLimitError', () => {
+    it('should create rate limit error with retry delay', () => {
+      const error = new RateLimitError('Too many login attempts', 30);
+      
+      expect(error).to.be.instanceOf(AppError);
+      expect(error.statusCode).to.equal(429);
+      expect(error.code).to.equal('RATE_LIMITED');
+      expect(error.retryAfter).to.equal(30);
+    });
+  });
+  
   describe('errorHandler', () => {
     it('should handle AppError correctly', () => {
       const error = new ValidationError('Invalid input', { field: 'email' });
@@ -126,6 +138,15 @@ describe('errors', () => {
       });
     });
     
+    it('should set Retry-After for rate limit errors', async () => {
+      const response = errorHandler(new RateLimitError('Too many login attempts', 120), createMockRequest('https://example.com/api'));
+      
+      expect(response.status).to.equal(429);
+      expect(response.headers.get('Retry-After')).to.equal('120');
+      const body = await response.json();
+      expect(body.error.retryAfter).to.equal(120);
+    });
+    
     it('should handle unknown errors', async () => {
       const error = new Error('Unknown error');
       const request = createMockRequest('https://example.com/api');
@@ -0,0 +1,103 @@
+/**
+ * Guest identity utilities
+ * A guest is an anonymous shopper identified only by a signed token (no account, no session row).
+ * The auth worker issues the token (POST /guest); cart and orders workers accept it where guests may shop.
+ * Guest carts and orders are stored under the user ID "guest_<guestId>".
+ */
+
+import jwt from 'jsonwebtoken';
+
+export const GUEST_TOKEN_TYPE = 'guest';
+export const GUEST_TOKEN_COOKIE = 'guestToken';
+export const GUEST_USER_PREFIX = 'guest_';
+export const GUEST_TOKEN_TTL_DAYS = 30;
+
+/**
+ * Whether a user ID belongs to a guest
+ * @param {string} userId - User ID
+ * @returns {boolean} True for guest IDs
+ */
+export function isGuestUserId(userId) {
+  return typeof userId === 'string' && userId.startsWith(GUEST_USER_PREFIX);
+}
+
+/**
+ * Generate a guest token
+ * @param {string} secret - JWT secret (ENCRYPTION_KEY)
+ * @param {string} guestId - Existing guest ID to renew (default: new ID)
+ * @returns {Object} { guestId, userId, token, expiresAt }
+ */
+export function generateGuestToken(secret, guestId = crypto.randomUUID()) {
+  const token = jwt.sign({ guestId, type: GUEST_TOKEN_TYPE }, secret, { expiresIn: `${GUEST_TOKEN_TTL_DAYS}d` });
+  const expiresAt = new Date(Date.now() + GUEST_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  return { guestId, userId: `${GUEST_USER_PREFIX}${guestId}`, token, expiresAt };
+}
+
+/**
+ * Verify a guest token
+ * @param {string} token - Token
+ * @param {string} secret - JWT secret
+ * @returns {Object|null} { guestId, userId } or null if the token is not a valid guest token
+ */
+export function verifyGuestToken(token, secret) {
+  try {
+    const decoded = jwt.verify(token, secret);
+    if (decoded.type !== GUEST_TOKEN_TYPE || !decoded.guestId) {
+      return null;
+    }
+    return { guestId: decoded.guestId, userId: `${GUEST_USER_PREFIX}${decoded.guestId}` };
+  } catch (error) {
+    return null;
+  }
+}
+
+function getCookie(request, name) {
+  const cookies = request.headers.get('Cookie') || '';
+  for (const part of cookies.split(';')) {
+    const trimmed = part.trim();
+    if (trimmed.startsWith(`${name}=`)) {
+      try {
+        return decodeURIComponent(trimmed.substring(name.length + 1));
+      } catch (e) {
+        return trimmed.substring(name.length + 1);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Guest from the guest cookie, even when the request is also logged in
+ * Used when a guest logs in and their guest cart is merged into the account
+ * @param {Request} request - Incoming request
+ * @param {string} secret - JWT secret
+ * @returns {Object|null} { userId, guestId, guest: true, token } or null
+ */
+export function getCookieGuest(request, secret) {
+  const token = getCookie(request, GUEST_TOKEN_COOKIE);
+  const guest = token ? verifyGuestToken(token, secret) : null;
+  return guest ? { ...guest, guest: true, token } : null;
+}
+
+/**
+ * Resolve the guest making a request, if any
+ * A logged-in user wins over a leftover guest cookie: the guest cookie is only used when the
+ * request carries no access token. A Bearer token may itself be a guest token (inter-worker calls).
+ * @param {Request} request - Incoming request
+ * @param {string} secret - JWT secret
+ * @returns {Object|null} { userId, guestId, guest: true, token } or null
+ */
+export function getRequestGuest(request, secret) {
+  const authHeader = request.headers.get('Authorization') || '';
+
+  let token = null;
+  if (authHeader.startsWith('Bearer ')) {
+    token = authHeader.substring(7).trim();
+  } else if (!getCookie(request, 'accessToken')) {
+    token = getCookie(request, GUEST_TOKEN_COOKIE);
+  }
+
+  const guest = token ? verifyGuestToken(token, secret) : null;
+  return guest ? { ...guest, guest: true, token } : null;
+}
@@ -0,0 +1,84 @@
+/**
+ * Tests for guest identity utilities
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import jwt from 'jsonwebtoken';
+import { generateGuestToken, verifyGuestToken, getRequestGuest, getCookieGuest, isGuestUserId } from './guestAuth.js';
+import { createMockRequest } from '../../test/setup.js';
+
+const SECRET = 'test-encryption-key-32-chars-long!!';
+
+describe('guestAuth', () => {
+  describe('generateGuestToken / verifyGuestToken', () => {
+    it('should issue a token that verifies to the guest user ID', () => {
+      const guest = generateGuestToken(SECRET);
+
+      expect(guest.userId).to.equal(`guest_${guest.guestId}`);
+      expect(isGuestUserId(guest.userId)).to.be.true;
+      expect(verifyGuestToken(guest.token, SECRET)).to.deep.equal({ guestId: guest.guestId, userId: guest.userId });
+    });
+
+    it('should keep the guest ID when renewing', () => {
+      expect(generateGuestToken(SECRET, 'guest-1').userId).to.equal('guest_guest-1');
+    });
+
+    it('should reject access tokens and tokens signed with another secret', () => {
+      const accessToken = jwt.sign({ userId: 'user-1', sessionId: 'session-1', type: 'access' }, SECRET);
+
+      expect(verifyGuestToken(accessToken, SECRET)).to.be.null;
+      expect(verifyGuestToken(generateGuestToken('other-secret').token, SECRET)).to.be.null;
+      expect(verifyGuestToken('not-a-token', SECRET)).to.be.null;
+    });
+  });
+
+  describe('getRequestGuest', () => {
+    it('should read a guest token from the Authorization header', () => {
+      const guest = generateGuestToken(SECRET);
+      const request = createMockRequest('https://cart-worker.test/cart', {
+        headers: { Authorization: `Bearer ${guest.token}` },
+      });
+
+      expect(getRequestGuest(request, SECRET)).to.include({ userId: guest.userId, guest: true, token: guest.token });
+    });
+
+    it('should read the guest cookie', () => {
+      const guest = generateGuestToken(SECRET);
+      const request = createMockRequest('https://cart-worker.test/cart', {
+        headers: { Cookie: `guestToken=${guest.token}` },
+      });
+
+      expect(getRequestGuest(request, SECRET)).to.include({ userId: guest.userId });
+    });
+
+    it('should ignore the guest cookie when the user is logged in', () => {
+      const guest = generateGuestToken(SECRET);
+      const request = createMockRequest('https://cart-worker.test/cart', {
+        headers: { Cookie: `accessToken=abc; guestToken=${guest.token}` },
+      });
+
+      expect(getRequestGuest(request, SECRET)).to.be.null;
+    });
+
+    it('should return null for a Bearer access token', () => {
+      const accessToken = jwt.sign({ userId: 'user-1', type: 'access' }, SECRET);
+      const request = createMockRequest('https://cart-worker.test/cart', {
+        headers: { Authorization: `Bearer ${accessToken}` },
+      });
+
+      expect(getRequestGuest(request, SECRET)).to.be.null;
+    });
+  });
+
+  describe('getCookieGuest', () => {
+    it('should read the guest cookie of a logged-in request', () => {
+      const guest = generateGuestToken(SECRET);
+      const request = createMockRequest('https://cart-worker.test/cart/merge', {
+        headers: { Cookie: `accessToken=abc; guestToken=${guest.token}` },
+      });
+
+      expect(getCookieGuest(request, SECRET)).to.include({ userId: guest.userId });
+    });
+  });
+});
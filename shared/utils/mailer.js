@@ -0,0 +1,113 @@
+/**
+ * Mail transport utilities
+ * Pluggable transports selected by env.MAIL_TRANSPORT:
+ * - 'http' (default): POSTs each message as JSON to env.MAIL_API_URL (e.g. a transactional mail provider)
+ * - 'outbox': keeps messages in memory, for local development and tests only (set it in .dev.vars)
+ */
+
+// Messages kept by the outbox; older ones are dropped first
+export const MAX_OUTBOX_MESSAGES = 50;
+
+// In-memory outbox shared by every outbox transport in this isolate
+const outbox = [];
+
+/**
+ * Create in-memory outbox transport
+ * @returns {Object} Transport with send()
+ */
+export function createOutboxTransport() {
+  return {
+    name: 'outbox',
+    async send(message) {
+      const stored = {
+        messageId: crypto.randomUUID(),
+        ...message,
+        sentAt: new Date().toISOString(),
+      };
+      outbox.push(stored);
+      if (outbox.length > MAX_OUTBOX_MESSAGES) {
+        outbox.splice(0, outbox.length - MAX_OUTBOX_MESSAGES);
+      }
+      console.log('[mailer] Message stored in outbox:', { to: message.to, subject: message.subject });
+      return { messageId: stored.messageId };
+    },
+  };
+}
+
+/**
+ * Create HTTP transport
+ * @param {string} apiUrl - Mail API endpoint
+ * @param {string} apiKey - Mail API key (sent as Bearer token)
+ * @param {string} from - Sender address
+ * @returns {Object} Transport with send()
+ */
+export function createHttpTransport(apiUrl, apiKey, from) {
+  if (!apiUrl) {
+    throw new Error('MAIL_API_URL is required for the http mail transport');
+  }
+
+  return {
+    name: 'http',
+    async send(message) {
+      const response = await fetch(apiUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey && { 'Authorization': `Bearer ${apiKey}` }),
+        },
+        body: JSON.stringify({ from, ...message }),
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text().catch(() => 'Unknown error');
+        throw new Error(`Mail API error: ${response.status} - ${errorText}`);
+      }
+
+      const result = await response.json().catch(() => ({}));
+      return { messageId: result.messageId || result.id || null };
+    },
+  };
+}
+
+/**
+ * Name of the configured mail transport
+ * @param {Object} env - Environment variables
+ * @returns {string} 'http' unless MAIL_TRANSPORT says otherwise
+ */
+export function getMailTransportName(env) {
+  return env.MAIL_TRANSPORT || 'http';
+}
+
+/**
+ * Create mail transport from environment
+ * @param {Object} env - Environment variables
+ * @returns {Object} Transport with send({ to, subject, text, html })
+ */
+export function createMailTransport(env) {
+  const transport = getMailTransportName(env);
+
+  switch (transport) {
+    case 'outbox':
+      return createOutboxTransport();
+    case 'http':
+      return createHttpTransport(env.MAIL_API_URL, env.MAIL_API_KEY, env.MAIL_FROM || 'no-reply@quickgadgets.app');
+    default:
+      throw new Error(`Unknown mail transport: ${transport}`);
+  }
+}
+
+/**
+ * Get messages in the in-memory outbox (newest last, at most MAX_OUTBOX_MESSAGES)
+ * @param {string} to - Optional recipient filter
+ * @returns {Object[]} Stored messages
+ */
+export function getOutbox(to = null) {
+  return to ? outbox.filter(message => message.to === to) : [...outbox];
+}
+
+/**
+ * Clear the in-memory outbox
+ */
+export function clearOutbox() {
+  outbox.length = 0;
+}
@@ -0,0 +1,110 @@
+/**
+ * Tests for mailer utility
+ */
+
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import { createMailTransport, createHttpTransport, getOutbox, clearOutbox, MAX_OUTBOX_MESSAGES } from './mailer.js';
+
+describe('mailer', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    clearOutbox();
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  describe('createMailTransport', () => {
+    it('should default to the http transport', () => {
+      expect(() => createMailTransport({})).to.throw('MAIL_API_URL');
+      expect(createMailTransport({ MAIL_API_URL: 'https://mail.test/send' }).name).to.equal('http');
+    });
+
+    it('should create outbox transport when configured', () => {
+      const transport = createMailTransport({ MAIL_TRANSPORT: 'outbox' });
+      expect(transport.name).to.equal('outbox');
+    });
+
+    it('should create http transport when configured', () => {
+      const transport = createMailTransport({ MAIL_TRANSPORT: 'http', MAIL_API_URL: 'https://mail.test/send' });
+      expect(transport.name).to.equal('http');
+    });
+
+    it('should throw for unknown transport', () => {
+      expect(() => createMailTransport({ MAIL_TRANSPORT: 'pigeon' })).to.throw('Unknown mail transport');
+    });
+  });
+
+  describe('outbox transport', () => {
+    it('should store sent messages', async () => {
+      const transport = createMailTransport({ MAIL_TRANSPORT: 'outbox' });
+      const result = await transport.send({ to: 'user@example.com', subject: 'Hello', text: 'Body' });
+
+      expect(result.messageId).to.be.a('string');
+      const messages = getOutbox('user@example.com');
+      expect(messages).to.have.length(1);
+      expect(messages[0].subject).to.equal('Hello');
+      expect(messages[0]).to.have.property('sentAt');
+    });
+
+    it('should filter messages by recipient and clear', async () => {
+      const transport = createMailTransport({ MAIL_TRANSPORT: 'outbox' });
+      await transport.send({ to: 'a@example.com', subject: 'A', text: 'A' });
+      await transport.send({ to: 'b@example.com', subject: 'B', text: 'B' });
+
+      expect(getOutbox()).to.have.length(2);
+      expect(getOutbox('b@example.com')).to.have.length(1);
+
+      clearOutbox();
+      expect(getOutbox()).to.have.length(0);
+    });
+
+    it('should keep only the newest messages', async () => {
+      const transport = createMailTransport({ MAIL_TRANSPORT: 'outbox' });
+      for (let i = 0; i <= MAX_OUTBOX_MESSAGES; i++) {
+        await transport.send({ to: 'a@example.com', subject: `Message ${i}`, text: 'Body' });
+      }
+
+      const messages = getOutbox();
+      expect(messages).to.have.length(MAX_OUTBOX_MESSAGES);
+      expect(messages[0].subject).to.equal('Message 1');
+    });
+  });
+
+  describe('http transport', () => {
+    it('should require an API URL', () => {
+      expect(() => createHttpTransport(null, 'key', 'from@example.com')).to.throw('MAIL_API_URL');
+    });
+
+    it('should POST message with sender and API key', async () => {
+      let captured;
+      global.fetch = async (url, options) => {
+        captured = { url, options };
+        return new Response(JSON.stringify({ id: 'msg-1' }), { status: 200 });
+      };
+
+      const transport = createHttpTransport('https://mail.test/send', 'mail-key', 'from@example.com');
+      const result = await transport.send({ to: 'user@example.com', subject: 'Hi', text: 'Body' });
+
+      expect(result.messageId).to.equal('msg-1');
+      expect(captured.url).to.equal('https://mail.test/send');
+      expect(captured.options.headers.Authorization).to.equal('Bearer mail-key');
+      expect(JSON.parse(captured.options.body)).to.include({ from: 'from@example.com', to: 'user@example.com' });
+    });
+
+    it('should throw when the mail API fails', async () => {
+      global.fetch = async () => new Response('Bad request', { status: 400 });
+
+      const transport = createHttpTransport('https://mail.test/send', null, 'from@example.com');
+      try {
+        await transport.send({ to: 'user@example.com', subject: 'Hi', text: 'Body' });
+        expect.fail('Should have thrown an error');
+      } catch (error) {
+        expect(error.message).to.include('Mail API error: 400');
+      }
+    });
+  });
+});
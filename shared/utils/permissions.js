@@ -0,0 +1,92 @@
+/**
+ * Admin roles and permissions
+ * Roles are stored per user in the auth worker (user_roles table); each admin route
+ * declares the permission it needs and authenticateAdmin checks it against the user's roles
+ */
+
+export const PERMISSIONS = {
+  PRODUCTS_READ: 'products:read',
+  PRODUCTS_WRITE: 'products:write',
+  PRICES_WRITE: 'prices:write',
+  INVENTORY_READ: 'inventory:read',
+  INVENTORY_WRITE: 'inventory:write',
+  SHIPPING_READ: 'shipping:read',
+  ORDERS_READ: 'orders:read',
+  USERS_READ: 'users:read',
+  USERS_MANAGE: 'users:manage',
+  ROLES_MANAGE: 'roles:manage',
+  KEYS_ROTATE: 'keys:rotate',
+  AUDIT_READ: 'audit:read',
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+export const ROLES = {
+  catalog_manager: {
+    description: 'Create, edit and remove products and product images',
+    permissions: [PERMISSIONS.PRODUCTS_READ, PERMISSIONS.PRODUCTS_WRITE],
+  },
+  pricing_manager: {
+    description: 'Set product prices',
+    permissions: [PERMISSIONS.PRODUCTS_READ, PERMISSIONS.PRICES_WRITE],
+  },
+  warehouse_operator: {
+    description: 'Manage stock levels and reservations',
+    permissions: [
+      PERMISSIONS.PRODUCTS_READ,
+      PERMISSIONS.INVENTORY_READ,
+      PERMISSIONS.INVENTORY_WRITE,
+      PERMISSIONS.SHIPPING_READ,
+    ],
+  },
+  support_agent: {
+    description: 'Look up customers, orders and stock (read only)',
+    permissions: [
+      PERMISSIONS.PRODUCTS_READ,
+      PERMISSIONS.INVENTORY_READ,
+      PERMISSIONS.SHIPPING_READ,
+      PERMISSIONS.ORDERS_READ,
+      PERMISSIONS.USERS_READ,
+    ],
+  },
+  super_admin: {
+    description: 'Every permission, including assigning roles',
+    permissions: ALL_PERMISSIONS,
+  },
+};
+
+export const SUPER_ADMIN_ROLE = 'super_admin';
+
+/**
+ * Check whether a role name exists
+ * @param {string} role - Role name
+ * @returns {boolean} True if the role is defined
+ */
+export function isValidRole(role) {
+  return Object.prototype.hasOwnProperty.call(ROLES, role);
+}
+
+/**
+ * Resolve the permissions granted by a set of roles (unknown roles grant nothing)
+ * @param {string[]} roles - Role names
+ * @returns {string[]} Sorted, de-duplicated permissions
+ */
+export function getPermissionsForRoles(roles = []) {
+  const permissions = new Set();
+  for (const role of roles || []) {
+    if (isValidRole(role)) {
+      ROLES[role].permissions.forEach(permission => permissions.add(permission));
+    }
+  }
+  return [...permissions].sort();
+}
+
+/**
+ * Check whether a set of roles grants a permission
+ * @param {string[]} roles - Role names
+ * @param {string} permission - Permission to check
+ * @returns {boolean} True if granted
+ */
+export function hasPermission(roles, permission) {
+  return getPermissionsForRoles(roles).includes(permission);
+}
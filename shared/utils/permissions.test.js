@@ -0,0 +1,52 @@
+/**
+ * Tests for admin roles and permissions
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { PERMISSIONS, ROLES, isValidRole, getPermissionsForRoles, hasPermission } from './permissions.js';
+
+describe('permissions', () => {
+  describe('isValidRole', () => {
+    it('should only accept defined roles', () => {
+      expect(isValidRole('catalog_manager')).to.be.true;
+      expect(isValidRole('super_admin')).to.be.true;
+      expect(isValidRole('admin')).to.be.false;
+      expect(isValidRole('toString')).to.be.false;
+    });
+  });
+
+  describe('getPermissionsForRoles', () => {
+    it('should merge permissions of several roles without duplicates', () => {
+      const permissions = getPermissionsForRoles(['catalog_manager', 'pricing_manager']);
+
+      expect(permissions).to.deep.equal([
+        PERMISSIONS.PRICES_WRITE,
+        PERMISSIONS.PRODUCTS_READ,
+        PERMISSIONS.PRODUCTS_WRITE,
+      ]);
+    });
+
+    it('should grant every permission to super_admin', () => {
+      expect(getPermissionsForRoles(['super_admin'])).to.have.members(Object.values(PERMISSIONS));
+    });
+
+    it('should ignore unknown roles and missing input', () => {
+      expect(getPermissionsForRoles(['unknown'])).to.deep.equal([]);
+      expect(getPermissionsForRoles(null)).to.deep.equal([]);
+    });
+  });
+
+  describe('hasPermission', () => {
+    it('should check a permission against roles', () => {
+      expect(hasPermission(['warehouse_operator'], PERMISSIONS.INVENTORY_WRITE)).to.be.true;
+      expect(hasPermission(['support_agent'], PERMISSIONS.INVENTORY_WRITE)).to.be.false;
+      expect(hasPermission([], PERMISSIONS.PRODUCTS_READ)).to.be.false;
+    });
+
+    it('should only reserve role management for super_admin', () => {
+      const managers = Object.keys(ROLES).filter(role => hasPermission([role], PERMISSIONS.ROLES_MANAGE));
+      expect(managers).to.deep.equal(['super_admin']);
+    });
+  });
+});
@@ -0,0 +1,316 @@
+/**
+ * Indian pincode utilities
+ * A small bundled directory (no external lookups): the first two digits of a pincode identify
+ * the postal circle, and so the state(s); the first three identify the sorting district, listed
+ * here for the major cities. Used to normalize saved addresses and catch city/state typos.
+ * Whether we actually deliver to a pincode is fulfillment-worker's call (pincode_coverage).
+ */
+
+import { callWorkerBinding } from './interWorker.js';
+import { ValidationError } from './errors.js';
+
+export const PINCODE_PATTERN = /^[1-9][0-9]{5}$/;
+
+// Postal circle (first two digits) -> states and union territories it covers
+const CIRCLE_STATES = {
+  11: ['Delhi'],
+  12: ['Haryana'],
+  13: ['Haryana'],
+  14: ['Punjab'],
+  15: ['Punjab'],
+  16: ['Punjab', 'Chandigarh'],
+  17: ['Himachal Pradesh'],
+  18: ['Jammu and Kashmir'],
+  19: ['Jammu and Kashmir', 'Ladakh'],
+  20: ['Uttar Pradesh'],
+  21: ['Uttar Pradesh'],
+  22: ['Uttar Pradesh'],
+  23: ['Uttar Pradesh'],
+  24: ['Uttar Pradesh', 'Uttarakhand'],
+  25: ['Uttar Pradesh'],
+  26: ['Uttar Pradesh', 'Uttarakhand'],
+  27: ['Uttar Pradesh'],
+  28: ['Uttar Pradesh'],
+  30: ['Rajasthan'],
+  31: ['Rajasthan'],
+  32: ['Rajasthan'],
+  33: ['Rajasthan'],
+  34: ['Rajasthan'],
+  36: ['Gujarat', 'Dadra and Nagar Haveli and Daman and Diu'],
+  37: ['Gujarat'],
+  38: ['Gujarat'],
+  39: ['Gujarat', 'Dadra and Nagar Haveli and Daman and Diu'],
+  40: ['Maharashtra', 'Goa'],
+  41: ['Maharashtra'],
+  42: ['Maharashtra'],
+  43: ['Maharashtra'],
+  44: ['Maharashtra'],
+  45: ['Madhya Pradesh'],
+  46: ['Madhya Pradesh'],
+  47: ['Madhya Pradesh'],
+  48: ['Madhya Pradesh'],
+  49: ['Chhattisgarh'],
+  50: ['Telangana'],
+  51: ['Andhra Pradesh'],
+  52: ['Andhra Pradesh'],
+  53: ['Andhra Pradesh', 'Puducherry'],
+  56: ['Karnataka'],
+  57: ['Karnataka'],
+  58: ['Karnataka'],
+  59: ['Karnataka'],
+  60: ['Tamil Nadu', 'Puducherry'],
+  61: ['Tamil Nadu'],
+  62: ['Tamil Nadu'],
+  63: ['Tamil Nadu'],
+  64: ['Tamil Nadu'],
+  67: ['Kerala', 'Puducherry'],
+  68: ['Kerala', 'Lakshadweep'],
+  69: ['Kerala'],
+  70: ['West Bengal'],
+  71: ['West Bengal'],
+  72: ['West Bengal'],
+  73: ['West Bengal', 'Sikkim'],
+  74: ['West Bengal', 'Andaman and Nicobar Islands'],
+  75: ['Odisha'],
+  76: ['Odisha'],
+  77: ['Odisha'],
+  78: ['Assam'],
+  79: ['Arunachal Pradesh', 'Manipur', 'Meghalaya', 'Mizoram', 'Nagaland', 'Tripura'],
+  80: ['Bihar'],
+  81: ['Bihar', 'Jharkhand'],
+  82: ['Bihar', 'Jharkhand'],
+  83: ['Jharkhand'],
+  84: ['Bihar'],
+  85: ['Bihar'],
+};
+
+// Sorting district (first three digits) -> city, for the major cities; aliases are older or common spellings
+const DISTRICT_CITIES = {
+  110: { city: 'Delhi', state: 'Delhi', aliases: ['New Delhi'] },
+  121: { city: 'Faridabad', state: 'Haryana' },
+  122: { city: 'Gurugram', state: 'Haryana', aliases: ['Gurgaon'] },
+  141: { city: 'Ludhiana', state: 'Punjab' },
+  143: { city: 'Amritsar', state: 'Punjab' },
+  160: { city: 'Chandigarh', state: 'Chandigarh' },
+  180: { city: 'Jammu', state: 'Jammu and Kashmir' },
+  190: { city: 'Srinagar', state: 'Jammu and Kashmir' },
+  208: { city: 'Kanpur', state: 'Uttar Pradesh' },
+  221: { city: 'Varanasi', state: 'Uttar Pradesh', aliases: ['Banaras', 'Benares'] },
+  226: { city: 'Lucknow', state: 'Uttar Pradesh' },
+  248: { city: 'Dehradun', state: 'Uttarakhand' },
+  282: { city: 'Agra', state: 'Uttar Pradesh' },
+  302: { city: 'Jaipur', state: 'Rajasthan' },
+  380: { city: 'Ahmedabad', state: 'Gujarat', aliases: ['Amdavad'] },
+  390: { city: 'Vadodara', state: 'Gujarat', aliases: ['Baroda'] },
+  395: { city: 'Surat', state: 'Gujarat' },
+  400: { city: 'Mumbai', state: 'Maharashtra', aliases: ['Bombay'] },
+  411: { city: 'Pune', state: 'Maharashtra', aliases: ['Poona'] },
+  440: { city: 'Nagpur', state: 'Maharashtra' },
+  452: { city: 'Indore', state: 'Madhya Pradesh' },
+  462: { city: 'Bhopal', state: 'Madhya Pradesh' },
+  492: { city: 'Raipur', state: 'Chhattisgarh' },
+  500: { city: 'Hyderabad', state: 'Telangana', aliases: ['Secunderabad'] },
+  520: { city: 'Vijayawada', state: 'Andhra Pradesh' },
+  530: { city: 'Visakhapatnam', state: 'Andhra Pradesh', aliases: ['Vizag'] },
+  560: { city: 'Bengaluru', state: 'Karnataka', aliases: ['Bangalore'] },
+  570: { city: 'Mysuru', state: 'Karnataka', aliases: ['Mysore'] },
+  600: { city: 'Chennai', state: 'Tamil Nadu', aliases: ['Madras'] },
+  625: { city: 'Madurai', state: 'Tamil Nadu' },
+  641: { city: 'Coimbatore', state: 'Tamil Nadu', aliases: ['Kovai'] },
+  695: { city: 'Thiruvananthapuram', state: 'Kerala', aliases: ['Trivandrum'] },
+  700: { city: 'Kolkata', state: 'West Bengal', aliases: ['Calcutta'] },
+  751: { city: 'Bhubaneswar', state: 'Odisha' },
+  781: { city: 'Guwahati', state: 'Assam' },
+  800: { city: 'Patna', state: 'Bihar' },
+  834: { city: 'Ranchi', state: 'Jharkhand' },
+};
+
+// Common abbreviations and old names -> canonical state name
+const STATE_ALIASES = {
+  'dl': 'Delhi',
+  'nct of delhi': 'Delhi',
+  'new delhi': 'Delhi',
+  'hr': 'Haryana',
+  'pb': 'Punjab',
+  'ch': 'Chandigarh',
+  'hp': 'Himachal Pradesh',
+  'jk': 'Jammu and Kashmir',
+  'j&k': 'Jammu and Kashmir',
+  'jammu & kashmir': 'Jammu and Kashmir',
+  'la': 'Ladakh',
+  'up': 'Uttar Pradesh',
+  'uk': 'Uttarakhand',
+  'ut': 'Uttarakhand',
+  'uttaranchal': 'Uttarakhand',
+  'rj': 'Rajasthan',
+  'gj': 'Gujarat',
+  'dnhdd': 'Dadra and Nagar Haveli and Daman and Diu',
+  'mh': 'Maharashtra',
+  'ga': 'Goa',
+  'mp': 'Madhya Pradesh',
+  'cg': 'Chhattisgarh',
+  'ct': 'Chhattisgarh',
+  'chattisgarh': 'Chhattisgarh',
+  'tg': 'Telangana',
+  'ts': 'Telangana',
+  'ap': 'Andhra Pradesh',
+  'ka': 'Karnataka',
+  'tn': 'Tamil Nadu',
+  'tamilnadu': 'Tamil Nadu',
+  'py': 'Puducherry',
+  'pondicherry': 'Puducherry',
+  'kl': 'Kerala',
+  'ld': 'Lakshadweep',
+  'wb': 'West Bengal',
+  'sk': 'Sikkim',
+  'an': 'Andaman and Nicobar Islands',
+  'andaman & nicobar islands': 'Andaman and Nicobar Islands',
+  'od': 'Odisha',
+  'or': 'Odisha',
+  'orissa': 'Odisha',
+  'as': 'Assam',
+  'ar': 'Arunachal Pradesh',
+  'mn': 'Manipur',
+  'ml': 'Meghalaya',
+  'mz': 'Mizoram',
+  'nl': 'Nagaland',
+  'tr': 'Tripura',
+  'br': 'Bihar',
+  'jh': 'Jharkhand',
+};
+
+const KNOWN_STATES = new Map(
+  [...new Set(Object.values(CIRCLE_STATES).flat())].map(state => [state.toLowerCase(), state])
+);
+
+function collapseSpaces(value) {
+  return typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : '';
+}
+
+/**
+ * Normalize a pincode as typed (spaces and dashes removed: "600 001" -> "600001")
+ * @param {string} pincode - Pincode
+ * @returns {string} Normalized pincode (may still be invalid)
+ */
+export function normalizePincode(pincode) {
+  return String(pincode ?? '').replace(/[\s-]/g, '');
+}
+
+/**
+ * Whether a pincode has the Indian 6-digit format
+ * @param {string} pincode - Pincode
+ * @returns {boolean} True if valid
+ */
+export function isValidPincode(pincode) {
+  return PINCODE_PATTERN.test(normalizePincode(pincode));
+}
+
+/**
+ * Canonical name of a state ("TN", "tamilnadu" -> "Tamil Nadu")
+ * @param {string} state - State as entered
+ * @returns {string|null} Canonical name or null if not recognized
+ */
+export function canonicalState(state) {
+  const key = collapseSpaces(state).toLowerCase();
+  return KNOWN_STATES.get(key) || STATE_ALIASES[key] || null;
+}
+
+/**
+ * Look up a pincode in the bundled directory
+ * @param {string} pincode - Pincode
+ * @returns {Object|null} { pincode, states, state, city } (state/city null when not known for certain),
+ *   or null when the pincode is invalid or its postal circle is unknown
+ */
+export function lookupPincode(pincode) {
+  const normalized = normalizePincode(pincode);
+  if (!PINCODE_PATTERN.test(normalized)) {
+    return null;
+  }
+
+  const states = CIRCLE_STATES[normalized.substring(0, 2)];
+  if (!states) {
+    return null;
+  }
+
+  const district = DISTRICT_CITIES[normalized.substring(0, 3)];
+  return {
+    pincode: normalized,
+    states,
+    state: district?.state || (states.length === 1 ? states[0] : null),
+    city: district?.city || null,
+  };
+}
+
+/**
+ * Normalize an address against its pincode
+ * - Pincode: spaces/dashes removed, format checked
+ * - State: canonical name; filled in from the pincode when missing; rejected when the pincode belongs elsewhere
+ * - City: filled in from the pincode when missing; known aliases become the canonical name ("Bangalore" -> "Bengaluru").
+ *   A different city is kept (suburbs and towns share a district) but flagged with suggestedCity
+ * @param {Object} address - Address with pincode, city, state
+ * @returns {Object} Normalized address with pincodeVerified (directory knew the pincode) and, on a city mismatch, suggestedCity
+ * @throws {ValidationError} Invalid pincode, state not matching the pincode, or city/state missing and not resolvable
+ */
+export function normalizeAddressPincode(address) {
+  const pincode = normalizePincode(address.pincode);
+  if (!PINCODE_PATTERN.test(pincode)) {
+    throw new ValidationError('Pincode must be a valid 6-digit Indian pincode');
+  }
+
+  const entry = lookupPincode(pincode);
+  // A stale suggestion from an earlier save is dropped; it is recomputed below
+  const normalized = { ...address, pincode, pincodeVerified: !!entry };
+  delete normalized.suggestedCity;
+
+  const state = collapseSpaces(address.state);
+  normalized.state = state ? (canonicalState(state) || state) : entry?.state;
+  if (!normalized.state) {
+    throw new ValidationError('State is required');
+  }
+  if (entry && !entry.states.includes(normalized.state)) {
+    throw new ValidationError(`Pincode ${pincode} is in ${entry.states.join(' / ')}, not ${normalized.state}`);
+  }
+
+  const city = collapseSpaces(address.city);
+  normalized.city = city || entry?.city;
+  if (!normalized.city) {
+    throw new ValidationError('City is required');
+  }
+
+  const district = DISTRICT_CITIES[pincode.substring(0, 3)];
+  if (city && district) {
+    const names = [district.city, ...(district.aliases || [])].map(name => name.toLowerCase());
+    if (names.includes(city.toLowerCase())) {
+      normalized.city = district.city;
+    } else {
+      normalized.suggestedCity = district.city;
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Ask fulfillment-worker whether we deliver to a pincode
+ * @param {Object} fulfillmentBinding - fulfillment_worker service binding
+ * @param {string} pincode - 6-digit pincode
+ * @param {string} apiKey - Inter-worker API key
+ * @returns {Promise<boolean|null>} true/false, or null when fulfillment-worker could not answer
+ */
+export async function checkPincodeServiceability(fulfillmentBinding, pincode, apiKey) {
+  if (!fulfillmentBinding) {
+    return null;
+  }
+
+  try {
+    const response = await callWorkerBinding(fulfillmentBinding, `/serviceability/${pincode}`, { method: 'GET' }, apiKey);
+    if (!response.ok) {
+      return null;
+    }
+    const result = await response.json();
+    return typeof result.serviceable === 'boolean' ? result.serviceable : null;
+  } catch (error) {
+    console.error('[pincode] Serviceability check failed:', error.message);
+    return null;
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * Tests for pincode utilities
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import {
+  normalizePincode,
+  isValidPincode,
+  canonicalState,
+  lookupPincode,
+  normalizeAddressPincode,
+  checkPincodeServiceability,
+} from './pincode.js';
+import { ValidationError } from './errors.js';
+import { createMockServiceBinding } from '../../test/setup.js';
+
+describe('pincode', () => {
+  describe('normalizePincode / isValidPincode', () => {
+    it('should strip spaces and dashes', () => {
+      expect(normalizePincode(' 600 001 ')).to.equal('600001');
+      expect(normalizePincode('560-001')).to.equal('560001');
+    });
+
+    it('should only accept 6 digits not starting with 0', () => {
+      expect(isValidPincode('600 001')).to.be.true;
+      expect(isValidPincode('060001')).to.be.false;
+      expect(isValidPincode('60001')).to.be.false;
+      expect(isValidPincode('60000A')).to.be.false;
+    });
+  });
+
+  describe('canonicalState', () => {
+    it('should resolve names, abbreviations and old names', () => {
+      expect(canonicalState('tamil  nadu')).to.equal('Tamil Nadu');
+      expect(canonicalState('TN')).to.equal('Tamil Nadu');
+      expect(canonicalState('Orissa')).to.equal('Odisha');
+      expect(canonicalState('Atlantis')).to.be.null;
+    });
+  });
+
+  describe('lookupPincode', () => {
+    it('should resolve the city and state of a known district', () => {
+      expect(lookupPincode('560034')).to.deep.equal({
+        pincode: '560034',
+        states: ['Karnataka'],
+        state: 'Karnataka',
+        city: 'Bengaluru',
+      });
+    });
+
+    it('should resolve only the state outside the listed cities', () => {
+      expect(lookupPincode('577201')).to.include({ state: 'Karnataka', city: null });
+    });
+
+    it('should leave the state open when the postal circle spans several', () => {
+      expect(lookupPincode('403001')).to.deep.include({ states: ['Maharashtra', 'Goa'], state: null, city: null });
+    });
+
+    it('should return null for unknown circles and invalid pincodes', () => {
+      expect(lookupPincode('990001')).to.be.null;
+      expect(lookupPincode('12345')).to.be.null;
+    });
+  });
+
+  describe('normalizeAddressPincode', () => {
+    const address = { name: 'Asha', doorNumber: '12', street: 'MG Road', pincode: '560 001', city: '', state: '' };
+
+    it('should fill in city and state from the pincode', () => {
+      expect(normalizeAddressPincode(address)).to.deep.equal({
+        ...address,
+        pincode: '560001',
+        city: 'Bengaluru',
+        state: 'Karnataka',
+        pincodeVerified: true,
+      });
+    });
+
+    it('should canonicalize state names and city aliases', () => {
+      const result = normalizeAddressPincode({ ...address, city: 'bangalore', state: 'KA' });
+
+      expect(result).to.include({ city: 'Bengaluru', state: 'Karnataka' });
+      expect(result).to.not.have.property('suggestedCity');
+    });
+
+    it('should keep a different city but suggest the district city', () => {
+      const result = normalizeAddressPincode({ ...address, pincode: '400601', city: 'Thane', state: 'Maharashtra' });
+
+      expect(result).to.include({ city: 'Thane', suggestedCity: 'Mumbai' });
+    });
+
+    it('should reject a state that does not match the pincode', () => {
+      try {
+        normalizeAddressPincode({ ...address, city: 'Chennai', state: 'Tamil Nadu' });
+        expect.fail('Should have thrown ValidationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+        expect(error.message).to.equal('Pincode 560001 is in Karnataka, not Tamil Nadu');
+      }
+    });
+
+    it('should require city and state when the pincode cannot provide them', () => {
+      try {
+        normalizeAddressPincode({ ...address, pincode: '990001' });
+        expect.fail('Should have thrown ValidationError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+        expect(error.message).to.equal('State is required');
+      }
+
+      const result = normalizeAddressPincode({ ...address, pincode: '990001', city: 'Field Post', state: 'Delhi' });
+      expect(result).to.include({ pincodeVerified: false, city: 'Field Post', state: 'Delhi' });
+    });
+
+    it('should drop a stale suggestedCity', () => {
+      const result = normalizeAddressPincode({ ...address, city: 'Bengaluru', suggestedCity: 'Mumbai' });
+
+      expect(result).to.not.have.property('suggestedCity');
+    });
+  });
+
+  describe('checkPincodeServiceability', () => {
+    it('should return the answer of fulfillment-worker', async () => {
+      const fulfillment = createMockServiceBinding('fulfillment-worker');
+      fulfillment._setResponse('GET', '/serviceability/600001', { pincode: '600001', serviceable: false });
+
+      expect(await checkPincodeServiceability(fulfillment, '600001', 'key')).to.be.false;
+    });
+
+    it('should return null when fulfillment-worker cannot answer', async () => {
+      const fulfillment = createMockServiceBinding('fulfillment-worker');
+      fulfillment._setResponse('GET', '/serviceability/600001', { error: 'down' }, { status: 503 });
+
+      expect(await checkPincodeServiceability(fulfillment, '600001', 'key')).to.be.null;
+      expect(await checkPincodeServiceability(null, '600001', 'key')).to.be.null;
+    });
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Request metadata helpers
+ * Client IP and user-agent for session tracking, rate limiting and audit logs
+ */
+
+const MAX_USER_AGENT_LENGTH = 512;
+
+/**
+ * Get client IP address
+ * Cloudflare sets CF-Connecting-IP; X-Forwarded-For is used for local development
+ * @param {Request} request - Incoming request
+ * @returns {string|null} Client IP or null if unknown
+ */
+export function getClientIp(request) {
+  const cfIp = request.headers.get('CF-Connecting-IP');
+  if (cfIp) {
+    return cfIp.trim();
+  }
+
+  const forwardedFor = request.headers.get('X-Forwarded-For');
+  if (forwardedFor) {
+    return forwardedFor.split(',')[0].trim() || null;
+  }
+
+  return null;
+}
+
+/**
+ * Get client user-agent (truncated for storage)
+ * @param {Request} request - Incoming request
+ * @returns {string|null} User-agent or null if missing
+ */
+export function getUserAgent(request) {
+  const userAgent = request.headers.get('User-Agent');
+  return userAgent ? userAgent.substring(0, MAX_USER_AGENT_LENGTH) : null;
+}
+
+/**
+ * Get client metadata for session records
+ * @param {Request} request - Incoming request
+ * @returns {Object} { userAgent, ipAddress }
+ */
+export function getClientInfo(request) {
+  return {
+    userAgent: getUserAgent(request),
+    ipAddress: getClientIp(request),
+  };
+}
@@ -0,0 +1,48 @@
+/**
+ * Tests for request metadata helpers
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { getClientIp, getUserAgent, getClientInfo } from './requestInfo.js';
+import { createMockRequest } from '../../test/setup.js';
+
+describe('requestInfo', () => {
+  describe('getClientIp', () => {
+    it('should prefer CF-Connecting-IP', () => {
+      const request = createMockRequest('https://example.com', {
+        headers: { 'CF-Connecting-IP': '203.0.113.5', 'X-Forwarded-For': '198.51.100.1' },
+      });
+      expect(getClientIp(request)).to.equal('203.0.113.5');
+    });
+
+    it('should fall back to the first X-Forwarded-For address', () => {
+      const request = createMockRequest('https://example.com', {
+        headers: { 'X-Forwarded-For': '198.51.100.1, 10.0.0.1' },
+      });
+      expect(getClientIp(request)).to.equal('198.51.100.1');
+    });
+
+    it('should return null when unknown', () => {
+      expect(getClientIp(createMockRequest('https://example.com'))).to.be.null;
+    });
+  });
+
+  describe('getUserAgent', () => {
+    it('should truncate very long user-agents', () => {
+      const request = createMockRequest('https://example.com', {
+        headers: { 'User-Agent': 'x'.repeat(1000) },
+      });
+      expect(getUserAgent(request)).to.have.length(512);
+    });
+  });
+
+  describe('getClientInfo', () => {
+    it('should return user-agent and IP', () => {
+      const request = createMockRequest('https://example.com', {
+        headers: { 'User-Agent': 'Mozilla/5.0', 'CF-Connecting-IP': '203.0.113.5' },
+      });
+      expect(getClientInfo(request)).to.deep.equal({ userAgent: 'Mozilla/5.0', ipAddress: '203.0.113.5' });
+    });
+  });
+});
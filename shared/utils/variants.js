@@ -0,0 +1,31 @@
+/**
+ * Product variant utilities
+ * A product with variants (e.g. colour × storage) is sold as its variants: pricing-worker prices and
+ * fulfillment-worker inventory are keyed by the variant ID, and by the product ID for products without variants.
+ */
+
+/**
+ * ID that prices and stock are kept under for a cart line, order item or stock reservation
+ * @param {Object} item - Object with productId and optional variantId
+ * @returns {string} variantId when set, otherwise productId
+ */
+export function getStockKeepingId(item) {
+  return item.variantId || item.productId;
+}
+
+/**
+ * Human-readable label for a variant's attributes, in axis order (e.g. "Black / 256GB")
+ * @param {Object} attributes - Axis name to value
+ * @param {Array} axes - Variant axes ([{ name, values }]); attribute order is used without them
+ * @returns {string} Label
+ */
+export function formatVariantLabel(attributes, axes = null) {
+  if (!attributes) {
+    return '';
+  }
+  const names = axes?.length ? axes.map(axis => axis.name) : Object.keys(attributes);
+  return names
+    .map(name => attributes[name])
+    .filter(value => value !== undefined && value !== null && value !== '')
+    .join(' / ');
+}
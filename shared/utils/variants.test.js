@@ -0,0 +1,27 @@
+/**
+ * Tests for product variant utilities
+ */
+
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import { getStockKeepingId, formatVariantLabel } from './variants.js';
+
+describe('variants', () => {
+  describe('getStockKeepingId', () => {
+    it('should use the variant ID when there is one and the product ID otherwise', () => {
+      expect(getStockKeepingId({ productId: 'product-1', variantId: 'variant-1' })).to.equal('variant-1');
+      expect(getStockKeepingId({ productId: 'product-1', variantId: null })).to.equal('product-1');
+      expect(getStockKeepingId({ productId: 'product-1' })).to.equal('product-1');
+    });
+  });
+
+  describe('formatVariantLabel', () => {
+    it('should list values in axis order', () => {
+      const axes = [{ name: 'colour', values: ['Black'] }, { name: 'storage', values: ['256GB'] }];
+
+      expect(formatVariantLabel({ storage: '256GB', colour: 'Black' }, axes)).to.equal('Black / 256GB');
+      expect(formatVariantLabel({ colour: 'Black' })).to.equal('Black');
+      expect(formatVariantLabel(null, axes)).to.equal('');
+    });
+  });
+});
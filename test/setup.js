@@ -28,6 +28,8 @@ export function createMockEnv(overrides = {}) {
     JWT_SECRET: 'test-secret-key',
     ENCRYPTION_KEY: 'test-encryption-key-32-chars-long!!',
     INTER_WORKER_API_KEY: 'test-api-key',
+    CURSOR_SECRET: 'test-cursor-secret',
+    MAIL_TRANSPORT: 'outbox',
     LOG_WORKER_URL: 'https://log-worker.test',
     PAYPAL_CLIENT_ID: 'test-paypal-client-id',
     PAYPAL_CLIENT_SECRET: 'test-paypal-secret',
@@ -302,7 +304,7 @@ export function createMockServiceBinding(serviceName) {
   
   return {
     fetch: async (url, options = {}) => {
-      const method = options.method || 'GET';
+      const method = options.method || (url instanceof Request ? url.method : 'GET');
       let path;
       try {
         // url might be a Request object or a string
@@ -362,6 +364,124 @@ export function createMockServiceBinding(serviceName) {
   };
 }
 
+// Mock Durable Object state (in-memory storage)
+export function createMockDurableObjectState() {
+  const data = new Map();
+  let alarm = null;
+  return {
+    storage: {
+      get: async (key) => data.get(key),
+      put: async (key, value) => {
+        data.set(key, structuredClone(value));
+      },
+      delete: async (key) => data.delete(key),
+      getAlarm: async () => alarm,
+      setAlarm: async (time) => {
+        alarm = time;
+      },
+      deleteAlarm: async () => {
+        alarm = null;
+      },
+    },
+  };
+}
+
+// Mock Durable Object namespace: one real instance of DOClass per name
+export function createMockDurableObjectNamespace(DOClass, env = {}) {
+  const instances = new Map();
+  return {
+    idFromName: (name) => name,
+    get: (id) => {
+      if (!instances.has(id)) {
+        instances.set(id, new DOClass(createMockDurableObjectState(), env));
+      }
+      const instance = instances.get(id);
+      return {
+        fetch: (url, init) => instance.fetch(url instanceof Request ? url : new Request(url, init)),
+      };
+    },
+    // Test helpers
+    _getInstanceNames: () => Array.from(instances.keys()),
+  };
+}
+
+// Mock OpenID Connect issuer (discovery, JWKS and a token endpoint that checks PKCE)
+// Install with `global.fetch = issuer.fetch`; `authorize(authorizationUrl, claims)` plays the
+// provider's login page and returns the code it would redirect back with
+export async function createMockOidcIssuer(options = {}) {
+  const issuer = options.issuer || 'https://issuer.test';
+  const clientId = options.clientId || 'test-client';
+  const keyPair = await crypto.subtle.generateKey(
+    { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+    true,
+    ['sign', 'verify']
+  );
+  const publicJwk = { ...await crypto.subtle.exportKey('jwk', keyPair.publicKey), kid: 'test-key', use: 'sig', alg: 'RS256' };
+  const codes = new Map();
+  const requests = [];
+
+  const encode = (value) => Buffer.from(typeof value === 'string' ? value : new Uint8Array(value)).toString('base64url');
+
+  async function signIdToken(claims, header = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = { iss: issuer, aud: clientId, iat: now, exp: now + 300, ...claims };
+    const signingInput = `${encode(JSON.stringify({ alg: 'RS256', kid: 'test-key', typ: 'JWT', ...header }))}.${encode(JSON.stringify(payload))}`;
+    const signature = await crypto.subtle.sign('RSASSA-PKCS1-v1_5', keyPair.privateKey, new TextEncoder().encode(signingInput));
+    return `${signingInput}.${encode(signature)}`;
+  }
+
+  function authorize(authorizationUrl, claims) {
+    const params = new URL(authorizationUrl).searchParams;
+    const code = `code-${codes.size + 1}`;
+    codes.set(code, {
+      claims: { nonce: params.get('nonce'), ...claims },
+      codeChallenge: params.get('code_challenge'),
+      redirectUri: params.get('redirect_uri'),
+    });
+    return code;
+  }
+
+  async function fetch(input, init = {}) {
+    const url = new URL(typeof input === 'string' ? input : input.url);
+    requests.push({ url: url.toString(), method: init.method || 'GET', body: init.body || null });
+    const json = (body, status = 200) => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+    if (url.pathname === '/.well-known/openid-configuration') {
+      return json({
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`,
+      });
+    }
+    if (url.pathname === '/jwks') {
+      return json({ keys: [publicJwk] });
+    }
+    if (url.pathname === '/token') {
+      const form = new URLSearchParams(init.body);
+      const grant = codes.get(form.get('code'));
+      codes.delete(form.get('code'));
+      const verifierHash = encode(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(form.get('code_verifier') || '')));
+      if (!grant || grant.codeChallenge !== verifierHash || grant.redirectUri !== form.get('redirect_uri')) {
+        return json({ error: 'invalid_grant' }, 400);
+      }
+      return json({ access_token: 'provider-access-token', token_type: 'Bearer', id_token: await signIdToken(grant.claims) });
+    }
+    return new Response('Not Found', { status: 404 });
+  }
+
+  return {
+    issuer,
+    clientId,
+    fetch,
+    authorize,
+    signIdToken,
+    publicJwk,
+    // Test helpers
+    _getRequests: () => requests,
+  };
+}
+
 // Mock Request
 export function createMockRequest(url, options = {}) {
   const {
@@ -474,6 +594,27 @@ export function createMockD1WithSequence(sequence) {
   return mockDb;
 }
 
+/**
+ * Record every bound statement of a mock D1 database
+ * @param {Object} mockDb - Mock D1 database (its prepare is wrapped in place)
+ * @returns {Object[]} Recorded statements as { query, args }, in execution order
+ */
+export function recordStatements(mockDb) {
+  const statements = [];
+  const prepare = mockDb.prepare;
+  mockDb.prepare = (query) => {
+    const statement = prepare(query);
+    return {
+      ...statement,
+      bind: (...args) => {
+        statements.push({ query, args });
+        return statement.bind(...args);
+      },
+    };
+  };
+  return statements;
+}
+
 // Global test setup
 beforeEach(() => {
   // Reset any global state if needed